@@ -18,6 +18,14 @@ const config = {
     algorithm: 'aes-256-cbc'
   },
   
+  // Platform database shared by every instance: worker indexes, inbound webhook
+  // routes and rate limit plans. Required in production; other environments fall
+  // back to process memory when it is not set.
+  platformDatabase: {
+    mongoUri: process.env.PLATFORM_MONGODB_URI || process.env.MONGODB_URI,
+    dbName: process.env.PLATFORM_DB_NAME || 'scalai_database_server'
+  },
+
   // Tenant Manager configuration
   tenantManager: {
     url: process.env.TENANT_MANAGER_URL || 'http://localhost:3003',
@@ -44,7 +52,32 @@ const config = {
     timeout: 10000,
     serviceToken: process.env.WEBHOOK_SERVER_SERVICE_TOKEN
   },
-  
+
+  // Meta app configuration for inbound Instagram and WhatsApp Cloud API webhooks
+  meta: {
+    appSecret: process.env.META_APP_SECRET, // signs X-Hub-Signature-256
+    webhookVerifyToken: process.env.META_WEBHOOK_VERIFY_TOKEN, // answers the hub.challenge handshake
+    graphApiVersion: process.env.META_GRAPH_API_VERSION || 'v21.0'
+  },
+
+  // Media received and sent by the WhatsApp and Instagram chat agents
+  chatMedia: {
+    maxBytes: parseInt(process.env.CHAT_MEDIA_MAX_BYTES) || 25 * 1024 * 1024, // Whisper's upload limit
+    transcriptionEnabled: process.env.CHAT_MEDIA_TRANSCRIPTION !== 'false',
+    transcriptionModel: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1'
+  },
+
+  // Live-agent handoff for WhatsApp and Instagram conversations
+  chatHandoff: {
+    // Chat agent custom functions that hand the conversation to a human
+    toolNames: (process.env.CHAT_HANDOFF_TOOL_NAMES || 'transfer_to_human,handoff_to_human,escalate_to_human')
+      .split(',').map(name => name.trim()).filter(Boolean),
+    // Escalate when the contact asks for a person ("talk to a human", "real person", ...)
+    detectUserRequests: process.env.CHAT_HANDOFF_DETECT_REQUESTS !== 'false',
+    // Sent to the contact when a conversation is escalated without an agent reply
+    acknowledgement: process.env.CHAT_HANDOFF_MESSAGE || 'Thanks! I\'m connecting you with a member of our team. They will reply here shortly.'
+  },
+
   // Redis configuration for connection pooling and caching
   redis: {
     url: process.env.REDIS_URL || `redis://${process.env.REDIS_PASSWORD ? ":" + process.env.REDIS_PASSWORD + "@" : ""}${process.env.REDIS_HOST || "localhost"}:${process.env.REDIS_PORT || 6379}`,
@@ -57,7 +90,12 @@ const config = {
     // Cache prefixes
     prefixes: {
       connectionPool: 'db_pool:',
+      instagramAccounts: 'instagram:account:',
+      whatsappPhoneNumbers: 'whatsapp:phone_number:',
+      metaRoutes: 'meta:route:',
       schema: 'schema:',
+      scheduledCalls: 'scheduled_calls:',
+      webhookDeliveries: 'webhook_deliveries:',
       stats: 'stats:',
       rateLimit: 'db_rate:',
       retell: 'retell:',
@@ -97,9 +135,90 @@ const config = {
     perSubaccount: {
       windowMs: 60 * 1000,
       max: 1000 // Increased from 200 to 1000 requests per minute per subaccount
+    },
+
+    // Per-subaccount quota plans. A subaccount without an assigned plan uses defaultPlan.
+    // routeLimitMultiplier scales the per-user limits set on each route (subaccountLimiter).
+    plans: {
+      defaultPlan: process.env.RATE_LIMIT_DEFAULT_PLAN || 'standard',
+      cacheTtlMs: 60 * 1000, // how long an instance keeps a subaccount's plan before re-reading it
+      definitions: {
+        starter: { requestsPerMinute: 300, callsPerDay: 500, chatsPerDay: 1000, routeLimitMultiplier: 1 },
+        standard: { requestsPerMinute: 1000, callsPerDay: 5000, chatsPerDay: 10000, routeLimitMultiplier: 1 },
+        enterprise: { requestsPerMinute: 5000, callsPerDay: 50000, chatsPerDay: 100000, routeLimitMultiplier: 5 }
+      }
     }
   },
   
+  // Scheduled call queue worker
+  scheduledCalls: {
+    workerEnabled: process.env.SCHEDULED_CALLS_WORKER_ENABLED !== 'false',
+    cronExpression: process.env.SCHEDULED_CALLS_CRON || '*/30 * * * * *', // every 30 seconds
+    batchSize: parseInt(process.env.SCHEDULED_CALLS_BATCH_SIZE) || 100, // entries dialed per subaccount per run
+    dispatchConcurrency: parseInt(process.env.SCHEDULED_CALLS_DISPATCH_CONCURRENCY) || 10, // Retell requests in flight per subaccount
+    maxBackoffMinutes: 24 * 60,
+    dialingTimeoutMs: 5 * 60 * 1000, // entry stuck while dialing (worker crashed)
+    resultTimeoutMs: 6 * 60 * 60 * 1000 // no webhook received for the last call
+  },
+
+  // Outbound webhook subscriptions
+  webhookSubscriptions: {
+    workerEnabled: process.env.WEBHOOK_DELIVERY_WORKER_ENABLED !== 'false',
+    cronExpression: process.env.WEBHOOK_DELIVERY_CRON || '*/15 * * * * *', // every 15 seconds
+    batchSize: 50, // deliveries sent per subaccount per run
+    requestTimeoutMs: parseInt(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS) || 10000,
+    maxAttempts: 8, // retried for about 12 hours
+    backoffSeconds: 60,
+    backoffMultiplier: 3,
+    maxBackoffSeconds: 6 * 60 * 60,
+    deliveringTimeoutMs: 2 * 60 * 1000, // delivery stuck while sending (worker crashed)
+    retentionDays: 30, // delivery log
+    maxSubscriptions: 20, // per subaccount
+    // Plain http endpoints are only accepted outside production
+    requireHttps: process.env.NODE_ENV === 'production' || process.env.WEBHOOK_REQUIRE_HTTPS === 'true',
+    userAgent: 'ScalAI-Webhooks/1.0'
+  },
+
+  // Usage ledger and billing (/api/usage)
+  usage: {
+    currency: process.env.USAGE_CURRENCY || 'USD',
+    defaultMarkupPercent: parseFloat(process.env.USAGE_DEFAULT_MARKUP_PERCENT) || 0,
+    phoneNumberMonthlyCost: parseFloat(process.env.USAGE_PHONE_NUMBER_MONTHLY_COST) || 1.15, // provider cost of a purchased number
+    // Worker recording each month of the phone numbers a subaccount still has
+    rentalWorkerEnabled: process.env.USAGE_RENTAL_WORKER_ENABLED !== 'false',
+    rentalCronExpression: process.env.USAGE_RENTAL_CRON || '0 0 * * * *', // hourly
+    maxExportRows: 50000 // per CSV export
+  },
+
+  // Monthly spend caps (/api/usage/:subaccountId/budget)
+  budgets: {
+    defaultAlertThresholds: [50, 80, 100], // percent of the monthly limit
+    recheckMinutes: 60, // queued calls are postponed this long while a hard cap is reached
+    spendCacheSeconds: 60, // how long an instance reuses the spend of a month for checks and alerts
+    // Cost per call used to estimate a batch call when no call has a cost yet this month
+    defaultCallCostEstimate: parseFloat(process.env.BUDGET_DEFAULT_CALL_COST_ESTIMATE) || 0.5
+  },
+
+  // Collection schema registry (/api/database/:subaccountId/schemas)
+  schemaRegistry: {
+    cacheTtlMs: parseInt(process.env.SCHEMA_CACHE_TTL_MS) || 60 * 1000 // how long an instance validates against its copy before re-reading the registry
+  },
+
+  // Dependency probes for /api/health/ready and process checks for /api/health/live
+  health: {
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000, // per dependency
+    degradedLatencyMs: parseInt(process.env.HEALTH_DEGRADED_LATENCY_MS) || 1000, // slower answers count as degraded
+    maxEventLoopLagMs: parseInt(process.env.HEALTH_MAX_EVENT_LOOP_LAG_MS) || 1000
+  },
+
+  // Prometheus scrape endpoint (/metrics)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    token: process.env.METRICS_TOKEN, // when set, scrapes need "Authorization: Bearer <token>"
+    // Production instances are reachable from outside, so scrapes are refused there until a token is set
+    requireToken: process.env.NODE_ENV === 'production'
+  },
+
   // Query execution limits
   queryLimits: {
     maxExecutionTime: 30000, // 30 seconds
@@ -124,6 +243,18 @@ const config = {
     // Dangerous operations that require special permissions
     dangerousOperations: [
       'deleteMany', 'dropCollection', 'dropIndex', 'createIndex'
+    ],
+
+    // Collections managed by this server. The generic collection routes
+    // (/api/database/:subaccountId/collections/:collection) cannot read or write them.
+    internalCollections: [
+      'agents', 'chatagents', 'llms', 'llm_revisions', 'agent_templates', 'success_criteria', 'success_recompute_jobs',
+      'calls', 'chats', 'meetings', 'activities', 'ai_insights', 'contacts',
+      'phonenumbers', 'knowledge_bases', 'connectorsubaccount', 'whatsappconnections', 'instagramconnections',
+      'batch_calls', 'scheduled_calls', 'calling_hours_settings', 'suppression_list',
+      'schema_registry', 'schema_registry_versions',
+      'webhook_subscriptions', 'webhook_deliveries',
+      'usage_ledger', 'usage_pricing', 'budgets'
     ]
   },
   
@@ -170,7 +301,8 @@ const requiredConfig = [
 
 const optionalButRecommended = [
   'REDIS_PASSWORD',
-  'TENANT_MANAGER_URL'
+  'TENANT_MANAGER_URL',
+  'METRICS_TOKEN'
 ];
 
 // Check required configuration
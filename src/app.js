@@ -1,4 +1,5 @@
 const express = require('express');
+const axios = require('axios');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
@@ -8,6 +9,8 @@ const config = require('../config/config');
 const errorHandler = require('./middleware/errorHandler');
 const { generalLimiter } = require('./middleware/rateLimiter');
 const mockSessionMiddleware = require('./middleware/mockSessionMiddleware');
+const recordRequestMetrics = require('./middleware/metricsMiddleware');
+const { instrumentAxios } = require('./utils/metrics');
 // console.log("Importing healthRoutes");
 // Import routes
 const healthRoutes = require('./routes/healthRoutes');
@@ -24,6 +27,10 @@ const knowledgeBaseRoutes = require('./routes/knowledgeBaseRoutes');
 const mockSessionRoutes = require('./routes/mockSessionRoutes');
 const whatsappRoutes = require('./routes/whatsappRoutes');
 const instagramRoutes = require('./routes/instagramRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const rateLimitRoutes = require('./routes/rateLimitRoutes');
+const usageRoutes = require('./routes/usageRoutes');
 
 const app = express();
 
@@ -40,7 +47,9 @@ const corsOrigins = config.cors.origin.includes(',')
 
 app.use(cors({
   origin: corsOrigins,
-  credentials: true
+  credentials: true,
+  // Let browser clients read their remaining quota
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
 // Logging middleware
@@ -48,11 +57,25 @@ if (config.server.nodeEnv !== 'test') {
   app.use(morgan('combined'));
 }
 
+// Request latency and outbound API calls for /metrics
+if (config.metrics.enabled) {
+  app.use(recordRequestMetrics);
+  instrumentAxios(axios);
+}
+
 // Rate limiting
 app.use(generalLimiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes of webhook deliveries for signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Mock session detection middleware
@@ -75,6 +98,12 @@ app.use('/api/knowledge-base', knowledgeBaseRoutes);
 app.use('/api/mock-sessions', mockSessionRoutes);
 app.use('/api/database', whatsappRoutes);
 app.use('/api/database', instagramRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/rate-limits', rateLimitRoutes);
+app.use('/api/usage', usageRoutes);
+if (config.metrics.enabled) {
+  app.use('/metrics', metricsRoutes);
+}
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -96,7 +125,11 @@ app.get('/', (req, res) => {
       knowledgeBase: '/api/knowledge-base',
       mockSessions: '/api/mock-sessions',
       whatsapp: '/api/database/:subaccountId/chat-agents/:agentId/whatsapp',
-      instagram: '/api/database/:subaccountId/chat-agents/:agentId/instagram'
+      instagram: '/api/database/:subaccountId/chat-agents/:agentId/instagram',
+      webhooks: '/api/webhooks',
+      rateLimits: '/api/rate-limits',
+      usage: '/api/usage',
+      metrics: '/metrics'
     }
   });
 });
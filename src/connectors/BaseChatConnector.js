@@ -114,6 +114,7 @@ class BaseChatConnector {
       connector: this.type,
       operation,
       error: error.message,
+      code: error.code || null,
       timestamp: new Date()
     };
   }
@@ -2,7 +2,28 @@ const BaseChatConnector = require('./BaseChatConnector');
 const QRCode = require('qrcode');
 const Logger = require('../utils/logger');
 const axios = require('axios');
-const redisService = require('../services/redisService');
+const MetaWebhookService = require('../services/metaWebhookService');
+const { CHANNELS: META_CHANNELS } = MetaWebhookService;
+const config = require('../../config/config');
+const { verifyMetaSignature } = require('../utils/webhookSignature');
+const ChatMediaService = require('../services/chatMediaService');
+
+// Kinds of events parsed from entry.messaging items
+const EVENT_KINDS = {
+  MESSAGE: 'message',
+  STORY_REPLY: 'story_reply',
+  STORY_MENTION: 'story_mention',
+  ECHO: 'echo',
+  READ: 'read',
+  REACTION: 'reaction',
+  POSTBACK: 'postback'
+};
+
+// Event kinds delivered to onMessage handlers (forwarded to the chat agent)
+const MESSAGE_EVENT_KINDS = [EVENT_KINDS.MESSAGE, EVENT_KINDS.STORY_REPLY, EVENT_KINDS.STORY_MENTION];
+
+// Attachment types that can be downloaded and sent (story mentions and shares are only links)
+const MEDIA_ATTACHMENT_TYPES = ['image', 'audio', 'video', 'file'];
 
 /**
  * Instagram Connector
@@ -17,6 +38,7 @@ class InstagramConnector extends BaseChatConnector {
     this.instagramAccountId = config.instagramAccountId || null;
     this.pageId = config.pageId || null;
     this.messageHandlers = [];
+    this.eventHandlers = {};
     this.webhookVerificationToken = config.webhookVerificationToken || null;
     this.webhookSecret = config.webhookSecret || null;
   }
@@ -181,6 +203,7 @@ class InstagramConnector extends BaseChatConnector {
       this.accessToken = null;
       this.instagramAccountId = null;
       this.messageHandlers = [];
+      this.eventHandlers = {};
 
       Logger.info('Instagram connector disconnected', {
         sessionId: this.config.sessionId
@@ -252,6 +275,111 @@ class InstagramConnector extends BaseChatConnector {
     }
   }
 
+  /**
+   * Send an attachment by URL. The Send API has no captions, so a caption is sent
+   * as a text message after the attachment.
+   * @param {string} to - Instagram user ID (scoped ID)
+   * @param {Object} media - { url } (Instagram fetches the file itself; uploads are not supported)
+   * @param {Object} options - { caption, kind }
+   */
+  async sendMedia(to, media, options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Instagram is not connected');
+      }
+
+      if (!this.pageId) {
+        throw new Error('Facebook Page ID is required for sending messages');
+      }
+
+      if (!media.url) {
+        const error = new Error('Instagram attachments must be sent by URL');
+        error.code = 'MEDIA_URL_REQUIRED';
+        throw error;
+      }
+
+      const attachmentType = { image: 'image', sticker: 'image', voice: 'audio', audio: 'audio', video: 'video' }[options.kind] || 'file';
+
+      const response = await axios.post(
+        `https://graph.facebook.com/v18.0/${this.pageId}/messages`,
+        {
+          recipient: {
+            id: to
+          },
+          message: {
+            attachment: {
+              type: attachmentType,
+              payload: {
+                url: media.url
+              }
+            }
+          }
+        },
+        {
+          params: {
+            access_token: this.accessToken
+          }
+        }
+      );
+
+      Logger.info('Instagram attachment sent', {
+        sessionId: this.config.sessionId,
+        to: to,
+        type: attachmentType,
+        messageId: response.data.message_id
+      });
+
+      let captionMessageId = null;
+      if (options.caption) {
+        const captionResult = await this.sendMessage(to, options.caption);
+        captionMessageId = captionResult.data?.messageId || null;
+      }
+
+      return this.formatSuccess({
+        messageId: response.data.message_id,
+        captionMessageId,
+        to: to,
+        kind: options.kind,
+        caption: options.caption || null,
+        timestamp: Date.now()
+      }, 'sendMedia');
+    } catch (error) {
+      if (error.response) {
+        const errorMsg = error.response.data.error?.message || error.message;
+        Logger.error('Instagram API error sending attachment', {
+          error: errorMsg,
+          status: error.response.status,
+          data: error.response.data
+        });
+        throw new Error(`Instagram API error: ${errorMsg}`);
+      }
+      if (error.code === 'MEDIA_URL_REQUIRED') {
+        throw error;
+      }
+      return this.handleError(error, 'sendMedia');
+    }
+  }
+
+  /**
+   * Media attachments of an incoming message that can be downloaded
+   * @param {Object} message - Message event
+   * @returns {Array<Object>} Attachments ({ type, payload: { url } })
+   */
+  getMediaAttachments(message) {
+    return (message.attachments || []).filter(attachment =>
+      MEDIA_ATTACHMENT_TYPES.includes(attachment.type) && attachment.payload?.url
+    );
+  }
+
+  /**
+   * Download an attachment of an incoming message (the CDN URL expires after a while)
+   * @param {Object} attachment - { type, payload: { url } }
+   * @returns {Promise<Object>} { buffer, mimeType, filename }
+   */
+  async downloadMedia(attachment) {
+    return ChatMediaService.fetchRemoteMedia(attachment.payload.url);
+  }
+
   /**
    * Register a message handler
    * Only one handler can be registered at a time - new handler replaces old ones
@@ -280,88 +408,247 @@ class InstagramConnector extends BaseChatConnector {
   }
 
   /**
-   * Process incoming webhook message
-   * This should be called from the webhook endpoint
+   * Register a handler for a non-message webhook event kind (read, reaction, postback, echo).
+   * Only one handler per kind - a new handler replaces the old one.
+   * @param {string} kind - One of EVENT_KINDS
+   * @param {Function} callback - Called with the parsed event
+   */
+  onEvent(kind, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+    this.eventHandlers[kind] = callback;
+  }
+
+  /**
+   * Process incoming webhook delivery
+   * This should be called from the webhook endpoint. Meta batches several entries, each
+   * with several messaging items, into one delivery; every item is parsed and dispatched.
+   * @param {Object} webhookData - Webhook body ({ object, entry: [{ id, messaging: [...] }] })
+   * @returns {Promise<Object>} { processed, duplicates, ignored }
    */
   async processWebhookMessage(webhookData) {
-    try {
-      // Extract message data from Instagram webhook format
-      const entry = webhookData.entry?.[0];
-      const messaging = entry?.messaging?.[0];
+    const result = { processed: 0, duplicates: 0, ignored: 0 };
+    const entries = Array.isArray(webhookData?.entry) ? webhookData.entry : [];
 
-      if (!messaging || !messaging.message) {
-        return;
-      }
+    for (const entry of entries) {
+      const items = Array.isArray(entry?.messaging) ? entry.messaging : [];
 
-      const message = {
-        id: messaging.message.mid,
-        from: messaging.sender.id,
-        text: messaging.message.text || '',
-        timestamp: messaging.timestamp,
-        isFromMe: false, // Instagram webhooks only send incoming messages
-        hasMedia: !!messaging.message.attachments,
-        attachments: messaging.message.attachments || []
-      };
+      for (const messaging of items) {
+        try {
+          const event = this.parseMessagingEvent(messaging);
 
-      // Check for duplicate message
-      const dedupeKey = `instagram:msg:${message.id}`;
-      try {
-        if (redisService.isConnected) {
-          const alreadyProcessed = await redisService.exists(dedupeKey);
-          if (alreadyProcessed) {
-            Logger.debug('Duplicate Instagram message ignored', {
+          if (!event) {
+            Logger.debug('Unsupported Instagram messaging event ignored', {
               sessionId: this.config.sessionId,
-              messageId: message.id,
-              from: message.from
+              keys: Object.keys(messaging || {})
             });
-            return;
+            result.ignored++;
+            continue;
           }
 
-          // Mark message as processed (expire after 24 hours)
-          await redisService.set(dedupeKey, '1', 86400);
-        }
-      } catch (redisError) {
-        Logger.warn('Redis deduplication check failed, continuing anyway', {
-          error: redisError.message
-        });
-      }
+          if (await this.isDuplicateEvent(event)) {
+            Logger.debug('Duplicate Instagram event ignored', {
+              sessionId: this.config.sessionId,
+              kind: event.kind,
+              eventId: event.id,
+              from: event.from
+            });
+            result.duplicates++;
+            continue;
+          }
 
-      Logger.debug('Instagram message received via webhook', {
-        sessionId: this.config.sessionId,
-        from: message.from,
-        messageId: message.id
-      });
+          Logger.debug('Instagram event received via webhook', {
+            sessionId: this.config.sessionId,
+            kind: event.kind,
+            from: event.from,
+            eventId: event.id
+          });
 
-      // Call all registered message handlers
-      for (const handler of this.messageHandlers) {
-        try {
-          await handler(message);
+          await this.dispatchEvent(event);
+          result.processed++;
         } catch (error) {
-          Logger.error('Error in message handler', {
+          // One bad item must not drop the rest of the batch
+          Logger.error('Error processing Instagram webhook event', {
+            sessionId: this.config.sessionId,
             error: error.message
           });
         }
       }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse one messaging item into a typed event
+   * @param {Object} messaging - Item of entry.messaging
+   * @returns {Object|null} Event, or null for unsupported items
+   */
+  parseMessagingEvent(messaging) {
+    if (!messaging?.sender?.id) {
+      return null;
+    }
+
+    const base = {
+      from: messaging.sender.id,
+      to: messaging.recipient?.id || null,
+      userId: messaging.sender.id,
+      timestamp: messaging.timestamp
+    };
+
+    if (messaging.message) {
+      const { message } = messaging;
+      const attachments = message.attachments || [];
+
+      if (message.is_deleted) {
+        return null;
+      }
+
+      if (message.is_echo) {
+        // Sent by the business account (by this agent or from the Instagram app)
+        return {
+          ...base,
+          kind: EVENT_KINDS.ECHO,
+          id: message.mid,
+          userId: base.to,
+          text: message.text || '',
+          appId: message.app_id || null,
+          isFromMe: true,
+          hasMedia: attachments.length > 0,
+          attachments
+        };
+      }
+
+      const storyMention = attachments.find(attachment => attachment.type === 'story_mention');
+      let kind = EVENT_KINDS.MESSAGE;
+      let story = null;
+
+      if (message.reply_to?.story) {
+        kind = EVENT_KINDS.STORY_REPLY;
+        story = {
+          interaction: 'reply',
+          id: message.reply_to.story.id || null,
+          url: message.reply_to.story.url || null
+        };
+      } else if (storyMention) {
+        kind = EVENT_KINDS.STORY_MENTION;
+        story = {
+          interaction: 'mention',
+          id: null,
+          url: storyMention.payload?.url || null
+        };
+      }
+
+      return {
+        ...base,
+        kind,
+        id: message.mid,
+        text: message.text || '',
+        isFromMe: false,
+        hasMedia: attachments.length > 0,
+        attachments,
+        story
+      };
+    }
+
+    if (messaging.read) {
+      return {
+        ...base,
+        kind: EVENT_KINDS.READ,
+        id: messaging.read.mid || null
+      };
+    }
+
+    if (messaging.reaction) {
+      return {
+        ...base,
+        kind: EVENT_KINDS.REACTION,
+        id: messaging.reaction.mid || null,
+        reaction: {
+          action: messaging.reaction.action,
+          reaction: messaging.reaction.reaction || null,
+          emoji: messaging.reaction.emoji || null
+        }
+      };
+    }
+
+    if (messaging.postback) {
+      return {
+        ...base,
+        kind: EVENT_KINDS.POSTBACK,
+        id: messaging.postback.mid || null,
+        postback: {
+          title: messaging.postback.title || null,
+          payload: messaging.postback.payload || null
+        }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check and mark an event as processed (Meta redelivers until it gets a 200)
+   * @param {Object} event - Parsed event
+   * @returns {Promise<boolean>} True if the event was already processed
+   */
+  async isDuplicateEvent(event) {
+    const isMessage = MESSAGE_EVENT_KINDS.includes(event.kind) || event.kind === EVENT_KINDS.ECHO;
+    const eventKey = isMessage
+      ? `msg:${event.id}`
+      : `evt:${event.kind}:${event.from}:${event.id}:${event.timestamp}`;
+
+    try {
+      return !(await MetaWebhookService.claimEvent(META_CHANNELS.INSTAGRAM, eventKey));
     } catch (error) {
-      Logger.error('Error processing Instagram webhook message', {
+      Logger.warn('Instagram deduplication check failed, continuing anyway', {
         error: error.message
       });
-      throw error;
+      return false;
+    }
+  }
+
+  /**
+   * Hand an event to its registered handler(s)
+   * Messages, story replies and story mentions go to the message handlers.
+   * @param {Object} event - Parsed event
+   */
+  async dispatchEvent(event) {
+    const handlers = MESSAGE_EVENT_KINDS.includes(event.kind)
+      ? this.messageHandlers
+      : [this.eventHandlers[event.kind]].filter(Boolean);
+
+    for (const handler of handlers) {
+      try {
+        await handler(event);
+      } catch (error) {
+        Logger.error('Error in Instagram event handler', {
+          kind: event.kind,
+          error: error.message
+        });
+      }
     }
   }
 
   /**
    * Verify webhook signature (for security)
+   * @param {Buffer|string} payload - Raw request body
+   * @param {string} signature - X-Hub-Signature-256 header
+   * @returns {boolean} True if the payload was signed with the connection's webhook secret
+   *   (or the Meta app secret when the connection has none)
    */
   verifyWebhookSignature(payload, signature) {
-    // Implement HMAC signature verification if webhook secret is provided
-    if (!this.webhookSecret) {
-      return true; // Skip verification if no secret configured
+    const secret = this.webhookSecret || config.meta.appSecret;
+
+    if (!secret) {
+      Logger.warn('No Instagram webhook secret configured, rejecting webhook', {
+        sessionId: this.config.sessionId
+      });
+      return false;
     }
 
-    // TODO: Implement HMAC verification
-    // For now, return true
-    return true;
+    return verifyMetaSignature(payload, signature, secret);
   }
 
   /**
@@ -421,4 +708,5 @@ class InstagramConnector extends BaseChatConnector {
 }
 
 module.exports = InstagramConnector;
+module.exports.EVENT_KINDS = EVENT_KINDS;
 
@@ -0,0 +1,601 @@
+const BaseChatConnector = require('./BaseChatConnector');
+const Logger = require('../utils/logger');
+const axios = require('axios');
+const redisService = require('../services/redisService');
+const MetaWebhookService = require('../services/metaWebhookService');
+const { CHANNELS: META_CHANNELS } = MetaWebhookService;
+const config = require('../../config/config');
+
+// Free-form messages are only allowed within 24 hours of the contact's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Message types that carry media
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+// Media message types that accept a caption
+const CAPTION_TYPES = ['image', 'video', 'document'];
+
+/**
+ * WhatsApp Cloud API Connector
+ * Implements chat operations for the official WhatsApp Business Cloud API.
+ * Stateless apart from the session windows, so it survives restarts: inbound messages
+ * arrive through the public Meta webhook and replies are sent over the Graph API.
+ *
+ * Incoming messages are normalized to the whatsapp-web.js message shape
+ * ({ id: { _serialized }, from, body, hasMedia, type, pushName }) so the
+ * existing WhatsApp service pipeline handles both connectors.
+ */
+class WhatsAppCloudConnector extends BaseChatConnector {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'whatsapp';
+    this.name = 'WhatsApp Cloud API';
+    this.provider = 'cloud_api';
+    this.phoneNumberId = config.phoneNumberId || null;
+    this.businessAccountId = config.businessAccountId || null;
+    this.accessToken = config.accessToken || null;
+    this.phoneInfo = null;
+    this.messageHandlers = [];
+    // waId -> timestamp of the last inbound message (fallback when Redis is unavailable)
+    this.sessionWindows = new Map();
+  }
+
+  /**
+   * Initialize the connector
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.verify - Verify the phone number ID and token with the Graph API (default: true)
+   */
+  async initialize({ verify = true } = {}) {
+    try {
+      if (!this.accessToken) {
+        throw new Error('WhatsApp Cloud API access token is required');
+      }
+
+      if (!this.phoneNumberId) {
+        throw new Error('WhatsApp Cloud API phone number ID is required');
+      }
+
+      if (verify) {
+        this.phoneInfo = await this.verifyConnection();
+      }
+
+      this.isConnected = true;
+      this.isActive = true;
+
+      Logger.info('WhatsApp Cloud API connector initialized', {
+        sessionId: this.config.sessionId,
+        phoneNumberId: this.phoneNumberId,
+        verified: verify
+      });
+
+      return true;
+    } catch (error) {
+      this.isActive = false;
+      this.isConnected = false;
+      Logger.error('Failed to initialize WhatsApp Cloud API connector', {
+        sessionId: this.config.sessionId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the phone number's details to verify the phone number ID and token
+   * @returns {Promise<Object>} { id, display_phone_number, verified_name, quality_rating }
+   */
+  async verifyConnection() {
+    try {
+      const response = await axios.get(this.graphUrl(this.phoneNumberId), {
+        params: {
+          fields: 'id,display_phone_number,verified_name,quality_rating'
+        },
+        headers: this.authHeaders()
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  /**
+   * The Cloud API has no QR login; the connection is configured with credentials
+   */
+  async generateQR() {
+    return this.formatSuccess({
+      qrCode: null,
+      qrCodeDataUrl: null,
+      message: 'The WhatsApp Cloud API does not use QR codes',
+      alreadyConnected: this.isConnected
+    }, 'generateQR');
+  }
+
+  /**
+   * Get connection status
+   */
+  async getConnectionStatus() {
+    return this.formatSuccess({
+      isConnected: this.isConnected,
+      isActive: this.isActive,
+      hasQR: false,
+      qrCodeDataUrl: null,
+      provider: this.provider,
+      phoneNumberId: this.phoneNumberId,
+      phoneNumber: this.getDisplayPhoneNumber(),
+      pushname: this.phoneInfo?.verified_name || null,
+      platform: 'cloud_api',
+      qualityRating: this.phoneInfo?.quality_rating || null
+    }, 'getConnectionStatus');
+  }
+
+  /**
+   * Disconnect from the Cloud API
+   */
+  async disconnect() {
+    this.isConnected = false;
+    this.isActive = false;
+    this.accessToken = null;
+    this.messageHandlers = [];
+    this.sessionWindows.clear();
+
+    Logger.info('WhatsApp Cloud API connector disconnected', {
+      sessionId: this.config.sessionId
+    });
+
+    return this.formatSuccess({
+      message: 'WhatsApp disconnected successfully'
+    }, 'disconnect');
+  }
+
+  /**
+   * Send a free-form text message
+   * Only allowed while the contact's 24-hour session window is open; outside it
+   * the error has code SESSION_WINDOW_CLOSED and a template must be sent instead.
+   */
+  async sendMessage(to, message, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('WhatsApp is not connected');
+    }
+
+    const waId = WhatsAppCloudConnector.toWaId(to);
+    const sessionWindow = await this.getSessionWindow(waId);
+
+    if (!sessionWindow.open) {
+      const error = new Error(`The 24-hour session window with ${waId} is closed. Send a template message instead.`);
+      error.code = 'SESSION_WINDOW_CLOSED';
+      error.sessionWindow = sessionWindow;
+      throw error;
+    }
+
+    const messageId = await this.postMessage({
+      to: waId,
+      type: 'text',
+      text: {
+        body: message,
+        preview_url: !!options.previewUrl
+      }
+    });
+
+    Logger.info('WhatsApp Cloud API message sent', {
+      sessionId: this.config.sessionId,
+      to: waId,
+      messageId
+    });
+
+    return this.formatSuccess({
+      messageId,
+      to: waId,
+      message,
+      timestamp: Date.now()
+    }, 'sendMessage');
+  }
+
+  /**
+   * Send an approved template message (allowed outside the session window)
+   * @param {string} to - Recipient phone number
+   * @param {Object} template - { name, language, components }
+   */
+  async sendTemplate(to, template) {
+    if (!this.isConnected) {
+      throw new Error('WhatsApp is not connected');
+    }
+
+    const waId = WhatsAppCloudConnector.toWaId(to);
+    const messageId = await this.postMessage({
+      to: waId,
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: template.language || 'en_US' },
+        ...(template.components ? { components: template.components } : {})
+      }
+    });
+
+    Logger.info('WhatsApp Cloud API template sent', {
+      sessionId: this.config.sessionId,
+      to: waId,
+      template: template.name,
+      messageId
+    });
+
+    return this.formatSuccess({
+      messageId,
+      to: waId,
+      template: template.name,
+      timestamp: Date.now()
+    }, 'sendTemplate');
+  }
+
+  /**
+   * Send a media message (only within the 24-hour session window)
+   * @param {string} to - Recipient phone number
+   * @param {Object} media - { buffer, mimeType, filename } (uploaded first) or { url, filename }
+   * @param {Object} options - { caption, kind }
+   */
+  async sendMedia(to, media, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('WhatsApp is not connected');
+    }
+
+    const waId = WhatsAppCloudConnector.toWaId(to);
+    const sessionWindow = await this.getSessionWindow(waId);
+
+    if (!sessionWindow.open) {
+      const error = new Error(`The 24-hour session window with ${waId} is closed. Send a template message instead.`);
+      error.code = 'SESSION_WINDOW_CLOSED';
+      error.sessionWindow = sessionWindow;
+      throw error;
+    }
+
+    // Voice notes are sent as audio; the Cloud API has no separate type for them
+    const type = MEDIA_TYPES.includes(options.kind) ? options.kind : options.kind === 'voice' ? 'audio' : 'document';
+    const mediaObject = media.buffer
+      ? { id: await this.uploadMedia(media) }
+      : { link: media.url };
+
+    if (options.caption && CAPTION_TYPES.includes(type)) {
+      mediaObject.caption = options.caption;
+    }
+    if (type === 'document' && media.filename) {
+      mediaObject.filename = media.filename;
+    }
+
+    const messageId = await this.postMessage({
+      to: waId,
+      type,
+      [type]: mediaObject
+    });
+
+    Logger.info('WhatsApp Cloud API media message sent', {
+      sessionId: this.config.sessionId,
+      to: waId,
+      type,
+      messageId
+    });
+
+    return this.formatSuccess({
+      messageId,
+      to: waId,
+      kind: options.kind,
+      caption: options.caption || null,
+      timestamp: Date.now()
+    }, 'sendMedia');
+  }
+
+  /**
+   * Upload a file to the phone number's media store
+   * @param {Object} media - { buffer, mimeType, filename }
+   * @returns {Promise<string>} Media ID
+   */
+  async uploadMedia(media) {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', media.mimeType);
+    form.append('file', new Blob([media.buffer], { type: media.mimeType }), media.filename || 'file');
+
+    try {
+      const response = await axios.post(this.graphUrl(`${this.phoneNumberId}/media`), form, {
+        headers: this.authHeaders()
+      });
+      return response.data.id;
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  /**
+   * Download the media of an incoming message.
+   * The webhook only carries a media ID; its URL is looked up first and needs the access token.
+   * @param {Object} message - Normalized message (message.media from normalizeMessage)
+   * @returns {Promise<Object|null>} { buffer, mimeType, filename }
+   */
+  async downloadMedia(message) {
+    if (!message.media?.id) {
+      return null;
+    }
+
+    try {
+      const { data: mediaInfo } = await axios.get(this.graphUrl(message.media.id), {
+        headers: this.authHeaders()
+      });
+
+      const response = await axios.get(mediaInfo.url, {
+        headers: this.authHeaders(),
+        responseType: 'arraybuffer',
+        maxContentLength: config.chatMedia.maxBytes
+      });
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: mediaInfo.mime_type || message.media.mime_type,
+        filename: message.media.filename || null
+      };
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  /**
+   * Register a message handler
+   * Only one handler can be registered at a time - new handler replaces old ones
+   */
+  async onMessage(callback) {
+    try {
+      if (typeof callback !== 'function') {
+        throw new Error('Callback must be a function');
+      }
+
+      this.messageHandlers = [callback];
+
+      return this.formatSuccess({
+        message: 'Message handler registered successfully',
+        handlerCount: this.messageHandlers.length
+      }, 'onMessage');
+    } catch (error) {
+      return this.handleError(error, 'onMessage');
+    }
+  }
+
+  /**
+   * The Cloud API does not expose message history; it is read from the chats collection
+   */
+  async getChatHistory(chatId, options = {}) {
+    return this.handleError(new Error('Chat history is not available through the WhatsApp Cloud API'), 'getChatHistory');
+  }
+
+  /**
+   * Process the value of a "messages" webhook change
+   * @param {Object} value - change.value ({ metadata, contacts, messages, statuses })
+   * @returns {Promise<Object>} { processed, duplicates, statuses }
+   */
+  async processWebhookValue(value) {
+    const result = { processed: 0, duplicates: 0, statuses: 0 };
+    const contacts = value?.contacts || [];
+
+    for (const rawMessage of value?.messages || []) {
+      try {
+        const contact = contacts.find(c => c.wa_id === rawMessage.from);
+        const message = WhatsAppCloudConnector.normalizeMessage(rawMessage, contact);
+
+        if (await this.isDuplicateMessage(message.id._serialized)) {
+          result.duplicates++;
+          continue;
+        }
+
+        // Every inbound message opens (or extends) the session window
+        await this.markSessionWindow(message.from, message.timestamp * 1000);
+
+        for (const handler of this.messageHandlers) {
+          try {
+            await handler(message);
+          } catch (error) {
+            Logger.error('Error in message handler', {
+              error: error.message
+            });
+          }
+        }
+        result.processed++;
+      } catch (error) {
+        Logger.error('Error processing WhatsApp Cloud API message', {
+          sessionId: this.config.sessionId,
+          error: error.message
+        });
+      }
+    }
+
+    for (const status of value?.statuses || []) {
+      result.statuses++;
+      if (status.status === 'failed') {
+        Logger.warn('WhatsApp Cloud API message delivery failed', {
+          sessionId: this.config.sessionId,
+          messageId: status.id,
+          recipient: status.recipient_id,
+          errors: status.errors
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the 24-hour session window of a contact
+   * @param {string} waId - Contact's WhatsApp ID (phone number digits)
+   * @returns {Promise<Object>} { open, lastInboundAt, expiresAt }
+   */
+  async getSessionWindow(waId) {
+    let lastInboundAt = this.sessionWindows.get(waId) || null;
+
+    try {
+      if (redisService.isConnected) {
+        const stored = await redisService.get(this.sessionWindowKey(waId));
+        if (stored) {
+          lastInboundAt = Math.max(lastInboundAt || 0, stored);
+        }
+      }
+    } catch (error) {
+      Logger.warn('Failed to read WhatsApp session window', {
+        waId,
+        error: error.message
+      });
+    }
+
+    const expiresAt = lastInboundAt ? lastInboundAt + SESSION_WINDOW_MS : null;
+
+    return {
+      open: !!expiresAt && expiresAt > Date.now(),
+      lastInboundAt: lastInboundAt ? new Date(lastInboundAt) : null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    };
+  }
+
+  /**
+   * Record an inbound message for the session window
+   * @param {string} waId - Contact's WhatsApp ID
+   * @param {number} timestampMs - Message time in milliseconds
+   */
+  async markSessionWindow(waId, timestampMs) {
+    const lastInboundAt = Math.min(timestampMs || Date.now(), Date.now());
+    this.sessionWindows.set(waId, Math.max(this.sessionWindows.get(waId) || 0, lastInboundAt));
+
+    try {
+      if (redisService.isConnected) {
+        await redisService.set(this.sessionWindowKey(waId), lastInboundAt, Math.ceil(SESSION_WINDOW_MS / 1000));
+      }
+    } catch (error) {
+      Logger.warn('Failed to store WhatsApp session window', {
+        waId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check and mark a message as processed (Meta redelivers until it gets a 200)
+   * @param {string} messageId - wamid
+   * @returns {Promise<boolean>} True if the message was already processed
+   */
+  async isDuplicateMessage(messageId) {
+    try {
+      return !(await MetaWebhookService.claimEvent(META_CHANNELS.WHATSAPP, `msg:${messageId}`));
+    } catch (error) {
+      Logger.warn('WhatsApp deduplication check failed, continuing anyway', {
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * POST a message to the Graph API
+   * @param {Object} payload - Message payload without messaging_product
+   * @returns {Promise<string>} wamid of the sent message
+   */
+  async postMessage(payload) {
+    try {
+      const response = await axios.post(
+        this.graphUrl(`${this.phoneNumberId}/messages`),
+        {
+          messaging_product: 'whatsapp',
+          recipient_type: 'individual',
+          ...payload
+        },
+        { headers: this.authHeaders() }
+      );
+
+      return response.data.messages?.[0]?.id || null;
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  /**
+   * Convert an axios error into an "API error" the controllers understand
+   */
+  toApiError(error) {
+    if (error.response) {
+      const apiError = error.response.data?.error || {};
+      Logger.error('WhatsApp Cloud API error', {
+        sessionId: this.config.sessionId,
+        status: error.response.status,
+        code: apiError.code,
+        message: apiError.message
+      });
+
+      // 190: invalid or expired access token
+      if (error.response.status === 401 || apiError.code === 190) {
+        return new Error('WhatsApp Cloud API authentication failed: invalid access token');
+      }
+      return new Error(`WhatsApp Cloud API error: ${apiError.message || error.message}`);
+    }
+    return error;
+  }
+
+  graphUrl(path) {
+    return `https://graph.facebook.com/${config.meta.graphApiVersion}/${path}`;
+  }
+
+  authHeaders() {
+    return { Authorization: `Bearer ${this.accessToken}` };
+  }
+
+  sessionWindowKey(waId) {
+    return `whatsapp:cloud:window:${this.phoneNumberId}:${waId}`;
+  }
+
+  getDisplayPhoneNumber() {
+    const display = this.phoneInfo?.display_phone_number || this.config.displayPhoneNumber || null;
+    return display ? display.replace(/\D/g, '') : null;
+  }
+
+  /**
+   * Convert a phone number or chat ID to a WhatsApp ID (digits only)
+   * @param {string} to - "+1 415 555 1234", "14155551234" or "14155551234@c.us"
+   * @returns {string} WhatsApp ID
+   */
+  static toWaId(to) {
+    return String(to).replace('@c.us', '').replace(/\D/g, '');
+  }
+
+  /**
+   * Normalize a Cloud API message to the whatsapp-web.js message shape
+   * @param {Object} rawMessage - Item of value.messages
+   * @param {Object} [contact] - Matching item of value.contacts
+   * @returns {Object} Message
+   */
+  static normalizeMessage(rawMessage, contact) {
+    const { type } = rawMessage;
+    let body = '';
+
+    if (type === 'text') {
+      body = rawMessage.text?.body || '';
+    } else if (type === 'interactive') {
+      const reply = rawMessage.interactive?.button_reply || rawMessage.interactive?.list_reply;
+      body = reply?.title || '';
+    } else if (type === 'button') {
+      body = rawMessage.button?.text || rawMessage.button?.payload || '';
+    } else if (MEDIA_TYPES.includes(type)) {
+      body = rawMessage[type]?.caption || '';
+    } else if (type === 'location') {
+      const { latitude, longitude, name } = rawMessage.location || {};
+      body = `[location${name ? `: ${name}` : ''} ${latitude},${longitude}]`;
+    }
+
+    return {
+      id: { _serialized: rawMessage.id },
+      from: rawMessage.from,
+      body,
+      // Voice notes use the whatsapp-web.js "ptt" type
+      type: type === 'audio' && rawMessage.audio?.voice ? 'ptt' : type,
+      hasMedia: MEDIA_TYPES.includes(type),
+      media: MEDIA_TYPES.includes(type) ? rawMessage[type] : null,
+      timestamp: parseInt(rawMessage.timestamp, 10) || Math.floor(Date.now() / 1000),
+      pushName: contact?.profile?.name || null,
+      context: rawMessage.context || null
+    };
+  }
+}
+
+module.exports = WhatsAppCloudConnector;
+module.exports.SESSION_WINDOW_MS = SESSION_WINDOW_MS;
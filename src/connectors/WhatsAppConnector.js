@@ -1,10 +1,11 @@
 const BaseChatConnector = require('./BaseChatConnector');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const QRCode = require('qrcode');
 const Logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs').promises;
 const redisService = require('../services/redisService');
+const ChatMediaService = require('../services/chatMediaService');
 
 /**
  * WhatsApp Connector
@@ -689,6 +690,73 @@ class WhatsAppConnector extends BaseChatConnector {
     }
   }
 
+  /**
+   * Send a media message
+   * @param {string} to - Recipient phone number or chat ID
+   * @param {Object} media - { buffer, mimeType, filename } or { url, filename }
+   * @param {Object} options - { caption, kind } (kind "voice" sends audio as a voice note)
+   */
+  async sendMedia(to, media, options = {}) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('WhatsApp is not connected');
+      }
+
+      let chatId = to;
+      if (!to.includes('@')) {
+        chatId = `${to}@c.us`;
+      }
+
+      // Media sent by URL is downloaded here (public hosts only, within the size limit)
+      const file = media.buffer ? media : await ChatMediaService.fetchRemoteMedia(media.url, { filename: media.filename });
+      if (!file.mimeType) {
+        throw new Error('Media URL did not return a content type');
+      }
+      const messageMedia = new MessageMedia(file.mimeType, file.buffer.toString('base64'), file.filename || null);
+
+      const sentMessage = await this.client.sendMessage(chatId, messageMedia, {
+        caption: options.caption || undefined,
+        sendAudioAsVoice: options.kind === 'voice',
+        sendMediaAsDocument: options.kind === 'document'
+      });
+
+      Logger.info('WhatsApp media message sent', {
+        sessionId: this.config.sessionId,
+        to: chatId,
+        kind: options.kind,
+        messageId: sentMessage.id._serialized
+      });
+
+      return this.formatSuccess({
+        messageId: sentMessage.id._serialized,
+        to: chatId,
+        kind: options.kind,
+        caption: options.caption || null,
+        timestamp: sentMessage.timestamp
+      }, 'sendMedia');
+    } catch (error) {
+      return this.handleError(error, 'sendMedia');
+    }
+  }
+
+  /**
+   * Download the media of an incoming message
+   * @param {Object} message - whatsapp-web.js message
+   * @returns {Promise<Object|null>} { buffer, mimeType, filename }, or null if the media is no longer available
+   */
+  async downloadMedia(message) {
+    const media = await message.downloadMedia();
+    if (!media || !media.data) {
+      return null;
+    }
+
+    return {
+      buffer: Buffer.from(media.data, 'base64'),
+      mimeType: media.mimetype,
+      filename: media.filename || null
+    };
+  }
+
   /**
    * Register a message handler
    * Only one handler can be registered at a time - new handler replaces old ones
@@ -0,0 +1,384 @@
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('../services/connectionPoolManager');
+const retellService = require('../services/retellService');
+const redisService = require('../services/redisService');
+const LlmRevisionService = require('../services/llmRevisionService');
+const { REVISION_SOURCES } = LlmRevisionService;
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const DatabaseController = require('./databaseController');
+const Retell = require('../utils/retell');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Per agent type settings (voice agents live in `agents`, chat agents in `chatagents`)
+ */
+const AGENT_TYPE_SETTINGS = {
+  voice: {
+    collectionName: 'agents',
+    label: 'Agent',
+    notFoundCode: 'AGENT_NOT_FOUND',
+    activityType: ACTIVITY_TYPES.AGENT_UPDATED,
+    category: ACTIVITY_CATEGORIES.AGENT
+  },
+  chat: {
+    collectionName: 'chatagents',
+    label: 'Chat agent',
+    notFoundCode: 'CHAT_AGENT_NOT_FOUND',
+    activityType: ACTIVITY_TYPES.CHAT_AGENT_UPDATED,
+    category: ACTIVITY_CATEGORIES.CHAT_AGENT
+  }
+};
+
+class AgentRevisionController {
+  /**
+   * GET /api/database/:subaccountId/agents/:agentId/revisions
+   */
+  static async getAgentRevisions(req, res, next) {
+    return AgentRevisionController.listRevisions(req, res, 'voice');
+  }
+
+  /**
+   * GET /api/database/:subaccountId/chat-agents/:agentId/revisions
+   */
+  static async getChatAgentRevisions(req, res, next) {
+    return AgentRevisionController.listRevisions(req, res, 'chat');
+  }
+
+  /**
+   * GET /api/database/:subaccountId/agents/:agentId/revisions/diff?from=&to=
+   */
+  static async getAgentRevisionDiff(req, res, next) {
+    return AgentRevisionController.diffRevisions(req, res, 'voice');
+  }
+
+  /**
+   * GET /api/database/:subaccountId/chat-agents/:agentId/revisions/diff?from=&to=
+   */
+  static async getChatAgentRevisionDiff(req, res, next) {
+    return AgentRevisionController.diffRevisions(req, res, 'chat');
+  }
+
+  /**
+   * POST /api/database/:subaccountId/agents/:agentId/revisions/:revision/restore
+   */
+  static async restoreAgentRevision(req, res, next) {
+    return AgentRevisionController.restoreRevision(req, res, 'voice');
+  }
+
+  /**
+   * POST /api/database/:subaccountId/chat-agents/:agentId/revisions/:revision/restore
+   */
+  static async restoreChatAgentRevision(req, res, next) {
+    return AgentRevisionController.restoreRevision(req, res, 'chat');
+  }
+
+  /**
+   * Find the agent document for the given agent type
+   */
+  static async findAgent(connection, agentType, subaccountId, agentId) {
+    const { collectionName } = AGENT_TYPE_SETTINGS[agentType];
+    return connection.db.collection(collectionName).findOne({ agentId, subaccountId });
+  }
+
+  static async listRevisions(req, res, agentType) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+    const settings = AGENT_TYPE_SETTINGS[agentType];
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+      Logger.info('Fetching LLM revisions', {
+        operationId,
+        subaccountId,
+        userId,
+        agentId,
+        agentType
+      });
+
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+      const agentDocument = await AgentRevisionController.findAgent(connectionInfo.connection, agentType, subaccountId, agentId);
+
+      if (!agentDocument) {
+        return res.status(404).json({
+          success: false,
+          message: `${settings.label} not found`,
+          code: settings.notFoundCode
+        });
+      }
+
+      const { revisions, total } = await LlmRevisionService.listRevisions(subaccountId, userId, agentId, { limit, skip });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Revisions retrieved successfully',
+        data: {
+          agentId,
+          llmId: agentDocument.llmId,
+          revisions,
+          pagination: {
+            total,
+            count: revisions.length,
+            limit,
+            skip,
+            hasMore: (skip + revisions.length) < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'listRevisions', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  static async diffRevisions(req, res, agentType) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+    const settings = AGENT_TYPE_SETTINGS[agentType];
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+      const fromRevision = parseInt(req.query.from);
+      const toRevision = parseInt(req.query.to);
+
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+      const agentDocument = await AgentRevisionController.findAgent(connectionInfo.connection, agentType, subaccountId, agentId);
+
+      if (!agentDocument) {
+        return res.status(404).json({
+          success: false,
+          message: `${settings.label} not found`,
+          code: settings.notFoundCode
+        });
+      }
+
+      const [from, to] = await Promise.all([
+        LlmRevisionService.getRevision(subaccountId, userId, agentId, fromRevision),
+        LlmRevisionService.getRevision(subaccountId, userId, agentId, toRevision)
+      ]);
+
+      if (!from || !to) {
+        return res.status(404).json({
+          success: false,
+          message: `Revision ${!from ? fromRevision : toRevision} not found`,
+          code: 'REVISION_NOT_FOUND'
+        });
+      }
+
+      const summarize = (revision) => ({
+        revision: revision.revision,
+        source: revision.source,
+        createdBy: revision.createdBy,
+        createdAt: revision.createdAt,
+        operationId: revision.operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Revision diff computed successfully',
+        data: {
+          agentId,
+          from: summarize(from),
+          to: summarize(to),
+          diff: LlmRevisionService.diffConfigs(from.config, to.config)
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'diffRevisions', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  static async restoreRevision(req, res, agentType) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+    const settings = AGENT_TYPE_SETTINGS[agentType];
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const revisionNumber = parseInt(req.params.revision);
+      const userId = req.user.id;
+
+      Logger.info('Restoring LLM revision', {
+        operationId,
+        subaccountId,
+        userId,
+        agentId,
+        agentType,
+        revision: revisionNumber
+      });
+
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+      const { connection } = connectionInfo;
+
+      const agentDocument = await AgentRevisionController.findAgent(connection, agentType, subaccountId, agentId);
+
+      if (!agentDocument) {
+        return res.status(404).json({
+          success: false,
+          message: `${settings.label} not found`,
+          code: settings.notFoundCode
+        });
+      }
+
+      const llmId = agentDocument.llmId;
+
+      if (!llmId) {
+        return res.status(400).json({
+          success: false,
+          message: `${settings.label} does not have an associated LLM`,
+          code: 'NO_LLM_FOUND'
+        });
+      }
+
+      const revision = await LlmRevisionService.getRevision(subaccountId, userId, agentId, revisionNumber);
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: `Revision ${revisionNumber} not found`,
+          code: 'REVISION_NOT_FOUND'
+        });
+      }
+
+      const retellAccountData = await retellService.getRetellAccount(subaccountId);
+
+      if (!retellAccountData.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Retell account is not active',
+          code: 'RETELL_ACCOUNT_INACTIVE'
+        });
+      }
+
+      const retell = new Retell(retellAccountData.apiKey, retellAccountData);
+
+      // Snapshot the current configuration so the restore itself becomes a revision
+      const llmsCollection = connection.db.collection('llms');
+      const currentLlmDocument = await llmsCollection.findOne({ llmId, subaccountId });
+      const previousConfig = LlmRevisionService.extractConfig(currentLlmDocument, agentDocument);
+
+      // Push the old configuration back to Retell
+      const llmUpdates = LlmRevisionService.toRetellUpdates(revision.config);
+
+      try {
+        await retell.updateLLM(llmId, llmUpdates);
+      } catch (error) {
+        throw new Error(`Failed to update LLM in Retell: ${error.message}`);
+      }
+
+      const restoredFields = {
+        updatedAt: new Date(),
+        updatedBy: userId
+      };
+      Object.entries(revision.config).forEach(([field, value]) => {
+        if (value !== null && value !== undefined) {
+          restoredFields[field] = value;
+        }
+      });
+
+      await llmsCollection.updateOne(
+        { llmId, subaccountId },
+        { $set: restoredFields }
+      );
+
+      await connection.db.collection(settings.collectionName).updateOne(
+        { agentId, subaccountId },
+        { $set: restoredFields }
+      );
+
+      const newRevision = await DatabaseController.recordLlmRevision({
+        subaccountId,
+        userId,
+        agentId,
+        agentType,
+        llmId,
+        previousConfig,
+        changes: revision.config,
+        operationId,
+        source: REVISION_SOURCES.RESTORE,
+        restoredFrom: revision.revision
+      });
+
+      try {
+        await redisService.invalidateAgentDetails(subaccountId, agentId);
+      } catch (cacheError) {
+        Logger.warn('Failed to invalidate agent details cache', {
+          operationId,
+          error: cacheError.message
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: settings.activityType,
+        category: settings.category,
+        userId,
+        description: `${settings.label} "${agentDocument.name}" restored to revision ${revision.revision}`,
+        metadata: {
+          agentId,
+          agentName: agentDocument.name,
+          llmId,
+          restoredFrom: revision.revision,
+          revision: newRevision ? newRevision.revision : null
+        },
+        resourceId: agentId,
+        resourceName: agentDocument.name,
+        operationId,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      Logger.info('LLM revision restored', {
+        operationId,
+        agentId,
+        llmId,
+        restoredFrom: revision.revision,
+        duration: `${duration}ms`
+      });
+
+      res.json({
+        success: true,
+        message: `Revision ${revision.revision} restored successfully`,
+        data: {
+          agentId,
+          llmId,
+          restoredFrom: revision.revision,
+          revision: newRevision ? newRevision.revision : null,
+          config: revision.config,
+          changed: !!newRevision
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'restoreRevision', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+}
+
+module.exports = AgentRevisionController;
@@ -0,0 +1,328 @@
+const Logger = require('../utils/logger');
+const AgentTemplateService = require('../services/agentTemplateService');
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const { v4: uuidv4 } = require('uuid');
+
+class AgentTemplateController {
+  /**
+   * List agent templates (built-in default plus subaccount templates)
+   * GET /api/database/:subaccountId/agent-templates
+   */
+  static async getTemplates(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+
+      Logger.info('Fetching agent templates', {
+        operationId,
+        subaccountId,
+        userId
+      });
+
+      const templates = await AgentTemplateService.listTemplates(subaccountId, userId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Agent templates retrieved successfully',
+        data: {
+          templates,
+          count: templates.length
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await AgentTemplateController.handleError(error, req, operationId, 'getTemplates', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get a single agent template
+   * GET /api/database/:subaccountId/agent-templates/:templateId
+   */
+  static async getTemplate(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, templateId } = req.params;
+      const userId = req.user.id;
+
+      const template = await AgentTemplateService.getTemplate(subaccountId, userId, templateId);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Agent template retrieved successfully',
+        data: template,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await AgentTemplateController.handleError(error, req, operationId, 'getTemplate', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Create an agent template
+   * POST /api/database/:subaccountId/agent-templates
+   */
+  static async createTemplate(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+
+      Logger.info('Creating agent template', {
+        operationId,
+        subaccountId,
+        userId,
+        name: req.body.name
+      });
+
+      const existing = await AgentTemplateService.findTemplateByName(subaccountId, userId, req.body.name);
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'An agent template with this name already exists',
+          code: 'TEMPLATE_NAME_EXISTS'
+        });
+      }
+
+      const template = await AgentTemplateService.createTemplate(subaccountId, userId, req.body);
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.AGENT_TEMPLATE_CREATED,
+        category: ACTIVITY_CATEGORIES.AGENT,
+        userId,
+        description: `Agent template "${template.name}" created`,
+        metadata: {
+          templateId: template.templateId,
+          templateName: template.name
+        },
+        resourceId: template.templateId,
+        resourceName: template.name,
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.status(201).json({
+        success: true,
+        message: 'Agent template created successfully',
+        data: template,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await AgentTemplateController.handleError(error, req, operationId, 'createTemplate', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Update an agent template
+   * PATCH /api/database/:subaccountId/agent-templates/:templateId
+   */
+  static async updateTemplate(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, templateId } = req.params;
+      const userId = req.user.id;
+
+      if (templateId === AgentTemplateService.DEFAULT_AGENT_TEMPLATE.templateId) {
+        return res.status(400).json({
+          success: false,
+          message: 'The built-in template cannot be modified',
+          code: 'TEMPLATE_READ_ONLY'
+        });
+      }
+
+      if (req.body.name) {
+        const existing = await AgentTemplateService.findTemplateByName(subaccountId, userId, req.body.name);
+
+        if (existing && existing.templateId !== templateId) {
+          return res.status(409).json({
+            success: false,
+            message: 'An agent template with this name already exists',
+            code: 'TEMPLATE_NAME_EXISTS'
+          });
+        }
+      }
+
+      const template = await AgentTemplateService.updateTemplate(subaccountId, userId, templateId, req.body);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.AGENT_TEMPLATE_UPDATED,
+        category: ACTIVITY_CATEGORIES.AGENT,
+        userId,
+        description: `Agent template "${template.name}" updated`,
+        metadata: {
+          templateId,
+          templateName: template.name,
+          updatedFields: Object.keys(req.body)
+        },
+        resourceId: templateId,
+        resourceName: template.name,
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Agent template updated successfully',
+        data: template,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await AgentTemplateController.handleError(error, req, operationId, 'updateTemplate', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Delete an agent template
+   * DELETE /api/database/:subaccountId/agent-templates/:templateId
+   *
+   * Agents already created from the template keep their Retell configuration.
+   */
+  static async deleteTemplate(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, templateId } = req.params;
+      const userId = req.user.id;
+
+      if (templateId === AgentTemplateService.DEFAULT_AGENT_TEMPLATE.templateId) {
+        return res.status(400).json({
+          success: false,
+          message: 'The built-in template cannot be deleted',
+          code: 'TEMPLATE_READ_ONLY'
+        });
+      }
+
+      const deleted = await AgentTemplateService.deleteTemplate(subaccountId, userId, templateId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.AGENT_TEMPLATE_DELETED,
+        category: ACTIVITY_CATEGORIES.AGENT,
+        userId,
+        description: 'Agent template deleted',
+        metadata: { templateId },
+        resourceId: templateId,
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Agent template deleted successfully',
+        data: { templateId },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await AgentTemplateController.handleError(error, req, operationId, 'deleteTemplate', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  static async handleError(error, req, operationId, operation, startTime) {
+    const duration = Date.now() - startTime;
+
+    Logger.error(`Agent template operation failed: ${operation}`, {
+      operationId,
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.id,
+      subaccountId: req.params?.subaccountId,
+      duration: `${duration}ms`
+    });
+
+    let statusCode = 500;
+    let errorCode = 'AGENT_TEMPLATE_ERROR';
+    let message = 'An internal error occurred while processing agent template request';
+
+    if (error.message.includes('Failed to create connection pool')) {
+      statusCode = 503;
+      errorCode = 'CONNECTION_FAILED';
+      message = 'Unable to connect to the database.';
+    }
+
+    return {
+      statusCode,
+      response: {
+        success: false,
+        message,
+        code: errorCode,
+        meta: {
+          operationId,
+          operation,
+          duration: `${duration}ms`
+        }
+      }
+    };
+  }
+}
+
+module.exports = AgentTemplateController;
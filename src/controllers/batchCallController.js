@@ -0,0 +1,333 @@
+const Logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+const connectionPoolManager = require('../services/connectionPoolManager');
+const BatchCallService = require('../services/batchCallService');
+const ScheduledCallService = require('../services/scheduledCallService');
+const BatchCallImportService = require('../services/batchCallImportService');
+const SuppressionService = require('../services/suppressionService');
+const { CHANNELS } = SuppressionService;
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const CallController = require('./callController');
+
+class BatchCallController {
+  /**
+   * List batch call campaigns with progress counters
+   * GET /api/calls/:subaccountId/batch-calls
+   */
+  static async getBatchCalls(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+      const { status } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+      const { campaigns, total } = await BatchCallService.listCampaigns(subaccountId, userId, { status, limit, skip });
+
+      const duration = Date.now() - startTime;
+
+      return res.json({
+        success: true,
+        message: 'Batch calls retrieved successfully',
+        data: {
+          batchCalls: campaigns,
+          pagination: {
+            total,
+            count: campaigns.length,
+            limit,
+            skip,
+            hasMore: (skip + campaigns.length) < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'getBatchCalls', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get a batch call campaign with per-task status
+   * GET /api/calls/:subaccountId/batch-calls/:batchId
+   */
+  static async getBatchCall(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, batchId } = req.params;
+      const userId = req.user.id;
+      const { taskStatus } = req.query;
+
+      const campaign = await BatchCallService.getCampaign(subaccountId, userId, batchId);
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch call not found',
+          code: 'BATCH_CALL_NOT_FOUND'
+        });
+      }
+
+      if (taskStatus) {
+        campaign.tasks = campaign.tasks.filter(task => task.status === taskStatus);
+      }
+
+      const duration = Date.now() - startTime;
+
+      return res.json({
+        success: true,
+        message: 'Batch call retrieved successfully',
+        data: campaign,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'getBatchCall', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Cancel the tasks of a campaign that have not been dialed yet
+   * POST /api/calls/:subaccountId/batch-calls/:batchId/cancel
+   */
+  static async cancelBatchCall(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, batchId } = req.params;
+      const userId = req.user.id;
+
+      Logger.info('Cancelling batch call', {
+        operationId,
+        subaccountId,
+        userId,
+        batchId
+      });
+
+      const result = await BatchCallService.cancelCampaign(subaccountId, userId, batchId);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch call not found',
+          code: 'BATCH_CALL_NOT_FOUND'
+        });
+      }
+
+      if (result.alreadyFinished) {
+        return res.status(409).json({
+          success: false,
+          message: `Batch call is already ${result.campaign.status}`,
+          code: 'BATCH_CALL_ALREADY_FINISHED'
+        });
+      }
+
+      if (result.notCancellable) {
+        return res.status(409).json({
+          success: false,
+          message: 'Batch call was submitted to Retell as one batch and cannot be stopped',
+          code: 'BATCH_CALL_NOT_CANCELLABLE'
+        });
+      }
+
+      await ScheduledCallService.cancelBatch(subaccountId, userId, batchId);
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.BATCH_CALL_CANCELLED,
+        category: ACTIVITY_CATEGORIES.CALL,
+        userId,
+        description: `Bulk call "${result.campaign.name || 'Unnamed'}" was cancelled (${result.cancelledCount} calls not dialed)`,
+        metadata: {
+          batchCallId: batchId,
+          cancelledCount: result.cancelledCount,
+          progress: result.campaign.progress
+        },
+        resourceId: batchId,
+        resourceName: `Batch Call - ${result.campaign.name || 'Unnamed'}`,
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      return res.json({
+        success: true,
+        message: 'Batch call cancelled successfully',
+        data: {
+          ...result.campaign,
+          cancelledCount: result.cancelledCount
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'cancelBatchCall', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Import batch call tasks from a CSV upload.
+   * Returns a validation report (dry run, the default) or schedules the batch with dryRun=false.
+   * POST /api/calls/:subaccountId/batch-call/import
+   */
+  static async importBatchCall(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+      const csvFile = req.files?.file?.[0];
+      const exclusionFile = req.files?.exclusionList?.[0];
+      const { from_number, name, trigger_timestamp, defaultCountryCode, defaultAgentId } = req.body;
+      const dryRun = String(req.body.dryRun) !== 'false';
+
+      if (!csvFile) {
+        return res.status(400).json({
+          success: false,
+          message: 'A CSV file is required (field "file")',
+          code: 'FILE_REQUIRED'
+        });
+      }
+
+      let mapping = null;
+      if (req.body.mapping) {
+        try {
+          mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+        } catch (parseError) {
+          return res.status(400).json({
+            success: false,
+            message: 'mapping must be valid JSON',
+            code: 'INVALID_MAPPING'
+          });
+        }
+      }
+
+      Logger.info('Importing batch call CSV', {
+        operationId,
+        subaccountId,
+        userId,
+        fileName: csvFile.originalname,
+        fileSize: csvFile.size,
+        hasExclusionList: !!exclusionFile,
+        dryRun
+      });
+
+      const { tasks, report, mappingErrors } = BatchCallImportService.buildTasks({
+        csvText: csvFile.buffer.toString('utf8'),
+        exclusionText: exclusionFile ? exclusionFile.buffer.toString('utf8') : null,
+        mapping,
+        defaultCountryCode,
+        defaultAgentId
+      });
+
+      if (mappingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'CSV columns could not be mapped',
+          code: 'INVALID_MAPPING',
+          errors: mappingErrors,
+          data: { report }
+        });
+      }
+
+      // Rows must reference agents that exist in this subaccount
+      const agentIds = [...new Set(tasks.map(task => task.agent_id).filter(Boolean))];
+      let validTasks = tasks;
+
+      if (agentIds.length > 0) {
+        const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+        const agents = await connectionInfo.connection.db.collection('agents')
+          .find({ subaccountId, agentId: { $in: agentIds } }, { projection: { agentId: 1 } })
+          .toArray();
+        validTasks = BatchCallImportService.rejectUnknownAgents(
+          tasks,
+          report,
+          new Set(agents.map(agent => agent.agentId))
+        );
+      }
+
+      // Numbers on the suppression list are reported instead of scheduled
+      const suppressedNumbers = await SuppressionService.findSuppressed(
+        subaccountId,
+        userId,
+        CHANNELS.PHONE,
+        validTasks.map(task => task.to_number)
+      );
+      validTasks = BatchCallImportService.rejectSuppressed(validTasks, report, suppressedNumbers);
+
+      if (dryRun) {
+        const duration = Date.now() - startTime;
+
+        return res.json({
+          success: true,
+          message: 'CSV validated (dry run, nothing scheduled)',
+          data: {
+            dryRun: true,
+            report
+          },
+          meta: {
+            operationId,
+            duration: `${duration}ms`
+          }
+        });
+      }
+
+      if (report.suppressed.length > 0) {
+        await SuppressionService.logBlockedAttempt(
+          subaccountId,
+          CHANNELS.PHONE,
+          report.suppressed.map(entry => entry.to_number),
+          { userId, operationId, batchCallName: name || csvFile.originalname }
+        );
+      }
+
+      if (validTasks.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'CSV contains no valid tasks',
+          code: 'NO_VALID_TASKS',
+          data: { report }
+        });
+      }
+
+      // Schedule through the regular batch call flow (phone number check, campaign tracking, activity)
+      req.body = {
+        from_number,
+        name: name || csvFile.originalname,
+        tasks: validTasks.map(({ row, ...task }) => task)
+      };
+      if (trigger_timestamp) {
+        req.body.trigger_timestamp = Number(trigger_timestamp);
+      }
+      req.batchImportReport = report;
+
+      return CallController.createBatchCall(req, res, next);
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'importBatchCall', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+}
+
+module.exports = BatchCallController;
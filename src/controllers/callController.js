@@ -7,7 +7,20 @@ const { v4: uuidv4 } = require('uuid');
 const ActivityService = require('../services/activityService');
 const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
 const { getStorageFromRequest } = require('../services/storageManager');
-const { calculateCallSuccessRate } = require('../utils/callHelper');
+const { calculateCallSuccessRate, validateAnalysisFilter, matchesAnalysisFilter } = require('../utils/callHelper');
+const BatchCallService = require('../services/batchCallService');
+const SuppressionService = require('../services/suppressionService');
+const { CHANNELS } = SuppressionService;
+const CallingHoursService = require('../services/callingHoursService');
+const { DECISIONS } = CallingHoursService;
+const ScheduledCallService = require('../services/scheduledCallService');
+const { ENDED_CALL_STATUSES } = ScheduledCallService;
+const SuccessCriteriaService = require('../services/successCriteriaService');
+const ContactService = require('../services/contactService');
+const WebhookSubscriptionService = require('../services/webhookSubscriptionService');
+const PostCallAnalysisService = require('../services/postCallAnalysisService');
+const UsageLedgerService = require('../services/usageLedgerService');
+const BudgetService = require('../services/budgetService');
 
 class CallController {
   /**
@@ -71,6 +84,23 @@ class CallController {
         });
       }
 
+      // Stop when a monthly spend limit is reached
+      const exceededBudget = await BudgetService.checkBudget(subaccountId, agentId, {
+        action: 'web_call',
+        userId,
+        operationId
+      });
+      if (exceededBudget) {
+        return res.status(402).json({
+          success: false,
+          message: `${exceededBudget.message}. No new calls can be started until the limit is raised or the month ends.`,
+          code: 'BUDGET_EXCEEDED',
+          data: {
+            budget: exceededBudget.budget
+          }
+        });
+      }
+
       // Enhance metadata with mock session info
       const enhancedMetadata = {
         ...metadata,
@@ -180,6 +210,20 @@ class CallController {
           callId
         });
 
+        // Web calls are still billable, so their cost goes to the usage ledger
+        if (!req.mockSession?.isMock) {
+          try {
+            await UsageLedgerService.recordCall(subaccountId, { ...updateData, call_id: callId });
+          } catch (usageError) {
+            Logger.warn('Failed to record web call usage', {
+              operationId,
+              subaccountId,
+              callId,
+              error: usageError.message
+            });
+          }
+        }
+
         return res.json({
           success: true,
           message: 'Web call update skipped (web calls are not stored in MongoDB)',
@@ -212,10 +256,17 @@ class CallController {
         }
       };
 
+      // Get existing call to merge call_analysis and score the call
+      const existingCall = await callsCollection.findOne({ call_id: callId });
+
+      // Lifecycle events for webhook subscribers (the meeting marker is removed below)
+      const callEnded = ENDED_CALL_STATUSES.includes(updateData.call_status) &&
+        !ENDED_CALL_STATUSES.includes(existingCall?.call_status);
+      const meetingBooked = updateData._fromMeetingCreation === true &&
+        updateData.call_analysis?.appointment_booked === true;
+
       // Handle call_analysis merge - preserve existing fields when updating
       if (updateData.call_analysis) {
-        // Get existing call to merge call_analysis
-        const existingCall = await callsCollection.findOne({ call_id: callId });
         const existingCallAnalysis = existingCall?.call_analysis || {};
         
         // IMPORTANT: Preserve appointment_booked from existing call_analysis
@@ -278,40 +329,31 @@ class CallController {
         delete updateData._fromMeetingDeletion;
 
         updateOperation.$set.call_analysis = mergedCallAnalysis;
-
-        // Calculate success_rate from merged call_analysis
-        const successRate = calculateCallSuccessRate(mergedCallAnalysis);
-        if (successRate !== null) {
-          updateOperation.$set.success_rate = successRate;
-          Logger.debug('Success rate calculated for call', {
-            operationId,
-            subaccountId,
-            callId,
-            successRate,
-            appointment_booked: mergedCallAnalysis.appointment_booked
-          });
-        }
-      } else {
-        // If call_analysis is not being updated, try to calculate from existing document
-        const existingCall = await callsCollection.findOne({ call_id: callId });
-        if (existingCall?.call_analysis && !existingCall.success_rate) {
-          const successRate = calculateCallSuccessRate(existingCall.call_analysis);
-          if (successRate !== null) {
-            updateOperation.$set.success_rate = successRate;
-            Logger.debug('Success rate calculated from existing call_analysis', {
-              operationId,
-              subaccountId,
-              callId,
-              successRate
-            });
-          }
-        }
       }
 
       // Add all other updateData fields (except call_analysis which we handled above)
       const { call_analysis, ...otherUpdates } = updateData;
       Object.assign(updateOperation.$set, otherUpdates);
 
+      // Score the call with the agent's success criteria (appointment booked by default)
+      const scoredCall = { ...(existingCall || {}), ...updateOperation.$set };
+      if (SuccessCriteriaService.isScorable(scoredCall)) {
+        const successCriteria = await SuccessCriteriaService.getCriteriaForScoring(
+          subaccountId,
+          scoredCall.agent_id || scoredCall.agentId
+        );
+        const successRate = SuccessCriteriaService.scoreCall(scoredCall, successCriteria);
+        updateOperation.$set.success_rate = successRate;
+        updateOperation.$set.success_criteria_version = successCriteria.version;
+        Logger.debug('Success rate calculated for call', {
+          operationId,
+          subaccountId,
+          callId,
+          successRate,
+          criteriaVersion: successCriteria.version
+        });
+      }
+
       // Upsert the call document
       const result = await callsCollection.updateOne(
         { call_id: callId },
@@ -331,6 +373,147 @@ class CallController {
         duration: `${duration}ms`
       });
 
+      // Update the batch call campaign task this call belongs to (if any)
+      let batchTracking = null;
+      if (!storage.isMock) {
+        try {
+          const updatedCall = await callsCollection.findOne({ call_id: callId });
+          batchTracking = updatedCall
+            ? await BatchCallService.trackCallUpdate(subaccountId, updatedCall)
+            : null;
+
+          // Record the calling-hours decision made when the batch was scheduled
+          if (batchTracking?.callingHours && !updatedCall.calling_hours) {
+            await callsCollection.updateOne(
+              { call_id: callId },
+              { $set: { calling_hours: batchTracking.callingHours } }
+            );
+          }
+        } catch (trackingError) {
+          Logger.warn('Failed to update batch call task', {
+            operationId,
+            subaccountId,
+            callId,
+            error: trackingError.message
+          });
+        }
+      }
+
+      // Record the outcome of queued calls and schedule a retry when needed
+      let scheduledCallTracking = null;
+      if (!storage.isMock) {
+        try {
+          const updatedCall = await callsCollection.findOne({ call_id: callId });
+          scheduledCallTracking = updatedCall
+            ? await ScheduledCallService.trackCallUpdate(subaccountId, updatedCall)
+            : null;
+        } catch (trackingError) {
+          Logger.warn('Failed to update scheduled call', {
+            operationId,
+            subaccountId,
+            callId,
+            error: trackingError.message
+          });
+        }
+      }
+
+      // Link the caller to a contact profile
+      if (!storage.isMock) {
+        try {
+          const updatedCall = await callsCollection.findOne({ call_id: callId });
+          if (updatedCall) {
+            await ContactService.recordCall(subaccountId, updatedCall);
+          }
+        } catch (contactError) {
+          Logger.warn('Failed to update call contact', {
+            operationId,
+            subaccountId,
+            callId,
+            error: contactError.message
+          });
+        }
+      }
+
+      // Record the call's cost in the usage ledger
+      if (!storage.isMock) {
+        try {
+          const updatedCall = await callsCollection.findOne({ call_id: callId });
+          if (updatedCall) {
+            await UsageLedgerService.recordCall(subaccountId, updatedCall);
+          }
+        } catch (usageError) {
+          Logger.warn('Failed to record call usage', {
+            operationId,
+            subaccountId,
+            callId,
+            error: usageError.message
+          });
+        }
+      }
+
+      // Alert when the call's cost crosses a budget threshold
+      if (!storage.isMock && updateData.call_cost) {
+        try {
+          const updatedCall = await callsCollection.findOne({ call_id: callId });
+          if (updatedCall) {
+            await BudgetService.checkAlerts(subaccountId, updatedCall.agent_id || updatedCall.agentId || null);
+          }
+        } catch (budgetError) {
+          Logger.warn('Failed to check budget alerts', {
+            operationId,
+            subaccountId,
+            callId,
+            error: budgetError.message
+          });
+        }
+      }
+
+      // Notify webhook subscribers
+      if (!storage.isMock && (callEnded || meetingBooked)) {
+        try {
+          const updatedCall = await callsCollection.findOne({ call_id: callId });
+          if (updatedCall && callEnded) {
+            await WebhookSubscriptionService.publishCallEnded(subaccountId, updatedCall);
+          }
+          if (updatedCall && meetingBooked) {
+            await WebhookSubscriptionService.publishMeetingBooked(subaccountId, { call: updatedCall });
+          }
+        } catch (webhookError) {
+          Logger.warn('Failed to publish call webhook events', {
+            operationId,
+            subaccountId,
+            callId,
+            error: webhookError.message
+          });
+        }
+      }
+
+      // Add the caller to the suppression list if they asked not to be called again
+      if (!storage.isMock && (updateData.transcript_object || updateData.transcript)) {
+        try {
+          const keyword = SuppressionService.detectOptOutInTranscript(updateData.transcript_object || updateData.transcript);
+          if (keyword) {
+            const call = await callsCollection.findOne({ call_id: callId });
+            const recipient = call?.direction === 'inbound' ? call.from_number : call?.to_number;
+            if (recipient) {
+              await SuppressionService.recordOptOut(subaccountId, CHANNELS.PHONE, recipient, {
+                type: 'call',
+                id: callId,
+                keyword,
+                agentId: call.agent_id || null
+              });
+            }
+          }
+        } catch (optOutError) {
+          Logger.warn('Failed to record call opt-out', {
+            operationId,
+            subaccountId,
+            callId,
+            error: optOutError.message
+          });
+        }
+      }
+
       // Invalidate call logs cache
       if (redisService.isConnected) {
         try {
@@ -373,7 +556,9 @@ class CallController {
           matchedCount: result.matchedCount,
           modifiedCount: result.modifiedCount,
           upsertedCount: result.upsertedCount,
-          upsertedId: result.upsertedId
+          upsertedId: result.upsertedId,
+          batchCall: batchTracking,
+          scheduledCall: scheduledCallTracking
         },
         meta: {
           operationId,
@@ -467,6 +652,64 @@ class CallController {
         isMockSession: req.mockSession?.isMock || false
       });
 
+      // Never dial numbers on the do-not-call list
+      const suppressedNumbers = await SuppressionService.findSuppressed(subaccountId, userId, CHANNELS.PHONE, [to_number]);
+      if (suppressedNumbers.has(to_number)) {
+        await SuppressionService.logBlockedAttempt(subaccountId, CHANNELS.PHONE, [to_number], {
+          userId,
+          agentId: agent_id,
+          operationId
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: `Phone number ${to_number} is on the do-not-call list and cannot be called`,
+          code: 'RECIPIENT_SUPPRESSED'
+        });
+      }
+
+      // Only dial inside the callee's allowed calling hours
+      const callingHoursSettings = await CallingHoursService.getSettings(subaccountId, userId);
+      const callingHours = CallingHoursService.evaluate(callingHoursSettings, to_number, {
+        fallbackTimezone: req.timezone
+      });
+
+      // Mock sessions never queue calls, so they are rejected in both modes
+      const canDefer = callingHours.decision === DECISIONS.DEFERRED && !req.mockSession?.isMock;
+
+      if (!callingHours.allowed && !canDefer) {
+        const decision = { ...callingHours, decision: DECISIONS.REJECTED };
+
+        await ActivityService.logActivity({
+          subaccountId,
+          activityType: ACTIVITY_TYPES.CALL_BLOCKED_CALLING_HOURS,
+          category: ACTIVITY_CATEGORIES.COMPLIANCE,
+          userId,
+          description: `Call to ${to_number} was blocked outside calling hours`,
+          metadata: {
+            from_number,
+            to_number,
+            agent_id,
+            callingHours: decision
+          },
+          resourceId: to_number,
+          resourceName: to_number,
+          operationId,
+          agentId: agent_id || null
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: callingHours.reason === 'blackout_date'
+            ? `Calls to ${to_number} are not allowed on a blackout date`
+            : `Calls to ${to_number} are not allowed at this time in the recipient's timezone`,
+          code: 'OUTSIDE_CALLING_HOURS',
+          data: {
+            callingHours: decision
+          }
+        });
+      }
+
       // Fetch retell account data (with caching)
       const retellAccountData = await retellService.getRetellAccount(subaccountId);
       
@@ -490,35 +733,79 @@ class CallController {
       // Always get agents and phone numbers from MongoDB (shared resources)
       const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
 
-      // If agent_id is provided, verify agent exists in MongoDB
-      if (agent_id) {
-        const agentsCollection = connectionInfo.connection.db.collection('agents');
-        const agentDocument = await agentsCollection.findOne({ 
-          agentId: agent_id,
-          subaccountId: subaccountId 
-        });
-
-        if (!agentDocument) {
-          return res.status(404).json({
-            success: false,
-            message: 'Agent not found',
-            code: 'AGENT_NOT_FOUND'
-          });
-        }
+      // Verify the agent and from_number exist in MongoDB
+      const missingResource = await CallController.findMissingCallResource(connectionInfo, subaccountId, { agent_id, from_number });
+      if (missingResource) {
+        return res.status(404).json(missingResource);
       }
 
-      // Verify from_number exists in phonenumbers collection (MongoDB)
-      const phoneNumbersCollection = connectionInfo.connection.db.collection('phonenumbers');
-      const phoneNumberDocument = await phoneNumbersCollection.findOne({
-        subaccountId: subaccountId,
-        phone_number: from_number
+      // Stop when a monthly spend limit is reached. Without agent_id, Retell dials with the
+      // from_number's outbound agent, so that agent's budget applies
+      const outboundAgentId = agent_id ? null : await CallController.findOutboundAgentId(connectionInfo, subaccountId, from_number);
+      const exceededBudget = await BudgetService.checkBudget(subaccountId, agent_id || outboundAgentId, {
+        action: 'phone_call',
+        userId,
+        operationId
       });
-
-      if (!phoneNumberDocument) {
-        return res.status(404).json({
+      if (exceededBudget) {
+        return res.status(402).json({
           success: false,
-          message: `Phone number ${from_number} not found. Please add it to your account first.`,
-          code: 'PHONE_NUMBER_NOT_FOUND'
+          message: `${exceededBudget.message}. No new calls can be started until the limit is raised or the month ends.`,
+          code: 'BUDGET_EXCEEDED',
+          data: {
+            budget: exceededBudget.budget
+          }
+        });
+      }
+
+      // In defer mode, calls outside the window are queued for the next allowed time
+      if (!callingHours.allowed) {
+        const scheduledCall = await ScheduledCallService.schedule(subaccountId, userId, {
+          from_number,
+          to_number,
+          agent_id: agent_id || null,
+          outbound_agent_id: outboundAgentId,
+          metadata: metadata || {},
+          retell_llm_dynamic_variables: dynamicVars || {},
+          scheduledFor: new Date(callingHours.nextAllowedAt),
+          retry: { maxAttempts: 1 },
+          callingHours,
+          timezone: req.timezone,
+          source: 'phone_call_deferred',
+          operationId
+        });
+
+        await ActivityService.logActivity({
+          subaccountId,
+          activityType: ACTIVITY_TYPES.SCHEDULED_CALL_CREATED,
+          category: ACTIVITY_CATEGORIES.CALL,
+          userId,
+          description: `Call to ${to_number} was deferred to the next allowed calling time`,
+          metadata: {
+            scheduledCallId: scheduledCall.scheduledCallId,
+            from_number,
+            to_number,
+            agent_id,
+            scheduledFor: scheduledCall.scheduledFor,
+            callingHours
+          },
+          resourceId: scheduledCall.scheduledCallId,
+          resourceName: `Scheduled call to ${to_number}`,
+          operationId,
+          agentId: agent_id || null
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: `Call to ${to_number} is outside calling hours and was scheduled for the next allowed time`,
+          data: {
+            deferred: true,
+            scheduledCall
+          },
+          meta: {
+            operationId,
+            duration: `${Date.now() - startTime}ms`
+          }
         });
       }
 
@@ -582,6 +869,7 @@ class CallController {
         start_timestamp: now.getTime(), // Add timestamp for filtering
         metadata: enhancedMetadata,
         retell_llm_dynamic_variables: dynamicVarsWithCallId,
+        calling_hours: callingHours,
         subaccountId: subaccountId,
         createdBy: userId,
         createdAt: now,
@@ -668,6 +956,64 @@ class CallController {
     }
   }
 
+  /**
+   * Check that the agent (if given) and the from_number belong to the subaccount
+   * @param {Object} connectionInfo - Connection from connectionPoolManager
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} params - { agent_id, from_number }
+   * @returns {Promise<Object|null>} 404 response body, or null if both exist
+   */
+  static async findMissingCallResource(connectionInfo, subaccountId, { agent_id, from_number }) {
+    // If agent_id is provided, verify agent exists in MongoDB
+    if (agent_id) {
+      const agentsCollection = connectionInfo.connection.db.collection('agents');
+      const agentDocument = await agentsCollection.findOne({ 
+        agentId: agent_id,
+        subaccountId: subaccountId 
+      });
+
+      if (!agentDocument) {
+        return {
+          success: false,
+          message: 'Agent not found',
+          code: 'AGENT_NOT_FOUND'
+        };
+      }
+    }
+
+    // Verify from_number exists in phonenumbers collection (MongoDB)
+    const phoneNumbersCollection = connectionInfo.connection.db.collection('phonenumbers');
+    const phoneNumberDocument = await phoneNumbersCollection.findOne({
+      subaccountId: subaccountId,
+      phone_number: from_number
+    });
+
+    if (!phoneNumberDocument) {
+      return {
+        success: false,
+        message: `Phone number ${from_number} not found. Please add it to your account first.`,
+        code: 'PHONE_NUMBER_NOT_FOUND'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * The agent Retell dials with when a call names no agent_id
+   * @param {Object} connectionInfo - Connection from connectionPoolManager
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} from_number - Caller number
+   * @returns {Promise<string|null>} Outbound agent ID of the from_number, or null if it has none
+   */
+  static async findOutboundAgentId(connectionInfo, subaccountId, from_number) {
+    const phoneNumberDocument = await connectionInfo.connection.db.collection('phonenumbers').findOne(
+      { subaccountId, phone_number: from_number },
+      { projection: { outbound_agent_id: 1 } }
+    );
+    return phoneNumberDocument?.outbound_agent_id || null;
+  }
+
   /**
    * Get call logs (list all calls)
    * GET /api/calls/:subaccountId/logs
@@ -682,7 +1028,8 @@ class CallController {
       const userId = req.user.id;
 
       // Extract filter criteria and pagination from request body (POST) or query params (GET)
-      const filterCriteria = req.body?.filter_criteria || {};
+      // custom_analysis_data is applied here; Retell only receives the other criteria
+      const { custom_analysis_data: analysisFilter, ...filterCriteria } = req.body?.filter_criteria || {};
       const limit = req.body?.limit || req.query?.limit || 50;
       const paginationKey = req.body?.pagination_key || req.query?.pagination_key;
 
@@ -691,12 +1038,27 @@ class CallController {
         subaccountId,
         userId,
         hasFilters: Object.keys(filterCriteria).length > 0,
+        hasAnalysisFilter: analysisFilter !== undefined,
         limit,
         hasPaginationKey: !!paginationKey,
         effectiveRole: req.permission?.effectiveRole,
         isMockSession: req.mockSession?.isMock || false
       });
 
+      if (analysisFilter !== undefined) {
+        const filterError = validateAnalysisFilter(analysisFilter);
+        if (filterError) {
+          return res.status(400).json({
+            success: false,
+            message: filterError,
+            code: 'INVALID_ANALYSIS_FILTER'
+          });
+        }
+      }
+
+      // Post-call analysis fields of the subaccount's agents, shown as extra columns
+      const analysisColumns = await PostCallAnalysisService.listColumns(subaccountId, userId);
+
       // For MOCK sessions, fetch from storage layer (Redis + MongoDB)
       if (req.mockSession?.isMock && req.mockSession?.sessionId) {
         Logger.info('🎭 Fetching call logs from mock storage (Redis + MongoDB)', {
@@ -789,6 +1151,9 @@ class CallController {
             return true;
           });
         }
+        if (analysisFilter) {
+          calls = calls.filter(call => matchesAnalysisFilter(call.call_analysis?.custom_analysis_data, analysisFilter));
+        }
 
         // Apply limit
         calls = calls.slice(0, parseInt(limit));
@@ -824,6 +1189,7 @@ class CallController {
           success: true,
           message: 'Call logs retrieved successfully (mock mode)',
           data: callsWithDuration,
+          analysisColumns,
           meta: {
             operationId,
             duration: `${duration}ms`,
@@ -986,18 +1352,24 @@ class CallController {
         ? callResponses[callResponses.length - 1]?.call_id 
         : null;
 
+      // The post-call analysis filter is applied to the fetched page, so pages follow Retell's pagination
+      // and can hold fewer calls than the limit
+      const calls = analysisFilter
+        ? (callResponses || []).filter(call => matchesAnalysisFilter(call.call_analysis?.custom_analysis_data, analysisFilter))
+        : callResponses;
+
       // Log activity
       await ActivityService.logActivity({
         subaccountId,
         activityType: ACTIVITY_TYPES.CALL_LOGS_VIEWED,
         category: ACTIVITY_CATEGORIES.CALL,
         userId,
-        description: `Call logs viewed (${callResponses?.length || 0} calls)`,
+        description: `Call logs viewed (${calls?.length || 0} calls)`,
         metadata: {
-          callCount: callResponses?.length || 0,
+          callCount: calls?.length || 0,
           retellAccountId: retellAccountData.id,
           cacheHit,
-          hasFilters: Object.keys(filterCriteria).length > 0,
+          hasFilters: Object.keys(filterCriteria).length > 0 || analysisFilter !== undefined,
           limit,
           filteredByMongoDB: true
         },
@@ -1011,10 +1383,11 @@ class CallController {
       res.json({
         success: true,
         message: 'Call logs retrieved successfully (filtered by MongoDB presence)',
-        data: callResponses,
+        data: calls,
+        analysisColumns,
         pagination: {
           limit: parseInt(limit),
-          count: callResponses?.length || 0,
+          count: calls?.length || 0,
           next_pagination_key: nextPaginationKey,
           has_more: callResponses?.length === parseInt(limit)
         },
@@ -1181,7 +1554,7 @@ class CallController {
 
     try {
       const { subaccountId } = req.params;
-      const { from_number, tasks, name, trigger_timestamp, ignore_e164_validation } = req.body;
+      const { from_number, tasks, name, trigger_timestamp } = req.body;
       const userId = req.user.id;
 
       Logger.info('Creating batch call', {
@@ -1205,15 +1578,6 @@ class CallController {
         });
       }
 
-      // Create Retell instance with decrypted API key
-      const retell = new Retell(retellAccountData.apiKey, retellAccountData);
-      
-      Logger.info('Retell instance created for batch call', {
-        operationId,
-        accountName: retellAccountData.accountName,
-        accountId: retellAccountData.id
-      });
-
       // Get database connection
       const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
       const { connection } = connectionInfo;
@@ -1233,95 +1597,120 @@ class CallController {
         });
       }
 
-      // Enhance tasks with phone_number, agent_id, and subaccount_id dynamic variables for each call
-      // Note: call_id will be added when individual calls are created (via webhook)
-      const enhancedTasks = tasks.map(task => ({
-        ...task,
-        retell_llm_dynamic_variables: {
-          phone_number: task.to_number,
-          agent_id: task.agent_id || '',
-          subaccount_id: subaccountId,
-          ...(task.retell_llm_dynamic_variables || task.dynamic_variables || {})
-        }
-      }));
+      // Drop tasks whose number is on the do-not-call list
+      const suppressedNumbers = await SuppressionService.findSuppressed(
+        subaccountId,
+        userId,
+        CHANNELS.PHONE,
+        tasks.map(task => task.to_number)
+      );
+      const allowedTasks = tasks.filter(task => !suppressedNumbers.has(task.to_number));
+      const suppressedRecipients = Array.from(suppressedNumbers.keys());
 
-      // Create batch call with Retell
-      const batchCallConfig = {
-        from_number,
-        tasks: enhancedTasks
-      };
+      if (suppressedRecipients.length > 0) {
+        await SuppressionService.logBlockedAttempt(subaccountId, CHANNELS.PHONE, suppressedRecipients, {
+          userId,
+          operationId,
+          batchCallName: name
+        });
 
-      if (name) {
-        batchCallConfig.name = name;
-      }
-      if (trigger_timestamp) {
-        batchCallConfig.trigger_timestamp = trigger_timestamp;
-      }
-      if (ignore_e164_validation !== undefined) {
-        batchCallConfig.ignore_e164_validation = ignore_e164_validation;
+        if (allowedTasks.length === 0) {
+          return res.status(403).json({
+            success: false,
+            message: 'Every recipient in the batch is on the do-not-call list',
+            code: 'RECIPIENT_SUPPRESSED',
+            data: {
+              suppressedRecipients
+            }
+          });
+        }
       }
 
-      const batchCallResponse = await retell.createBatchCall(batchCallConfig);
-
-      // Store batch call information in database
-      const batchCallsCollection = connection.db.collection('batch_calls');
-      const batchCallDocument = {
-        batch_call_id: batchCallResponse.batch_call_id,
-        name: batchCallResponse.name || name,
-        from_number: batchCallResponse.from_number,
-        scheduled_timestamp: batchCallResponse.scheduled_timestamp,
-        total_task_count: batchCallResponse.total_task_count,
-        tasks: tasks,
-        subaccountId: subaccountId,
-        createdBy: userId,
-        createdAt: new Date(),
-        operationId: operationId,
-        retellAccountId: retellAccountData.id
-      };
-
-      await batchCallsCollection.insertOne(batchCallDocument);
-      
-      Logger.info('Batch call created and stored in database', {
+      // Stop when a monthly spend limit is reached or the batch would not fit in what is left of it
+      // (the batch is dialed by the number's outbound agent); each call is checked again at dispatch
+      const estimatedCost = allowedTasks.length * await BudgetService.estimateCallCost(subaccountId, userId);
+      const exceededBudget = await BudgetService.checkBudget(subaccountId, phoneNumberDocument.outbound_agent_id || null, {
+        action: 'batch_call',
+        userId,
         operationId,
-        subaccountId,
-        batchCallId: batchCallResponse.batch_call_id,
-        taskCount: batchCallResponse.total_task_count
+        estimatedCost
       });
+      if (exceededBudget) {
+        return res.status(402).json({
+          success: false,
+          message: exceededBudget.exceeded
+            ? `${exceededBudget.message}. No new calls can be started until the limit is raised or the month ends.`
+            : `${exceededBudget.message}. Send fewer tasks or raise the limit.`,
+          code: exceededBudget.exceeded ? 'BUDGET_EXCEEDED' : 'BUDGET_INSUFFICIENT',
+          data: {
+            budget: exceededBudget.budget,
+            estimatedCost: Math.round(estimatedCost * 100) / 100,
+            taskCount: allowedTasks.length
+          }
+        });
+      }
 
-      // Invalidate call logs cache (batch calls will eventually create individual calls)
-      if (redisService.isConnected) {
-        try {
-          await redisService.invalidateCallLogs(subaccountId);
-          Logger.debug('Call logs cache invalidated after batch call creation', {
-            operationId,
-            subaccountId
-          });
-        } catch (cacheError) {
-          Logger.warn('Failed to invalidate call logs cache', {
-            operationId,
-            error: cacheError.message
-          });
-        }
+      // Split tasks by the callees' calling hours at dispatch time
+      const callingHoursSettings = await CallingHoursService.getSettings(subaccountId, userId);
+      const callingHours = CallingHoursService.evaluateTasks(callingHoursSettings, allowedTasks, {
+        at: trigger_timestamp ? new Date(trigger_timestamp) : new Date(),
+        fallbackTimezone: req.timezone
+      });
+      const outsideCallingHours = callingHours.rejected.map(({ task, callingHours: decision }) => ({
+        to_number: task.to_number,
+        reason: decision.reason,
+        nextAllowedAt: decision.nextAllowedAt || null
+      }));
+
+      if (outsideCallingHours.length > 0) {
+        await ActivityService.logActivity({
+          subaccountId,
+          activityType: ACTIVITY_TYPES.CALL_BLOCKED_CALLING_HOURS,
+          category: ACTIVITY_CATEGORIES.COMPLIANCE,
+          userId,
+          description: `${outsideCallingHours.length} batch call recipients were skipped outside calling hours`,
+          metadata: {
+            from_number,
+            name,
+            recipients: outsideCallingHours.slice(0, 100)
+          },
+          operationId
+        });
       }
 
-      // Log activity
-      await ActivityService.logActivity({
+      // Allowed tasks are queued for the requested time, deferred tasks for their next allowed time
+      const requestedAt = trigger_timestamp ? new Date(trigger_timestamp) : new Date();
+      const queuedTasks = [
+        ...callingHours.allowed.map(({ task, callingHours: decision }) => ({ ...task, calling_hours: decision, scheduledFor: requestedAt })),
+        ...callingHours.deferred.map(({ task, callingHours: decision }) => ({ ...task, calling_hours: decision, scheduledFor: new Date(decision.nextAllowedAt) }))
+      ];
+
+      if (queuedTasks.length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'No recipient in the batch can be called at this time',
+          code: 'OUTSIDE_CALLING_HOURS',
+          data: {
+            outsideCallingHours,
+            ...(suppressedRecipients.length > 0 && { suppressedRecipients })
+          }
+        });
+      }
+
+      const batchCallDocument = await CallController.queueBatchCall({
+        connection,
+        from_number,
+        outbound_agent_id: phoneNumberDocument.outbound_agent_id,
+        name,
+        trigger_timestamp,
+        tasks: queuedTasks,
+        timezone: req.timezone,
         subaccountId,
-        activityType: ACTIVITY_TYPES.PHONE_CALL_CREATED,
-        category: ACTIVITY_CATEGORIES.CALL,
         userId,
-        description: `Bulk call was initiated to ${batchCallResponse.total_task_count} numbers`,
-        metadata: {
-          batchCallId: batchCallResponse.batch_call_id,
-          from_number,
-          taskCount: batchCallResponse.total_task_count,
-          name: batchCallResponse.name,
-          scheduled: !!trigger_timestamp
-        },
-        resourceId: batchCallResponse.batch_call_id,
-        resourceName: `Batch Call - ${batchCallResponse.name || 'Unnamed'}`,
-        operationId
+        operationId,
+        retellAccountId: retellAccountData.id
       });
+      const deferredCount = callingHours.deferred.length;
 
       const duration = Date.now() - startTime;
 
@@ -1329,11 +1718,11 @@ class CallController {
         success: true,
         message: 'Batch call created successfully',
         data: {
-          batch_call_id: batchCallResponse.batch_call_id,
-          name: batchCallResponse.name,
-          from_number: batchCallResponse.from_number,
-          scheduled_timestamp: batchCallResponse.scheduled_timestamp,
-          total_task_count: batchCallResponse.total_task_count
+          ...BatchCallService.formatCampaign(batchCallDocument, { includeTasks: false }),
+          ...(deferredCount > 0 && { deferredCount }),
+          ...(outsideCallingHours.length > 0 && { outsideCallingHours }),
+          ...(suppressedRecipients.length > 0 && { suppressedRecipients }),
+          ...(req.batchImportReport && { importReport: req.batchImportReport })
         },
         retellAccount: {
           accountName: retellAccountData.accountName,
@@ -1350,6 +1739,98 @@ class CallController {
       return res.status(errorInfo.statusCode).json(errorInfo.response);
     }
   }
+
+  /**
+   * Store a batch call campaign and queue one call per task.
+   * The scheduled call queue dials each task as a single call and checks suppression, calling
+   * hours, spend limits and the daily call quota again before each call, so undialed
+   * tasks can still be cancelled.
+   * @param {Object} params - Batch parameters
+   * @param {string} [params.outbound_agent_id] - Outbound agent of from_number, for the spend limit checks
+   * @param {Array} params.tasks - Tasks with calling_hours and scheduledFor
+   * @returns {Promise<Object>} Campaign document
+   */
+  static async queueBatchCall({ connection, from_number, outbound_agent_id, name, trigger_timestamp, tasks, timezone, subaccountId, userId, operationId, retellAccountId }) {
+    const batchCallId = `batch_${uuidv4()}`;
+    const trackedTasks = BatchCallService.assignTaskIds(tasks).map(({ dynamic_variables, scheduledFor, ...task }) => ({
+      ...task,
+      retell_llm_dynamic_variables: task.retell_llm_dynamic_variables || dynamic_variables || {},
+      scheduledFor
+    }));
+
+    const batchCallDocument = BatchCallService.buildCampaignDocument({
+      batchCallId,
+      name,
+      from_number,
+      scheduledTimestamp: trigger_timestamp || null,
+      tasks: trackedTasks,
+      subaccountId,
+      userId,
+      operationId,
+      retellAccountId
+    });
+
+    await connection.db.collection('batch_calls').insertOne(batchCallDocument);
+
+    try {
+      // batch_call_id and batch_task_id link webhook events back to the campaign task
+      await ScheduledCallService.scheduleMany(subaccountId, userId, trackedTasks.map(task => ({
+        from_number,
+        to_number: task.to_number,
+        agent_id: task.agent_id || null,
+        outbound_agent_id: outbound_agent_id || null,
+        metadata: { batch_call_id: batchCallId, batch_task_id: task.taskId },
+        retell_llm_dynamic_variables: {
+          ...task.retell_llm_dynamic_variables,
+          batch_call_id: batchCallId,
+          batch_task_id: task.taskId
+        },
+        scheduledFor: task.scheduledFor,
+        // Batch tasks are dialed once; only dial errors are retried
+        retry: { retryOn: [] },
+        callingHours: task.calling_hours,
+        timezone,
+        source: 'batch_call',
+        batchCallId,
+        batchTaskId: task.taskId,
+        operationId
+      })));
+    } catch (error) {
+      // Withhold whatever was queued so retrying the request cannot dial a number twice
+      await BatchCallService.cancelCampaign(subaccountId, userId, batchCallId);
+      await ScheduledCallService.cancelBatch(subaccountId, userId, batchCallId);
+      throw error;
+    }
+
+    Logger.info('Batch call created and queued', {
+      operationId,
+      subaccountId,
+      batchCallId,
+      taskCount: trackedTasks.length,
+      triggerTimestamp: trigger_timestamp || null
+    });
+
+    // Log activity
+    await ActivityService.logActivity({
+      subaccountId,
+      activityType: ACTIVITY_TYPES.PHONE_CALL_CREATED,
+      category: ACTIVITY_CATEGORIES.CALL,
+      userId,
+      description: `Bulk call was initiated to ${trackedTasks.length} numbers`,
+      metadata: {
+        batchCallId,
+        from_number,
+        taskCount: trackedTasks.length,
+        name,
+        scheduled: !!trigger_timestamp
+      },
+      resourceId: batchCallId,
+      resourceName: `Batch Call - ${name || 'Unnamed'}`,
+      operationId
+    });
+
+    return batchCallDocument;
+  }
 }
 
-module.exports = CallController; 
\ No newline at end of file
+module.exports = CallController;
@@ -0,0 +1,157 @@
+const Logger = require('../utils/logger');
+const config = require('../../config/config');
+const { v4: uuidv4 } = require('uuid');
+const CallingHoursService = require('../services/callingHoursService');
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const CallController = require('./callController');
+
+class CallingHoursController {
+  /**
+   * Get the calling-hours settings of a subaccount
+   * GET /api/calls/:subaccountId/calling-hours
+   */
+  static async getSettings(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+
+      const settings = await CallingHoursService.getSettings(subaccountId, userId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Calling hours retrieved successfully',
+        data: settings,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'getCallingHours', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Replace the calling-hours settings of a subaccount.
+   * Omitted fields fall back to the defaults.
+   * PUT /api/calls/:subaccountId/calling-hours
+   */
+  static async updateSettings(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+      const { DEFAULT_SETTINGS } = CallingHoursService;
+
+      const settings = await CallingHoursService.saveSettings(subaccountId, userId, {
+        enabled: req.body.enabled,
+        mode: req.body.mode || DEFAULT_SETTINGS.mode,
+        windows: req.body.windows || DEFAULT_SETTINGS.windows,
+        blackoutDates: req.body.blackoutDates || DEFAULT_SETTINGS.blackoutDates,
+        unknownTimezone: req.body.unknownTimezone || DEFAULT_SETTINGS.unknownTimezone
+      });
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.CALLING_HOURS_UPDATED,
+        category: ACTIVITY_CATEGORIES.COMPLIANCE,
+        userId,
+        description: settings.enabled
+          ? `Calling hours enforcement enabled (${settings.mode} mode)`
+          : 'Calling hours enforcement disabled',
+        metadata: {
+          enabled: settings.enabled,
+          mode: settings.mode,
+          windows: settings.windows,
+          blackoutDateCount: settings.blackoutDates.length
+        },
+        operationId
+      });
+
+      if (config.security.enableAuditLogging) {
+        Logger.audit('updateCallingHours', 'calling_hours_settings', {
+          operationId,
+          subaccountId,
+          userId,
+          enabled: settings.enabled,
+          mode: settings.mode
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Calling hours updated successfully',
+        data: settings,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'updateCallingHours', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Preview the calling-hours decision for numbers at a given time (default: now)
+   * POST /api/calls/:subaccountId/calling-hours/check
+   */
+  static async checkNumbers(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { numbers, at } = req.body;
+      const userId = req.user.id;
+
+      const settings = await CallingHoursService.getSettings(subaccountId, userId);
+      const evaluationTime = at ? new Date(at) : new Date();
+
+      const results = numbers.map(number => ({
+        number,
+        ...CallingHoursService.evaluate(settings, number, {
+          at: evaluationTime,
+          fallbackTimezone: req.timezone
+        })
+      }));
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Calling hours checked successfully',
+        data: {
+          enabled: settings.enabled,
+          mode: settings.mode,
+          at: evaluationTime,
+          results
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'checkCallingHours', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+}
+
+module.exports = CallingHoursController;
@@ -7,6 +7,13 @@ const { v4: uuidv4 } = require('uuid');
 const ActivityService = require('../services/activityService');
 const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
 const { getStorageFromRequest } = require('../services/storageManager');
+const SuppressionService = require('../services/suppressionService');
+const { CHANNELS } = SuppressionService;
+const ChatMediaService = require('../services/chatMediaService');
+const ContactService = require('../services/contactService');
+const WebhookSubscriptionService = require('../services/webhookSubscriptionService');
+const UsageLedgerService = require('../services/usageLedgerService');
+const BudgetService = require('../services/budgetService');
 
 class ChatController {
   /**
@@ -76,6 +83,23 @@ class ChatController {
         });
       }
 
+      // Stop when a monthly spend limit is reached
+      const exceededBudget = await BudgetService.checkBudget(subaccountId, agentId, {
+        action: 'chat',
+        userId,
+        operationId
+      });
+      if (exceededBudget) {
+        return res.status(402).json({
+          success: false,
+          message: `${exceededBudget.message}. No new chats can be started until the limit is raised or the month ends.`,
+          code: 'BUDGET_EXCEEDED',
+          data: {
+            budget: exceededBudget.budget
+          }
+        });
+      }
+
       // Create chat with Retell, passing dynamic variables and other options
       const chatOptions = {};
       
@@ -153,6 +177,9 @@ class ChatController {
       };
 
       await chatsCollection.insertOne(chatDocument);
+
+      // Link the chat user to a contact when the dynamic variables identify them
+      await ContactService.recordWebChat(subaccountId, chatDocument);
       
       // Cache the chat data
       await redisService.cacheChat(subaccountId, chatResponse.chat_id, chatDocument, 300);
@@ -292,9 +319,10 @@ class ChatController {
         lastMessageAt: new Date()
       };
 
+      // The user's message stays unread in the inbox
       await chatsCollection.updateOne(
         { chat_id: chatId, subaccountId: subaccountId },
-        { $set: updateData }
+        { $set: updateData, $inc: { unread_count: 1 } }
       );
 
       // Update cache
@@ -484,6 +512,8 @@ class ChatController {
         { $set: updateData }
       );
 
+      await WebhookSubscriptionService.publishChatEnded(subaccountId, { ...chatDocument, ...updateData });
+
       // Update cache
       await redisService.invalidateChat(subaccountId, chatId);
       await redisService.invalidateChatList(subaccountId);
@@ -663,7 +693,10 @@ class ChatController {
             chat_analysis: cachedChat.chat_analysis,
             metadata: cachedChat.metadata,
             retell_llm_dynamic_variables: cachedChat.retell_llm_dynamic_variables,
-            collected_dynamic_variables: cachedChat.collected_dynamic_variables
+            collected_dynamic_variables: cachedChat.collected_dynamic_variables,
+            media: cachedChat.media || [],
+            handoff: cachedChat.handoff || null,
+            handoff_messages: cachedChat.handoff_messages || []
           },
           meta: {
             operationId,
@@ -754,7 +787,10 @@ class ChatController {
           chat_analysis: chatDocument.chat_analysis,
           metadata: chatDocument.metadata,
           retell_llm_dynamic_variables: chatDocument.retell_llm_dynamic_variables,
-          collected_dynamic_variables: chatDocument.collected_dynamic_variables
+          collected_dynamic_variables: chatDocument.collected_dynamic_variables,
+          media: chatDocument.media || [],
+          handoff: chatDocument.handoff || null,
+          handoff_messages: chatDocument.handoff_messages || []
         },
         meta: {
           operationId,
@@ -769,6 +805,54 @@ class ChatController {
     }
   }
 
+  /**
+   * Stream a media file received or sent in a WhatsApp/Instagram chat
+   * GET /api/chats/:subaccountId/media/:mediaId
+   */
+  static async getChatMedia(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, mediaId } = req.params;
+      const userId = req.user.id;
+
+      const media = await ChatMediaService.openMedia(subaccountId, userId, mediaId);
+
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found',
+          code: 'MEDIA_NOT_FOUND'
+        });
+      }
+
+      const { file, stream } = media;
+      const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+      res.setHeader('Content-Type', file.contentType || file.metadata?.mimeType || 'application/octet-stream');
+      res.setHeader('Content-Length', file.length);
+      res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(file.filename)}`);
+      res.setHeader('Cache-Control', 'private, max-age=3600');
+
+      stream.on('error', (error) => {
+        Logger.error('Error streaming chat media', {
+          operationId,
+          subaccountId,
+          mediaId,
+          error: error.message
+        });
+        res.destroy(error);
+      });
+
+      stream.pipe(res);
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'getChatMedia', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
   /**
    * Delete a chat
    * DELETE /api/chats/:subaccountId/:chatId
@@ -844,6 +928,20 @@ class ChatController {
         });
       }
 
+      // Stored WhatsApp/Instagram media belongs to the chat
+      const mediaIds = (chatDocument.media || []).map(entry => entry.mediaId).filter(Boolean);
+      if (mediaIds.length > 0) {
+        try {
+          await ChatMediaService.deleteMedia(subaccountId, userId, mediaIds);
+        } catch (mediaError) {
+          Logger.warn('Failed to delete chat media', {
+            operationId,
+            chatId,
+            error: mediaError.message
+          });
+        }
+      }
+
       // Invalidate caches
       await redisService.invalidateChat(subaccountId, chatId);
       await redisService.invalidateChatList(subaccountId);
@@ -857,7 +955,7 @@ class ChatController {
       // Log activity
       await ActivityService.logActivity({
         subaccountId,
-        activityType: ACTIVITY_TYPES.CHAT_ENDED, // Using CHAT_ENDED as CHAT_DELETED might not exist
+        activityType: ACTIVITY_TYPES.CHAT_DELETED,
         category: ACTIVITY_CATEGORIES.CHAT,
         userId,
         description: `Chat ${chatId} deleted`,
@@ -942,6 +1040,14 @@ class ChatController {
         }
       };
 
+      // Lifecycle events for webhook subscribers (the meeting marker is removed below)
+      const previousChat = updateData.chat_status === 'ended'
+        ? await chatsCollection.findOne({ chat_id: chatId, subaccountId: subaccountId })
+        : null;
+      const chatEnded = updateData.chat_status === 'ended' && previousChat?.chat_status !== 'ended';
+      const meetingBooked = updateData._fromMeetingCreation === true &&
+        updateData.chat_analysis?.chat_successful === true;
+
       // Handle chat_analysis merge - preserve existing fields when updating
       if (updateData.chat_analysis) {
         // Get existing chat to merge chat_analysis
@@ -1012,6 +1118,88 @@ class ChatController {
         duration: `${duration}ms`
       });
 
+      // Add the WhatsApp/Instagram contact to the suppression list if they asked to opt out
+      if (!storage.isMock && (updateData.messages || updateData.transcript)) {
+        try {
+          const keyword = SuppressionService.detectOptOutInTranscript(updateData.messages || updateData.transcript);
+          if (keyword) {
+            const chat = await chatsCollection.findOne({ chat_id: chatId, subaccountId: subaccountId });
+            const whatsappPhone = chat?.metadata?.whatsapp_phone;
+            const instagramUserId = chat?.metadata?.instagram_user_id;
+
+            if (whatsappPhone || instagramUserId) {
+              await SuppressionService.recordOptOut(
+                subaccountId,
+                whatsappPhone ? CHANNELS.WHATSAPP : CHANNELS.INSTAGRAM,
+                whatsappPhone || instagramUserId,
+                { type: 'chat', id: chatId, keyword, agentId: chat.agent_id || null }
+              );
+            }
+          }
+        } catch (optOutError) {
+          Logger.warn('Failed to record chat opt-out', {
+            operationId,
+            subaccountId,
+            chatId,
+            error: optOutError.message
+          });
+        }
+      }
+
+      // Record the chat's cost in the usage ledger once it has ended
+      if (!storage.isMock && (updateData.chat_status === 'ended' || updateData.chat_cost)) {
+        try {
+          const updatedChat = await chatsCollection.findOne({ chat_id: chatId, subaccountId: subaccountId });
+          if (updatedChat) {
+            await UsageLedgerService.recordChat(subaccountId, updatedChat);
+          }
+        } catch (usageError) {
+          Logger.warn('Failed to record chat usage', {
+            operationId,
+            subaccountId,
+            chatId,
+            error: usageError.message
+          });
+        }
+      }
+
+      // Alert when the chat's cost crosses a budget threshold
+      if (!storage.isMock && updateData.chat_cost) {
+        try {
+          const updatedChat = await chatsCollection.findOne({ chat_id: chatId, subaccountId: subaccountId });
+          if (updatedChat) {
+            await BudgetService.checkAlerts(subaccountId, updatedChat.agent_id || null);
+          }
+        } catch (budgetError) {
+          Logger.warn('Failed to check budget alerts', {
+            operationId,
+            subaccountId,
+            chatId,
+            error: budgetError.message
+          });
+        }
+      }
+
+      // Notify webhook subscribers
+      if (!storage.isMock && (chatEnded || meetingBooked)) {
+        try {
+          const updatedChat = await chatsCollection.findOne({ chat_id: chatId, subaccountId: subaccountId });
+          if (updatedChat && chatEnded) {
+            await WebhookSubscriptionService.publishChatEnded(subaccountId, updatedChat);
+          }
+          if (updatedChat && meetingBooked) {
+            await WebhookSubscriptionService.publishMeetingBooked(subaccountId, { chat: updatedChat });
+          }
+        } catch (webhookError) {
+          Logger.warn('Failed to publish chat webhook events', {
+            operationId,
+            subaccountId,
+            chatId,
+            error: webhookError.message
+          });
+        }
+      }
+
       // Invalidate chat caches
       if (redisService.isConnected) {
         try {
@@ -1071,7 +1259,27 @@ class ChatController {
     let errorCode = 'CHAT_ERROR';
     let message = 'An internal error occurred while processing the chat operation';
 
-    if (error.message.includes('Failed to fetch retell account')) {
+    if (error.code === 'CHAT_NOT_FOUND') {
+      statusCode = 404;
+      errorCode = 'CHAT_NOT_FOUND';
+      message = 'Chat not found';
+    } else if (error.code === 'CHAT_NOT_ONGOING') {
+      statusCode = 409;
+      errorCode = 'CHAT_NOT_ONGOING';
+      message = 'Chat has ended';
+    } else if (error.code === 'HANDOFF_NOT_SUPPORTED') {
+      statusCode = 400;
+      errorCode = 'HANDOFF_NOT_SUPPORTED';
+      message = error.message;
+    } else if (error.code === 'INVALID_CURSOR') {
+      statusCode = 400;
+      errorCode = 'INVALID_CURSOR';
+      message = 'Invalid pagination cursor';
+    } else if (error.code === 'HANDOFF_ALREADY_CLAIMED') {
+      statusCode = 409;
+      errorCode = 'HANDOFF_ALREADY_CLAIMED';
+      message = error.message;
+    } else if (error.message.includes('Failed to fetch retell account')) {
       statusCode = 503;
       errorCode = 'RETELL_FETCH_FAILED';
       message = 'Unable to fetch Retell account details. Please try again later.';
@@ -1115,6 +1323,7 @@ class ChatController {
         success: false,
         message,
         code: errorCode,
+        ...(error.handoff && { data: { handoff: error.handoff } }),
         meta: {
           operationId,
           operation,
@@ -0,0 +1,460 @@
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('../services/connectionPoolManager');
+const schemaValidationService = require('../services/schemaValidationService');
+const { v4: uuidv4 } = require('uuid');
+
+// Roles allowed to run config.security.dangerousOperations
+const DANGEROUS_OPERATION_ROLES = ['admin', 'super_admin'];
+
+const DEFAULT_FIND_LIMIT = 100;
+
+class CollectionController {
+  /**
+   * Find documents
+   * POST /api/database/:subaccountId/collections/:collection/find
+   */
+  static async find(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const { query = {}, options = {} } = req.body;
+
+      const validation = await schemaValidationService.validateQuery(
+        subaccountId,
+        collection,
+        query,
+        'find'
+      );
+
+      if (!validation.valid) {
+        return CollectionController.sendValidationError(res, validation);
+      }
+
+      const queryOptions = {
+        limit: options.limit || DEFAULT_FIND_LIMIT,
+        skip: options.skip || 0
+      };
+      if (options.sort) queryOptions.sort = options.sort;
+      if (options.projection) queryOptions.projection = options.projection;
+
+      return CollectionController.runQuery(req, res, {
+        operationId,
+        startTime,
+        operation: 'find',
+        query: CollectionController.castObjectIds(validation.query),
+        options: queryOptions,
+        formatData: (documents) => ({
+          documents,
+          count: documents.length,
+          limit: queryOptions.limit,
+          skip: queryOptions.skip
+        })
+      });
+
+    } catch (error) {
+      const errorInfo = await CollectionController.handleError(error, req, operationId, 'find', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Insert one document (object) or many documents (array)
+   * POST /api/database/:subaccountId/collections/:collection/insert
+   */
+  static async insert(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const { document } = req.body;
+      const isBatch = Array.isArray(document);
+      const operation = isBatch ? 'insertMany' : 'insertOne';
+
+      let documents;
+
+      if (isBatch) {
+        const validation = await schemaValidationService.validateDocuments(subaccountId, collection, document, operation);
+        if (!validation.valid) {
+          return CollectionController.sendValidationError(res, validation);
+        }
+        documents = validation.documents;
+      } else {
+        const validation = await schemaValidationService.validateDocument(subaccountId, collection, document, operation);
+        if (!validation.valid) {
+          return CollectionController.sendValidationError(res, validation);
+        }
+        documents = validation.document;
+      }
+
+      return CollectionController.runQuery(req, res, {
+        operationId,
+        startTime,
+        operation,
+        query: documents,
+        options: {},
+        formatData: (result) => (isBatch
+          ? { insertedCount: result.insertedCount, insertedIds: Object.values(result.insertedIds || {}) }
+          : { insertedId: result.insertedId })
+      });
+
+    } catch (error) {
+      const errorInfo = await CollectionController.handleError(error, req, operationId, 'insert', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Update one document, or all matching documents with options.multi
+   * POST /api/database/:subaccountId/collections/:collection/update
+   */
+  static async update(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const { filter, update, options = {} } = req.body;
+      const operation = options.multi ? 'updateMany' : 'updateOne';
+
+      // Replacement documents are not supported; every top-level key must be an update operator
+      if (Object.keys(update).length === 0 || !Object.keys(update).every(key => key.startsWith('$'))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Update must only contain update operators (e.g. $set, $unset, $inc)',
+          code: 'INVALID_UPDATE'
+        });
+      }
+
+      const filterValidation = await schemaValidationService.validateQuery(
+        subaccountId,
+        collection,
+        filter,
+        operation
+      );
+
+      if (!filterValidation.valid) {
+        return CollectionController.sendValidationError(res, filterValidation);
+      }
+
+      const updateValidation = await schemaValidationService.validateDocument(subaccountId, collection, update, operation);
+
+      if (!updateValidation.valid) {
+        return CollectionController.sendValidationError(res, updateValidation);
+      }
+
+      const queryOptions = {};
+      if (options.upsert !== undefined) queryOptions.upsert = options.upsert;
+
+      return CollectionController.runQuery(req, res, {
+        operationId,
+        startTime,
+        operation,
+        query: {
+          filter: CollectionController.castObjectIds(filterValidation.query),
+          update: schemaValidationService.sanitizeQuery(updateValidation.document)
+        },
+        options: queryOptions,
+        formatData: (result) => ({
+          matchedCount: result.matchedCount,
+          modifiedCount: result.modifiedCount,
+          upsertedId: result.upsertedId || null
+        })
+      });
+
+    } catch (error) {
+      const errorInfo = await CollectionController.handleError(error, req, operationId, 'update', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Delete one document, or all matching documents with options.multi
+   * POST /api/database/:subaccountId/collections/:collection/delete
+   */
+  static async delete(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const { filter, options = {} } = req.body;
+      const operation = options.multi ? 'deleteMany' : 'deleteOne';
+
+      const validation = await schemaValidationService.validateQuery(
+        subaccountId,
+        collection,
+        filter,
+        operation
+      );
+
+      if (!validation.valid) {
+        return CollectionController.sendValidationError(res, validation);
+      }
+
+      return CollectionController.runQuery(req, res, {
+        operationId,
+        startTime,
+        operation,
+        query: CollectionController.castObjectIds(validation.query),
+        options: {},
+        formatData: (result) => ({
+          deletedCount: result.deletedCount
+        })
+      });
+
+    } catch (error) {
+      const errorInfo = await CollectionController.handleError(error, req, operationId, 'delete', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Run an aggregation pipeline
+   * POST /api/database/:subaccountId/collections/:collection/aggregate
+   */
+  static async aggregate(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const { pipeline, options = {} } = req.body;
+
+      const validation = await schemaValidationService.validatePipeline(
+        subaccountId,
+        collection,
+        pipeline
+      );
+
+      if (!validation.valid) {
+        return CollectionController.sendValidationError(res, validation);
+      }
+
+      const queryOptions = {};
+      if (options.maxTimeMS) queryOptions.maxTimeMS = options.maxTimeMS;
+      if (options.allowDiskUse !== undefined) queryOptions.allowDiskUse = options.allowDiskUse;
+
+      return CollectionController.runQuery(req, res, {
+        operationId,
+        startTime,
+        operation: 'aggregate',
+        query: validation.pipeline.map(stage => (stage.$match ? { $match: CollectionController.castObjectIds(stage.$match) } : stage)),
+        options: queryOptions,
+        formatData: (documents) => ({
+          documents,
+          count: documents.length
+        })
+      });
+
+    } catch (error) {
+      const errorInfo = await CollectionController.handleError(error, req, operationId, 'aggregate', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Count matching documents
+   * POST /api/database/:subaccountId/collections/:collection/count
+   */
+  static async count(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const { query = {} } = req.body;
+
+      const validation = await schemaValidationService.validateQuery(
+        subaccountId,
+        collection,
+        query,
+        'count'
+      );
+
+      if (!validation.valid) {
+        return CollectionController.sendValidationError(res, validation);
+      }
+
+      return CollectionController.runQuery(req, res, {
+        operationId,
+        startTime,
+        operation: 'count',
+        query: CollectionController.castObjectIds(validation.query),
+        options: {},
+        formatData: (count) => ({ count })
+      });
+
+    } catch (error) {
+      const errorInfo = await CollectionController.handleError(error, req, operationId, 'count', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Check dangerous operations, execute through the connection pool and send the response
+   */
+  static async runQuery(req, res, { operationId, startTime, operation, query, options, formatData }) {
+    const { subaccountId, collection } = req.params;
+    const userId = req.user.id;
+    const effectiveRole = req.permission?.effectiveRole;
+
+    if (config.security.dangerousOperations.includes(operation) && !DANGEROUS_OPERATION_ROLES.includes(effectiveRole)) {
+      Logger.security('Dangerous collection operation denied', 'medium', {
+        operationId,
+        subaccountId,
+        userId,
+        operation,
+        collection,
+        effectiveRole
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: `Operation '${operation}' requires admin privileges`,
+        code: 'DANGEROUS_OPERATION_FORBIDDEN'
+      });
+    }
+
+    Logger.info('Executing collection operation', {
+      operationId,
+      subaccountId,
+      userId,
+      operation,
+      collection
+    });
+
+    const result = await connectionPoolManager.executeQuery(subaccountId, userId, operation, collection, query, options);
+
+    if (!result.success) {
+      const notAllowed = result.error && result.error.includes('not allowed');
+
+      return res.status(notAllowed ? 400 : 500).json({
+        success: false,
+        message: notAllowed ? result.error : 'Query execution failed',
+        code: notAllowed ? 'OPERATION_NOT_ALLOWED' : 'QUERY_EXECUTION_FAILED',
+        meta: {
+          operationId,
+          operation,
+          duration: `${Date.now() - startTime}ms`
+        }
+      });
+    }
+
+    if (config.security.enableAuditLogging && !['find', 'count', 'aggregate'].includes(operation)) {
+      Logger.audit(operation, collection, {
+        operationId,
+        subaccountId,
+        userId,
+        documentsAffected: result.metadata.documentsAffected
+      });
+    }
+
+    const duration = Date.now() - startTime;
+
+    return res.json({
+      success: true,
+      message: 'Operation completed successfully',
+      data: formatData(result.data),
+      meta: {
+        operationId,
+        operation,
+        collection,
+        documentsAffected: result.metadata.documentsAffected,
+        executionTime: `${result.metadata.executionTime}ms`,
+        duration: `${duration}ms`
+      }
+    });
+  }
+
+  /**
+   * Convert 24-character hex `_id` values (including inside $in / $nin / $ne / $eq) to ObjectIds
+   * so internal tools can filter by the string form returned in responses.
+   * Runs after sanitization, which would otherwise walk into the ObjectId instances.
+   */
+  static castObjectIds(query) {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      return query;
+    }
+
+    const toObjectId = (value) => (
+      typeof value === 'string' && mongoose.Types.ObjectId.isValid(value) && /^[0-9a-fA-F]{24}$/.test(value)
+        ? new mongoose.Types.ObjectId(value)
+        : value
+    );
+
+    const casted = {};
+    for (const [key, value] of Object.entries(query)) {
+      if (key === '_id') {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          casted[key] = {};
+          for (const [operator, operand] of Object.entries(value)) {
+            casted[key][operator] = Array.isArray(operand) ? operand.map(toObjectId) : toObjectId(operand);
+          }
+        } else {
+          casted[key] = toObjectId(value);
+        }
+      } else if (['$and', '$or', '$nor'].includes(key) && Array.isArray(value)) {
+        casted[key] = value.map(item => CollectionController.castObjectIds(item));
+      } else {
+        casted[key] = value;
+      }
+    }
+    return casted;
+  }
+
+  static sendValidationError(res, validation) {
+    const statusCode = validation.code === 'OPERATION_NOT_ALLOWED' ? 403 : 400;
+
+    return res.status(statusCode).json({
+      success: false,
+      message: validation.error || 'Validation failed',
+      code: validation.code || 'VALIDATION_ERROR',
+      errors: validation.errors || validation.results?.filter(result => !result.valid)
+    });
+  }
+
+  static async handleError(error, req, operationId, operation, startTime) {
+    const duration = Date.now() - startTime;
+
+    Logger.error(`Collection operation failed: ${operation}`, {
+      operationId,
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.id,
+      subaccountId: req.params?.subaccountId,
+      collection: req.params?.collection,
+      duration: `${duration}ms`
+    });
+
+    let statusCode = 500;
+    let errorCode = 'DATABASE_ERROR';
+    let message = 'An internal database error occurred';
+
+    if (error.message.includes('Failed to create connection pool')) {
+      statusCode = 503;
+      errorCode = 'CONNECTION_FAILED';
+      message = 'Unable to connect to the database.';
+    }
+
+    return {
+      statusCode,
+      response: {
+        success: false,
+        message,
+        code: errorCode,
+        meta: {
+          operationId,
+          operation,
+          duration: `${duration}ms`
+        }
+      }
+    };
+  }
+}
+
+module.exports = CollectionController;
@@ -0,0 +1,514 @@
+const Logger = require('../utils/logger');
+const ContactService = require('../services/contactService');
+const { TIMELINE_TYPES } = ContactService;
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const DatabaseController = require('./databaseController');
+const { v4: uuidv4 } = require('uuid');
+
+class ContactController {
+  /**
+   * List contacts
+   * GET /api/database/:subaccountId/contacts
+   */
+  static async listContacts(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { search, tag, channel } = req.query;
+      const userId = req.user.id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+      const { contacts, total } = await ContactService.list(subaccountId, userId, {
+        search,
+        tag,
+        channel,
+        limit,
+        skip
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Contacts retrieved successfully',
+        data: {
+          contacts: contacts.map(ContactController.formatContact),
+          pagination: {
+            total,
+            count: contacts.length,
+            limit,
+            skip,
+            hasMore: (skip + contacts.length) < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'listContacts', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Find the contact that owns a phone number, email or Instagram user ID
+   * GET /api/database/:subaccountId/contacts/lookup?type=&value=
+   */
+  static async lookupContact(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { type, value, defaultCountryCode = null } = req.query;
+      const userId = req.user.id;
+
+      const identity = ContactService.normalizeIdentity(type, value, defaultCountryCode);
+      if (!identity.valid) {
+        return res.status(400).json({
+          success: false,
+          message: identity.reason,
+          code: 'INVALID_IDENTITY'
+        });
+      }
+
+      const contact = await ContactService.findByIdentity(subaccountId, userId, identity.key);
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found',
+          code: 'CONTACT_NOT_FOUND'
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Contact retrieved successfully',
+        data: ContactController.formatContact(contact),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'lookupContact', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Create a contact
+   * POST /api/database/:subaccountId/contacts
+   */
+  static async createContact(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { name = null, identities = [], tags = [], customFields = {}, defaultCountryCode = null } = req.body;
+      const userId = req.user.id;
+
+      const keys = ContactController.normalizeIdentities(identities, defaultCountryCode);
+      if (keys.error) {
+        return res.status(400).json(keys.error);
+      }
+
+      const conflicts = await ContactService.findConflicts(subaccountId, userId, keys.values);
+      if (conflicts.length > 0) {
+        return res.status(409).json(ContactController.conflictResponse(conflicts));
+      }
+
+      const contact = await ContactService.create(subaccountId, userId, {
+        name: name || null,
+        identityKeys: keys.values,
+        tags,
+        customFields
+      });
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.CONTACT_CREATED,
+        category: ACTIVITY_CATEGORIES.CONTACT,
+        userId,
+        description: `Contact ${ContactController.describeContact(contact)} created`,
+        metadata: {
+          identityCount: keys.values.length,
+          tags: contact.tags
+        },
+        resourceId: contact._id.toString(),
+        resourceName: ContactController.describeContact(contact),
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.status(201).json({
+        success: true,
+        message: 'Contact created successfully',
+        data: ContactController.formatContact(contact),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'createContact', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get a contact
+   * GET /api/database/:subaccountId/contacts/:contactId
+   */
+  static async getContact(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, contactId } = req.params;
+      const userId = req.user.id;
+
+      const contact = await ContactService.findById(subaccountId, userId, contactId);
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found',
+          code: 'CONTACT_NOT_FOUND'
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Contact retrieved successfully',
+        data: ContactController.formatContact(contact),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getContact', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Update a contact's name, identities, tags or custom fields
+   * PATCH /api/database/:subaccountId/contacts/:contactId
+   */
+  static async updateContact(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, contactId } = req.params;
+      const { name, tags, customFields, addIdentities = [], removeIdentities = [], defaultCountryCode = null } = req.body;
+      const userId = req.user.id;
+
+      const addKeys = ContactController.normalizeIdentities(addIdentities, defaultCountryCode);
+      if (addKeys.error) {
+        return res.status(400).json(addKeys.error);
+      }
+      const removeKeys = ContactController.normalizeIdentities(removeIdentities, defaultCountryCode);
+      if (removeKeys.error) {
+        return res.status(400).json(removeKeys.error);
+      }
+
+      const conflicts = await ContactService.findConflicts(subaccountId, userId, addKeys.values, contactId);
+      if (conflicts.length > 0) {
+        return res.status(409).json(ContactController.conflictResponse(conflicts));
+      }
+
+      const contact = await ContactService.update(subaccountId, userId, contactId, {
+        name,
+        tags,
+        customFields,
+        addIdentityKeys: addKeys.values,
+        removeIdentityKeys: removeKeys.values
+      });
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found',
+          code: 'CONTACT_NOT_FOUND'
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.CONTACT_UPDATED,
+        category: ACTIVITY_CATEGORIES.CONTACT,
+        userId,
+        description: `Contact ${ContactController.describeContact(contact)} updated`,
+        metadata: {
+          updatedFields: Object.keys(req.body).filter(field => field !== 'defaultCountryCode')
+        },
+        resourceId: contactId,
+        resourceName: ContactController.describeContact(contact),
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Contact updated successfully',
+        data: ContactController.formatContact(contact),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'updateContact', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Merge other contacts into this one
+   * POST /api/database/:subaccountId/contacts/:contactId/merge
+   */
+  static async mergeContacts(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, contactId } = req.params;
+      const { contactIds } = req.body;
+      const userId = req.user.id;
+
+      const sourceIds = contactIds.filter(id => id !== contactId);
+      if (sourceIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A contact cannot be merged into itself',
+          code: 'INVALID_MERGE'
+        });
+      }
+
+      const contact = await ContactService.merge(subaccountId, userId, contactId, sourceIds);
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found',
+          code: 'CONTACT_NOT_FOUND'
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.CONTACTS_MERGED,
+        category: ACTIVITY_CATEGORIES.CONTACT,
+        userId,
+        description: `${sourceIds.length} contact(s) merged into ${ContactController.describeContact(contact)}`,
+        metadata: { mergedContactIds: sourceIds },
+        resourceId: contactId,
+        resourceName: ContactController.describeContact(contact),
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Contacts merged successfully',
+        data: ContactController.formatContact(contact),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'mergeContacts', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Delete a contact (its calls and chats are kept)
+   * DELETE /api/database/:subaccountId/contacts/:contactId
+   */
+  static async deleteContact(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, contactId } = req.params;
+      const userId = req.user.id;
+
+      const contact = await ContactService.remove(subaccountId, userId, contactId);
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found',
+          code: 'CONTACT_NOT_FOUND'
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.CONTACT_DELETED,
+        category: ACTIVITY_CATEGORIES.CONTACT,
+        userId,
+        description: `Contact ${ContactController.describeContact(contact)} deleted`,
+        metadata: {
+          identityCount: contact.identityKeys.length
+        },
+        resourceId: contactId,
+        resourceName: ContactController.describeContact(contact),
+        operationId
+      });
+
+      Logger.info('Contact deleted', {
+        operationId,
+        subaccountId,
+        contactId,
+        userId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Contact deleted successfully',
+        data: ContactController.formatContact(contact),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'deleteContact', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Calls, chats and meetings of a contact, newest first
+   * GET /api/database/:subaccountId/contacts/:contactId/timeline
+   */
+  static async getContactTimeline(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, contactId } = req.params;
+      const userId = req.user.id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const types = req.query.types ? req.query.types.split(',') : Object.values(TIMELINE_TYPES);
+
+      const contact = await ContactService.findById(subaccountId, userId, contactId);
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found',
+          code: 'CONTACT_NOT_FOUND'
+        });
+      }
+
+      const timeline = await ContactService.getTimeline(subaccountId, userId, contact, { types, limit });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Contact timeline retrieved successfully',
+        data: {
+          contact: ContactController.formatContact(contact),
+          timeline
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`,
+          count: timeline.length
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getContactTimeline', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Normalize request identities to identity keys
+   * @returns {Object} { values } or { error } with the 400 response body
+   */
+  static normalizeIdentities(identities, defaultCountryCode) {
+    const values = [];
+
+    for (const { type, value } of identities) {
+      const identity = ContactService.normalizeIdentity(type, value, defaultCountryCode);
+      if (!identity.valid) {
+        return {
+          error: {
+            success: false,
+            message: `${value}: ${identity.reason}`,
+            code: 'INVALID_IDENTITY'
+          }
+        };
+      }
+      values.push(identity.key);
+    }
+
+    return { values: [...new Set(values)] };
+  }
+
+  static conflictResponse(conflicts) {
+    return {
+      success: false,
+      message: 'Some identities already belong to another contact. Merge the contacts instead.',
+      code: 'IDENTITY_CONFLICT',
+      data: { conflicts }
+    };
+  }
+
+  static describeContact(contact) {
+    return contact.name || (contact.identityKeys[0] ? ContactService.parseIdentityKey(contact.identityKeys[0]).value : contact._id.toString());
+  }
+
+  static formatContact(contact) {
+    return {
+      id: contact._id,
+      name: contact.name,
+      identities: (contact.identityKeys || []).map(ContactService.parseIdentityKey),
+      channels: contact.channels || [],
+      tags: contact.tags || [],
+      customFields: contact.customFields || {},
+      mergedContactIds: contact.mergedContactIds || [],
+      firstSeenAt: contact.firstSeenAt,
+      lastSeenAt: contact.lastSeenAt,
+      createdBy: contact.createdBy,
+      createdAt: contact.createdAt,
+      updatedAt: contact.updatedAt
+    };
+  }
+}
+
+module.exports = ContactController;
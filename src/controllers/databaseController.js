@@ -7,6 +7,11 @@ const redisService = require('../services/redisService');
 const Retell = require('../utils/retell');
 const { v4: uuidv4 } = require('uuid');
 const ActivityService = require('../services/activityService');
+const AgentTemplateService = require('../services/agentTemplateService');
+const LlmRevisionService = require('../services/llmRevisionService');
+const SuccessCriteriaService = require('../services/successCriteriaService');
+const PostCallAnalysisService = require('../services/postCallAnalysisService');
+const { validateAnalysisFilter, getAverageableSuccessScore } = require('../utils/callHelper');
 const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
 const { getStorageFromRequest } = require('../services/storageManager');
 const whatsappService = require('../services/whatsappService');
@@ -22,7 +27,7 @@ class DatabaseController {
 
     try {
       const { subaccountId } = req.params;
-      const { name, description } = req.body;
+      const { name, description, templateId } = req.body;
       const userId = req.user.id;
 
       Logger.info('Creating agent', {
@@ -57,6 +62,17 @@ class DatabaseController {
       const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
       const { connection } = connectionInfo;
 
+      // Resolve the agent template (built-in default when no templateId is given)
+      const template = await AgentTemplateService.resolveTemplate(subaccountId, userId, templateId);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
       // Get deployed webhook URL from config
       const deployedWebhookUrl = config.retell.deployedWebhookServerUrl || config.webhookServer.deployedUrl || 'https://scalai-b-48660c785242.herokuapp.com';
 
@@ -66,1256 +82,7 @@ class DatabaseController {
       // Step 1: Create LLM with MCP config and MCP tools
       Logger.info('Creating LLM for agent', { operationId, subaccountId, name, mcpId });
       
-      const llmConfig = {
-        version: 0,
-        model: "gpt-4o-mini",
-        model_temperature: 0,
-        model_high_priority: true,
-        tool_call_strict_mode: true,
-        begin_message: "",
-        general_prompt: "",
-        general_tools: [{
-          type: "end_call",
-          name: "end_call",
-          description: "End the call when user has to leave (like says bye) or you are instructed to do so."
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "check_availability",
-          description: "Check available time slots for a specific date. Returns available slots and already booked slots.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "create_appointment",
-          description: "Create a new appointment/meeting. Checks for conflicts with existing meetings.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "update_appointment",
-          description: "Update an existing appointment/meeting. Can update any field.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "delete_appointment",
-          description: "Permanently delete an appointment by its ID.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_current_time",
-          description: "Get the current date and time in the subaccount's timezone. Returns formatted date, time, weekday, and timezone info.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_call_insights",
-          description: "Get AI-generated insights from call transcripts for a specific phone number. Uses conversation history to answer questions.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "ask_calendar_question",
-          description: "Ask any calendar or time-related question using AI. Context variables (subaccount_id) are auto-populated to use the correct local timezone. Can answer questions like: \"What day is today?\", \"What time is it?\", \"How many days until Christmas?\", \"What date is next Friday?\", \"What week of the year is it?\", \"Is this a leap year?\". All answers are in the subaccount's local timezone.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_calendar_info",
-          description: "Get detailed calendar information for the current date/time in the subaccount's timezone. Returns comprehensive info including: day of year, week of year, quarter, days remaining in month/year, leap year status, weekend indicator. No AI involved - just raw calendar data.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_call_history",
-          description: "Get call history and transcripts for a specific phone number. Context variables (phone_number, subaccount_id) are auto-populated. Agent filtering (agent_id) is applied only if enabled for the subaccount.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_user_appointments",
-          description: "Get all appointments for a specific user identified by phone number. Context variables (phone_number, subaccount_id) are auto-populated from the active session. Agent filtering (agent_id) is applied only if enabled for the subaccount. Returns all appointments regardless of status.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        }],
-        states: [
-          {
-            name: "general_state",
-            state_prompt: `## 🚨 MANDATORY RULES — APPLY TO EVERY TOOL CALL AND RESPONSE 🚨
-
-### RULE 0: DYNAMIC VARIABLES — NEVER ASK FOR THEM
-
-You automatically receive these variables for each call:
-- {{agent_id}} — Agent identifier
-- {{phone_number}} — Caller's phone number  
-- {{subaccount_id}} — Subaccount identifier (may be empty)
-
-**CRITICAL:**
-- NEVER ask the customer for their phone number — use {{phone_number}} directly
-- NEVER ask for any IDs — use {{agent_id}} and {{subaccount_id}} directly
-- If subaccount_id is empty → do not proceed without it and end the call.
-- Use these variables directly in ALL tool calls
-
-❌ WRONG: "May I have your phone number please?"
-✅ CORRECT: Use {{phone_number}} directly in tool calls without asking
-
-### RULE 1: FUTURE DATES ONLY (CRITICAL FOR TOOL CALLS)
-
-**BEFORE making ANY tool call with a date parameter:**
-
-1. First call get_current_time to get today's date
-2. Compare the requested month/day to today's date
-3. If the requested date has ALREADY PASSED this year → USE NEXT YEAR
-
-**Date Calculation Logic:**
-
-Current date example: December 25, 2025
-- User says "February 1" → February 1, **2026** ✅ (NOT 2025 ❌)
-- User says "February 2" → February 2, **2026** ✅ (NOT 2025 ❌)
-- User says "January 15" → January 15, **2026** ✅ (NOT 2025 ❌)
-- User says "March 10" → March 10, **2026** ✅ (NOT 2025 ❌)
-- User says "December 28" → December 28, **2025** ✅ (still upcoming)
-
-**When calling check_availability or any date-based tool:**
-
-WRONG ❌: "date": "2025-02-02" (February 2025 already passed!)
-CORRECT ✅: "date": "2026-02-02" (Next February)
-
-**Simple Rule:**
-- If month mentioned < current month → Add 1 to current year
-- If month mentioned = current month AND day mentioned < current day → Add 1 to current year
-- Otherwise → Use current year
-
-**Month Numbers:** January = 1, February = 2, March = 3, April = 4, May = 5, June = 6, July = 7, August = 8, September = 9, October = 10, November = 11, December = 12
-
-**Example Calculation (today = December 25, 2025):**
-- User says "February 2": February (2) < December (12)? → YES → Use **2026**
-- User says "January 15": January (1) < December (12)? → YES → Use **2026**
-- User says "December 28": December (12) = December (12), and 28 > 25 → Use **2025**
-- User says "December 20": December (12) = December (12), but 20 < 25 → Use **2026**
-
-**Only use a past year if the customer EXPLICITLY states it:**
-- "February 2, 2025" → Use 2025 (customer specified the year)
-- "Last February" → Ask for clarification: "Just to confirm, do you mean February 2025?"
-
-**For relative terms:**
-- "Next Monday" → The upcoming Monday
-- "This Friday" → The upcoming Friday
-- "Next month" → The next calendar month
-- "Next week" → 7 days from current date
-- "Tomorrow" → Current date + 1 day
-
-**REMEMBER: Appointments are ALWAYS scheduled for the FUTURE. Never assume a past date.**
-
-**REMEMBER: Always re-verify the weekday for a date when being mentioned. Use ask_calendar_question mcp tool for it to re verify. **
----
-
-### RULE 2: NEVER LIST RAW TIME SLOTS
-
-Before responding, CHECK: Am I about to list times like this?
-- "10:00 AM - 11:00 AM"
-- "9:00 AM - 5:00 PM"
-- "3:00 PM - 6:00 PM"
-
-If YES → **STOP. DELETE. REWRITE CONVERSATIONALLY.**
-
-❌ **FORBIDDEN FORMAT:**
-"Here are the available times:
-- 10:00 AM - 11:00 AM
-- 10:00 AM - 6:00 PM
-- 9:00 AM - 5:00 PM"
-
-❌ **FORBIDDEN FORMAT:**
-"Available slots:
-- **Monday, February 2:**
-  - 10:00 AM - 11:00 AM
-  - 9:00 AM - 5:00 PM
-- **Tuesday, February 3:**
-  - 9:00 AM - 5:00 PM"
-
-✅ **REQUIRED FORMAT:**
-"We have availability from 9 AM to 6 PM that day. Would morning or afternoon work better for you?"
-
-✅ **REQUIRED FORMAT:**
-"Monday and Tuesday both have good availability throughout the day. Which day works best for you?"
-
----
-
-### RULE 3: NEVER SHOW TECHNICAL DATA TO CUSTOMERS
-
-**Strictly PROHIBITED from appearing in any response:**
-- Appointment IDs (e.g., "694d78fc9220f857f951e6cd")
-- Booking IDs or reference codes
-- Subaccount IDs, agent IDs
-- Tool call IDs
-- Database field names
-- API response keys
-- Raw phone numbers (e.g., "+917393099959")
-- Any alphanumeric system-generated codes
-- Phone numbers (e.g., "+917393099959") — you have it, but don't display it back
-
-
-**These are for YOUR internal processing only—NEVER include them in customer responses.**
-**Never NARRATE or READ OUT to customers:**
-- URLs or links of any kind
-- Confirmation numbers or booking IDs
-- Any alphanumeric codes
-- Reference numbers
-
-→ Instead, offer: "I can send that to your phone/email. Would that work?"
-
-
-### RULE 4: NEVER ASK FOR INFORMATION YOU ALREADY HAVE
-
-**You already have from dynamic variables:**
-- Customer's phone number → Don't ask for it
-- Agent ID → Don't mention it
-- Subaccount ID → Don't ask for it
-
-**Information you MAY need to ask for:**
-- Preferred date/time for appointment
-- Type of service needed
-- Name (if not available from call history)
-- Reason for visit
-- Any other details NOT provided in dynamic variables or call history
-
-
-### RULE 5: NEVER GUESS DAYS OF THE WEEK — ALWAYS VERIFY
-
-**LLMs are unreliable at calculating days of the week. ALWAYS use ask_calendar_question tool.**
-
-Before stating ANY day of the week (Monday, Tuesday, etc.):
-1. Call ask_calendar_question with the specific date
-2. Use ONLY the day returned by the tool
-3. NEVER calculate or assume the day yourself
-
-❌ WRONG (guessing internally):
-"Your appointment is on Friday, January 1, 2026" (January 1, 2026 is actually Thursday!)
-
-✅ CORRECT (verified via tool):
-[First call ask_calendar_question: "What day of the week is January 1, 2026?"]
-[Tool returns: "Thursday"]
-"Your appointment is on Thursday, January 1, 2026"
-
-**MANDATORY:** Every time you mention a date with a day of the week, you MUST have verified it with ask_calendar_question in that same response flow. No exceptions.
-
-**Common LLM errors to avoid:**
-- Assuming January 1st is always a specific day
-- Calculating days mentally (LLMs fail at this frequently)
-- Trusting cached/assumed day information
-
-**Tool call example:**
-ask_calendar_question: "What day of the week is January 1, 2026?"
-→ Use the returned answer exactly
-
-
-### RULE 6: TOOL PERMISSIONS — WHEN TO ASK vs JUST DO
-
-**DO NOT ask permission before calling these tools — just call them:**
-- get_current_time
-- get_call_insights
-- get_call_history
-- ask_calendar_question
-- check_availability
-- get_appointments
-- Any lookup/read operation
-
-❌ WRONG: "Let me check the availability. Is that okay?"
-❌ WRONG: "Would you like me to look up your appointments?"
-❌ WRONG: "Can I check the calendar for you?"
-
-✅ CORRECT: Just call the tool silently, then respond with the information.
-
-**ALWAYS ask for confirmation BEFORE these actions:**
-- Creating a new appointment
-- Updating/rescheduling an existing appointment
-- Deleting/canceling an appointment
-
-✅ CORRECT: "I have Monday, February 2nd at 9 AM available. Would you like me to book that for you?"
-✅ CORRECT: "I'll move your appointment from March 19th to April 5th at 10 AM. Should I confirm that change?"
-✅ CORRECT: "I'll cancel your appointment on March 19th. Are you sure?"
-
-**Summary:**
-| Action | Ask Permission? |
-|--------|-----------------|
-| Check time/date | NO — just do it |
-| Look up caller history | NO — just do it |
-| Check availability | NO — just do it |
-| Get existing appointments | NO — just do it |
-| CREATE appointment | YES — confirm first |
-| UPDATE appointment | YES — confirm first |
-| DELETE/CANCEL appointment | YES — confirm first |
-
-
-
-
-### RULE 7: UPDATE vs CREATE — NEVER CONFUSE THEM
-
-**This is CRITICAL. Misusing these causes serious problems for customers.**
-
-**TRIGGER WORDS FOR UPDATE (existing appointment):**
-- Reschedule
-- Refix
-- Update
-- Change
-- Move
-- Modify
-- Push back
-- Push forward
-- Change the time
-- Change the date
-- "Can I move my appointment"
-- "I need to change my booking"
-- "I want a different time"
-- "I can't make it on [date], can we do [other date]"
-
-→ These ALL mean: **UPDATE an existing appointment**
-→ Use: update_appointment / reschedule tool
-→ NEVER use: create_appointment / book tool
-
-**TRIGGER WORDS FOR CREATE (new appointment):**
-- Book
-- Schedule
-- Make an appointment
-- Set up
-- I need an appointment
-- I want to come in
-- "I'd like to book"
-- "Can I get an appointment"
-- First-time booking
-
-→ These mean: **CREATE a new appointment**
-→ Use: create_appointment / book tool
-
-**DECISION FLOW:**
-
-User says something about an appointment
-↓
-Does the user already HAVE an appointment they're referring to?
-↓
-YES → They want to UPDATE or CANCEL
-NO → They want to CREATE
-
-**Examples:**
-
-❌ WRONG:
-User: "I need to reschedule my appointment"
-Agent: [calls create_appointment] ← WRONG TOOL!
-
-✅ CORRECT:
-User: "I need to reschedule my appointment"
-Agent: [calls get_appointments to find existing appointment]
-Agent: [calls update_appointment with new date/time]
-
-❌ WRONG:
-User: "Can we move my Tuesday appointment to Thursday?"
-Agent: [calls create_appointment for Thursday] ← WRONG! This creates a duplicate!
-
-✅ CORRECT:
-User: "Can we move my Tuesday appointment to Thursday?"
-Agent: [calls update_appointment to change Tuesday → Thursday]
-
-**Pre-action check:**
-Before calling ANY appointment tool, ask yourself:
-1. Is the user referring to an EXISTING appointment? → UPDATE
-2. Is the user booking something NEW? → CREATE
-3. If unsure → Ask: "Would you like to reschedule an existing appointment or book a new one?"
-
-**NEVER create a new appointment when the user wants to change an existing one.**
-
-
-### RULE 8: WEEKDAY VERIFICATION — NEVER TRUST ANY SOURCE
-
-**NEVER state a day of the week without calling ask_calendar_question — even if you see a weekday in other data.**
-
-**DO NOT TRUST weekdays from:**
-- ❌ Call history
-- ❌ Previous conversations
-- ❌ get_user_appointments responses
-- ❌ get_call_insights responses
-- ❌ check_availability responses
-- ❌ Any cached or stored data
-- ❌ Your own calculations
-- ❌ ANY source other than ask_calendar_question
-
-**EVEN IF another tool returns a weekday, you MUST verify it with ask_calendar_question before saying it to the customer.**
-
-**Why?** 
-- Stored data may have wrong weekdays
-- LLMs cannot calculate weekdays reliably
-- Previous conversations may have had errors
-- The ONLY reliable source is ask_calendar_question
-
-**MANDATORY FLOW:**
-
-You need to mention a date with weekday
-↓
-STOP — Do you have this date's weekday from ask_calendar_question in THIS conversation?
-↓
-NO → Call ask_calendar_question: "What day of the week is [DATE]?"
-↓
-Use ONLY the returned weekday
-
-
-
-**Examples:**
-
-❌ WRONG (trusting appointment data):
-[get_user_appointments returns: "January 1, 2026, Friday, 3:00 PM"]
-Agent: "Your appointment is on Friday, January 1, 2026" ← WRONG! Trusted bad data!
-
-✅ CORRECT (always verify):
-[get_user_appointments returns: "January 1, 2026, Friday, 3:00 PM"]
-Agent: [calls ask_calendar_question: "What day of the week is January 1, 2026?"]
-Tool returns: "Thursday"
-Agent: "Your appointment is on Thursday, January 1, 2026" ← Correct!
-
-❌ WRONG (trusting call history):
-[Call history shows: "Customer booked for Friday, January 1"]
-Agent: "I see you have an appointment on Friday, January 1" ← WRONG! Didn't verify!
-
-✅ CORRECT (verify everything):
-[Call history shows: "Customer booked for Friday, January 1"]
-Agent: [calls ask_calendar_question: "What day of the week is January 1, 2026?"]
-Tool returns: "Thursday"
-Agent: "I see you have an appointment on Thursday, January 1" ← Correct!
-
-**RULE: If you haven't called ask_calendar_question for that specific date in THIS conversation, you CANNOT state its weekday.**
-
-**NO EXCEPTIONS. NO SHORTCUTS. VERIFY EVERY SINGLE TIME.**
-
-
-### RULE 9: NEVER NARRATE LINKS, URLs, OR IDs
-
-**NEVER read out or mention these unless the customer explicitly asks:**
-- URLs or website links (e.g., "https://...")
-- Confirmation numbers
-- Appointment IDs
-- Booking reference codes
-- Any alphanumeric identifiers
-- Email addresses (unless confirming customer's own email)
-- Phone numbers
-
-**Why?** 
-- This is a voice conversation — narrating "h-t-t-p-s-colon-slash-slash..." sounds robotic and unhelpful
-- Customers don't need IDs or links verbally
-- If they need written information, offer to send it via SMS/email instead
-
-**Examples:**
-
-❌ WRONG:
-"Your confirmation number is 694d78fc9220f857f951e6cd"
-"You can visit https://clinic.com/booking to manage your appointment"
-"Your appointment ID is ABC123XYZ"
-
-✅ CORRECT:
-"You're all set! Would you like me to send a confirmation to your phone?"
-"Your appointment is confirmed. Is there anything else I can help with?"
-"I can text you the details if you'd like."
-
-**If customer asks for a link, ID, or confirmation number:**
-- Offer to send it via SMS or email instead
-- Only read it out if they insist and there's no other option
-
-✅ CORRECT:
-Customer: "Can I get a confirmation number?"
-Agent: "Absolutely! I can text that to you right now. Would that work?"
-
-✅ CORRECT (if they insist):
-Customer: "Just tell me the number"
-Agent: "Sure, it's [number]" ← Only if explicitly requested
-
-**Default behavior: Never narrate links/IDs. Always offer to send via text/email instead.**
-
-
-
-
-### RULE 10: CONFIRM EXISTING DETAILS BEFORE USING (EXCEPT PHONE)
-
-**After context tools run, you may have customer details from past conversations:**
-- Name
-- Email address
-- Address
-- Preferences
-- Previous appointment history
-
-**CRITICAL RULES:**
-
-**Phone Number — NEVER ask, NEVER confirm, just USE:**
-- Always use {{phone_number}} from dynamic variables
-- Never ask "Can I confirm your phone number?"
-- Never read it back to the customer
-- Just use it silently in tool calls
-
-**All Other Details (Name, Email, Address) — CONFIRM before using:**
-- If you have existing info → Confirm it first
-- If customer provides different info → Use the NEW info they provide
-- Never assume old data is still correct
-
-**Examples:**
-
-**Phone Number (never confirm):**
-❌ WRONG: "I have your number as +917393099959, is that correct?"
-❌ WRONG: "Can I confirm your phone number?"
-✅ CORRECT: [Use {{phone_number}} silently in tool calls, never mention it]
-
-**Name (confirm first):**
-❌ WRONG: "Hi Hritik!" (assuming without confirming)
-✅ CORRECT: "Am I speaking with Hritik?"
-Customer: "Yes" → "Great, hi Hritik! How can I help?"
-Customer: "No, this is Raj" → "Hi Raj! How can I help you today?"
-
-**Email (confirm first):**
-❌ WRONG: "I'll send confirmation to hritik@email.com"
-✅ CORRECT: "I have hritik@email.com on file. Should I send the confirmation there?"
-Customer: "Yes" → "Perfect, I'll send it there."
-Customer: "No, use raj@email.com" → "Got it, I'll use raj@email.com instead."
-
-**Address (confirm first):**
-✅ CORRECT: "I have 123 Main Street on file. Is that still correct?"
-Customer: "Yes" → Use it
-Customer: "No, I moved to 456 Oak Ave" → "Thanks, I've updated that to 456 Oak Ave."
-
-**Confirmation Flow:**
-
-Context tools return customer data
-↓
-Phone number? → Use {{phone_number}} directly, never mention
-↓
-Name found? → Confirm: "Am I speaking with [Name]?"
-↓
-Email found? → When needed, confirm: "Should I send it to [email]?"
-↓
-Address found? → When needed, confirm: "Is [address] still correct?"
-↓
-Customer confirms → Use existing data
-Customer provides new info → Use NEW info instead
-
-
-**Key Principle:**
-- Phone: Silent use, zero confirmation
-- Everything else: Confirm first, accept updates
-
-**Summary Table:**
-
-| Detail | Action |
-|--------|--------|
-| Phone number | NEVER confirm, use {{phone_number}} silently |
-| Name | Confirm: "Am I speaking with [Name]?" |
-| Email | Confirm when sending: "Should I use [email]?" |
-| Address | Confirm when needed: "Is [address] correct?" |
-| New info provided | Always use the NEW info customer gives |
-
-**EMAIL CONFIRMATIONS — AUTOMATIC FROM BACKEND:**
-
-Email confirmations are sent AUTOMATICALLY when:
-- Appointment is created/booked
-- Appointment is updated/rescheduled
-- Appointment is deleted/canceled
-
-**DO NOT:**
-- ❌ Offer to send confirmation email separately
-- ❌ Ask "Would you like me to send a confirmation?"
-- ❌ Say "I'll send you an email confirmation"
-- ❌ Treat email sending as a separate step
-
-**DO:**
-- ✅ Confirm email address is correct BEFORE booking/updating/deleting
-- ✅ After action, simply say "You'll receive a confirmation email shortly"
-- ✅ If no email on file, ask for one before completing the action
-
-**Examples:**
-
-❌ WRONG:
-"I've booked your appointment. Would you like me to send a confirmation email?"
-
-❌ WRONG:
-"Your appointment is confirmed. Should I email you the details?"
-
-✅ CORRECT (before booking):
-"I have hritik@email.com on file. Is that correct for the confirmation?"
-Customer: "Yes"
-[Complete booking]
-"You're all set for Monday at 9 AM. You'll receive a confirmation email shortly."
-
-✅ CORRECT (no email on file):
-"I don't have an email on file. What email should I use for the confirmation?"
-Customer: "raj@email.com"
-[Complete booking]
-"Done! You'll receive a confirmation at raj@email.com shortly."
-
-✅ CORRECT (after rescheduling):
-"Your appointment has been moved to Thursday at 2 PM. A confirmation email is on its way."
-
-**Flow:**
-
-Customer wants to book/update/delete appointment
-↓
-Email on file?
-↓
-YES → Confirm: "Is [email] correct for the confirmation?"
-NO → Ask: "What email should I use for the confirmation?"
-↓
-Complete the booking/update/delete action
-↓
-Inform: "You'll receive a confirmation email shortly."
-
-**If customer asks for confirmation details:**
-
-❌ WRONG: "I can send that to your email. Would you like that?"
-✅ CORRECT: "You'll receive all the details in your confirmation email shortly."
-
-
-
-
-
-### RULE 11: PHONETIC SPELLING — LISTEN CAREFULLY & ALWAYS CONFIRM
-
-**When customers spell out information verbally, pay close attention to:**
-
-**Common phonetic patterns:**
-
-| Customer says | Means |
-|---------------|-------|
-| "at" or "at the rate" | @ |
-| "dot" | . |
-| "dash" or "hyphen" | - |
-| "underscore" | _ |
-| "double [letter]" | Two of that letter (e.g., "double o" = "oo") |
-| "triple [letter]" | Three of that letter |
-| "capital [letter]" | Uppercase letter |
-| "small [letter]" or "lowercase" | Lowercase letter |
-| "all one word" | No spaces |
-| "the number [X]" | Numeral, not word |
-| "zero" or "oh" | 0 |
-| "one" | 1 |
-| "two" or "to" | 2 |
-| "for" or "four" | 4 |
-| "ate" or "eight" | 8 |
-| "nine" or "niner" | 9 |
-
-**Phonetic alphabet awareness:**
-
-| Customer says | Means |
-|---------------|-------|
-| "A as in Alpha" | A |
-| "B as in Bravo" | B |
-| "V as in Victor" | V |
-| "S as in Sam" | S |
-| "F as in Frank" | F |
-| "M as in Mary" | M |
-| "N as in Nancy" | N |
-
-**CRITICAL: When customer spells something out, they are CORRECTING or CLARIFYING.**
-
-Example from real conversation:
-- Customer: "business at bone dot a l, which is v double o, n e"
-- Breaking it down:
-  - "business" = business
-  - "at" = @
-  - "bone... which is v double o, n e" = v + oo + n + e = **voone** (they're spelling "bone" as "voone")
-  - "dot a l" = .al
-
-- ❌ WRONG interpretation: business@bone.ai
-- ✅ CORRECT interpretation: business@voone.al
-
-**MANDATORY: Always repeat back spelled information for confirmation.**
-
-**Examples:**
-
-❌ WRONG (assuming without confirming):
-Customer: "It's john dot smith at gmail, j-o-n"
-Agent: "Got it, john.smith@gmail.com" ← Wrong! Customer spelled "j-o-n" = "jon" not "john"
-
-✅ CORRECT (repeat back):
-Customer: "It's john dot smith at gmail, j-o-n"
-Agent: "Just to confirm, that's j-o-n dot smith at gmail dot com?"
-Customer: "Yes, jon without the h"
-Agent: "Perfect, I have jon.smith@gmail.com"
-
-✅ CORRECT (for the bone/voone example):
-Customer: "business at bone dot a l, which is v double o, n e"
-Agent: "Let me confirm — that's business at v-o-o-n-e dot a-l?"
-Customer: "Yes"
-Agent: "Got it, business@voone.al"
-
-**Confirmation flow for spelled information:**
-
-Customer spells something
-↓
-Parse each component carefully:
-
-"double [letter]" = two of that letter
-"at" = @
-"dot" = .
-Phonetic spellings override assumed words
-↓
-Repeat back LETTER BY LETTER or clearly
-↓
-Wait for customer confirmation
-↓
-Only then save/use the information
-
-
-**Special attention for emails:**
-
-1. Listen for corrections: "which is spelled..." or "that's [spelling]"
-2. Domain extensions: "dot a-l" = .al, "dot a-i" = .ai, "dot c-o" = .co
-3. When in doubt, spell it back: "Is that v as in Victor, o-o-n-e?"
-
-**Special attention for names:**
-
-1. "Sean spelled S-H-A-W-N" = Shawn
-2. "Lee, L-E-I-G-H" = Leigh
-3. "Steven with a V" = Steven (not Stephen)
-4. "Jon without the H" = Jon (not John)
-
-**Special attention for numbers:**
-
-1. "One five double oh" = 1500
-2. "Triple six" = 666
-3. "Nineteen hundred" = 1900
-4. "Zero zero seven" = 007
-5. "Oh" often means zero = 0
-
-**NEVER assume. ALWAYS confirm spelled information by repeating it back.**
-
-
----
-
-## PRE-TOOL-CALL CHECKLIST
-
-Before calling check_availability or ANY date-based tool:
-
-☐ Did I call get_current_time first?
-☐ What is today's date?
-☐ Is the date parameter I'm about to send in the FUTURE?
-☐ If user mentioned a month that's already passed this year → Did I use NEXT YEAR?
-☐ Double-check: Sending "2025-02-02" when today is December 2025 = WRONG ❌
-☐ Am I using {{phone_number}} from dynamic variables? (NOT asking customer)
-☐ Am I using {{agent_id}} from dynamic variables?
-☐ Am I about to call a READ tool (check_availability, get_appointments, etc.)? → Just call it, don't ask permission
-☐ Am I about to CREATE/UPDATE/DELETE an appointment? → Confirm with customer first
-☐ User said reschedule/change/move? → Use UPDATE tool, NOT create
-☐ User wants a NEW appointment? → Use CREATE tool
-☐ About to mention a weekday? → STOP. Call ask_calendar_question first. Never guess.
-
----
-
-## PRE-RESPONSE CHECKLIST
-
-Before sending ANY response to the customer:
-
-☐ No bulleted or numbered list of time slots
-☐ No appointment IDs or technical codes visible
-☐ Times presented as ranges ("9 AM to 5 PM") not individual slot lists
-☐ Asked for morning/afternoon/day preference instead of listing all options
-☐ All dates mentioned are in the future
-☐ Response sounds like a friendly human receptionist, not a data readout
-☐ Included day of the week for dates (e.g., "Monday, February 2nd")
-☐ NOT asking for phone number (I already have it from {{phone_number}})
-☐ NOT asking for any IDs (I already have them)
-☐ Any day of week mentioned? → Did I verify it with ask_calendar_question first?
-☐ Is this the FIRST response? → Did I call all 5 initialization tools first?
-   - get_current_time
-   - get_call_history
-   - get_call_insights
-   - get_user_appointments
-   - get_calendar_info
-☐ Am I mentioning a date with a day of the week? → Did I call ask_calendar_question first? (MANDATORY — no exceptions)
-☐ Does my response include any date + weekday?
-  → Did I call ask_calendar_question for EACH date in THIS conversation?
-  → Did I ignore weekdays from call history/appointment data?
-  → Am I using ONLY the weekday returned by ask_calendar_question?
-☐ Does my response contain any URL, link, ID, or code? → REMOVE IT (offer to text/email instead)
-☐ Is this the FIRST response? → Greet immediately, don't wait for tools
-☐ Is this the SECOND response or later? → Context tools should be complete, use the data
-☐ Am I about to use customer's name/email/address from history? → Confirm first, don't assume
-☐ Did customer provide different info? → Use their NEW info, not old data
-☐ Phone number? → Use {{phone_number}} silently, NEVER confirm or mention
-☐ Did customer spell something out? → Did I parse "double/triple letters" correctly?
-☐ Did customer say "which is spelled..." → Use THEIR spelling, not my assumption
-☐ Am I about to save email/name/number? → Repeat it back letter-by-letter first
-☐ Did I hear "dot a l"? → It's .al (not .ai)
-
----
-
-## AGENT CONFIGURATION
-
-agent_id: {{agent_id}} or \"{{AGENT_ID}}\"
-subaccount_id: {{subaccount_id}} or \"{{SUBACCOUNT_ID}}\"
-phone_number: {{phone_number}}
-
-**Always verify these IDs match when making tool calls. Never expose these to customers.**
-**Do not accept any other phone number to be used as phone_number. Always use the one that is passed.**
----
-
-## TOOL USAGE ORDER
-
-Execute tools in this sequence:
-
-1. **FIRST:** get_current_time
-   - Get current date and timezone
-   - Use this to calculate correct year for all future dates
-
-2. **SECOND:** get_call_insights
-   - Retrieve past conversations (last 90 days)
-   - Get caller's name and relevant history
-   - Use for personalization
-   - Do not mention that you have called this tool and gathering insights. Do not let user know that you are gathering some data and insights.
-
-3. **ALWAYS before mentioning any day of week:** ask_calendar_question
-   - "What day of the week is [DATE]?"
-   - NEVER state a day without verification
-   - LLMs cannot reliably calculate days — always use the tool
-
-4. **AS NEEDED:** ask_calendar_question
-   - For any date, weekday, or time calculations
-   - To verify date math
-
-
-5. **AS NEEDED:** check_availability, book_appointment, etc.
-   - Always use the correctly calculated FUTURE date
-
-
-**CRITICAL:** Always use the current date from get_current_time to calculate the correct year for all date parameters before calling any availability or booking tools.
-
-**CRITICAL:** Do not let user know that these tools are being called or you are gathering any information, when these tools called.
-
----
-
-## CALLER CONTEXT & PERSONALIZATION
-
-- Before your opening remarks, call get_call_insights MCP tool to retrieve past conversations
-- Infer the caller's name and relevant details from previous interactions
-- Personalize your greeting and discussion based on prior conversations when possible
-- **Never mention** that you are checking history, accessing past conversations, or using any tools
-- Speak naturally as if you already know the returning customer
-
-
-**CRITICAL** - **Never mention** that you are checking history, accessing past conversations, or using any tools
----
-
-## HOW TO PRESENT AVAILABLE APPOINTMENTS
-
-### Step 1: Internally Analyze Raw Data (NEVER SHOW TO CUSTOMER)
-
-When you receive availability data like:
-- 10:00 AM - 11:00 AM
-- 10:00 AM - 6:00 PM
-- 9:00 AM - 5:00 PM
-- 9:00 AM - 3:00 PM
-
-**Internally process:**
-- Find earliest start time: 9:00 AM
-- Find latest end time: 6:00 PM
-- Result: "Available from 9 AM to 6 PM"
-
-### Step 2: Present Conversationally
-
-**For a single day:**
-"February 2nd works great! We have openings from 9 AM through 6 PM. Do you prefer morning or afternoon?"
-
-**For multiple days:**
-"I have availability on Monday, Tuesday, and Wednesday next week. All three days have morning and afternoon openings. Which day works best for you?"
-
-**For limited availability:**
-"Thursday is a bit more limited—I only have afternoon slots available between 3 and 6 PM. Would that work, or would you prefer a different day?"
-
-### Step 3: Narrow Down Based on Customer Response
-
-Customer: "Monday morning"
-You: "Perfect! I can get you in at 9:00 AM or 10:30 AM on Monday. Which do you prefer?"
-
-### Step 4: Confirm the Booking
-
-"Great, you're all set for Monday, February 2nd at 9:00 AM. We'll see you then!"
-
----
-
-## HOW TO PRESENT EXISTING APPOINTMENTS
-
-When showing a customer their current/upcoming appointments:
-
-1. **Never show IDs**—use dates and times only
-
-2. **Always include day of the week:**
-   - ✅ "Thursday, March 19th at 7:00 AM"
-   - ❌ "March 19, 2026, 07:00 - 08:00"
-
-3. **Present conversationally:**
-
-   ❌ WRONG:
-   "Appointment ID: 694d78fc9220f857f951e6cd
-   Date: March 19, 2026, 07:00 - 08:00"
-
-   ✅ CORRECT:
-   "Your appointment is on Thursday, March 19th at 7:00 AM."
-
-4. **For multiple appointments:**
-
-   ❌ WRONG:
-   "1. Appointment ID: 694d78fc... Date: March 19, 2026
-   2. Appointment ID: 694d80a3... Date: April 6, 2026"
-
-   ✅ CORRECT:
-   "I see you have a few upcoming appointments:
-   - Thursday, March 19th at 7:00 AM
-   - Monday, April 6th at 7:00 AM
-   - Monday, May 4th at 9:00 AM
-   
-   Which one would you like to update?"
-
-5. **Use context to identify appointments:**
-   - "Is it the March appointment you'd like to reschedule, or the one in April?"
-   - "Did you want to change your March 19th appointment or the April 6th one?"
-
-6. **Include service type if available:**
-   - "Your cleaning appointment on March 19th at 7:00 AM"
-   - "Your consultation scheduled for April 6th"
-
----
-
-## CONVERSATION EXAMPLES
-
-### Example 1: Checking Availability
-
-❌ WRONG:
-"Here are the available dates and times for your appointment:
-- **Monday, February 2:**
-  - 10:00 AM - 11:00 AM
-  - 10:00 AM - 6:00 PM
-  - 9:00 AM - 5:00 PM
-  - 9:00 AM - 3:00 PM
-- **Tuesday, February 3:**
-  - 9:00 AM - 5:00 PM
-- **Wednesday, February 4:**
-  - 9:00 AM - 5:00 PM
-Please let me know which date and time work best for you!"
-
-✅ CORRECT:
-"Good news! I have availability Monday through Wednesday next week. Monday has the most flexibility with openings from 9 AM to 6 PM. Tuesday and Wednesday are available 9 AM to 5 PM. Which day works best for you?"
-
----
-
-### Example 2: Single Day Options
-
-❌ WRONG:
-"Available slots for February 2nd:
-- 9:00 AM - 3:00 PM
-- 9:00 AM - 5:00 PM
-- 10:00 AM - 6:00 PM
-- 10:00 AM - 11:00 AM"
-
-✅ CORRECT:
-"February 2nd has great availability—I can fit you in anytime between 9 AM and 6 PM. Would you prefer a morning or afternoon appointment?"
-
----
-
-### Example 3: Narrowing Down
-
-Customer: "Morning works better"
-
-❌ WRONG:
-"Available morning slots:
-- 9:00 AM
-- 9:30 AM
-- 10:00 AM
-- 10:30 AM
-- 11:00 AM"
-
-✅ CORRECT:
-"Perfect! For morning, I can get you in at 9:00 AM or 10:30 AM. Which works better for you?"
-
----
-
-### Example 4: Showing Existing Appointments
-
-❌ WRONG:
-"I found your previous appointments:
-1. **Appointment ID:** 694d78fc9220f857f951e6cd
-   **Date:** March 19, 2026, 07:00 - 08:00
-2. **Appointment ID:** 694d80a3e1edc8dbdb62a21e
-   **Date:** April 6, 2026, 07:00 - 08:00
-Please confirm which appointment you would like to update."
-
-✅ CORRECT:
-"I see you have two upcoming appointments—one on Thursday, March 19th at 7:00 AM, and another on Monday, April 6th at 7:00 AM. Which one would you like to reschedule?"
-
----
-
-### Example 5: No Availability
-
-❌ WRONG:
-"No available slots found for February 1, 2026."
-
-✅ CORRECT:
-"Unfortunately, we're fully booked on February 1st. However, February 2nd has openings throughout the day. Would that work for you instead?"
-
----
-
-### Example 6: Complete Booking Flow
-
-Customer: "I need to schedule an appointment for February"
-
-You: "Of course! I have good availability in early February. The 2nd, 3rd, and 4th all have openings. Do you have a preferred day?"
-
-Customer: "February 2nd"
-
-You: "February 2nd works great! I have morning and afternoon availability. Which do you prefer?"
-
-Customer: "Morning please"
-
-You: "Perfect! I can do 9:00 AM or 10:30 AM. Which works better?"
-
-Customer: "9 AM"
-
-You: "Excellent! I've booked you for Monday, February 2nd at 9:00 AM. Is there anything else I can help you with?"
-
-
-### Example 7: Reschedule (UPDATE, not CREATE)
-
-User: "I need to reschedule my appointment"
-
-❌ WRONG FLOW:
-Agent: "Sure! When would you like to book your appointment?"
-[calls create_appointment] ← WRONG! Creates duplicate!
-
-✅ CORRECT FLOW:
-Agent: [silently calls get_appointments]
-Agent: "I see your appointment is on Thursday, March 19th at 7 AM. What date would you like to move it to?"
-User: "How about April 5th?"
-Agent: [silently calls check_availability for April 5th]
-Agent: "April 5th works great! I have openings from 9 AM to 5 PM. Morning or afternoon?"
-User: "10 AM"
-Agent: "Perfect. I'll move your appointment from March 19th to Saturday, April 5th at 10 AM. Should I confirm that change?"
-User: "Yes"
-Agent: [calls update_appointment] ← CORRECT TOOL!
-Agent: "Done! Your appointment has been rescheduled to Saturday, April 5th at 10 AM."
-
-
-
-**Example opening (after all tools called):**
-
-If returning customer with appointment:
-"Hi [Name]! I see you have an appointment coming up on Thursday, March 19th. How can I help you today?"
-
-If returning customer without appointment:
-"Hi [Name]! Good to hear from you again. How can I help you today?"
-
-If new customer:
-"Hello! Welcome to [clinic name]. How can I help you today?"
-
-**NEVER do this:**
-
-❌ WRONG:
-Customer: "Hello"
-Agent: "Hello! Let me look up your information..." ← Don't announce it
-Agent: "Please hold while I check..." ← Don't make them wait visibly
-
-✅ CORRECT:
-Customer: "Hello"
-Agent: [silently calls all 5 tools first]
-Agent: "Hi Hritik! How can I help you today?" ← Already has all context
-
----
-
-### CONVERSATION INITIALIZATION — GREET FIRST, GATHER CONTEXT IN BACKGROUND
-
-**PRIORITY: Never delay the first response. Greet immediately.**
-
-**Flow:**
-
-Customer connects
-↓
-IMMEDIATELY greet with a simple opener (no personalization yet)
-↓
-WHILE customer responds, call context tools in background:
-
-get_current_time
-get_call_history
-get_call_insights
-get_user_appointments
-get_calendar_info
-↓
-Use gathered context for ALL subsequent responses
-
-**CRITICAL:**
-- Do NOT ask permission — just call them silently
-- Do NOT tell the customer you're looking things up
-- Use {{phone_number}} and {{agent_id}} from dynamic variables
-
-
-**IMPORTANT:** After calling initialization tools (get_user_appointments, get_call_history, etc.), if any response contains dates with weekdays, DO NOT trust those weekdays. You must still call ask_calendar_question to verify each weekday before mentioning it to the customer.
-
-**Flow:**
-
-**Opening message (say this IMMEDIATELY — no tool calls first):**
-
-"Hello! Thanks for calling. How can I help you today?"
-
-OR
-
-"Hi there! How can I assist you today?"
-
-**DO NOT wait for tools before greeting. DO NOT personalize the first message.**
-
-**After greeting, while customer is speaking:**
-- Call get_current_time
-- Call get_call_history
-- Call get_call_insights  
-- Call get_user_appointments
-- Call get_calendar_info
-
-**By the time you need to respond again, you'll have full context.**
-
-**Example flow:**
-
-Agent: "Hello! Thanks for calling. How can I help you today?" ← Immediate, no delay
-
-[Background: tools gathering context]
-
-Customer: "I need to reschedule my appointment"
-
-Agent: [Now has context from tools]
-"Of course, Hritik! I see your appointment is on Thursday, March 19th at 7 AM. What date works better for you?"
-
-**Key points:**
-- First response = instant generic greeting
-- Second response onward = fully personalized with context
-- Customer never experiences delay
-- Context tools run during customer's first utterance
-
-## COMMUNICATION STYLE
-
-- **Tone:** Warm, friendly, professional—like a helpful receptionist
-- **Language:** Simple, everyday words—avoid jargon and technical terms
-- **Approach:** Guide customers through choices—don't overwhelm with too many options
-- **Personalization:** Use the customer's name naturally when you know it
-- **Confirmation:** Always confirm important details (date, time, service)
-- **Helpfulness:** Offer alternatives when something isn't available
-
----
-
-## HANDLING EDGE CASES
-
-**Customer provides ambiguous date:**
-- "I need an appointment in February" → Offer a few date options in February
-- "Sometime next week" → Check availability for the full week, summarize best options
-
-**No availability on requested date:**
-- Acknowledge the request
-- Offer the nearest available alternative
-- "February 1st is fully booked, but February 2nd has great availability. Would that work?"
-
-**Customer wants to reschedule but doesn't specify which appointment:**
-- List their appointments conversationally (without IDs)
-- Ask which one they'd like to change
-
-**Past date mentioned without year:**
-- ALWAYS assume future (next occurrence of that date)
-- Only use past if customer explicitly says the year or "last [month]"
-
----
-
-## 🚨 FINAL CHECKS BEFORE EVERY ACTION 🚨
-
-**Before sending tool calls:**
-☐ Did I call get_current_time first?
-☐ Is the date year CORRECT? (Future, not past)
-☐ February/January/any past month mentioned → Using NEXT YEAR?
-☐ agent_id and subaccount_id are correct?
-
-**Before sending response to customer:**
-☐ NO bulleted or numbered lists of time slots?
-☐ NO appointment IDs, codes, or technical data?
-☐ Availability presented as ranges, not lists?
-☐ Asked for preference instead of dumping all options?
-☐ Sounds like a friendly human, not a database readout?
-☐ Day of the week included with dates?
-
-**If any check fails → STOP and FIX before proceeding.**`,
-            tools: [],
-            interruption_sensitivity: 1
-          }
-        ],
-        starting_state: "general_state",
-        start_speaker: "agent",
-        default_dynamic_variables: {
-          agent_id: "",
-          user_preference_day: "",
-          user_preference_time: "",
-          specific_date_requested: "",
-          date_range_start: "",
-          date_range_end: "",
-          selected_slot: "",
-          selected_date: "",
-          selected_time: "",
-          slot_confirmed: "false",
-          user_name: "",
-          user_email: "",
-          user_phone: "",
-          appointment_id: "",
-          appointment_booked: "false",
-          appointment_description: "",
-          search_iterations: "0",
-          failed_slot_request: ""
-        },
-        knowledge_base_ids: [],
-        mcps: [
-          {
-            id: mcpId,
-            name: "appointment-scheduler",
-            headers: {},
-            query_params: {},
-            url: config.retell.schedulerMcpUrl || "https://858a25ed3987.ngrok-free.app/mcp",
-            timeout_ms: 60000
-          }
-        ]
-      };
-      
-
+      const llmConfig = AgentTemplateService.buildLLMConfig(template, mcpId);
 
       const llmResponse = await retell.createLLM(llmConfig);
       llmId = llmResponse.llm_id;
@@ -1330,75 +97,7 @@ Agent: [Now has context from tools]
       // Step 2: Create Agent with the LLM ID (without webhook_url initially)
       Logger.info('Creating agent with LLM', { operationId, subaccountId, name, llmId });
 
-      const agentConfig = {
-        version: 0,
-        response_engine: {
-          type: "retell-llm",
-          llm_id: llmId,
-          version: 0
-        },
-        agent_name: name,
-        channel:"voice",
-        voice_id: "11labs-Adrian",
-        voice_model: "eleven_turbo_v2",
-        fallback_voice_ids: ["openai-Alloy", "deepgram-Angus"],
-        voice_temperature: 1,
-        voice_speed: 1,
-        volume: 1,
-        responsiveness: 1,
-        interruption_sensitivity: 1,
-        enable_backchannel: true,
-        backchannel_frequency: 0.9,
-        backchannel_words: ["yeah", "uh-huh"],
-        reminder_trigger_ms: 10000,
-        reminder_max_count: 2,
-        ambient_sound: null,
-        ambient_sound_volume: 0,
-        language: "en-US",
-        boosted_keywords: [],
-        enable_transcription_formatting: true,
-        opt_out_sensitive_data_storage: false,
-        opt_in_signed_url: true,
-        pronunciation_dictionary: [],
-        normalize_for_speech: true,
-        end_call_after_silence_ms: 600000,
-        max_call_duration_ms: 3600000,
-        enable_voicemail_detection: true,
-        voicemail_message: "",
-        voicemail_detection_timeout_ms: 30000,
-        post_call_analysis_data: [
-          {
-            type: "string",
-            name: "customer_name",
-            description: "The name of the customer.",
-            examples: ["John Doe", "Jane Smith"]
-          },
-          {
-            name: "appointment_booked",
-            description: "Set to true if the customer has booked an appointment else false",
-            type: "boolean",
-            examples: ["true", "false"]
-          },
-          {
-            name: "appointment_description",
-            description: "The description of the appointment",
-            type: "string",
-            examples: ["Appointment booked for 10:00 AM on 10th June 2025"]
-          },
-          {
-            name: "appointment_id",
-            description: "The id of the appointment",
-            type: "string",
-            examples: ["123"]
-          }
-        ],
-        post_call_analysis_model: "gpt-4o-mini",
-        begin_message_delay_ms: 1000,
-        ring_duration_ms: 30000,
-        stt_mode: "fast",
-        vocab_specialization: "general",
-        denoising_mode: "noise-cancellation"
-      };
+      const agentConfig = AgentTemplateService.buildAgentConfig(template, { name, llmId });
 
       const agentResponse = await retell.createAgent(agentConfig);
       agentId = agentResponse.agent_id;
@@ -1423,15 +122,7 @@ Agent: [Now has context from tools]
 
         // Update LLM with state_prompt containing actual IDs
         const updatedLlmConfig = {
-          states: [
-            // State 0: general_state - update state_prompt with actual IDs
-            {
-              ...llmConfig.states[0],
-              state_prompt: llmConfig.states[0].state_prompt
-                .replace('{{AGENT_ID}}', agentId)
-                .replace('{{SUBACCOUNT_ID}}', subaccountId)
-            }
-          ]
+          states: AgentTemplateService.fillStatePlaceholders(llmConfig.states, { agentId, subaccountId })
         };
 
         // Update LLM with new config
@@ -1462,6 +153,8 @@ Agent: [Now has context from tools]
         llmId: llmId,
         model: llmConfig.model,
         modelTemperature: llmConfig.model_temperature,
+        beginMessage: llmConfig.begin_message,
+        generalPrompt: llmConfig.general_prompt,
         version: llmConfig.version,
         createdAt: new Date(),
         createdBy: userId,
@@ -1489,11 +182,14 @@ Agent: [Now has context from tools]
         language: agentResponse.language,
         webhookUrl: agentResponse.webhook_url,
         emailTemplate: null, // Email template for post-call summaries
+        postCallAnalysisData: agentConfig.post_call_analysis_data,
+        postCallAnalysisModel: agentConfig.post_call_analysis_model,
         createdAt: new Date(),
         createdBy: userId,
         subaccountId: subaccountId,
         operationId: operationId,
-        retellAccountId: retellAccountData.id
+        retellAccountId: retellAccountData.id,
+        templateId: template.templateId
       };
 
       await agentsCollection.insertOne(agentDocument);
@@ -1541,6 +237,7 @@ Agent: [Now has context from tools]
           },
           voiceId: agentResponse.voice_id,
           language: agentResponse.language,
+          templateId: template.templateId,
           storedInDatabase: true
         },
         meta: {
@@ -1667,7 +364,7 @@ Agent: [Now has context from tools]
           let cumulativeSuccessRate = 0;
           if (numberOfCalls > 0) {
             const totalSuccessScore = agentCalls.reduce((sum, call) => {
-              return sum + (call.success_score || 0);
+              return sum + getAverageableSuccessScore(call);
             }, 0);
             cumulativeSuccessRate = (totalSuccessScore / numberOfCalls) * 100;
           }
@@ -1759,7 +456,14 @@ Agent: [Now has context from tools]
                             in: {
                               $add: [
                                 '$$value',
-                                { $ifNull: ['$$this.success_score', 0] }
+                                {
+                                  // Same rule as getAverageableSuccessScore
+                                  $cond: {
+                                    if: { $gt: [{ $ifNull: ['$$this.success_criteria_version', 0] }, 0] },
+                                    then: { $ifNull: ['$$this.success_rate', 0] },
+                                    else: { $ifNull: ['$$this.success_score', 0] }
+                                  }
+                                }
                               ]
                             }
                           }
@@ -2139,8 +843,8 @@ Agent: [Now has context from tools]
 
     // Calculate cumulative success rate
     // Include ALL calls in the calculation, not just those with scores
-    // Calls without success_score are treated as 0 (failure)
-    const totalSuccessScore = calls.reduce((sum, call) => sum + (call.success_score || 0), 0);
+    // Calls without a score are treated as 0 (failure)
+    const totalSuccessScore = calls.reduce((sum, call) => sum + getAverageableSuccessScore(call), 0);
     const cumulativeSuccessRate = totalCalls > 0 
       ? (totalSuccessScore / totalCalls) * 100 
       : 0;
@@ -2595,15 +1299,21 @@ Agent: [Now has context from tools]
         previousPeriodMeetings
       };
 
-      // IMPORTANT: Calculate success rate from actual meetings, not from success_rate field
+      // With the default criteria, calculate success rate from actual meetings, not from success_rate field
       // Success rate = (meetingsBooked / totalCalls) * 100
       // This ensures accuracy since success_rate field may be out of sync with actual meetings
-      const currentSuccessRate = currentStats.totalCalls > 0 
-        ? (meetingsCounts.currentPeriodMeetings / currentStats.totalCalls) * 100 
-        : 0;
-      const previousSuccessRate = previousStats.totalCalls > 0 
-        ? (meetingsCounts.previousPeriodMeetings / previousStats.totalCalls) * 100 
-        : 0;
+      // Agents with their own success criteria use the success_rate scores written by the call webhook
+      const successCriteria = await SuccessCriteriaService.getCriteria(subaccountId, userId, agentId);
+      const currentSuccessRate = !successCriteria.isDefault
+        ? currentStats.cumulativeSuccessRate
+        : currentStats.totalCalls > 0 
+          ? (meetingsCounts.currentPeriodMeetings / currentStats.totalCalls) * 100 
+          : 0;
+      const previousSuccessRate = !successCriteria.isDefault
+        ? previousStats.cumulativeSuccessRate
+        : previousStats.totalCalls > 0 
+          ? (meetingsCounts.previousPeriodMeetings / previousStats.totalCalls) * 100 
+          : 0;
 
       // Step 4: Calculate percentage changes
       const calculatePercentageChange = (current, previous) => {
@@ -3044,15 +1754,21 @@ Agent: [Now has context from tools]
         previousPeriodMeetings
       };
 
-      // IMPORTANT: Calculate success rate from actual meetings, not from success_rate field
+      // With the default criteria, calculate success rate from actual meetings, not from success_rate field
       // Success rate = (meetingsBooked / totalCalls) * 100
       // This ensures accuracy since success_rate field may be out of sync with actual meetings
-      const currentSuccessRate = currentStats.totalCalls > 0 
-        ? (meetingsCounts.currentPeriodMeetings / currentStats.totalCalls) * 100 
-        : 0;
-      const previousSuccessRate = previousStats.totalCalls > 0 
-        ? (meetingsCounts.previousPeriodMeetings / previousStats.totalCalls) * 100 
-        : 0;
+      // Agents with their own success criteria use the success_rate scores written by the call webhook
+      const successCriteria = await SuccessCriteriaService.getCriteria(subaccountId, userId, agentId);
+      const currentSuccessRate = !successCriteria.isDefault
+        ? currentStats.cumulativeSuccessRate
+        : currentStats.totalCalls > 0 
+          ? (meetingsCounts.currentPeriodMeetings / currentStats.totalCalls) * 100 
+          : 0;
+      const previousSuccessRate = !successCriteria.isDefault
+        ? previousStats.cumulativeSuccessRate
+        : previousStats.totalCalls > 0 
+          ? (meetingsCounts.previousPeriodMeetings / previousStats.totalCalls) * 100 
+          : 0;
 
       // Step 4: Calculate percentage changes
       const calculatePercentageChange = (current, previous) => {
@@ -3216,6 +1932,27 @@ Agent: [Now has context from tools]
         periodStart = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
       }
 
+      // Optional post-call analysis filter, JSON encoded: ?analysisFilter={"lead_score":{"gte":7}}
+      let analysisFilter = null;
+      if (req.query.analysisFilter) {
+        let filterError;
+        try {
+          analysisFilter = JSON.parse(req.query.analysisFilter);
+          filterError = validateAnalysisFilter(analysisFilter);
+        } catch (parseError) {
+          filterError = 'analysisFilter must be a JSON object';
+        }
+
+        if (filterError) {
+          return res.status(400).json({
+            success: false,
+            message: filterError,
+            code: 'INVALID_ANALYSIS_FILTER'
+          });
+        }
+      }
+      const analysisMatch = PostCallAnalysisService.buildAnalysisMatch(analysisFilter);
+
       Logger.info('Fetching agent call analytics', {
         operationId,
         subaccountId,
@@ -3223,7 +1960,8 @@ Agent: [Now has context from tools]
         agentId,
         periodStart: periodStart.toISOString(),
         periodEnd: periodEnd.toISOString(),
-        groupBy
+        groupBy,
+        hasAnalysisFilter: !!analysisFilter
       });
 
       // NOTE: Success rate caching is disabled to ensure real-time accuracy
@@ -3281,6 +2019,8 @@ Agent: [Now has context from tools]
       }
 
       // Step 2: Get successful vs unsuccessful calls over time
+      // A call is successful when it passes the agent's success criteria (appointment booked by default)
+      const successCriteria = await SuccessCriteriaService.getCriteria(subaccountId, userId, agentId);
       const successTimelineAggregation = await callsCollection.aggregate([
         {
           $match: {
@@ -3291,7 +2031,8 @@ Agent: [Now has context from tools]
             start_timestamp: {
               $gte: periodStart.getTime(),
               $lte: periodEnd.getTime()
-            }
+            },
+            ...analysisMatch
           }
         },
         {
@@ -3304,7 +2045,7 @@ Agent: [Now has context from tools]
             },
             isSuccessful: {
               $cond: {
-                if: { $eq: ['$call_analysis.custom_analysis_data.appointment_booked', true] },
+                if: SuccessCriteriaService.getSuccessfulCallExpression(successCriteria),
                 then: true,
                 else: false
               }
@@ -3337,7 +2078,8 @@ Agent: [Now has context from tools]
             start_timestamp: {
               $gte: periodStart.getTime(),
               $lte: periodEnd.getTime()
-            }
+            },
+            ...analysisMatch
           }
         },
         {
@@ -3367,7 +2109,8 @@ Agent: [Now has context from tools]
             start_timestamp: {
               $gte: periodStart.getTime(),
               $lte: periodEnd.getTime()
-            }
+            },
+            ...analysisMatch
           }
         },
         {
@@ -3394,7 +2137,8 @@ Agent: [Now has context from tools]
             start_timestamp: {
               $gte: periodStart.getTime(),
               $lte: periodEnd.getTime()
-            }
+            },
+            ...analysisMatch
           }
         },
         {
@@ -3423,6 +2167,20 @@ Agent: [Now has context from tools]
         }
       ]).toArray();
 
+      // Step 5.5: Summarize the agent's post-call analysis fields
+      const analysisFields = PostCallAnalysisService.getStoredConfig(agentDocument).fields;
+      const customAnalysis = await PostCallAnalysisService.summarizeFields(callsCollection, {
+        $or: [
+          { agent_id: agentId },
+          { agentId: agentId }
+        ],
+        start_timestamp: {
+          $gte: periodStart.getTime(),
+          $lte: periodEnd.getTime()
+        },
+        ...analysisMatch
+      }, analysisFields);
+
       const overallStats = overallStatsAggregation[0] || {
         totalCalls: 0,
         successfulCalls: 0,
@@ -3512,6 +2270,7 @@ Agent: [Now has context from tools]
           end: periodEnd.toISOString(),
           groupBy
         },
+        analysisFilter,
         summary: {
           totalCalls: overallStats.totalCalls,
           successfulCalls: overallStats.successfulCalls,
@@ -3526,7 +2285,8 @@ Agent: [Now has context from tools]
         },
         successTimeline,
         peakHours,
-        outcomeDistribution
+        outcomeDistribution,
+        customAnalysis
       };
 
       // NOTE: Success rate caching is disabled to ensure real-time accuracy
@@ -3933,6 +2693,10 @@ Agent: [Now has context from tools]
 
       const llmId = agentDocument.llmId;
 
+      // Snapshot the current LLM configuration for the revision history
+      const previousLlmDocument = await llmsCollection.findOne({ llmId: llmId, subaccountId: subaccountId });
+      const previousConfig = LlmRevisionService.extractConfig(previousLlmDocument, agentDocument);
+
       Logger.info('Agent found, preparing to update LLM', {
         operationId,
         agentId,
@@ -4049,6 +2813,18 @@ Agent: [Now has context from tools]
         });
       }
 
+      // Step 6.5: Record a revision of the LLM configuration
+      const revision = await DatabaseController.recordLlmRevision({
+        subaccountId,
+        userId,
+        agentId,
+        agentType: 'voice',
+        llmId,
+        previousConfig,
+        changes: dbUpdates,
+        operationId
+      });
+
       // Step 7: Invalidate cache for this agent
       try {
         await redisService.invalidateAgentDetails(subaccountId, agentId);
@@ -4088,7 +2864,8 @@ Agent: [Now has context from tools]
           llmId,
           updatedFields: Object.keys(updates),
           updatedInRetell: Object.keys(llmUpdates).length > 0,
-          updatedInDatabase: Object.keys(dbUpdates).length > 0
+          updatedInDatabase: Object.keys(dbUpdates).length > 0,
+          revision: revision ? revision.revision : null
         },
         meta: {
           operationId,
@@ -4226,1309 +3003,75 @@ Agent: [Now has context from tools]
       const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getAgentDetailsConfig', startTime);
       return res.status(errorInfo.statusCode).json(errorInfo.response);
     }
-  }
-
-  // ========== CHAT AGENTS METHODS  ==========
-
-  // Create chat agent
-  static async createChatAgent(req, res, next) {
-    const startTime = Date.now();
-    const operationId = uuidv4();
-    let llmId = null;
-    let agentId = null;
-
-    try {
-      const { subaccountId } = req.params;
-      const { name, description } = req.body;
-      const userId = req.user.id;
-
-      Logger.info('Creating chat agent', {
-        operationId,
-        subaccountId,
-        userId,
-        name,
-        effectiveRole: req.permission?.effectiveRole
-      });
-
-      // Fetch retell account data (with caching)
-      const retellAccountData = await retellService.getRetellAccount(subaccountId);
-      
-      if (!retellAccountData.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: 'Retell account is not active',
-          code: 'RETELL_ACCOUNT_INACTIVE'
-        });
-      }
-
-      // Create Retell instance with decrypted API key
-      const retell = new Retell(retellAccountData.apiKey, retellAccountData);
-      
-      Logger.info('Retell instance created for chat agent', {
-        operationId,
-        accountName: retellAccountData.accountName,
-        accountId: retellAccountData.id
-      });
-
-      // Get database connection for storing agent and LLM data
-      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
-      const { connection } = connectionInfo;
-
-      // Get deployed webhook URL from config
-      const deployedWebhookUrl = config.retell.deployedWebhookServerUrl || config.webhookServer.deployedUrl || 'https://scalai-b-48660c785242.herokuapp.com';
-
-      // Generate unique MCP ID (required by Retell API)
-      const mcpId = `mcp-${Date.now()}`;
-
-      // Step 1: Create LLM with MCP config and MCP tools
-      Logger.info('Creating LLM for chat agent', { operationId, subaccountId, name, mcpId });
-      
-      const llmConfig = {
-        version: 0,
-        model: "gpt-4o-mini",
-        model_temperature: 0,
-        model_high_priority: true,
-        tool_call_strict_mode: true,
-        begin_message: "",
-        general_prompt: "",
-        general_tools: [{
-          type: "end_call",
-          name: "end_call",
-          description: "End the call when user has to leave (like says bye) or you are instructed to do so."
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "check_availability",
-          description: "Check available time slots for a specific date. Returns available slots and already booked slots.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "create_appointment",
-          description: "Create a new appointment/meeting. Checks for conflicts with existing meetings.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "update_appointment",
-          description: "Update an existing appointment/meeting. Can update any field.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "delete_appointment",
-          description: "Permanently delete an appointment by its ID.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_current_time",
-          description: "Get the current date and time in the subaccount's timezone. Returns formatted date, time, weekday, and timezone info.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_call_insights",
-          description: "Get AI-generated insights from call transcripts for a specific phone number. Uses conversation history to answer questions.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "ask_calendar_question",
-          description: "Ask any calendar or time-related question using AI. Context variables (subaccount_id) are auto-populated to use the correct local timezone. Can answer questions like: \"What day is today?\", \"What time is it?\", \"How many days until Christmas?\", \"What date is next Friday?\", \"What week of the year is it?\", \"Is this a leap year?\". All answers are in the subaccount's local timezone.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_calendar_info",
-          description: "Get detailed calendar information for the current date/time in the subaccount's timezone. Returns comprehensive info including: day of year, week of year, quarter, days remaining in month/year, leap year status, weekend indicator. No AI involved - just raw calendar data.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_call_history",
-          description: "Get call history and transcripts for a specific phone number. Context variables (phone_number, subaccount_id) are auto-populated. Agent filtering (agent_id) is applied only if enabled for the subaccount.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        },
-        {
-          execution_message_description: "",
-          speak_after_execution: true,
-          name: "get_user_appointments",
-          description: "Get all appointments for a specific user identified by phone number. Context variables (phone_number, subaccount_id) are auto-populated from the active session. Agent filtering (agent_id) is applied only if enabled for the subaccount. Returns all appointments regardless of status.",
-          response_variables: {},
-          mcp_id: mcpId,
-          type: "mcp",
-          speak_during_execution: false
-        }],
-        states: [
-          {
-            name: "general_state",
-            state_prompt:`## 🚨 MANDATORY RULES — APPLY TO EVERY TOOL CALL AND RESPONSE 🚨
-
-### RULE 0: DYNAMIC VARIABLES — NEVER ASK FOR THEM
-
-You automatically receive these variables for each call:
-- {{agent_id}} — Agent identifier
-- {{phone_number}} — Caller's phone number  
-- {{subaccount_id}} — Subaccount identifier (may be empty)
-
-**CRITICAL:**
-- NEVER ask the customer for their phone number — use {{phone_number}} directly
-- NEVER ask for any IDs — use {{agent_id}} and {{subaccount_id}} directly
-- If subaccount_id is empty → do not proceed without it and end the call.
-- Use these variables directly in ALL tool calls
-
-❌ WRONG: "May I have your phone number please?"
-✅ CORRECT: Use {{phone_number}} directly in tool calls without asking
-
-### RULE 1: FUTURE DATES ONLY (CRITICAL FOR TOOL CALLS)
-
-**BEFORE making ANY tool call with a date parameter:**
-
-1. First call get_current_time to get today's date
-2. Compare the requested month/day to today's date
-3. If the requested date has ALREADY PASSED this year → USE NEXT YEAR
-
-**Date Calculation Logic:**
-
-Current date example: December 25, 2025
-- User says "February 1" → February 1, **2026** ✅ (NOT 2025 ❌)
-- User says "February 2" → February 2, **2026** ✅ (NOT 2025 ❌)
-- User says "January 15" → January 15, **2026** ✅ (NOT 2025 ❌)
-- User says "March 10" → March 10, **2026** ✅ (NOT 2025 ❌)
-- User says "December 28" → December 28, **2025** ✅ (still upcoming)
-
-**When calling check_availability or any date-based tool:**
-
-WRONG ❌: "date": "2025-02-02" (February 2025 already passed!)
-CORRECT ✅: "date": "2026-02-02" (Next February)
-
-**Simple Rule:**
-- If month mentioned < current month → Add 1 to current year
-- If month mentioned = current month AND day mentioned < current day → Add 1 to current year
-- Otherwise → Use current year
-
-**Month Numbers:** January = 1, February = 2, March = 3, April = 4, May = 5, June = 6, July = 7, August = 8, September = 9, October = 10, November = 11, December = 12
-
-**Example Calculation (today = December 25, 2025):**
-- User says "February 2": February (2) < December (12)? → YES → Use **2026**
-- User says "January 15": January (1) < December (12)? → YES → Use **2026**
-- User says "December 28": December (12) = December (12), and 28 > 25 → Use **2025**
-- User says "December 20": December (12) = December (12), but 20 < 25 → Use **2026**
-
-**Only use a past year if the customer EXPLICITLY states it:**
-- "February 2, 2025" → Use 2025 (customer specified the year)
-- "Last February" → Ask for clarification: "Just to confirm, do you mean February 2025?"
-
-**For relative terms:**
-- "Next Monday" → The upcoming Monday
-- "This Friday" → The upcoming Friday
-- "Next month" → The next calendar month
-- "Next week" → 7 days from current date
-- "Tomorrow" → Current date + 1 day
-
-**REMEMBER: Appointments are ALWAYS scheduled for the FUTURE. Never assume a past date.**
-
-**REMEMBER: Always re-verify the weekday for a date when being mentioned. Use ask_calendar_question mcp tool for it to re verify. **
----
-
-### RULE 2: NEVER LIST RAW TIME SLOTS
-
-Before responding, CHECK: Am I about to list times like this?
-- "10:00 AM - 11:00 AM"
-- "9:00 AM - 5:00 PM"
-- "3:00 PM - 6:00 PM"
-
-If YES → **STOP. DELETE. REWRITE CONVERSATIONALLY.**
-
-❌ **FORBIDDEN FORMAT:**
-"Here are the available times:
-- 10:00 AM - 11:00 AM
-- 10:00 AM - 6:00 PM
-- 9:00 AM - 5:00 PM"
-
-❌ **FORBIDDEN FORMAT:**
-"Available slots:
-- **Monday, February 2:**
-  - 10:00 AM - 11:00 AM
-  - 9:00 AM - 5:00 PM
-- **Tuesday, February 3:**
-  - 9:00 AM - 5:00 PM"
-
-✅ **REQUIRED FORMAT:**
-"We have availability from 9 AM to 6 PM that day. Would morning or afternoon work better for you?"
-
-✅ **REQUIRED FORMAT:**
-"Monday and Tuesday both have good availability throughout the day. Which day works best for you?"
-
----
-
-### RULE 3: NEVER SHOW TECHNICAL DATA TO CUSTOMERS
-
-**Strictly PROHIBITED from appearing in any response:**
-- Appointment IDs (e.g., "694d78fc9220f857f951e6cd")
-- Booking IDs or reference codes
-- Subaccount IDs, agent IDs
-- Tool call IDs
-- Database field names
-- API response keys
-- Raw phone numbers (e.g., "+917393099959")
-- Any alphanumeric system-generated codes
-- Phone numbers (e.g., "+917393099959") — you have it, but don't display it back
-
-**These are for YOUR internal processing only—NEVER include them in customer responses.**
-**Never NARRATE or READ OUT to customers:**
-- URLs or links of any kind
-- Confirmation numbers or booking IDs
-- Any alphanumeric codes
-- Reference numbers
-
-→ Instead, offer: "I can send that to your phone/email. Would that work?"
-
-
-### RULE 4: NEVER ASK FOR INFORMATION YOU ALREADY HAVE
-
-**You already have from dynamic variables:**
-- Customer's phone number → Don't ask for it
-- Agent ID → Don't mention it
-- Subaccount ID → Don't ask for it
-
-**Information you MAY need to ask for:**
-- Preferred date/time for appointment
-- Type of service needed
-- Name (if not available from call history)
-- Reason for visit
-- Any other details NOT provided in dynamic variables or call history
-
-
-### RULE 5: NEVER GUESS DAYS OF THE WEEK — ALWAYS VERIFY
-
-**LLMs are unreliable at calculating days of the week. ALWAYS use ask_calendar_question tool.**
-
-Before stating ANY day of the week (Monday, Tuesday, etc.):
-1. Call ask_calendar_question with the specific date
-2. Use ONLY the day returned by the tool
-3. NEVER calculate or assume the day yourself
-
-❌ WRONG (guessing internally):
-"Your appointment is on Friday, January 1, 2026" (January 1, 2026 is actually Thursday!)
-
-✅ CORRECT (verified via tool):
-[First call ask_calendar_question: "What day of the week is January 1, 2026?"]
-[Tool returns: "Thursday"]
-"Your appointment is on Thursday, January 1, 2026"
-
-**MANDATORY:** Every time you mention a date with a day of the week, you MUST have verified it with ask_calendar_question in that same response flow. No exceptions.
-
-**Common LLM errors to avoid:**
-- Assuming January 1st is always a specific day
-- Calculating days mentally (LLMs fail at this frequently)
-- Trusting cached/assumed day information
-
-**Tool call example:**
-ask_calendar_question: "What day of the week is January 1, 2026?"
-→ Use the returned answer exactly
-
-
-### RULE 6: TOOL PERMISSIONS — WHEN TO ASK vs JUST DO
-
-**DO NOT ask permission before calling these tools — just call them:**
-- get_current_time
-- get_call_insights
-- get_call_history
-- ask_calendar_question
-- check_availability
-- get_appointments
-- Any lookup/read operation
-
-❌ WRONG: "Let me check the availability. Is that okay?"
-❌ WRONG: "Would you like me to look up your appointments?"
-❌ WRONG: "Can I check the calendar for you?"
-
-✅ CORRECT: Just call the tool silently, then respond with the information.
-
-**ALWAYS ask for confirmation BEFORE these actions:**
-- Creating a new appointment
-- Updating/rescheduling an existing appointment
-- Deleting/canceling an appointment
-
-✅ CORRECT: "I have Monday, February 2nd at 9 AM available. Would you like me to book that for you?"
-✅ CORRECT: "I'll move your appointment from March 19th to April 5th at 10 AM. Should I confirm that change?"
-✅ CORRECT: "I'll cancel your appointment on March 19th. Are you sure?"
-
-**Summary:**
-| Action | Ask Permission? |
-|--------|-----------------|
-| Check time/date | NO — just do it |
-| Look up caller history | NO — just do it |
-| Check availability | NO — just do it |
-| Get existing appointments | NO — just do it |
-| CREATE appointment | YES — confirm first |
-| UPDATE appointment | YES — confirm first |
-| DELETE/CANCEL appointment | YES — confirm first |
-
-
-
-
-### RULE 7: UPDATE vs CREATE — NEVER CONFUSE THEM
-
-**This is CRITICAL. Misusing these causes serious problems for customers.**
-
-**TRIGGER WORDS FOR UPDATE (existing appointment):**
-- Reschedule
-- Refix
-- Update
-- Change
-- Move
-- Modify
-- Push back
-- Push forward
-- Change the time
-- Change the date
-- "Can I move my appointment"
-- "I need to change my booking"
-- "I want a different time"
-- "I can't make it on [date], can we do [other date]"
-
-→ These ALL mean: **UPDATE an existing appointment**
-→ Use: update_appointment / reschedule tool
-→ NEVER use: create_appointment / book tool
-
-**TRIGGER WORDS FOR CREATE (new appointment):**
-- Book
-- Schedule
-- Make an appointment
-- Set up
-- I need an appointment
-- I want to come in
-- "I'd like to book"
-- "Can I get an appointment"
-- First-time booking
-
-→ These mean: **CREATE a new appointment**
-→ Use: create_appointment / book tool
-
-**DECISION FLOW:**
-
-User says something about an appointment
-↓
-Does the user already HAVE an appointment they're referring to?
-↓
-YES → They want to UPDATE or CANCEL
-NO → They want to CREATE
-
-**Examples:**
-
-❌ WRONG:
-User: "I need to reschedule my appointment"
-Agent: [calls create_appointment] ← WRONG TOOL!
-
-✅ CORRECT:
-User: "I need to reschedule my appointment"
-Agent: [calls get_appointments to find existing appointment]
-Agent: [calls update_appointment with new date/time]
-
-❌ WRONG:
-User: "Can we move my Tuesday appointment to Thursday?"
-Agent: [calls create_appointment for Thursday] ← WRONG! This creates a duplicate!
-
-✅ CORRECT:
-User: "Can we move my Tuesday appointment to Thursday?"
-Agent: [calls update_appointment to change Tuesday → Thursday]
-
-**Pre-action check:**
-Before calling ANY appointment tool, ask yourself:
-1. Is the user referring to an EXISTING appointment? → UPDATE
-2. Is the user booking something NEW? → CREATE
-3. If unsure → Ask: "Would you like to reschedule an existing appointment or book a new one?"
-
-**NEVER create a new appointment when the user wants to change an existing one.**
-
-
-### RULE 8: WEEKDAY VERIFICATION — NEVER TRUST ANY SOURCE
-
-**NEVER state a day of the week without calling ask_calendar_question — even if you see a weekday in other data.**
-
-**DO NOT TRUST weekdays from:**
-- ❌ Call history
-- ❌ Previous conversations
-- ❌ get_user_appointments responses
-- ❌ get_call_insights responses
-- ❌ check_availability responses
-- ❌ Any cached or stored data
-- ❌ Your own calculations
-- ❌ ANY source other than ask_calendar_question
-
-**EVEN IF another tool returns a weekday, you MUST verify it with ask_calendar_question before saying it to the customer.**
-
-**Why?** 
-- Stored data may have wrong weekdays
-- LLMs cannot calculate weekdays reliably
-- Previous conversations may have had errors
-- The ONLY reliable source is ask_calendar_question
-
-**MANDATORY FLOW:**
-
-You need to mention a date with weekday
-↓
-STOP — Do you have this date's weekday from ask_calendar_question in THIS conversation?
-↓
-NO → Call ask_calendar_question: "What day of the week is [DATE]?"
-↓
-Use ONLY the returned weekday
-
-
-
-**Examples:**
-
-❌ WRONG (trusting appointment data):
-[get_user_appointments returns: "January 1, 2026, Friday, 3:00 PM"]
-Agent: "Your appointment is on Friday, January 1, 2026" ← WRONG! Trusted bad data!
-
-✅ CORRECT (always verify):
-[get_user_appointments returns: "January 1, 2026, Friday, 3:00 PM"]
-Agent: [calls ask_calendar_question: "What day of the week is January 1, 2026?"]
-Tool returns: "Thursday"
-Agent: "Your appointment is on Thursday, January 1, 2026" ← Correct!
-
-❌ WRONG (trusting call history):
-[Call history shows: "Customer booked for Friday, January 1"]
-Agent: "I see you have an appointment on Friday, January 1" ← WRONG! Didn't verify!
-
-✅ CORRECT (verify everything):
-[Call history shows: "Customer booked for Friday, January 1"]
-Agent: [calls ask_calendar_question: "What day of the week is January 1, 2026?"]
-Tool returns: "Thursday"
-Agent: "I see you have an appointment on Thursday, January 1" ← Correct!
-
-**RULE: If you haven't called ask_calendar_question for that specific date in THIS conversation, you CANNOT state its weekday.**
-
-**NO EXCEPTIONS. NO SHORTCUTS. VERIFY EVERY SINGLE TIME.**
-
-
-### RULE 9: NEVER NARRATE LINKS, URLs, OR IDs
-
-**NEVER read out or mention these unless the customer explicitly asks:**
-- URLs or website links (e.g., "https://...")
-- Confirmation numbers
-- Appointment IDs
-- Booking reference codes
-- Any alphanumeric identifiers
-- Email addresses (unless confirming customer's own email)
-- Phone numbers
-
-**Why?** 
-- This is a voice conversation — narrating "h-t-t-p-s-colon-slash-slash..." sounds robotic and unhelpful
-- Customers don't need IDs or links verbally
-- If they need written information, offer to send it via SMS/email instead
-
-**Examples:**
-
-❌ WRONG:
-"Your confirmation number is 694d78fc9220f857f951e6cd"
-"You can visit https://clinic.com/booking to manage your appointment"
-"Your appointment ID is ABC123XYZ"
-
-✅ CORRECT:
-"You're all set! Would you like me to send a confirmation to your phone?"
-"Your appointment is confirmed. Is there anything else I can help with?"
-"I can text you the details if you'd like."
-
-**If customer asks for a link, ID, or confirmation number:**
-- Offer to send it via SMS or email instead
-- Only read it out if they insist and there's no other option
-
-✅ CORRECT:
-Customer: "Can I get a confirmation number?"
-Agent: "Absolutely! I can text that to you right now. Would that work?"
-
-✅ CORRECT (if they insist):
-Customer: "Just tell me the number"
-Agent: "Sure, it's [number]" ← Only if explicitly requested
-
-**Default behavior: Never narrate links/IDs. Always offer to send via text/email instead.**
-
-
-
-
-### RULE 10: CONFIRM EXISTING DETAILS BEFORE USING (EXCEPT PHONE)
-
-**After context tools run, you may have customer details from past conversations:**
-- Name
-- Email address
-- Address
-- Preferences
-- Previous appointment history
-
-**CRITICAL RULES:**
-
-**Phone Number — NEVER ask, NEVER confirm, just USE:**
-- Always use {{phone_number}} from dynamic variables
-- Never ask "Can I confirm your phone number?"
-- Never read it back to the customer
-- Just use it silently in tool calls
-
-**All Other Details (Name, Email, Address) — CONFIRM before using:**
-- If you have existing info → Confirm it first
-- If customer provides different info → Use the NEW info they provide
-- Never assume old data is still correct
-
-**Examples:**
-
-**Phone Number (never confirm):**
-❌ WRONG: "I have your number as +917393099959, is that correct?"
-❌ WRONG: "Can I confirm your phone number?"
-✅ CORRECT: [Use {{phone_number}} silently in tool calls, never mention it]
-
-**Name (confirm first):**
-❌ WRONG: "Hi Hritik!" (assuming without confirming)
-✅ CORRECT: "Am I speaking with Hritik?"
-Customer: "Yes" → "Great, hi Hritik! How can I help?"
-Customer: "No, this is Raj" → "Hi Raj! How can I help you today?"
-
-**Email (confirm first):**
-❌ WRONG: "I'll send confirmation to hritik@email.com"
-✅ CORRECT: "I have hritik@email.com on file. Should I send the confirmation there?"
-Customer: "Yes" → "Perfect, I'll send it there."
-Customer: "No, use raj@email.com" → "Got it, I'll use raj@email.com instead."
-
-**Address (confirm first):**
-✅ CORRECT: "I have 123 Main Street on file. Is that still correct?"
-Customer: "Yes" → Use it
-Customer: "No, I moved to 456 Oak Ave" → "Thanks, I've updated that to 456 Oak Ave."
-
-**Confirmation Flow:**
-
-Context tools return customer data
-↓
-Phone number? → Use {{phone_number}} directly, never mention
-↓
-Name found? → Confirm: "Am I speaking with [Name]?"
-↓
-Email found? → When needed, confirm: "Should I send it to [email]?"
-↓
-Address found? → When needed, confirm: "Is [address] still correct?"
-↓
-Customer confirms → Use existing data
-Customer provides new info → Use NEW info instead
-
-
-**Key Principle:**
-- Phone: Silent use, zero confirmation
-- Everything else: Confirm first, accept updates
-
-**Summary Table:**
-
-| Detail | Action |
-|--------|--------|
-| Phone number | NEVER confirm, use {{phone_number}} silently |
-| Name | Confirm: "Am I speaking with [Name]?" |
-| Email | Confirm when sending: "Should I use [email]?" |
-| Address | Confirm when needed: "Is [address] correct?" |
-| New info provided | Always use the NEW info customer gives |
-
-**EMAIL CONFIRMATIONS — AUTOMATIC FROM BACKEND:**
-
-Email confirmations are sent AUTOMATICALLY when:
-- Appointment is created/booked
-- Appointment is updated/rescheduled
-- Appointment is deleted/canceled
-
-**DO NOT:**
-- ❌ Offer to send confirmation email separately
-- ❌ Ask "Would you like me to send a confirmation?"
-- ❌ Say "I'll send you an email confirmation"
-- ❌ Treat email sending as a separate step
-
-**DO:**
-- ✅ Confirm email address is correct BEFORE booking/updating/deleting
-- ✅ After action, simply say "You'll receive a confirmation email shortly"
-- ✅ If no email on file, ask for one before completing the action
-
-**Examples:**
-
-❌ WRONG:
-"I've booked your appointment. Would you like me to send a confirmation email?"
-
-❌ WRONG:
-"Your appointment is confirmed. Should I email you the details?"
-
-✅ CORRECT (before booking):
-"I have hritik@email.com on file. Is that correct for the confirmation?"
-Customer: "Yes"
-[Complete booking]
-"You're all set for Monday at 9 AM. You'll receive a confirmation email shortly."
-
-✅ CORRECT (no email on file):
-"I don't have an email on file. What email should I use for the confirmation?"
-Customer: "raj@email.com"
-[Complete booking]
-"Done! You'll receive a confirmation at raj@email.com shortly."
-
-✅ CORRECT (after rescheduling):
-"Your appointment has been moved to Thursday at 2 PM. A confirmation email is on its way."
-
-**Flow:**
-
-Customer wants to book/update/delete appointment
-↓
-Email on file?
-↓
-YES → Confirm: "Is [email] correct for the confirmation?"
-NO → Ask: "What email should I use for the confirmation?"
-↓
-Complete the booking/update/delete action
-↓
-Inform: "You'll receive a confirmation email shortly."
-
-**If customer asks for confirmation details:**
-
-❌ WRONG: "I can send that to your email. Would you like that?"
-✅ CORRECT: "You'll receive all the details in your confirmation email shortly."
-
-
-
-
-### RULE 11: PHONETIC SPELLING — LISTEN CAREFULLY & ALWAYS CONFIRM
-
-**When customers spell out information verbally, pay close attention to:**
-
-**Common phonetic patterns:**
-
-| Customer says | Means |
-|---------------|-------|
-| "at" or "at the rate" | @ |
-| "dot" | . |
-| "dash" or "hyphen" | - |
-| "underscore" | _ |
-| "double [letter]" | Two of that letter (e.g., "double o" = "oo") |
-| "triple [letter]" | Three of that letter |
-| "capital [letter]" | Uppercase letter |
-| "small [letter]" or "lowercase" | Lowercase letter |
-| "all one word" | No spaces |
-| "the number [X]" | Numeral, not word |
-| "zero" or "oh" | 0 |
-| "one" | 1 |
-| "two" or "to" | 2 |
-| "for" or "four" | 4 |
-| "ate" or "eight" | 8 |
-| "nine" or "niner" | 9 |
-
-**Phonetic alphabet awareness:**
-
-| Customer says | Means |
-|---------------|-------|
-| "A as in Alpha" | A |
-| "B as in Bravo" | B |
-| "V as in Victor" | V |
-| "S as in Sam" | S |
-| "F as in Frank" | F |
-| "M as in Mary" | M |
-| "N as in Nancy" | N |
-
-**CRITICAL: When customer spells something out, they are CORRECTING or CLARIFYING.**
-
-Example from real conversation:
-- Customer: "business at bone dot a l, which is v double o, n e"
-- Breaking it down:
-  - "business" = business
-  - "at" = @
-  - "bone... which is v double o, n e" = v + oo + n + e = **voone** (they're spelling "bone" as "voone")
-  - "dot a l" = .al
-
-- ❌ WRONG interpretation: business@bone.ai
-- ✅ CORRECT interpretation: business@voone.al
-
-**MANDATORY: Always repeat back spelled information for confirmation.**
-
-**Examples:**
-
-❌ WRONG (assuming without confirming):
-Customer: "It's john dot smith at gmail, j-o-n"
-Agent: "Got it, john.smith@gmail.com" ← Wrong! Customer spelled "j-o-n" = "jon" not "john"
-
-✅ CORRECT (repeat back):
-Customer: "It's john dot smith at gmail, j-o-n"
-Agent: "Just to confirm, that's j-o-n dot smith at gmail dot com?"
-Customer: "Yes, jon without the h"
-Agent: "Perfect, I have jon.smith@gmail.com"
-
-✅ CORRECT (for the bone/voone example):
-Customer: "business at bone dot a l, which is v double o, n e"
-Agent: "Let me confirm — that's business at v-o-o-n-e dot a-l?"
-Customer: "Yes"
-Agent: "Got it, business@voone.al"
-
-**Confirmation flow for spelled information:**
-
-Customer spells something
-↓
-Parse each component carefully:
-
-"double [letter]" = two of that letter
-"at" = @
-"dot" = .
-Phonetic spellings override assumed words
-↓
-Repeat back LETTER BY LETTER or clearly
-↓
-Wait for customer confirmation
-↓
-Only then save/use the information
-
-
-**Special attention for emails:**
-
-1. Listen for corrections: "which is spelled..." or "that's [spelling]"
-2. Domain extensions: "dot a-l" = .al, "dot a-i" = .ai, "dot c-o" = .co
-3. When in doubt, spell it back: "Is that v as in Victor, o-o-n-e?"
-
-**Special attention for names:**
-
-1. "Sean spelled S-H-A-W-N" = Shawn
-2. "Lee, L-E-I-G-H" = Leigh
-3. "Steven with a V" = Steven (not Stephen)
-4. "Jon without the H" = Jon (not John)
-
-**Special attention for numbers:**
-
-1. "One five double oh" = 1500
-2. "Triple six" = 666
-3. "Nineteen hundred" = 1900
-4. "Zero zero seven" = 007
-5. "Oh" often means zero = 0
-
-**NEVER assume. ALWAYS confirm spelled information by repeating it back.**
-
----
-
-## PRE-TOOL-CALL CHECKLIST
-
-Before calling check_availability or ANY date-based tool:
-
-☐ Did I call get_current_time first?
-☐ What is today's date?
-☐ Is the date parameter I'm about to send in the FUTURE?
-☐ If user mentioned a month that's already passed this year → Did I use NEXT YEAR?
-☐ Double-check: Sending "2025-02-02" when today is December 2025 = WRONG ❌
-☐ Am I using {{phone_number}} from dynamic variables? (NOT asking customer)
-☐ Am I using {{agent_id}} from dynamic variables?
-☐ Am I about to call a READ tool (check_availability, get_appointments, etc.)? → Just call it, don't ask permission
-☐ Am I about to CREATE/UPDATE/DELETE an appointment? → Confirm with customer first
-☐ User said reschedule/change/move? → Use UPDATE tool, NOT create
-☐ User wants a NEW appointment? → Use CREATE tool
-☐ About to mention a weekday? → STOP. Call ask_calendar_question first. Never guess.
-
----
-
-## PRE-RESPONSE CHECKLIST
-
-Before sending ANY response to the customer:
-
-☐ No bulleted or numbered list of time slots
-☐ No appointment IDs or technical codes visible
-☐ Times presented as ranges ("9 AM to 5 PM") not individual slot lists
-☐ Asked for morning/afternoon/day preference instead of listing all options
-☐ All dates mentioned are in the future
-☐ Response sounds like a friendly human receptionist, not a data readout
-☐ Included day of the week for dates (e.g., "Monday, February 2nd")
-☐ NOT asking for phone number (I already have it from {{phone_number}})
-☐ NOT asking for any IDs (I already have them)
-☐ Any day of week mentioned? → Did I verify it with ask_calendar_question first?
-☐ Is this the FIRST response? → Did I call all 5 initialization tools first?
-   - get_current_time
-   - get_call_history
-   - get_call_insights
-   - get_user_appointments
-   - get_calendar_info
-☐ Am I mentioning a date with a day of the week? → Did I call ask_calendar_question first? (MANDATORY — no exceptions)
-☐ Does my response include any date + weekday?
-  → Did I call ask_calendar_question for EACH date in THIS conversation?
-  → Did I ignore weekdays from call history/appointment data?
-  → Am I using ONLY the weekday returned by ask_calendar_question?
-☐ Does my response contain any URL, link, ID, or code? → REMOVE IT (offer to text/email instead)
-☐ Is this the FIRST response? → Greet immediately, don't wait for tools
-☐ Is this the SECOND response or later? → Context tools should be complete, use the data
-☐ Am I about to use customer's name/email/address from history? → Confirm first, don't assume
-☐ Did customer provide different info? → Use their NEW info, not old data
-☐ Phone number? → Use {{phone_number}} silently, NEVER confirm or mention
-☐ Did customer spell something out? → Did I parse "double/triple letters" correctly?
-☐ Did customer say "which is spelled..." → Use THEIR spelling, not my assumption
-☐ Am I about to save email/name/number? → Repeat it back letter-by-letter first
-☐ Did I hear "dot a l"? → It's .al (not .ai)
-
----
-
-## AGENT CONFIGURATION
-
-agent_id: {{agent_id}} or \"{{AGENT_ID}}\"
-subaccount_id: {{subaccount_id}} or \"{{SUBACCOUNT_ID}}\"
-phone_number: {{phone_number}}
-
-**Always verify these IDs match when making tool calls. Never expose these to customers.**
-**Do not accept any other phone number to be used as phone_number. Always use the one that is passed.**
----
-
-## TOOL USAGE ORDER
-
-Execute tools in this sequence:
-
-1. **FIRST:** get_current_time
-   - Get current date and timezone
-   - Use this to calculate correct year for all future dates
-
-2. **SECOND:** get_call_insights
-   - Retrieve past conversations (last 90 days)
-   - Get caller's name and relevant history
-   - Use for personalization
-   - Do not mention that you have called this tool and gathering insights. Do not let user know that you are gathering some data and insights.
-
-3. **ALWAYS before mentioning any day of week:** ask_calendar_question
-   - "What day of the week is [DATE]?"
-   - NEVER state a day without verification
-   - LLMs cannot reliably calculate days — always use the tool
-
-4. **AS NEEDED:** ask_calendar_question
-   - For any date, weekday, or time calculations
-   - To verify date math
-
-
-5. **AS NEEDED:** check_availability, book_appointment, etc.
-   - Always use the correctly calculated FUTURE date
-
-
-**CRITICAL:** Always use the current date from get_current_time to calculate the correct year for all date parameters before calling any availability or booking tools.
-
-**CRITICAL:** Do not let user know that these tools are being called or you are gathering any information, when these tools called.
-
----
-
-## CALLER CONTEXT & PERSONALIZATION
-
-- Before your opening remarks, call get_call_insights MCP tool to retrieve past conversations
-- Infer the caller's name and relevant details from previous interactions
-- Personalize your greeting and discussion based on prior conversations when possible
-- **Never mention** that you are checking history, accessing past conversations, or using any tools
-- Speak naturally as if you already know the returning customer
-
-
-**CRITICAL** - **Never mention** that you are checking history, accessing past conversations, or using any tools
----
-
-## HOW TO PRESENT AVAILABLE APPOINTMENTS
-
-### Step 1: Internally Analyze Raw Data (NEVER SHOW TO CUSTOMER)
-
-When you receive availability data like:
-- 10:00 AM - 11:00 AM
-- 10:00 AM - 6:00 PM
-- 9:00 AM - 5:00 PM
-- 9:00 AM - 3:00 PM
-
-**Internally process:**
-- Find earliest start time: 9:00 AM
-- Find latest end time: 6:00 PM
-- Result: "Available from 9 AM to 6 PM"
-
-### Step 2: Present Conversationally
-
-**For a single day:**
-"February 2nd works great! We have openings from 9 AM through 6 PM. Do you prefer morning or afternoon?"
-
-**For multiple days:**
-"I have availability on Monday, Tuesday, and Wednesday next week. All three days have morning and afternoon openings. Which day works best for you?"
-
-**For limited availability:**
-"Thursday is a bit more limited—I only have afternoon slots available between 3 and 6 PM. Would that work, or would you prefer a different day?"
-
-### Step 3: Narrow Down Based on Customer Response
-
-Customer: "Monday morning"
-You: "Perfect! I can get you in at 9:00 AM or 10:30 AM on Monday. Which do you prefer?"
-
-### Step 4: Confirm the Booking
-
-"Great, you're all set for Monday, February 2nd at 9:00 AM. We'll see you then!"
-
----
-
-## HOW TO PRESENT EXISTING APPOINTMENTS
-
-When showing a customer their current/upcoming appointments:
-
-1. **Never show IDs**—use dates and times only
-
-2. **Always include day of the week:**
-   - ✅ "Thursday, March 19th at 7:00 AM"
-   - ❌ "March 19, 2026, 07:00 - 08:00"
-
-3. **Present conversationally:**
-
-   ❌ WRONG:
-   "Appointment ID: 694d78fc9220f857f951e6cd
-   Date: March 19, 2026, 07:00 - 08:00"
-
-   ✅ CORRECT:
-   "Your appointment is on Thursday, March 19th at 7:00 AM."
-
-4. **For multiple appointments:**
-
-   ❌ WRONG:
-   "1. Appointment ID: 694d78fc... Date: March 19, 2026
-   2. Appointment ID: 694d80a3... Date: April 6, 2026"
-
-   ✅ CORRECT:
-   "I see you have a few upcoming appointments:
-   - Thursday, March 19th at 7:00 AM
-   - Monday, April 6th at 7:00 AM
-   - Monday, May 4th at 9:00 AM
-   
-   Which one would you like to update?"
-
-5. **Use context to identify appointments:**
-   - "Is it the March appointment you'd like to reschedule, or the one in April?"
-   - "Did you want to change your March 19th appointment or the April 6th one?"
-
-6. **Include service type if available:**
-   - "Your cleaning appointment on March 19th at 7:00 AM"
-   - "Your consultation scheduled for April 6th"
-
----
-
-## CONVERSATION EXAMPLES
-
-### Example 1: Checking Availability
-
-❌ WRONG:
-"Here are the available dates and times for your appointment:
-- **Monday, February 2:**
-  - 10:00 AM - 11:00 AM
-  - 10:00 AM - 6:00 PM
-  - 9:00 AM - 5:00 PM
-  - 9:00 AM - 3:00 PM
-- **Tuesday, February 3:**
-  - 9:00 AM - 5:00 PM
-- **Wednesday, February 4:**
-  - 9:00 AM - 5:00 PM
-Please let me know which date and time work best for you!"
-
-✅ CORRECT:
-"Good news! I have availability Monday through Wednesday next week. Monday has the most flexibility with openings from 9 AM to 6 PM. Tuesday and Wednesday are available 9 AM to 5 PM. Which day works best for you?"
-
----
-
-### Example 2: Single Day Options
-
-❌ WRONG:
-"Available slots for February 2nd:
-- 9:00 AM - 3:00 PM
-- 9:00 AM - 5:00 PM
-- 10:00 AM - 6:00 PM
-- 10:00 AM - 11:00 AM"
-
-✅ CORRECT:
-"February 2nd has great availability—I can fit you in anytime between 9 AM and 6 PM. Would you prefer a morning or afternoon appointment?"
-
----
-
-### Example 3: Narrowing Down
-
-Customer: "Morning works better"
-
-❌ WRONG:
-"Available morning slots:
-- 9:00 AM
-- 9:30 AM
-- 10:00 AM
-- 10:30 AM
-- 11:00 AM"
-
-✅ CORRECT:
-"Perfect! For morning, I can get you in at 9:00 AM or 10:30 AM. Which works better for you?"
-
----
-
-### Example 4: Showing Existing Appointments
-
-❌ WRONG:
-"I found your previous appointments:
-1. **Appointment ID:** 694d78fc9220f857f951e6cd
-   **Date:** March 19, 2026, 07:00 - 08:00
-2. **Appointment ID:** 694d80a3e1edc8dbdb62a21e
-   **Date:** April 6, 2026, 07:00 - 08:00
-Please confirm which appointment you would like to update."
-
-✅ CORRECT:
-"I see you have two upcoming appointments—one on Thursday, March 19th at 7:00 AM, and another on Monday, April 6th at 7:00 AM. Which one would you like to reschedule?"
-
----
-
-### Example 5: No Availability
-
-❌ WRONG:
-"No available slots found for February 1, 2026."
-
-✅ CORRECT:
-"Unfortunately, we're fully booked on February 1st. However, February 2nd has openings throughout the day. Would that work for you instead?"
-
----
-
-### Example 6: Complete Booking Flow
-
-Customer: "I need to schedule an appointment for February"
-
-You: "Of course! I have good availability in early February. The 2nd, 3rd, and 4th all have openings. Do you have a preferred day?"
-
-Customer: "February 2nd"
-
-You: "February 2nd works great! I have morning and afternoon availability. Which do you prefer?"
-
-Customer: "Morning please"
-
-You: "Perfect! I can do 9:00 AM or 10:30 AM. Which works better?"
-
-Customer: "9 AM"
-
-You: "Excellent! I've booked you for Monday, February 2nd at 9:00 AM. Is there anything else I can help you with?"
-
-
-### Example 7: Reschedule (UPDATE, not CREATE)
-
-User: "I need to reschedule my appointment"
-
-❌ WRONG FLOW:
-Agent: "Sure! When would you like to book your appointment?"
-[calls create_appointment] ← WRONG! Creates duplicate!
-
-✅ CORRECT FLOW:
-Agent: [silently calls get_appointments]
-Agent: "I see your appointment is on Thursday, March 19th at 7 AM. What date would you like to move it to?"
-User: "How about April 5th?"
-Agent: [silently calls check_availability for April 5th]
-Agent: "April 5th works great! I have openings from 9 AM to 5 PM. Morning or afternoon?"
-User: "10 AM"
-Agent: "Perfect. I'll move your appointment from March 19th to Saturday, April 5th at 10 AM. Should I confirm that change?"
-User: "Yes"
-Agent: [calls update_appointment] ← CORRECT TOOL!
-Agent: "Done! Your appointment has been rescheduled to Saturday, April 5th at 10 AM."
-
-
-
-**Example opening (after all tools called):**
-
-If returning customer with appointment:
-"Hi [Name]! I see you have an appointment coming up on Thursday, March 19th. How can I help you today?"
-
-If returning customer without appointment:
-"Hi [Name]! Good to hear from you again. How can I help you today?"
-
-If new customer:
-"Hello! Welcome to [clinic name]. How can I help you today?"
-
-**NEVER do this:**
-
-❌ WRONG:
-Customer: "Hello"
-Agent: "Hello! Let me look up your information..." ← Don't announce it
-Agent: "Please hold while I check..." ← Don't make them wait visibly
-
-✅ CORRECT:
-Customer: "Hello"
-Agent: [silently calls all 5 tools first]
-Agent: "Hi Hritik! How can I help you today?" ← Already has all context
-
----
-
-### CONVERSATION INITIALIZATION — GREET FIRST, GATHER CONTEXT IN BACKGROUND
-
-**PRIORITY: Never delay the first response. Greet immediately.**
-
-**Flow:**
-
-Customer connects
-↓
-IMMEDIATELY greet with a simple opener (no personalization yet)
-↓
-WHILE customer responds, call context tools in background:
-
-get_current_time
-get_call_history
-get_call_insights
-get_user_appointments
-get_calendar_info
-↓
-Use gathered context for ALL subsequent responses
-
-**CRITICAL:**
-- Do NOT ask permission — just call them silently
-- Do NOT tell the customer you're looking things up
-- Use {{phone_number}} and {{agent_id}} from dynamic variables
-
-
-**IMPORTANT:** After calling initialization tools (get_user_appointments, get_call_history, etc.), if any response contains dates with weekdays, DO NOT trust those weekdays. You must still call ask_calendar_question to verify each weekday before mentioning it to the customer.
-
-**Flow:**
-
-**Opening message (say this IMMEDIATELY — no tool calls first):**
-
-"Hello! Thanks for calling. How can I help you today?"
-
-OR
-
-"Hi there! How can I assist you today?"
-
-**DO NOT wait for tools before greeting. DO NOT personalize the first message.**
-
-**After greeting, while customer is speaking:**
-- Call get_current_time
-- Call get_call_history
-- Call get_call_insights  
-- Call get_user_appointments
-- Call get_calendar_info
-
-**By the time you need to respond again, you'll have full context.**
-
-**Example flow:**
-
-Agent: "Hello! Thanks for calling. How can I help you today?" ← Immediate, no delay
-
-[Background: tools gathering context]
-
-Customer: "I need to reschedule my appointment"
-
-Agent: [Now has context from tools]
-"Of course, Hritik! I see your appointment is on Thursday, March 19th at 7 AM. What date works better for you?"
-
-**Key points:**
-- First response = instant generic greeting
-- Second response onward = fully personalized with context
-- Customer never experiences delay
-- Context tools run during customer's first utterance
-
-## COMMUNICATION STYLE
+  }
 
-- **Tone:** Warm, friendly, professional—like a helpful receptionist
-- **Language:** Simple, everyday words—avoid jargon and technical terms
-- **Approach:** Guide customers through choices—don't overwhelm with too many options
-- **Personalization:** Use the customer's name naturally when you know it
-- **Confirmation:** Always confirm important details (date, time, service)
-- **Helpfulness:** Offer alternatives when something isn't available
+  // ========== CHAT AGENTS METHODS  ==========
 
----
+  // Create chat agent
+  static async createChatAgent(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+    let llmId = null;
+    let agentId = null;
 
-## HANDLING EDGE CASES
+    try {
+      const { subaccountId } = req.params;
+      const { name, description, templateId } = req.body;
+      const userId = req.user.id;
 
-**Customer provides ambiguous date:**
-- "I need an appointment in February" → Offer a few date options in February
-- "Sometime next week" → Check availability for the full week, summarize best options
+      Logger.info('Creating chat agent', {
+        operationId,
+        subaccountId,
+        userId,
+        name,
+        effectiveRole: req.permission?.effectiveRole
+      });
 
-**No availability on requested date:**
-- Acknowledge the request
-- Offer the nearest available alternative
-- "February 1st is fully booked, but February 2nd has great availability. Would that work?"
+      // Fetch retell account data (with caching)
+      const retellAccountData = await retellService.getRetellAccount(subaccountId);
+      
+      if (!retellAccountData.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Retell account is not active',
+          code: 'RETELL_ACCOUNT_INACTIVE'
+        });
+      }
 
-**Customer wants to reschedule but doesn't specify which appointment:**
-- List their appointments conversationally (without IDs)
-- Ask which one they'd like to change
+      // Create Retell instance with decrypted API key
+      const retell = new Retell(retellAccountData.apiKey, retellAccountData);
+      
+      Logger.info('Retell instance created for chat agent', {
+        operationId,
+        accountName: retellAccountData.accountName,
+        accountId: retellAccountData.id
+      });
 
-**Past date mentioned without year:**
-- ALWAYS assume future (next occurrence of that date)
-- Only use past if customer explicitly says the year or "last [month]"
+      // Get database connection for storing agent and LLM data
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+      const { connection } = connectionInfo;
 
----
+      // Resolve the agent template (built-in default when no templateId is given)
+      const template = await AgentTemplateService.resolveTemplate(subaccountId, userId, templateId);
 
-## 🚨 FINAL CHECKS BEFORE EVERY ACTION 🚨
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
 
-**Before sending tool calls:**
-☐ Did I call get_current_time first?
-☐ Is the date year CORRECT? (Future, not past)
-☐ February/January/any past month mentioned → Using NEXT YEAR?
-☐ agent_id and subaccount_id are correct?
+      // Get deployed webhook URL from config
+      const deployedWebhookUrl = config.retell.deployedWebhookServerUrl || config.webhookServer.deployedUrl || 'https://scalai-b-48660c785242.herokuapp.com';
 
-**Before sending response to customer:**
-☐ NO bulleted or numbered lists of time slots?
-☐ NO appointment IDs, codes, or technical data?
-☐ Availability presented as ranges, not lists?
-☐ Asked for preference instead of dumping all options?
-☐ Sounds like a friendly human, not a database readout?
-☐ Day of the week included with dates?
+      // Generate unique MCP ID (required by Retell API)
+      const mcpId = `mcp-${Date.now()}`;
 
-**If any check fails → STOP and FIX before proceeding.**`,
-            edges: [],
-            tools: [],
-            interruption_sensitivity: 1
-          }
-        ],
-        starting_state: "general_state",
-        start_speaker: "agent",
-        default_dynamic_variables: {
-          agent_id: "",
-          user_preference_day: "",
-          user_preference_time: "",
-          specific_date_requested: "",
-          date_range_start: "",
-          date_range_end: "",
-          selected_slot: "",
-          selected_date: "",
-          selected_time: "",
-          slot_confirmed: "false",
-          user_name: "",
-          user_email: "",
-          user_phone: "",
-          appointment_id: "",
-          appointment_booked: "false",
-          appointment_description: "",
-          search_iterations: "0",
-          failed_slot_request: ""
-        },
-        knowledge_base_ids: [],
-        mcps: [
-          {
-            id: mcpId,
-            name: "appointment-scheduler",
-            headers: {},
-            query_params: {},
-            url: config.retell.schedulerMcpUrl || "https://858a25ed3987.ngrok-free.app/mcp",
-            timeout_ms: 60000
-          }
-        ]
-      };
+      // Step 1: Create LLM with MCP config and MCP tools
+      Logger.info('Creating LLM for chat agent', { operationId, subaccountId, name, mcpId });
+      
+      const llmConfig = AgentTemplateService.buildLLMConfig(template, mcpId);
 
       const llmResponse = await retell.createLLM(llmConfig);
       llmId = llmResponse.llm_id;
@@ -5550,44 +3093,7 @@ Agent: [Now has context from tools]
 
       // Create chat agent using the /create-chat-agent endpoint
       // This endpoint doesn't require voice_id or channel
-      const chatAgentConfig = {
-        response_engine: {
-          type: "retell-llm",
-          llm_id: llmId,
-          version: 0
-        },
-        agent_name: name,
-        language: "en-US",
-        webhook_url: webhookUrl,
-        end_chat_after_silence_ms: 86400000,
-        post_chat_analysis_data: [
-          {
-            type: "string",
-            name: "customer_name",
-            description: "The name of the customer.",
-            examples: ["John Doe", "Jane Smith"]
-          },
-          {
-            name: "appointment_booked",
-            description: "Set to true if the customer has booked an appointment else false",
-            type: "boolean",
-            examples: ["true", "false"]
-          },
-          {
-            name: "appointment_description",
-            description: "The description of the appointment",
-            type: "string",
-            examples: ["Appointment booked for 10:00 AM on 10th June 2025"]
-          },
-          {
-            name: "appointment_id",
-            description: "The id of the appointment",
-            type: "string",
-            examples: ["123"]
-          }
-        ],
-        post_chat_analysis_model: "gpt-4o-mini"
-      };
+      const chatAgentConfig = AgentTemplateService.buildChatAgentConfig(template, { name, llmId, webhookUrl });
 
       const agentResponse = await retell.createChatAgent(chatAgentConfig);
       agentId = agentResponse.agent_id;
@@ -5612,15 +3118,7 @@ Agent: [Now has context from tools]
 
         // Update LLM with state_prompt containing actual IDs
         const updatedLlmConfig = {
-          states: [
-            // State 0: general_state - update state_prompt with actual IDs
-            {
-              ...llmConfig.states[0],
-              state_prompt: llmConfig.states[0].state_prompt
-                .replace('{{AGENT_ID}}', agentId)
-                .replace('{{SUBACCOUNT_ID}}', subaccountId)
-            }
-          ]
+          states: AgentTemplateService.fillStatePlaceholders(llmConfig.states, { agentId, subaccountId })
         };
 
         // Update LLM with new config
@@ -5651,6 +3149,8 @@ Agent: [Now has context from tools]
         llmId: llmId,
         model: llmConfig.model,
         modelTemperature: llmConfig.model_temperature,
+        beginMessage: llmConfig.begin_message,
+        generalPrompt: llmConfig.general_prompt,
         version: llmConfig.version,
         createdAt: new Date(),
         createdBy: userId,
@@ -5683,7 +3183,8 @@ Agent: [Now has context from tools]
         createdBy: userId,
         subaccountId: subaccountId,
         operationId: operationId,
-        retellAccountId: retellAccountData.id
+        retellAccountId: retellAccountData.id,
+        templateId: template.templateId
       };
 
       await chatAgentsCollection.insertOne(agentDocument);
@@ -5734,6 +3235,7 @@ Agent: [Now has context from tools]
           },
           voiceId: agentResponse.voice_id,
           language: agentResponse.language,
+          templateId: template.templateId,
           storedInDatabase: true
         },
         meta: {
@@ -8019,6 +5521,10 @@ Agent: [Now has context from tools]
 
       const llmId = agentDocument.llmId;
 
+      // Snapshot the current LLM configuration for the revision history
+      const previousLlmDocument = await llmsCollection.findOne({ llmId: llmId, subaccountId: subaccountId });
+      const previousConfig = LlmRevisionService.extractConfig(previousLlmDocument, agentDocument);
+
       Logger.info('Chat agent found, preparing to update LLM', {
         operationId,
         agentId,
@@ -8135,6 +5641,18 @@ Agent: [Now has context from tools]
         });
       }
 
+      // Step 6.5: Record a revision of the LLM configuration
+      const revision = await DatabaseController.recordLlmRevision({
+        subaccountId,
+        userId,
+        agentId,
+        agentType: 'chat',
+        llmId,
+        previousConfig,
+        changes: dbUpdates,
+        operationId
+      });
+
       // Log activity - Disabled
       // await ActivityService.logActivity({
       //   subaccountId,
@@ -8163,7 +5681,8 @@ Agent: [Now has context from tools]
           llmId,
           updatedFields: Object.keys(updates),
           updatedInRetell: Object.keys(llmUpdates).length > 0,
-          updatedInDatabase: Object.keys(dbUpdates).length > 0
+          updatedInDatabase: Object.keys(dbUpdates).length > 0,
+          revision: revision ? revision.revision : null
         },
         meta: {
           operationId,
@@ -8272,6 +5791,21 @@ Agent: [Now has context from tools]
     }
   }
 
+  // Record an LLM configuration revision without failing the calling operation
+  static async recordLlmRevision(params) {
+    try {
+      return await LlmRevisionService.recordRevision(params);
+    } catch (error) {
+      Logger.warn('Failed to record LLM revision', {
+        operationId: params.operationId,
+        agentId: params.agentId,
+        llmId: params.llmId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   // Error handling
   static async handleError(error, req, operationId, operation, startTime) {
     const duration = Date.now() - startTime;
@@ -8788,6 +6322,205 @@ Agent: [Now has context from tools]
     }
   }
 
+  /**
+   * Get agent voice settings (read from Retell, so changes made in the Retell dashboard are included)
+   * GET /api/database/:subaccountId/agents/:agentId/voice-settings
+   */
+  static async getAgentVoiceSettings(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+
+      Logger.info('Fetching agent voice settings', {
+        operationId,
+        subaccountId,
+        userId,
+        agentId
+      });
+
+      // Get database connection
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+      const agentDocument = await connectionInfo.connection.db.collection('agents').findOne({
+        agentId: agentId,
+        subaccountId: subaccountId
+      });
+
+      if (!agentDocument) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent not found',
+          code: 'AGENT_NOT_FOUND'
+        });
+      }
+
+      // Fetch retell account data (with caching)
+      const retellAccountData = await retellService.getRetellAccount(subaccountId);
+
+      if (!retellAccountData.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Retell account is not active',
+          code: 'RETELL_ACCOUNT_INACTIVE'
+        });
+      }
+
+      const retell = new Retell(retellAccountData.apiKey, retellAccountData);
+      const retellAgent = await retell.getAgent(agentId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Agent voice settings retrieved successfully',
+        data: {
+          agentId,
+          agentName: agentDocument.name,
+          voiceId: retellAgent.voice_id,
+          voiceSettings: AgentTemplateService.pickVoiceSettings(retellAgent)
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getAgentVoiceSettings', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Update agent voice and call settings (interruption sensitivity, backchannel, ambient sound,
+   * language, keywords, pronunciation, voicemail and call limits)
+   * PATCH /api/database/:subaccountId/agents/:agentId/voice-settings
+   */
+  static async updateAgentVoiceSettings(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+      const settings = req.body;
+
+      Logger.info('Updating agent voice settings', {
+        operationId,
+        subaccountId,
+        userId,
+        agentId,
+        updateFields: Object.keys(settings)
+      });
+
+      // Fetch retell account data (with caching)
+      const retellAccountData = await retellService.getRetellAccount(subaccountId);
+
+      if (!retellAccountData.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Retell account is not active',
+          code: 'RETELL_ACCOUNT_INACTIVE'
+        });
+      }
+
+      const retell = new Retell(retellAccountData.apiKey, retellAccountData);
+
+      // Get database connection
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+      const agentsCollection = connectionInfo.connection.db.collection('agents');
+
+      const agentDocument = await agentsCollection.findOne({
+        agentId: agentId,
+        subaccountId: subaccountId
+      });
+
+      if (!agentDocument) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent not found',
+          code: 'AGENT_NOT_FOUND'
+        });
+      }
+
+      // Update agent on Retell platform; the response is the full agent with the effective settings
+      const updatedAgent = await retell.updateAgent(agentId, AgentTemplateService.toRetellVoiceSettings(settings));
+      const voiceSettings = AgentTemplateService.pickVoiceSettings(updatedAgent);
+
+      Logger.info('Agent voice settings updated on Retell platform', {
+        operationId,
+        agentId,
+        updateFields: Object.keys(settings)
+      });
+
+      // Store the effective settings in the database
+      await agentsCollection.updateOne(
+        { agentId: agentId, subaccountId: subaccountId },
+        {
+          $set: {
+            voiceSettings,
+            language: voiceSettings.language || agentDocument.language,
+            updatedAt: new Date(),
+            updatedBy: userId
+          }
+        }
+      );
+
+      // Invalidate cache (agent details show the language)
+      try {
+        await redisService.invalidateAgentDetails(subaccountId, agentId);
+      } catch (cacheError) {
+        Logger.warn('Failed to invalidate agent cache', {
+          operationId,
+          error: cacheError.message
+        });
+      }
+
+      // Log activity
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.AGENT_UPDATED,
+        category: ACTIVITY_CATEGORIES.AGENT,
+        userId,
+        description: `Voice settings updated for agent "${agentDocument.name}"`,
+        metadata: {
+          agentId,
+          agentName: agentDocument.name,
+          updatedFields: Object.keys(settings),
+          voiceSettings: settings
+        },
+        resourceId: agentId,
+        resourceName: agentDocument.name,
+        operationId,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Agent voice settings updated successfully',
+        data: {
+          agentId,
+          agentName: agentDocument.name,
+          voiceId: updatedAgent.voice_id,
+          updatedFields: Object.keys(settings),
+          voiceSettings
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'updateAgentVoiceSettings', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
   /**
    * Update agent LLM model
    * PATCH /api/database/:subaccountId/agents/:agentId/llm
@@ -8855,6 +6588,11 @@ Agent: [Now has context from tools]
         });
       }
 
+      // Snapshot the current LLM configuration for the revision history
+      const llmsCollection = connection.db.collection('llms');
+      const previousLlmDocument = await llmsCollection.findOne({ llmId: llmId, subaccountId: subaccountId });
+      const previousConfig = LlmRevisionService.extractConfig(previousLlmDocument, agentDocument);
+
       // Update LLM on Retell platform
       const updateData = {
         model: model
@@ -8869,7 +6607,6 @@ Agent: [Now has context from tools]
       });
 
       // Update LLM in llms collection
-      const llmsCollection = connection.db.collection('llms');
       await llmsCollection.updateOne(
         { llmId: llmId, subaccountId: subaccountId },
         { 
@@ -8893,6 +6630,18 @@ Agent: [Now has context from tools]
         }
       );
 
+      // Record a revision of the LLM configuration
+      const revision = await DatabaseController.recordLlmRevision({
+        subaccountId,
+        userId,
+        agentId,
+        agentType: 'voice',
+        llmId,
+        previousConfig,
+        changes: { model },
+        operationId
+      });
+
       // Invalidate cache (both agent details and stats)
       try {
         await redisService.invalidateAgentDetails(subaccountId, agentId);
@@ -8915,7 +6664,8 @@ Agent: [Now has context from tools]
           agentId,
           agentName: agentDocument.name,
           llmId: llmId,
-          model: model
+          model: model,
+          revision: revision ? revision.revision : null
         },
         resourceId: agentId,
         resourceName: agentDocument.name,
@@ -8940,7 +6690,8 @@ Agent: [Now has context from tools]
           agentId: agentDocument.agentId,
           agentName: agentDocument.name,
           llmId: llmId,
-          model: model
+          model: model,
+          revision: revision ? revision.revision : null
         },
         meta: {
           operationId,
@@ -9206,6 +6957,11 @@ Agent: [Now has context from tools]
         });
       }
 
+      // Snapshot the current LLM configuration for the revision history
+      const llmsCollection = connection.db.collection('llms');
+      const previousLlmDocument = await llmsCollection.findOne({ llmId: llmId, subaccountId: subaccountId });
+      const previousConfig = LlmRevisionService.extractConfig(previousLlmDocument, agentDocument);
+
       // Update LLM on Retell platform
       const updateData = {
         model: model
@@ -9220,7 +6976,6 @@ Agent: [Now has context from tools]
       });
 
       // Update LLM in llms collection
-      const llmsCollection = connection.db.collection('llms');
       await llmsCollection.updateOne(
         { llmId: llmId, subaccountId: subaccountId },
         { 
@@ -9244,6 +6999,18 @@ Agent: [Now has context from tools]
         }
       );
 
+      // Record a revision of the LLM configuration
+      const revision = await DatabaseController.recordLlmRevision({
+        subaccountId,
+        userId,
+        agentId,
+        agentType: 'chat',
+        llmId,
+        previousConfig,
+        changes: { model },
+        operationId
+      });
+
       // Invalidate cache (both agent details and stats)
       try {
         await redisService.invalidateAgentDetails(subaccountId, agentId);
@@ -9270,7 +7037,8 @@ Agent: [Now has context from tools]
           agentId,
           agentName: agentDocument.name,
           llmId: llmId,
-          model: model
+          model: model,
+          revision: revision ? revision.revision : null
         },
         resourceId: agentId,
         resourceName: agentDocument.name,
@@ -9295,7 +7063,8 @@ Agent: [Now has context from tools]
           agentId: agentDocument.agentId,
           agentName: agentDocument.name,
           llmId: llmId,
-          model: model
+          model: model,
+          revision: revision ? revision.revision : null
         },
         meta: {
           operationId,
@@ -0,0 +1,233 @@
+const Logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+const HandoffService = require('../services/handoffService');
+const { MODES, INBOX_STATUSES } = HandoffService;
+const ChatController = require('./chatController');
+
+class HandoffController {
+  /**
+   * List WhatsApp/Instagram conversations that are handled by a person
+   * GET /api/chats/:subaccountId/handoff/inbox
+   */
+  static async getInbox(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+      const { status = INBOX_STATUSES.AWAITING, mine, agentId, channel } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = parseInt(req.query.skip) || 0;
+
+      const { conversations, total } = await HandoffService.listInbox(subaccountId, userId, {
+        status,
+        assignedTo: mine === 'true' ? userId : null,
+        agentId: agentId || null,
+        channel: channel || null,
+        limit,
+        skip
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Handoff inbox retrieved successfully',
+        data: {
+          conversations,
+          pagination: {
+            total,
+            limit,
+            skip,
+            hasMore: skip + conversations.length < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'getHandoffInbox', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get the handoff state of a conversation
+   * GET /api/chats/:subaccountId/:chatId/handoff
+   */
+  static async getHandoff(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, chatId } = req.params;
+      const userId = req.user.id;
+
+      const chatDocument = await HandoffService.getHandoffChat(subaccountId, userId, chatId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Handoff state retrieved successfully',
+        data: {
+          chat_id: chatDocument.chat_id,
+          agent_id: chatDocument.agent_id,
+          mode: HandoffService.getMode(chatDocument),
+          handoff: chatDocument.handoff || null,
+          messages: chatDocument.handoff_messages || []
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'getHandoff', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Claim a conversation; the chat agent stops replying until it is released
+   * POST /api/chats/:subaccountId/:chatId/handoff/claim
+   */
+  static async claim(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, chatId } = req.params;
+      const userId = req.user.id;
+      const force = req.body?.force === true;
+
+      Logger.info('Claiming conversation', {
+        operationId,
+        subaccountId,
+        chatId,
+        userId,
+        force
+      });
+
+      const handoff = await HandoffService.claim(subaccountId, userId, chatId, { force });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Conversation claimed successfully',
+        data: {
+          chat_id: chatId,
+          handoff
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'claimHandoff', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Give a conversation back to the chat agent
+   * POST /api/chats/:subaccountId/:chatId/handoff/release
+   */
+  static async release(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, chatId } = req.params;
+      const userId = req.user.id;
+      const force = req.body?.force === true;
+
+      Logger.info('Releasing conversation', {
+        operationId,
+        subaccountId,
+        chatId,
+        userId,
+        force
+      });
+
+      const handoff = await HandoffService.release(subaccountId, userId, chatId, { force });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Conversation released to the chat agent',
+        data: {
+          chat_id: chatId,
+          handoff
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'releaseHandoff', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Set the mode of a conversation (bot, human or paused)
+   * PUT /api/chats/:subaccountId/:chatId/handoff
+   */
+  static async setMode(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, chatId } = req.params;
+      const userId = req.user.id;
+      const { mode, reason } = req.body;
+      const force = req.body.force === true;
+
+      Logger.info('Setting conversation mode', {
+        operationId,
+        subaccountId,
+        chatId,
+        userId,
+        mode,
+        force
+      });
+
+      const handoff = await HandoffService.setMode(subaccountId, userId, chatId, mode, { reason: reason || null, force });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: mode === MODES.BOT
+          ? 'Conversation released to the chat agent'
+          : `Conversation set to ${mode} mode`,
+        data: {
+          chat_id: chatId,
+          handoff
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'setHandoffMode', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+}
+
+module.exports = HandoffController;
@@ -1,5 +1,6 @@
 const Logger = require('../utils/logger');
 const connectionPoolManager = require('../services/connectionPoolManager');
+const BudgetService = require('../services/budgetService');
 const { v4: uuidv4 } = require('uuid');
 
 class HomeController {
@@ -71,6 +72,9 @@ class HomeController {
         operationId
       );
 
+      // This month's spend against the subaccount and agent budgets
+      const spend = await BudgetService.getStatus(subaccountId, userId);
+
       // Calculate changes
       const calculateChange = (current, previous) => {
         if (previous === 0) return current > 0 ? 100 : 0;
@@ -114,6 +118,7 @@ class HomeController {
         message: 'Dashboard metrics fetched successfully',
         data: {
           metrics,
+          spend,
           period: {
             current: {
               startDate: currentStartDate.toISOString(),
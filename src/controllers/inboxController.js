@@ -0,0 +1,170 @@
+const { v4: uuidv4 } = require('uuid');
+const InboxService = require('../services/inboxService');
+const ChatController = require('./chatController');
+
+class InboxController {
+  /**
+   * List web chat, WhatsApp and Instagram conversations
+   * GET /api/chats/:subaccountId/inbox
+   */
+  static async listConversations(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+      const { channel, agentId, status, mode, contact, unread, search, cursor } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+
+      const { conversations, nextCursor } = await InboxService.listConversations(subaccountId, userId, {
+        channel,
+        agentId,
+        status,
+        mode,
+        contact,
+        unread: unread === undefined ? undefined : unread === 'true',
+        search,
+        limit,
+        cursor: cursor || null
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Conversations retrieved successfully',
+        data: {
+          conversations,
+          pagination: {
+            limit,
+            nextCursor,
+            hasMore: !!nextCursor
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'listInboxConversations', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Unread counters per channel
+   * GET /api/chats/:subaccountId/inbox/counters
+   */
+  static async getCounters(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+
+      const counters = await InboxService.getCounters(subaccountId, userId, {
+        agentId: req.query.agentId || null
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Inbox counters retrieved successfully',
+        data: counters,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'getInboxCounters', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Normalized messages of a conversation
+   * GET /api/chats/:subaccountId/inbox/:chatId/messages
+   */
+  static async getMessages(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, chatId } = req.params;
+      const userId = req.user.id;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+      const before = req.query.before ? new Date(req.query.before) : null;
+
+      const { conversation, messages, hasMore } = await InboxService.getMessages(subaccountId, userId, chatId, {
+        limit,
+        before
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Conversation messages retrieved successfully',
+        data: {
+          conversation,
+          messages,
+          pagination: {
+            limit,
+            hasMore,
+            // Pass as `before` to load older messages
+            before: hasMore && messages.length > 0 ? messages[0].createdAt : null
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'getInboxMessages', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Mark a conversation as read
+   * POST /api/chats/:subaccountId/inbox/:chatId/read
+   */
+  static async markRead(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, chatId } = req.params;
+      const userId = req.user.id;
+
+      const result = await InboxService.markRead(subaccountId, userId, chatId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Conversation marked as read',
+        data: result,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await ChatController.handleError(error, req, operationId, 'markConversationRead', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+}
+
+module.exports = InboxController;
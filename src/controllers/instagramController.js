@@ -2,8 +2,13 @@ const Logger = require('../utils/logger');
 const instagramService = require('../services/instagramService');
 const connectionPoolManager = require('../services/connectionPoolManager');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const { verifyMetaSignature } = require('../utils/webhookSignature');
+const MetaWebhookService = require('../services/metaWebhookService');
+const { CHANNELS: META_CHANNELS } = MetaWebhookService;
 const ActivityService = require('../services/activityService');
 const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const { MEDIA_KINDS } = require('../services/chatMediaService');
 
 class InstagramController {
   /**
@@ -213,7 +218,14 @@ class InstagramController {
         });
       }
 
-      const result = await instagramService.sendMessage(subaccountId, agentId, to, message);
+      const result = await instagramService.sendMessage(subaccountId, agentId, to, message, { userId, operationId });
+
+      // Replies from the team are kept on conversations handled by a person
+      await instagramService.recordOperatorMessage(subaccountId, agentId, to, {
+        text: message,
+        messageId: result.data?.messageId,
+        sentBy: userId
+      });
 
       // Log activity
       await ActivityService.logActivity({
@@ -251,6 +263,108 @@ class InstagramController {
     }
   }
 
+  /**
+   * Send an attachment by URL (Instagram fetches the file itself)
+   * POST /api/database/:subaccountId/chat-agents/:agentId/instagram/send-media
+   */
+  static async sendMedia(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const { to, url, caption, kind, filename } = req.body;
+      const userId = req.user.id;
+
+      Logger.info('Sending Instagram media', {
+        operationId,
+        subaccountId,
+        agentId,
+        to,
+        userId,
+        kind
+      });
+
+      if (!to || !url) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: to, url',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (!/^https?:\/\//i.test(url)) {
+        return res.status(400).json({
+          success: false,
+          message: 'url must be an http(s) URL',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (kind && !Object.values(MEDIA_KINDS).includes(kind)) {
+        return res.status(400).json({
+          success: false,
+          message: `kind must be one of: ${Object.values(MEDIA_KINDS).join(', ')}`,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const media = { url, filename: filename || null };
+
+      const result = await instagramService.sendMedia(subaccountId, agentId, to, media, {
+        caption: caption || null,
+        kind: kind || null,
+        userId,
+        operationId
+      });
+
+      await instagramService.recordOperatorMessage(subaccountId, agentId, to, {
+        text: caption || null,
+        messageId: result.data?.messageId,
+        sentBy: userId
+      });
+
+      // Log activity
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.INSTAGRAM_MESSAGE_SENT,
+        category: ACTIVITY_CATEGORIES.CHAT,
+        userId,
+        description: `Instagram ${result.data?.kind || 'media'} sent to ${to}`,
+        metadata: {
+          agentId,
+          to,
+          messageId: result.data?.messageId,
+          media: {
+            kind: result.data?.kind,
+            url,
+            caption: caption || null
+          }
+        },
+        resourceId: agentId,
+        resourceName: `Instagram - ${agentId}`,
+        operationId,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Instagram media sent successfully',
+        data: result.data,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await InstagramController.handleError(error, req, operationId, 'sendMedia', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
   /**
    * Get message history
    * GET /api/instagram/:subaccountId/:agentId/messages
@@ -411,6 +525,96 @@ class InstagramController {
     }
   }
 
+  /**
+   * Answer Meta's webhook subscription handshake
+   * GET /api/webhooks/instagram
+   */
+  static async verifyMetaWebhook(req, res, next) {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+    const expectedToken = config.meta.webhookVerifyToken;
+
+    if (mode === 'subscribe' && expectedToken && token === expectedToken) {
+      Logger.info('Instagram webhook subscription verified');
+      return res.status(200).type('text/plain').send(challenge);
+    }
+
+    Logger.warn('Instagram webhook subscription verification failed', {
+      mode,
+      verifyTokenConfigured: !!expectedToken
+    });
+    return res.status(403).json({
+      success: false,
+      message: 'Webhook verification failed',
+      code: 'WEBHOOK_VERIFICATION_FAILED'
+    });
+  }
+
+  /**
+   * Receive Meta's app-level Instagram webhook. Public: authenticated by the
+   * X-Hub-Signature-256 header and routed by the Instagram account ID of each entry.
+   * POST /api/webhooks/instagram
+   */
+  static async receiveMetaWebhook(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      if (!config.meta.appSecret) {
+        Logger.error('META_APP_SECRET is not configured, rejecting Instagram webhook', { operationId });
+        return res.status(503).json({
+          success: false,
+          message: 'Instagram webhook is not configured',
+          code: 'WEBHOOK_NOT_CONFIGURED'
+        });
+      }
+
+      const signature = req.get('X-Hub-Signature-256');
+      if (!verifyMetaSignature(req.rawBody, signature, config.meta.appSecret)) {
+        Logger.warn('Instagram webhook signature rejected', {
+          operationId,
+          hasSignature: !!signature,
+          ip: req.ip
+        });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid webhook signature',
+          code: 'INVALID_SIGNATURE'
+        });
+      }
+
+      const payload = req.body || {};
+
+      Logger.info('Instagram webhook received', {
+        operationId,
+        object: payload.object,
+        entries: Array.isArray(payload.entry) ? payload.entry.length : 0
+      });
+
+      // Meta retries anything but a quick 200, so the delivery is acknowledged before it is
+      // processed; unknown accounts and objects are acknowledged too
+      if (payload.object === 'instagram') {
+        MetaWebhookService.processInBackground(META_CHANNELS.INSTAGRAM, operationId, () => instagramService.processMetaWebhook(payload));
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook received',
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await InstagramController.handleError(error, req, operationId, 'receiveMetaWebhook', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
   /**
    * Error handling
    */
@@ -431,7 +635,19 @@ class InstagramController {
     let errorCode = 'INSTAGRAM_ERROR';
     let message = 'An internal error occurred while processing the Instagram operation';
 
-    if (error.message.includes('not connected')) {
+    if (error.code === 'RECIPIENT_SUPPRESSED') {
+      statusCode = 403;
+      errorCode = 'RECIPIENT_SUPPRESSED';
+      message = error.message;
+    } else if (error.code === 'MEDIA_URL_REQUIRED') {
+      statusCode = 400;
+      errorCode = 'MEDIA_URL_REQUIRED';
+      message = error.message;
+    } else if (error.code === 'URL_NOT_ALLOWED') {
+      statusCode = 400;
+      errorCode = 'URL_NOT_ALLOWED';
+      message = error.message;
+    } else if (error.message.includes('not connected')) {
       statusCode = 400;
       errorCode = 'NOT_CONNECTED';
       message = error.message;
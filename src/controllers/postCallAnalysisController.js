@@ -0,0 +1,417 @@
+const Logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+const connectionPoolManager = require('../services/connectionPoolManager');
+const retellService = require('../services/retellService');
+const Retell = require('../utils/retell');
+const PostCallAnalysisService = require('../services/postCallAnalysisService');
+const { MAX_FIELDS, PROTECTED_FIELDS } = PostCallAnalysisService;
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const DatabaseController = require('./databaseController');
+
+class PostCallAnalysisController {
+  /**
+   * Get an agent's post-call analysis fields and model
+   * GET /api/database/:subaccountId/agents/:agentId/post-call-analysis
+   */
+  static async getPostCallAnalysis(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+
+      const agentDocument = await PostCallAnalysisController.findAgent(subaccountId, userId, agentId);
+      if (!agentDocument) {
+        return PostCallAnalysisController.agentNotFoundResponse(res);
+      }
+
+      const retell = await PostCallAnalysisController.getRetell(subaccountId);
+      if (!retell) {
+        return PostCallAnalysisController.retellInactiveResponse(res);
+      }
+
+      const analysis = await PostCallAnalysisService.loadConfig(subaccountId, userId, agentDocument, retell);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Post-call analysis retrieved successfully',
+        data: PostCallAnalysisController.formatAnalysis(agentId, analysis),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getPostCallAnalysis', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Change the model Retell uses for the post-call analysis
+   * PATCH /api/database/:subaccountId/agents/:agentId/post-call-analysis
+   */
+  static async updatePostCallAnalysisModel(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+      const { model } = req.body;
+
+      const agentDocument = await PostCallAnalysisController.findAgent(subaccountId, userId, agentId);
+      if (!agentDocument) {
+        return PostCallAnalysisController.agentNotFoundResponse(res);
+      }
+
+      const retell = await PostCallAnalysisController.getRetell(subaccountId);
+      if (!retell) {
+        return PostCallAnalysisController.retellInactiveResponse(res);
+      }
+
+      const current = await PostCallAnalysisService.loadConfig(subaccountId, userId, agentDocument, retell);
+      const analysis = await PostCallAnalysisService.saveConfig(subaccountId, userId, agentId, retell, {
+        fields: current.fields,
+        model
+      });
+
+      await PostCallAnalysisController.logChange(req, operationId, agentDocument,
+        `Post-call analysis model of ${agentDocument.name || agentId} changed to ${model}`,
+        { action: 'model_updated', previousModel: current.model, model });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Post-call analysis model updated successfully',
+        data: PostCallAnalysisController.formatAnalysis(agentId, analysis),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'updatePostCallAnalysisModel', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Add a post-call analysis field
+   * POST /api/database/:subaccountId/agents/:agentId/post-call-analysis/fields
+   */
+  static async addField(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+
+      const agentDocument = await PostCallAnalysisController.findAgent(subaccountId, userId, agentId);
+      if (!agentDocument) {
+        return PostCallAnalysisController.agentNotFoundResponse(res);
+      }
+
+      const retell = await PostCallAnalysisController.getRetell(subaccountId);
+      if (!retell) {
+        return PostCallAnalysisController.retellInactiveResponse(res);
+      }
+
+      const current = await PostCallAnalysisService.loadConfig(subaccountId, userId, agentDocument, retell);
+      const field = PostCallAnalysisService.buildField(req.body);
+
+      if (current.fields.some(existing => existing.name === field.name)) {
+        return res.status(409).json({
+          success: false,
+          message: `Post-call analysis field "${field.name}" already exists`,
+          code: 'POST_CALL_FIELD_EXISTS'
+        });
+      }
+
+      if (current.fields.length >= MAX_FIELDS) {
+        return res.status(409).json({
+          success: false,
+          message: `An agent can have at most ${MAX_FIELDS} post-call analysis fields`,
+          code: 'POST_CALL_FIELD_LIMIT_REACHED'
+        });
+      }
+
+      const analysis = await PostCallAnalysisService.saveConfig(subaccountId, userId, agentId, retell, {
+        fields: [...current.fields, field],
+        model: current.model
+      });
+
+      await PostCallAnalysisController.logChange(req, operationId, agentDocument,
+        `Post-call analysis field "${field.name}" added to ${agentDocument.name || agentId}`,
+        { action: 'field_added', field });
+
+      const duration = Date.now() - startTime;
+
+      res.status(201).json({
+        success: true,
+        message: 'Post-call analysis field added successfully',
+        data: PostCallAnalysisController.formatAnalysis(agentId, analysis),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'addPostCallAnalysisField', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Edit a post-call analysis field. Protected fields keep their name and type.
+   * PATCH /api/database/:subaccountId/agents/:agentId/post-call-analysis/fields/:fieldName
+   */
+  static async updateField(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId, fieldName } = req.params;
+      const userId = req.user.id;
+
+      const agentDocument = await PostCallAnalysisController.findAgent(subaccountId, userId, agentId);
+      if (!agentDocument) {
+        return PostCallAnalysisController.agentNotFoundResponse(res);
+      }
+
+      const retell = await PostCallAnalysisController.getRetell(subaccountId);
+      if (!retell) {
+        return PostCallAnalysisController.retellInactiveResponse(res);
+      }
+
+      const current = await PostCallAnalysisService.loadConfig(subaccountId, userId, agentDocument, retell);
+      const index = current.fields.findIndex(existing => existing.name === fieldName);
+      if (index === -1) {
+        return PostCallAnalysisController.fieldNotFoundResponse(res, fieldName);
+      }
+
+      const previous = current.fields[index];
+      const field = PostCallAnalysisService.buildField({ ...previous, ...req.body });
+
+      if (PROTECTED_FIELDS.includes(fieldName) && (field.name !== previous.name || field.type !== previous.type)) {
+        return PostCallAnalysisController.protectedFieldResponse(res, fieldName);
+      }
+
+      if (field.type === 'enum' && !field.choices?.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enum fields need at least one choice',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (field.name !== fieldName && current.fields.some(existing => existing.name === field.name)) {
+        return res.status(409).json({
+          success: false,
+          message: `Post-call analysis field "${field.name}" already exists`,
+          code: 'POST_CALL_FIELD_EXISTS'
+        });
+      }
+
+      const fields = [...current.fields];
+      fields[index] = field;
+
+      const analysis = await PostCallAnalysisService.saveConfig(subaccountId, userId, agentId, retell, {
+        fields,
+        model: current.model
+      });
+
+      await PostCallAnalysisController.logChange(req, operationId, agentDocument,
+        `Post-call analysis field "${fieldName}" of ${agentDocument.name || agentId} updated`,
+        { action: 'field_updated', previousField: previous, field });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Post-call analysis field updated successfully',
+        data: PostCallAnalysisController.formatAnalysis(agentId, analysis),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'updatePostCallAnalysisField', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Remove a post-call analysis field. Values already extracted from past calls are kept.
+   * DELETE /api/database/:subaccountId/agents/:agentId/post-call-analysis/fields/:fieldName
+   */
+  static async removeField(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId, fieldName } = req.params;
+      const userId = req.user.id;
+
+      if (PROTECTED_FIELDS.includes(fieldName)) {
+        return PostCallAnalysisController.protectedFieldResponse(res, fieldName);
+      }
+
+      const agentDocument = await PostCallAnalysisController.findAgent(subaccountId, userId, agentId);
+      if (!agentDocument) {
+        return PostCallAnalysisController.agentNotFoundResponse(res);
+      }
+
+      const retell = await PostCallAnalysisController.getRetell(subaccountId);
+      if (!retell) {
+        return PostCallAnalysisController.retellInactiveResponse(res);
+      }
+
+      const current = await PostCallAnalysisService.loadConfig(subaccountId, userId, agentDocument, retell);
+      const removed = current.fields.find(existing => existing.name === fieldName);
+      if (!removed) {
+        return PostCallAnalysisController.fieldNotFoundResponse(res, fieldName);
+      }
+
+      const analysis = await PostCallAnalysisService.saveConfig(subaccountId, userId, agentId, retell, {
+        fields: current.fields.filter(existing => existing.name !== fieldName),
+        model: current.model
+      });
+
+      await PostCallAnalysisController.logChange(req, operationId, agentDocument,
+        `Post-call analysis field "${fieldName}" removed from ${agentDocument.name || agentId}`,
+        { action: 'field_removed', field: removed });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Post-call analysis field removed successfully',
+        data: PostCallAnalysisController.formatAnalysis(agentId, analysis),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'removePostCallAnalysisField', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Find a voice agent of the subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object|null>} Agent document
+   */
+  static async findAgent(subaccountId, userId, agentId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection('agents').findOne({ agentId, subaccountId });
+  }
+
+  /**
+   * Create a Retell client for the subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @returns {Promise<Retell|null>} Retell instance, or null when the Retell account is inactive
+   */
+  static async getRetell(subaccountId) {
+    const retellAccountData = await retellService.getRetellAccount(subaccountId);
+    if (!retellAccountData.isActive) {
+      return null;
+    }
+    return new Retell(retellAccountData.apiKey, retellAccountData);
+  }
+
+  /**
+   * Log a post-call analysis change as an agent update
+   * @param {Object} req - Express request
+   * @param {string} operationId - Operation ID
+   * @param {Object} agentDocument - Agent document
+   * @param {string} description - Activity description
+   * @param {Object} change - Change details
+   */
+  static async logChange(req, operationId, agentDocument, description, change) {
+    const { subaccountId, agentId } = req.params;
+
+    Logger.info('Post-call analysis updated', {
+      operationId,
+      subaccountId,
+      agentId,
+      action: change.action
+    });
+
+    await ActivityService.logActivity({
+      subaccountId,
+      activityType: ACTIVITY_TYPES.AGENT_UPDATED,
+      category: ACTIVITY_CATEGORIES.AGENT,
+      userId: req.user.id,
+      description,
+      metadata: {
+        agentId,
+        postCallAnalysis: change
+      },
+      resourceId: agentId,
+      resourceName: agentDocument.name || agentId,
+      operationId,
+      agentId
+    });
+  }
+
+  static formatAnalysis(agentId, analysis) {
+    return {
+      agentId,
+      model: analysis.model,
+      fields: analysis.fields,
+      protectedFields: PROTECTED_FIELDS,
+      maxFields: MAX_FIELDS
+    };
+  }
+
+  static agentNotFoundResponse(res) {
+    return res.status(404).json({
+      success: false,
+      message: 'Agent not found',
+      code: 'AGENT_NOT_FOUND'
+    });
+  }
+
+  static retellInactiveResponse(res) {
+    return res.status(400).json({
+      success: false,
+      message: 'Retell account is not active',
+      code: 'RETELL_ACCOUNT_INACTIVE'
+    });
+  }
+
+  static fieldNotFoundResponse(res, fieldName) {
+    return res.status(404).json({
+      success: false,
+      message: `Post-call analysis field "${fieldName}" not found`,
+      code: 'POST_CALL_FIELD_NOT_FOUND'
+    });
+  }
+
+  static protectedFieldResponse(res, fieldName) {
+    return res.status(400).json({
+      success: false,
+      message: `"${fieldName}" is used for meeting tracking and success rates. It cannot be removed, renamed or change type.`,
+      code: 'PROTECTED_POST_CALL_FIELD'
+    });
+  }
+}
+
+module.exports = PostCallAnalysisController;
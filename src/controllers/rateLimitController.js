@@ -0,0 +1,182 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const RateLimitService = require('../services/rateLimitService');
+const { v4: uuidv4 } = require('uuid');
+
+class RateLimitController {
+  /**
+   * List the quota plans
+   * GET /api/rate-limits/plans
+   */
+  static async listPlans(req, res, next) {
+    const operationId = uuidv4();
+    const { definitions, defaultPlan } = config.rateLimiting.plans;
+
+    res.json({
+      success: true,
+      message: 'Rate limit plans retrieved successfully',
+      data: {
+        defaultPlan,
+        plans: Object.entries(definitions).map(([name, limits]) => ({ name, ...limits }))
+      },
+      meta: {
+        operationId
+      }
+    });
+  }
+
+  /**
+   * Get the plan and current quota usage of a subaccount
+   * GET /api/rate-limits/:subaccountId
+   */
+  static async getSubaccountLimits(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const limits = await RateLimitService.getUsage(subaccountId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Rate limits retrieved successfully',
+        data: {
+          subaccountId,
+          ...limits
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await RateLimitController.handleError(error, req, operationId, 'getSubaccountLimits', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Assign a quota plan to a subaccount
+   * PUT /api/rate-limits/:subaccountId/plan
+   */
+  static async updatePlan(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { plan, overrides } = req.body;
+      const userId = req.user.id;
+
+      const previous = await RateLimitService.getPlan(subaccountId);
+      const updated = await RateLimitService.setPlan(subaccountId, plan, overrides, userId);
+
+      Logger.audit('rate_limit_plan_updated', 'rate_limits', {
+        operationId,
+        subaccountId,
+        userId,
+        previousPlan: previous.plan,
+        plan,
+        overrides: updated.overrides
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Rate limit plan updated successfully',
+        data: {
+          subaccountId,
+          ...updated
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await RateLimitController.handleError(error, req, operationId, 'updatePlan', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Reset the rate limit and quota counters of a subaccount
+   * DELETE /api/rate-limits/:subaccountId/counters
+   */
+  static async resetCounters(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const countersDeleted = await RateLimitService.resetCounters(subaccountId);
+
+      Logger.audit('rate_limit_counters_reset', 'rate_limits', {
+        operationId,
+        subaccountId,
+        userId: req.user.id,
+        countersDeleted
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Rate limit counters reset successfully',
+        data: {
+          subaccountId,
+          countersDeleted
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await RateLimitController.handleError(error, req, operationId, 'resetCounters', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Error handling
+   */
+  static async handleError(error, req, operationId, operation, startTime) {
+    const duration = Date.now() - startTime;
+
+    Logger.error(`Rate limit operation failed: ${operation}`, {
+      operationId,
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.id,
+      subaccountId: req.params?.subaccountId,
+      duration: `${duration}ms`
+    });
+
+    const statusCode = 500;
+    const errorCode = 'RATE_LIMIT_ERROR';
+    const message = 'An internal error occurred while managing rate limits';
+
+    return {
+      statusCode,
+      response: {
+        success: false,
+        message,
+        code: errorCode,
+        meta: {
+          operationId,
+          operation,
+          duration: `${duration}ms`
+        }
+      }
+    };
+  }
+}
+
+module.exports = RateLimitController;
@@ -0,0 +1,342 @@
+const Logger = require('../utils/logger');
+const config = require('../../config/config');
+const { v4: uuidv4 } = require('uuid');
+const connectionPoolManager = require('../services/connectionPoolManager');
+const ScheduledCallService = require('../services/scheduledCallService');
+const SuppressionService = require('../services/suppressionService');
+const { CHANNELS } = SuppressionService;
+const CallingHoursService = require('../services/callingHoursService');
+const { DECISIONS } = CallingHoursService;
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const CallController = require('./callController');
+
+// How far ahead a call can be scheduled
+const MAX_SCHEDULE_AHEAD_DAYS = 90;
+
+class ScheduledCallController {
+  /**
+   * Schedule an outbound call with automatic retries
+   * POST /api/calls/:subaccountId/scheduled
+   */
+  static async createScheduledCall(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { from_number, to_number, agent_id, metadata, dynamic_variables, retell_llm_dynamic_variables, retry } = req.body;
+      const userId = req.user.id;
+      const dynamicVars = dynamic_variables || retell_llm_dynamic_variables;
+
+      const now = new Date();
+      const requestedTime = req.body.scheduledFor ? new Date(req.body.scheduledFor) : now;
+      let scheduledFor = requestedTime < now ? now : requestedTime;
+
+      if (scheduledFor.getTime() - now.getTime() > MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          message: `Calls can be scheduled at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`,
+          code: 'INVALID_SCHEDULE_TIME'
+        });
+      }
+
+      Logger.info('Scheduling phone call', {
+        operationId,
+        subaccountId,
+        userId,
+        from_number,
+        to_number,
+        agent_id,
+        scheduledFor
+      });
+
+      // Never queue numbers on the do-not-call list
+      const suppressedNumbers = await SuppressionService.findSuppressed(subaccountId, userId, CHANNELS.PHONE, [to_number]);
+      if (suppressedNumbers.has(to_number)) {
+        await SuppressionService.logBlockedAttempt(subaccountId, CHANNELS.PHONE, [to_number], {
+          userId,
+          agentId: agent_id,
+          operationId
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: `Phone number ${to_number} is on the do-not-call list and cannot be called`,
+          code: 'RECIPIENT_SUPPRESSED'
+        });
+      }
+
+      // Check the calling hours at the requested time; defer mode moves the call to the next allowed time
+      const callingHoursSettings = await CallingHoursService.getSettings(subaccountId, userId);
+      const callingHours = CallingHoursService.evaluate(callingHoursSettings, to_number, {
+        at: scheduledFor,
+        fallbackTimezone: req.timezone
+      });
+
+      if (!callingHours.allowed && callingHours.decision !== DECISIONS.DEFERRED) {
+        await ActivityService.logActivity({
+          subaccountId,
+          activityType: ACTIVITY_TYPES.CALL_BLOCKED_CALLING_HOURS,
+          category: ACTIVITY_CATEGORIES.COMPLIANCE,
+          userId,
+          description: `Scheduled call to ${to_number} was blocked outside calling hours`,
+          metadata: {
+            from_number,
+            to_number,
+            agent_id,
+            callingHours
+          },
+          resourceId: to_number,
+          resourceName: to_number,
+          operationId,
+          agentId: agent_id || null
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: callingHours.reason === 'blackout_date'
+            ? `Calls to ${to_number} are not allowed on a blackout date`
+            : `Calls to ${to_number} are not allowed at the requested time in the recipient's timezone`,
+          code: 'OUTSIDE_CALLING_HOURS',
+          data: {
+            callingHours
+          }
+        });
+      }
+
+      if (!callingHours.allowed) {
+        scheduledFor = new Date(callingHours.nextAllowedAt);
+      }
+
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+      const missingResource = await CallController.findMissingCallResource(connectionInfo, subaccountId, { agent_id, from_number });
+      if (missingResource) {
+        return res.status(404).json(missingResource);
+      }
+
+      const scheduledCall = await ScheduledCallService.schedule(subaccountId, userId, {
+        from_number,
+        to_number,
+        agent_id: agent_id || null,
+        outbound_agent_id: agent_id ? null : await CallController.findOutboundAgentId(connectionInfo, subaccountId, from_number),
+        metadata: metadata || {},
+        retell_llm_dynamic_variables: dynamicVars || {},
+        scheduledFor,
+        retry,
+        callingHours,
+        timezone: req.timezone,
+        source: 'api',
+        operationId
+      });
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.SCHEDULED_CALL_CREATED,
+        category: ACTIVITY_CATEGORIES.CALL,
+        userId,
+        description: `Call to ${to_number} was scheduled`,
+        metadata: {
+          scheduledCallId: scheduledCall.scheduledCallId,
+          from_number,
+          to_number,
+          agent_id,
+          scheduledFor: scheduledCall.scheduledFor,
+          retry: scheduledCall.retry
+        },
+        resourceId: scheduledCall.scheduledCallId,
+        resourceName: `Scheduled call to ${to_number}`,
+        operationId,
+        agentId: agent_id || null
+      });
+
+      const duration = Date.now() - startTime;
+
+      return res.status(201).json({
+        success: true,
+        message: callingHours.allowed
+          ? 'Call scheduled successfully'
+          : 'Call scheduled for the next allowed calling time',
+        data: scheduledCall,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'createScheduledCall', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * List scheduled calls
+   * GET /api/calls/:subaccountId/scheduled
+   */
+  static async getScheduledCalls(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+      const { status, to_number } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+      const { scheduledCalls, total } = await ScheduledCallService.list(subaccountId, userId, { status, to_number, limit, skip });
+
+      const duration = Date.now() - startTime;
+
+      return res.json({
+        success: true,
+        message: 'Scheduled calls retrieved successfully',
+        data: {
+          scheduledCalls,
+          pagination: {
+            total,
+            count: scheduledCalls.length,
+            limit,
+            skip,
+            hasMore: (skip + scheduledCalls.length) < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'getScheduledCalls', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get a scheduled call with its attempts
+   * GET /api/calls/:subaccountId/scheduled/:scheduledCallId
+   */
+  static async getScheduledCall(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, scheduledCallId } = req.params;
+      const userId = req.user.id;
+
+      const scheduledCall = await ScheduledCallService.get(subaccountId, userId, scheduledCallId);
+
+      if (!scheduledCall) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scheduled call not found',
+          code: 'SCHEDULED_CALL_NOT_FOUND'
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      return res.json({
+        success: true,
+        message: 'Scheduled call retrieved successfully',
+        data: scheduledCall,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'getScheduledCall', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Cancel a scheduled call and its pending retries
+   * POST /api/calls/:subaccountId/scheduled/:scheduledCallId/cancel
+   */
+  static async cancelScheduledCall(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, scheduledCallId } = req.params;
+      const userId = req.user.id;
+
+      Logger.info('Cancelling scheduled call', {
+        operationId,
+        subaccountId,
+        userId,
+        scheduledCallId
+      });
+
+      const result = await ScheduledCallService.cancel(subaccountId, userId, scheduledCallId);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scheduled call not found',
+          code: 'SCHEDULED_CALL_NOT_FOUND'
+        });
+      }
+
+      if (!result.cancelled) {
+        return res.status(409).json({
+          success: false,
+          message: result.reason === 'dialing'
+            ? 'Scheduled call is being dialed and cannot be cancelled right now'
+            : `Scheduled call is already ${result.entry.status}`,
+          code: result.reason === 'dialing' ? 'SCHEDULED_CALL_DIALING' : 'SCHEDULED_CALL_ALREADY_FINISHED'
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.SCHEDULED_CALL_CANCELLED,
+        category: ACTIVITY_CATEGORIES.CALL,
+        userId,
+        description: `Scheduled call to ${result.entry.to_number} was cancelled after ${result.entry.attemptCount} attempt(s)`,
+        metadata: {
+          scheduledCallId,
+          to_number: result.entry.to_number,
+          attemptCount: result.entry.attemptCount,
+          lastCallId: result.entry.lastCallId
+        },
+        resourceId: scheduledCallId,
+        resourceName: `Scheduled call to ${result.entry.to_number}`,
+        operationId,
+        agentId: result.entry.agent_id || null
+      });
+
+      if (config.security.enableAuditLogging) {
+        Logger.audit('cancelScheduledCall', 'scheduled_calls', {
+          operationId,
+          subaccountId,
+          userId,
+          scheduledCallId
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      return res.json({
+        success: true,
+        message: 'Scheduled call cancelled successfully',
+        data: result.entry,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await CallController.handleError(error, req, operationId, 'cancelScheduledCall', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+}
+
+module.exports = ScheduledCallController;
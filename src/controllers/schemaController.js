@@ -0,0 +1,407 @@
+const Logger = require('../utils/logger');
+const config = require('../../config/config');
+const schemaValidationService = require('../services/schemaValidationService');
+const SchemaRegistryService = require('../services/schemaRegistryService');
+const DatabaseController = require('./databaseController');
+const { v4: uuidv4 } = require('uuid');
+
+class SchemaController {
+  /**
+   * List the current schema of every registered collection
+   * GET /api/database/:subaccountId/schemas
+   */
+  static async listSchemas(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+
+      const entries = await SchemaRegistryService.listSchemas(subaccountId, userId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Schemas retrieved successfully',
+        data: {
+          schemas: entries.map(SchemaController.formatEntry),
+          count: entries.length
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'listSchemas', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get the current schema of a collection
+   * GET /api/database/:subaccountId/schemas/:collection
+   */
+  static async getSchema(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const userId = req.user.id;
+
+      const entry = await SchemaRegistryService.getSchema(subaccountId, userId, collection);
+
+      if (!entry) {
+        return SchemaController.sendSchemaNotFound(res, collection);
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Schema retrieved successfully',
+        data: SchemaController.formatEntry(entry),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getSchema', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Create or update a collection schema. Every save creates a new version.
+   * PUT /api/database/:subaccountId/schemas/:collection
+   */
+  static async saveSchema(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const { schema, permissions = {}, description = null } = req.body;
+      const userId = req.user.id;
+
+      Logger.info('Saving collection schema', {
+        operationId,
+        subaccountId,
+        userId,
+        collection
+      });
+
+      // Make sure the definition converts to a Joi schema before persisting it
+      try {
+        schemaValidationService.validateSchemaDefinition(schema);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: 'INVALID_SCHEMA'
+        });
+      }
+
+      const { entry, created } = await SchemaRegistryService.saveSchema(subaccountId, userId, collection, {
+        definition: schema,
+        permissions: {
+          read: permissions.read !== false,
+          write: permissions.write !== false,
+          delete: permissions.delete === true
+        },
+        description
+      });
+
+      await schemaValidationService.registerSchema(subaccountId, collection, entry.definition, entry.permissions, {
+        version: entry.version
+      });
+
+      if (config.security.enableAuditLogging) {
+        Logger.audit(created ? 'createSchema' : 'updateSchema', collection, {
+          operationId,
+          subaccountId,
+          userId,
+          version: entry.version
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Schema created successfully' : 'Schema updated successfully',
+        data: SchemaController.formatEntry(entry),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'saveSchema', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Remove a collection schema. The collection falls back to schema-less mode;
+   * version history is kept.
+   * DELETE /api/database/:subaccountId/schemas/:collection
+   */
+  static async deleteSchema(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const userId = req.user.id;
+
+      const deleted = await SchemaRegistryService.deleteSchema(subaccountId, userId, collection);
+
+      if (!deleted) {
+        return SchemaController.sendSchemaNotFound(res, collection);
+      }
+
+      await schemaValidationService.removeSchema(subaccountId, collection);
+
+      if (config.security.enableAuditLogging) {
+        Logger.audit('deleteSchema', collection, {
+          operationId,
+          subaccountId,
+          userId
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Schema deleted successfully',
+        data: {
+          collectionName: collection
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'deleteSchema', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * List saved versions of a collection schema
+   * GET /api/database/:subaccountId/schemas/:collection/versions
+   */
+  static async listVersions(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const userId = req.user.id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+      const { versions, total } = await SchemaRegistryService.listVersions(subaccountId, userId, collection, { limit, skip });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Schema versions retrieved successfully',
+        data: {
+          collectionName: collection,
+          versions: versions.map(SchemaController.formatVersion),
+          pagination: {
+            total,
+            count: versions.length,
+            limit,
+            skip,
+            hasMore: (skip + versions.length) < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'listSchemaVersions', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get a single saved version of a collection schema
+   * GET /api/database/:subaccountId/schemas/:collection/versions/:version
+   */
+  static async getVersion(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const version = parseInt(req.params.version);
+      const userId = req.user.id;
+
+      const schemaVersion = await SchemaRegistryService.getVersion(subaccountId, userId, collection, version);
+
+      if (!schemaVersion) {
+        return res.status(404).json({
+          success: false,
+          message: `Version ${version} of schema '${collection}' not found`,
+          code: 'SCHEMA_VERSION_NOT_FOUND'
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Schema version retrieved successfully',
+        data: SchemaController.formatVersion(schemaVersion),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getSchemaVersion', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Report which existing documents would fail a schema.
+   * Checks `schema` from the body, a saved `version`, or the current schema.
+   * POST /api/database/:subaccountId/schemas/:collection/migration-check
+   */
+  static async checkMigration(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, collection } = req.params;
+      const { schema, version, sampleSize = 1000, maxFailures = 50 } = req.body;
+      const userId = req.user.id;
+
+      let definition = schema;
+      let checkedVersion = null;
+
+      if (!definition) {
+        const source = version
+          ? await SchemaRegistryService.getVersion(subaccountId, userId, collection, version)
+          : await SchemaRegistryService.getSchema(subaccountId, userId, collection);
+
+        if (!source) {
+          return version
+            ? res.status(404).json({
+              success: false,
+              message: `Version ${version} of schema '${collection}' not found`,
+              code: 'SCHEMA_VERSION_NOT_FOUND'
+            })
+            : SchemaController.sendSchemaNotFound(res, collection);
+        }
+
+        definition = source.definition;
+        checkedVersion = source.version;
+      }
+
+      let joiSchema;
+      try {
+        joiSchema = schemaValidationService.validateSchemaDefinition(definition);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: 'INVALID_SCHEMA'
+        });
+      }
+
+      Logger.info('Running schema migration check', {
+        operationId,
+        subaccountId,
+        userId,
+        collection,
+        version: checkedVersion,
+        sampleSize
+      });
+
+      const report = await SchemaRegistryService.checkMigration(subaccountId, userId, collection, joiSchema, {
+        sampleSize,
+        maxFailures
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: report.failed === 0
+          ? 'All checked documents are compatible with the schema'
+          : `${report.failed} document(s) would fail the schema`,
+        data: {
+          collectionName: collection,
+          version: checkedVersion,
+          compatible: report.failed === 0,
+          ...report
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'checkSchemaMigration', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  static sendSchemaNotFound(res, collection) {
+    return res.status(404).json({
+      success: false,
+      message: `No schema registered for collection '${collection}'`,
+      code: 'SCHEMA_NOT_FOUND'
+    });
+  }
+
+  static formatEntry(entry) {
+    return {
+      collectionName: entry.collectionName,
+      version: entry.version,
+      schema: entry.definition,
+      permissions: entry.permissions,
+      description: entry.description,
+      createdBy: entry.createdBy,
+      createdAt: entry.createdAt,
+      updatedBy: entry.updatedBy,
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  static formatVersion(version) {
+    return {
+      collectionName: version.collectionName,
+      version: version.version,
+      schema: version.definition,
+      permissions: version.permissions,
+      description: version.description,
+      createdBy: version.createdBy,
+      createdAt: version.createdAt
+    };
+  }
+}
+
+module.exports = SchemaController;
@@ -0,0 +1,334 @@
+const Logger = require('../utils/logger');
+const config = require('../../config/config');
+const { v4: uuidv4 } = require('uuid');
+const connectionPoolManager = require('../services/connectionPoolManager');
+const SuccessCriteriaService = require('../services/successCriteriaService');
+const { JOB_TRIGGERS } = SuccessCriteriaService;
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const DatabaseController = require('./databaseController');
+
+class SuccessCriteriaController {
+  /**
+   * Get an agent's success criteria (defaults when none are stored)
+   * GET /api/database/:subaccountId/agents/:agentId/success-criteria
+   */
+  static async getSuccessCriteria(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+
+      const agentDocument = await SuccessCriteriaController.findAgent(subaccountId, userId, agentId);
+      if (!agentDocument) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent not found',
+          code: 'AGENT_NOT_FOUND'
+        });
+      }
+
+      const criteria = await SuccessCriteriaService.getCriteria(subaccountId, userId, agentId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Success criteria retrieved successfully',
+        data: criteria,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getSuccessCriteria', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Replace an agent's success criteria. New calls are scored with them right away;
+   * stored calls are re-scored by a background recompute job.
+   * PUT /api/database/:subaccountId/agents/:agentId/success-criteria
+   */
+  static async updateSuccessCriteria(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+      const { mode, rules } = req.body;
+      const passThreshold = req.body.passThreshold ?? 0.5;
+
+      const agentDocument = await SuccessCriteriaController.findAgent(subaccountId, userId, agentId);
+      if (!agentDocument) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent not found',
+          code: 'AGENT_NOT_FOUND'
+        });
+      }
+
+      const criteria = await SuccessCriteriaService.saveCriteria(subaccountId, userId, agentId, { mode, rules, passThreshold });
+      const { job } = await SuccessCriteriaService.startRecompute(subaccountId, userId, agentId, {
+        trigger: JOB_TRIGGERS.CRITERIA_UPDATED
+      });
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.AGENT_UPDATED,
+        category: ACTIVITY_CATEGORIES.AGENT,
+        userId,
+        description: `Success criteria of ${agentDocument.name || agentId} were updated (version ${criteria.version})`,
+        metadata: {
+          agentId,
+          successCriteria: {
+            mode: criteria.mode,
+            rules: criteria.rules,
+            passThreshold: criteria.passThreshold,
+            version: criteria.version
+          }
+        },
+        resourceId: agentId,
+        resourceName: agentDocument.name || agentId,
+        operationId,
+        agentId
+      });
+
+      if (config.security.enableAuditLogging) {
+        Logger.audit('updateSuccessCriteria', 'success_criteria', {
+          operationId,
+          subaccountId,
+          userId,
+          agentId,
+          version: criteria.version
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Success criteria updated successfully. Stored calls are being re-scored.',
+        data: {
+          ...criteria,
+          recompute: job
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'updateSuccessCriteria', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Remove an agent's success criteria so it falls back to the appointment-booked rule
+   * DELETE /api/database/:subaccountId/agents/:agentId/success-criteria
+   */
+  static async resetSuccessCriteria(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+
+      const removed = await SuccessCriteriaService.deleteCriteria(subaccountId, userId, agentId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent has no custom success criteria',
+          code: 'SUCCESS_CRITERIA_NOT_FOUND'
+        });
+      }
+
+      const { job } = await SuccessCriteriaService.startRecompute(subaccountId, userId, agentId, {
+        trigger: JOB_TRIGGERS.CRITERIA_RESET
+      });
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.AGENT_UPDATED,
+        category: ACTIVITY_CATEGORIES.AGENT,
+        userId,
+        description: `Success criteria of ${agentId} were reset to the default`,
+        metadata: {
+          agentId,
+          successCriteria: null
+        },
+        resourceId: agentId,
+        resourceName: agentId,
+        operationId,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Success criteria reset to the default. Stored calls are being re-scored.',
+        data: {
+          ...SuccessCriteriaService.defaultCriteria(agentId),
+          recompute: job
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'resetSuccessCriteria', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Start re-scoring an agent's stored calls with its current success criteria.
+   * The calls are re-scored by a background job; poll it with getRecomputeJob.
+   * POST /api/database/:subaccountId/agents/:agentId/success-criteria/recompute
+   */
+  static async recomputeSuccessRates(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const userId = req.user.id;
+      const startDate = req.body?.startDate ? new Date(req.body.startDate) : null;
+      const endDate = req.body?.endDate ? new Date(req.body.endDate) : null;
+
+      const agentDocument = await SuccessCriteriaController.findAgent(subaccountId, userId, agentId);
+      if (!agentDocument) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent not found',
+          code: 'AGENT_NOT_FOUND'
+        });
+      }
+
+      const { job, alreadyRunning } = await SuccessCriteriaService.startRecompute(subaccountId, userId, agentId, {
+        trigger: JOB_TRIGGERS.MANUAL,
+        startDate,
+        endDate
+      });
+
+      if (alreadyRunning) {
+        return res.status(409).json({
+          success: false,
+          message: 'A recompute is already running for this agent',
+          code: 'SUCCESS_RECOMPUTE_RUNNING',
+          data: job
+        });
+      }
+
+      Logger.info('Success rate recompute started', {
+        operationId,
+        subaccountId,
+        userId,
+        agentId,
+        jobId: job.jobId,
+        startDate,
+        endDate
+      });
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.AGENT_UPDATED,
+        category: ACTIVITY_CATEGORIES.AGENT,
+        userId,
+        description: `Success rates of ${agentDocument.name || agentId} are being recomputed`,
+        metadata: {
+          agentId,
+          jobId: job.jobId,
+          startDate,
+          endDate
+        },
+        resourceId: agentId,
+        resourceName: agentDocument.name || agentId,
+        operationId,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.status(202).json({
+        success: true,
+        message: 'Success rate recompute started',
+        data: job,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'recomputeSuccessRates', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get the progress of a recompute job
+   * GET /api/database/:subaccountId/agents/:agentId/success-criteria/recompute/:jobId
+   */
+  static async getRecomputeJob(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId, jobId } = req.params;
+      const userId = req.user.id;
+
+      const job = await SuccessCriteriaService.getJob(subaccountId, userId, agentId, jobId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recompute job not found',
+          code: 'SUCCESS_RECOMPUTE_JOB_NOT_FOUND'
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Recompute job retrieved successfully',
+        data: job,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getRecomputeJob', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Find a voice agent of the subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object|null>} Agent document
+   */
+  static async findAgent(subaccountId, userId, agentId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection('agents').findOne({ agentId, subaccountId });
+  }
+}
+
+module.exports = SuccessCriteriaController;
@@ -0,0 +1,324 @@
+const Logger = require('../utils/logger');
+const config = require('../../config/config');
+const SuppressionService = require('../services/suppressionService');
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const DatabaseController = require('./databaseController');
+const { v4: uuidv4 } = require('uuid');
+
+class SuppressionController {
+  /**
+   * List suppressed recipients
+   * GET /api/database/:subaccountId/suppressions
+   */
+  static async listSuppressions(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { channel, source, search } = req.query;
+      const userId = req.user.id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+      const { entries, total } = await SuppressionService.list(subaccountId, userId, {
+        channel,
+        source,
+        search,
+        limit,
+        skip
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Suppression list retrieved successfully',
+        data: {
+          suppressions: entries.map(SuppressionController.formatEntry),
+          pagination: {
+            total,
+            count: entries.length,
+            limit,
+            skip,
+            hasMore: (skip + entries.length) < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'listSuppressions', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Check whether a recipient is suppressed
+   * GET /api/database/:subaccountId/suppressions/check?channel=&value=
+   */
+  static async checkSuppression(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { channel, value } = req.query;
+      const userId = req.user.id;
+
+      const suppressed = await SuppressionService.findSuppressed(subaccountId, userId, channel, [value]);
+      const entry = suppressed.get(value);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: entry ? 'Recipient is suppressed' : 'Recipient is not suppressed',
+        data: {
+          channel,
+          value,
+          suppressed: !!entry,
+          suppression: entry ? SuppressionController.formatEntry(entry) : null
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'checkSuppression', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Add a recipient to the suppression list
+   * POST /api/database/:subaccountId/suppressions
+   */
+  static async addSuppression(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { channel, value, reason = null, defaultCountryCode = null } = req.body;
+      const userId = req.user.id;
+
+      const normalized = SuppressionService.normalizeValue(channel, value, defaultCountryCode);
+      if (!normalized.valid) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.reason,
+          code: 'INVALID_RECIPIENT'
+        });
+      }
+
+      const { entry, created } = await SuppressionService.add(subaccountId, userId, {
+        channel,
+        value: normalized.value,
+        reason: reason || null
+      });
+
+      if (created) {
+        await ActivityService.logActivity({
+          subaccountId,
+          activityType: ACTIVITY_TYPES.SUPPRESSION_ADDED,
+          category: ACTIVITY_CATEGORIES.COMPLIANCE,
+          userId,
+          description: `${normalized.value} added to the ${channel} suppression list`,
+          metadata: { channel, reason },
+          resourceId: normalized.value,
+          resourceName: normalized.value,
+          operationId
+        });
+      }
+
+      if (config.security.enableAuditLogging) {
+        Logger.audit('addSuppression', channel, {
+          operationId,
+          subaccountId,
+          userId,
+          value: normalized.value,
+          created
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Recipient added to the suppression list' : 'Recipient is already suppressed',
+        data: SuppressionController.formatEntry(entry),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'addSuppression', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Add many recipients of one channel to the suppression list
+   * POST /api/database/:subaccountId/suppressions/import
+   */
+  static async importSuppressions(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { channel, values, reason = null, defaultCountryCode = null } = req.body;
+      const userId = req.user.id;
+
+      Logger.info('Importing suppression list', {
+        operationId,
+        subaccountId,
+        userId,
+        channel,
+        valueCount: values.length
+      });
+
+      const result = await SuppressionService.bulkImport(subaccountId, userId, {
+        channel,
+        values,
+        reason: reason || null,
+        defaultCountryCode
+      });
+
+      if (result.added > 0) {
+        await ActivityService.logActivity({
+          subaccountId,
+          activityType: ACTIVITY_TYPES.SUPPRESSIONS_IMPORTED,
+          category: ACTIVITY_CATEGORIES.COMPLIANCE,
+          userId,
+          description: `${result.added} recipients imported to the ${channel} suppression list`,
+          metadata: {
+            channel,
+            added: result.added,
+            alreadySuppressed: result.alreadySuppressed,
+            invalid: result.invalid.length
+          },
+          operationId
+        });
+      }
+
+      if (config.security.enableAuditLogging) {
+        Logger.audit('importSuppressions', channel, {
+          operationId,
+          subaccountId,
+          userId,
+          added: result.added
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: `${result.added} recipient(s) added to the suppression list`,
+        data: {
+          channel,
+          received: values.length,
+          ...result
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'importSuppressions', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Remove a recipient from the suppression list
+   * DELETE /api/database/:subaccountId/suppressions/:suppressionId
+   */
+  static async removeSuppression(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, suppressionId } = req.params;
+      const userId = req.user.id;
+
+      const entry = await SuppressionService.remove(subaccountId, userId, suppressionId);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Suppression entry not found',
+          code: 'SUPPRESSION_NOT_FOUND'
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.SUPPRESSION_REMOVED,
+        category: ACTIVITY_CATEGORIES.COMPLIANCE,
+        userId,
+        description: `${entry.value} removed from the ${entry.channel} suppression list`,
+        metadata: {
+          channel: entry.channel,
+          source: entry.source
+        },
+        resourceId: entry.value,
+        resourceName: entry.value,
+        operationId
+      });
+
+      if (config.security.enableAuditLogging) {
+        Logger.audit('removeSuppression', entry.channel, {
+          operationId,
+          subaccountId,
+          userId,
+          value: entry.value,
+          source: entry.source
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Recipient removed from the suppression list',
+        data: SuppressionController.formatEntry(entry),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'removeSuppression', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  static formatEntry(entry) {
+    return {
+      id: entry._id,
+      channel: entry.channel,
+      value: entry.value,
+      source: entry.source,
+      reason: entry.reason,
+      context: entry.context,
+      createdBy: entry.createdBy,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+module.exports = SuppressionController;
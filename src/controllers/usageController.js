@@ -0,0 +1,570 @@
+const Logger = require('../utils/logger');
+const config = require('../../config/config');
+const UsageLedgerService = require('../services/usageLedgerService');
+const { QUANTITY_FIELDS } = UsageLedgerService;
+const BudgetService = require('../services/budgetService');
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const DatabaseController = require('./databaseController');
+const { stringifyCsv } = require('../utils/csvParser');
+const { v4: uuidv4 } = require('uuid');
+
+// Roles allowed to change what a subaccount is billed
+const PRICING_ADMIN_ROLES = ['admin', 'super_admin'];
+
+const MAX_PERIOD_DAYS = 730;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = {
+  ledger: ['occurredAt', 'day', 'usageType', 'entryType', 'sourceId', 'agentId', ...QUANTITY_FIELDS, 'baseCost', 'billedCost', 'currency', 'markupPercent', 'unitPrice'],
+  rollups: ['period', 'usageType', 'events', ...QUANTITY_FIELDS, 'baseCost', 'billedCost'],
+  summary: ['usageType', 'description', 'unit', 'quantity', 'events', 'llmTokens', 'providerCost', 'amount', 'currency']
+};
+
+class UsageController {
+  /**
+   * Invoice-ready usage summary of a period
+   * GET /api/usage/:subaccountId
+   */
+  static async getSummary(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+
+      const period = UsageController.resolvePeriod(req.query);
+      if (period.error) {
+        return res.status(400).json({ success: false, ...period.error });
+      }
+
+      const summary = await UsageLedgerService.getSummary(subaccountId, userId, {
+        ...period,
+        agentId: req.query.agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Usage summary retrieved successfully',
+        data: {
+          subaccountId,
+          period: UsageController.formatPeriod(period),
+          ...summary
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getUsageSummary', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Daily or monthly usage rollups
+   * GET /api/usage/:subaccountId/rollups
+   */
+  static async getRollups(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { usageType, agentId } = req.query;
+      const granularity = req.query.granularity || 'day';
+      const userId = req.user.id;
+
+      const period = UsageController.resolvePeriod(req.query);
+      if (period.error) {
+        return res.status(400).json({ success: false, ...period.error });
+      }
+
+      const rollups = await UsageLedgerService.getRollups(subaccountId, userId, {
+        ...period,
+        granularity,
+        usageType,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Usage rollups retrieved successfully',
+        data: {
+          subaccountId,
+          period: UsageController.formatPeriod(period),
+          granularity,
+          currency: config.usage.currency,
+          rollups
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getUsageRollups', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * List usage ledger entries
+   * GET /api/usage/:subaccountId/ledger
+   */
+  static async listEntries(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { usageType, agentId } = req.query;
+      const userId = req.user.id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+      const period = UsageController.resolvePeriod(req.query);
+      if (period.error) {
+        return res.status(400).json({ success: false, ...period.error });
+      }
+
+      const { entries, total } = await UsageLedgerService.listEntries(subaccountId, userId, {
+        ...period,
+        usageType,
+        agentId,
+        limit,
+        skip
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Usage ledger retrieved successfully',
+        data: {
+          subaccountId,
+          period: UsageController.formatPeriod(period),
+          entries: entries.map(UsageController.formatEntry),
+          pagination: {
+            total,
+            count: entries.length,
+            limit,
+            skip,
+            hasMore: (skip + entries.length) < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'listUsageEntries', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Export a usage report as CSV
+   * GET /api/usage/:subaccountId/export?report=summary|daily|monthly|ledger
+   */
+  static async exportCsv(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { report, usageType, agentId } = req.query;
+      const userId = req.user.id;
+
+      const period = UsageController.resolvePeriod(req.query);
+      if (period.error) {
+        return res.status(400).json({ success: false, ...period.error });
+      }
+
+      const filters = { ...period, usageType, agentId };
+      let csv;
+      let truncated = false;
+
+      if (report === 'ledger') {
+        const { maxExportRows } = config.usage;
+        const { entries, total } = await UsageLedgerService.listEntries(subaccountId, userId, {
+          ...filters,
+          limit: maxExportRows
+        });
+        truncated = total > maxExportRows;
+        csv = stringifyCsv(CSV_COLUMNS.ledger, entries.map(entry => ({
+          ...entry,
+          ...entry.quantities
+        })));
+      } else if (report === 'summary') {
+        const summary = await UsageLedgerService.getSummary(subaccountId, userId, filters);
+        csv = stringifyCsv(CSV_COLUMNS.summary, [
+          ...summary.lines.map(line => ({ ...line, currency: summary.currency })),
+          { usageType: 'total', providerCost: summary.totals.providerCost, amount: summary.totals.amount, currency: summary.currency }
+        ]);
+      } else {
+        const rollups = await UsageLedgerService.getRollups(subaccountId, userId, {
+          ...filters,
+          granularity: report === 'daily' ? 'day' : 'month'
+        });
+        csv = stringifyCsv(CSV_COLUMNS.rollups, rollups);
+      }
+
+      const { start, end } = UsageController.formatPeriod(period);
+      const filename = `usage-${report}-${subaccountId}-${start.slice(0, 10)}-${end.slice(0, 10)}.csv`;
+
+      Logger.info('Usage report exported', {
+        operationId,
+        subaccountId,
+        userId,
+        report,
+        truncated,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      if (truncated) {
+        res.setHeader('X-Export-Truncated', 'true');
+      }
+      res.send(csv);
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'exportUsage', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get the pricing (markup and unit prices) of a subaccount
+   * GET /api/usage/:subaccountId/pricing
+   */
+  static async getPricing(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const pricing = await UsageLedgerService.getPricing(subaccountId, req.user.id);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Usage pricing retrieved successfully',
+        data: {
+          subaccountId,
+          ...pricing
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getUsagePricing', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Replace the pricing of a subaccount (admin only)
+   * PUT /api/usage/:subaccountId/pricing
+   */
+  static async updatePricing(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+      const role = req.user.role;
+
+      // Pricing is a platform setting: the platform role decides, not the role in the subaccount
+      if (!PRICING_ADMIN_ROLES.includes(role)) {
+        Logger.security('Usage pricing change denied', 'medium', {
+          operationId,
+          subaccountId,
+          userId,
+          role
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'Admin privileges required to change usage pricing',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        });
+      }
+
+      const previous = await UsageLedgerService.getPricing(subaccountId, userId);
+      const pricing = await UsageLedgerService.updatePricing(subaccountId, req.body, userId);
+
+      Logger.audit('usage_pricing_updated', 'usage_pricing', {
+        operationId,
+        subaccountId,
+        userId,
+        previous: { markupPercent: previous.markupPercent, rates: previous.rates },
+        markupPercent: pricing.markupPercent,
+        rates: pricing.rates
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Usage pricing updated successfully',
+        data: {
+          subaccountId,
+          ...pricing
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'updateUsagePricing', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get this month's spend and the status of the subaccount and agent budgets
+   * GET /api/usage/:subaccountId/budget
+   */
+  static async getBudget(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const status = await BudgetService.getStatus(subaccountId, req.user.id);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Budget retrieved successfully',
+        data: {
+          subaccountId,
+          ...status
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getBudget', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Set the monthly spend limit of the subaccount or of one agent
+   * PUT /api/usage/:subaccountId/budget
+   * PUT /api/usage/:subaccountId/budget/agents/:agentId
+   */
+  static async updateBudget(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const agentId = req.params.agentId || null;
+      const userId = req.user.id;
+
+      if (agentId && !(await BudgetService.agentExists(subaccountId, agentId, userId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Agent not found',
+          code: 'AGENT_NOT_FOUND'
+        });
+      }
+
+      const budget = await BudgetService.setBudget(subaccountId, agentId, req.body, userId);
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.BUDGET_UPDATED,
+        category: ACTIVITY_CATEGORIES.BILLING,
+        userId,
+        description: agentId
+          ? `Monthly spend limit of agent ${agentId} set to ${budget.monthlyLimit} ${config.usage.currency}`
+          : `Monthly spend limit set to ${budget.monthlyLimit} ${config.usage.currency}`,
+        metadata: {
+          scope: budget.scope,
+          monthlyLimit: budget.monthlyLimit,
+          alertThresholds: budget.alertThresholds,
+          enforce: budget.enforce
+        },
+        resourceId: agentId,
+        resourceName: agentId,
+        operationId,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Budget updated successfully',
+        data: {
+          subaccountId,
+          currency: config.usage.currency,
+          budget
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'updateBudget', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Remove the monthly spend limit of the subaccount or of one agent
+   * DELETE /api/usage/:subaccountId/budget
+   * DELETE /api/usage/:subaccountId/budget/agents/:agentId
+   */
+  static async removeBudget(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const agentId = req.params.agentId || null;
+      const userId = req.user.id;
+
+      const removed = await BudgetService.removeBudget(subaccountId, agentId, userId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: agentId ? 'The agent has no budget' : 'The subaccount has no budget',
+          code: 'BUDGET_NOT_FOUND'
+        });
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.BUDGET_REMOVED,
+        category: ACTIVITY_CATEGORIES.BILLING,
+        userId,
+        description: agentId
+          ? `Monthly spend limit of agent ${agentId} removed`
+          : 'Monthly spend limit removed',
+        metadata: {
+          scope: agentId ? 'agent' : 'subaccount'
+        },
+        resourceId: agentId,
+        resourceName: agentId,
+        operationId,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Budget removed successfully',
+        data: {
+          subaccountId,
+          agentId
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'removeBudget', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Resolve the reporting period from ?month=YYYY-MM or ?startDate=&endDate= (UTC).
+   * Defaults to the current month. The end is exclusive; a date-only endDate includes that day.
+   * @param {Object} query - Request query
+   * @returns {Object} { start, end } or { error }
+   */
+  static resolvePeriod({ month, startDate, endDate }) {
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      const end = /^\d{4}-\d{2}-\d{2}$/.test(endDate)
+        ? new Date(new Date(endDate).getTime() + DAY_MS)
+        : new Date(new Date(endDate).getTime() + 1);
+
+      if ((end - start) / DAY_MS > MAX_PERIOD_DAYS + 1) {
+        return {
+          error: {
+            message: `Date range cannot exceed ${MAX_PERIOD_DAYS} days (2 years)`,
+            code: 'DATE_RANGE_TOO_LARGE'
+          }
+        };
+      }
+
+      return { start, end };
+    }
+
+    const now = new Date();
+    const [year, monthIndex] = month
+      ? [parseInt(month.slice(0, 4)), parseInt(month.slice(5, 7)) - 1]
+      : [now.getUTCFullYear(), now.getUTCMonth()];
+
+    return {
+      start: new Date(Date.UTC(year, monthIndex, 1)),
+      end: new Date(Date.UTC(year, monthIndex + 1, 1))
+    };
+  }
+
+  static formatPeriod({ start, end }) {
+    return {
+      start: start.toISOString(),
+      end: end.toISOString()
+    };
+  }
+
+  static formatEntry(entry) {
+    return {
+      id: entry._id,
+      usageType: entry.usageType,
+      entryType: entry.entryType,
+      sourceId: entry.sourceId,
+      sequence: entry.sequence,
+      agentId: entry.agentId,
+      occurredAt: entry.occurredAt,
+      day: entry.day,
+      month: entry.month,
+      quantities: entry.quantities,
+      baseCost: entry.baseCost,
+      billedCost: entry.billedCost,
+      currency: entry.currency,
+      markupPercent: entry.markupPercent,
+      unitPrice: entry.unitPrice,
+      details: entry.details,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+module.exports = UsageController;
@@ -0,0 +1,547 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const WebhookSubscriptionService = require('../services/webhookSubscriptionService');
+const { LIFECYCLE_EVENTS, EVENT_TYPES, ALL_EVENTS, DELIVERY_STATUSES } = WebhookSubscriptionService;
+const ActivityService = require('../services/activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const DatabaseController = require('./databaseController');
+const { assertPublicUrl } = require('../utils/networkGuard');
+const { v4: uuidv4 } = require('uuid');
+
+class WebhookSubscriptionController {
+  /**
+   * List the events a subscription can listen for
+   * GET /api/database/:subaccountId/webhooks/events
+   */
+  static async listEventTypes(req, res, next) {
+    const operationId = uuidv4();
+
+    res.json({
+      success: true,
+      message: 'Webhook event types retrieved successfully',
+      data: {
+        lifecycleEvents: Object.values(LIFECYCLE_EVENTS),
+        activityEvents: Object.values(ACTIVITY_TYPES),
+        allEvents: ALL_EVENTS
+      },
+      meta: {
+        operationId
+      }
+    });
+  }
+
+  /**
+   * List webhook subscriptions
+   * GET /api/database/:subaccountId/webhooks
+   */
+  static async listSubscriptions(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const userId = req.user.id;
+
+      const subscriptions = await WebhookSubscriptionService.listSubscriptions(subaccountId, userId);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Webhook subscriptions retrieved successfully',
+        data: subscriptions.map(WebhookSubscriptionService.formatSubscription),
+        meta: {
+          operationId,
+          duration: `${duration}ms`,
+          count: subscriptions.length
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'listWebhookSubscriptions', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Create a webhook subscription
+   * POST /api/database/:subaccountId/webhooks
+   */
+  static async createSubscription(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId } = req.params;
+      const { url, events, description = null, secret = null, active = true } = req.body;
+      const userId = req.user.id;
+
+      const unknownEvents = WebhookSubscriptionController.findUnknownEvents(events);
+      if (unknownEvents.length > 0) {
+        return res.status(400).json(WebhookSubscriptionController.unknownEventsResponse(unknownEvents));
+      }
+
+      const urlError = await WebhookSubscriptionController.checkUrl(url);
+      if (urlError) {
+        return res.status(400).json(urlError);
+      }
+
+      const { maxSubscriptions } = config.webhookSubscriptions;
+      if (await WebhookSubscriptionService.countSubscriptions(subaccountId, userId) >= maxSubscriptions) {
+        return res.status(409).json({
+          success: false,
+          message: `A subaccount can have at most ${maxSubscriptions} webhook subscriptions`,
+          code: 'WEBHOOK_SUBSCRIPTION_LIMIT_REACHED'
+        });
+      }
+
+      const { subscription, secret: signingSecret } = await WebhookSubscriptionService.createSubscription(subaccountId, userId, {
+        url,
+        events,
+        description: description || null,
+        secret,
+        active
+      });
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.WEBHOOK_SUBSCRIPTION_CREATED,
+        category: ACTIVITY_CATEGORIES.WEBHOOK,
+        userId,
+        description: `Webhook subscription to ${url} created`,
+        metadata: {
+          subscriptionId: subscription.subscriptionId,
+          events: subscription.events
+        },
+        resourceId: subscription.subscriptionId,
+        resourceName: url,
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook subscription created successfully. Store the secret now; it is not shown again.',
+        data: {
+          ...WebhookSubscriptionService.formatSubscription(subscription),
+          secret: signingSecret
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'createWebhookSubscription', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get a webhook subscription
+   * GET /api/database/:subaccountId/webhooks/:subscriptionId
+   */
+  static async getSubscription(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, subscriptionId } = req.params;
+      const userId = req.user.id;
+
+      const subscription = await WebhookSubscriptionService.getSubscription(subaccountId, userId, subscriptionId);
+
+      if (!subscription) {
+        return res.status(404).json(WebhookSubscriptionController.notFoundResponse());
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Webhook subscription retrieved successfully',
+        data: WebhookSubscriptionService.formatSubscription(subscription),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getWebhookSubscription', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Update a webhook subscription (URL, events, description, secret, or pause with active: false)
+   * PATCH /api/database/:subaccountId/webhooks/:subscriptionId
+   */
+  static async updateSubscription(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, subscriptionId } = req.params;
+      const { url, events, description, secret, active } = req.body;
+      const userId = req.user.id;
+
+      if (events) {
+        const unknownEvents = WebhookSubscriptionController.findUnknownEvents(events);
+        if (unknownEvents.length > 0) {
+          return res.status(400).json(WebhookSubscriptionController.unknownEventsResponse(unknownEvents));
+        }
+      }
+
+      if (url !== undefined) {
+        const urlError = await WebhookSubscriptionController.checkUrl(url);
+        if (urlError) {
+          return res.status(400).json(urlError);
+        }
+      }
+
+      const subscription = await WebhookSubscriptionService.updateSubscription(subaccountId, userId, subscriptionId, {
+        url,
+        events,
+        description,
+        secret,
+        active
+      });
+
+      if (!subscription) {
+        return res.status(404).json(WebhookSubscriptionController.notFoundResponse());
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.WEBHOOK_SUBSCRIPTION_UPDATED,
+        category: ACTIVITY_CATEGORIES.WEBHOOK,
+        userId,
+        description: `Webhook subscription to ${subscription.url} updated`,
+        metadata: {
+          subscriptionId,
+          // Never log the secret itself
+          updatedFields: Object.keys(req.body),
+          active: subscription.active
+        },
+        resourceId: subscriptionId,
+        resourceName: subscription.url,
+        operationId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Webhook subscription updated successfully',
+        data: WebhookSubscriptionService.formatSubscription(subscription),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'updateWebhookSubscription', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Delete a webhook subscription and its delivery log
+   * DELETE /api/database/:subaccountId/webhooks/:subscriptionId
+   */
+  static async deleteSubscription(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, subscriptionId } = req.params;
+      const userId = req.user.id;
+
+      const subscription = await WebhookSubscriptionService.deleteSubscription(subaccountId, userId, subscriptionId);
+
+      if (!subscription) {
+        return res.status(404).json(WebhookSubscriptionController.notFoundResponse());
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.WEBHOOK_SUBSCRIPTION_DELETED,
+        category: ACTIVITY_CATEGORIES.WEBHOOK,
+        userId,
+        description: `Webhook subscription to ${subscription.url} deleted`,
+        metadata: {
+          subscriptionId,
+          events: subscription.events
+        },
+        resourceId: subscriptionId,
+        resourceName: subscription.url,
+        operationId
+      });
+
+      Logger.info('Webhook subscription deleted', {
+        operationId,
+        subaccountId,
+        subscriptionId,
+        userId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Webhook subscription deleted successfully',
+        data: WebhookSubscriptionService.formatSubscription(subscription),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'deleteWebhookSubscription', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Send a webhook.test event and return the subscriber's response
+   * POST /api/database/:subaccountId/webhooks/:subscriptionId/test
+   */
+  static async testSubscription(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, subscriptionId } = req.params;
+      const userId = req.user.id;
+
+      const subscription = await WebhookSubscriptionService.getSubscription(subaccountId, userId, subscriptionId);
+
+      if (!subscription) {
+        return res.status(404).json(WebhookSubscriptionController.notFoundResponse());
+      }
+
+      const delivery = await WebhookSubscriptionService.sendTest(subaccountId, userId, subscription);
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: delivery.status === DELIVERY_STATUSES.SUCCEEDED
+          ? 'Test event delivered successfully'
+          : 'Test event could not be delivered',
+        data: WebhookSubscriptionService.formatDelivery(delivery),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'testWebhookSubscription', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * List the deliveries of a webhook subscription
+   * GET /api/database/:subaccountId/webhooks/:subscriptionId/deliveries
+   */
+  static async listDeliveries(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, subscriptionId } = req.params;
+      const { status, eventType } = req.query;
+      const userId = req.user.id;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+      const subscription = await WebhookSubscriptionService.getSubscription(subaccountId, userId, subscriptionId);
+
+      if (!subscription) {
+        return res.status(404).json(WebhookSubscriptionController.notFoundResponse());
+      }
+
+      const { deliveries, total } = await WebhookSubscriptionService.listDeliveries(subaccountId, userId, subscriptionId, {
+        status,
+        eventType,
+        limit,
+        skip
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Webhook deliveries retrieved successfully',
+        data: {
+          deliveries: deliveries.map(WebhookSubscriptionService.formatDelivery),
+          pagination: {
+            total,
+            count: deliveries.length,
+            limit,
+            skip,
+            hasMore: (skip + deliveries.length) < total
+          }
+        },
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'listWebhookDeliveries', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Get a delivery with its payload and attempts
+   * GET /api/database/:subaccountId/webhooks/:subscriptionId/deliveries/:deliveryId
+   */
+  static async getDelivery(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, subscriptionId, deliveryId } = req.params;
+      const userId = req.user.id;
+
+      const delivery = await WebhookSubscriptionService.getDelivery(subaccountId, userId, subscriptionId, deliveryId);
+
+      if (!delivery) {
+        return res.status(404).json(WebhookSubscriptionController.deliveryNotFoundResponse());
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'Webhook delivery retrieved successfully',
+        data: WebhookSubscriptionService.formatDelivery(delivery),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'getWebhookDelivery', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  /**
+   * Send a logged delivery again
+   * POST /api/database/:subaccountId/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver
+   */
+  static async redeliver(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, subscriptionId, deliveryId } = req.params;
+      const userId = req.user.id;
+
+      const subscription = await WebhookSubscriptionService.getSubscription(subaccountId, userId, subscriptionId);
+
+      if (!subscription) {
+        return res.status(404).json(WebhookSubscriptionController.notFoundResponse());
+      }
+
+      const original = await WebhookSubscriptionService.getDelivery(subaccountId, userId, subscriptionId, deliveryId);
+
+      if (!original) {
+        return res.status(404).json(WebhookSubscriptionController.deliveryNotFoundResponse());
+      }
+
+      const delivery = await WebhookSubscriptionService.redeliver(subaccountId, userId, subscription, original);
+
+      Logger.info('Webhook delivery redelivered', {
+        operationId,
+        subaccountId,
+        subscriptionId,
+        deliveryId,
+        redeliveryId: delivery.deliveryId,
+        status: delivery.status
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: delivery.status === DELIVERY_STATUSES.SUCCEEDED
+          ? 'Event redelivered successfully'
+          : 'Event could not be redelivered',
+        data: WebhookSubscriptionService.formatDelivery(delivery),
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await DatabaseController.handleError(error, req, operationId, 'redeliverWebhook', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
+  static findUnknownEvents(events) {
+    return events.filter(event => event !== ALL_EVENTS && !EVENT_TYPES.includes(event));
+  }
+
+  static unknownEventsResponse(unknownEvents) {
+    return {
+      success: false,
+      message: `Unknown event types: ${unknownEvents.join(', ')}`,
+      code: 'UNKNOWN_EVENT_TYPE',
+      data: { unknownEvents }
+    };
+  }
+
+  /**
+   * Check that a subscription URL points to a public host
+   * @param {string} url - Subscription URL
+   * @returns {Promise<Object|null>} Error response, or null if the URL is allowed
+   */
+  static async checkUrl(url) {
+    try {
+      await assertPublicUrl(url, { requireHttps: config.webhookSubscriptions.requireHttps });
+      return null;
+    } catch (error) {
+      if (error.code !== 'URL_NOT_ALLOWED') {
+        throw error;
+      }
+      return {
+        success: false,
+        message: `Webhook URL is not allowed: ${error.message}`,
+        code: 'WEBHOOK_URL_NOT_ALLOWED'
+      };
+    }
+  }
+
+  static notFoundResponse() {
+    return {
+      success: false,
+      message: 'Webhook subscription not found',
+      code: 'WEBHOOK_SUBSCRIPTION_NOT_FOUND'
+    };
+  }
+
+  static deliveryNotFoundResponse() {
+    return {
+      success: false,
+      message: 'Webhook delivery not found',
+      code: 'WEBHOOK_DELIVERY_NOT_FOUND'
+    };
+  }
+}
+
+module.exports = WebhookSubscriptionController;
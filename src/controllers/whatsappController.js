@@ -2,8 +2,14 @@ const Logger = require('../utils/logger');
 const whatsappService = require('../services/whatsappService');
 const connectionPoolManager = require('../services/connectionPoolManager');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const { verifyMetaSignature } = require('../utils/webhookSignature');
+const MetaWebhookService = require('../services/metaWebhookService');
+const { CHANNELS: META_CHANNELS } = MetaWebhookService;
+const { PROVIDERS } = whatsappService;
 const ActivityService = require('../services/activityService');
 const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const { MEDIA_KINDS } = require('../services/chatMediaService');
 
 class WhatsAppController {
   /**
@@ -43,6 +49,37 @@ class WhatsAppController {
         });
       }
 
+      // Cloud API agents connect with credentials instead of a QR code
+      if (req.body?.provider === PROVIDERS.CLOUD_API) {
+        const { phoneNumberId, accessToken, businessAccountId } = req.body;
+
+        if (!phoneNumberId || !accessToken) {
+          return res.status(400).json({
+            success: false,
+            message: 'Missing required fields for the WhatsApp Cloud API: phoneNumberId, accessToken',
+            code: 'VALIDATION_ERROR'
+          });
+        }
+
+        const cloudResult = await whatsappService.initializeCloudConnection(subaccountId, agentId, userId, {
+          phoneNumberId: String(phoneNumberId),
+          accessToken,
+          businessAccountId: businessAccountId ? String(businessAccountId) : null
+        });
+
+        const duration = Date.now() - startTime;
+
+        return res.json({
+          success: true,
+          message: 'WhatsApp Cloud API connected successfully',
+          data: cloudResult.data,
+          meta: {
+            operationId,
+            duration: `${duration}ms`
+          }
+        });
+      }
+
       // Initialize WhatsApp connection
       const result = await whatsappService.initializeConnection(subaccountId, agentId, userId);
 
@@ -171,6 +208,7 @@ class WhatsAppController {
       });
 
       const result = await whatsappService.disconnect(subaccountId, agentId, userId);
+      const { connection } = await connectionPoolManager.getConnection(subaccountId, userId);
       const agentsCollection = connection.db.collection('chatagents');
       const agentDocument = await agentsCollection.findOne({ 
         agentId: agentId,
@@ -226,7 +264,7 @@ class WhatsAppController {
 
     try {
       const { subaccountId, agentId } = req.params;
-      const { to, message } = req.body;
+      const { to, message, template } = req.body;
       const userId = req.user.id;
 
       Logger.info('Sending WhatsApp message', {
@@ -234,18 +272,29 @@ class WhatsAppController {
         subaccountId,
         agentId,
         to,
-        userId
+        userId,
+        template: template?.name
       });
 
-      if (!to || !message) {
+      if (!to || (!message && !template?.name)) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required fields: to, message',
+          message: 'Missing required fields: to, and message or template.name',
           code: 'VALIDATION_ERROR'
         });
       }
 
-      const result = await whatsappService.sendMessage(subaccountId, agentId, to, message);
+      // Templates (Cloud API only) can reach contacts outside the 24-hour session window
+      const result = template
+        ? await whatsappService.sendTemplate(subaccountId, agentId, to, template, { userId, operationId })
+        : await whatsappService.sendMessage(subaccountId, agentId, to, message, { userId, operationId });
+
+      // Replies from the team are kept on conversations handled by a person
+      await whatsappService.recordOperatorMessage(subaccountId, agentId, to, {
+        text: template ? `[Template: ${template.name}]` : message,
+        messageId: result.data?.messageId,
+        sentBy: userId
+      });
 
       // Log activity
       await ActivityService.logActivity({
@@ -257,7 +306,8 @@ class WhatsAppController {
         metadata: {
           agentId,
           to,
-          messageId: result.data?.messageId
+          messageId: result.data?.messageId,
+          template: template?.name || null
         },
         resourceId: agentId,
         resourceName: `WhatsApp - ${agentId}`,
@@ -283,6 +333,113 @@ class WhatsAppController {
     }
   }
 
+  /**
+   * Send a media message (image, voice note, document, ...)
+   * Multipart with a `file` field, or JSON with a public `url`
+   * POST /api/database/:subaccountId/chat-agents/:agentId/whatsapp/send-media
+   */
+  static async sendMedia(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      const { subaccountId, agentId } = req.params;
+      const { to, url, caption, kind, filename } = req.body;
+      const userId = req.user.id;
+
+      Logger.info('Sending WhatsApp media', {
+        operationId,
+        subaccountId,
+        agentId,
+        to,
+        userId,
+        kind,
+        upload: !!req.file
+      });
+
+      if (!to || (!req.file && !url)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: to, and file or url',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (url && !/^https?:\/\//i.test(url)) {
+        return res.status(400).json({
+          success: false,
+          message: 'url must be an http(s) URL',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (kind && !Object.values(MEDIA_KINDS).includes(kind)) {
+        return res.status(400).json({
+          success: false,
+          message: `kind must be one of: ${Object.values(MEDIA_KINDS).join(', ')}`,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const media = req.file
+        ? { buffer: req.file.buffer, mimeType: req.file.mimetype, filename: filename || req.file.originalname }
+        : { url, filename: filename || null };
+
+      const result = await whatsappService.sendMedia(subaccountId, agentId, to, media, {
+        caption: caption || null,
+        kind: kind || null,
+        userId,
+        operationId
+      });
+
+      await whatsappService.recordOperatorMessage(subaccountId, agentId, to, {
+        text: caption || null,
+        messageId: result.data?.messageId,
+        mediaId: result.data?.mediaId || null,
+        sentBy: userId
+      });
+
+      // Log activity
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.WHATSAPP_MESSAGE_SENT,
+        category: ACTIVITY_CATEGORIES.CHAT,
+        userId,
+        description: `WhatsApp ${result.data?.kind || 'media'} sent to ${to}`,
+        metadata: {
+          agentId,
+          to,
+          messageId: result.data?.messageId,
+          media: {
+            kind: result.data?.kind,
+            mediaId: result.data?.mediaId || null,
+            caption: caption || null
+          }
+        },
+        resourceId: agentId,
+        resourceName: `WhatsApp - ${agentId}`,
+        operationId,
+        agentId
+      });
+
+      const duration = Date.now() - startTime;
+
+      res.json({
+        success: true,
+        message: 'WhatsApp media sent successfully',
+        data: result.data,
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await WhatsAppController.handleError(error, req, operationId, 'sendMedia', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
   /**
    * Get message history
    * GET /api/whatsapp/:subaccountId/:agentId/messages
@@ -371,6 +528,96 @@ class WhatsAppController {
     }
   }
 
+  /**
+   * Answer Meta's webhook subscription handshake
+   * GET /api/webhooks/whatsapp
+   */
+  static async verifyMetaWebhook(req, res, next) {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+    const expectedToken = config.meta.webhookVerifyToken;
+
+    if (mode === 'subscribe' && expectedToken && token === expectedToken) {
+      Logger.info('WhatsApp webhook subscription verified');
+      return res.status(200).type('text/plain').send(challenge);
+    }
+
+    Logger.warn('WhatsApp webhook subscription verification failed', {
+      mode,
+      verifyTokenConfigured: !!expectedToken
+    });
+    return res.status(403).json({
+      success: false,
+      message: 'Webhook verification failed',
+      code: 'WEBHOOK_VERIFICATION_FAILED'
+    });
+  }
+
+  /**
+   * Receive Meta's WhatsApp Cloud API webhook. Public: authenticated by the
+   * X-Hub-Signature-256 header and routed by the phone number ID of each change.
+   * POST /api/webhooks/whatsapp
+   */
+  static async receiveMetaWebhook(req, res, next) {
+    const startTime = Date.now();
+    const operationId = uuidv4();
+
+    try {
+      if (!config.meta.appSecret) {
+        Logger.error('META_APP_SECRET is not configured, rejecting WhatsApp webhook', { operationId });
+        return res.status(503).json({
+          success: false,
+          message: 'WhatsApp webhook is not configured',
+          code: 'WEBHOOK_NOT_CONFIGURED'
+        });
+      }
+
+      const signature = req.get('X-Hub-Signature-256');
+      if (!verifyMetaSignature(req.rawBody, signature, config.meta.appSecret)) {
+        Logger.warn('WhatsApp webhook signature rejected', {
+          operationId,
+          hasSignature: !!signature,
+          ip: req.ip
+        });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid webhook signature',
+          code: 'INVALID_SIGNATURE'
+        });
+      }
+
+      const payload = req.body || {};
+
+      Logger.info('WhatsApp webhook received', {
+        operationId,
+        object: payload.object,
+        entries: Array.isArray(payload.entry) ? payload.entry.length : 0
+      });
+
+      // Meta retries anything but a quick 200, so the delivery is acknowledged before it is
+      // processed; unknown numbers and objects are acknowledged too
+      if (payload.object === 'whatsapp_business_account') {
+        MetaWebhookService.processInBackground(META_CHANNELS.WHATSAPP, operationId, () => whatsappService.processCloudWebhook(payload));
+      }
+
+      const duration = Date.now() - startTime;
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook received',
+        meta: {
+          operationId,
+          duration: `${duration}ms`
+        }
+      });
+
+    } catch (error) {
+      const errorInfo = await WhatsAppController.handleError(error, req, operationId, 'receiveMetaWebhook', startTime);
+      return res.status(errorInfo.statusCode).json(errorInfo.response);
+    }
+  }
+
   /**
    * Error handling
    */
@@ -391,7 +638,27 @@ class WhatsAppController {
     let errorCode = 'WHATSAPP_ERROR';
     let message = 'An internal error occurred while processing the WhatsApp operation';
 
-    if (error.message.includes('not connected')) {
+    if (error.code === 'RECIPIENT_SUPPRESSED') {
+      statusCode = 403;
+      errorCode = 'RECIPIENT_SUPPRESSED';
+      message = error.message;
+    } else if (error.code === 'SESSION_WINDOW_CLOSED') {
+      statusCode = 409;
+      errorCode = 'SESSION_WINDOW_CLOSED';
+      message = error.message;
+    } else if (error.code === 'MEDIA_TOO_LARGE') {
+      statusCode = 413;
+      errorCode = 'MEDIA_TOO_LARGE';
+      message = error.message;
+    } else if (error.code === 'URL_NOT_ALLOWED') {
+      statusCode = 400;
+      errorCode = 'URL_NOT_ALLOWED';
+      message = error.message;
+    } else if (error.code === 'TEMPLATES_NOT_SUPPORTED') {
+      statusCode = 400;
+      errorCode = 'TEMPLATES_NOT_SUPPORTED';
+      message = error.message;
+    } else if (error.message.includes('not connected')) {
       statusCode = 400;
       errorCode = 'NOT_CONNECTED';
       message = error.message;
@@ -407,6 +674,10 @@ class WhatsAppController {
       statusCode = 401;
       errorCode = 'AUTH_FAILED';
       message = 'WhatsApp authentication failed. Please reconnect.';
+    } else if (error.message.includes('API error')) {
+      statusCode = 400;
+      errorCode = 'API_ERROR';
+      message = error.message;
     }
 
     return {
@@ -415,6 +686,7 @@ class WhatsAppController {
         success: false,
         message,
         code: errorCode,
+        ...(error.sessionWindow ? { data: { sessionWindow: error.sessionWindow } } : {}),
         meta: {
           operationId,
           operation,
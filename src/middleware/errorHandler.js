@@ -24,6 +24,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // File upload errors (size limits, unexpected fields)
+  if (err.name === 'MulterError') {
+    error = { message: err.message, statusCode: 400 };
+  }
+
   // Network/API errors
   if (err.code === 'ECONNREFUSED') {
     const message = 'Service temporarily unavailable';
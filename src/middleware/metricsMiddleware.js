@@ -0,0 +1,27 @@
+const { httpRequestDuration } = require('../utils/metrics');
+
+/**
+ * Middleware to record request latency per route for /metrics.
+ * The route label is the matched route pattern (e.g. /api/database/:subaccountId/agents/:agentId)
+ * so IDs do not create new series. Requests answered by router middleware before a route
+ * matched (e.g. 401 from authentication) are labelled with the router mount path; requests
+ * that reached no router (404s, global rate limit rejections) are labelled "unmatched".
+ */
+function recordRequestMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route
+      ? `${req.baseUrl}${req.route.path === '/' ? '' : String(req.route.path)}` || '/'
+      : req.baseUrl || 'unmatched';
+
+    httpRequestDuration.observe(
+      { method: req.method, route, status_code: res.statusCode },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  });
+
+  next();
+}
+
+module.exports = recordRequestMetrics;
@@ -1,124 +1,165 @@
 const config = require('../../config/config');
 const Logger = require('../utils/logger');
+const { rateLimitRejections } = require('../utils/metrics');
+const RateLimitService = require('../services/rateLimitService');
 
-// Simple in-memory rate limiter for Database server
-class MemoryRateLimitStore {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => {
-  const now = Date.now();
-      for (const [key, data] of this.store.entries()) {
-        if (now - data.windowStart > data.windowMs) {
-          this.store.delete(key);
-    }
-  }
-    }, 60000); // Clean up every minute
-  }
+// Error codes for exceeded plan quotas
+const QUOTA_ERRORS = {
+  requests: { code: 'RATE_LIMIT_EXCEEDED', message: 'Request quota of the subaccount exceeded, please try again later' },
+  calls: { code: 'QUOTA_EXCEEDED', message: 'Daily call quota of the subaccount exceeded' },
+  chats: { code: 'QUOTA_EXCEEDED', message: 'Daily chat quota of the subaccount exceeded' }
+};
 
-  incr(key, windowMs, maxRequests) {
-    const now = Date.now();
-    let entry = this.store.get(key);
-  
-    if (!entry || (now - entry.windowStart) > windowMs) {
-      // Create new window
-      entry = {
-      count: 1,
-        windowStart: now,
-        windowMs,
-        maxRequests
-      };
-      this.store.set(key, entry);
-      return { count: 1, resetTime: now + windowMs };
-  }
+const getSubaccountId = (req) => req.params.subaccountId || req.body?.subaccountId;
 
-    // Increment existing window
-    entry.count++;
-    return { 
-      count: entry.count, 
-      resetTime: entry.windowStart + windowMs,
-      exceeded: entry.count > maxRequests
-    };
+// Set the standard RateLimit headers, keeping the most restrictive limit the request passed through
+const setRateLimitHeaders = (res, result) => {
+  const remaining = res.getHeader('RateLimit-Remaining');
+  if (remaining !== undefined && Number(remaining) < result.remaining) {
+    return;
   }
 
-  shutdown() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+  });
+};
+
+/**
+ * Count the request against a limit and answer 429 when it is exceeded.
+ * Fails open: a request is let through if the limit cannot be checked.
+ * @returns {Promise<boolean>} Whether the request may continue
+ */
+const checkLimit = async (req, res, { name, key, check, error = {}, details = {} }) => {
+  let result;
+  try {
+    result = await check();
+  } catch (checkError) {
+    Logger.error('Rate limit check failed, allowing request', { limiter: name, key, error: checkError.message });
+    return true;
   }
-}
-
-// Singleton store
-const rateLimitStore = new MemoryRateLimitStore();
-
-// Create rate limiter factory
-const createRateLimiter = (maxRequests, windowMs, keyGenerator) => {
-  return (req, res, next) => {
-    const key = keyGenerator ? keyGenerator(req) : req.ip;
-    const result = rateLimitStore.incr(key, windowMs, maxRequests);
-    
-    if (result.exceeded) {
-      Logger.warn('Rate limit exceeded', {
-        key,
-        count: result.count,
-        limit: maxRequests,
-        windowMs,
-        resetTime: new Date(result.resetTime)
-      });
-      
-    return res.status(429).json({
-      success: false,
-        message: 'Too many requests, please try again later',
-        code: 'RATE_LIMIT_EXCEEDED',
-        retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000)
-    });
+
+  setRateLimitHeaders(res, result);
+  if (result.allowed) {
+    return true;
   }
 
-  next();
+  const retryAfter = Math.ceil(result.resetMs / 1000);
+  Logger.warn('Rate limit exceeded', {
+    limiter: name,
+    key,
+    used: result.used,
+    limit: result.limit,
+    retryAfter
+  });
+  rateLimitRejections.inc({ limiter: name });
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: error.message || 'Too many requests, please try again later',
+    code: error.code || 'RATE_LIMIT_EXCEEDED',
+    retryAfter,
+    ...(Object.keys(details).length > 0 && { details: { ...details, limit: result.limit, remaining: result.remaining } })
+  });
+  return false;
 };
+
+// Count the request against a quota of the subaccount's plan
+const checkQuota = (req, res, subaccountId, quota, cost = 1) => checkLimit(req, res, {
+  name: quota === 'requests' ? 'plan' : quota,
+  key: `sub:${subaccountId}:${quota}`,
+  check: () => RateLimitService.consumeQuota(subaccountId, quota, cost),
+  error: QUOTA_ERRORS[quota],
+  details: { quota, cost }
+});
+
+// Create rate limiter factory (name labels its rejections in /metrics)
+const createRateLimiter = (maxRequests, windowMs, keyGenerator, name) => {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    const passed = await checkLimit(req, res, {
+      name,
+      key,
+      check: () => RateLimitService.hit(key, maxRequests, windowMs)
+    });
+
+    if (passed) {
+      next();
+    }
+  };
 };
 
 // General rate limiter
 const generalLimiter = createRateLimiter(
   config.rateLimiting.max,
   config.rateLimiting.windowMs,
-  (req) => req.ip
+  (req) => `ip:${req.ip}`,
+  'general'
 );
 
 // Per-user rate limiter
 const userLimiter = createRateLimiter(
   config.rateLimiting.perUser.max,
   config.rateLimiting.perUser.windowMs,
-  (req) => req.user ? `user:${req.user.id}` : `ip:${req.ip}`
+  (req) => req.user ? `user:${req.user.id}` : `user-ip:${req.ip}`,
+  'user'
 );
 
-// Per-subaccount rate limiter factory
+// Per-subaccount rate limiter factory.
+// maxRequests/windowMs cap each user of the subaccount on the route. They are set per route
+// because they follow the cost of the route, and are scaled by the routeLimitMultiplier of
+// the subaccount's plan. All requests of the subaccount also count against requestsPerMinute.
 const subaccountLimiter = (maxRequests, windowMs) => {
-  return createRateLimiter(
-    maxRequests || config.rateLimiting.perSubaccount.max,
-    windowMs || config.rateLimiting.perSubaccount.windowMs,
-    (req) => {
-      const subaccountId = req.params.subaccountId || req.body.subaccountId;
-      const userId = req.user?.id || req.ip;
-      return `subaccount:${subaccountId}:${userId}`;
+  const baseLimit = maxRequests || config.rateLimiting.perSubaccount.max;
+  const window = windowMs || config.rateLimiting.perSubaccount.windowMs;
+
+  return async (req, res, next) => {
+    const subaccountId = getSubaccountId(req);
+    const key = `sub:${subaccountId}:user:${req.user?.id || req.ip}`;
+
+    const passed = await checkLimit(req, res, {
+      name: 'subaccount',
+      key,
+      check: async () => {
+        const multiplier = subaccountId
+          ? (await RateLimitService.getPlan(subaccountId)).limits.routeLimitMultiplier ?? 1
+          : 1;
+        return RateLimitService.hit(key, Math.ceil(baseLimit * multiplier), window);
+      }
+    }) && (!subaccountId || await checkQuota(req, res, subaccountId, 'requests'));
+
+    if (passed) {
+      next();
     }
-  );
+  };
+};
+
+// Daily quota limiter factory for calls and chats started through the API.
+// getCost returns how many calls/chats the request starts (e.g. the tasks of a batch call).
+const quotaLimiter = (quota, getCost = () => 1) => {
+  return async (req, res, next) => {
+    const passed = await checkQuota(req, res, getSubaccountId(req), quota, getCost(req));
+
+    if (passed) {
+      next();
+    }
+  };
 };
 
 // Burst protection for sensitive operations
 const burstProtection = createRateLimiter(
   5000, // Only 5 requests per 10 seconds
   10 * 1000, // 10 seconds
-  (req) => {
-    const subaccountId = req.params.subaccountId || req.body.subaccountId;
-    const userId = req.user?.id || req.ip;
-    return `burst:${subaccountId}:${userId}`;
-  }
+  (req) => `sub:${getSubaccountId(req)}:burst:${req.user?.id || req.ip}`,
+  'burst'
 );
 
 module.exports = {
   generalLimiter,
   userLimiter,
   subaccountLimiter,
-  burstProtection,
-  rateLimitStore
-}; 
\ No newline at end of file
+  quotaLimiter,
+  burstProtection
+};
@@ -434,6 +434,8 @@ const requireResourcePermission = () => {
         basePrefix = '/api/home';
       } else if (originalUrl.startsWith('/api/health')) {
         basePrefix = '/api/health';
+      } else if (originalUrl.startsWith('/api/usage')) {
+        basePrefix = '/api/usage';
       }
       
       const routePath = `${basePrefix}${req.route?.path}`;
@@ -486,6 +488,10 @@ const requireResourcePermission = () => {
           // Connector endpoints
           fallbackResourceName = 'connection';
           fallbackPermission = method === 'GET' ? 'read' : 'delete';
+        } else if (routePath.includes('/api/usage')) {
+          // Usage and pricing endpoints
+          fallbackResourceName = 'database_operations';
+          fallbackPermission = method === 'GET' ? 'read' : 'write';
         } else {
           // Database endpoints
           fallbackPermission = method === 'GET' ? 'read' : 
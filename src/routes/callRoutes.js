@@ -1,13 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 
 // Import controllers
 const CallController = require('../controllers/callController');
+const BatchCallController = require('../controllers/batchCallController');
+const CallingHoursController = require('../controllers/callingHoursController');
+const ScheduledCallController = require('../controllers/scheduledCallController');
 
 // Import middleware
 const { authenticateToken, requestLogger } = require('../middleware/authMiddleware');
 const { authenticateServiceToken } = require('../middleware/serviceAuthMiddleware');
-const { userLimiter, subaccountLimiter } = require('../middleware/rateLimiter');
+const { userLimiter, subaccountLimiter, quotaLimiter } = require('../middleware/rateLimiter');
 const { requireResourcePermission } = require('../middleware/rbacClient');
 const { attachTimezone, convertResponseDates, convertRequestDates } = require('../middleware/timezoneMiddleware');
 
@@ -19,9 +23,36 @@ const {
 const { 
   validateCreateWebCallBody,
   validateCreatePhoneCallBody,
-  validateCreateBatchCallBody
+  validateCreateBatchCallBody,
+  validateImportBatchCallBody,
+  validateListBatchCallsQuery,
+  validateGetBatchCallQuery,
+  validateBatchId,
+  validateUpdateCallingHoursBody,
+  validateCheckCallingHoursBody,
+  validateCreateScheduledCallBody,
+  validateListScheduledCallsQuery,
+  validateScheduledCallId
 } = require('../validators/callValidator');
 
+// Configure multer for CSV lead list uploads (kept in memory, parsed in the controller)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: function (req, file, cb) {
+    const isCsv = /\.(csv|txt)$/i.test(file.originalname) ||
+      ['text/csv', 'text/plain', 'application/vnd.ms-excel'].includes(file.mimetype);
+    if (isCsv) {
+      return cb(null, true);
+    }
+    const error = new Error('Only CSV files are allowed');
+    error.statusCode = 400;
+    cb(error, false);
+  }
+});
+
 // Webhook endpoint for updating calls (service token auth only - BEFORE common middleware)
 router.patch('/:subaccountId/webhook-update',
   authenticateServiceToken,
@@ -45,6 +76,7 @@ router.post('/:subaccountId/web-call',
   validateCreateWebCallBody,
   requireResourcePermission(),
   subaccountLimiter(100, 60000),
+  quotaLimiter('calls'),
   CallController.createWebCall
 );
 
@@ -54,6 +86,7 @@ router.post('/:subaccountId/phone-call',
   validateCreatePhoneCallBody,
   requireResourcePermission(),
   subaccountLimiter(50, 60000),
+  quotaLimiter('calls'),
   CallController.createPhoneCall
 );
 
@@ -66,6 +99,109 @@ router.post('/:subaccountId/batch-call',
   CallController.createBatchCall
 );
 
+// POST /api/calls/:subaccountId/batch-call/import - Validate (dry run) or schedule a batch call from a CSV
+router.post('/:subaccountId/batch-call/import',
+  csvUpload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'exclusionList', maxCount: 1 }
+  ]),
+  validateSubaccountId,
+  validateImportBatchCallBody,
+  requireResourcePermission(),
+  subaccountLimiter(10, 60000),
+  BatchCallController.importBatchCall
+);
+
+// GET /api/calls/:subaccountId/batch-calls - List batch call campaigns with progress
+router.get('/:subaccountId/batch-calls',
+  validateSubaccountId,
+  validateListBatchCallsQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  BatchCallController.getBatchCalls
+);
+
+// GET /api/calls/:subaccountId/batch-calls/:batchId - Get a batch call campaign with per-task status
+router.get('/:subaccountId/batch-calls/:batchId',
+  validateSubaccountId,
+  validateBatchId,
+  validateGetBatchCallQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  BatchCallController.getBatchCall
+);
+
+// POST /api/calls/:subaccountId/batch-calls/:batchId/cancel - Cancel the not-yet-dialed tasks
+router.post('/:subaccountId/batch-calls/:batchId/cancel',
+  validateSubaccountId,
+  validateBatchId,
+  requireResourcePermission(),
+  subaccountLimiter(10, 60000),
+  BatchCallController.cancelBatchCall
+);
+
+// GET /api/calls/:subaccountId/calling-hours - Get calling-hours compliance settings
+router.get('/:subaccountId/calling-hours',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  CallingHoursController.getSettings
+);
+
+// PUT /api/calls/:subaccountId/calling-hours - Replace calling-hours compliance settings
+router.put('/:subaccountId/calling-hours',
+  validateSubaccountId,
+  validateUpdateCallingHoursBody,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  CallingHoursController.updateSettings
+);
+
+// POST /api/calls/:subaccountId/calling-hours/check - Preview the decision for a list of numbers
+router.post('/:subaccountId/calling-hours/check',
+  validateSubaccountId,
+  validateCheckCallingHoursBody,
+  requireResourcePermission(),
+  subaccountLimiter(60, 60000),
+  CallingHoursController.checkNumbers
+);
+
+// GET /api/calls/:subaccountId/scheduled - List scheduled calls
+router.get('/:subaccountId/scheduled',
+  validateSubaccountId,
+  validateListScheduledCallsQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  ScheduledCallController.getScheduledCalls
+);
+
+// POST /api/calls/:subaccountId/scheduled - Schedule a call with automatic retries
+router.post('/:subaccountId/scheduled',
+  validateSubaccountId,
+  validateCreateScheduledCallBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  ScheduledCallController.createScheduledCall
+);
+
+// GET /api/calls/:subaccountId/scheduled/:scheduledCallId - Get a scheduled call with its attempts
+router.get('/:subaccountId/scheduled/:scheduledCallId',
+  validateSubaccountId,
+  validateScheduledCallId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  ScheduledCallController.getScheduledCall
+);
+
+// POST /api/calls/:subaccountId/scheduled/:scheduledCallId/cancel - Cancel a scheduled call and its pending retries
+router.post('/:subaccountId/scheduled/:scheduledCallId/cancel',
+  validateSubaccountId,
+  validateScheduledCallId,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  ScheduledCallController.cancelScheduledCall
+);
+
 // GET /api/calls/:subaccountId/logs - Get call logs (simple)
 router.get('/:subaccountId/logs',
   validateSubaccountId,
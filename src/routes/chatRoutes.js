@@ -3,11 +3,13 @@ const router = express.Router();
 
 // Import controllers
 const ChatController = require('../controllers/chatController');
+const HandoffController = require('../controllers/handoffController');
+const InboxController = require('../controllers/inboxController');
 
 // Import middleware
 const { authenticateToken, requestLogger } = require('../middleware/authMiddleware');
 const { authenticateServiceToken } = require('../middleware/serviceAuthMiddleware');
-const { userLimiter, subaccountLimiter } = require('../middleware/rateLimiter');
+const { userLimiter, subaccountLimiter, quotaLimiter } = require('../middleware/rateLimiter');
 const { requireResourcePermission } = require('../middleware/rbacClient');
 const { attachTimezone, convertResponseDates, convertRequestDates } = require('../middleware/timezoneMiddleware');
 
@@ -18,6 +20,11 @@ const {
 const { 
   validateCreateChatBody,
   validateSendMessageBody,
+  validateHandoffModeBody,
+  validateHandoffClaimBody,
+  validateHandoffInboxQuery,
+  validateInboxQuery,
+  validateInboxMessagesQuery,
   validateChatId
 } = require('../validators/chatValidator');
 
@@ -44,6 +51,7 @@ router.post('/:subaccountId/create',
   validateCreateChatBody,
   requireResourcePermission(),
   subaccountLimiter(100, 60000),
+  quotaLimiter('chats'),
   ChatController.createChat
 );
 
@@ -74,6 +82,98 @@ router.get('/:subaccountId/list',
   ChatController.listChats
 );
 
+// GET /api/chats/:subaccountId/inbox - Conversations across web chat, WhatsApp and Instagram
+router.get('/:subaccountId/inbox',
+  validateSubaccountId,
+  validateInboxQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  InboxController.listConversations
+);
+
+// GET /api/chats/:subaccountId/inbox/counters - Unread counters per channel
+router.get('/:subaccountId/inbox/counters',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  InboxController.getCounters
+);
+
+// GET /api/chats/:subaccountId/inbox/:chatId/messages - Normalized messages of a conversation
+router.get('/:subaccountId/inbox/:chatId/messages',
+  validateSubaccountId,
+  validateChatId,
+  validateInboxMessagesQuery,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  InboxController.getMessages
+);
+
+// POST /api/chats/:subaccountId/inbox/:chatId/read - Mark a conversation as read
+router.post('/:subaccountId/inbox/:chatId/read',
+  validateSubaccountId,
+  validateChatId,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  InboxController.markRead
+);
+
+// GET /api/chats/:subaccountId/media/:mediaId - Stream a stored WhatsApp/Instagram media file
+router.get('/:subaccountId/media/:mediaId',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(300, 60000),
+  ChatController.getChatMedia
+);
+
+// GET /api/chats/:subaccountId/handoff/inbox - Conversations handled by a person
+router.get('/:subaccountId/handoff/inbox',
+  validateSubaccountId,
+  validateHandoffInboxQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  HandoffController.getInbox
+);
+
+// GET /api/chats/:subaccountId/:chatId/handoff - Get handoff state and messages
+router.get('/:subaccountId/:chatId/handoff',
+  validateSubaccountId,
+  validateChatId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  HandoffController.getHandoff
+);
+
+// PUT /api/chats/:subaccountId/:chatId/handoff - Set conversation mode (bot, human, paused)
+router.put('/:subaccountId/:chatId/handoff',
+  validateSubaccountId,
+  validateChatId,
+  validateHandoffModeBody,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  HandoffController.setMode
+);
+
+// POST /api/chats/:subaccountId/:chatId/handoff/claim - Take over a conversation
+router.post('/:subaccountId/:chatId/handoff/claim',
+  validateSubaccountId,
+  validateChatId,
+  validateHandoffClaimBody,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  HandoffController.claim
+);
+
+// POST /api/chats/:subaccountId/:chatId/handoff/release - Give a conversation back to the chat agent
+router.post('/:subaccountId/:chatId/handoff/release',
+  validateSubaccountId,
+  validateChatId,
+  validateHandoffClaimBody,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  HandoffController.release
+);
+
 // GET /api/chats/:subaccountId/:chatId/transcript - Get full chat transcript
 router.get('/:subaccountId/:chatId/transcript',
   validateSubaccountId,
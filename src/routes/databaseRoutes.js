@@ -3,6 +3,15 @@ const router = express.Router();
 
 // Import controllers
 const DatabaseController = require('../controllers/databaseController');
+const AgentTemplateController = require('../controllers/agentTemplateController');
+const AgentRevisionController = require('../controllers/agentRevisionController');
+const CollectionController = require('../controllers/collectionController');
+const SchemaController = require('../controllers/schemaController');
+const SuppressionController = require('../controllers/suppressionController');
+const SuccessCriteriaController = require('../controllers/successCriteriaController');
+const PostCallAnalysisController = require('../controllers/postCallAnalysisController');
+const ContactController = require('../controllers/contactController');
+const WebhookSubscriptionController = require('../controllers/webhookSubscriptionController');
 
 
 // Import middleware
@@ -20,7 +29,48 @@ const {
   validateUpdateAgentDetailsBody,
   validateActivateChatAgentBody,
   validateUpdateAgentVoiceBody,
-  validateUpdateAgentLLMBody
+  validateUpdateAgentLLMBody,
+  validateUpdateAgentVoiceSettingsBody,
+  validateTemplateId,
+  validateCreateAgentTemplateBody,
+  validateUpdateAgentTemplateBody,
+  validateRevision,
+  validateListRevisionsQuery,
+  validateRevisionDiffQuery,
+  validateCollectionName,
+  validateQueryBody,
+  validateInsertBody,
+  validateUpdateBody,
+  validateDeleteBody,
+  validateAggregateBody,
+  validateSchemaVersion,
+  validateSaveSchemaBody,
+  validateMigrationCheckBody,
+  validateListSchemaVersionsQuery,
+  validateSuppressionId,
+  validateListSuppressionsQuery,
+  validateCheckSuppressionQuery,
+  validateAddSuppressionBody,
+  validateImportSuppressionsBody,
+  validateUpdateSuccessCriteriaBody,
+  validateRecomputeSuccessRatesBody,
+  validateRecomputeJobId,
+  validatePostCallFieldName,
+  validateAddPostCallFieldBody,
+  validateUpdatePostCallFieldBody,
+  validateUpdatePostCallAnalysisBody,
+  validateContactId,
+  validateListContactsQuery,
+  validateLookupContactQuery,
+  validateCreateContactBody,
+  validateUpdateContactBody,
+  validateMergeContactsBody,
+  validateContactTimelineQuery,
+  validateWebhookSubscriptionId,
+  validateWebhookDeliveryId,
+  validateCreateWebhookSubscriptionBody,
+  validateUpdateWebhookSubscriptionBody,
+  validateListWebhookDeliveriesQuery
 } = require('../validators/databaseValidator');
 
 // Apply common middleware to request logging only (auth is per-route)
@@ -176,6 +226,25 @@ router.patch('/:subaccountId/agents/:agentId/voice',
   DatabaseController.updateAgentVoice
 );
 
+// GET /api/database/:subaccountId/agents/:agentId/voice-settings - Get the agent's voice settings from Retell
+router.get('/:subaccountId/agents/:agentId/voice-settings',
+  validateSubaccountId,
+  validateAgentId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  DatabaseController.getAgentVoiceSettings
+);
+
+// PATCH /api/database/:subaccountId/agents/:agentId/voice-settings - Update agent voice and call settings
+router.patch('/:subaccountId/agents/:agentId/voice-settings',
+  validateSubaccountId,
+  validateAgentId,
+  validateUpdateAgentVoiceSettingsBody,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  DatabaseController.updateAgentVoiceSettings
+);
+
 // PATCH /api/database/:subaccountId/agents/:agentId/llm - Update agent LLM model
 router.patch('/:subaccountId/agents/:agentId/llm',
   validateSubaccountId,
@@ -196,6 +265,565 @@ router.patch('/:subaccountId/chat-agents/:agentId/llm',
   DatabaseController.updateChatAgentLLM
 );
 
+// ========== SUCCESS CRITERIA ROUTES ==========
+
+// GET /api/database/:subaccountId/agents/:agentId/success-criteria - Get the agent's call success criteria
+router.get('/:subaccountId/agents/:agentId/success-criteria',
+  validateSubaccountId,
+  validateAgentId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  SuccessCriteriaController.getSuccessCriteria
+);
+
+// PUT /api/database/:subaccountId/agents/:agentId/success-criteria - Replace the agent's call success criteria
+router.put('/:subaccountId/agents/:agentId/success-criteria',
+  validateSubaccountId,
+  validateAgentId,
+  validateUpdateSuccessCriteriaBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  SuccessCriteriaController.updateSuccessCriteria
+);
+
+// DELETE /api/database/:subaccountId/agents/:agentId/success-criteria - Reset the agent to the default success criteria
+router.delete('/:subaccountId/agents/:agentId/success-criteria',
+  validateSubaccountId,
+  validateAgentId,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  SuccessCriteriaController.resetSuccessCriteria
+);
+
+// POST /api/database/:subaccountId/agents/:agentId/success-criteria/recompute - Re-score stored calls with the current criteria
+router.post('/:subaccountId/agents/:agentId/success-criteria/recompute',
+  validateSubaccountId,
+  validateAgentId,
+  validateRecomputeSuccessRatesBody,
+  requireResourcePermission(),
+  subaccountLimiter(5, 60000),
+  SuccessCriteriaController.recomputeSuccessRates
+);
+
+// GET /api/database/:subaccountId/agents/:agentId/success-criteria/recompute/:jobId - Get the progress of a recompute job
+router.get('/:subaccountId/agents/:agentId/success-criteria/recompute/:jobId',
+  validateSubaccountId,
+  validateAgentId,
+  validateRecomputeJobId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  SuccessCriteriaController.getRecomputeJob
+);
+
+// ========== POST-CALL ANALYSIS ROUTES ==========
+
+// GET /api/database/:subaccountId/agents/:agentId/post-call-analysis - Get the agent's post-call analysis fields and model
+router.get('/:subaccountId/agents/:agentId/post-call-analysis',
+  validateSubaccountId,
+  validateAgentId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  PostCallAnalysisController.getPostCallAnalysis
+);
+
+// PATCH /api/database/:subaccountId/agents/:agentId/post-call-analysis - Change the post-call analysis model
+router.patch('/:subaccountId/agents/:agentId/post-call-analysis',
+  validateSubaccountId,
+  validateAgentId,
+  validateUpdatePostCallAnalysisBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  PostCallAnalysisController.updatePostCallAnalysisModel
+);
+
+// POST /api/database/:subaccountId/agents/:agentId/post-call-analysis/fields - Add a post-call analysis field
+router.post('/:subaccountId/agents/:agentId/post-call-analysis/fields',
+  validateSubaccountId,
+  validateAgentId,
+  validateAddPostCallFieldBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  PostCallAnalysisController.addField
+);
+
+// PATCH /api/database/:subaccountId/agents/:agentId/post-call-analysis/fields/:fieldName - Edit a post-call analysis field
+router.patch('/:subaccountId/agents/:agentId/post-call-analysis/fields/:fieldName',
+  validateSubaccountId,
+  validateAgentId,
+  validatePostCallFieldName,
+  validateUpdatePostCallFieldBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  PostCallAnalysisController.updateField
+);
+
+// DELETE /api/database/:subaccountId/agents/:agentId/post-call-analysis/fields/:fieldName - Remove a post-call analysis field
+router.delete('/:subaccountId/agents/:agentId/post-call-analysis/fields/:fieldName',
+  validateSubaccountId,
+  validateAgentId,
+  validatePostCallFieldName,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  PostCallAnalysisController.removeField
+);
+
+// ========== LLM REVISION ROUTES ==========
+
+// GET /api/database/:subaccountId/agents/:agentId/revisions - List LLM configuration revisions for an agent
+router.get('/:subaccountId/agents/:agentId/revisions',
+  validateSubaccountId,
+  validateAgentId,
+  validateListRevisionsQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  AgentRevisionController.getAgentRevisions
+);
+
+// GET /api/database/:subaccountId/agents/:agentId/revisions/diff - Diff two LLM configuration revisions for an agent
+router.get('/:subaccountId/agents/:agentId/revisions/diff',
+  validateSubaccountId,
+  validateAgentId,
+  validateRevisionDiffQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  AgentRevisionController.getAgentRevisionDiff
+);
+
+// POST /api/database/:subaccountId/agents/:agentId/revisions/:revision/restore - Restore an LLM configuration revision for an agent
+router.post('/:subaccountId/agents/:agentId/revisions/:revision/restore',
+  validateSubaccountId,
+  validateAgentId,
+  validateRevision,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  AgentRevisionController.restoreAgentRevision
+);
+
+// GET /api/database/:subaccountId/chat-agents/:agentId/revisions - List LLM configuration revisions for a chat agent
+router.get('/:subaccountId/chat-agents/:agentId/revisions',
+  validateSubaccountId,
+  validateAgentId,
+  validateListRevisionsQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  AgentRevisionController.getChatAgentRevisions
+);
+
+// GET /api/database/:subaccountId/chat-agents/:agentId/revisions/diff - Diff two LLM configuration revisions for a chat agent
+router.get('/:subaccountId/chat-agents/:agentId/revisions/diff',
+  validateSubaccountId,
+  validateAgentId,
+  validateRevisionDiffQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  AgentRevisionController.getChatAgentRevisionDiff
+);
+
+// POST /api/database/:subaccountId/chat-agents/:agentId/revisions/:revision/restore - Restore an LLM configuration revision for a chat agent
+router.post('/:subaccountId/chat-agents/:agentId/revisions/:revision/restore',
+  validateSubaccountId,
+  validateAgentId,
+  validateRevision,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  AgentRevisionController.restoreChatAgentRevision
+);
+
+// ========== COLLECTION QUERY ROUTES ==========
+
+// POST /api/database/:subaccountId/collections/:collection/find - Find documents
+router.post('/:subaccountId/collections/:collection/find',
+  validateSubaccountId,
+  validateCollectionName,
+  validateQueryBody,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  CollectionController.find
+);
+
+// POST /api/database/:subaccountId/collections/:collection/count - Count documents
+router.post('/:subaccountId/collections/:collection/count',
+  validateSubaccountId,
+  validateCollectionName,
+  validateQueryBody,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  CollectionController.count
+);
+
+// POST /api/database/:subaccountId/collections/:collection/aggregate - Run aggregation pipeline
+router.post('/:subaccountId/collections/:collection/aggregate',
+  validateSubaccountId,
+  validateCollectionName,
+  validateAggregateBody,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  CollectionController.aggregate
+);
+
+// POST /api/database/:subaccountId/collections/:collection/insert - Insert document(s)
+router.post('/:subaccountId/collections/:collection/insert',
+  validateSubaccountId,
+  validateCollectionName,
+  validateInsertBody,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  CollectionController.insert
+);
+
+// POST /api/database/:subaccountId/collections/:collection/update - Update document(s)
+router.post('/:subaccountId/collections/:collection/update',
+  validateSubaccountId,
+  validateCollectionName,
+  validateUpdateBody,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  CollectionController.update
+);
+
+// POST /api/database/:subaccountId/collections/:collection/delete - Delete document(s)
+router.post('/:subaccountId/collections/:collection/delete',
+  validateSubaccountId,
+  validateCollectionName,
+  validateDeleteBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  CollectionController.delete
+);
+
+// ========== SCHEMA REGISTRY ROUTES ==========
+
+// GET /api/database/:subaccountId/schemas - List registered collection schemas
+router.get('/:subaccountId/schemas',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  SchemaController.listSchemas
+);
+
+// GET /api/database/:subaccountId/schemas/:collection - Get current schema of a collection
+router.get('/:subaccountId/schemas/:collection',
+  validateSubaccountId,
+  validateCollectionName,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  SchemaController.getSchema
+);
+
+// PUT /api/database/:subaccountId/schemas/:collection - Create or update a schema (new version)
+router.put('/:subaccountId/schemas/:collection',
+  validateSubaccountId,
+  validateCollectionName,
+  validateSaveSchemaBody,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  SchemaController.saveSchema
+);
+
+// DELETE /api/database/:subaccountId/schemas/:collection - Remove a schema
+router.delete('/:subaccountId/schemas/:collection',
+  validateSubaccountId,
+  validateCollectionName,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  SchemaController.deleteSchema
+);
+
+// GET /api/database/:subaccountId/schemas/:collection/versions - List schema versions
+router.get('/:subaccountId/schemas/:collection/versions',
+  validateSubaccountId,
+  validateCollectionName,
+  validateListSchemaVersionsQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  SchemaController.listVersions
+);
+
+// GET /api/database/:subaccountId/schemas/:collection/versions/:version - Get a schema version
+router.get('/:subaccountId/schemas/:collection/versions/:version',
+  validateSubaccountId,
+  validateCollectionName,
+  validateSchemaVersion,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  SchemaController.getVersion
+);
+
+// POST /api/database/:subaccountId/schemas/:collection/migration-check - Check existing documents against a schema
+router.post('/:subaccountId/schemas/:collection/migration-check',
+  validateSubaccountId,
+  validateCollectionName,
+  validateMigrationCheckBody,
+  requireResourcePermission(),
+  subaccountLimiter(10, 60000),
+  SchemaController.checkMigration
+);
+
+// ========== SUPPRESSION LIST ROUTES ==========
+
+// GET /api/database/:subaccountId/suppressions - List suppressed recipients
+router.get('/:subaccountId/suppressions',
+  validateSubaccountId,
+  validateListSuppressionsQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  SuppressionController.listSuppressions
+);
+
+// GET /api/database/:subaccountId/suppressions/check - Check whether a recipient is suppressed
+router.get('/:subaccountId/suppressions/check',
+  validateSubaccountId,
+  validateCheckSuppressionQuery,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  SuppressionController.checkSuppression
+);
+
+// POST /api/database/:subaccountId/suppressions - Add a recipient to the suppression list
+router.post('/:subaccountId/suppressions',
+  validateSubaccountId,
+  validateAddSuppressionBody,
+  requireResourcePermission(),
+  subaccountLimiter(60, 60000),
+  SuppressionController.addSuppression
+);
+
+// POST /api/database/:subaccountId/suppressions/import - Bulk add recipients of one channel
+router.post('/:subaccountId/suppressions/import',
+  validateSubaccountId,
+  validateImportSuppressionsBody,
+  requireResourcePermission(),
+  subaccountLimiter(10, 60000),
+  SuppressionController.importSuppressions
+);
+
+// DELETE /api/database/:subaccountId/suppressions/:suppressionId - Remove a suppression entry
+router.delete('/:subaccountId/suppressions/:suppressionId',
+  validateSubaccountId,
+  validateSuppressionId,
+  requireResourcePermission(),
+  subaccountLimiter(60, 60000),
+  SuppressionController.removeSuppression
+);
+
+// ========== CONTACT ROUTES ==========
+
+// GET /api/database/:subaccountId/contacts - List contacts
+router.get('/:subaccountId/contacts',
+  validateSubaccountId,
+  validateListContactsQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  ContactController.listContacts
+);
+
+// GET /api/database/:subaccountId/contacts/lookup - Find the contact of a phone number, email or Instagram user
+router.get('/:subaccountId/contacts/lookup',
+  validateSubaccountId,
+  validateLookupContactQuery,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  ContactController.lookupContact
+);
+
+// POST /api/database/:subaccountId/contacts - Create a contact
+router.post('/:subaccountId/contacts',
+  validateSubaccountId,
+  validateCreateContactBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  ContactController.createContact
+);
+
+// GET /api/database/:subaccountId/contacts/:contactId - Get a contact
+router.get('/:subaccountId/contacts/:contactId',
+  validateSubaccountId,
+  validateContactId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  ContactController.getContact
+);
+
+// PATCH /api/database/:subaccountId/contacts/:contactId - Update name, identities, tags or custom fields
+router.patch('/:subaccountId/contacts/:contactId',
+  validateSubaccountId,
+  validateContactId,
+  validateUpdateContactBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  ContactController.updateContact
+);
+
+// DELETE /api/database/:subaccountId/contacts/:contactId - Delete a contact
+router.delete('/:subaccountId/contacts/:contactId',
+  validateSubaccountId,
+  validateContactId,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  ContactController.deleteContact
+);
+
+// POST /api/database/:subaccountId/contacts/:contactId/merge - Merge other contacts into this one
+router.post('/:subaccountId/contacts/:contactId/merge',
+  validateSubaccountId,
+  validateContactId,
+  validateMergeContactsBody,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  ContactController.mergeContacts
+);
+
+// GET /api/database/:subaccountId/contacts/:contactId/timeline - Calls, chats and meetings of a contact
+router.get('/:subaccountId/contacts/:contactId/timeline',
+  validateSubaccountId,
+  validateContactId,
+  validateContactTimelineQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  ContactController.getContactTimeline
+);
+
+// ========== WEBHOOK SUBSCRIPTION ROUTES ==========
+
+// GET /api/database/:subaccountId/webhooks - List webhook subscriptions
+router.get('/:subaccountId/webhooks',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  WebhookSubscriptionController.listSubscriptions
+);
+
+// GET /api/database/:subaccountId/webhooks/events - List the events a subscription can listen for
+router.get('/:subaccountId/webhooks/events',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  WebhookSubscriptionController.listEventTypes
+);
+
+// POST /api/database/:subaccountId/webhooks - Create a webhook subscription
+router.post('/:subaccountId/webhooks',
+  validateSubaccountId,
+  validateCreateWebhookSubscriptionBody,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  WebhookSubscriptionController.createSubscription
+);
+
+// GET /api/database/:subaccountId/webhooks/:subscriptionId - Get a webhook subscription
+router.get('/:subaccountId/webhooks/:subscriptionId',
+  validateSubaccountId,
+  validateWebhookSubscriptionId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  WebhookSubscriptionController.getSubscription
+);
+
+// PATCH /api/database/:subaccountId/webhooks/:subscriptionId - Update, pause or resume a webhook subscription
+router.patch('/:subaccountId/webhooks/:subscriptionId',
+  validateSubaccountId,
+  validateWebhookSubscriptionId,
+  validateUpdateWebhookSubscriptionBody,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  WebhookSubscriptionController.updateSubscription
+);
+
+// DELETE /api/database/:subaccountId/webhooks/:subscriptionId - Delete a webhook subscription
+router.delete('/:subaccountId/webhooks/:subscriptionId',
+  validateSubaccountId,
+  validateWebhookSubscriptionId,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  WebhookSubscriptionController.deleteSubscription
+);
+
+// POST /api/database/:subaccountId/webhooks/:subscriptionId/test - Send a test event
+router.post('/:subaccountId/webhooks/:subscriptionId/test',
+  validateSubaccountId,
+  validateWebhookSubscriptionId,
+  requireResourcePermission(),
+  subaccountLimiter(10, 60000),
+  WebhookSubscriptionController.testSubscription
+);
+
+// GET /api/database/:subaccountId/webhooks/:subscriptionId/deliveries - List deliveries
+router.get('/:subaccountId/webhooks/:subscriptionId/deliveries',
+  validateSubaccountId,
+  validateWebhookSubscriptionId,
+  validateListWebhookDeliveriesQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  WebhookSubscriptionController.listDeliveries
+);
+
+// GET /api/database/:subaccountId/webhooks/:subscriptionId/deliveries/:deliveryId - Get a delivery with its payload
+router.get('/:subaccountId/webhooks/:subscriptionId/deliveries/:deliveryId',
+  validateSubaccountId,
+  validateWebhookSubscriptionId,
+  validateWebhookDeliveryId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  WebhookSubscriptionController.getDelivery
+);
+
+// POST /api/database/:subaccountId/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver - Send a delivery again
+router.post('/:subaccountId/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver',
+  validateSubaccountId,
+  validateWebhookSubscriptionId,
+  validateWebhookDeliveryId,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  WebhookSubscriptionController.redeliver
+);
+
+// ========== AGENT TEMPLATE ROUTES ==========
+
+// GET /api/database/:subaccountId/agent-templates - List agent templates (built-in default included)
+router.get('/:subaccountId/agent-templates',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  AgentTemplateController.getTemplates
+);
+
+// POST /api/database/:subaccountId/agent-templates - Create agent template
+router.post('/:subaccountId/agent-templates',
+  validateSubaccountId,
+  validateCreateAgentTemplateBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  AgentTemplateController.createTemplate
+);
+
+// GET /api/database/:subaccountId/agent-templates/:templateId - Get agent template
+router.get('/:subaccountId/agent-templates/:templateId',
+  validateSubaccountId,
+  validateTemplateId,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  AgentTemplateController.getTemplate
+);
+
+// PATCH /api/database/:subaccountId/agent-templates/:templateId - Update agent template
+router.patch('/:subaccountId/agent-templates/:templateId',
+  validateSubaccountId,
+  validateTemplateId,
+  validateUpdateAgentTemplateBody,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  AgentTemplateController.updateTemplate
+);
+
+// DELETE /api/database/:subaccountId/agent-templates/:templateId - Delete agent template
+router.delete('/:subaccountId/agent-templates/:templateId',
+  validateSubaccountId,
+  validateTemplateId,
+  requireResourcePermission(),
+  subaccountLimiter(50, 60000),
+  AgentTemplateController.deleteTemplate
+);
+
 // ========== CHAT AGENTS ROUTES ==========
 
 // POST /api/database/:subaccountId/chat-agents - Create chat agent
@@ -1,5 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const Logger = require('../utils/logger');
+const HealthService = require('../services/healthService');
+const { STATUSES } = HealthService;
 
 // Health check endpoint
 router.get('/', (req, res) => {
@@ -39,4 +42,48 @@ router.get('/detailed', (req, res) => {
   res.json(healthData);
 });
 
+// Readiness probe: checks every dependency. 503 when a critical dependency is down,
+// so the orchestrator stops routing traffic to this instance.
+router.get('/ready', async (req, res) => {
+  try {
+    const readiness = await HealthService.getReadiness();
+
+    res.status(readiness.status === STATUSES.DOWN ? 503 : 200).json({
+      success: readiness.status !== STATUSES.DOWN,
+      message: readiness.status === STATUSES.UP
+        ? 'LLM Server is ready'
+        : readiness.status === STATUSES.DEGRADED ? 'LLM Server is ready (degraded)' : 'LLM Server is not ready',
+      status: readiness.status,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      checks: readiness.checks,
+      connectors: readiness.connectors
+    });
+  } catch (error) {
+    Logger.error('Readiness check failed', { error: error.message });
+    res.status(503).json({
+      success: false,
+      message: 'LLM Server is not ready',
+      status: STATUSES.DOWN,
+      timestamp: new Date().toISOString(),
+      error: error.message
+    });
+  }
+});
+
+// Liveness probe: only checks the process. Answers 200 as long as the event loop runs.
+router.get('/live', async (req, res) => {
+  const liveness = await HealthService.getLiveness();
+
+  res.json({
+    success: true,
+    message: 'LLM Server is alive',
+    status: liveness.status,
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    eventLoopLagMs: liveness.eventLoopLagMs,
+    memory: liveness.memory
+  });
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -51,6 +51,14 @@ router.post('/:subaccountId/chat-agents/:agentId/instagram/send',
   InstagramController.sendMessage
 );
 
+// POST /api/database/:subaccountId/chat-agents/:agentId/instagram/send-media - Send an attachment by URL
+router.post('/:subaccountId/chat-agents/:agentId/instagram/send-media',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(200, 60000),
+  InstagramController.sendMedia
+);
+
 // GET /api/database/:subaccountId/chat-agents/:agentId/instagram/messages - Get message history
 router.get('/:subaccountId/chat-agents/:agentId/instagram/messages',
   validateSubaccountId,
@@ -67,8 +75,8 @@ router.get('/:subaccountId/chat-agents/instagram/connections',
   InstagramController.getConnections
 );
 
-// POST /api/database/:subaccountId/chat-agents/:agentId/instagram/webhook - Instagram webhook endpoint
-// Note: This endpoint may need to bypass authentication for Meta's webhook verification
+// POST /api/database/:subaccountId/chat-agents/:agentId/instagram/webhook - Forward a webhook payload to one agent
+// Meta itself calls the public, signed ingress at /api/webhooks/instagram (see webhookRoutes)
 router.post('/:subaccountId/chat-agents/:agentId/instagram/webhook',
   validateSubaccountId,
   InstagramController.webhook
@@ -0,0 +1,48 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const MetricsService = require('../services/metricsService');
+
+// Compare a bearer token against METRICS_TOKEN in constant time
+const hasValidToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const received = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(config.metrics.token);
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Prometheus scrape endpoint
+router.get('/', (req, res) => {
+  if (!config.metrics.token) {
+    if (config.metrics.requireToken) {
+      return res.status(503).json({
+        success: false,
+        message: 'Metrics are disabled until METRICS_TOKEN is set',
+        code: 'METRICS_TOKEN_NOT_CONFIGURED'
+      });
+    }
+  } else if (!hasValidToken(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Valid metrics token required',
+      code: 'METRICS_TOKEN_REQUIRED'
+    });
+  }
+
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(MetricsService.render());
+  } catch (error) {
+    Logger.error('Failed to render metrics', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render metrics',
+      code: 'METRICS_ERROR'
+    });
+  }
+});
+
+module.exports = router;
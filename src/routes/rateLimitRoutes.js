@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const RateLimitController = require('../controllers/rateLimitController');
+
+// Import middleware
+const { authenticateToken, requestLogger } = require('../middleware/authMiddleware');
+const { userLimiter } = require('../middleware/rateLimiter');
+const Logger = require('../utils/logger');
+
+// Import validators
+const {
+  validateSubaccountId,
+  validateUpdateRateLimitPlanBody
+} = require('../validators/databaseValidator');
+
+// Plans and counters are platform settings, so only platform admins may manage them
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_ROLES.includes(req.user?.role)) {
+    Logger.security('Rate limit administration denied', 'medium', {
+      userId: req.user?.id,
+      role: req.user?.role,
+      endpoint: req.originalUrl
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Admin privileges required to manage rate limits',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  next();
+};
+
+// Apply common middleware
+router.use(requestLogger);
+router.use(authenticateToken);
+router.use(userLimiter);
+router.use(requireAdmin);
+
+// GET /api/rate-limits/plans - List the quota plans
+router.get('/plans',
+  RateLimitController.listPlans
+);
+
+// GET /api/rate-limits/:subaccountId - Get the plan and quota usage of a subaccount
+router.get('/:subaccountId',
+  validateSubaccountId,
+  RateLimitController.getSubaccountLimits
+);
+
+// PUT /api/rate-limits/:subaccountId/plan - Assign a quota plan to a subaccount
+router.put('/:subaccountId/plan',
+  validateSubaccountId,
+  validateUpdateRateLimitPlanBody,
+  RateLimitController.updatePlan
+);
+
+// DELETE /api/rate-limits/:subaccountId/counters - Reset the counters of a subaccount
+router.delete('/:subaccountId/counters',
+  validateSubaccountId,
+  RateLimitController.resetCounters
+);
+
+module.exports = router;
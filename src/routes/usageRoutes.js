@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const UsageController = require('../controllers/usageController');
+
+// Import middleware
+const { authenticateToken, requestLogger } = require('../middleware/authMiddleware');
+const { userLimiter, subaccountLimiter } = require('../middleware/rateLimiter');
+const { requireResourcePermission } = require('../middleware/rbacClient');
+
+// Import validators
+const {
+  validateSubaccountId,
+  validateAgentId,
+  validateUsageSummaryQuery,
+  validateUsageRollupsQuery,
+  validateListUsageEntriesQuery,
+  validateExportUsageQuery,
+  validateUpdateUsagePricingBody,
+  validateUpdateBudgetBody
+} = require('../validators/databaseValidator');
+
+// Apply common middleware
+router.use(requestLogger);
+router.use(authenticateToken);
+router.use(userLimiter);
+
+// ========== PRICING ROUTES ==========
+
+// GET /api/usage/:subaccountId/pricing - Get the markup and unit prices of a subaccount
+router.get('/:subaccountId/pricing',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  UsageController.getPricing
+);
+
+// PUT /api/usage/:subaccountId/pricing - Replace the pricing of a subaccount (admin only)
+router.put('/:subaccountId/pricing',
+  validateSubaccountId,
+  validateUpdateUsagePricingBody,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  UsageController.updatePricing
+);
+
+// ========== BUDGET ROUTES ==========
+
+// GET /api/usage/:subaccountId/budget - Get this month's spend and the budgets
+router.get('/:subaccountId/budget',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  UsageController.getBudget
+);
+
+// PUT /api/usage/:subaccountId/budget - Set the monthly spend limit of the subaccount
+router.put('/:subaccountId/budget',
+  validateSubaccountId,
+  validateUpdateBudgetBody,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  UsageController.updateBudget
+);
+
+// DELETE /api/usage/:subaccountId/budget - Remove the monthly spend limit of the subaccount
+router.delete('/:subaccountId/budget',
+  validateSubaccountId,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  UsageController.removeBudget
+);
+
+// PUT /api/usage/:subaccountId/budget/agents/:agentId - Set the monthly spend limit of an agent
+router.put('/:subaccountId/budget/agents/:agentId',
+  validateSubaccountId,
+  validateAgentId,
+  validateUpdateBudgetBody,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  UsageController.updateBudget
+);
+
+// DELETE /api/usage/:subaccountId/budget/agents/:agentId - Remove the monthly spend limit of an agent
+router.delete('/:subaccountId/budget/agents/:agentId',
+  validateSubaccountId,
+  validateAgentId,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  UsageController.removeBudget
+);
+
+// ========== USAGE ROUTES ==========
+
+// GET /api/usage/:subaccountId/rollups - Daily or monthly usage totals
+router.get('/:subaccountId/rollups',
+  validateSubaccountId,
+  validateUsageRollupsQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  UsageController.getRollups
+);
+
+// GET /api/usage/:subaccountId/ledger - List usage ledger entries
+router.get('/:subaccountId/ledger',
+  validateSubaccountId,
+  validateListUsageEntriesQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  UsageController.listEntries
+);
+
+// GET /api/usage/:subaccountId/export - Download a usage report as CSV
+router.get('/:subaccountId/export',
+  validateSubaccountId,
+  validateExportUsageQuery,
+  requireResourcePermission(),
+  subaccountLimiter(20, 60000),
+  UsageController.exportCsv
+);
+
+// GET /api/usage/:subaccountId - Invoice-ready usage summary of a period
+router.get('/:subaccountId',
+  validateSubaccountId,
+  validateUsageSummaryQuery,
+  requireResourcePermission(),
+  subaccountLimiter(100, 60000),
+  UsageController.getSummary
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const InstagramController = require('../controllers/instagramController');
+const WhatsAppController = require('../controllers/whatsappController');
+
+// Import middleware
+const { requestLogger } = require('../middleware/authMiddleware');
+
+// Public ingress for third-party webhooks. These routes are not behind
+// authenticateToken; each provider's signature is verified in the controller.
+router.use(requestLogger);
+
+// GET /api/webhooks/instagram - Meta subscription handshake (hub.challenge)
+router.get('/instagram',
+  InstagramController.verifyMetaWebhook
+);
+
+// POST /api/webhooks/instagram - Instagram messaging events, signed with X-Hub-Signature-256
+router.post('/instagram',
+  InstagramController.receiveMetaWebhook
+);
+
+// GET /api/webhooks/whatsapp - Meta subscription handshake (hub.challenge)
+router.get('/whatsapp',
+  WhatsAppController.verifyMetaWebhook
+);
+
+// POST /api/webhooks/whatsapp - WhatsApp Cloud API messages and statuses, signed with X-Hub-Signature-256
+router.post('/whatsapp',
+  WhatsAppController.receiveMetaWebhook
+);
+
+module.exports = router;
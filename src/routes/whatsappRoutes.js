@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const config = require('../../config/config');
 
 // Import controllers
 const WhatsAppController = require('../controllers/whatsappController');
@@ -15,6 +17,14 @@ const {
   validateSubaccountId
 } = require('../validators/databaseValidator');
 
+// Configure multer for outbound media (kept in memory, stored in the chat media bucket after sending)
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.chatMedia.maxBytes
+  }
+});
+
 // Apply common middleware
 router.use(requestLogger);
 router.use(authenticateToken);
@@ -57,6 +67,16 @@ router.post('/:subaccountId/chat-agents/:agentId/whatsapp/send',
   WhatsAppController.sendMessage
 );
 
+// POST /api/database/:subaccountId/chat-agents/:agentId/whatsapp/send-media - Send an image, voice note or document
+router.post('/:subaccountId/chat-agents/:agentId/whatsapp/send-media',
+  mediaUpload.single('file'),
+  validateSubaccountId,
+  requireConnector('whatsapp'),
+  requireResourcePermission(),
+  subaccountLimiter(300, 60000),
+  WhatsAppController.sendMedia
+);
+
 // GET /api/database/:subaccountId/chat-agents/:agentId/whatsapp/messages - Get message history
 router.get('/:subaccountId/chat-agents/:agentId/whatsapp/messages',
   validateSubaccountId,
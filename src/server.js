@@ -5,6 +5,10 @@ const Logger = require('./utils/logger');
 const connectionPoolManager = require('./services/connectionPoolManager');
 const schemaValidationService = require('./services/schemaValidationService');
 const redisService = require("./services/redisService");
+const platformStore = require('./services/platformStore');
+const ScheduledCallService = require('./services/scheduledCallService');
+const WebhookSubscriptionService = require('./services/webhookSubscriptionService');
+const UsageLedgerService = require('./services/usageLedgerService');
 
 const PORT = config.server.port;
 
@@ -27,6 +31,16 @@ async function startServer() {
       Logger.warn('Redis connection failed, continuing without Redis', { error: error.message });
     }
 
+    // Connect the platform database that holds the worker indexes (required in production)
+    try {
+      await platformStore.connect();
+    } catch (error) {
+      if (config.server.nodeEnv === 'production') {
+        throw error;
+      }
+      Logger.warn('Platform database connection failed, keeping worker indexes in memory', { error: error.message });
+    }
+
     // Initialize connection pool manager
     console.log('[DEBUG] Initializing connection pool manager...');
     console.log('[DEBUG] About to initialize connection pool manager...');
@@ -41,6 +55,15 @@ async function startServer() {
     console.log('[DEBUG] Schema validation service initialized');
     Logger.info('Schema Validation Service initialized');
 
+    // Start the scheduled call queue worker
+    ScheduledCallService.startWorker();
+
+    // Start the webhook delivery retry worker
+    WebhookSubscriptionService.startWorker();
+
+    // Start the monthly phone number rental worker
+    UsageLedgerService.startRentalWorker();
+
     // Start HTTP server
     console.log('[DEBUG] Starting HTTP server on port', PORT);
     console.log('[DEBUG] About to start HTTP server...');
@@ -53,6 +76,10 @@ async function startServer() {
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       Logger.info(`${signal} received, shutting down gracefully`);
+
+      ScheduledCallService.stopWorker();
+      WebhookSubscriptionService.stopWorker();
+      UsageLedgerService.stopRentalWorker();
       
       server.close(async () => {
         try {
@@ -66,6 +93,12 @@ async function startServer() {
             Logger.warn('Error closing Redis connection', { error: error.message });
           }
           
+          try {
+            await platformStore.disconnect();
+          } catch (error) {
+            Logger.warn('Error closing platform database connection', { error: error.message });
+          }
+
           Logger.info('Database CRUD Server shutdown complete');
           process.exit(0);
         } catch (error) {
@@ -9,6 +9,9 @@ const ACTIVITY_TYPES = {
   AGENT_CREATED: 'agent_created',
   AGENT_DELETED: 'agent_deleted',
   AGENT_UPDATED: 'agent_updated',
+  AGENT_TEMPLATE_CREATED: 'agent_template_created',
+  AGENT_TEMPLATE_UPDATED: 'agent_template_updated',
+  AGENT_TEMPLATE_DELETED: 'agent_template_deleted',
   
   // Chat Agent activities
   CHAT_AGENT_CREATED: 'chat_agent_created',
@@ -24,11 +27,19 @@ const ACTIVITY_TYPES = {
   CALL_UPDATED: 'call_updated',
   CALL_LOGS_VIEWED: 'call_logs_viewed',
   CALL_DELETED: 'call_deleted',
+  BATCH_CALL_CANCELLED: 'batch_call_cancelled',
+  SCHEDULED_CALL_CREATED: 'scheduled_call_created',
+  SCHEDULED_CALL_CANCELLED: 'scheduled_call_cancelled',
   
   // Chat activities
   CHAT_CREATED: 'chat_created',
   CHAT_MESSAGE_SENT: 'chat_message_sent',
   CHAT_ENDED: 'chat_ended',
+  CHAT_DELETED: 'chat_deleted',
+  CHAT_ESCALATED: 'chat_escalated',
+  CHAT_CLAIMED: 'chat_claimed',
+  CHAT_RELEASED: 'chat_released',
+  CHAT_PAUSED: 'chat_paused',
   
   // Meeting activities
   MEETING_BOOKED: 'meeting_booked',
@@ -53,7 +64,34 @@ const ACTIVITY_TYPES = {
   CONNECTOR_METADATA_UPDATED: 'connector_metadata_updated',
   CONNECTOR_LIST_PHONE_NUMBERS: 'connector_list_phone_numbers',
   CONNECTOR_UPDATE_PHONE_NUMBER: 'connector_update_phone_number',
-  CONNECTOR_DELETE_PHONE_NUMBER: 'connector_delete_phone_number'
+  CONNECTOR_DELETE_PHONE_NUMBER: 'connector_delete_phone_number',
+
+  // Compliance activities
+  SUPPRESSION_ADDED: 'suppression_added',
+  SUPPRESSION_REMOVED: 'suppression_removed',
+  SUPPRESSIONS_IMPORTED: 'suppressions_imported',
+  RECIPIENT_OPTED_OUT: 'recipient_opted_out',
+  RECIPIENT_OPTED_IN: 'recipient_opted_in',
+  SUPPRESSED_RECIPIENT_BLOCKED: 'suppressed_recipient_blocked',
+  CALL_BLOCKED_CALLING_HOURS: 'call_blocked_calling_hours',
+  CALLING_HOURS_UPDATED: 'calling_hours_updated',
+
+  // Contact activities
+  CONTACT_CREATED: 'contact_created',
+  CONTACT_UPDATED: 'contact_updated',
+  CONTACTS_MERGED: 'contacts_merged',
+  CONTACT_DELETED: 'contact_deleted',
+
+  // Webhook subscription activities
+  WEBHOOK_SUBSCRIPTION_CREATED: 'webhook_subscription_created',
+  WEBHOOK_SUBSCRIPTION_UPDATED: 'webhook_subscription_updated',
+  WEBHOOK_SUBSCRIPTION_DELETED: 'webhook_subscription_deleted',
+
+  // Billing activities
+  BUDGET_UPDATED: 'budget_updated',
+  BUDGET_REMOVED: 'budget_removed',
+  BUDGET_THRESHOLD_REACHED: 'budget_threshold_reached',
+  BUDGET_EXCEEDED: 'budget_exceeded'
 };
 
 /**
@@ -65,7 +103,11 @@ const ACTIVITY_CATEGORIES = {
   CALL: 'call',
   CHAT: 'chat',
   MEETING: 'meeting',
-  CONNECTOR: 'connector'
+  CONNECTOR: 'connector',
+  COMPLIANCE: 'compliance',
+  CONTACT: 'contact',
+  WEBHOOK: 'webhook',
+  BILLING: 'billing'
 };
 
 class ActivityService {
@@ -155,6 +197,10 @@ class ActivityService {
       
       // Insert activity
       await activitiesCollection.insertOne(activityDocument);
+
+      // Notify webhook subscribers (required here because that service depends on this one)
+      const WebhookSubscriptionService = require('./webhookSubscriptionService');
+      await WebhookSubscriptionService.publishActivity(activityDocument);
       
       Logger.debug('Activity logged', {
         subaccountId,
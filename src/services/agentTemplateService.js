@@ -0,0 +1,394 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const DEFAULT_AGENT_TEMPLATE = require('../templates/defaultAgentTemplate');
+const { VOICE_AGENT_DEFAULTS } = DEFAULT_AGENT_TEMPLATE;
+
+const COLLECTION_NAME = 'agent_templates';
+
+/**
+ * Template fields that can be set through the API.
+ * Anything not listed here is ignored on create/update.
+ */
+const TEMPLATE_FIELDS = [
+  'name',
+  'description',
+  'model',
+  'modelTemperature',
+  'beginMessage',
+  'generalPrompt',
+  'startSpeaker',
+  'startingState',
+  'tools',
+  'states',
+  'defaultDynamicVariables',
+  'voiceSettings',
+  'postCallAnalysisData',
+  'postCallAnalysisModel'
+];
+
+/**
+ * Voice agent settings that can be tuned after creation (PATCH /agents/:agentId/voice-settings).
+ * API name -> Retell agent field.
+ */
+const VOICE_SETTINGS_FIELDS = {
+  language: 'language',
+  voiceSpeed: 'voice_speed',
+  voiceTemperature: 'voice_temperature',
+  volume: 'volume',
+  responsiveness: 'responsiveness',
+  interruptionSensitivity: 'interruption_sensitivity',
+  enableBackchannel: 'enable_backchannel',
+  backchannelFrequency: 'backchannel_frequency',
+  backchannelWords: 'backchannel_words',
+  ambientSound: 'ambient_sound',
+  ambientSoundVolume: 'ambient_sound_volume',
+  boostedKeywords: 'boosted_keywords',
+  pronunciationDictionary: 'pronunciation_dictionary',
+  enableVoicemailDetection: 'enable_voicemail_detection',
+  voicemailMessage: 'voicemail_message',
+  maxCallDurationMs: 'max_call_duration_ms',
+  endCallAfterSilenceMs: 'end_call_after_silence_ms'
+};
+
+class AgentTemplateService {
+  /**
+   * Get the agent_templates collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection(COLLECTION_NAME);
+  }
+
+  /**
+   * Pick the writable template fields from a request body
+   * @param {Object} body - Request body
+   * @returns {Object} Template fields
+   */
+  static pickTemplateFields(body) {
+    const fields = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) {
+        fields[field] = body[field];
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Merge a stored template onto the built-in default so partial templates
+   * (e.g. only a different prompt) still produce a complete Retell config
+   * @param {Object} template - Stored template document
+   * @returns {Object} Complete template
+   */
+  static withDefaults(template) {
+    const merged = { ...DEFAULT_AGENT_TEMPLATE };
+    TEMPLATE_FIELDS.forEach(field => {
+      if (template[field] !== undefined && template[field] !== null) {
+        merged[field] = template[field];
+      }
+    });
+    merged.voiceSettings = {
+      ...DEFAULT_AGENT_TEMPLATE.voiceSettings,
+      ...(template.voiceSettings || {})
+    };
+    merged.templateId = template.templateId;
+    merged.builtIn = !!template.builtIn;
+    return merged;
+  }
+
+  /**
+   * List templates for a subaccount (built-in default first)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Array>} Templates
+   */
+  static async listTemplates(subaccountId, userId) {
+    const collection = await AgentTemplateService.getCollection(subaccountId, userId);
+
+    const templates = await collection
+      .find({ subaccountId })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    return [DEFAULT_AGENT_TEMPLATE, ...templates];
+  }
+
+  /**
+   * Get a single template
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} templateId - Template ID ('default' for the built-in template)
+   * @returns {Promise<Object|null>} Template or null if not found
+   */
+  static async getTemplate(subaccountId, userId, templateId) {
+    if (templateId === DEFAULT_AGENT_TEMPLATE.templateId) {
+      return DEFAULT_AGENT_TEMPLATE;
+    }
+
+    const collection = await AgentTemplateService.getCollection(subaccountId, userId);
+    return collection.findOne({ subaccountId, templateId });
+  }
+
+  /**
+   * Find a template by name
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} name - Template name
+   * @returns {Promise<Object|null>} Template or null if not found
+   */
+  static async findTemplateByName(subaccountId, userId, name) {
+    const collection = await AgentTemplateService.getCollection(subaccountId, userId);
+    return collection.findOne({ subaccountId, name });
+  }
+
+  /**
+   * Create a template
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} body - Template fields
+   * @returns {Promise<Object>} Created template
+   */
+  static async createTemplate(subaccountId, userId, body) {
+    const collection = await AgentTemplateService.getCollection(subaccountId, userId);
+
+    const templateDocument = {
+      templateId: uuidv4(),
+      ...AgentTemplateService.pickTemplateFields(body),
+      subaccountId,
+      createdAt: new Date(),
+      createdBy: userId,
+      updatedAt: new Date(),
+      updatedBy: userId
+    };
+
+    await collection.insertOne(templateDocument);
+
+    Logger.info('Agent template created', {
+      subaccountId,
+      templateId: templateDocument.templateId,
+      name: templateDocument.name
+    });
+
+    return templateDocument;
+  }
+
+  /**
+   * Update a template
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} templateId - Template ID
+   * @param {Object} body - Template fields to update
+   * @returns {Promise<Object|null>} Updated template or null if not found
+   */
+  static async updateTemplate(subaccountId, userId, templateId, body) {
+    const collection = await AgentTemplateService.getCollection(subaccountId, userId);
+
+    const result = await collection.updateOne(
+      { subaccountId, templateId },
+      {
+        $set: {
+          ...AgentTemplateService.pickTemplateFields(body),
+          updatedAt: new Date(),
+          updatedBy: userId
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return null;
+    }
+
+    Logger.info('Agent template updated', {
+      subaccountId,
+      templateId,
+      updatedFields: Object.keys(body)
+    });
+
+    return collection.findOne({ subaccountId, templateId });
+  }
+
+  /**
+   * Delete a template
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} True if a template was deleted
+   */
+  static async deleteTemplate(subaccountId, userId, templateId) {
+    const collection = await AgentTemplateService.getCollection(subaccountId, userId);
+    const result = await collection.deleteOne({ subaccountId, templateId });
+
+    if (result.deletedCount > 0) {
+      Logger.info('Agent template deleted', { subaccountId, templateId });
+    }
+
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Resolve the template to create an agent from
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} [templateId] - Template ID; falls back to the built-in default
+   * @returns {Promise<Object|null>} Complete template, or null if templateId was given but not found
+   */
+  static async resolveTemplate(subaccountId, userId, templateId) {
+    if (!templateId) {
+      return DEFAULT_AGENT_TEMPLATE;
+    }
+
+    const template = await AgentTemplateService.getTemplate(subaccountId, userId, templateId);
+    return template ? AgentTemplateService.withDefaults(template) : null;
+  }
+
+  /**
+   * Build the Retell LLM config for a template
+   * @param {Object} template - Complete template
+   * @param {string} mcpId - MCP ID the template's MCP tools are bound to
+   * @returns {Object} Retell createLLM payload
+   */
+  static buildLLMConfig(template, mcpId) {
+    return {
+      version: 0,
+      model: template.model,
+      model_temperature: template.modelTemperature,
+      model_high_priority: true,
+      tool_call_strict_mode: true,
+      begin_message: template.beginMessage,
+      general_prompt: template.generalPrompt,
+      general_tools: template.tools.map(tool => {
+        if (tool.type !== 'mcp') {
+          return tool;
+        }
+        return {
+          execution_message_description: '',
+          speak_after_execution: true,
+          response_variables: {},
+          speak_during_execution: false,
+          ...tool,
+          mcp_id: mcpId
+        };
+      }),
+      states: template.states,
+      starting_state: template.startingState,
+      start_speaker: template.startSpeaker,
+      default_dynamic_variables: template.defaultDynamicVariables,
+      knowledge_base_ids: [],
+      mcps: [
+        {
+          id: mcpId,
+          name: 'appointment-scheduler',
+          headers: {},
+          query_params: {},
+          url: config.retell.schedulerMcpUrl || 'https://858a25ed3987.ngrok-free.app/mcp',
+          timeout_ms: 60000
+        }
+      ]
+    };
+  }
+
+  /**
+   * Build the Retell voice agent config for a template
+   * @param {Object} template - Complete template
+   * @param {Object} params - Agent parameters
+   * @param {string} params.name - Agent name
+   * @param {string} params.llmId - LLM ID
+   * @returns {Object} Retell createAgent payload
+   */
+  static buildAgentConfig(template, { name, llmId }) {
+    // Voice settings go first so a template cannot override the engine or the agent identity
+    return {
+      ...VOICE_AGENT_DEFAULTS,
+      ...AgentTemplateService.toRetellVoiceSettings(template.voiceSettings),
+      voice_id: template.voiceSettings.voiceId,
+      version: 0,
+      response_engine: {
+        type: 'retell-llm',
+        llm_id: llmId,
+        version: 0
+      },
+      agent_name: name,
+      channel: 'voice',
+      post_call_analysis_data: template.postCallAnalysisData,
+      post_call_analysis_model: template.postCallAnalysisModel
+    };
+  }
+
+  /**
+   * Convert voice settings from the API to Retell agent fields
+   * @param {Object} settings - Voice settings (API names)
+   * @returns {Object} Retell updateAgent payload
+   */
+  static toRetellVoiceSettings(settings) {
+    const retellSettings = {};
+    Object.entries(VOICE_SETTINGS_FIELDS).forEach(([field, retellField]) => {
+      if (settings[field] !== undefined) {
+        retellSettings[retellField] = settings[field];
+      }
+    });
+    return retellSettings;
+  }
+
+  /**
+   * Read the voice settings of a Retell agent
+   * @param {Object} retellAgent - Agent returned by Retell
+   * @returns {Object} Voice settings (API names, null when Retell does not return the field)
+   */
+  static pickVoiceSettings(retellAgent) {
+    const settings = {};
+    Object.entries(VOICE_SETTINGS_FIELDS).forEach(([field, retellField]) => {
+      settings[field] = retellAgent[retellField] ?? null;
+    });
+    return settings;
+  }
+
+  /**
+   * Build the Retell chat agent config for a template
+   * @param {Object} template - Complete template
+   * @param {Object} params - Agent parameters
+   * @param {string} params.name - Agent name
+   * @param {string} params.llmId - LLM ID
+   * @param {string} params.webhookUrl - Webhook URL
+   * @returns {Object} Retell createChatAgent payload
+   */
+  static buildChatAgentConfig(template, { name, llmId, webhookUrl }) {
+    return {
+      response_engine: {
+        type: 'retell-llm',
+        llm_id: llmId,
+        version: 0
+      },
+      agent_name: name,
+      language: template.voiceSettings.language || 'en-US',
+      webhook_url: webhookUrl,
+      end_chat_after_silence_ms: 86400000,
+      post_chat_analysis_data: template.postCallAnalysisData,
+      post_chat_analysis_model: template.postCallAnalysisModel
+    };
+  }
+
+  /**
+   * Replace {{AGENT_ID}} / {{SUBACCOUNT_ID}} placeholders in state prompts
+   * @param {Array} states - LLM states
+   * @param {Object} ids - Actual IDs
+   * @param {string} ids.agentId - Agent ID
+   * @param {string} ids.subaccountId - Subaccount ID
+   * @returns {Array} States with placeholders replaced
+   */
+  static fillStatePlaceholders(states, { agentId, subaccountId }) {
+    return states.map(state => ({
+      ...state,
+      state_prompt: (state.state_prompt || '')
+        .replaceAll('{{AGENT_ID}}', agentId)
+        .replaceAll('{{SUBACCOUNT_ID}}', subaccountId)
+    }));
+  }
+}
+
+module.exports = AgentTemplateService;
+module.exports.DEFAULT_AGENT_TEMPLATE = DEFAULT_AGENT_TEMPLATE;
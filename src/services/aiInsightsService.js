@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const Logger = require('../utils/logger');
+const { instrumentFetch } = require('../utils/metrics');
 const config = require('../../config/config');
 const ActivityService = require('./activityService');
 const connectionPoolManager = require('./connectionPoolManager');
@@ -13,7 +14,8 @@ class AIInsightsService {
     }
 
     this.openai = new OpenAI({
-      apiKey: config.openai.apiKey
+      apiKey: config.openai.apiKey,
+      fetch: instrumentFetch('openai')
     });
     this.enabled = true;
     
@@ -0,0 +1,250 @@
+const { parseCsv } = require('../utils/csvParser');
+const { normalizeToE164 } = require('../utils/phoneHelper');
+
+// Upper bound on tasks per import (one campaign)
+const MAX_IMPORT_ROWS = 10000;
+
+// Number of tasks returned in the dry-run preview
+const PREVIEW_SIZE = 20;
+
+// Header names recognized when no explicit mapping is given
+const PHONE_HEADER_PATTERN = /^(to_number|phone|phone_number|phone number|number|mobile|mobile_number|cell)$/i;
+const AGENT_HEADER_PATTERN = /^(agent_id|agent)$/i;
+
+class BatchCallImportService {
+  /**
+   * Turn a column header into a dynamic variable name ("First Name" -> "first_name")
+   * @param {string} header - Column header
+   * @returns {string} Variable name
+   */
+  static toVariableName(header) {
+    return header
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Resolve the column mapping, filling in defaults from the headers
+   * @param {Array<string>} headers - CSV headers
+   * @param {Object} [mapping] - { to_number, agent_id, dynamic_variables: { variable: column } }
+   * @returns {Object} { mapping, errors }
+   */
+  static resolveMapping(headers, mapping = null) {
+    const errors = [];
+    const resolved = {
+      to_number: mapping?.to_number || headers.find(header => PHONE_HEADER_PATTERN.test(header)) || null,
+      agent_id: mapping?.agent_id || headers.find(header => AGENT_HEADER_PATTERN.test(header)) || null,
+      dynamic_variables: {}
+    };
+
+    if (mapping?.dynamic_variables) {
+      resolved.dynamic_variables = { ...mapping.dynamic_variables };
+    } else {
+      headers
+        .filter(header => header && header !== resolved.to_number && header !== resolved.agent_id)
+        .forEach(header => {
+          const variableName = BatchCallImportService.toVariableName(header);
+          if (variableName) {
+            resolved.dynamic_variables[variableName] = header;
+          }
+        });
+    }
+
+    if (!resolved.to_number) {
+      errors.push('No phone number column found. Map one with mapping.to_number');
+    }
+
+    const mappedColumns = [
+      resolved.to_number,
+      resolved.agent_id,
+      ...Object.values(resolved.dynamic_variables)
+    ].filter(Boolean);
+
+    mappedColumns
+      .filter(column => !headers.includes(column))
+      .forEach(column => errors.push(`Column '${column}' not found in CSV`));
+
+    return { mapping: resolved, errors };
+  }
+
+  /**
+   * Parse an exclusion list (CSV or one number per line). Values that are not
+   * phone numbers, such as a header row, are ignored.
+   * @param {string} text - Exclusion list content
+   * @param {string} [defaultCountryCode] - Country calling code for national numbers
+   * @returns {Set<string>} E.164 numbers to exclude
+   */
+  static parseExclusionList(text, defaultCountryCode = null) {
+    const excluded = new Set();
+
+    String(text || '')
+      .split(/[\r\n,;\t]+/)
+      .map(value => value.replace(/"/g, '').trim())
+      .filter(Boolean)
+      .forEach(value => {
+        const normalized = normalizeToE164(value, defaultCountryCode);
+        if (normalized.valid) {
+          excluded.add(normalized.number);
+        }
+      });
+
+    return excluded;
+  }
+
+  /**
+   * Build batch call tasks and a validation report from a CSV upload
+   * @param {Object} params - Import parameters
+   * @param {string} params.csvText - Lead list content
+   * @param {string} [params.exclusionText] - Exclusion list content
+   * @param {Object} [params.mapping] - Column mapping
+   * @param {string} [params.defaultCountryCode] - Country calling code for national numbers
+   * @param {string} [params.defaultAgentId] - Agent ID for rows without one
+   * @returns {Object} { tasks, report, mappingErrors }
+   */
+  static buildTasks({ csvText, exclusionText = null, mapping = null, defaultCountryCode = null, defaultAgentId = null }) {
+    const { headers, rows } = parseCsv(csvText);
+    const { mapping: resolvedMapping, errors: mappingErrors } = BatchCallImportService.resolveMapping(headers, mapping);
+
+    const report = {
+      totalRows: rows.length,
+      validRows: 0,
+      mapping: resolvedMapping,
+      rowErrors: [],
+      invalidNumbers: [],
+      duplicates: [],
+      excluded: [],
+      suppressed: [],
+      preview: []
+    };
+
+    if (mappingErrors.length > 0) {
+      return { tasks: [], report, mappingErrors };
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return {
+        tasks: [],
+        report,
+        mappingErrors: [`CSV has ${rows.length} rows; the maximum is ${MAX_IMPORT_ROWS}`]
+      };
+    }
+
+    const exclusions = BatchCallImportService.parseExclusionList(exclusionText, defaultCountryCode);
+    const seenNumbers = new Map(); // number -> first row
+    const tasks = [];
+
+    rows.forEach(({ rowNumber, values }) => {
+      const rawNumber = values[resolvedMapping.to_number];
+      const normalized = normalizeToE164(rawNumber, defaultCountryCode);
+
+      if (!normalized.valid) {
+        report.invalidNumbers.push({
+          row: rowNumber,
+          value: rawNumber || '',
+          reason: normalized.reason
+        });
+        return;
+      }
+
+      const toNumber = normalized.number;
+
+      if (seenNumbers.has(toNumber)) {
+        report.duplicates.push({
+          row: rowNumber,
+          to_number: toNumber,
+          firstRow: seenNumbers.get(toNumber)
+        });
+        return;
+      }
+      seenNumbers.set(toNumber, rowNumber);
+
+      if (exclusions.has(toNumber)) {
+        report.excluded.push({ row: rowNumber, to_number: toNumber });
+        return;
+      }
+
+      const dynamicVariables = {};
+      Object.entries(resolvedMapping.dynamic_variables).forEach(([variableName, column]) => {
+        const value = values[column];
+        if (value !== undefined && value !== '') {
+          dynamicVariables[variableName] = value;
+        }
+      });
+
+      const task = {
+        row: rowNumber,
+        to_number: toNumber,
+        retell_llm_dynamic_variables: dynamicVariables
+      };
+
+      const agentId = (resolvedMapping.agent_id && values[resolvedMapping.agent_id]) || defaultAgentId;
+      if (agentId) {
+        task.agent_id = agentId;
+      }
+
+      tasks.push(task);
+    });
+
+    report.validRows = tasks.length;
+    report.preview = tasks.slice(0, PREVIEW_SIZE);
+
+    return { tasks, report, mappingErrors: [] };
+  }
+
+  /**
+   * Move tasks whose agent does not exist in the subaccount into the row errors
+   * @param {Array} tasks - Tasks from buildTasks
+   * @param {Object} report - Report from buildTasks
+   * @param {Set<string>} knownAgentIds - Agent IDs that exist in the subaccount
+   * @returns {Array} Remaining valid tasks
+   */
+  static rejectUnknownAgents(tasks, report, knownAgentIds) {
+    const validTasks = tasks.filter(task => {
+      if (!task.agent_id || knownAgentIds.has(task.agent_id)) {
+        return true;
+      }
+      report.rowErrors.push({
+        row: task.row,
+        field: 'agent_id',
+        message: `Agent ${task.agent_id} not found`
+      });
+      return false;
+    });
+
+    report.validRows = validTasks.length;
+    report.preview = validTasks.slice(0, PREVIEW_SIZE);
+
+    return validTasks;
+  }
+
+  /**
+   * Move tasks whose number is on the suppression list into the report
+   * @param {Array} tasks - Tasks from buildTasks
+   * @param {Object} report - Report from buildTasks
+   * @param {Map} suppressedNumbers - Suppressed numbers from SuppressionService.findSuppressed
+   * @returns {Array} Remaining valid tasks
+   */
+  static rejectSuppressed(tasks, report, suppressedNumbers) {
+    const validTasks = tasks.filter(task => {
+      if (!suppressedNumbers.has(task.to_number)) {
+        return true;
+      }
+      report.suppressed.push({
+        row: task.row,
+        to_number: task.to_number,
+        source: suppressedNumbers.get(task.to_number).source
+      });
+      return false;
+    });
+
+    report.validRows = validTasks.length;
+    report.preview = validTasks.slice(0, PREVIEW_SIZE);
+
+    return validTasks;
+  }
+}
+
+module.exports = BatchCallImportService;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
@@ -0,0 +1,769 @@
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+
+const COLLECTION_NAME = 'batch_calls';
+
+/**
+ * Per-task statuses
+ */
+const TASK_STATUSES = {
+  QUEUED: 'queued',
+  RINGING: 'ringing',
+  ANSWERED: 'answered',
+  VOICEMAIL: 'voicemail',
+  FAILED: 'failed',
+  BOOKED: 'booked',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Campaign statuses
+ */
+const CAMPAIGN_STATUSES = {
+  SCHEDULED: 'scheduled',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// A task never moves back to a lower rank (e.g. a late "registered" event after "ended").
+// Cancelled tasks were never dialed, so no call event may change them.
+const TASK_STATUS_RANK = {
+  [TASK_STATUSES.QUEUED]: 0,
+  [TASK_STATUSES.RINGING]: 1,
+  [TASK_STATUSES.ANSWERED]: 2,
+  [TASK_STATUSES.VOICEMAIL]: 3,
+  [TASK_STATUSES.FAILED]: 3,
+  [TASK_STATUSES.BOOKED]: 4,
+  [TASK_STATUSES.CANCELLED]: 5
+};
+
+const ACTIVE_CAMPAIGN_STATUSES = [CAMPAIGN_STATUSES.SCHEDULED, CAMPAIGN_STATUSES.IN_PROGRESS];
+
+// How campaigns are dialed: `queue` campaigns are dialed task by task through the
+// scheduled call queue, `retell_batch` campaigns were submitted to Retell as one batch
+const DISPATCH_MODES = {
+  QUEUE: 'queue',
+  RETELL_BATCH: 'retell_batch'
+};
+
+// Attempts to apply a task update when concurrent webhook events change the same task
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Retell disconnection reasons that mean the callee was never reached
+const FAILED_DISCONNECTION_REASONS = [
+  'dial_busy',
+  'dial_failed',
+  'dial_no_answer',
+  'invalid_destination',
+  'telephony_provider_permission_denied',
+  'telephony_provider_unavailable',
+  'sip_routing_error',
+  'marked_as_spam',
+  'user_declined',
+  'concurrency_limit_reached',
+  'no_valid_payment',
+  'scam_detected',
+  'registered_call_timeout'
+];
+
+const ENDED_CALL_STATUSES = ['ended', 'error', 'not_connected'];
+
+class BatchCallService {
+  /**
+   * Get the batch_calls collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection(COLLECTION_NAME);
+  }
+
+  /**
+   * Assign a task ID to every task. The ID is sent to Retell as the
+   * `batch_task_id` dynamic variable so webhook events can be matched to the task.
+   * @param {Array} tasks - Tasks from the request
+   * @returns {Array} Tasks with taskId
+   */
+  static assignTaskIds(tasks) {
+    return tasks.map(task => ({ ...task, taskId: uuidv4() }));
+  }
+
+  /**
+   * Build the campaign document stored for a new batch call.
+   * Its tasks are dialed as single calls through the scheduled call queue.
+   * @param {Object} params - Campaign parameters
+   * @param {string} params.batchCallId - Campaign ID
+   * @param {string} [params.name] - Batch name from the request
+   * @param {string} params.from_number - Caller number
+   * @param {number} [params.scheduledTimestamp] - Requested start time in milliseconds
+   * @param {Array} params.tasks - Tasks with taskId (from assignTaskIds)
+   * @param {string} params.subaccountId - Subaccount ID
+   * @param {string} params.userId - User who created the batch
+   * @param {string} params.operationId - Operation ID
+   * @param {string} params.retellAccountId - Retell account ID
+   * @returns {Object} Campaign document
+   */
+  static buildCampaignDocument({ batchCallId, name, from_number, scheduledTimestamp = null, tasks, subaccountId, userId, operationId, retellAccountId }) {
+    const now = new Date();
+    const isScheduled = !!scheduledTimestamp && scheduledTimestamp > now.getTime();
+
+    const campaignTasks = tasks.map(task => ({
+      taskId: task.taskId,
+      to_number: task.to_number,
+      agent_id: task.agent_id || null,
+      retell_llm_dynamic_variables: task.retell_llm_dynamic_variables || {},
+      status: TASK_STATUSES.QUEUED,
+      call_id: null,
+      call_status: null,
+      disconnection_reason: null,
+      error: null,
+      calling_hours: task.calling_hours || null,
+      updatedAt: now
+    }));
+
+    return {
+      batch_call_id: batchCallId,
+      name: name || null,
+      from_number,
+      scheduled_timestamp: scheduledTimestamp,
+      total_task_count: campaignTasks.length,
+      status: isScheduled ? CAMPAIGN_STATUSES.SCHEDULED : CAMPAIGN_STATUSES.IN_PROGRESS,
+      dispatch: DISPATCH_MODES.QUEUE,
+      tasks: campaignTasks,
+      progress: BatchCallService.countTasks(campaignTasks),
+      subaccountId,
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now,
+      operationId,
+      retellAccountId
+    };
+  }
+
+  /**
+   * Normalize tasks of campaigns stored before per-task tracking existed
+   * @param {Array} tasks - Stored tasks
+   * @returns {Array} Tasks with status fields
+   */
+  static normalizeTasks(tasks = []) {
+    return tasks.map((task, index) => ({
+      taskId: task.taskId || `legacy-${index}`,
+      status: TASK_STATUSES.QUEUED,
+      call_id: null,
+      ...task
+    }));
+  }
+
+  /**
+   * Whether a task will not change anymore
+   * @param {Object} task - Campaign task
+   * @returns {boolean}
+   */
+  static isTaskFinished(task) {
+    return task.status === TASK_STATUSES.CANCELLED ||
+      task.status === TASK_STATUSES.BOOKED ||
+      (task.status === TASK_STATUSES.FAILED && !task.call_id) ||
+      ENDED_CALL_STATUSES.includes(task.call_status);
+  }
+
+  /**
+   * Count tasks per status. These are the counters stored on the campaign;
+   * they are kept up to date with $inc as tasks change.
+   * @param {Array} tasks - Campaign tasks
+   * @returns {Object} { total, finished, <status>: count }
+   */
+  static countTasks(tasks = []) {
+    const counters = {
+      total: tasks.length,
+      finished: 0
+    };
+    Object.values(TASK_STATUSES).forEach(status => {
+      counters[status] = 0;
+    });
+
+    tasks.forEach(task => {
+      const status = task.status || TASK_STATUSES.QUEUED;
+      counters[status] = (counters[status] || 0) + 1;
+      if (BatchCallService.isTaskFinished(task)) {
+        counters.finished++;
+      }
+    });
+
+    return counters;
+  }
+
+  /**
+   * Add percentComplete to stored counters
+   * @param {Object} counters - Counters from countTasks
+   * @returns {Object} Progress counters
+   */
+  static formatProgress(counters) {
+    return {
+      ...counters,
+      percentComplete: counters.total > 0
+        ? Math.round((counters.finished / counters.total) * 100)
+        : 0
+    };
+  }
+
+  /**
+   * Count tasks per status
+   * @param {Array} tasks - Campaign tasks
+   * @returns {Object} Progress counters
+   */
+  static calculateProgress(tasks = []) {
+    return BatchCallService.formatProgress(BatchCallService.countTasks(tasks));
+  }
+
+  /**
+   * Counter changes for a task moving from one state to another
+   * @param {Object} previousTask - Task before the change
+   * @param {Object} nextTask - Task after the change
+   * @returns {Object} $inc document (empty when no counter changes)
+   */
+  static buildProgressIncrement(previousTask, nextTask) {
+    const increment = {};
+    const add = (key, value) => {
+      increment[`progress.${key}`] = (increment[`progress.${key}`] || 0) + value;
+    };
+
+    if (previousTask.status !== nextTask.status) {
+      add(previousTask.status, -1);
+      add(nextTask.status, 1);
+    }
+
+    const wasFinished = BatchCallService.isTaskFinished(previousTask);
+    const isFinished = BatchCallService.isTaskFinished(nextTask);
+    if (wasFinished !== isFinished) {
+      add('finished', isFinished ? 1 : -1);
+    }
+
+    return increment;
+  }
+
+  /**
+   * Derive the task status from a call document
+   * @param {Object} call - Call document (after the webhook update)
+   * @returns {string} Task status
+   */
+  static deriveTaskStatus(call) {
+    const analysis = call.call_analysis || {};
+    const booked = analysis.appointment_booked === true ||
+      analysis.custom_analysis_data?.appointment_booked === true;
+
+    if (booked) {
+      return TASK_STATUSES.BOOKED;
+    }
+    if (call.disconnection_reason === 'voicemail_reached' || analysis.in_voicemail === true) {
+      return TASK_STATUSES.VOICEMAIL;
+    }
+    if (FAILED_DISCONNECTION_REASONS.includes(call.disconnection_reason) ||
+        (call.disconnection_reason || '').startsWith('error_') ||
+        call.call_status === 'error' ||
+        call.call_status === 'not_connected') {
+      return TASK_STATUSES.FAILED;
+    }
+    if (call.call_status === 'ongoing' || call.call_status === 'ended') {
+      return TASK_STATUSES.ANSWERED;
+    }
+    return TASK_STATUSES.RINGING;
+  }
+
+  /**
+   * Find the campaign task a call belongs to.
+   * Matches on batch_task_id first, then on the call ID, then on the first
+   * unlinked task with the same number.
+   * @param {Array} tasks - Campaign tasks
+   * @param {Object} call - Call document
+   * @returns {number} Task index or -1
+   */
+  static findTaskIndex(tasks, call) {
+    const taskId = call.retell_llm_dynamic_variables?.batch_task_id;
+
+    if (taskId) {
+      const index = tasks.findIndex(task => task.taskId === taskId);
+      if (index !== -1) {
+        return index;
+      }
+    }
+
+    const byCallId = tasks.findIndex(task => task.call_id && task.call_id === call.call_id);
+    if (byCallId !== -1) {
+      return byCallId;
+    }
+
+    return tasks.findIndex(task => !task.call_id &&
+      task.status !== TASK_STATUSES.CANCELLED &&
+      task.to_number === call.to_number);
+  }
+
+  /**
+   * Apply a change to one task if the task still is in the state it was read in.
+   * The task and the campaign counters change in one update, so concurrent webhook
+   * events cannot overwrite each other's progress.
+   * @param {Object} collection - batch_calls collection
+   * @param {Object} campaign - Campaign the task was read from ({ batch_call_id, subaccountId })
+   * @param {Object} task - Task as read
+   * @param {Object} changes - Task fields to change
+   * @returns {Promise<Object|null>} Updated campaign (with its refreshed status) or null if the task changed in between
+   */
+  static async applyTaskChange(collection, campaign, task, changes) {
+    const now = new Date();
+    const nextTask = { ...task, ...changes, updatedAt: now };
+
+    const $set = { updatedAt: now };
+    Object.keys(changes).forEach(field => {
+      $set[`tasks.$.${field}`] = changes[field];
+    });
+    $set['tasks.$.updatedAt'] = now;
+
+    const update = { $set };
+    const increment = BatchCallService.buildProgressIncrement(task, nextTask);
+    if (Object.keys(increment).length > 0) {
+      update.$inc = increment;
+    }
+
+    const result = await collection.findOneAndUpdate(
+      {
+        batch_call_id: campaign.batch_call_id,
+        subaccountId: campaign.subaccountId,
+        tasks: {
+          $elemMatch: {
+            taskId: task.taskId,
+            status: task.status,
+            call_id: task.call_id || null,
+            call_status: task.call_status || null
+          }
+        }
+      },
+      update,
+      { returnDocument: 'after' }
+    );
+
+    const updatedCampaign = result.value;
+    if (!updatedCampaign) {
+      return null;
+    }
+
+    const status = await BatchCallService.refreshCampaignStatus(collection, updatedCampaign);
+    return { ...updatedCampaign, status };
+  }
+
+  /**
+   * Move a campaign to in_progress once a task was dialed and to completed once
+   * every task is finished. Cancelled campaigns keep their status.
+   * @param {Object} collection - batch_calls collection
+   * @param {Object} campaign - Campaign after a task change
+   * @returns {Promise<string>} Campaign status
+   */
+  static async refreshCampaignStatus(collection, campaign) {
+    const filter = { batch_call_id: campaign.batch_call_id, subaccountId: campaign.subaccountId };
+    const progress = campaign.progress || {};
+
+    if (ACTIVE_CAMPAIGN_STATUSES.includes(campaign.status) && progress.total > 0 && progress.finished >= progress.total) {
+      const now = new Date();
+      await collection.updateOne(
+        { ...filter, status: { $in: ACTIVE_CAMPAIGN_STATUSES } },
+        { $set: { status: CAMPAIGN_STATUSES.COMPLETED, completedAt: now, updatedAt: now } }
+      );
+      return CAMPAIGN_STATUSES.COMPLETED;
+    }
+
+    if (campaign.status === CAMPAIGN_STATUSES.SCHEDULED && progress.queued < progress.total) {
+      await collection.updateOne(
+        { ...filter, status: CAMPAIGN_STATUSES.SCHEDULED },
+        { $set: { status: CAMPAIGN_STATUSES.IN_PROGRESS } }
+      );
+      return CAMPAIGN_STATUSES.IN_PROGRESS;
+    }
+
+    return campaign.status;
+  }
+
+  /**
+   * Write task IDs and counters onto campaigns stored before per-task tracking existed
+   * @param {Object} collection - batch_calls collection
+   * @param {Object} campaign - Stored campaign
+   * @returns {Promise<boolean>} True if the campaign had to be migrated
+   */
+  static async migrateLegacyCampaign(collection, campaign) {
+    const isLegacy = !campaign.progress || !(campaign.tasks || []).every(task => task.taskId);
+    if (!isLegacy) {
+      return false;
+    }
+
+    const tasks = BatchCallService.normalizeTasks(campaign.tasks);
+    await collection.updateOne(
+      { _id: campaign._id, updatedAt: campaign.updatedAt },
+      { $set: { tasks, progress: BatchCallService.countTasks(tasks), updatedAt: new Date() } }
+    );
+    return true;
+  }
+
+  /**
+   * Update the campaign task linked to a call after a webhook update.
+   * Calls that don't belong to a batch are ignored.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} call - Call document (after the webhook update)
+   * @returns {Promise<Object|null>} { batchCallId, taskId, status, campaignStatus, callingHours } or null if not linked
+   */
+  static async trackCallUpdate(subaccountId, call) {
+    const batchCallId = call.batch_call_id || call.retell_llm_dynamic_variables?.batch_call_id;
+
+    if (!batchCallId) {
+      return null;
+    }
+
+    const collection = await BatchCallService.getCollection(subaccountId, 'webhook-service');
+
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const campaign = await collection.findOne({ batch_call_id: batchCallId, subaccountId });
+
+      if (!campaign) {
+        Logger.debug('Call references unknown batch', {
+          subaccountId,
+          batchCallId,
+          callId: call.call_id
+        });
+        return null;
+      }
+
+      if (await BatchCallService.migrateLegacyCampaign(collection, campaign)) {
+        continue;
+      }
+
+      const taskIndex = BatchCallService.findTaskIndex(campaign.tasks, call);
+
+      if (taskIndex === -1) {
+        Logger.warn('Batch call event could not be matched to a task', {
+          subaccountId,
+          batchCallId,
+          callId: call.call_id,
+          toNumber: call.to_number
+        });
+        return null;
+      }
+
+      const task = campaign.tasks[taskIndex];
+      const derivedStatus = BatchCallService.deriveTaskStatus(call);
+      const status = TASK_STATUS_RANK[derivedStatus] >= TASK_STATUS_RANK[task.status]
+        ? derivedStatus
+        : task.status;
+
+      // An ended call stays ended, whatever order the events arrive in
+      const callStatus = ENDED_CALL_STATUSES.includes(task.call_status)
+        ? task.call_status
+        : call.call_status || task.call_status || null;
+
+      const updatedCampaign = await BatchCallService.applyTaskChange(collection, campaign, task, {
+        status,
+        call_id: call.call_id,
+        call_status: callStatus,
+        disconnection_reason: call.disconnection_reason || task.disconnection_reason || null
+      });
+
+      if (!updatedCampaign) {
+        continue;
+      }
+
+      const campaignStatus = updatedCampaign.status;
+
+      Logger.debug('Batch call task updated', {
+        subaccountId,
+        batchCallId,
+        taskId: task.taskId,
+        callId: call.call_id,
+        status,
+        campaignStatus
+      });
+
+      return {
+        batchCallId,
+        taskId: task.taskId,
+        status,
+        campaignStatus,
+        callingHours: task.calling_hours || null
+      };
+    }
+
+    Logger.warn('Batch call task kept changing, event not applied', {
+      subaccountId,
+      batchCallId,
+      callId: call.call_id
+    });
+    return null;
+  }
+
+  /**
+   * Claim a queued task right before the queue dials it.
+   * Fails when the task was cancelled (or already claimed), so cancelled tasks are never dialed.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} batchCallId - Campaign ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<boolean>} True if the task may be dialed
+   */
+  static async claimTask(subaccountId, batchCallId, taskId) {
+    const collection = await BatchCallService.getCollection(subaccountId, 'system');
+    const updatedCampaign = await BatchCallService.applyTaskChange(
+      collection,
+      { batch_call_id: batchCallId, subaccountId },
+      { taskId, status: TASK_STATUSES.QUEUED, call_id: null, call_status: null },
+      { status: TASK_STATUSES.RINGING }
+    );
+    return !!updatedCampaign;
+  }
+
+  /**
+   * Put a claimed task back in the queue after a dial attempt failed and will be retried
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} batchCallId - Campaign ID
+   * @param {string} taskId - Task ID
+   * @param {string} error - Dial error
+   * @returns {Promise<boolean>} True if the task was released
+   */
+  static async releaseTask(subaccountId, batchCallId, taskId, error) {
+    const collection = await BatchCallService.getCollection(subaccountId, 'system');
+    const updatedCampaign = await BatchCallService.applyTaskChange(
+      collection,
+      { batch_call_id: batchCallId, subaccountId },
+      { taskId, status: TASK_STATUSES.RINGING, call_id: null, call_status: null },
+      { status: TASK_STATUSES.QUEUED, error }
+    );
+    return !!updatedCampaign;
+  }
+
+  /**
+   * Record the call placed for a claimed task
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} batchCallId - Campaign ID
+   * @param {string} taskId - Task ID
+   * @param {Object} call - { call_id, call_status }
+   * @returns {Promise<boolean>} True if the call was linked (false if a webhook linked it first)
+   */
+  static async linkTaskCall(subaccountId, batchCallId, taskId, { call_id, call_status }) {
+    const collection = await BatchCallService.getCollection(subaccountId, 'system');
+    const updatedCampaign = await BatchCallService.applyTaskChange(
+      collection,
+      { batch_call_id: batchCallId, subaccountId },
+      { taskId, status: TASK_STATUSES.RINGING, call_id: null, call_status: null },
+      { call_id, call_status: call_status || 'registered', error: null }
+    );
+    return !!updatedCampaign;
+  }
+
+  /**
+   * Fail a task the queue gave up on without a call (suppressed number, no calling
+   * window left, dial errors after the last attempt)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} batchCallId - Campaign ID
+   * @param {string} taskId - Task ID
+   * @param {string} error - Why the task was not dialed
+   * @returns {Promise<boolean>} True if the task was failed
+   */
+  static async failTask(subaccountId, batchCallId, taskId, error) {
+    const collection = await BatchCallService.getCollection(subaccountId, 'system');
+    const campaign = { batch_call_id: batchCallId, subaccountId };
+
+    for (const status of [TASK_STATUSES.QUEUED, TASK_STATUSES.RINGING]) {
+      const updatedCampaign = await BatchCallService.applyTaskChange(
+        collection,
+        campaign,
+        { taskId, status, call_id: null, call_status: null },
+        { status: TASK_STATUSES.FAILED, error }
+      );
+      if (updatedCampaign) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Cancel a single queued task (its queue entry was cancelled on its own)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} batchCallId - Campaign ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<boolean>} True if the task was cancelled
+   */
+  static async cancelTask(subaccountId, batchCallId, taskId) {
+    const collection = await BatchCallService.getCollection(subaccountId, 'system');
+    const updatedCampaign = await BatchCallService.applyTaskChange(
+      collection,
+      { batch_call_id: batchCallId, subaccountId },
+      { taskId, status: TASK_STATUSES.QUEUED, call_id: null, call_status: null },
+      { status: TASK_STATUSES.CANCELLED }
+    );
+    return !!updatedCampaign;
+  }
+
+  /**
+   * List campaigns (newest first, without tasks)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Filter by campaign status
+   * @param {number} options.limit - Limit number of results (default: 50)
+   * @param {number} options.skip - Skip number of results (default: 0)
+   * @returns {Promise<Object>} { campaigns, total }
+   */
+  static async listCampaigns(subaccountId, userId, { status, limit = 50, skip = 0 } = {}) {
+    const collection = await BatchCallService.getCollection(subaccountId, userId);
+    const query = { subaccountId };
+    if (status) {
+      query.status = status;
+    }
+
+    const [campaigns, total] = await Promise.all([
+      collection.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return {
+      campaigns: campaigns.map(campaign => BatchCallService.formatCampaign(campaign, { includeTasks: false })),
+      total
+    };
+  }
+
+  /**
+   * Get a campaign with its tasks
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} batchCallId - Retell batch call ID
+   * @returns {Promise<Object|null>} Campaign or null if not found
+   */
+  static async getCampaign(subaccountId, userId, batchCallId) {
+    const collection = await BatchCallService.getCollection(subaccountId, userId);
+    const campaign = await collection.findOne({ batch_call_id: batchCallId, subaccountId });
+    return campaign ? BatchCallService.formatCampaign(campaign, { includeTasks: true }) : null;
+  }
+
+  /**
+   * Cancel the tasks of a campaign that have not been dialed yet.
+   * Queued tasks are cancelled in one update; the queue claims a task before dialing it,
+   * so a task is either cancelled or dialed, never both. Campaigns submitted to Retell
+   * as one batch cannot be cancelled because Retell keeps dialing them.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User cancelling the campaign
+   * @param {string} batchCallId - Campaign ID
+   * @returns {Promise<Object|null>} { campaign, cancelledCount, alreadyFinished, notCancellable } or null if not found
+   */
+  static async cancelCampaign(subaccountId, userId, batchCallId) {
+    const collection = await BatchCallService.getCollection(subaccountId, userId);
+    const filter = { batch_call_id: batchCallId, subaccountId };
+    const campaign = await collection.findOne(filter);
+
+    if (!campaign) {
+      return null;
+    }
+
+    const unchanged = {
+      campaign: BatchCallService.formatCampaign(campaign, { includeTasks: false }),
+      cancelledCount: 0,
+      alreadyFinished: false,
+      notCancellable: false
+    };
+
+    if (!ACTIVE_CAMPAIGN_STATUSES.includes(campaign.status || CAMPAIGN_STATUSES.IN_PROGRESS)) {
+      return { ...unchanged, alreadyFinished: true };
+    }
+    if (campaign.dispatch !== DISPATCH_MODES.QUEUE) {
+      return { ...unchanged, notCancellable: true };
+    }
+
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { ...filter, status: { $in: ACTIVE_CAMPAIGN_STATUSES } },
+      {
+        $set: {
+          'tasks.$[task].status': TASK_STATUSES.CANCELLED,
+          'tasks.$[task].updatedAt': now,
+          status: CAMPAIGN_STATUSES.CANCELLED,
+          cancelledAt: now,
+          cancelledBy: userId,
+          updatedAt: now
+        }
+      },
+      {
+        arrayFilters: [{ 'task.status': TASK_STATUSES.QUEUED }],
+        returnDocument: 'before'
+      }
+    );
+
+    if (!result.value) {
+      const current = await collection.findOne(filter);
+      return { ...unchanged, campaign: BatchCallService.formatCampaign(current, { includeTasks: false }), alreadyFinished: true };
+    }
+
+    // Every task that was queued before the update is cancelled now
+    const cancelledCount = result.value.tasks.filter(task => task.status === TASK_STATUSES.QUEUED).length;
+    const updated = await collection.findOneAndUpdate(
+      filter,
+      {
+        $inc: {
+          'progress.queued': -cancelledCount,
+          'progress.cancelled': cancelledCount,
+          'progress.finished': cancelledCount
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    Logger.info('Batch call campaign cancelled', {
+      subaccountId,
+      batchCallId,
+      userId,
+      cancelledCount
+    });
+
+    return {
+      ...unchanged,
+      campaign: BatchCallService.formatCampaign(updated.value, { includeTasks: false }),
+      cancelledCount
+    };
+  }
+
+  /**
+   * Format a stored campaign for API responses
+   * @param {Object} campaign - Stored campaign
+   * @param {Object} options - Format options
+   * @param {boolean} options.includeTasks - Include the task list
+   * @returns {Object} Formatted campaign
+   */
+  static formatCampaign(campaign, { includeTasks = false } = {}) {
+    const tasks = BatchCallService.normalizeTasks(campaign.tasks);
+    const formatted = {
+      batch_call_id: campaign.batch_call_id,
+      name: campaign.name,
+      from_number: campaign.from_number,
+      scheduled_timestamp: campaign.scheduled_timestamp,
+      total_task_count: campaign.total_task_count,
+      status: campaign.status || CAMPAIGN_STATUSES.IN_PROGRESS,
+      dispatch: campaign.dispatch || DISPATCH_MODES.RETELL_BATCH,
+      progress: BatchCallService.formatProgress(campaign.progress || BatchCallService.countTasks(tasks)),
+      createdBy: campaign.createdBy,
+      createdAt: campaign.createdAt,
+      updatedAt: campaign.updatedAt || campaign.createdAt,
+      completedAt: campaign.completedAt || null,
+      cancelledAt: campaign.cancelledAt || null
+    };
+
+    if (includeTasks) {
+      formatted.tasks = tasks;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = BatchCallService;
+module.exports.TASK_STATUSES = TASK_STATUSES;
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
+module.exports.DISPATCH_MODES = DISPATCH_MODES;
@@ -0,0 +1,432 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+const ActivityService = require('./activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+
+const BUDGETS_COLLECTION = 'budgets';
+const BUDGETS_INDEXES = [
+  [{ subaccountId: 1, agentId: 1 }, { unique: true }]
+];
+
+const SCOPES = {
+  SUBACCOUNT: 'subaccount',
+  AGENT: 'agent'
+};
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round((value || 0) * factor) / factor;
+};
+
+// `<subaccountId>:<agentId>:<YYYY-MM>` -> { value, expiresAt }
+const spendCache = new Map();
+
+/**
+ * Monthly spend caps per subaccount and per agent.
+ * Spend is the combined cost of the calls and chats stored this UTC month. Crossing an
+ * alert threshold logs a budget_threshold_reached activity once per month; an enforced
+ * limit blocks new calls and chats until the next month or until it is raised.
+ * Checks and alerts run on every call start and cost webhook, so they reuse the spend
+ * for budgets.spendCacheSeconds instead of aggregating the month each time.
+ */
+class BudgetService {
+  /**
+   * Get the budgets collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId = 'system') {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, BUDGETS_COLLECTION, BUDGETS_INDEXES);
+  }
+
+  /**
+   * The UTC month containing a date
+   * @param {Date} [at] - Date in the month (default: now)
+   * @returns {Object} { month: 'YYYY-MM', start, end (exclusive) }
+   */
+  static getMonth(at = new Date()) {
+    const start = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1));
+    return { month: start.toISOString().slice(0, 7), start, end };
+  }
+
+  /**
+   * Spend of the current month from the stored call and chat costs
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} options - Options
+   * @param {string} [options.agentId] - Only calls and chats of this agent
+   * @param {string} [options.userId] - User ID making the request
+   * @param {boolean} [options.fresh] - Aggregate again instead of using the cached spend
+   * @returns {Promise<Object>} { calls, chats, total } in dollars
+   */
+  static async getSpend(subaccountId, { agentId = null, userId = 'system', fresh = false } = {}) {
+    const { calls, chats, total } = await BudgetService.getMonthlyCosts(subaccountId, { agentId, userId, fresh });
+    return { calls, chats, total };
+  }
+
+  /**
+   * Cached costs of the current month
+   * @returns {Promise<Object>} { calls, chats, total, costedCalls }
+   */
+  static async getMonthlyCosts(subaccountId, { agentId = null, userId = 'system', fresh = false } = {}) {
+    const month = BudgetService.getMonth();
+    const key = `${subaccountId}:${agentId || ''}:${month.month}`;
+    const now = Date.now();
+
+    const cached = spendCache.get(key);
+    if (!fresh && cached && cached.expiresAt > now) {
+      return cached.value;
+    }
+
+    const value = await BudgetService.aggregateCosts(subaccountId, { agentId, userId, month });
+    spendCache.set(key, { value, expiresAt: now + config.budgets.spendCacheSeconds * 1000 });
+    for (const [cachedKey, entry] of spendCache) {
+      if (entry.expiresAt <= now) {
+        spendCache.delete(cachedKey);
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Sum the call and chat costs of a month
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} options - { agentId, userId, month (result of getMonth) }
+   * @returns {Promise<Object>} { calls, chats, total, costedCalls } - costedCalls counts calls with a cost
+   */
+  static async aggregateCosts(subaccountId, { agentId, userId, month }) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const { db } = connectionInfo.connection;
+    const period = { $gte: month.start.getTime(), $lt: month.end.getTime() };
+
+    const sumCost = async (collectionName, costField, agentMatch) => {
+      const cost = `$${costField}.combined_cost`;
+      const [result] = await db.collection(collectionName).aggregate([
+        { $match: { start_timestamp: period, ...agentMatch } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: { $ifNull: [cost, 0] } },
+            costed: { $sum: { $cond: [{ $gt: [cost, 0] }, 1, 0] } }
+          }
+        }
+      ]).toArray();
+      return { total: (result?.total || 0) / 100, costed: result?.costed || 0 }; // Retell reports cents
+    };
+
+    const [calls, chats] = await Promise.all([
+      sumCost('calls', 'call_cost', agentId ? { $or: [{ agent_id: agentId }, { agentId }] } : {}),
+      sumCost('chats', 'chat_cost', agentId ? { agent_id: agentId } : {})
+    ]);
+
+    return {
+      calls: round(calls.total, 4),
+      chats: round(chats.total, 4),
+      total: round(calls.total + chats.total, 4),
+      costedCalls: calls.costed
+    };
+  }
+
+  /**
+   * Estimated cost of one call: the average cost of this month's calls of the subaccount,
+   * or budgets.defaultCallCostEstimate before any call has a cost
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} [userId] - User ID making the request
+   * @returns {Promise<number>} Cost in dollars
+   */
+  static async estimateCallCost(subaccountId, userId = 'system') {
+    const { calls, costedCalls } = await BudgetService.getMonthlyCosts(subaccountId, { userId });
+    return costedCalls > 0 ? round(calls / costedCalls, 4) : config.budgets.defaultCallCostEstimate;
+  }
+
+  /**
+   * Budget with its spend this month
+   * @param {Object} budget - Budget document
+   * @param {Object} spend - Result of getSpend
+   * @returns {Object} Budget status
+   */
+  static formatStatus(budget, spend) {
+    const percentUsed = budget.monthlyLimit > 0 ? round((spend.total / budget.monthlyLimit) * 100, 1) : 0;
+    const exceeded = spend.total >= budget.monthlyLimit;
+
+    return {
+      scope: budget.agentId ? SCOPES.AGENT : SCOPES.SUBACCOUNT,
+      agentId: budget.agentId,
+      monthlyLimit: budget.monthlyLimit,
+      alertThresholds: budget.alertThresholds,
+      enforce: budget.enforce,
+      spend,
+      remaining: round(Math.max(budget.monthlyLimit - spend.total, 0), 4),
+      percentUsed,
+      exceeded,
+      blocking: exceeded && budget.enforce,
+      updatedAt: budget.updatedAt,
+      updatedBy: budget.updatedBy
+    };
+  }
+
+  /**
+   * Spend of the current month and the status of every budget of the subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} { month, resetsAt, currency, spend, budget, agentBudgets }
+   */
+  static async getStatus(subaccountId, userId) {
+    const collection = await BudgetService.getCollection(subaccountId, userId);
+    const budgets = await collection.find({ subaccountId }).sort({ agentId: 1 }).toArray();
+    const { month, end } = BudgetService.getMonth();
+
+    const spend = await BudgetService.getSpend(subaccountId, { userId, fresh: true });
+    const subaccountBudget = budgets.find(budget => !budget.agentId);
+    const agentBudgets = await Promise.all(
+      budgets
+        .filter(budget => budget.agentId)
+        .map(async budget => BudgetService.formatStatus(
+          budget,
+          await BudgetService.getSpend(subaccountId, { agentId: budget.agentId, userId, fresh: true })
+        ))
+    );
+
+    return {
+      month,
+      resetsAt: end,
+      currency: config.usage.currency,
+      spend,
+      budget: subaccountBudget ? BudgetService.formatStatus(subaccountBudget, spend) : null,
+      agentBudgets
+    };
+  }
+
+  /**
+   * Create or replace the budget of the subaccount or of one agent.
+   * Alerts already raised this month are cleared so the new thresholds apply.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string|null} agentId - Agent ID, or null for the subaccount budget
+   * @param {Object} budget - Budget
+   * @param {number} budget.monthlyLimit - Spend limit per month in dollars
+   * @param {Array<number>} [budget.alertThresholds] - Percentages of the limit that raise alerts
+   * @param {boolean} [budget.enforce] - Block new calls and chats at the limit (default: true)
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Budget status
+   */
+  static async setBudget(subaccountId, agentId, { monthlyLimit, alertThresholds, enforce = true }, userId) {
+    const collection = await BudgetService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    const result = await collection.findOneAndUpdate(
+      { subaccountId, agentId },
+      {
+        $set: {
+          monthlyLimit,
+          alertThresholds: [...new Set(alertThresholds || config.budgets.defaultAlertThresholds)].sort((a, b) => a - b),
+          enforce,
+          alerted: {},
+          updatedAt: now,
+          updatedBy: userId
+        },
+        $setOnInsert: { subaccountId, agentId, createdAt: now, createdBy: userId }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    const spend = await BudgetService.getSpend(subaccountId, { agentId, userId, fresh: true });
+    return BudgetService.formatStatus(result.value, spend);
+  }
+
+  /**
+   * Whether a voice or chat agent belongs to the subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<boolean>}
+   */
+  static async agentExists(subaccountId, agentId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const { db } = connectionInfo.connection;
+
+    const [agent, chatAgent] = await Promise.all([
+      db.collection('agents').findOne({ agentId, subaccountId }, { projection: { _id: 1 } }),
+      db.collection('chatagents').findOne({ agentId, subaccountId }, { projection: { _id: 1 } })
+    ]);
+
+    return Boolean(agent || chatAgent);
+  }
+
+  /**
+   * Remove the budget of the subaccount or of one agent
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string|null} agentId - Agent ID, or null for the subaccount budget
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<boolean>} Whether a budget was removed
+   */
+  static async removeBudget(subaccountId, agentId, userId) {
+    const collection = await BudgetService.getCollection(subaccountId, userId);
+    const result = await collection.deleteOne({ subaccountId, agentId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Budgets that apply to a call or chat: the subaccount budget and the agent's budget
+   * @param {Object} collection - budgets collection
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string|null} agentId - Agent of the call or chat
+   * @returns {Promise<Array>} Budget documents
+   */
+  static async findApplicable(collection, subaccountId, agentId) {
+    return collection.find({
+      subaccountId,
+      agentId: { $in: agentId ? [null, agentId] : [null] }
+    }).toArray();
+  }
+
+  /**
+   * Check the enforced budgets before starting calls or chats. A blocked attempt
+   * is logged as a budget_exceeded activity unless logBlocked is false.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string|null} agentId - Agent of the call or chat
+   * @param {Object} context - Attempt context
+   * @param {string} context.action - What was attempted, e.g. 'phone_call'
+   * @param {string} [context.userId] - User making the attempt (default: system)
+   * @param {string} [context.operationId] - Operation ID for tracking
+   * @param {boolean} [context.logBlocked] - Log the blocked attempt as an activity (default: true)
+   * @param {number} [context.estimatedCost] - Expected cost of the attempt; it is blocked when
+   *   the cost does not fit in what is left of a limit (e.g. the calls of a batch)
+   * @returns {Promise<Object|null>} { message, budget, exceeded } for the blocking budget, or null when allowed.
+   *   exceeded is false when the limit is not reached yet but the estimated cost does not fit.
+   */
+  static async checkBudget(subaccountId, agentId, { action, userId = 'system', operationId = null, logBlocked = true, estimatedCost = 0 }) {
+    const collection = await BudgetService.getCollection(subaccountId, userId);
+    const budgets = (await BudgetService.findApplicable(collection, subaccountId, agentId))
+      .filter(budget => budget.enforce);
+
+    // The subaccount budget is checked first
+    budgets.sort((a, b) => (a.agentId ? 1 : 0) - (b.agentId ? 1 : 0));
+
+    for (const budget of budgets) {
+      const spend = await BudgetService.getSpend(subaccountId, { agentId: budget.agentId, userId });
+      if (spend.total + estimatedCost <= budget.monthlyLimit && spend.total < budget.monthlyLimit) {
+        continue;
+      }
+
+      const status = {
+        ...BudgetService.formatStatus(budget, spend),
+        currency: config.usage.currency,
+        resetsAt: BudgetService.getMonth().end
+      };
+      const subject = status.scope === SCOPES.AGENT ? `Agent ${budget.agentId}` : 'The subaccount';
+      const message = status.exceeded
+        ? `${subject} has reached its monthly spend limit of ${budget.monthlyLimit} ${config.usage.currency}`
+        : `${subject} has ${status.remaining} ${config.usage.currency} left of its monthly spend limit, ` +
+          `less than the estimated cost of ${round(estimatedCost)} ${config.usage.currency}`;
+
+      Logger.warn('Blocked by monthly spend limit', {
+        operationId,
+        subaccountId,
+        agentId,
+        action,
+        scope: status.scope,
+        monthlyLimit: budget.monthlyLimit,
+        spend: spend.total,
+        estimatedCost
+      });
+
+      if (!logBlocked) {
+        return { message, budget: status, exceeded: status.exceeded };
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.BUDGET_EXCEEDED,
+        category: ACTIVITY_CATEGORIES.BILLING,
+        userId,
+        description: `Blocked ${action.replace(/_/g, ' ')}: ${message.charAt(0).toLowerCase()}${message.slice(1)}`,
+        metadata: {
+          action,
+          scope: status.scope,
+          monthlyLimit: budget.monthlyLimit,
+          spend: spend.total,
+          ...(estimatedCost > 0 && { estimatedCost: round(estimatedCost, 4) })
+        },
+        resourceId: budget.agentId,
+        resourceName: budget.agentId,
+        operationId,
+        agentId
+      });
+
+      return { message, budget: status, exceeded: status.exceeded };
+    }
+
+    return null;
+  }
+
+  /**
+   * Raise an alert for the highest alert threshold newly crossed this month by the
+   * subaccount budget and the agent's budget. Each threshold alerts once per month.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string|null} agentId - Agent of the call or chat whose cost was recorded
+   * @returns {Promise<Array>} Alerts raised { scope, agentId, threshold, spend }
+   */
+  static async checkAlerts(subaccountId, agentId) {
+    const collection = await BudgetService.getCollection(subaccountId);
+    const budgets = await BudgetService.findApplicable(collection, subaccountId, agentId);
+    const { month } = BudgetService.getMonth();
+    const alerts = [];
+
+    for (const budget of budgets) {
+      const spend = await BudgetService.getSpend(subaccountId, { agentId: budget.agentId });
+      const percentUsed = budget.monthlyLimit > 0 ? (spend.total / budget.monthlyLimit) * 100 : 0;
+      const alreadyAlerted = budget.alerted?.[month] || [];
+      const crossed = budget.alertThresholds.filter(threshold => percentUsed >= threshold && !alreadyAlerted.includes(threshold));
+
+      // Claim each threshold atomically so concurrent webhooks alert once
+      const claimed = [];
+      for (const threshold of crossed) {
+        const result = await collection.updateOne(
+          { _id: budget._id, [`alerted.${month}`]: { $ne: threshold } },
+          { $addToSet: { [`alerted.${month}`]: threshold } }
+        );
+        if (result.modifiedCount > 0) {
+          claimed.push(threshold);
+        }
+      }
+
+      if (claimed.length === 0) {
+        continue;
+      }
+
+      const threshold = Math.max(...claimed);
+      const scope = budget.agentId ? SCOPES.AGENT : SCOPES.SUBACCOUNT;
+      const subject = scope === SCOPES.AGENT ? `Agent ${budget.agentId}` : 'The subaccount';
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.BUDGET_THRESHOLD_REACHED,
+        category: ACTIVITY_CATEGORIES.BILLING,
+        userId: 'system',
+        description: `${subject} has used ${threshold}% of its monthly spend limit (${round(spend.total)} of ${budget.monthlyLimit} ${config.usage.currency})`,
+        metadata: {
+          scope,
+          threshold,
+          month,
+          monthlyLimit: budget.monthlyLimit,
+          spend: spend.total,
+          enforce: budget.enforce
+        },
+        resourceId: budget.agentId,
+        resourceName: budget.agentId,
+        agentId: budget.agentId
+      });
+
+      alerts.push({ scope, agentId: budget.agentId, threshold, spend: spend.total });
+    }
+
+    return alerts;
+  }
+}
+
+module.exports = BudgetService;
+module.exports.SCOPES = SCOPES;
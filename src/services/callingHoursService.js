@@ -0,0 +1,363 @@
+const moment = require('moment-timezone');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const twilioService = require('./twilioService');
+const TimezoneHelper = require('../utils/timezoneHelper');
+const { getTimezonesForAreaCode } = require('../utils/nanpTimezones');
+const { isE164 } = require('../utils/phoneHelper');
+
+const SETTINGS_COLLECTION = 'calling_hours_settings';
+
+const MODES = {
+  REJECT: 'reject',
+  DEFER: 'defer'
+};
+
+const DECISIONS = {
+  ALLOWED: 'allowed',
+  DEFERRED: 'deferred',
+  REJECTED: 'rejected',
+  NOT_ENFORCED: 'not_enforced'
+};
+
+// What to do when a number's timezone cannot be derived
+const UNKNOWN_TIMEZONE_POLICIES = {
+  SUBACCOUNT: 'subaccount',
+  REJECT: 'reject'
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  mode: MODES.REJECT,
+  windows: [{ days: [0, 1, 2, 3, 4, 5, 6], start: '08:00', end: '21:00' }],
+  blackoutDates: [],
+  unknownTimezone: UNKNOWN_TIMEZONE_POLICIES.SUBACCOUNT
+};
+
+// How far ahead to look for the next allowed calling time
+const LOOKAHEAD_DAYS = 14;
+
+// Phone calling code -> ISO country code
+const countryCodeCache = new Map();
+
+/**
+ * Calling-hours compliance.
+ * Derives the callee's timezone from the E.164 number and checks the call time
+ * against the subaccount's allowed windows and blackout dates (in the callee's
+ * local time). When a number maps to several timezones every one of them must
+ * be inside a window.
+ */
+class CallingHoursService {
+  /**
+   * Get the settings collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection(SETTINGS_COLLECTION);
+  }
+
+  /**
+   * Get the calling-hours settings of a subaccount (defaults when never saved)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} Settings
+   */
+  static async getSettings(subaccountId, userId) {
+    const collection = await CallingHoursService.getCollection(subaccountId, userId);
+    const stored = await collection.findOne({ subaccountId });
+
+    if (!stored) {
+      return { ...DEFAULT_SETTINGS, updatedBy: null, updatedAt: null };
+    }
+
+    const { _id, subaccountId: storedSubaccountId, ...settings } = stored;
+    return { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Save the calling-hours settings of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User saving the settings
+   * @param {Object} settings - { enabled, mode, windows, blackoutDates, unknownTimezone }
+   * @returns {Promise<Object>} Saved settings
+   */
+  static async saveSettings(subaccountId, userId, settings) {
+    const collection = await CallingHoursService.getCollection(subaccountId, userId);
+
+    await collection.updateOne(
+      { subaccountId },
+      {
+        $set: {
+          ...settings,
+          updatedBy: userId,
+          updatedAt: new Date()
+        },
+        $setOnInsert: { subaccountId }
+      },
+      { upsert: true }
+    );
+
+    Logger.info('Calling hours settings saved', {
+      subaccountId,
+      userId,
+      enabled: settings.enabled,
+      mode: settings.mode
+    });
+
+    return CallingHoursService.getSettings(subaccountId, userId);
+  }
+
+  /**
+   * Derive the possible timezones of an E.164 number.
+   * +1 numbers use the area code; other numbers use every timezone of the country.
+   * @param {string} phoneNumber - E.164 number
+   * @returns {Object} { callingCode, countryCode, areaCode, timezones, source }
+   */
+  static resolveTimezones(phoneNumber) {
+    const location = { callingCode: null, countryCode: null, areaCode: null, timezones: [], source: null };
+
+    if (!isE164(phoneNumber)) {
+      return location;
+    }
+
+    const digits = phoneNumber.slice(1);
+
+    // Calling codes are 1-3 digits and prefix-free, so the longest match wins
+    for (let length = 3; length >= 1; length--) {
+      if (twilioService.phoneCountryCodeToISO[digits.slice(0, length)]) {
+        location.callingCode = digits.slice(0, length);
+        break;
+      }
+    }
+
+    if (!location.callingCode) {
+      return location;
+    }
+
+    if (!countryCodeCache.has(location.callingCode)) {
+      countryCodeCache.set(
+        location.callingCode,
+        twilioService.normalizeCountryAndAreaCode(location.callingCode, null).countryCode
+      );
+    }
+    location.countryCode = countryCodeCache.get(location.callingCode);
+
+    if (location.callingCode === '1') {
+      location.areaCode = digits.slice(1, 4);
+      const areaTimezones = getTimezonesForAreaCode(location.areaCode);
+      if (areaTimezones) {
+        location.timezones = areaTimezones;
+        location.source = 'area_code';
+        return location;
+      }
+    }
+
+    const countryTimezones = moment.tz.zonesForCountry(location.countryCode) || [];
+    if (countryTimezones.length > 0) {
+      location.timezones = countryTimezones;
+      location.source = 'country';
+    }
+
+    return location;
+  }
+
+  /**
+   * Drop timezones that behave identically over the lookahead period
+   * @param {Array<string>} timezones - IANA timezones
+   * @param {Object} from - moment instant
+   * @returns {Array<string>} Representative timezones
+   */
+  static collapseTimezones(timezones, from) {
+    const until = from.clone().add(LOOKAHEAD_DAYS, 'days');
+    const seen = new Set();
+
+    return timezones.filter(timezone => {
+      const key = `${from.clone().tz(timezone).utcOffset()}|${until.clone().tz(timezone).utcOffset()}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Check an instant against the windows and blackout dates in one timezone
+   * @param {Object} settings - Calling-hours settings
+   * @param {string} timezone - IANA timezone
+   * @param {Object} instant - moment instant
+   * @returns {Object} { allowed, reason }
+   */
+  static checkWindow(settings, timezone, instant) {
+    const local = instant.clone().tz(timezone);
+    const date = local.format('YYYY-MM-DD');
+
+    if (settings.blackoutDates.some(blackout => blackout.date === date)) {
+      return { allowed: false, reason: 'blackout_date' };
+    }
+
+    const minutes = local.hours() * 60 + local.minutes();
+    const inWindow = settings.windows.some(window =>
+      window.days.includes(local.day()) &&
+      minutes >= CallingHoursService.toMinutes(window.start) &&
+      minutes < CallingHoursService.toMinutes(window.end)
+    );
+
+    return inWindow
+      ? { allowed: true, reason: null }
+      : { allowed: false, reason: 'outside_calling_window' };
+  }
+
+  /**
+   * Find the earliest instant at which every timezone is inside a window
+   * @param {Object} settings - Calling-hours settings
+   * @param {Array<string>} timezones - IANA timezones
+   * @param {Object} from - moment instant
+   * @returns {Date|null} Next allowed time, or null if none within the lookahead period
+   */
+  static findNextAllowedTime(settings, timezones, from) {
+    const candidates = [];
+
+    timezones.forEach(timezone => {
+      const firstDay = from.clone().tz(timezone).startOf('day');
+
+      for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+        const day = firstDay.clone().add(offset, 'days');
+
+        settings.windows
+          .filter(window => window.days.includes(day.day()))
+          .forEach(window => {
+            const candidate = moment.tz(`${day.format('YYYY-MM-DD')} ${window.start}`, 'YYYY-MM-DD HH:mm', timezone);
+            if (candidate.isAfter(from)) {
+              candidates.push(candidate);
+            }
+          });
+      }
+    });
+
+    candidates.sort((a, b) => a.valueOf() - b.valueOf());
+
+    const next = candidates.find(candidate =>
+      timezones.every(timezone => CallingHoursService.checkWindow(settings, timezone, candidate).allowed)
+    );
+
+    return next ? next.toDate() : null;
+  }
+
+  /**
+   * Decide whether a number may be called at a given time
+   * @param {Object} settings - Calling-hours settings
+   * @param {string} phoneNumber - E.164 number
+   * @param {Object} options - Evaluation options
+   * @param {Date} [options.at] - Time the call would be placed (default: now)
+   * @param {string} [options.fallbackTimezone] - Subaccount timezone for numbers without a known timezone
+   * @returns {Object} Decision ({ allowed, decision, reason, timezones, localTime, nextAllowedAt, ... })
+   */
+  static evaluate(settings, phoneNumber, { at = new Date(), fallbackTimezone = 'UTC' } = {}) {
+    const location = CallingHoursService.resolveTimezones(phoneNumber);
+    return CallingHoursService.evaluateLocation(settings, location, { at, fallbackTimezone });
+  }
+
+  /**
+   * Decide whether a resolved location may be called at a given time
+   * @param {Object} settings - Calling-hours settings
+   * @param {Object} location - Result of resolveTimezones
+   * @param {Object} options - { at, fallbackTimezone }
+   * @returns {Object} Decision
+   */
+  static evaluateLocation(settings, location, { at = new Date(), fallbackTimezone = 'UTC' } = {}) {
+    const scheduledFor = new Date(at);
+    const base = {
+      countryCode: location.countryCode,
+      timezones: location.timezones,
+      timezoneSource: location.source,
+      scheduledFor,
+      evaluatedAt: new Date()
+    };
+
+    if (!settings.enabled) {
+      return { ...base, allowed: true, decision: DECISIONS.NOT_ENFORCED, reason: null };
+    }
+
+    if (location.timezones.length === 0) {
+      if (settings.unknownTimezone === UNKNOWN_TIMEZONE_POLICIES.REJECT) {
+        return { ...base, allowed: false, decision: DECISIONS.REJECTED, reason: 'unknown_timezone', nextAllowedAt: null };
+      }
+
+      const timezone = TimezoneHelper.isValidTimezone(fallbackTimezone) ? fallbackTimezone : 'UTC';
+      base.timezones = [timezone];
+      base.timezoneSource = 'subaccount';
+    }
+
+    const instant = moment(scheduledFor);
+    const timezones = CallingHoursService.collapseTimezones(base.timezones, instant);
+    base.localTime = instant.clone().tz(base.timezones[0]).format();
+
+    const blocked = timezones
+      .map(timezone => CallingHoursService.checkWindow(settings, timezone, instant))
+      .find(result => !result.allowed);
+
+    if (!blocked) {
+      return { ...base, allowed: true, decision: DECISIONS.ALLOWED, reason: null };
+    }
+
+    const nextAllowedAt = CallingHoursService.findNextAllowedTime(settings, timezones, instant);
+
+    return {
+      ...base,
+      allowed: false,
+      decision: settings.mode === MODES.DEFER && nextAllowedAt ? DECISIONS.DEFERRED : DECISIONS.REJECTED,
+      reason: blocked.reason,
+      nextAllowedAt
+    };
+  }
+
+  /**
+   * Split batch tasks into allowed, deferred and rejected.
+   * Numbers with the same timezones share one evaluation.
+   * @param {Object} settings - Calling-hours settings
+   * @param {Array} tasks - Batch tasks with to_number
+   * @param {Object} options - { at, fallbackTimezone }
+   * @returns {Object} { allowed, deferred, rejected } arrays of { task, callingHours }
+   */
+  static evaluateTasks(settings, tasks, { at = new Date(), fallbackTimezone = 'UTC' } = {}) {
+    const result = { allowed: [], deferred: [], rejected: [] };
+    const decisionsByTimezones = new Map();
+
+    tasks.forEach(task => {
+      const location = CallingHoursService.resolveTimezones(task.to_number);
+      const key = `${location.countryCode}|${location.timezones.join(',')}`;
+
+      if (!decisionsByTimezones.has(key)) {
+        decisionsByTimezones.set(key, CallingHoursService.evaluateLocation(settings, location, { at, fallbackTimezone }));
+      }
+
+      const callingHours = decisionsByTimezones.get(key);
+      const bucket = callingHours.allowed
+        ? result.allowed
+        : callingHours.decision === DECISIONS.DEFERRED ? result.deferred : result.rejected;
+
+      bucket.push({ task, callingHours });
+    });
+
+    return result;
+  }
+
+  /**
+   * Convert "HH:mm" to minutes since midnight ("24:00" is end of day)
+   * @param {string} time - Time of day
+   * @returns {number}
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+}
+
+module.exports = CallingHoursService;
+module.exports.MODES = MODES;
+module.exports.DECISIONS = DECISIONS;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
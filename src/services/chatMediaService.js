@@ -0,0 +1,452 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+const { fetchPublicUrl } = require('../utils/networkGuard');
+const config = require('../../config/config');
+
+// GridFS bucket (chat_media.files / chat_media.chunks) in the tenant database
+const MEDIA_BUCKET = 'chat_media';
+const FILES_INDEXES = [
+  [{ 'metadata.mediaId': 1 }, { unique: true }]
+];
+
+// Media entries kept on a chat session (oldest are dropped)
+const MAX_STORED_CHAT_MEDIA = 200;
+
+const MEDIA_KINDS = {
+  IMAGE: 'image',
+  VOICE: 'voice',
+  AUDIO: 'audio',
+  VIDEO: 'video',
+  DOCUMENT: 'document',
+  STICKER: 'sticker'
+};
+
+const DIRECTIONS = {
+  INBOUND: 'inbound',
+  OUTBOUND: 'outbound'
+};
+
+// Kinds that are transcribed before they are forwarded to the chat agent
+const TRANSCRIBED_KINDS = [MEDIA_KINDS.VOICE, MEDIA_KINDS.AUDIO];
+
+// Channel message types (whatsapp-web.js, Cloud API, Instagram attachments) -> media kind
+const MESSAGE_TYPE_KINDS = {
+  image: MEDIA_KINDS.IMAGE,
+  ptt: MEDIA_KINDS.VOICE,
+  audio: MEDIA_KINDS.AUDIO,
+  video: MEDIA_KINDS.VIDEO,
+  ig_reel: MEDIA_KINDS.VIDEO,
+  document: MEDIA_KINDS.DOCUMENT,
+  file: MEDIA_KINDS.DOCUMENT,
+  sticker: MEDIA_KINDS.STICKER
+};
+
+// File extension -> media kind, for attachments sent by URL
+const EXTENSION_KINDS = {
+  jpg: MEDIA_KINDS.IMAGE, jpeg: MEDIA_KINDS.IMAGE, png: MEDIA_KINDS.IMAGE, gif: MEDIA_KINDS.IMAGE, webp: MEDIA_KINDS.IMAGE,
+  mp3: MEDIA_KINDS.AUDIO, ogg: MEDIA_KINDS.AUDIO, oga: MEDIA_KINDS.AUDIO, m4a: MEDIA_KINDS.AUDIO, aac: MEDIA_KINDS.AUDIO, wav: MEDIA_KINDS.AUDIO, amr: MEDIA_KINDS.AUDIO,
+  mp4: MEDIA_KINDS.VIDEO, mov: MEDIA_KINDS.VIDEO, '3gp': MEDIA_KINDS.VIDEO,
+  pdf: MEDIA_KINDS.DOCUMENT, doc: MEDIA_KINDS.DOCUMENT, docx: MEDIA_KINDS.DOCUMENT, xls: MEDIA_KINDS.DOCUMENT,
+  xlsx: MEDIA_KINDS.DOCUMENT, ppt: MEDIA_KINDS.DOCUMENT, pptx: MEDIA_KINDS.DOCUMENT, txt: MEDIA_KINDS.DOCUMENT, csv: MEDIA_KINDS.DOCUMENT
+};
+
+// MIME type -> file extension, for media that arrives without a file name
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'application/pdf': 'pdf'
+};
+
+// Markdown image syntax the chat agent uses to attach a file to its reply: ![caption](https://.../file.pdf)
+const REPLY_ATTACHMENT_PATTERN = /!\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)/g;
+
+/**
+ * Chat media.
+ * Files received or sent by the WhatsApp and Instagram chat agents are stored per
+ * subaccount in a GridFS bucket, voice notes are transcribed for the chat agent, and
+ * a metadata entry is pushed onto the chat session's `media` array.
+ */
+class ChatMediaService {
+  /**
+   * Get the media bucket of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} { bucket, filesCollection }
+   */
+  static async getBucket(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const { db } = connectionInfo.connection;
+    const filesCollection = await getIndexedCollection(db, `${MEDIA_BUCKET}.files`, FILES_INDEXES);
+
+    return {
+      bucket: new mongoose.mongo.GridFSBucket(db, { bucketName: MEDIA_BUCKET }),
+      filesCollection
+    };
+  }
+
+  /**
+   * Media kind of a message or file
+   * @param {Object} source - { type, mimeType, filename, url }
+   * @returns {string} One of MEDIA_KINDS
+   */
+  static resolveKind({ type, mimeType, filename, url } = {}) {
+    if (type && MESSAGE_TYPE_KINDS[type]) {
+      return MESSAGE_TYPE_KINDS[type];
+    }
+
+    if (mimeType) {
+      if (mimeType.startsWith('image/')) return MEDIA_KINDS.IMAGE;
+      if (mimeType.startsWith('audio/')) return MEDIA_KINDS.AUDIO;
+      if (mimeType.startsWith('video/')) return MEDIA_KINDS.VIDEO;
+    }
+
+    const name = filename || (url ? url.split('?')[0] : '');
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return EXTENSION_KINDS[extension] || (mimeType ? MEDIA_KINDS.DOCUMENT : MEDIA_KINDS.IMAGE);
+  }
+
+  /**
+   * Store a media file
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} media - { buffer, mimeType, filename, kind }
+   * @param {Object} context - { channel, agentId, direction, contactId, messageId, caption }
+   * @returns {Promise<Object>} Media record (without the data)
+   */
+  static async storeMedia(subaccountId, userId, media, context = {}) {
+    const { buffer, mimeType } = media;
+
+    if (buffer.length > config.chatMedia.maxBytes) {
+      const error = new Error(`Media file is too large (${buffer.length} bytes, limit ${config.chatMedia.maxBytes})`);
+      error.code = 'MEDIA_TOO_LARGE';
+      throw error;
+    }
+
+    const mediaId = uuidv4();
+    const kind = media.kind || ChatMediaService.resolveKind({ mimeType, filename: media.filename });
+    const filename = media.filename || `${kind}-${mediaId}.${MIME_EXTENSIONS[(mimeType || '').split(';')[0]] || 'bin'}`;
+
+    const record = {
+      mediaId,
+      kind,
+      mimeType: mimeType || 'application/octet-stream',
+      size: buffer.length,
+      filename,
+      channel: context.channel || null,
+      agentId: context.agentId || null,
+      direction: context.direction || DIRECTIONS.INBOUND,
+      contactId: context.contactId || null,
+      messageId: context.messageId || null,
+      caption: context.caption || null,
+      createdAt: new Date()
+    };
+
+    const { bucket } = await ChatMediaService.getBucket(subaccountId, userId);
+
+    await new Promise((resolve, reject) => {
+      const uploadStream = bucket.openUploadStream(filename, {
+        contentType: record.mimeType,
+        metadata: { ...record, subaccountId, uploadedBy: userId }
+      });
+      uploadStream.on('error', reject);
+      uploadStream.on('finish', resolve);
+      uploadStream.end(buffer);
+    });
+
+    Logger.info('Chat media stored', {
+      subaccountId,
+      mediaId,
+      kind,
+      size: record.size,
+      channel: record.channel,
+      direction: record.direction
+    });
+
+    return record;
+  }
+
+  /**
+   * Download a media file sent by URL.
+   * Only public hosts are fetched, and the download is aborted once it passes
+   * chatMedia.maxBytes instead of being checked after it was buffered.
+   * @param {string} url - Public http(s) URL
+   * @param {Object} options - { filename }
+   * @returns {Promise<Object>} { buffer, mimeType, filename }
+   * @throws {Error} With code URL_NOT_ALLOWED or MEDIA_TOO_LARGE
+   */
+  static async fetchRemoteMedia(url, { filename } = {}) {
+    let download;
+    try {
+      download = await fetchPublicUrl(url, { maxBytes: config.chatMedia.maxBytes });
+    } catch (error) {
+      if (error.code === 'RESPONSE_TOO_LARGE') {
+        const tooLarge = new Error(`Media file is too large (limit ${config.chatMedia.maxBytes} bytes)`);
+        tooLarge.code = 'MEDIA_TOO_LARGE';
+        throw tooLarge;
+      }
+      throw error;
+    }
+
+    const urlName = new URL(url).pathname.split('/').pop();
+
+    return {
+      buffer: download.buffer,
+      mimeType: (download.contentType || '').split(';')[0].trim() || null,
+      filename: filename || (urlName && urlName.includes('.') ? urlName : null)
+    };
+  }
+
+  /**
+   * Open a stored media file for reading
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} mediaId - Media ID
+   * @returns {Promise<Object|null>} { file, stream }, or null if the media does not exist
+   */
+  static async openMedia(subaccountId, userId, mediaId) {
+    const { bucket, filesCollection } = await ChatMediaService.getBucket(subaccountId, userId);
+    const file = await filesCollection.findOne({
+      'metadata.mediaId': mediaId,
+      'metadata.subaccountId': subaccountId
+    });
+
+    if (!file) {
+      return null;
+    }
+
+    return {
+      file,
+      stream: bucket.openDownloadStream(file._id)
+    };
+  }
+
+  /**
+   * Delete stored media files
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Array<string>} mediaIds - Media IDs
+   * @returns {Promise<number>} Number of files deleted
+   */
+  static async deleteMedia(subaccountId, userId, mediaIds) {
+    const { bucket, filesCollection } = await ChatMediaService.getBucket(subaccountId, userId);
+    const files = await filesCollection
+      .find({ 'metadata.mediaId': { $in: mediaIds }, 'metadata.subaccountId': subaccountId }, { projection: { _id: 1 } })
+      .toArray();
+
+    for (const file of files) {
+      await bucket.delete(file._id);
+    }
+
+    return files.length;
+  }
+
+  /**
+   * Store the transcript of a voice note on its file
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} mediaId - Media ID
+   * @param {string} transcript - Transcript text
+   */
+  static async saveTranscript(subaccountId, userId, mediaId, transcript) {
+    const { filesCollection } = await ChatMediaService.getBucket(subaccountId, userId);
+    await filesCollection.updateOne(
+      { 'metadata.mediaId': mediaId, 'metadata.subaccountId': subaccountId },
+      { $set: { 'metadata.transcript': transcript } }
+    );
+  }
+
+  /**
+   * Transcribe an audio file. Returns null when transcription is disabled,
+   * OpenAI is not configured or the request fails, so the message still reaches the agent.
+   * @param {Buffer} buffer - Audio data
+   * @param {Object} media - Media record from storeMedia
+   * @returns {Promise<string|null>} Transcript
+   */
+  static async transcribe(buffer, media) {
+    if (!config.chatMedia.transcriptionEnabled || !config.openai.apiKey) {
+      return null;
+    }
+
+    try {
+      const { getOpenAIHelper } = require('../utils/openai');
+      return await getOpenAIHelper().transcribeAudio(buffer, media.filename, media.mimeType);
+    } catch (error) {
+      Logger.warn('Voice note transcription failed', {
+        mediaId: media.mediaId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Store an incoming media file and transcribe it when it is a voice note or audio.
+   * Failures are logged and return null so the caller can fall back to a placeholder.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - Service user ID
+   * @param {Object} media - { buffer, mimeType, filename, kind }
+   * @param {Object} context - { channel, agentId, contactId, messageId, caption }
+   * @returns {Promise<Object|null>} Media record with `transcript`
+   */
+  static async ingestIncoming(subaccountId, userId, media, context = {}) {
+    try {
+      const record = await ChatMediaService.storeMedia(subaccountId, userId, media, {
+        ...context,
+        direction: DIRECTIONS.INBOUND
+      });
+
+      record.transcript = null;
+      if (TRANSCRIBED_KINDS.includes(record.kind)) {
+        record.transcript = await ChatMediaService.transcribe(media.buffer, record);
+        if (record.transcript) {
+          await ChatMediaService.saveTranscript(subaccountId, userId, record.mediaId, record.transcript);
+        }
+      }
+
+      return record;
+    } catch (error) {
+      Logger.error('Failed to store incoming chat media', {
+        subaccountId,
+        channel: context.channel,
+        messageId: context.messageId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Text sent to the chat agent for a media message.
+   * Retell chat completions only accept text, so the agent gets a context line with
+   * the caption or the voice note transcript.
+   * @param {Object} media - Media record from ingestIncoming
+   * @param {string} [text] - Caption or text sent with the media
+   * @returns {string} Message content
+   */
+  static buildAgentContent(media, text = '') {
+    const caption = (text || '').trim();
+
+    switch (media.kind) {
+      case MEDIA_KINDS.VOICE:
+      case MEDIA_KINDS.AUDIO: {
+        const label = media.kind === MEDIA_KINDS.VOICE ? 'Voice note' : 'Audio';
+        if (media.transcript) {
+          return `[${label} transcript] ${media.transcript}${caption ? `\n${caption}` : ''}`;
+        }
+        return `[${label} received, transcript unavailable] ${caption}`.trim();
+      }
+      case MEDIA_KINDS.DOCUMENT:
+        return `[Document received: ${media.filename}] ${caption}`.trim();
+      case MEDIA_KINDS.IMAGE:
+        return caption ? `[Image received with caption] ${caption}` : '[Image received]';
+      case MEDIA_KINDS.VIDEO:
+        return caption ? `[Video received with caption] ${caption}` : '[Video received]';
+      default:
+        return `[${media.kind} received] ${caption}`.trim();
+    }
+  }
+
+  /**
+   * Split a chat agent reply into text and the attachments it links with ![caption](url).
+   * Only links to a file with a known media extension become attachments; other
+   * images stay in the text as the agent wrote them.
+   * @param {string} reply - Agent reply
+   * @returns {Object} { text, attachments: [{ url, caption, kind }] }
+   */
+  static extractReplyAttachments(reply) {
+    const attachments = [];
+    const text = (reply || '').replace(REPLY_ATTACHMENT_PATTERN, (match, caption, url) => {
+      const fileName = url.split(/[?#]/)[0].split('/').pop();
+      const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+      if (!EXTENSION_KINDS[extension]) {
+        return match;
+      }
+
+      attachments.push({
+        url,
+        caption: caption.trim() || null,
+        kind: ChatMediaService.resolveKind({ url })
+      });
+      return '';
+    });
+
+    return {
+      text: attachments.length > 0 ? text.replace(/\n{3,}/g, '\n\n').trim() : reply,
+      attachments
+    };
+  }
+
+  /**
+   * Push a media entry onto a chat session
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} filter - Chat filter ({ chat_id } or the channel's ongoing-chat filter)
+   * @param {Object} entry - Media record, or { kind, url, caption, ... } for media sent by URL
+   * @returns {Promise<boolean>} True if a chat was updated
+   */
+  static async attachToChat(subaccountId, userId, filter, entry) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const chatsCollection = connectionInfo.connection.db.collection('chats');
+
+    const storedEntry = {
+      mediaId: entry.mediaId || null,
+      direction: entry.direction,
+      kind: entry.kind,
+      mimeType: entry.mimeType || null,
+      size: entry.size || null,
+      filename: entry.filename || null,
+      caption: entry.caption || null,
+      transcript: entry.transcript || null,
+      messageId: entry.messageId || null,
+      // Stored media is served by the chats API; media sent by URL keeps its source URL
+      url: entry.mediaId ? ChatMediaService.mediaUrl(subaccountId, entry.mediaId) : entry.url || null,
+      sentBy: entry.sentBy || null,
+      createdAt: entry.createdAt || new Date()
+    };
+
+    const result = await chatsCollection.updateOne(
+      { ...filter, subaccountId },
+      {
+        $set: { updatedAt: new Date() },
+        $push: { media: { $each: [storedEntry], $slice: -MAX_STORED_CHAT_MEDIA } }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      Logger.debug('No chat found for media entry', {
+        subaccountId,
+        mediaId: storedEntry.mediaId,
+        direction: storedEntry.direction
+      });
+    }
+
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * API path that serves a stored media file
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} mediaId - Media ID
+   * @returns {string} Path
+   */
+  static mediaUrl(subaccountId, mediaId) {
+    return `/api/chats/${subaccountId}/media/${mediaId}`;
+  }
+}
+
+module.exports = ChatMediaService;
+module.exports.MEDIA_KINDS = MEDIA_KINDS;
+module.exports.DIRECTIONS = DIRECTIONS;
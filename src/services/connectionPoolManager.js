@@ -500,7 +500,7 @@ class ConnectionPoolManager {
       );
 
       // Get collection
-      const db = connection.db();
+      const db = connection.db;
       const mongoCollection = db.collection(collection);
 
       let result;
@@ -756,6 +756,35 @@ class ConnectionPoolManager {
     }
   }
 
+  // Ping every open pool without changing its health flag (used by the readiness probe)
+  async pingPools(timeoutMs) {
+    const entries = Array.from(this.pools.entries());
+
+    return Promise.all(entries.map(async ([subaccountId, pool]) => {
+      const startedAt = Date.now();
+      let timer;
+
+      try {
+        if (!pool.connection || pool.connection.readyState !== 1) {
+          throw new Error(`Connection not ready (readyState ${pool.connection?.readyState})`);
+        }
+
+        await Promise.race([
+          pool.connection.db.admin().ping(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Ping timed out after ${timeoutMs}ms`)), timeoutMs);
+          })
+        ]);
+
+        return { subaccountId, ok: true, latencyMs: Date.now() - startedAt };
+      } catch (error) {
+        return { subaccountId, ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+  }
+
   // Clean up idle pools
   async cleanupIdlePools() {
     const now = Date.now();
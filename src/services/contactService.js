@@ -0,0 +1,713 @@
+const { ObjectId } = require('mongodb');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+const { normalizeToE164 } = require('../utils/phoneHelper');
+
+const CONTACTS_COLLECTION = 'contacts';
+const CONTACTS_INDEXES = [
+  // Contacts without identities are not indexed
+  [{ subaccountId: 1, identityKeys: 1 }, { unique: true, partialFilterExpression: { identityKeys: { $type: 'string' } } }],
+  [{ subaccountId: 1, lastSeenAt: -1 }]
+];
+
+// How a person is recognized. Calls and WhatsApp share phone identities (E.164).
+const IDENTITY_TYPES = {
+  PHONE: 'phone',
+  EMAIL: 'email',
+  INSTAGRAM: 'instagram'
+};
+
+// Where a contact has talked to an agent
+const CONTACT_CHANNELS = {
+  PHONE: 'phone',
+  WHATSAPP: 'whatsapp',
+  INSTAGRAM: 'instagram',
+  WEB: 'web'
+};
+
+const TIMELINE_TYPES = {
+  CALL: 'call',
+  CHAT: 'chat',
+  MEETING: 'meeting'
+};
+
+// Dynamic variables that describe the person in calls and web chats (first match wins)
+const DYNAMIC_VARIABLE_KEYS = {
+  name: ['customer_name', 'contact_name', 'name', 'full_name'],
+  phone: ['customer_phone', 'phone', 'phone_number'],
+  email: ['customer_email', 'email']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Contact profiles that link callers and chat users across channels.
+ * Each contact stores its identities as `identityKeys` ("phone:+14155551234",
+ * "email:dana@example.com", "instagram:1789...") with a unique index, so one identity
+ * belongs to at most one contact. Interactions that reveal several identities merge
+ * the contacts that own them. Timelines are built from calls, chats and meetings
+ * matching the contact's identities.
+ */
+class ContactService {
+  /**
+   * Get the contacts collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, CONTACTS_COLLECTION, CONTACTS_INDEXES);
+  }
+
+  /**
+   * Normalize an identity so the same person always gets the same key
+   * @param {string} type - One of IDENTITY_TYPES
+   * @param {string} value - Identity as entered
+   * @param {string} [defaultCountryCode] - Country calling code for national phone numbers
+   * @returns {Object} { valid, key, value, reason }
+   */
+  static normalizeIdentity(type, value, defaultCountryCode = null) {
+    const raw = value === undefined || value === null ? '' : String(value).trim();
+    let normalized = null;
+    let reason = null;
+
+    if (type === IDENTITY_TYPES.PHONE) {
+      const phone = normalizeToE164(raw, defaultCountryCode);
+      normalized = phone.number;
+      reason = phone.reason;
+    } else if (type === IDENTITY_TYPES.EMAIL) {
+      normalized = EMAIL_PATTERN.test(raw) ? raw.toLowerCase() : null;
+      reason = normalized ? null : 'Email address is not valid';
+    } else if (type === IDENTITY_TYPES.INSTAGRAM) {
+      normalized = raw || null;
+      reason = normalized ? null : 'Instagram user ID is empty';
+    } else {
+      reason = `Unknown identity type: ${type}`;
+    }
+
+    return normalized
+      ? { valid: true, key: `${type}:${normalized}`, value: normalized, reason: null }
+      : { valid: false, key: null, value: null, reason };
+  }
+
+  /**
+   * Split an identity key into its type and value
+   * @param {string} key - Identity key
+   * @returns {Object} { type, value }
+   */
+  static parseIdentityKey(key) {
+    const separator = key.indexOf(':');
+    return { type: key.slice(0, separator), value: key.slice(separator + 1) };
+  }
+
+  /**
+   * Name and identities found in call or chat dynamic variables
+   * @param {...Object} sources - Dynamic variable objects (earlier sources win)
+   * @returns {Object} { name, identities }
+   */
+  static extractFromDynamicVariables(...sources) {
+    const variables = Object.assign({}, ...sources.filter(Boolean).reverse());
+    const pick = (keys) => {
+      const key = keys.find(name => typeof variables[name] === 'string' && variables[name].trim());
+      return key ? variables[key].trim() : null;
+    };
+
+    const identities = [];
+    const phone = pick(DYNAMIC_VARIABLE_KEYS.phone);
+    const email = pick(DYNAMIC_VARIABLE_KEYS.email);
+    if (phone) {
+      identities.push({ type: IDENTITY_TYPES.PHONE, value: phone });
+    }
+    if (email) {
+      identities.push({ type: IDENTITY_TYPES.EMAIL, value: email });
+    }
+
+    return { name: pick(DYNAMIC_VARIABLE_KEYS.name), identities };
+  }
+
+  /**
+   * Create or update the contact of an interaction
+   * Contacts sharing one of the identities are merged into the oldest one.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - Service user ID
+   * @param {Object} interaction - { identities: [{ type, value }], name, channel, seenAt }
+   * @returns {Promise<Object|null>} Contact, or null if no identity is valid
+   */
+  static async upsertFromInteraction(subaccountId, userId, { identities, name = null, channel, seenAt = new Date() }) {
+    const keys = [...new Set(identities
+      .map(identity => ContactService.normalizeIdentity(identity.type, identity.value).key)
+      .filter(Boolean))];
+
+    if (keys.length === 0) {
+      return null;
+    }
+
+    const collection = await ContactService.getCollection(subaccountId, userId);
+    const findMatches = () => collection
+      .find({ subaccountId, identityKeys: { $in: keys } })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    let matches = await findMatches();
+
+    if (matches.length === 0) {
+      const now = new Date();
+      const contact = {
+        subaccountId,
+        name: name || null,
+        identityKeys: keys,
+        channels: channel ? [channel] : [],
+        tags: [],
+        customFields: {},
+        mergedContactIds: [],
+        firstSeenAt: seenAt,
+        lastSeenAt: seenAt,
+        createdBy: userId,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      try {
+        const result = await collection.insertOne(contact);
+        return { ...contact, _id: result.insertedId };
+      } catch (error) {
+        // Another message from the same person created the contact first
+        if (error.code !== 11000) {
+          throw error;
+        }
+        matches = await findMatches();
+      }
+    }
+
+    let contact = matches[0];
+    if (matches.length > 1) {
+      contact = await ContactService.merge(subaccountId, userId, contact._id, matches.slice(1).map(match => match._id));
+    }
+
+    const update = {
+      $addToSet: { identityKeys: { $each: keys } },
+      $max: { lastSeenAt: seenAt },
+      $min: { firstSeenAt: seenAt },
+      $set: { updatedAt: new Date() }
+    };
+    if (channel) {
+      update.$addToSet.channels = channel;
+    }
+    if (name && !contact.name) {
+      update.$set.name = name;
+    }
+
+    await collection.updateOne({ _id: contact._id, subaccountId }, update);
+
+    return collection.findOne({ _id: contact._id, subaccountId });
+  }
+
+  /**
+   * Link the caller of a phone call to a contact
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} call - Call document
+   * @returns {Promise<Object|null>} Contact
+   */
+  static async recordCall(subaccountId, call) {
+    if (call.call_type === 'web_call') {
+      return null;
+    }
+
+    const phone = call.direction === 'inbound' ? call.from_number : call.to_number;
+    const { name, identities } = ContactService.extractFromDynamicVariables(
+      call.retell_llm_dynamic_variables,
+      call.collected_dynamic_variables
+    );
+
+    return ContactService.recordInteraction(subaccountId, 'webhook-service', {
+      identities: phone ? [{ type: IDENTITY_TYPES.PHONE, value: phone }, ...identities] : identities,
+      name,
+      channel: CONTACT_CHANNELS.PHONE,
+      seenAt: call.start_timestamp ? new Date(call.start_timestamp) : new Date()
+    });
+  }
+
+  /**
+   * Link a WhatsApp sender to a contact
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} phoneNumber - WhatsApp number without + (WhatsApp ID)
+   * @param {Object} contactInfo - { name }
+   * @returns {Promise<Object|null>} Contact
+   */
+  static async recordWhatsAppContact(subaccountId, phoneNumber, contactInfo = {}) {
+    return ContactService.recordInteraction(subaccountId, 'whatsapp-service', {
+      identities: [{ type: IDENTITY_TYPES.PHONE, value: `+${String(phoneNumber).replace(/\D/g, '')}` }],
+      name: contactInfo.name || null,
+      channel: CONTACT_CHANNELS.WHATSAPP
+    });
+  }
+
+  /**
+   * Link an Instagram sender to a contact
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} instagramUserId - Instagram-scoped user ID
+   * @returns {Promise<Object|null>} Contact
+   */
+  static async recordInstagramSender(subaccountId, instagramUserId) {
+    return ContactService.recordInteraction(subaccountId, 'instagram-service', {
+      identities: [{ type: IDENTITY_TYPES.INSTAGRAM, value: instagramUserId }],
+      channel: CONTACT_CHANNELS.INSTAGRAM
+    });
+  }
+
+  /**
+   * Link a web chat to a contact when its dynamic variables identify the person
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} chat - Chat document
+   * @returns {Promise<Object|null>} Contact
+   */
+  static async recordWebChat(subaccountId, chat) {
+    const { name, identities } = ContactService.extractFromDynamicVariables(chat.retell_llm_dynamic_variables);
+
+    return ContactService.recordInteraction(subaccountId, 'system', {
+      identities,
+      name,
+      channel: CONTACT_CHANNELS.WEB
+    });
+  }
+
+  /**
+   * upsertFromInteraction for message and webhook handlers: failures are logged, never thrown
+   */
+  static async recordInteraction(subaccountId, userId, interaction) {
+    try {
+      return await ContactService.upsertFromInteraction(subaccountId, userId, interaction);
+    } catch (error) {
+      Logger.warn('Failed to update contact', {
+        subaccountId,
+        channel: interaction.channel,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * List contacts, most recently seen first
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} options - { search, tag, channel, limit, skip }
+   * @returns {Promise<Object>} { contacts, total }
+   */
+  static async list(subaccountId, userId, { search, tag, channel, limit = 50, skip = 0 } = {}) {
+    const collection = await ContactService.getCollection(subaccountId, userId);
+
+    const query = { subaccountId };
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ name: pattern }, { identityKeys: pattern }];
+    }
+    if (tag) {
+      query.tags = tag;
+    }
+    if (channel) {
+      query.channels = channel;
+    }
+
+    const [contacts, total] = await Promise.all([
+      collection.find(query).sort({ lastSeenAt: -1, _id: -1 }).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return { contacts, total };
+  }
+
+  /**
+   * Get a contact
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} contactId - Contact ID
+   * @returns {Promise<Object|null>} Contact
+   */
+  static async findById(subaccountId, userId, contactId) {
+    const collection = await ContactService.getCollection(subaccountId, userId);
+    return collection.findOne({ _id: new ObjectId(contactId), subaccountId });
+  }
+
+  /**
+   * Find the contact that owns an identity
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} key - Normalized identity key
+   * @returns {Promise<Object|null>} Contact
+   */
+  static async findByIdentity(subaccountId, userId, key) {
+    const collection = await ContactService.getCollection(subaccountId, userId);
+    return collection.findOne({ subaccountId, identityKeys: key });
+  }
+
+  /**
+   * Identities that already belong to another contact
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Array<string>} keys - Normalized identity keys
+   * @param {string|ObjectId} [excludeId] - Contact being updated
+   * @returns {Promise<Array<Object>>} [{ identity, contactId }]
+   */
+  static async findConflicts(subaccountId, userId, keys, excludeId = null) {
+    if (keys.length === 0) {
+      return [];
+    }
+
+    const collection = await ContactService.getCollection(subaccountId, userId);
+    const query = { subaccountId, identityKeys: { $in: keys } };
+    if (excludeId) {
+      query._id = { $ne: new ObjectId(excludeId) };
+    }
+
+    const owners = await collection.find(query, { projection: { identityKeys: 1 } }).toArray();
+
+    return owners.flatMap(owner => owner.identityKeys
+      .filter(key => keys.includes(key))
+      .map(key => ({ identity: ContactService.parseIdentityKey(key), contactId: owner._id })));
+  }
+
+  /**
+   * Create a contact
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User creating the contact
+   * @param {Object} data - { name, identityKeys, tags, customFields }
+   * @returns {Promise<Object>} Contact
+   */
+  static async create(subaccountId, userId, { name = null, identityKeys = [], tags = [], customFields = {} }) {
+    const collection = await ContactService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    const contact = {
+      subaccountId,
+      name,
+      identityKeys,
+      channels: [],
+      tags: [...new Set(tags)],
+      customFields: ContactService.applyCustomFields({}, customFields),
+      mergedContactIds: [],
+      firstSeenAt: null,
+      lastSeenAt: null,
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await collection.insertOne(contact);
+    return { ...contact, _id: result.insertedId };
+  }
+
+  /**
+   * Update a contact
+   * Tags replace the current tags; custom fields are merged and a null value removes a field.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User updating the contact
+   * @param {string} contactId - Contact ID
+   * @param {Object} changes - { name, tags, customFields, addIdentityKeys, removeIdentityKeys }
+   * @returns {Promise<Object|null>} Updated contact
+   */
+  static async update(subaccountId, userId, contactId, { name, tags, customFields, addIdentityKeys = [], removeIdentityKeys = [] }) {
+    const collection = await ContactService.getCollection(subaccountId, userId);
+    const contact = await collection.findOne({ _id: new ObjectId(contactId), subaccountId });
+
+    if (!contact) {
+      return null;
+    }
+
+    const $set = { updatedAt: new Date(), updatedBy: userId };
+    if (name !== undefined) {
+      $set.name = name || null;
+    }
+    if (tags !== undefined) {
+      $set.tags = [...new Set(tags)];
+    }
+    if (customFields !== undefined) {
+      $set.customFields = ContactService.applyCustomFields(contact.customFields || {}, customFields);
+    }
+    if (addIdentityKeys.length > 0 || removeIdentityKeys.length > 0) {
+      $set.identityKeys = [...new Set([...contact.identityKeys, ...addIdentityKeys])]
+        .filter(key => !removeIdentityKeys.includes(key));
+    }
+
+    await collection.updateOne({ _id: contact._id, subaccountId }, { $set });
+
+    return collection.findOne({ _id: contact._id, subaccountId });
+  }
+
+  /**
+   * Merge contacts into a target contact and delete them
+   * Identities, channels and tags are combined; the target's name and custom fields win.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User merging the contacts
+   * @param {string|ObjectId} targetId - Contact that is kept
+   * @param {Array<string|ObjectId>} sourceIds - Contacts merged into the target
+   * @returns {Promise<Object|null>} Merged contact, or null if the target does not exist
+   */
+  static async merge(subaccountId, userId, targetId, sourceIds) {
+    const collection = await ContactService.getCollection(subaccountId, userId);
+    const target = await collection.findOne({ _id: new ObjectId(targetId), subaccountId });
+
+    if (!target) {
+      return null;
+    }
+
+    const sources = await collection.find({
+      _id: { $in: sourceIds.map(id => new ObjectId(id)).filter(id => !id.equals(target._id)) },
+      subaccountId
+    }).toArray();
+
+    if (sources.length === 0) {
+      return target;
+    }
+
+    const contacts = [target, ...sources];
+    const dates = (field) => contacts.map(contact => contact[field]).filter(Boolean);
+    const earliest = dates('firstSeenAt').sort((a, b) => a - b)[0] || null;
+    const latest = dates('lastSeenAt').sort((a, b) => b - a)[0] || null;
+
+    const mergedIds = sources.map(source => source._id);
+    const sourceKeys = [...new Set(sources.flatMap(source => source.identityKeys || []))];
+
+    // The sources give up their identities first so the target can take them under the
+    // unique index; they are only deleted once the target holds everything
+    await collection.updateMany(
+      { _id: { $in: mergedIds }, subaccountId },
+      { $pull: { identityKeys: { $in: sourceKeys } } }
+    );
+
+    await collection.updateOne(
+      { _id: target._id, subaccountId },
+      {
+        $set: {
+          name: target.name || sources.find(source => source.name)?.name || null,
+          identityKeys: [...new Set(contacts.flatMap(contact => contact.identityKeys || []))],
+          channels: [...new Set(contacts.flatMap(contact => contact.channels || []))],
+          tags: [...new Set(contacts.flatMap(contact => contact.tags || []))],
+          customFields: Object.assign({}, ...sources.map(source => source.customFields || {}).reverse(), target.customFields || {}),
+          mergedContactIds: [
+            ...(target.mergedContactIds || []),
+            ...sources.flatMap(source => [source._id, ...(source.mergedContactIds || [])])
+          ],
+          firstSeenAt: earliest,
+          lastSeenAt: latest,
+          updatedAt: new Date(),
+          updatedBy: userId
+        }
+      }
+    );
+
+    await collection.deleteMany({ _id: { $in: mergedIds }, subaccountId });
+
+    Logger.info('Contacts merged', {
+      subaccountId,
+      contactId: target._id.toString(),
+      mergedContactIds: sources.map(source => source._id.toString())
+    });
+
+    return collection.findOne({ _id: target._id, subaccountId });
+  }
+
+  /**
+   * Delete a contact. Its calls and chats are kept.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User deleting the contact
+   * @param {string} contactId - Contact ID
+   * @returns {Promise<Object|null>} Deleted contact
+   */
+  static async remove(subaccountId, userId, contactId) {
+    const collection = await ContactService.getCollection(subaccountId, userId);
+    const result = await collection.findOneAndDelete({ _id: new ObjectId(contactId), subaccountId });
+    return result.value;
+  }
+
+  /**
+   * Calls, chats and meetings of a contact, newest first
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} contact - Contact document
+   * @param {Object} options - { types, limit }
+   * @returns {Promise<Array<Object>>} Timeline items
+   */
+  static async getTimeline(subaccountId, userId, contact, { types = Object.values(TIMELINE_TYPES), limit = 50 } = {}) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const { db } = connectionInfo.connection;
+
+    const identities = (contact.identityKeys || []).map(ContactService.parseIdentityKey);
+    const valuesOf = (type) => identities.filter(identity => identity.type === type).map(identity => identity.value);
+    const phones = valuesOf(IDENTITY_TYPES.PHONE);
+    const emails = valuesOf(IDENTITY_TYPES.EMAIL);
+    const instagramIds = valuesOf(IDENTITY_TYPES.INSTAGRAM);
+
+    // Calls and chats are also needed to find the meetings booked in them
+    const wantsMeetings = types.includes(TIMELINE_TYPES.MEETING);
+
+    let calls = [];
+    if (phones.length > 0 && (types.includes(TIMELINE_TYPES.CALL) || wantsMeetings)) {
+      calls = await db.collection('calls')
+        .find({
+          subaccountId,
+          $or: [{ from_number: { $in: phones } }, { to_number: { $in: phones } }]
+        }, {
+          projection: {
+            call_id: 1,
+            agent_id: 1,
+            call_type: 1,
+            direction: 1,
+            call_status: 1,
+            start_timestamp: 1,
+            duration_ms: 1,
+            success_rate: 1,
+            'call_analysis.call_summary': 1,
+            'call_analysis.user_sentiment': 1
+          }
+        })
+        .sort({ start_timestamp: -1 })
+        .limit(limit)
+        .toArray();
+    }
+
+    const chatConditions = [];
+    if (phones.length > 0) {
+      // WhatsApp numbers are stored without the +
+      chatConditions.push({ 'metadata.whatsapp_phone': { $in: phones.map(phone => phone.slice(1)) } });
+    }
+    if (instagramIds.length > 0) {
+      chatConditions.push({ 'metadata.instagram_user_id': { $in: instagramIds } });
+    }
+    for (const [kind, values] of [['phone', phones], ['email', emails]]) {
+      if (values.length > 0) {
+        for (const key of DYNAMIC_VARIABLE_KEYS[kind]) {
+          chatConditions.push({ [`retell_llm_dynamic_variables.${key}`]: { $in: values } });
+        }
+      }
+    }
+
+    let chats = [];
+    if (chatConditions.length > 0 && (types.includes(TIMELINE_TYPES.CHAT) || wantsMeetings)) {
+      chats = await db.collection('chats')
+        .find({ subaccountId, $or: chatConditions }, {
+          projection: {
+            chat_id: 1,
+            agent_id: 1,
+            chat_status: 1,
+            start_timestamp: 1,
+            createdAt: 1,
+            message_count: 1,
+            'metadata.channel': 1,
+            'handoff.mode': 1,
+            'chat_analysis.chat_summary': 1
+          }
+        })
+        .sort({ start_timestamp: -1 })
+        .limit(limit)
+        .toArray();
+    }
+
+    let meetings = [];
+    if (wantsMeetings) {
+      const meetingConditions = [];
+      if (calls.length > 0) {
+        meetingConditions.push({ call_id: { $in: calls.map(call => call.call_id) } });
+      }
+      if (chats.length > 0) {
+        meetingConditions.push({ chat_id: { $in: chats.map(chat => chat.chat_id) } });
+      }
+      if (phones.length > 0) {
+        meetingConditions.push({ customerPhone: { $in: phones } });
+      }
+      if (emails.length > 0) {
+        meetingConditions.push({ customerEmail: { $in: emails } });
+      }
+
+      if (meetingConditions.length > 0) {
+        // Meetings booked by voice agents do not always carry a subaccountId
+        meetings = await db.collection('meetings')
+          .find({
+            $and: [
+              { $or: [{ subaccountId }, { subaccountId: { $exists: false } }] },
+              { $or: meetingConditions }
+            ]
+          })
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .toArray();
+      }
+    }
+
+    const items = [];
+    if (types.includes(TIMELINE_TYPES.CALL)) {
+      items.push(...calls.map(call => ({
+        type: TIMELINE_TYPES.CALL,
+        id: call.call_id,
+        at: call.start_timestamp ? new Date(call.start_timestamp) : null,
+        channel: CONTACT_CHANNELS.PHONE,
+        agentId: call.agent_id || null,
+        summary: call.call_analysis?.call_summary || null,
+        details: {
+          callType: call.call_type || null,
+          direction: call.direction || null,
+          status: call.call_status || null,
+          durationMs: call.duration_ms || null,
+          sentiment: call.call_analysis?.user_sentiment || null,
+          successRate: call.success_rate ?? null
+        }
+      })));
+    }
+    if (types.includes(TIMELINE_TYPES.CHAT)) {
+      items.push(...chats.map(chat => ({
+        type: TIMELINE_TYPES.CHAT,
+        id: chat.chat_id,
+        at: chat.start_timestamp ? new Date(chat.start_timestamp) : chat.createdAt || null,
+        channel: chat.metadata?.channel || CONTACT_CHANNELS.WEB,
+        agentId: chat.agent_id || null,
+        summary: chat.chat_analysis?.chat_summary || null,
+        details: {
+          status: chat.chat_status || null,
+          messageCount: chat.message_count || 0,
+          mode: chat.handoff?.mode || 'bot'
+        }
+      })));
+    }
+    items.push(...meetings.map(meeting => ({
+      type: TIMELINE_TYPES.MEETING,
+      id: meeting._id,
+      at: meeting.createdAt || null,
+      channel: meeting.call_id ? CONTACT_CHANNELS.PHONE : null,
+      agentId: meeting.agentId || null,
+      summary: meeting.title || null,
+      details: {
+        date: meeting.date || null,
+        startTime: meeting.startTime || null,
+        endTime: meeting.endTime || null,
+        callId: meeting.call_id || null,
+        chatId: meeting.chat_id || null
+      }
+    })));
+
+    return items
+      .sort((a, b) => (b.at ? new Date(b.at).getTime() : 0) - (a.at ? new Date(a.at).getTime() : 0))
+      .slice(0, limit);
+  }
+
+  /**
+   * Apply custom field changes (null removes a field)
+   */
+  static applyCustomFields(current, changes) {
+    const fields = { ...current };
+    for (const [key, value] of Object.entries(changes || {})) {
+      if (value === null) {
+        delete fields[key];
+      } else {
+        fields[key] = value;
+      }
+    }
+    return fields;
+  }
+}
+
+module.exports = ContactService;
+module.exports.IDENTITY_TYPES = IDENTITY_TYPES;
+module.exports.CONTACT_CHANNELS = CONTACT_CHANNELS;
+module.exports.TIMELINE_TYPES = TIMELINE_TYPES;
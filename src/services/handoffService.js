@@ -0,0 +1,523 @@
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const redisService = require('./redisService');
+const ActivityService = require('./activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const config = require('../../config/config');
+
+// Who answers the contact
+const MODES = {
+  BOT: 'bot', // the Retell chat agent
+  HUMAN: 'human', // a team member; unassigned conversations wait in the inbox
+  PAUSED: 'paused' // nobody replies automatically and the conversation is not in the waiting inbox
+};
+
+// What moved a conversation out of bot mode
+const SOURCES = {
+  USER_REQUEST: 'user_request',
+  AGENT_TOOL: 'agent_tool',
+  OPERATOR: 'operator'
+};
+
+// Inbox filters
+const INBOX_STATUSES = {
+  AWAITING: 'awaiting', // human mode, not claimed
+  CLAIMED: 'claimed', // human mode, claimed
+  PAUSED: 'paused',
+  ALL: 'all' // anything that is not in bot mode
+};
+
+// Channels whose conversations can be handed off (chats created through the chats API cannot)
+const HANDOFF_CHANNELS = ['whatsapp', 'instagram'];
+
+// Messages exchanged while a human owns the conversation (oldest are dropped)
+const MAX_STORED_HANDOFF_MESSAGES = 500;
+
+// Phrases that ask for a person instead of the bot
+const HUMAN_REQUEST_PHRASES = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a|an|the|some)?\s*(human|person|real person|live (agent|person)|agent|representative|rep|operator|someone)\b/gi,
+  /\b(real|live|actual)\s+(person|human|agent)\b/gi,
+  /\bhuman\s+(agent|being|support)\b/gi,
+  /\b(customer service|support)\s+(agent|representative|rep)\b/gi,
+  /\b(can|could)\s+i\s+(get|have)\s+(a|an)\s+(human|person|representative|agent)\b/gi
+];
+
+// A phrase preceded by one of these in the same clause is not a request ("I don't want to talk to a human")
+const NEGATION_PATTERN = /\b(not|never|no need|don'?t|do not|doesn'?t|does not|didn'?t|did not|won'?t|wouldn'?t|without)\b/i;
+const CLAUSE_SEPARATOR = /[.!?,;:\n]|\b(?:but|and then)\b/i;
+
+const alreadyClaimedError = (handoff) => {
+  const error = new Error(`Conversation is already claimed by ${handoff.assignedTo}`);
+  error.code = 'HANDOFF_ALREADY_CLAIMED';
+  error.handoff = handoff;
+  return error;
+};
+
+/**
+ * Live-agent handoff for WhatsApp and Instagram conversations.
+ * The mode is stored on the chat session as `handoff`; while it is not `bot`, incoming
+ * messages are kept in `handoff_messages` for the team instead of being sent to the
+ * chat agent.
+ */
+class HandoffService {
+  /**
+   * Get the chats collection of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection('chats');
+  }
+
+  /**
+   * Mode of a chat session (chats without handoff state are in bot mode)
+   * @param {Object} chatDocument - Chat document
+   * @returns {string} One of MODES
+   */
+  static getMode(chatDocument) {
+    return chatDocument?.handoff?.mode || MODES.BOT;
+  }
+
+  /**
+   * Whether a message asks to talk to a person
+   * @param {string} text - Message text
+   * @returns {boolean}
+   */
+  static detectHumanRequest(text) {
+    if (!config.chatHandoff.detectUserRequests || !text) {
+      return false;
+    }
+
+    const normalized = text.replace(/[\u2018\u2019]/g, "'");
+    return HUMAN_REQUEST_PHRASES.some(pattern => [...normalized.matchAll(pattern)].some(match => {
+      const clause = normalized.slice(0, match.index).split(CLAUSE_SEPARATOR).pop() || '';
+      return !NEGATION_PATTERN.test(clause);
+    }));
+  }
+
+  /**
+   * Find a handoff tool call in a chat completion response
+   * @param {Object} response - Retell chat completion response
+   * @returns {Object|null} { name, reason } of the first handoff tool call
+   */
+  static findHandoffToolCall(response) {
+    const invocation = (response?.messages || []).find(message =>
+      message.role === 'tool_call_invocation' && config.chatHandoff.toolNames.includes(message.name)
+    );
+
+    if (!invocation) {
+      return null;
+    }
+
+    let args = {};
+    try {
+      args = invocation.arguments ? JSON.parse(invocation.arguments) : {};
+    } catch (error) {
+      // Arguments are free-form; the reason is optional
+    }
+
+    return {
+      name: invocation.name,
+      reason: args.reason || args.summary || null
+    };
+  }
+
+  /**
+   * Find the ongoing chat session matching a channel filter
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - Service user ID
+   * @param {Object} filter - Channel filter ({ agent_id, 'metadata.whatsapp_phone' } or { agent_id, 'metadata.instagram_user_id' })
+   * @returns {Promise<Object|null>} Chat document
+   */
+  static async findOngoingChat(subaccountId, userId, filter) {
+    const chatsCollection = await HandoffService.getCollection(subaccountId, userId);
+    return chatsCollection.findOne(
+      { ...filter, subaccountId, chat_status: 'ongoing' },
+      { projection: { chat_id: 1, agent_id: 1, handoff: 1, metadata: 1 } }
+    );
+  }
+
+  /**
+   * Load a chat that can be handed off
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Object>} Chat document
+   */
+  static async getHandoffChat(subaccountId, userId, chatId) {
+    const chatsCollection = await HandoffService.getCollection(subaccountId, userId);
+    const chatDocument = await chatsCollection.findOne({ chat_id: chatId, subaccountId });
+
+    if (!chatDocument) {
+      const error = new Error('Chat not found');
+      error.code = 'CHAT_NOT_FOUND';
+      throw error;
+    }
+
+    if (!HANDOFF_CHANNELS.includes(chatDocument.metadata?.channel)) {
+      const error = new Error('Only WhatsApp and Instagram conversations can be handed off');
+      error.code = 'HANDOFF_NOT_SUPPORTED';
+      throw error;
+    }
+
+    if (chatDocument.chat_status !== 'ongoing') {
+      const error = new Error('Chat has ended');
+      error.code = 'CHAT_NOT_ONGOING';
+      throw error;
+    }
+
+    return chatDocument;
+  }
+
+  /**
+   * Hand a conversation to the team. It waits in the inbox until someone claims it.
+   * Conversations that are already with a human keep their assignee.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} chatId - Chat ID
+   * @param {Object} options - { source, reason, userId }
+   * @returns {Promise<Object|null>} Handoff state, or null if the chat was not in bot mode
+   */
+  static async escalate(subaccountId, chatId, { source, reason = null, userId = 'system' }) {
+    const chatsCollection = await HandoffService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    const handoff = {
+      mode: MODES.HUMAN,
+      assignedTo: null,
+      source,
+      reason,
+      requestedAt: now,
+      claimedAt: null,
+      updatedBy: userId,
+      updatedAt: now
+    };
+
+    const result = await chatsCollection.findOneAndUpdate(
+      {
+        chat_id: chatId,
+        subaccountId,
+        'handoff.mode': { $ne: MODES.HUMAN }
+      },
+      { $set: { handoff, updatedAt: now } },
+      { returnDocument: 'after', projection: { chat_id: 1, agent_id: 1, metadata: 1 } }
+    );
+
+    const chatDocument = result.value;
+    if (!chatDocument) {
+      return null;
+    }
+
+    Logger.info('Chat escalated to a human', {
+      subaccountId,
+      chatId,
+      source,
+      reason
+    });
+
+    await HandoffService.afterChange(subaccountId, chatDocument, {
+      activityType: ACTIVITY_TYPES.CHAT_ESCALATED,
+      userId,
+      description: `${HandoffService.describeContact(chatDocument)} was handed to a human (${source})`,
+      metadata: { source, reason }
+    });
+
+    return handoff;
+  }
+
+  /**
+   * Claim a conversation for a team member
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User claiming the conversation
+   * @param {string} chatId - Chat ID
+   * @param {Object} options - { force } takes over a conversation claimed by someone else
+   * @returns {Promise<Object>} Handoff state
+   */
+  static async claim(subaccountId, userId, chatId, { force = false } = {}) {
+    const chatDocument = await HandoffService.getHandoffChat(subaccountId, userId, chatId);
+    const current = chatDocument.handoff || {};
+
+    if (current.mode === MODES.HUMAN && current.assignedTo && current.assignedTo !== userId && !force) {
+      throw alreadyClaimedError(current);
+    }
+
+    const now = new Date();
+    const handoff = {
+      mode: MODES.HUMAN,
+      assignedTo: userId,
+      source: current.mode === MODES.HUMAN ? current.source : SOURCES.OPERATOR,
+      reason: current.mode === MODES.HUMAN ? current.reason : null,
+      requestedAt: current.mode === MODES.HUMAN ? current.requestedAt : now,
+      claimedAt: now,
+      updatedBy: userId,
+      updatedAt: now
+    };
+
+    await HandoffService.saveHandoff(subaccountId, userId, chatDocument, handoff, { force });
+
+    await HandoffService.afterChange(subaccountId, chatDocument, {
+      activityType: ACTIVITY_TYPES.CHAT_CLAIMED,
+      userId,
+      description: `Conversation with ${HandoffService.describeContact(chatDocument)} was claimed`,
+      metadata: { previousAssignee: current.assignedTo || null, forced: !!(force && current.assignedTo && current.assignedTo !== userId) }
+    });
+
+    return handoff;
+  }
+
+  /**
+   * Give a conversation back to the chat agent
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User releasing the conversation
+   * @param {string} chatId - Chat ID
+   * @param {Object} options - { force } releases a conversation claimed by someone else
+   * @returns {Promise<Object>} Handoff state
+   */
+  static async release(subaccountId, userId, chatId, { force = false } = {}) {
+    return HandoffService.setMode(subaccountId, userId, chatId, MODES.BOT, { force });
+  }
+
+  /**
+   * Set the mode of a conversation
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User changing the mode
+   * @param {string} chatId - Chat ID
+   * @param {string} mode - One of MODES
+   * @param {Object} options - { reason, force } (force changes a conversation claimed by someone else)
+   * @returns {Promise<Object>} Handoff state
+   */
+  static async setMode(subaccountId, userId, chatId, mode, { reason = null, force = false } = {}) {
+    const chatDocument = await HandoffService.getHandoffChat(subaccountId, userId, chatId);
+    const previousMode = HandoffService.getMode(chatDocument);
+    const assignedTo = chatDocument.handoff?.assignedTo || null;
+
+    if (assignedTo && assignedTo !== userId && !force) {
+      throw alreadyClaimedError(chatDocument.handoff);
+    }
+
+    const now = new Date();
+
+    const handoff = {
+      mode,
+      assignedTo: null,
+      source: SOURCES.OPERATOR,
+      reason,
+      requestedAt: mode === MODES.HUMAN ? now : null,
+      claimedAt: null,
+      updatedBy: userId,
+      updatedAt: now
+    };
+
+    await HandoffService.saveHandoff(subaccountId, userId, chatDocument, handoff, { force });
+
+    const activityTypes = {
+      [MODES.BOT]: ACTIVITY_TYPES.CHAT_RELEASED,
+      [MODES.HUMAN]: ACTIVITY_TYPES.CHAT_ESCALATED,
+      [MODES.PAUSED]: ACTIVITY_TYPES.CHAT_PAUSED
+    };
+
+    await HandoffService.afterChange(subaccountId, chatDocument, {
+      activityType: activityTypes[mode],
+      userId,
+      description: `Conversation with ${HandoffService.describeContact(chatDocument)} was set to ${mode} mode`,
+      metadata: { previousMode, mode, reason }
+    });
+
+    return handoff;
+  }
+
+  /**
+   * Store the handoff state of a chat if its assignee did not change since it was read.
+   * Without force, only unassigned conversations and the user's own can change; with force,
+   * the assignee that was read must still hold the conversation. A concurrent claim wins
+   * and this call fails with HANDOFF_ALREADY_CLAIMED.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User changing the handoff
+   * @param {Object} chatDocument - Chat document the change was based on
+   * @param {Object} handoff - New handoff state
+   * @param {Object} options - { force }
+   */
+  static async saveHandoff(subaccountId, userId, chatDocument, handoff, { force = false } = {}) {
+    const chatsCollection = await HandoffService.getCollection(subaccountId, userId);
+    const readAssignee = chatDocument.handoff?.assignedTo || null;
+
+    const result = await chatsCollection.findOneAndUpdate(
+      {
+        chat_id: chatDocument.chat_id,
+        subaccountId,
+        chat_status: 'ongoing',
+        'handoff.assignedTo': force ? readAssignee : { $in: [null, userId] }
+      },
+      { $set: { handoff, updatedAt: handoff.updatedAt } },
+      { projection: { chat_id: 1 } }
+    );
+
+    if (result.value) {
+      return;
+    }
+
+    const latest = await chatsCollection.findOne(
+      { chat_id: chatDocument.chat_id, subaccountId },
+      { projection: { chat_status: 1, handoff: 1 } }
+    );
+    if (latest?.chat_status !== 'ongoing') {
+      const error = new Error('Chat has ended');
+      error.code = 'CHAT_NOT_ONGOING';
+      throw error;
+    }
+    throw alreadyClaimedError(latest.handoff);
+  }
+
+  /**
+   * Keep a message exchanged while the chat agent is not replying
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} chatId - Chat ID
+   * @param {Object} message - { direction, text, messageId, mediaId, sentBy }
+   */
+  static async recordMessage(subaccountId, userId, chatId, message) {
+    const chatsCollection = await HandoffService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    const storedMessage = {
+      direction: message.direction,
+      text: message.text || null,
+      messageId: message.messageId || null,
+      mediaId: message.mediaId || null,
+      sentBy: message.sentBy || null,
+      createdAt: now
+    };
+
+    const update = {
+      $set: { updatedAt: now, lastMessageAt: now },
+      $push: { handoff_messages: { $each: [storedMessage], $slice: -MAX_STORED_HANDOFF_MESSAGES } }
+    };
+    if (message.direction === 'inbound') {
+      // Contact messages stay unread in the inbox until the conversation is marked as read
+      update.$inc = { unread_count: 1 };
+    }
+
+    await chatsCollection.updateOne({ chat_id: chatId, subaccountId }, update);
+
+    await HandoffService.invalidateChatCache(subaccountId, chatId);
+  }
+
+  /**
+   * List conversations that are not handled by the chat agent
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} options - { status, assignedTo, agentId, channel, limit, skip }
+   * @returns {Promise<Object>} { conversations, total }
+   */
+  static async listInbox(subaccountId, userId, { status = INBOX_STATUSES.AWAITING, assignedTo = null, agentId = null, channel = null, limit = 50, skip = 0 } = {}) {
+    const chatsCollection = await HandoffService.getCollection(subaccountId, userId);
+
+    const query = { subaccountId, chat_status: 'ongoing' };
+    if (status === INBOX_STATUSES.AWAITING) {
+      query['handoff.mode'] = MODES.HUMAN;
+      query['handoff.assignedTo'] = null;
+    } else if (status === INBOX_STATUSES.CLAIMED) {
+      query['handoff.mode'] = MODES.HUMAN;
+      query['handoff.assignedTo'] = assignedTo || { $ne: null };
+    } else if (status === INBOX_STATUSES.PAUSED) {
+      query['handoff.mode'] = MODES.PAUSED;
+    } else {
+      query['handoff.mode'] = { $in: [MODES.HUMAN, MODES.PAUSED] };
+      if (assignedTo) {
+        query['handoff.assignedTo'] = assignedTo;
+      }
+    }
+    if (agentId) {
+      query.agent_id = agentId;
+    }
+    if (channel) {
+      query['metadata.channel'] = channel;
+    }
+
+    const [conversations, total] = await Promise.all([
+      chatsCollection
+        .find(query, {
+          projection: {
+            chat_id: 1,
+            agent_id: 1,
+            metadata: 1,
+            handoff: 1,
+            lastMessageAt: 1,
+            updatedAt: 1,
+            handoff_messages: { $slice: -1 }
+          }
+        })
+        // Longest-waiting first
+        .sort({ 'handoff.requestedAt': 1, updatedAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      chatsCollection.countDocuments(query)
+    ]);
+
+    return {
+      conversations: conversations.map(chat => ({
+        chat_id: chat.chat_id,
+        agent_id: chat.agent_id,
+        channel: chat.metadata?.channel || null,
+        contact: {
+          id: chat.metadata?.whatsapp_phone || chat.metadata?.instagram_user_id || null,
+          name: chat.metadata?.contact_name || null
+        },
+        handoff: chat.handoff,
+        lastMessage: chat.handoff_messages?.[0] || null,
+        lastMessageAt: chat.lastMessageAt || chat.updatedAt || null
+      })),
+      total
+    };
+  }
+
+  /**
+   * Log the activity of a handoff change and drop cached chat data
+   */
+  static async afterChange(subaccountId, chatDocument, { activityType, userId, description, metadata }) {
+    await HandoffService.invalidateChatCache(subaccountId, chatDocument.chat_id);
+
+    await ActivityService.logActivity({
+      subaccountId,
+      activityType,
+      category: ACTIVITY_CATEGORIES.CHAT,
+      userId,
+      description,
+      metadata: {
+        chatId: chatDocument.chat_id,
+        channel: chatDocument.metadata?.channel || null,
+        ...metadata
+      },
+      resourceId: chatDocument.chat_id,
+      resourceName: HandoffService.describeContact(chatDocument),
+      agentId: chatDocument.agent_id
+    });
+  }
+
+  static async invalidateChatCache(subaccountId, chatId) {
+    try {
+      if (redisService.isConnected) {
+        await redisService.invalidateChat(subaccountId, chatId);
+        await redisService.invalidateChatList(subaccountId);
+      }
+    } catch (error) {
+      Logger.warn('Failed to invalidate chat cache', {
+        subaccountId,
+        chatId,
+        error: error.message
+      });
+    }
+  }
+
+  static describeContact(chatDocument) {
+    const metadata = chatDocument.metadata || {};
+    return metadata.contact_name || metadata.whatsapp_phone || metadata.instagram_user_id || chatDocument.chat_id;
+  }
+}
+
+module.exports = HandoffService;
+module.exports.MODES = MODES;
+module.exports.SOURCES = SOURCES;
+module.exports.INBOX_STATUSES = INBOX_STATUSES;
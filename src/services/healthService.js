@@ -0,0 +1,254 @@
+const axios = require('axios');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const redisService = require('./redisService');
+const connectionPoolManager = require('./connectionPoolManager');
+const platformStore = require('./platformStore');
+const whatsappService = require('./whatsappService');
+const instagramService = require('./instagramService');
+
+const STATUSES = {
+  UP: 'up',
+  DEGRADED: 'degraded', // answering, but slow or partly failing
+  DOWN: 'down'
+};
+
+/**
+ * Health probes for the orchestrator.
+ * Readiness probes every dependency with a timeout. A critical dependency that is down
+ * makes the instance not ready; anything else that is slow or down only degrades it.
+ * Liveness only checks the process itself, since restarting the instance does not fix
+ * a dependency outage.
+ */
+class HealthService {
+  /**
+   * Probe all dependencies
+   * @returns {Promise<Object>} { status, checks, connectors }
+   */
+  static async getReadiness() {
+    const checkList = await Promise.all([
+      HealthService.runCheck('tenantDatabases', true, () => HealthService.checkTenantDatabases()),
+      HealthService.runCheck('platformDatabase', false, () => HealthService.checkPlatformDatabase()),
+      HealthService.runCheck('authServer', false, () => HealthService.checkHttpService(config.authServer.url)),
+      HealthService.runCheck('tenantManager', false, () => HealthService.checkHttpService(config.tenantManager.url)),
+      HealthService.runCheck('redis', false, () => HealthService.checkRedis())
+    ]);
+
+    const checks = {};
+    checkList.forEach(({ name, ...check }) => {
+      checks[name] = check;
+    });
+
+    const status = HealthService.combineStatuses(checkList);
+    if (status !== STATUSES.UP) {
+      Logger.warn('Readiness check is not healthy', {
+        status,
+        failing: checkList.filter(check => check.status !== STATUSES.UP).map(check => `${check.name}:${check.status}`)
+      });
+    }
+
+    return {
+      status,
+      checks,
+      connectors: HealthService.getConnectorCounts()
+    };
+  }
+
+  /**
+   * Check the process: event loop lag and memory
+   * @returns {Promise<Object>} { status, eventLoopLagMs, memory }
+   */
+  static async getLiveness() {
+    const eventLoopLagMs = await HealthService.measureEventLoopLag();
+    const memory = process.memoryUsage();
+
+    return {
+      status: eventLoopLagMs > config.health.maxEventLoopLagMs ? STATUSES.DEGRADED : STATUSES.UP,
+      eventLoopLagMs,
+      memory: {
+        rssMb: Math.round(memory.rss / 1024 / 1024 * 100) / 100,
+        heapUsedMb: Math.round(memory.heapUsed / 1024 / 1024 * 100) / 100,
+        heapTotalMb: Math.round(memory.heapTotal / 1024 / 1024 * 100) / 100
+      }
+    };
+  }
+
+  /**
+   * Run a probe with the configured timeout and time it
+   * @param {string} name - Dependency name
+   * @param {boolean} critical - Whether the instance is not ready without it
+   * @param {Function} probe - Resolves to { status?, message?, details? }; throws when the dependency is down
+   * @returns {Promise<Object>} { name, status, critical, latencyMs, message, details }
+   */
+  static async runCheck(name, critical, probe) {
+    const timeoutMs = config.health.checkTimeoutMs;
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const result = await Promise.race([
+        probe(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+        })
+      ]);
+
+      const latencyMs = Date.now() - startedAt;
+      let status = result?.status || STATUSES.UP;
+      if (status === STATUSES.UP && latencyMs > config.health.degradedLatencyMs) {
+        status = STATUSES.DEGRADED;
+      }
+
+      return {
+        name,
+        status,
+        critical,
+        latencyMs,
+        message: result?.message || (status === STATUSES.DEGRADED ? `Slow response (${latencyMs}ms)` : 'OK'),
+        ...(result?.details && { details: result.details })
+      };
+    } catch (error) {
+      return {
+        name,
+        status: STATUSES.DOWN,
+        critical,
+        latencyMs: Date.now() - startedAt,
+        message: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Ping every open tenant connection pool. Pool failures are logged with their
+   * subaccount; the response only has counts because the endpoint is public.
+   * @returns {Promise<Object>} Probe result
+   */
+  static async checkTenantDatabases() {
+    const results = await connectionPoolManager.pingPools(config.health.checkTimeoutMs);
+    const failed = results.filter(result => !result.ok);
+    const details = { openPools: results.length, failedPools: failed.length };
+
+    if (results.length === 0) {
+      return { message: 'No open tenant connections', details };
+    }
+
+    if (failed.length > 0) {
+      Logger.warn('Tenant database ping failed', {
+        pools: failed.map(result => ({ subaccountId: result.subaccountId, error: result.error }))
+      });
+
+      if (failed.length === results.length) {
+        throw new Error(`All ${results.length} tenant connections failed`);
+      }
+      return {
+        status: STATUSES.DEGRADED,
+        message: `${failed.length} of ${results.length} tenant connections failed`,
+        details
+      };
+    }
+
+    return { message: `${results.length} tenant connections healthy`, details };
+  }
+
+  /**
+   * Ping the platform database (worker indexes, Meta webhook routes, rate limit plans).
+   * Not critical: it is shared by every instance, so failing readiness would take all of
+   * them out of rotation while tenant requests still work.
+   * @returns {Promise<Object>} Probe result
+   */
+  static async checkPlatformDatabase() {
+    if (!platformStore.isConfigured) {
+      return { message: 'Not configured, platform state is kept in memory' };
+    }
+
+    await platformStore.ping();
+    return {};
+  }
+
+  /**
+   * Call the /api/health endpoint of another ScalAI service.
+   * Not critical: the services are shared by every instance, and cached permissions and
+   * open tenant connections keep serving requests while they are down.
+   * @param {string} baseUrl - Service URL
+   * @returns {Promise<Object>} Probe result
+   */
+  static async checkHttpService(baseUrl) {
+    const response = await axios.get(`${baseUrl}/api/health`, {
+      timeout: config.health.checkTimeoutMs,
+      validateStatus: () => true
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    return {};
+  }
+
+  /**
+   * Ping Redis. The server runs without Redis (no caching, in-process worker state),
+   * so Redis is not critical.
+   * @returns {Promise<Object>} Probe result
+   */
+  static async checkRedis() {
+    if (!redisService.isConnected) {
+      throw new Error('Redis client not connected');
+    }
+
+    await redisService.ping();
+    return {};
+  }
+
+  /**
+   * Count the chat connectors held by this instance
+   * @returns {Object} { whatsapp: { active, connected }, instagram: { active, connected } }
+   */
+  static getConnectorCounts() {
+    const count = (connectors) => {
+      const list = Array.from(connectors.values());
+      return {
+        active: list.length,
+        connected: list.filter(connector => connector.isConnected).length
+      };
+    };
+
+    return {
+      whatsapp: count(whatsappService.activeConnectors),
+      instagram: count(instagramService.activeConnectors)
+    };
+  }
+
+  /**
+   * Combine check results: a critical check that is down makes the instance down,
+   * any other problem makes it degraded
+   * @param {Array} checks - Check results
+   * @returns {string} Overall status
+   */
+  static combineStatuses(checks) {
+    if (checks.some(check => check.critical && check.status === STATUSES.DOWN)) {
+      return STATUSES.DOWN;
+    }
+    if (checks.some(check => check.status !== STATUSES.UP)) {
+      return STATUSES.DEGRADED;
+    }
+    return STATUSES.UP;
+  }
+
+  /**
+   * Measure how long a callback waits in the event loop
+   * @returns {Promise<number>} Lag in milliseconds
+   */
+  static measureEventLoopLag() {
+    const startedAt = process.hrtime.bigint();
+    return new Promise(resolve => {
+      setImmediate(() => {
+        resolve(Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100);
+      });
+    });
+  }
+}
+
+module.exports = HealthService;
+module.exports.STATUSES = STATUSES;
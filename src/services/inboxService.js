@@ -0,0 +1,467 @@
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+
+// Where a conversation takes place; chats created through the chats API are web chats
+const INBOX_CHANNELS = {
+  WEB: 'web',
+  WHATSAPP: 'whatsapp',
+  INSTAGRAM: 'instagram'
+};
+
+// Who wrote a normalized message
+const SENDERS = {
+  CONTACT: 'contact',
+  AGENT: 'agent', // the Retell chat agent
+  OPERATOR: 'operator', // a team member
+  SYSTEM: 'system'
+};
+
+const MESSAGING_CHANNELS = [INBOX_CHANNELS.WHATSAPP, INBOX_CHANNELS.INSTAGRAM];
+const TEXT_ROLES = ['user', 'agent', 'assistant'];
+const SEARCH_INDEX = [
+  {
+    transcript: 'text',
+    'messages.content': 'text',
+    'handoff_messages.text': 'text',
+    'metadata.contact_name': 'text'
+  },
+  { name: 'inbox_search', default_language: 'none' }
+];
+
+/**
+ * One conversation list for web chats, WhatsApp and Instagram.
+ * Every channel is stored in `chats`; this service lists them with a shared shape,
+ * cursor pagination and unread counters, and merges the agent transcript, messages
+ * exchanged during a handoff and media into one normalized message model.
+ * `unread_count` is incremented for each contact message and reset when the
+ * conversation is marked as read.
+ */
+class InboxService {
+  /**
+   * Get the chats collection of a subaccount.
+   * The full-text index used by inbox search is created the first time the collection
+   * is used on a connection. A collection can only have one text index, so a failure
+   * is logged and search is left to fail.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const { db } = connectionInfo.connection;
+
+    try {
+      return await getIndexedCollection(db, 'chats', [SEARCH_INDEX]);
+    } catch (error) {
+      Logger.warn('Failed to create inbox search index', { subaccountId, error: error.message });
+      return db.collection('chats');
+    }
+  }
+
+  /**
+   * Channel of a chat document
+   * @param {Object} chatDocument - Chat document
+   * @returns {string} One of INBOX_CHANNELS
+   */
+  static getChannel(chatDocument) {
+    const channel = chatDocument?.metadata?.channel;
+    return MESSAGING_CHANNELS.includes(channel) ? channel : INBOX_CHANNELS.WEB;
+  }
+
+  /**
+   * Encode the position after a conversation
+   * @param {Object} conversation - Conversation with lastActivityAt and id
+   * @returns {string} Opaque cursor
+   */
+  static encodeCursor(conversation) {
+    return Buffer.from(JSON.stringify({
+      at: conversation.lastActivityAt ? new Date(conversation.lastActivityAt).toISOString() : null,
+      id: conversation.id
+    })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor returned by listConversations
+   * @param {string} cursor - Opaque cursor
+   * @returns {Object} { at, id }
+   */
+  static decodeCursor(cursor) {
+    try {
+      const { at, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      const date = at ? new Date(at) : null;
+
+      if (typeof id !== 'string' || (date && isNaN(date.getTime()))) {
+        throw new Error('Malformed cursor');
+      }
+
+      return { at: date, id };
+    } catch (error) {
+      const cursorError = new Error('Invalid cursor');
+      cursorError.code = 'INVALID_CURSOR';
+      throw cursorError;
+    }
+  }
+
+  /**
+   * Query for the conversations after a cursor position, in the list order
+   * (inbox_activity_at descending, then chat_id descending)
+   * @param {Object} position - { at, id } from decodeCursor
+   * @returns {Object} MongoDB query on inbox_activity_at and chat_id
+   */
+  static buildCursorQuery(position) {
+    // Conversations without any timestamp sort last, and $lt never matches them
+    if (!position.at) {
+      return { inbox_activity_at: null, chat_id: { $lt: position.id } };
+    }
+
+    return {
+      $or: [
+        { inbox_activity_at: { $lt: position.at } },
+        { inbox_activity_at: position.at, chat_id: { $lt: position.id } },
+        { inbox_activity_at: null }
+      ]
+    };
+  }
+
+  /**
+   * Build the query for conversation filters
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} filters - { channel, agentId, status, mode, contact, unread, search }
+   * @returns {Object} MongoDB query
+   */
+  static buildQuery(subaccountId, { channel, agentId, status, mode, contact, unread, search } = {}) {
+    const query = { subaccountId };
+    const conditions = [];
+
+    if (search) {
+      // $text must be at the top level of the first $match
+      query.$text = { $search: search };
+    }
+    if (channel === INBOX_CHANNELS.WEB) {
+      query['metadata.channel'] = { $nin: MESSAGING_CHANNELS };
+    } else if (channel) {
+      query['metadata.channel'] = channel;
+    }
+    if (agentId) {
+      query.agent_id = agentId;
+    }
+    if (status) {
+      query.chat_status = status;
+    }
+    if (mode === 'bot') {
+      conditions.push({ $or: [{ 'handoff.mode': 'bot' }, { 'handoff.mode': { $exists: false } }] });
+    } else if (mode) {
+      query['handoff.mode'] = mode;
+    }
+    if (contact) {
+      const pattern = { $regex: contact.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      conditions.push({
+        $or: [
+          { 'metadata.whatsapp_phone': pattern },
+          { 'metadata.instagram_user_id': pattern },
+          { 'metadata.contact_name': pattern }
+        ]
+      });
+    }
+    if (unread === true) {
+      query.unread_count = { $gt: 0 };
+    } else if (unread === false) {
+      query.unread_count = { $not: { $gt: 0 } };
+    }
+
+    if (conditions.length > 0) {
+      query.$and = conditions;
+    }
+
+    return query;
+  }
+
+  /**
+   * List conversations across channels, most recent activity first
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} options - Filters (see buildQuery), limit and cursor
+   * @returns {Promise<Object>} { conversations, nextCursor }
+   */
+  static async listConversations(subaccountId, userId, { limit = 25, cursor = null, ...filters } = {}) {
+    const chatsCollection = await InboxService.getCollection(subaccountId, userId);
+
+    const pipeline = [
+      { $match: InboxService.buildQuery(subaccountId, filters) },
+      {
+        $addFields: {
+          inbox_activity_at: { $ifNull: ['$lastMessageAt', { $ifNull: ['$updatedAt', '$createdAt'] }] }
+        }
+      }
+    ];
+
+    if (cursor) {
+      pipeline.push({ $match: InboxService.buildCursorQuery(InboxService.decodeCursor(cursor)) });
+    }
+
+    pipeline.push(
+      { $sort: { inbox_activity_at: -1, chat_id: -1 } },
+      // One extra document tells whether there is a next page
+      { $limit: limit + 1 },
+      {
+        $project: {
+          _id: 0,
+          chat_id: 1,
+          agent_id: 1,
+          chat_status: 1,
+          start_timestamp: 1,
+          message_count: 1,
+          metadata: 1,
+          handoff: 1,
+          unread_count: 1,
+          last_read_at: 1,
+          inbox_activity_at: 1,
+          // The last message of each source; tool calls are skipped when normalizing
+          messages: { $slice: [{ $ifNull: ['$messages', []] }, -5] },
+          handoff_messages: { $slice: [{ $ifNull: ['$handoff_messages', []] }, -1] },
+          media: { $slice: [{ $ifNull: ['$media', []] }, -1] }
+        }
+      }
+    );
+
+    const chats = await chatsCollection.aggregate(pipeline).toArray();
+    const page = chats.slice(0, limit).map(chat => InboxService.formatConversation(chat));
+
+    return {
+      conversations: page,
+      nextCursor: chats.length > limit ? InboxService.encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  /**
+   * Unread counters for the conversation list
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} options - { agentId }
+   * @returns {Promise<Object>} { unreadConversations, unreadMessages, byChannel }
+   */
+  static async getCounters(subaccountId, userId, { agentId = null } = {}) {
+    const chatsCollection = await InboxService.getCollection(subaccountId, userId);
+
+    const match = { subaccountId, unread_count: { $gt: 0 } };
+    if (agentId) {
+      match.agent_id = agentId;
+    }
+
+    const rows = await chatsCollection.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$metadata.channel',
+          conversations: { $sum: 1 },
+          messages: { $sum: '$unread_count' }
+        }
+      }
+    ]).toArray();
+
+    const byChannel = Object.values(INBOX_CHANNELS).reduce((counters, channel) => {
+      counters[channel] = { conversations: 0, messages: 0 };
+      return counters;
+    }, {});
+
+    for (const row of rows) {
+      const channel = InboxService.getChannel({ metadata: { channel: row._id } });
+      byChannel[channel].conversations += row.conversations;
+      byChannel[channel].messages += row.messages;
+    }
+
+    return {
+      unreadConversations: rows.reduce((total, row) => total + row.conversations, 0),
+      unreadMessages: rows.reduce((total, row) => total + row.messages, 0),
+      byChannel
+    };
+  }
+
+  /**
+   * Normalized messages of a conversation, oldest first
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} chatId - Chat ID
+   * @param {Object} options - { limit, before } returns the latest messages created before `before`
+   * @returns {Promise<Object>} { conversation, messages, hasMore }
+   */
+  static async getMessages(subaccountId, userId, chatId, { limit = 100, before = null } = {}) {
+    const chatsCollection = await InboxService.getCollection(subaccountId, userId);
+    const chatDocument = await chatsCollection.findOne({ chat_id: chatId, subaccountId });
+
+    if (!chatDocument) {
+      const error = new Error('Chat not found');
+      error.code = 'CHAT_NOT_FOUND';
+      throw error;
+    }
+
+    let messages = InboxService.normalizeMessages(chatDocument);
+    if (before) {
+      messages = messages.filter(message => message.createdAt && message.createdAt < before);
+    }
+
+    return {
+      conversation: InboxService.formatConversation(chatDocument),
+      messages: messages.slice(-limit),
+      hasMore: messages.length > limit
+    };
+  }
+
+  /**
+   * Mark a conversation as read
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User marking the conversation
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Object>} { chat_id, unreadCount, lastReadAt }
+   */
+  static async markRead(subaccountId, userId, chatId) {
+    const chatsCollection = await InboxService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    const result = await chatsCollection.updateOne(
+      { chat_id: chatId, subaccountId },
+      { $set: { unread_count: 0, last_read_at: now, last_read_by: userId } }
+    );
+
+    if (result.matchedCount === 0) {
+      const error = new Error('Chat not found');
+      error.code = 'CHAT_NOT_FOUND';
+      throw error;
+    }
+
+    return { chat_id: chatId, unreadCount: 0, lastReadAt: now };
+  }
+
+  /**
+   * Shared shape of a conversation in the inbox
+   * @param {Object} chat - Chat document (or inbox projection)
+   * @returns {Object} Conversation
+   */
+  static formatConversation(chat) {
+    const metadata = chat.metadata || {};
+    const messages = InboxService.normalizeMessages(chat);
+
+    return {
+      id: chat.chat_id,
+      agentId: chat.agent_id,
+      channel: InboxService.getChannel(chat),
+      status: chat.chat_status,
+      mode: chat.handoff?.mode || 'bot',
+      assignedTo: chat.handoff?.assignedTo || null,
+      contact: {
+        id: metadata.whatsapp_phone || metadata.instagram_user_id || null,
+        name: metadata.contact_name || null
+      },
+      lastMessage: messages[messages.length - 1] || null,
+      lastActivityAt: chat.inbox_activity_at || chat.lastMessageAt || chat.updatedAt || chat.createdAt || null,
+      unreadCount: chat.unread_count || 0,
+      lastReadAt: chat.last_read_at || null,
+      messageCount: chat.message_count || 0,
+      startedAt: chat.start_timestamp ? new Date(chat.start_timestamp) : null
+    };
+  }
+
+  /**
+   * Merge the agent transcript, handoff messages and media of a chat into one timeline
+   * @param {Object} chat - Chat document
+   * @returns {Array<Object>} Normalized messages, oldest first
+   */
+  static normalizeMessages(chat) {
+    const channel = InboxService.getChannel(chat);
+    const mediaById = new Map();
+    const linkedMedia = new Set();
+
+    for (const entry of chat.media || []) {
+      if (entry.mediaId) {
+        mediaById.set(entry.mediaId, entry);
+      }
+    }
+
+    const transcriptMessages = (chat.messages || [])
+      .filter(message => TEXT_ROLES.includes(message.role) && message.content)
+      .map(message => ({
+        id: message.message_id || null,
+        chatId: chat.chat_id,
+        channel,
+        direction: message.role === 'user' ? 'inbound' : 'outbound',
+        sender: message.role === 'user' ? SENDERS.CONTACT : SENDERS.AGENT,
+        senderId: null,
+        type: 'text',
+        text: message.content,
+        media: null,
+        createdAt: message.created_timestamp ? new Date(message.created_timestamp) : null
+      }));
+
+    const handoffMessages = (chat.handoff_messages || []).map(message => {
+      const media = message.mediaId ? mediaById.get(message.mediaId) : null;
+      if (media) {
+        linkedMedia.add(media);
+      }
+
+      return {
+        id: message.messageId || null,
+        chatId: chat.chat_id,
+        channel,
+        direction: message.direction,
+        sender: InboxService.resolveSender(message.sentBy),
+        senderId: InboxService.resolveSender(message.sentBy) === SENDERS.OPERATOR ? message.sentBy : null,
+        type: media ? 'media' : 'text',
+        text: message.text || null,
+        media: media ? InboxService.formatMedia(media) : null,
+        createdAt: message.createdAt ? new Date(message.createdAt) : null
+      };
+    });
+
+    const mediaMessages = (chat.media || [])
+      .filter(entry => !linkedMedia.has(entry))
+      .map(entry => ({
+        id: entry.messageId || null,
+        chatId: chat.chat_id,
+        channel,
+        direction: entry.direction,
+        sender: InboxService.resolveSender(entry.sentBy),
+        senderId: InboxService.resolveSender(entry.sentBy) === SENDERS.OPERATOR ? entry.sentBy : null,
+        type: 'media',
+        text: entry.caption || entry.transcript || null,
+        media: InboxService.formatMedia(entry),
+        createdAt: entry.createdAt ? new Date(entry.createdAt) : null
+      }));
+
+    // Stable sort keeps source order for messages without a timestamp
+    return [...transcriptMessages, ...handoffMessages, ...mediaMessages]
+      .sort((a, b) => (a.createdAt?.getTime() || 0) - (b.createdAt?.getTime() || 0));
+  }
+
+  /**
+   * Map a stored `sentBy` value to one of SENDERS
+   */
+  static resolveSender(sentBy) {
+    if (sentBy === 'contact') {
+      return SENDERS.CONTACT;
+    }
+    if (sentBy === 'agent') {
+      return SENDERS.AGENT;
+    }
+    if (!sentBy || sentBy === 'system') {
+      return SENDERS.SYSTEM;
+    }
+    return SENDERS.OPERATOR;
+  }
+
+  static formatMedia(entry) {
+    return {
+      mediaId: entry.mediaId || null,
+      kind: entry.kind,
+      mimeType: entry.mimeType || null,
+      filename: entry.filename || null,
+      size: entry.size || null,
+      url: entry.url || null,
+      transcript: entry.transcript || null
+    };
+  }
+}
+
+module.exports = InboxService;
+module.exports.INBOX_CHANNELS = INBOX_CHANNELS;
+module.exports.SENDERS = SENDERS;
@@ -1,7 +1,22 @@
 const InstagramConnector = require('../connectors/InstagramConnector');
+const { EVENT_KINDS } = InstagramConnector;
 const Logger = require('../utils/logger');
 const connectionPoolManager = require('./connectionPoolManager');
 const redisService = require('./redisService');
+const SuppressionService = require('./suppressionService');
+const { CHANNELS } = SuppressionService;
+const ContactService = require('./contactService');
+const ChatMediaService = require('./chatMediaService');
+const { DIRECTIONS } = ChatMediaService;
+const HandoffService = require('./handoffService');
+const { MODES: HANDOFF_MODES, SOURCES: HANDOFF_SOURCES } = HandoffService;
+const MetaWebhookService = require('./metaWebhookService');
+const { CHANNELS: META_CHANNELS } = MetaWebhookService;
+const config = require('../../config/config');
+const { assertPublicUrl } = require('../utils/networkGuard');
+
+// Webhook events kept on a chat session (oldest are dropped)
+const MAX_STORED_CHAT_EVENTS = 200;
 
 /**
  * Instagram Service
@@ -97,19 +112,7 @@ class InstagramService {
         connector.pageId = config.pageId;
       }
 
-      // Setup callbacks to update database
-      connector.onReady(async () => {
-        await this.updateConnectionStatus(subaccountId, agentId, userId, 'connected');
-      });
-
-      connector.onDisconnect(async (reason) => {
-        await this.updateConnectionStatus(subaccountId, agentId, userId, 'disconnected', { reason });
-      });
-
-      // Setup message handler
-      connector.onMessage(async (message) => {
-        await this.handleIncomingMessage(subaccountId, agentId, message);
-      });
+      this.attachHandlers(connector, subaccountId, agentId, userId);
 
       // Initialize connector
       await connector.initialize();
@@ -144,6 +147,63 @@ class InstagramService {
     }
   }
 
+  /**
+   * Register the database and message handlers of a connector
+   */
+  attachHandlers(connector, subaccountId, agentId, userId) {
+    // Setup callbacks to update database
+    connector.onReady(async () => {
+      await this.updateConnectionStatus(subaccountId, agentId, userId, 'connected');
+    });
+
+    connector.onDisconnect(async (reason) => {
+      await this.updateConnectionStatus(subaccountId, agentId, userId, 'disconnected', { reason });
+    });
+
+    // Setup message handler
+    connector.onMessage(async (message) => {
+      await this.handleIncomingMessage(subaccountId, agentId, message);
+    });
+
+    // Setup handlers for the other webhook events
+    [EVENT_KINDS.READ, EVENT_KINDS.REACTION, EVENT_KINDS.POSTBACK, EVENT_KINDS.ECHO].forEach(kind => {
+      connector.onEvent(kind, async (event) => {
+        await this.handleWebhookEvent(subaccountId, agentId, event);
+      });
+    });
+  }
+
+  /**
+   * Get the connector that handles webhooks of a subaccount/agent, restoring it from
+   * the stored connection after a restart
+   * @returns {Promise<Object|null>} Connector, or null if the agent has no stored credentials
+   */
+  async ensureWebhookConnector(subaccountId, agentId) {
+    const sessionId = `${subaccountId}_${agentId}`;
+    if (this.activeConnectors.has(sessionId)) {
+      return this.activeConnectors.get(sessionId);
+    }
+
+    const connector = await this.getConnector(subaccountId, agentId, 'webhook-service');
+    if (!connector.accessToken || !connector.instagramAccountId) {
+      this.activeConnectors.delete(sessionId);
+      return null;
+    }
+
+    this.attachHandlers(connector, subaccountId, agentId, 'webhook-service');
+    // The credentials were verified when the agent was connected
+    connector.isConnected = true;
+    connector.isActive = true;
+
+    Logger.info('Restored Instagram connector', {
+      sessionId,
+      subaccountId,
+      agentId
+    });
+
+    return connector;
+  }
+
   /**
    * Get connection status
    */
@@ -194,6 +254,10 @@ class InstagramService {
       // Remove from active connectors
       this.activeConnectors.delete(sessionId);
 
+      if (connector.instagramAccountId) {
+        await this.unregisterAccountRoute(connector.instagramAccountId, subaccountId, agentId);
+      }
+
       // Update database
       await this.updateConnectionStatus(subaccountId, agentId, userId, 'disconnected');
 
@@ -215,11 +279,20 @@ class InstagramService {
 
   /**
    * Send Instagram message
+   * Recipients on the suppression list are rejected with code RECIPIENT_SUPPRESSED.
+   * options.userId and options.operationId are used for the blocked-attempt activity.
    */
   async sendMessage(subaccountId, agentId, to, message, options = {}) {
     try {
+      const { userId = 'system', operationId = null, ...sendOptions } = options;
       const sessionId = `${subaccountId}_${agentId}`;
 
+      await SuppressionService.assertNotSuppressed(subaccountId, CHANNELS.INSTAGRAM, to, {
+        userId,
+        agentId,
+        operationId
+      });
+
       if (!this.activeConnectors.has(sessionId)) {
         throw new Error('Instagram not connected. Please connect first.');
       }
@@ -230,7 +303,7 @@ class InstagramService {
         throw new Error('Instagram is not connected');
       }
 
-      const result = await connector.sendMessage(to, message, options);
+      const result = await connector.sendMessage(to, message, sendOptions);
 
       return result;
     } catch (error) {
@@ -244,6 +317,147 @@ class InstagramService {
     }
   }
 
+  /**
+   * Send an attachment by URL (image, audio, video or file)
+   * Every send is recorded on the user's ongoing chat session.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} to - Instagram user ID
+   * @param {Object} media - { url, filename }
+   * @param {Object} options - { caption, kind, userId, operationId }
+   */
+  async sendMedia(subaccountId, agentId, to, media, options = {}) {
+    try {
+      const { userId = 'system', operationId = null, caption = null } = options;
+      const kind = options.kind || ChatMediaService.resolveKind(media);
+      const sessionId = `${subaccountId}_${agentId}`;
+
+      await SuppressionService.assertNotSuppressed(subaccountId, CHANNELS.INSTAGRAM, to, {
+        userId,
+        agentId,
+        operationId
+      });
+
+      const connector = this.activeConnectors.get(sessionId);
+      if (!connector || !connector.isConnected) {
+        throw new Error('Instagram not connected. Please connect first.');
+      }
+
+      if (media.url) {
+        await assertPublicUrl(media.url);
+      }
+
+      const result = await connector.sendMedia(to, media, { caption, kind });
+      if (!result.success) {
+        const error = new Error(result.error);
+        error.code = result.code;
+        throw error;
+      }
+
+      await this.recordChatMedia(subaccountId, agentId, to, {
+        direction: DIRECTIONS.OUTBOUND,
+        kind,
+        caption,
+        filename: media.filename || null,
+        url: media.url,
+        messageId: result.data.messageId,
+        sentBy: userId
+      });
+
+      return result;
+    } catch (error) {
+      Logger.error('Error sending Instagram media', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        to
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Download, store and (for voice messages) transcribe the attachments of an incoming message
+   * Attachments that cannot be stored are skipped.
+   * @returns {Promise<Array<Object>>} Media records
+   */
+  async ingestIncomingMedia(subaccountId, agentId, instagramUserId, message) {
+    const connector = this.activeConnectors.get(`${subaccountId}_${agentId}`);
+    if (!connector || !message.hasMedia) {
+      return [];
+    }
+
+    const records = [];
+    for (const attachment of connector.getMediaAttachments(message)) {
+      try {
+        const media = await connector.downloadMedia(attachment);
+        const record = await ChatMediaService.ingestIncoming(subaccountId, 'instagram-service', {
+          ...media,
+          kind: ChatMediaService.resolveKind({ type: attachment.type, ...media })
+        }, {
+          channel: CHANNELS.INSTAGRAM,
+          agentId,
+          contactId: instagramUserId,
+          messageId: message.id
+        });
+
+        if (record) {
+          records.push(record);
+        }
+      } catch (error) {
+        Logger.error('Error downloading Instagram attachment', {
+          error: error.message,
+          subaccountId,
+          agentId,
+          messageId: message.id,
+          type: attachment.type
+        });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Send an attachment the chat agent linked in its reply and record it on the chat
+   */
+  async sendReplyAttachment(subaccountId, agentId, to, attachment) {
+    try {
+      await this.sendMedia(subaccountId, agentId, to, { url: attachment.url }, {
+        caption: attachment.caption,
+        kind: attachment.kind,
+        userId: 'agent'
+      });
+    } catch (error) {
+      Logger.error('Failed to send chat agent attachment', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        url: attachment.url
+      });
+    }
+  }
+
+  /**
+   * Add a media entry to the user's ongoing chat session
+   */
+  async recordChatMedia(subaccountId, agentId, instagramUserId, entry) {
+    try {
+      await ChatMediaService.attachToChat(subaccountId, 'instagram-service', {
+        agent_id: agentId,
+        'metadata.instagram_user_id': instagramUserId,
+        chat_status: 'ongoing'
+      }, entry);
+    } catch (error) {
+      Logger.error('Failed to record chat media', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        mediaId: entry.mediaId
+      });
+    }
+  }
+
   /**
    * Handle incoming Instagram message and forward to chat agent
    */
@@ -259,22 +473,79 @@ class InstagramService {
       // Get sender's Instagram user ID
       const instagramUserId = message.from;
 
+      // Opt-out requests go to the suppression list instead of the chat agent
+      if (await this.handleOptOutKeywords(subaccountId, agentId, instagramUserId, message)) {
+        return;
+      }
+
+      await ContactService.recordInstagramSender(subaccountId, instagramUserId);
+
+      // Attachments are stored and described to the agent (voice messages are transcribed)
+      const media = await this.ingestIncomingMedia(subaccountId, agentId, instagramUserId, message);
+      const messageContent = [
+        this.buildAgentMessageContent(message),
+        ...media.map(item => ChatMediaService.buildAgentContent(item))
+      ].filter(Boolean).join('\n');
+
+      if (!messageContent) {
+        Logger.debug('Skipping Instagram message without content', {
+          subaccountId,
+          agentId,
+          messageId: message.id
+        });
+        return;
+      }
+
+      // Conversations handled by a person are not sent to the chat agent
+      if (await this.applyHandoff(subaccountId, agentId, instagramUserId, message, { messageContent, media })) {
+        return;
+      }
+
       // Forward message to chat agent and get response
       const agentResponse = await this.forwardToChatAgent(
         subaccountId, 
         agentId, 
         instagramUserId,
-        message.text || ''
+        messageContent,
+        { dynamicVariables: this.buildStoryDynamicVariables(message.story) }
       );
 
+      // Story interactions and postbacks are also kept on the chat session
+      if (message.kind && message.kind !== EVENT_KINDS.MESSAGE) {
+        await this.recordChatEvent(subaccountId, agentId, instagramUserId, message);
+      }
+
+      for (const item of media) {
+        await this.recordChatMedia(subaccountId, agentId, instagramUserId, { ...item, sentBy: 'contact' });
+      }
+
+      // The agent called a handoff tool: its reply (or the acknowledgement) is the last bot message
+      if (agentResponse.handoff) {
+        await HandoffService.escalate(subaccountId, agentResponse.chatId, {
+          source: HANDOFF_SOURCES.AGENT_TOOL,
+          reason: agentResponse.handoff.reason || agentResponse.handoff.name
+        });
+        agentResponse.reply = agentResponse.reply || config.chatHandoff.acknowledgement;
+      }
+
       // Send agent's response back via Instagram
       if (agentResponse && agentResponse.reply) {
-        await this.sendMessage(subaccountId, agentId, message.from, agentResponse.reply);
+        // Attachments the agent links as ![caption](url) are sent as media messages
+        const { text: replyText, attachments } = ChatMediaService.extractReplyAttachments(agentResponse.reply);
+
+        if (replyText) {
+          await this.sendMessage(subaccountId, agentId, message.from, replyText);
+        }
+
+        for (const attachment of attachments) {
+          await this.sendReplyAttachment(subaccountId, agentId, message.from, attachment);
+        }
         
         Logger.info('Chat agent response sent via Instagram', {
           subaccountId,
           agentId,
-          to: message.from
+          to: message.from,
+          attachmentCount: attachments.length
         });
       }
       
@@ -301,16 +572,299 @@ class InstagramService {
     }
   }
 
+  /**
+   * Keep the message for the team while a person handles the conversation, and
+   * escalate when the user asks for one
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} instagramUserId - Sender's Instagram user ID
+   * @param {Object} message - Instagram message object
+   * @param {Object} context - { messageContent, media }
+   * @returns {Promise<boolean>} True if the message must not be forwarded to the agent
+   */
+  async applyHandoff(subaccountId, agentId, instagramUserId, message, { messageContent, media }) {
+    const chatDocument = await HandoffService.findOngoingChat(subaccountId, 'instagram-service', {
+      agent_id: agentId,
+      'metadata.instagram_user_id': instagramUserId
+    });
+    const mode = HandoffService.getMode(chatDocument);
+
+    if (mode === HANDOFF_MODES.BOT && !HandoffService.detectHumanRequest(message.text)) {
+      return false;
+    }
+
+    const chatId = chatDocument
+      ? chatDocument.chat_id
+      : await this.getOrCreateChatSession(subaccountId, agentId, instagramUserId);
+
+    await HandoffService.recordMessage(subaccountId, 'instagram-service', chatId, {
+      direction: DIRECTIONS.INBOUND,
+      text: messageContent,
+      messageId: message.id,
+      mediaId: media[0]?.mediaId,
+      sentBy: 'contact'
+    });
+
+    if (message.kind && message.kind !== EVENT_KINDS.MESSAGE) {
+      await this.recordChatEvent(subaccountId, agentId, instagramUserId, message);
+    }
+
+    for (const item of media) {
+      await this.recordChatMedia(subaccountId, agentId, instagramUserId, { ...item, sentBy: 'contact' });
+    }
+
+    if (mode !== HANDOFF_MODES.BOT) {
+      Logger.info('Instagram message kept for a human', {
+        subaccountId,
+        agentId,
+        chatId,
+        mode
+      });
+      return true;
+    }
+
+    await HandoffService.escalate(subaccountId, chatId, {
+      source: HANDOFF_SOURCES.USER_REQUEST,
+      reason: message.text
+    });
+
+    try {
+      const sendResult = await this.sendMessage(subaccountId, agentId, instagramUserId, config.chatHandoff.acknowledgement);
+      await HandoffService.recordMessage(subaccountId, 'instagram-service', chatId, {
+        direction: DIRECTIONS.OUTBOUND,
+        text: config.chatHandoff.acknowledgement,
+        messageId: sendResult?.data?.messageId,
+        sentBy: 'system'
+      });
+    } catch (error) {
+      Logger.warn('Failed to send handoff acknowledgement', {
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Keep a message sent by a team member on the user's conversation while
+   * it is handled by a person
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} to - Instagram user ID
+   * @param {Object} entry - { text, messageId, mediaId, sentBy }
+   */
+  async recordOperatorMessage(subaccountId, agentId, to, entry) {
+    try {
+      const chatDocument = await HandoffService.findOngoingChat(subaccountId, 'instagram-service', {
+        agent_id: agentId,
+        'metadata.instagram_user_id': to
+      });
+
+      if (chatDocument && HandoffService.getMode(chatDocument) !== HANDOFF_MODES.BOT) {
+        await HandoffService.recordMessage(subaccountId, 'instagram-service', chatDocument.chat_id, {
+          ...entry,
+          direction: DIRECTIONS.OUTBOUND
+        });
+      }
+    } catch (error) {
+      Logger.warn('Failed to record operator message', {
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Apply opt-out/opt-in keywords and skip contacts on the suppression list
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} instagramUserId - Sender's Instagram user ID
+   * @param {Object} message - Instagram message object
+   * @returns {Promise<boolean>} True if the message must not be forwarded to the agent
+   */
+  async handleOptOutKeywords(subaccountId, agentId, instagramUserId, message) {
+    const context = { type: 'instagram', id: message.id, agentId };
+
+    if (message.text) {
+      const keyword = SuppressionService.detectOptOut(message.text);
+      if (keyword) {
+        await SuppressionService.recordOptOut(subaccountId, CHANNELS.INSTAGRAM, instagramUserId, { ...context, keyword });
+        return true;
+      }
+
+      if (SuppressionService.detectOptIn(message.text)) {
+        await SuppressionService.recordOptIn(subaccountId, CHANNELS.INSTAGRAM, instagramUserId, context);
+      }
+    }
+
+    const suppressed = await SuppressionService.findSuppressed(subaccountId, 'system', CHANNELS.INSTAGRAM, [instagramUserId]);
+    if (suppressed.has(instagramUserId)) {
+      Logger.info('Skipping Instagram message from suppressed contact', {
+        subaccountId,
+        agentId,
+        instagramUserId
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Handle a non-message webhook event (read receipt, reaction, postback, echo)
+   * Postbacks are forwarded to the chat agent like a message; every kind is stored on the chat session.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {Object} event - Event parsed by InstagramConnector
+   */
+  async handleWebhookEvent(subaccountId, agentId, event) {
+    try {
+      if (event.kind === EVENT_KINDS.POSTBACK) {
+        await this.handleIncomingMessage(subaccountId, agentId, {
+          ...event,
+          text: event.postback.title || event.postback.payload || ''
+        });
+        return;
+      }
+
+      await this.recordChatEvent(subaccountId, agentId, event.userId, event);
+    } catch (error) {
+      Logger.error('Error handling Instagram webhook event', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        kind: event.kind
+      });
+    }
+  }
+
+  /**
+   * Store a webhook event on the user's ongoing chat session.
+   * Events for users without an ongoing chat are only logged.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} instagramUserId - Instagram user the chat is with
+   * @param {Object} event - Event parsed by InstagramConnector
+   */
+  async recordChatEvent(subaccountId, agentId, instagramUserId, event) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, 'instagram-service');
+    const chatsCollection = connectionInfo.connection.db.collection('chats');
+    const now = new Date();
+
+    const storedEvent = {
+      kind: event.kind,
+      mid: event.id || null,
+      from: event.from,
+      timestamp: event.timestamp || now.getTime(),
+      receivedAt: now
+    };
+    if (event.text) {
+      storedEvent.text = event.text;
+    }
+    if (event.story) {
+      storedEvent.story = event.story;
+    }
+    if (event.reaction) {
+      storedEvent.reaction = event.reaction;
+    }
+    if (event.postback) {
+      storedEvent.postback = event.postback;
+    }
+    if (event.kind === EVENT_KINDS.ECHO) {
+      storedEvent.appId = event.appId;
+    }
+
+    const setFields = { updatedAt: now };
+    if (event.kind === EVENT_KINDS.READ) {
+      setFields['metadata.instagram_last_read_mid'] = event.id || null;
+      setFields['metadata.instagram_last_read_at'] = new Date(storedEvent.timestamp);
+    } else if (event.kind === EVENT_KINDS.ECHO) {
+      setFields['metadata.instagram_last_echo_at'] = new Date(storedEvent.timestamp);
+    }
+
+    const result = await chatsCollection.updateOne(
+      {
+        subaccountId,
+        agent_id: agentId,
+        'metadata.instagram_user_id': instagramUserId,
+        chat_status: 'ongoing'
+      },
+      {
+        $set: setFields,
+        $push: {
+          instagram_events: { $each: [storedEvent], $slice: -MAX_STORED_CHAT_EVENTS }
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      Logger.debug('No ongoing Instagram chat for event', {
+        subaccountId,
+        agentId,
+        instagramUserId,
+        kind: event.kind
+      });
+    }
+  }
+
+  /**
+   * Text sent to the chat agent for an incoming message.
+   * Story interactions carry a context line because Retell only reads dynamic
+   * variables when a chat is created.
+   * @param {Object} message - Message event
+   * @returns {string} Message content
+   */
+  buildAgentMessageContent(message) {
+    const text = message.text || '';
+
+    if (message.kind === EVENT_KINDS.STORY_REPLY) {
+      return `[Replied to your story${message.story?.url ? `: ${message.story.url}` : ''}] ${text}`.trim();
+    }
+
+    if (message.kind === EVENT_KINDS.STORY_MENTION) {
+      return `[Mentioned you in their story${message.story?.url ? `: ${message.story.url}` : ''}] ${text}`.trim();
+    }
+
+    return text;
+  }
+
+  /**
+   * Dynamic variables describing the story a message refers to
+   * @param {Object|null} story - { interaction, id, url }
+   * @returns {Object} Dynamic variables (empty without a story)
+   */
+  buildStoryDynamicVariables(story) {
+    if (!story) {
+      return {};
+    }
+
+    return {
+      story_interaction: story.interaction,
+      story_id: story.id || '',
+      story_url: story.url || ''
+    };
+  }
+
   /**
    * Forward message to chat agent and get response
+   * options.dynamicVariables are added to the chat's dynamic variables
    */
-  async forwardToChatAgent(subaccountId, agentId, instagramUserId, messageContent) {
+  async forwardToChatAgent(subaccountId, agentId, instagramUserId, messageContent, options = {}) {
     try {
       const retellService = require('./retellService');
       const Retell = require('../utils/retell');
+      const dynamicVariables = options.dynamicVariables || {};
       
       // Get or create chat session for this Instagram user
-      const chatId = await this.getOrCreateChatSession(subaccountId, agentId, instagramUserId);
+      const chatId = await this.getOrCreateChatSession(subaccountId, agentId, instagramUserId, dynamicVariables);
+
+      // Keep the latest context on the chat document (Retell only reads it at chat creation)
+      if (Object.keys(dynamicVariables).length > 0) {
+        await this.storeChatDynamicVariables(subaccountId, chatId, dynamicVariables);
+      }
       
       // Get retell account data
       const retellAccountData = await retellService.getRetellAccount(subaccountId);
@@ -341,7 +895,8 @@ class InstagramService {
       
       return {
         chatId,
-        reply: agentReply
+        reply: agentReply,
+        handoff: HandoffService.findHandoffToolCall(response)
       };
       
     } catch (error) {
@@ -357,8 +912,9 @@ class InstagramService {
 
   /**
    * Get or create chat session for Instagram user
+   * extraDynamicVariables are sent to Retell when a new chat is created
    */
-  async getOrCreateChatSession(subaccountId, agentId, instagramUserId) {
+  async getOrCreateChatSession(subaccountId, agentId, instagramUserId, extraDynamicVariables = {}) {
     // Use Redis lock to prevent race condition when creating chats
     const lockKey = `instagram:chat:lock:${subaccountId}:${agentId}:${instagramUserId}`;
     let lockAcquired = false;
@@ -460,7 +1016,8 @@ class InstagramService {
         agent_id: agentId,
         subaccount_id: subaccountId,
         instagram_user_id: instagramUserId,
-        channel: 'instagram'
+        channel: 'instagram',
+        ...extraDynamicVariables
       };
       
       Logger.info('Creating Instagram chat with dynamic variables', {
@@ -541,6 +1098,32 @@ class InstagramService {
     }
   }
 
+  /**
+   * Merge dynamic variables into a stored chat
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} chatId - Chat ID
+   * @param {Object} dynamicVariables - Variables to set
+   */
+  async storeChatDynamicVariables(subaccountId, chatId, dynamicVariables) {
+    try {
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, 'instagram-service');
+      const chatsCollection = connectionInfo.connection.db.collection('chats');
+
+      const setFields = { updatedAt: new Date() };
+      Object.entries(dynamicVariables).forEach(([key, value]) => {
+        setFields[`retell_llm_dynamic_variables.${key}`] = value;
+      });
+
+      await chatsCollection.updateOne({ chat_id: chatId, subaccountId }, { $set: setFields });
+    } catch (error) {
+      Logger.warn('Failed to store chat dynamic variables', {
+        error: error.message,
+        chatId,
+        subaccountId
+      });
+    }
+  }
+
   /**
    * Update chat session with new messages
    */
@@ -559,9 +1142,10 @@ class InstagramService {
         lastMessageAt: new Date()
       };
       
+      // Each completion answers one contact message, which stays unread in the inbox
       await chatsCollection.updateOne(
         { chat_id: chatId, subaccountId },
-        { $set: updateData }
+        { $set: updateData, $inc: { unread_count: 1 } }
       );
       
       Logger.debug('Updated chat session', { chatId, subaccountId });
@@ -641,6 +1225,10 @@ class InstagramService {
         { upsert: true }
       );
 
+      if (document.instagramAccountId) {
+        await this.registerAccountRoute(document.instagramAccountId, subaccountId, agentId);
+      }
+
       Logger.info('Instagram connection info stored', {
         subaccountId,
         agentId
@@ -700,18 +1288,16 @@ class InstagramService {
    */
   async processWebhook(subaccountId, agentId, webhookData) {
     try {
-      const sessionId = `${subaccountId}_${agentId}`;
-      
-      if (!this.activeConnectors.has(sessionId)) {
-        Logger.warn('Received webhook for inactive connector', {
-          sessionId,
+      const connector = await this.ensureWebhookConnector(subaccountId, agentId);
+
+      if (!connector) {
+        Logger.warn('Received webhook for an agent without an Instagram connection', {
           subaccountId,
           agentId
         });
         return;
       }
 
-      const connector = this.activeConnectors.get(sessionId);
       await connector.processWebhookMessage(webhookData);
     } catch (error) {
       Logger.error('Error processing Instagram webhook', {
@@ -723,6 +1309,114 @@ class InstagramService {
     }
   }
 
+  /**
+   * Process a webhook delivery from Meta's app-level webhook.
+   * Each entry is routed to the subaccount/agent connected to its Instagram account ID.
+   * @param {Object} payload - Webhook body ({ object: 'instagram', entry: [...] })
+   * @returns {Promise<Object>} { routed, unrouted, failed }
+   */
+  async processMetaWebhook(payload) {
+    const entries = Array.isArray(payload?.entry) ? payload.entry : [];
+    const result = { routed: 0, unrouted: 0, failed: 0 };
+
+    for (const entry of entries) {
+      // entry.id is the Instagram professional account the event belongs to
+      const instagramAccountId = entry?.id || entry?.messaging?.[0]?.recipient?.id || null;
+      const route = instagramAccountId ? await this.resolveAccountRoute(instagramAccountId) : null;
+
+      if (!route) {
+        Logger.warn('Received Instagram webhook for unknown account', {
+          instagramAccountId
+        });
+        result.unrouted++;
+        continue;
+      }
+
+      try {
+        await this.processWebhook(route.subaccountId, route.agentId, {
+          object: payload.object,
+          entry: [entry]
+        });
+        result.routed++;
+      } catch (error) {
+        // Already logged by processWebhook; keep processing the other entries
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Map an Instagram account ID to the subaccount/agent it is connected to.
+   * The latest connection of an account wins.
+   * @param {string} instagramAccountId - Instagram account ID
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Chat agent ID
+   */
+  async registerAccountRoute(instagramAccountId, subaccountId, agentId) {
+    try {
+      await MetaWebhookService.registerRoute(META_CHANNELS.INSTAGRAM, instagramAccountId, subaccountId, agentId);
+    } catch (error) {
+      Logger.error('Failed to store Instagram account route', {
+        instagramAccountId,
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove an Instagram account route if it still points to the given subaccount/agent
+   * @param {string} instagramAccountId - Instagram account ID
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Chat agent ID
+   */
+  async unregisterAccountRoute(instagramAccountId, subaccountId, agentId) {
+    try {
+      await MetaWebhookService.unregisterRoute(META_CHANNELS.INSTAGRAM, instagramAccountId, subaccountId, agentId);
+    } catch (error) {
+      Logger.warn('Failed to remove Instagram account route', {
+        instagramAccountId,
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Find the subaccount/agent connected to an Instagram account ID.
+   * Routes are stored in the platform database; connectors of this process are the last resort.
+   * @param {string} instagramAccountId - Instagram account ID
+   * @returns {Promise<Object|null>} { subaccountId, agentId }
+   */
+  async resolveAccountRoute(instagramAccountId) {
+    try {
+      const route = await MetaWebhookService.resolveRoute(META_CHANNELS.INSTAGRAM, instagramAccountId);
+      if (route) {
+        return route;
+      }
+    } catch (error) {
+      Logger.warn('Failed to read Instagram account route', {
+        instagramAccountId,
+        error: error.message
+      });
+    }
+
+    for (const connector of this.activeConnectors.values()) {
+      if (connector.instagramAccountId === instagramAccountId) {
+        return {
+          subaccountId: connector.config.subaccountId,
+          agentId: connector.config.agentId
+        };
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get message history
    */
@@ -0,0 +1,239 @@
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+
+const COLLECTION_NAME = 'llm_revisions';
+// Revision numbers are unique per agent
+const INDEXES = [
+  [{ subaccountId: 1, agentId: 1, revision: 1 }, { unique: true }]
+];
+
+// Concurrent updates of the same agent race for the next revision number
+const MAX_INSERT_ATTEMPTS = 5;
+
+/**
+ * LLM fields tracked in revisions (DB field name -> Retell LLM field name)
+ */
+const REVISION_FIELDS = {
+  beginMessage: 'begin_message',
+  generalPrompt: 'general_prompt',
+  model: 'model'
+};
+
+/**
+ * Revision sources
+ */
+const REVISION_SOURCES = {
+  BASELINE: 'baseline',
+  UPDATE: 'update',
+  RESTORE: 'restore'
+};
+
+class LlmRevisionService {
+  /**
+   * Get the llm_revisions collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, COLLECTION_NAME, INDEXES);
+  }
+
+  /**
+   * Extract the tracked LLM configuration from the stored LLM/agent documents
+   * @param {Object|null} llmDocument - Document from the llms collection
+   * @param {Object|null} agentDocument - Document from the agents/chatagents collection
+   * @returns {Object} { beginMessage, generalPrompt, model }
+   */
+  static extractConfig(llmDocument, agentDocument) {
+    return {
+      beginMessage: llmDocument?.beginMessage ?? agentDocument?.beginMessage ?? '',
+      generalPrompt: llmDocument?.generalPrompt ?? agentDocument?.generalPrompt ?? '',
+      model: llmDocument?.model ?? agentDocument?.model ?? null
+    };
+  }
+
+  /**
+   * Compute the field-level diff between two configurations
+   * @param {Object} fromConfig - Previous configuration
+   * @param {Object} toConfig - New configuration
+   * @returns {Array<Object>} [{ field, from, to }]
+   */
+  static diffConfigs(fromConfig, toConfig) {
+    return Object.keys(REVISION_FIELDS)
+      .filter(field => (fromConfig[field] ?? null) !== (toConfig[field] ?? null))
+      .map(field => ({
+        field,
+        from: fromConfig[field] ?? null,
+        to: toConfig[field] ?? null
+      }));
+  }
+
+  /**
+   * Map a stored configuration to a Retell updateLLM payload
+   * @param {Object} revisionConfig - { beginMessage, generalPrompt, model }
+   * @returns {Object} Retell LLM updates
+   */
+  static toRetellUpdates(revisionConfig) {
+    const updates = {};
+    Object.entries(REVISION_FIELDS).forEach(([field, retellField]) => {
+      if (revisionConfig[field] !== undefined && revisionConfig[field] !== null) {
+        updates[retellField] = revisionConfig[field];
+      }
+    });
+    return updates;
+  }
+
+  /**
+   * Record a new immutable revision for an agent's LLM configuration.
+   * The first change for an agent also stores the pre-change configuration
+   * as a baseline revision so it can be restored.
+   * @param {Object} params - Revision parameters
+   * @param {string} params.subaccountId - Subaccount ID
+   * @param {string} params.userId - User who made the change
+   * @param {string} params.agentId - Agent ID
+   * @param {string} params.agentType - 'voice' or 'chat'
+   * @param {string} params.llmId - LLM ID
+   * @param {Object} params.previousConfig - Configuration before the change
+   * @param {Object} params.changes - Changed fields (undefined values are ignored)
+   * @param {string} params.operationId - Operation ID of the change
+   * @param {string} [params.source] - Revision source (from REVISION_SOURCES)
+   * @param {number} [params.restoredFrom] - Revision number restored from
+   * @returns {Promise<Object|null>} Stored revision, or null if nothing changed
+   */
+  static async recordRevision({
+    subaccountId,
+    userId,
+    agentId,
+    agentType,
+    llmId,
+    previousConfig,
+    changes,
+    operationId,
+    source = REVISION_SOURCES.UPDATE,
+    restoredFrom = null
+  }) {
+    const newConfig = { ...previousConfig };
+    Object.keys(REVISION_FIELDS).forEach(field => {
+      if (changes[field] !== undefined) {
+        newConfig[field] = changes[field];
+      }
+    });
+
+    const diff = LlmRevisionService.diffConfigs(previousConfig, newConfig);
+
+    if (diff.length === 0) {
+      return null;
+    }
+
+    const collection = await LlmRevisionService.getCollection(subaccountId, userId);
+
+    for (let attempt = 1; attempt <= MAX_INSERT_ATTEMPTS; attempt++) {
+      const latest = await collection.findOne(
+        { subaccountId, agentId },
+        { sort: { revision: -1 } }
+      );
+
+      let nextRevision = latest ? latest.revision + 1 : 1;
+
+      try {
+        if (!latest) {
+          await collection.insertOne({
+            revisionId: uuidv4(),
+            revision: nextRevision,
+            subaccountId,
+            agentId,
+            agentType,
+            llmId,
+            config: { ...previousConfig },
+            diff: [],
+            source: REVISION_SOURCES.BASELINE,
+            restoredFrom: null,
+            createdBy: null,
+            createdAt: new Date(),
+            operationId
+          });
+          nextRevision += 1;
+        }
+
+        const revisionDocument = {
+          revisionId: uuidv4(),
+          revision: nextRevision,
+          subaccountId,
+          agentId,
+          agentType,
+          llmId,
+          config: newConfig,
+          diff,
+          source,
+          restoredFrom,
+          createdBy: userId,
+          createdAt: new Date(),
+          operationId
+        };
+
+        await collection.insertOne(revisionDocument);
+
+        Logger.info('LLM revision recorded', {
+          subaccountId,
+          agentId,
+          llmId,
+          revision: nextRevision,
+          changedFields: diff.map(change => change.field),
+          source,
+          operationId
+        });
+
+        return revisionDocument;
+      } catch (error) {
+        if (error.code !== 11000 || attempt === MAX_INSERT_ATTEMPTS) {
+          throw error;
+        }
+        Logger.debug('LLM revision number taken, retrying', { subaccountId, agentId, revision: nextRevision, attempt });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List revisions for an agent (newest first)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Limit number of results (default: 50)
+   * @param {number} options.skip - Skip number of results (default: 0)
+   * @returns {Promise<Object>} { revisions, total }
+   */
+  static async listRevisions(subaccountId, userId, agentId, { limit = 50, skip = 0 } = {}) {
+    const collection = await LlmRevisionService.getCollection(subaccountId, userId);
+    const query = { subaccountId, agentId };
+
+    const [revisions, total] = await Promise.all([
+      collection.find(query).sort({ revision: -1 }).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return { revisions, total };
+  }
+
+  /**
+   * Get a single revision
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>} Revision or null if not found
+   */
+  static async getRevision(subaccountId, userId, agentId, revision) {
+    const collection = await LlmRevisionService.getCollection(subaccountId, userId);
+    return collection.findOne({ subaccountId, agentId, revision });
+  }
+}
+
+module.exports = LlmRevisionService;
+module.exports.REVISION_SOURCES = REVISION_SOURCES;
@@ -0,0 +1,225 @@
+const Logger = require('../utils/logger');
+const config = require('../../config/config');
+const redisService = require('./redisService');
+const platformStore = require('./platformStore');
+
+const ROUTES_COLLECTION = 'meta_webhook_routes';
+const ROUTE_INDEXES = [
+  [{ channel: 1, externalId: 1 }, { unique: true }]
+];
+
+const EVENTS_COLLECTION = 'meta_webhook_events';
+// Meta redelivers for up to a day, so processed event IDs are kept that long
+const EVENT_TTL_SECONDS = 24 * 60 * 60;
+const EVENT_INDEXES = [
+  [{ key: 1 }, { unique: true }],
+  [{ receivedAt: 1 }, { expireAfterSeconds: EVENT_TTL_SECONDS }]
+];
+
+// Routes are cached in Redis for an hour; the platform database is the source of truth
+const ROUTE_CACHE_TTL = 60 * 60;
+
+const CHANNELS = {
+  INSTAGRAM: 'instagram',
+  WHATSAPP: 'whatsapp'
+};
+
+// Redis keys that held the routes before they moved to the platform database
+const LEGACY_ROUTE_PREFIXES = {
+  [CHANNELS.INSTAGRAM]: config.redis.prefixes.instagramAccounts,
+  [CHANNELS.WHATSAPP]: config.redis.prefixes.whatsappPhoneNumbers
+};
+
+// Used when the platform database is not configured (development and tests)
+const memoryRoutes = new Map();
+const memoryEvents = new Map();
+
+const isSameRoute = (route, subaccountId, agentId) => !!route && route.subaccountId === subaccountId && route.agentId === agentId;
+
+/**
+ * Routing and deduplication for Meta's app-level webhooks (Instagram, WhatsApp Cloud API).
+ * Meta sends one webhook for every connected account, so each account or phone number ID
+ * is mapped to the subaccount/agent it is connected to. Deliveries are acknowledged before
+ * they are processed, and each message is claimed by its ID so redeliveries are ignored.
+ */
+class MetaWebhookService {
+  /**
+   * Map an account or phone number ID to the subaccount/agent it is connected to.
+   * The latest connection wins.
+   * @param {string} channel - One of CHANNELS
+   * @param {string} externalId - Instagram account ID or WhatsApp phone number ID
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Chat agent ID
+   */
+  static async registerRoute(channel, externalId, subaccountId, agentId) {
+    const collection = await platformStore.getCollection(ROUTES_COLLECTION, ROUTE_INDEXES);
+
+    if (collection) {
+      const now = new Date();
+      await collection.updateOne(
+        { channel, externalId },
+        { $set: { subaccountId, agentId, updatedAt: now }, $setOnInsert: { createdAt: now } },
+        { upsert: true }
+      );
+    } else {
+      memoryRoutes.set(`${channel}:${externalId}`, { subaccountId, agentId });
+    }
+
+    await MetaWebhookService.cacheRoute(channel, externalId, { subaccountId, agentId });
+  }
+
+  /**
+   * Remove a route if it still points to the given subaccount/agent
+   * @param {string} channel - One of CHANNELS
+   * @param {string} externalId - Instagram account ID or WhatsApp phone number ID
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Chat agent ID
+   */
+  static async unregisterRoute(channel, externalId, subaccountId, agentId) {
+    const collection = await platformStore.getCollection(ROUTES_COLLECTION, ROUTE_INDEXES);
+
+    if (collection) {
+      await collection.deleteOne({ channel, externalId, subaccountId, agentId });
+    } else if (isSameRoute(memoryRoutes.get(`${channel}:${externalId}`), subaccountId, agentId)) {
+      memoryRoutes.delete(`${channel}:${externalId}`);
+    }
+
+    if (!redisService.isConnected) {
+      return;
+    }
+    try {
+      // The next lookup reads the platform database again
+      await redisService.del(MetaWebhookService.routeCacheKey(channel, externalId));
+      const legacyKey = `${LEGACY_ROUTE_PREFIXES[channel]}${externalId}`;
+      if (isSameRoute(await redisService.get(legacyKey), subaccountId, agentId)) {
+        await redisService.del(legacyKey);
+      }
+    } catch (error) {
+      Logger.warn('Failed to remove cached Meta webhook route', { channel, externalId, error: error.message });
+    }
+  }
+
+  /**
+   * Find the subaccount/agent connected to an account or phone number ID
+   * @param {string} channel - One of CHANNELS
+   * @param {string} externalId - Instagram account ID or WhatsApp phone number ID
+   * @returns {Promise<Object|null>} { subaccountId, agentId }
+   */
+  static async resolveRoute(channel, externalId) {
+    const cached = await MetaWebhookService.readRedis(MetaWebhookService.routeCacheKey(channel, externalId));
+    if (cached) {
+      return cached;
+    }
+
+    const collection = await platformStore.getCollection(ROUTES_COLLECTION, ROUTE_INDEXES);
+    const stored = collection
+      ? await collection.findOne({ channel, externalId })
+      : memoryRoutes.get(`${channel}:${externalId}`);
+
+    if (stored) {
+      const route = { subaccountId: stored.subaccountId, agentId: stored.agentId };
+      await MetaWebhookService.cacheRoute(channel, externalId, route);
+      return route;
+    }
+
+    // Connections made before the routes were stored in the platform database
+    const legacyKey = `${LEGACY_ROUTE_PREFIXES[channel]}${externalId}`;
+    const legacy = await MetaWebhookService.readRedis(legacyKey);
+    if (legacy) {
+      await MetaWebhookService.registerRoute(channel, externalId, legacy.subaccountId, legacy.agentId);
+      await redisService.del(legacyKey);
+      return { subaccountId: legacy.subaccountId, agentId: legacy.agentId };
+    }
+
+    return null;
+  }
+
+  /**
+   * Claim a webhook event so it is processed once, even when Meta redelivers it
+   * or two instances receive it at the same time
+   * @param {string} channel - One of CHANNELS
+   * @param {string} eventId - Message ID (mid or wamid) or another unique event key
+   * @returns {Promise<boolean>} True if this call claimed the event, false if it was seen before
+   */
+  static async claimEvent(channel, eventId) {
+    const key = `${channel}:${eventId}`;
+    const collection = await platformStore.getCollection(EVENTS_COLLECTION, EVENT_INDEXES);
+
+    if (collection) {
+      try {
+        await collection.insertOne({ key, receivedAt: new Date() });
+        return true;
+      } catch (error) {
+        if (error.code === 11000) {
+          return false;
+        }
+        throw error;
+      }
+    }
+
+    if (redisService.isConnected) {
+      const result = await redisService.client.set(`meta:event:${key}`, '1', { NX: true, EX: EVENT_TTL_SECONDS });
+      return result === 'OK';
+    }
+
+    const now = Date.now();
+    if (memoryEvents.get(key) > now) {
+      return false;
+    }
+    memoryEvents.set(key, now + EVENT_TTL_SECONDS * 1000);
+    for (const [storedKey, expiresAt] of memoryEvents) {
+      if (expiresAt <= now) {
+        memoryEvents.delete(storedKey);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Process an acknowledged delivery after the response was sent.
+   * Meta expects a 200 within a few seconds and retries slower responses.
+   * @param {string} channel - One of CHANNELS
+   * @param {string} operationId - Operation ID of the request
+   * @param {Function} work - Async function that processes the delivery and returns its counts
+   */
+  static processInBackground(channel, operationId, work) {
+    setImmediate(async () => {
+      try {
+        const result = await work();
+        Logger.info('Meta webhook processed', { channel, operationId, ...result });
+      } catch (error) {
+        Logger.error('Meta webhook processing failed', { channel, operationId, error: error.message });
+      }
+    });
+  }
+
+  static routeCacheKey(channel, externalId) {
+    return `${config.redis.prefixes.metaRoutes}${channel}:${externalId}`;
+  }
+
+  static async cacheRoute(channel, externalId, route) {
+    if (!redisService.isConnected) {
+      return;
+    }
+    try {
+      await redisService.set(MetaWebhookService.routeCacheKey(channel, externalId), route, ROUTE_CACHE_TTL);
+    } catch (error) {
+      Logger.warn('Failed to cache Meta webhook route', { channel, externalId, error: error.message });
+    }
+  }
+
+  static async readRedis(key) {
+    if (!redisService.isConnected) {
+      return null;
+    }
+    try {
+      return await redisService.get(key);
+    } catch (error) {
+      Logger.warn('Failed to read Meta webhook route from Redis', { key, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = MetaWebhookService;
+module.exports.CHANNELS = CHANNELS;
@@ -0,0 +1,106 @@
+const { registry } = require('../utils/metrics');
+const connectionPoolManager = require('./connectionPoolManager');
+const redisService = require('./redisService');
+const HealthService = require('./healthService');
+const { rbacClient } = require('../middleware/rbacClient');
+const { rateLimitStore } = require('./rateLimitService');
+
+// State kept by other modules, read into these metrics on every scrape
+const tenantPools = registry.gauge('tenant_pools', 'Open tenant MongoDB connection pools');
+const poolMaxConnections = registry.gauge('tenant_pool_max_connections', 'Maximum connections of the tenant pool', ['subaccount_id']);
+const poolActiveQueries = registry.gauge('tenant_pool_active_queries', 'Queries currently running on the tenant pool', ['subaccount_id']);
+const poolHealthy = registry.gauge('tenant_pool_healthy', '1 when the tenant pool connection is healthy', ['subaccount_id']);
+const poolQueries = registry.counter('tenant_pool_queries_total', 'Queries run on the tenant pool since it was opened', ['subaccount_id']);
+const poolErrors = registry.counter('tenant_pool_errors_total', 'Query and connection errors of the tenant pool since it was opened', ['subaccount_id']);
+
+const rbacCacheHits = registry.counter('rbac_cache_hits_total', 'RBAC cache hits', ['cache']);
+const rbacCacheMisses = registry.counter('rbac_cache_misses_total', 'RBAC cache misses', ['cache']);
+const rbacCacheHitRatio = registry.gauge('rbac_cache_hit_ratio', 'RBAC cache hits / lookups since start or the last cache clear', ['cache']);
+const rbacCacheEntries = registry.gauge('rbac_cache_entries', 'Entries in the RBAC cache', ['cache']);
+
+const redisConnected = registry.gauge('redis_connected', '1 when the Redis client is connected');
+const redisCacheHits = registry.counter('redis_cache_hits_total', 'Redis cache lookups that found a value');
+const redisCacheMisses = registry.counter('redis_cache_misses_total', 'Redis cache lookups that found nothing');
+const redisCacheHitRatio = registry.gauge('redis_cache_hit_ratio', 'Redis cache hits / lookups since start');
+
+const rateLimitKeys = registry.gauge('rate_limit_tracked_keys', 'Counters in the in-process rate limit store, used while Redis is not connected');
+
+const chatConnectorSessions = registry.gauge('chat_connector_sessions', 'Chat connector sessions held by this instance', ['channel', 'state']);
+
+const processMemory = registry.gauge('process_memory_bytes', 'Process memory usage', ['type']);
+const processUptime = registry.gauge('process_uptime_seconds', 'Process uptime');
+
+/**
+ * Prometheus metrics for /metrics.
+ * HTTP latency, rate limit rejections and outbound calls are recorded as they happen
+ * (see utils/metrics); pool, cache and connector state is read from the modules that
+ * already track it when Prometheus scrapes.
+ */
+class MetricsService {
+  /**
+   * Read the current state and render all metrics
+   * @returns {string} Prometheus text exposition format
+   */
+  static render() {
+    MetricsService.collectPools();
+    MetricsService.collectCaches();
+    MetricsService.collectConnectors();
+    MetricsService.collectProcess();
+    rateLimitKeys.set({}, rateLimitStore.store.size);
+
+    return registry.render();
+  }
+
+  static collectPools() {
+    [poolMaxConnections, poolActiveQueries, poolHealthy, poolQueries, poolErrors].forEach(metric => metric.reset());
+    tenantPools.set({}, connectionPoolManager.pools.size);
+
+    connectionPoolManager.pools.forEach((pool, subaccountId) => {
+      const labels = { subaccount_id: subaccountId };
+      poolMaxConnections.set(labels, pool.connectionCount);
+      poolActiveQueries.set(labels, pool.activeQueries);
+      poolHealthy.set(labels, pool.isHealthy ? 1 : 0);
+      poolQueries.set(labels, pool.totalQueries);
+      poolErrors.set(labels, connectionPoolManager.poolStats.get(subaccountId)?.errors || 0);
+    });
+  }
+
+  static collectCaches() {
+    const { stats, sizes } = rbacClient.getCacheStats();
+    Object.entries(stats).forEach(([cache, { hits, misses }]) => {
+      rbacCacheHits.set({ cache }, hits);
+      rbacCacheMisses.set({ cache }, misses);
+      rbacCacheHitRatio.set({ cache }, MetricsService.hitRatio(hits, misses));
+      rbacCacheEntries.set({ cache }, sizes[cache] || 0);
+    });
+
+    const { hits, misses } = redisService.cacheStats;
+    redisConnected.set({}, redisService.isConnected ? 1 : 0);
+    redisCacheHits.set({}, hits);
+    redisCacheMisses.set({}, misses);
+    redisCacheHitRatio.set({}, MetricsService.hitRatio(hits, misses));
+  }
+
+  static collectConnectors() {
+    Object.entries(HealthService.getConnectorCounts()).forEach(([channel, { active, connected }]) => {
+      chatConnectorSessions.set({ channel, state: 'active' }, active);
+      chatConnectorSessions.set({ channel, state: 'connected' }, connected);
+    });
+  }
+
+  static collectProcess() {
+    const memory = process.memoryUsage();
+    processMemory.set({ type: 'rss' }, memory.rss);
+    processMemory.set({ type: 'heap_used' }, memory.heapUsed);
+    processMemory.set({ type: 'heap_total' }, memory.heapTotal);
+    processUptime.set({}, Math.round(process.uptime()));
+  }
+
+  // 0 until there has been a lookup
+  static hitRatio(hits, misses) {
+    const lookups = hits + misses;
+    return lookups > 0 ? Math.round((hits / lookups) * 10000) / 10000 : 0;
+  }
+}
+
+module.exports = MetricsService;
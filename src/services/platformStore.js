@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+
+/**
+ * Connection to the platform database.
+ * Tenant data lives in each subaccount's own database; state that belongs to the
+ * server itself (which subaccounts the workers must visit, inbound webhook routes,
+ * rate limit plans) lives here so it survives restarts and is shared by every instance.
+ */
+class PlatformStore {
+  constructor() {
+    this.connection = null;
+    this.isConnected = false;
+  }
+
+  get isConfigured() {
+    return !!config.platformDatabase.mongoUri;
+  }
+
+  /**
+   * Connect to the platform database.
+   * Fails in production when no URI is configured; elsewhere callers fall back to memory.
+   * @returns {Promise<boolean>} True if connected
+   */
+  async connect() {
+    if (this.isConnected) {
+      return true;
+    }
+
+    if (!this.isConfigured) {
+      if (config.server.nodeEnv === 'production') {
+        throw new Error('PLATFORM_MONGODB_URI (or MONGODB_URI) must be set in production');
+      }
+      Logger.warn('Platform database not configured, worker indexes, webhook routes and rate plans are kept in memory');
+      return false;
+    }
+
+    this.connection = await mongoose.createConnection(config.platformDatabase.mongoUri, {
+      dbName: config.platformDatabase.dbName,
+      maxPoolSize: 10,
+      serverSelectionTimeoutMS: 5000
+    }).asPromise();
+
+    this.connection.on('disconnected', () => {
+      Logger.warn('Platform database disconnected');
+    });
+
+    this.isConnected = true;
+    Logger.info('Platform database connected', { database: config.platformDatabase.dbName });
+    return true;
+  }
+
+  async disconnect() {
+    if (this.connection) {
+      await this.connection.close();
+    }
+    this.connection = null;
+    this.isConnected = false;
+  }
+
+  /**
+   * Get a platform collection, creating its indexes the first time it is used
+   * @param {string} name - Collection name
+   * @param {Array<Array>} [indexes] - [keys, options] pairs
+   * @returns {Promise<Object|null>} MongoDB collection, or null when not connected
+   */
+  async getCollection(name, indexes = []) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    return getIndexedCollection(this.connection.db, name, indexes);
+  }
+
+  // Health check
+  async ping() {
+    if (!this.isConnected) {
+      throw new Error('Platform database not connected');
+    }
+    await this.connection.db.admin().ping();
+    return true;
+  }
+}
+
+// Create and export singleton instance
+const platformStore = new PlatformStore();
+module.exports = platformStore;
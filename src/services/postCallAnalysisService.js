@@ -0,0 +1,308 @@
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const DEFAULT_AGENT_TEMPLATE = require('../templates/defaultAgentTemplate');
+
+// Upper bound on post-call analysis fields per agent
+const MAX_FIELDS = 25;
+
+// Fields the appointment flow and the default success criteria rely on
+const PROTECTED_FIELDS = ['appointment_booked'];
+
+// Values listed per string/enum/boolean field in analytics
+const TOP_VALUES_LIMIT = 20;
+
+// Field names that can be used in a MongoDB path and as a filter key
+const SAFE_FIELD_NAME = /^[A-Za-z0-9_]+$/;
+
+const ANALYSIS_PATH = 'call_analysis.custom_analysis_data';
+
+/**
+ * Post-call analysis fields of voice agents.
+ * Retell extracts the fields into call_analysis.custom_analysis_data after every call.
+ * The fields are stored on the agent document (postCallAnalysisData / postCallAnalysisModel)
+ * and pushed to Retell on every change. Agents created before the fields were stored
+ * are read from Retell once and backfilled.
+ */
+class PostCallAnalysisService {
+  /**
+   * Get the fields stored on an agent, or the default template fields
+   * @param {Object} agentDocument - Agent document
+   * @returns {Object} { fields, model, isDefault }
+   */
+  static getStoredConfig(agentDocument) {
+    if (Array.isArray(agentDocument.postCallAnalysisData)) {
+      return {
+        fields: agentDocument.postCallAnalysisData,
+        model: agentDocument.postCallAnalysisModel || DEFAULT_AGENT_TEMPLATE.postCallAnalysisModel,
+        isDefault: false
+      };
+    }
+
+    return {
+      fields: DEFAULT_AGENT_TEMPLATE.postCallAnalysisData,
+      model: DEFAULT_AGENT_TEMPLATE.postCallAnalysisModel,
+      isDefault: true
+    };
+  }
+
+  /**
+   * Get the fields of an agent. Agents without stored fields are read from Retell
+   * and backfilled; if Retell cannot be reached the default template fields are returned.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} agentDocument - Agent document
+   * @param {Object} retell - Retell instance
+   * @returns {Promise<Object>} { fields, model }
+   */
+  static async loadConfig(subaccountId, userId, agentDocument, retell) {
+    const stored = PostCallAnalysisService.getStoredConfig(agentDocument);
+    if (!stored.isDefault) {
+      return { fields: stored.fields, model: stored.model };
+    }
+
+    try {
+      const retellAgent = await retell.getAgent(agentDocument.agentId);
+      const config = {
+        fields: retellAgent.post_call_analysis_data || [],
+        model: retellAgent.post_call_analysis_model || DEFAULT_AGENT_TEMPLATE.postCallAnalysisModel
+      };
+
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+      await connectionInfo.connection.db.collection('agents').updateOne(
+        { agentId: agentDocument.agentId, subaccountId },
+        { $set: { postCallAnalysisData: config.fields, postCallAnalysisModel: config.model } }
+      );
+
+      return config;
+    } catch (error) {
+      Logger.warn('Failed to load post-call analysis fields from Retell, using defaults', {
+        subaccountId,
+        agentId: agentDocument.agentId,
+        error: error.message
+      });
+      return { fields: stored.fields, model: stored.model };
+    }
+  }
+
+  /**
+   * Push the fields to Retell and store them on the agent
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @param {Object} retell - Retell instance
+   * @param {Object} config - { fields, model }
+   * @returns {Promise<Object>} { fields, model }
+   */
+  static async saveConfig(subaccountId, userId, agentId, retell, { fields, model }) {
+    await retell.updateAgent(agentId, {
+      post_call_analysis_data: fields.map(PostCallAnalysisService.toRetellField),
+      post_call_analysis_model: model
+    });
+
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    await connectionInfo.connection.db.collection('agents').updateOne(
+      { agentId, subaccountId },
+      {
+        $set: {
+          postCallAnalysisData: fields,
+          postCallAnalysisModel: model,
+          updatedAt: new Date(),
+          updatedBy: userId
+        }
+      }
+    );
+
+    return { fields, model };
+  }
+
+  /**
+   * Build a field from a request body. Only enum fields keep their choices.
+   * @param {Object} input - { type, name, description, examples, choices }
+   * @returns {Object} Field
+   */
+  static buildField(input) {
+    const field = {
+      type: input.type,
+      name: input.name,
+      description: input.description || ''
+    };
+
+    if (input.examples?.length) {
+      field.examples = input.examples;
+    }
+    if (input.type === 'enum') {
+      field.choices = input.choices;
+    }
+
+    return field;
+  }
+
+  /**
+   * Convert a stored field to Retell's post_call_analysis_data format
+   * @param {Object} field - Field
+   * @returns {Object} Retell field
+   */
+  static toRetellField(field) {
+    const retellField = {
+      type: field.type,
+      name: field.name,
+      description: field.description || ''
+    };
+
+    if (field.examples?.length) {
+      retellField.examples = field.examples;
+    }
+    if (field.type === 'enum') {
+      retellField.choices = field.choices || [];
+    }
+
+    return retellField;
+  }
+
+  /**
+   * List the post-call analysis fields of all voice agents of a subaccount,
+   * so call logs can show them as columns
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Array>} [{ name, type, description, choices, agentIds }]
+   */
+  static async listColumns(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const agents = await connectionInfo.connection.db.collection('agents')
+      .find({ subaccountId }, { projection: { agentId: 1, postCallAnalysisData: 1, postCallAnalysisModel: 1 } })
+      .toArray();
+
+    const columns = new Map();
+    agents.forEach(agent => {
+      PostCallAnalysisService.getStoredConfig(agent).fields.forEach(field => {
+        if (!columns.has(field.name)) {
+          columns.set(field.name, {
+            name: field.name,
+            type: field.type,
+            description: field.description || '',
+            choices: field.type === 'enum' ? (field.choices || []) : null,
+            agentIds: []
+          });
+        }
+        columns.get(field.name).agentIds.push(agent.agentId);
+      });
+    });
+
+    return Array.from(columns.values());
+  }
+
+  /**
+   * Convert a post-call analysis filter (see validateAnalysisFilter in callHelper)
+   * to a MongoDB condition on stored calls
+   * @param {Object} filter - Post-call analysis filter
+   * @returns {Object} Condition to merge into a $match stage ({} when there is no filter)
+   */
+  static buildAnalysisMatch(filter) {
+    const conditions = [];
+
+    Object.entries(filter || {}).forEach(([field, condition]) => {
+      const path = `${ANALYSIS_PATH}.${field}`;
+
+      if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        Object.entries(condition).forEach(([operator, expected]) => {
+          conditions.push({ [path]: PostCallAnalysisService.toMongoOperator(operator, expected) });
+        });
+      } else if (Array.isArray(condition)) {
+        conditions.push({ [path]: { $in: condition } });
+      } else {
+        conditions.push({ [path]: { $eq: condition } });
+      }
+    });
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
+
+  /**
+   * Translate a FIELD_OPERATORS operator to a MongoDB query operator
+   * @param {string} operator - Operator
+   * @param {*} expected - Expected value
+   * @returns {Object} MongoDB condition
+   */
+  static toMongoOperator(operator, expected) {
+    switch (operator) {
+      case 'exists':
+        return { $ne: null };
+      case 'truthy':
+        return { $nin: [null, false, 0, '', 'false'] };
+      case 'in':
+        return { $in: Array.isArray(expected) ? expected : [] };
+      default:
+        return { [`$${operator}`]: expected };
+    }
+  }
+
+  /**
+   * Summarize post-call analysis fields over the calls matching a $match stage.
+   * Numbers get count/average/min/max; other types get their most frequent values.
+   * @param {Object} callsCollection - calls collection
+   * @param {Object} match - $match condition
+   * @param {Array} fields - Post-call analysis fields
+   * @returns {Promise<Array>} Field summaries
+   */
+  static async summarizeFields(callsCollection, match, fields) {
+    const summarizable = fields.filter(field => SAFE_FIELD_NAME.test(field.name));
+    if (summarizable.length === 0) {
+      return [];
+    }
+
+    const facets = { total: [{ $count: 'count' }] };
+    summarizable.forEach((field, index) => {
+      const path = `$${ANALYSIS_PATH}.${field.name}`;
+      facets[`field${index}`] = field.type === 'number'
+        ? [
+          { $match: { [`${ANALYSIS_PATH}.${field.name}`]: { $type: 'number' } } },
+          { $group: { _id: null, count: { $sum: 1 }, average: { $avg: path }, min: { $min: path }, max: { $max: path } } }
+        ]
+        : [
+          { $group: { _id: path, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: TOP_VALUES_LIMIT }
+        ];
+    });
+
+    const [result] = await callsCollection.aggregate([
+      { $match: match },
+      { $facet: facets }
+    ]).toArray();
+
+    const totalCalls = result?.total[0]?.count || 0;
+
+    return summarizable.map((field, index) => {
+      const groups = result?.[`field${index}`] || [];
+      const summary = {
+        name: field.name,
+        type: field.type,
+        description: field.description || ''
+      };
+
+      if (field.type === 'number') {
+        const stats = groups[0];
+        return {
+          ...summary,
+          count: stats?.count || 0,
+          average: stats ? Math.round(stats.average * 100) / 100 : null,
+          min: stats ? stats.min : null,
+          max: stats ? stats.max : null
+        };
+      }
+
+      return {
+        ...summary,
+        values: groups.map(group => ({
+          value: group._id ?? null,
+          count: group.count,
+          percentage: totalCalls > 0 ? Math.round((group.count / totalCalls) * 10000) / 100 : 0
+        }))
+      };
+    });
+  }
+}
+
+module.exports = PostCallAnalysisService;
+module.exports.MAX_FIELDS = MAX_FIELDS;
+module.exports.PROTECTED_FIELDS = PROTECTED_FIELDS;
@@ -0,0 +1,415 @@
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const redisService = require('./redisService');
+const platformStore = require('./platformStore');
+
+const KEY_PREFIX = config.redis.prefixes.rateLimit;
+// Redis keys that held the plans before they moved to the platform database
+const LEGACY_PLAN_KEY_PREFIX = `${KEY_PREFIX}plan:`;
+
+const PLANS_COLLECTION = 'rate_limit_plans';
+const PLANS_INDEXES = [
+  [{ subaccountId: 1 }, { unique: true }]
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plan quotas: the plan field holding the limit and the window it is counted over
+const QUOTAS = {
+  requests: { limitField: 'requestsPerMinute', windowMs: 60 * 1000 },
+  calls: { limitField: 'callsPerDay', windowMs: DAY_MS },
+  chats: { limitField: 'chatsPerDay', windowMs: DAY_MS }
+};
+
+const QUOTA_FIELDS = Object.values(QUOTAS).map(quota => quota.limitField);
+
+// Sliding window counter, checked and incremented atomically.
+// KEYS: current window, previous window. ARGV: weight of the previous window, limit, cost, TTL in ms.
+// Returns { allowed (1/0), used, previous window count }. Rejected hits are not counted.
+const SLIDING_WINDOW_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+local used = math.floor(previous * tonumber(ARGV[1])) + current
+local cost = tonumber(ARGV[3])
+if used + cost > tonumber(ARGV[2]) then
+  return {0, used, previous}
+end
+redis.call('INCRBY', KEYS[1], cost)
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return {1, used + cost, previous}
+`;
+
+// In-process sliding window counters, used when Redis is not connected.
+// Limits are then enforced per instance only.
+class MemoryRateLimitStore {
+  constructor() {
+    this.store = new Map(); // window key -> { count, expiresAt }
+    this.cleanupInterval = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.store.entries()) {
+        if (entry.expiresAt <= now) {
+          this.store.delete(key);
+        }
+      }
+    }, 60000); // Clean up every minute
+    this.cleanupInterval.unref();
+  }
+
+  count(key, now) {
+    const entry = this.store.get(key);
+    return entry && entry.expiresAt > now ? entry.count : 0;
+  }
+
+  hit(key, limit, windowMs, cost, window) {
+    const now = Date.now();
+    const currentKey = `${key}:${window.index}`;
+    const current = this.count(currentKey, now);
+    const previous = this.count(`${key}:${window.index - 1}`, now);
+    const used = Math.floor(previous * window.weight) + current;
+
+    if (used + cost > limit) {
+      return { allowed: false, used, previous };
+    }
+
+    this.store.set(currentKey, { count: current + cost, expiresAt: now + 2 * windowMs });
+    return { allowed: true, used: used + cost, previous };
+  }
+
+  peek(key, window) {
+    const now = Date.now();
+    const previous = this.count(`${key}:${window.index - 1}`, now);
+    return {
+      used: Math.floor(previous * window.weight) + this.count(`${key}:${window.index}`, now),
+      previous
+    };
+  }
+
+  deleteByPrefix(prefix) {
+    let deleted = 0;
+    for (const key of this.store.keys()) {
+      if (key.startsWith(prefix)) {
+        this.store.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  shutdown() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+  }
+}
+
+// Singleton store
+const rateLimitStore = new MemoryRateLimitStore();
+
+// subaccountId -> { value, expiresAt }
+const planCache = new Map();
+
+// Plan assignments when the platform database is not configured (development and tests)
+const memoryPlans = new Map();
+
+/**
+ * Rate limits and per-subaccount quota plans.
+ * Counters are sliding window counters in Redis (db_rate:<key>:<window>), shared by all
+ * instances; without Redis they fall back to in-process counters. Plans are defined in
+ * config.rateLimiting.plans; the plan of a subaccount (and optional per-limit overrides)
+ * is stored in the platform database (rate_limit_plans) and cached per instance.
+ */
+class RateLimitService {
+  /**
+   * Count a hit against a limit
+   * @param {string} key - Counter key (e.g. sub:<subaccountId>:calls)
+   * @param {number} limit - Hits allowed per window
+   * @param {number} windowMs - Window length
+   * @param {number} cost - Hits to count (e.g. tasks of a batch call)
+   * @returns {Promise<Object>} { allowed, limit, used, remaining, resetMs }
+   */
+  static async hit(key, limit, windowMs, cost = 1) {
+    const now = Date.now();
+    const window = RateLimitService.getWindow(windowMs, now);
+    let counts = null;
+
+    if (redisService.isConnected) {
+      try {
+        const [allowed, used, previous] = await redisService.client.eval(SLIDING_WINDOW_SCRIPT, {
+          keys: [`${KEY_PREFIX}${key}:${window.index}`, `${KEY_PREFIX}${key}:${window.index - 1}`],
+          arguments: [String(window.weight), String(limit), String(cost), String(2 * windowMs)]
+        });
+        counts = { allowed: allowed === 1, used, previous };
+      } catch (error) {
+        Logger.warn('Redis rate limit check failed, using in-process counters', {
+          key,
+          error: error.message
+        });
+      }
+    }
+
+    if (!counts) {
+      counts = rateLimitStore.hit(key, limit, windowMs, cost, window);
+    }
+
+    return {
+      allowed: counts.allowed,
+      limit,
+      used: counts.used,
+      remaining: Math.max(0, limit - counts.used),
+      resetMs: counts.allowed
+        ? window.endsAt - now
+        : RateLimitService.getRetryAfterMs(counts, limit, cost, windowMs, window.endsAt - now)
+    };
+  }
+
+  /**
+   * Read a counter without counting a hit
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<number>} Hits in the sliding window
+   */
+  static async peek(key, windowMs) {
+    const window = RateLimitService.getWindow(windowMs, Date.now());
+
+    if (redisService.isConnected) {
+      try {
+        const [current, previous] = await redisService.client.mGet([
+          `${KEY_PREFIX}${key}:${window.index}`,
+          `${KEY_PREFIX}${key}:${window.index - 1}`
+        ]);
+        return Math.floor(Number(previous || 0) * window.weight) + Number(current || 0);
+      } catch (error) {
+        Logger.warn('Failed to read rate limit counter from Redis', { key, error: error.message });
+      }
+    }
+
+    return rateLimitStore.peek(key, window).used;
+  }
+
+  /**
+   * Get the current window of a sliding window counter
+   * @param {number} windowMs - Window length
+   * @param {number} now - Current time in ms
+   * @returns {Object} { index, endsAt, weight } - weight is the share of the previous window still counted
+   */
+  static getWindow(windowMs, now) {
+    const index = Math.floor(now / windowMs);
+    const endsAt = (index + 1) * windowMs;
+    return { index, endsAt, weight: (endsAt - now) / windowMs };
+  }
+
+  /**
+   * Estimate when a rejected hit would fit: the previous window's share shrinks linearly
+   * until the current window ends
+   */
+  static getRetryAfterMs({ used, previous }, limit, cost, windowMs, untilWindowEndMs) {
+    const excess = used + cost - limit;
+    if (previous > 0) {
+      const retryAfterMs = Math.ceil((excess * windowMs) / previous);
+      if (retryAfterMs <= untilWindowEndMs) {
+        return retryAfterMs;
+      }
+    }
+    return untilWindowEndMs;
+  }
+
+  /**
+   * Get the quota plan of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @returns {Promise<Object>} { plan, limits, overrides, isDefault, updatedAt, updatedBy }
+   */
+  static async getPlan(subaccountId) {
+    const cached = planCache.get(subaccountId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    let assignment = null;
+    try {
+      assignment = await RateLimitService.readAssignment(subaccountId);
+    } catch (error) {
+      Logger.warn('Failed to read rate limit plan, using the default plan', {
+        subaccountId,
+        error: error.message
+      });
+    }
+
+    const value = RateLimitService.resolvePlan(assignment);
+    planCache.set(subaccountId, { value, expiresAt: Date.now() + config.rateLimiting.plans.cacheTtlMs });
+    return value;
+  }
+
+  /**
+   * Read the stored plan assignment of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @returns {Promise<Object|null>} { plan, overrides, updatedAt, updatedBy }, or null without an assignment
+   */
+  static async readAssignment(subaccountId) {
+    const collection = await platformStore.getCollection(PLANS_COLLECTION, PLANS_INDEXES);
+    if (!collection) {
+      return memoryPlans.get(subaccountId) || null;
+    }
+
+    const stored = await collection.findOne({ subaccountId });
+    if (stored) {
+      return { plan: stored.plan, overrides: stored.overrides, updatedAt: stored.updatedAt, updatedBy: stored.updatedBy };
+    }
+
+    // Plans assigned before they were stored in the platform database
+    if (!redisService.isConnected) {
+      return null;
+    }
+    const legacyKey = `${LEGACY_PLAN_KEY_PREFIX}${subaccountId}`;
+    const legacy = await redisService.get(legacyKey);
+    if (!legacy) {
+      return null;
+    }
+
+    const assignment = await RateLimitService.storeAssignment(subaccountId, {
+      plan: legacy.plan,
+      overrides: legacy.overrides || {},
+      updatedAt: legacy.updatedAt ? new Date(legacy.updatedAt) : new Date(),
+      updatedBy: legacy.updatedBy || null
+    });
+    await redisService.del(legacyKey);
+    return assignment;
+  }
+
+  /**
+   * Store the plan assignment of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} assignment - { plan, overrides, updatedAt, updatedBy }
+   * @returns {Promise<Object>} The assignment
+   */
+  static async storeAssignment(subaccountId, assignment) {
+    const collection = await platformStore.getCollection(PLANS_COLLECTION, PLANS_INDEXES);
+
+    if (collection) {
+      await collection.updateOne(
+        { subaccountId },
+        { $set: assignment, $setOnInsert: { createdAt: assignment.updatedAt } },
+        { upsert: true }
+      );
+    } else {
+      memoryPlans.set(subaccountId, assignment);
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Combine a stored plan assignment with the plan definition
+   * @param {Object|null} assignment - { plan, overrides, updatedAt, updatedBy }
+   * @returns {Object} Plan
+   */
+  static resolvePlan(assignment) {
+    const { definitions, defaultPlan } = config.rateLimiting.plans;
+    const plan = assignment && definitions[assignment.plan] ? assignment.plan : defaultPlan;
+    const overrides = assignment?.overrides || {};
+
+    return {
+      plan,
+      limits: { ...definitions[plan], ...overrides },
+      overrides,
+      isDefault: !assignment,
+      updatedAt: assignment?.updatedAt || null,
+      updatedBy: assignment?.updatedBy || null
+    };
+  }
+
+  /**
+   * Assign a quota plan to a subaccount. Other instances pick it up within plans.cacheTtlMs.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} plan - Plan name
+   * @param {Object} overrides - Limits replacing the plan's (requestsPerMinute, callsPerDay, chatsPerDay, routeLimitMultiplier)
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Plan
+   */
+  static async setPlan(subaccountId, plan, overrides, userId) {
+    const assignment = await RateLimitService.storeAssignment(subaccountId, {
+      plan,
+      overrides: overrides || {},
+      updatedAt: new Date(),
+      updatedBy: userId
+    });
+    planCache.delete(subaccountId);
+
+    return RateLimitService.resolvePlan(assignment);
+  }
+
+  /**
+   * Count hits against a plan quota of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} quota - requests, calls or chats
+   * @param {number} cost - Hits to count
+   * @returns {Promise<Object>} hit() result with quota and plan
+   */
+  static async consumeQuota(subaccountId, quota, cost = 1) {
+    const { plan, limits } = await RateLimitService.getPlan(subaccountId);
+    const { limitField, windowMs } = QUOTAS[quota];
+
+    const result = await RateLimitService.hit(`sub:${subaccountId}:${quota}`, limits[limitField], windowMs, cost);
+    return { ...result, quota, plan };
+  }
+
+  /**
+   * Get the plan and quota usage of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @returns {Promise<Object>} { plan, limits, overrides, isDefault, updatedAt, updatedBy, usage, store }
+   */
+  static async getUsage(subaccountId) {
+    const plan = await RateLimitService.getPlan(subaccountId);
+    const usage = {};
+
+    for (const [quota, { limitField, windowMs }] of Object.entries(QUOTAS)) {
+      const used = await RateLimitService.peek(`sub:${subaccountId}:${quota}`, windowMs);
+      const limit = plan.limits[limitField];
+      usage[quota] = {
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        windowMs
+      };
+    }
+
+    return {
+      ...plan,
+      usage,
+      store: redisService.isConnected ? 'redis' : 'memory'
+    };
+  }
+
+  /**
+   * Reset all counters of a subaccount: plan quotas and the per-user route limits
+   * @param {string} subaccountId - Subaccount ID
+   * @returns {Promise<number>} Counters removed
+   */
+  static async resetCounters(subaccountId) {
+    const prefix = `sub:${subaccountId}:`;
+    let deleted = rateLimitStore.deleteByPrefix(prefix);
+
+    if (redisService.isConnected) {
+      // SCAN instead of KEYS, which blocks Redis while it walks the whole keyspace
+      let cursor = 0;
+      do {
+        const reply = await redisService.client.scan(cursor, {
+          MATCH: `${KEY_PREFIX}${prefix}*`,
+          COUNT: 500
+        });
+
+        cursor = reply.cursor;
+        if (reply.keys.length > 0) {
+          deleted += await redisService.client.del(reply.keys);
+        }
+      } while (cursor !== 0);
+    }
+
+    Logger.info('Rate limit counters reset', { subaccountId, deleted });
+    return deleted;
+  }
+}
+
+module.exports = RateLimitService;
+module.exports.QUOTAS = QUOTAS;
+module.exports.QUOTA_FIELDS = QUOTA_FIELDS;
+module.exports.rateLimitStore = rateLimitStore;
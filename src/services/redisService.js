@@ -9,6 +9,9 @@ class RedisService {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 1000;
+
+    // Cache lookups by result, for /metrics
+    this.cacheStats = { hits: 0, misses: 0 };
   }
 
   async connect() {
@@ -118,6 +121,7 @@ class RedisService {
     
     try {
       const value = await this.client.get(key);
+      this.cacheStats[value ? 'hits' : 'misses']++;
       return value ? JSON.parse(value) : null;
     } catch (error) {
       Logger.error('Redis get error:', error);
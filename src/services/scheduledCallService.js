@@ -0,0 +1,1123 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const Retell = require('../utils/retell');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+const redisService = require('./redisService');
+const retellService = require('./retellService');
+const ActivityService = require('./activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const SuppressionService = require('./suppressionService');
+const { CHANNELS } = SuppressionService;
+const CallingHoursService = require('./callingHoursService');
+const BatchCallService = require('./batchCallService');
+const RateLimitService = require('./rateLimitService');
+const BudgetService = require('./budgetService');
+const SubaccountIndexService = require('./subaccountIndexService');
+
+const COLLECTION_NAME = 'scheduled_calls';
+const INDEXES = [
+  [{ subaccountId: 1, scheduledCallId: 1 }, { unique: true }],
+  [{ status: 1, nextAttemptAt: 1 }],
+  [{ subaccountId: 1, batchCallId: 1, status: 1 }]
+];
+const WORKER_NAME = 'scheduled_calls';
+// Redis set that held the worker index before it moved to the platform database
+const LEGACY_SUBACCOUNT_INDEX_KEY = `${config.redis.prefixes.scheduledCalls}subaccounts`;
+
+/**
+ * Queue entry statuses
+ */
+const STATUSES = {
+  SCHEDULED: 'scheduled',
+  DIALING: 'dialing',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATUSES = [STATUSES.SCHEDULED, STATUSES.DIALING, STATUSES.IN_PROGRESS];
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  backoffMinutes: 30,
+  backoffMultiplier: 2,
+  retryOn: ['dial_no_answer', 'dial_busy', 'voicemail_reached']
+};
+
+// Retell call statuses after which the call will not change anymore
+const ENDED_CALL_STATUSES = ['ended', 'error', 'not_connected'];
+
+let workerTask = null;
+let isProcessing = false;
+let legacyIndexImported = false;
+
+/**
+ * Persistent outbound call queue.
+ * Calls are stored per subaccount in `scheduled_calls` and dialed by a node-cron worker
+ * once they are due. Calls that end with a retryable disconnection reason (no answer,
+ * busy, voicemail) are re-queued with exponential backoff until maxAttempts is reached.
+ */
+class ScheduledCallService {
+  /**
+   * Get the scheduled_calls collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, COLLECTION_NAME, INDEXES);
+  }
+
+  /**
+   * Get the calls collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCallsCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection('calls');
+  }
+
+  /**
+   * Merge a retry policy from a request with the defaults
+   * @param {Object} [retry] - { maxAttempts, backoffMinutes, backoffMultiplier, retryOn }
+   * @returns {Object} Complete retry policy
+   */
+  static buildRetryPolicy(retry = {}) {
+    return {
+      maxAttempts: retry.maxAttempts ?? DEFAULT_RETRY_POLICY.maxAttempts,
+      backoffMinutes: retry.backoffMinutes ?? DEFAULT_RETRY_POLICY.backoffMinutes,
+      backoffMultiplier: retry.backoffMultiplier ?? DEFAULT_RETRY_POLICY.backoffMultiplier,
+      retryOn: retry.retryOn || DEFAULT_RETRY_POLICY.retryOn
+    };
+  }
+
+  /**
+   * Calculate when the next attempt is due
+   * @param {Object} retry - Retry policy
+   * @param {number} attemptCount - Attempts made so far (1 after the first call)
+   * @param {Date} [from] - Base time (default: now)
+   * @returns {Date} Time of the next attempt
+   */
+  static calculateNextAttemptAt(retry, attemptCount, from = new Date()) {
+    const delayMinutes = Math.min(
+      retry.backoffMinutes * Math.pow(retry.backoffMultiplier, Math.max(attemptCount - 1, 0)),
+      config.scheduledCalls.maxBackoffMinutes
+    );
+    return new Date(from.getTime() + delayMinutes * 60 * 1000);
+  }
+
+  /**
+   * Build a queue entry
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User scheduling the call
+   * @param {Object} params - Call parameters (see schedule)
+   * @returns {Object} Queue entry
+   */
+  static buildEntry(subaccountId, userId, {
+    from_number,
+    to_number,
+    agent_id = null,
+    outbound_agent_id = null,
+    metadata = {},
+    retell_llm_dynamic_variables = {},
+    scheduledFor,
+    retry,
+    callingHours = null,
+    timezone = 'UTC',
+    source = 'api',
+    batchCallId = null,
+    batchTaskId = null,
+    operationId = null
+  }) {
+    const now = new Date();
+
+    return {
+      scheduledCallId: uuidv4(),
+      subaccountId,
+      from_number,
+      to_number,
+      agent_id,
+      outbound_agent_id,
+      metadata,
+      retell_llm_dynamic_variables,
+      status: STATUSES.SCHEDULED,
+      scheduledFor,
+      nextAttemptAt: scheduledFor,
+      retry: ScheduledCallService.buildRetryPolicy(retry),
+      attempts: [],
+      attemptCount: 0,
+      originCallId: null,
+      lastCallId: null,
+      outcome: null,
+      lastError: null,
+      callingHours,
+      timezone,
+      source,
+      batchCallId,
+      batchTaskId,
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      cancelledAt: null,
+      cancelledBy: null,
+      operationId
+    };
+  }
+
+  /**
+   * Add a call to the queue
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User scheduling the call
+   * @param {Object} params - Call parameters
+   * @param {string} params.from_number - Caller number (E.164)
+   * @param {string} params.to_number - Recipient number (E.164)
+   * @param {string} [params.agent_id] - Agent ID
+   * @param {string} [params.outbound_agent_id] - Outbound agent of from_number, whose spend limit applies without agent_id
+   * @param {Object} [params.metadata] - Call metadata
+   * @param {Object} [params.retell_llm_dynamic_variables] - Dynamic variables
+   * @param {Date} params.scheduledFor - When to place the first attempt
+   * @param {Object} [params.retry] - Retry policy overrides
+   * @param {Object} [params.callingHours] - Calling-hours decision made when scheduling
+   * @param {string} [params.timezone] - Subaccount timezone, used for numbers without a known timezone
+   * @param {string} [params.source] - What created the entry (api, phone_call_deferred, batch_call)
+   * @param {string} [params.batchCallId] - Campaign the call belongs to
+   * @param {string} [params.batchTaskId] - Campaign task the call belongs to
+   * @param {string} [params.operationId] - Operation ID
+   * @returns {Promise<Object>} Formatted queue entry
+   */
+  static async schedule(subaccountId, userId, params) {
+    const collection = await ScheduledCallService.getCollection(subaccountId, userId);
+    const entry = ScheduledCallService.buildEntry(subaccountId, userId, params);
+
+    await collection.insertOne(entry);
+    try {
+      await ScheduledCallService.trackSubaccount(subaccountId);
+    } catch (error) {
+      // The worker would never find the entry
+      await collection.deleteOne({ _id: entry._id });
+      throw error;
+    }
+
+    Logger.info('Call scheduled', {
+      operationId: entry.operationId,
+      subaccountId,
+      scheduledCallId: entry.scheduledCallId,
+      to_number: entry.to_number,
+      scheduledFor: entry.scheduledFor,
+      maxAttempts: entry.retry.maxAttempts
+    });
+
+    return ScheduledCallService.formatEntry(entry);
+  }
+
+  /**
+   * Add many calls to the queue in one insert (used for batch call campaigns)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User scheduling the calls
+   * @param {Array<Object>} calls - Call parameters, see schedule
+   * @returns {Promise<number>} Number of queued calls
+   */
+  static async scheduleMany(subaccountId, userId, calls) {
+    if (calls.length === 0) {
+      return 0;
+    }
+
+    const collection = await ScheduledCallService.getCollection(subaccountId, userId);
+    const entries = calls.map(params => ScheduledCallService.buildEntry(subaccountId, userId, params));
+
+    await collection.insertMany(entries);
+    try {
+      await ScheduledCallService.trackSubaccount(subaccountId);
+    } catch (error) {
+      // The worker would never find the entries
+      await collection.deleteMany({ subaccountId, scheduledCallId: { $in: entries.map(entry => entry.scheduledCallId) } });
+      throw error;
+    }
+
+    Logger.info('Calls scheduled', {
+      operationId: entries[0].operationId,
+      subaccountId,
+      batchCallId: entries[0].batchCallId,
+      count: entries.length
+    });
+
+    return entries.length;
+  }
+
+  /**
+   * List queue entries (next attempt first)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} options - Query options
+   * @param {string} [options.status] - Filter by status
+   * @param {string} [options.to_number] - Filter by recipient
+   * @param {number} options.limit - Limit number of results (default: 50)
+   * @param {number} options.skip - Skip number of results (default: 0)
+   * @returns {Promise<Object>} { scheduledCalls, total }
+   */
+  static async list(subaccountId, userId, { status, to_number, limit = 50, skip = 0 } = {}) {
+    const collection = await ScheduledCallService.getCollection(subaccountId, userId);
+    const query = { subaccountId };
+    if (status) {
+      query.status = status;
+    }
+    if (to_number) {
+      query.to_number = to_number;
+    }
+
+    const [entries, total] = await Promise.all([
+      collection.find(query)
+        .sort({ nextAttemptAt: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return {
+      scheduledCalls: entries.map(entry => ScheduledCallService.formatEntry(entry)),
+      total
+    };
+  }
+
+  /**
+   * Get a queue entry with its attempts
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} scheduledCallId - Queue entry ID
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  static async get(subaccountId, userId, scheduledCallId) {
+    const collection = await ScheduledCallService.getCollection(subaccountId, userId);
+    const entry = await collection.findOne({ subaccountId, scheduledCallId });
+    return entry ? ScheduledCallService.formatEntry(entry) : null;
+  }
+
+  /**
+   * Cancel a queue entry. Scheduled entries are not dialed; entries waiting for a
+   * call result are not retried.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User cancelling the entry
+   * @param {string} scheduledCallId - Queue entry ID
+   * @returns {Promise<Object|null>} { entry, cancelled, reason } or null if not found
+   */
+  static async cancel(subaccountId, userId, scheduledCallId) {
+    const collection = await ScheduledCallService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    const result = await collection.updateOne(
+      { subaccountId, scheduledCallId, status: { $in: [STATUSES.SCHEDULED, STATUSES.IN_PROGRESS] } },
+      {
+        $set: {
+          status: STATUSES.CANCELLED,
+          nextAttemptAt: null,
+          cancelledAt: now,
+          cancelledBy: userId,
+          updatedAt: now
+        }
+      }
+    );
+
+    const entry = await collection.findOne({ subaccountId, scheduledCallId });
+    if (!entry) {
+      return null;
+    }
+
+    if (result.modifiedCount === 0) {
+      return {
+        entry: ScheduledCallService.formatEntry(entry),
+        cancelled: false,
+        reason: entry.status === STATUSES.DIALING ? 'dialing' : 'finished'
+      };
+    }
+
+    await ScheduledCallService.updateOriginCall(subaccountId, entry);
+    if (entry.batchCallId) {
+      await BatchCallService.cancelTask(subaccountId, entry.batchCallId, entry.batchTaskId);
+    }
+
+    Logger.info('Scheduled call cancelled', {
+      subaccountId,
+      scheduledCallId,
+      userId,
+      attemptCount: entry.attemptCount
+    });
+
+    return {
+      entry: ScheduledCallService.formatEntry(entry),
+      cancelled: true,
+      reason: null
+    };
+  }
+
+  /**
+   * Cancel the queue entries of a campaign that have not been dialed yet.
+   * The campaign itself is the authority on which tasks may still be dialed
+   * (see BatchCallService.claimTask); this only stops the worker from picking them up.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User cancelling the campaign
+   * @param {string} batchCallId - Campaign ID
+   * @returns {Promise<number>} Number of cancelled entries
+   */
+  static async cancelBatch(subaccountId, userId, batchCallId) {
+    const collection = await ScheduledCallService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    const result = await collection.updateMany(
+      { subaccountId, batchCallId, status: STATUSES.SCHEDULED },
+      {
+        $set: {
+          status: STATUSES.CANCELLED,
+          nextAttemptAt: null,
+          cancelledAt: now,
+          cancelledBy: userId,
+          updatedAt: now
+        }
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Start the cron worker that dials due calls
+   * @returns {boolean} True if the worker was started
+   */
+  static startWorker() {
+    if (!config.scheduledCalls.workerEnabled) {
+      Logger.info('Scheduled call worker disabled');
+      return false;
+    }
+    if (workerTask) {
+      return true;
+    }
+
+    workerTask = cron.schedule(config.scheduledCalls.cronExpression, () => {
+      ScheduledCallService.processDueCalls().catch(error => {
+        Logger.error('Scheduled call worker run failed', { error: error.message });
+      });
+    });
+
+    Logger.info('Scheduled call worker started', {
+      cronExpression: config.scheduledCalls.cronExpression
+    });
+    return true;
+  }
+
+  /**
+   * Stop the cron worker
+   */
+  static stopWorker() {
+    if (workerTask) {
+      workerTask.stop();
+      workerTask = null;
+      Logger.info('Scheduled call worker stopped');
+    }
+  }
+
+  /**
+   * Dial due calls of every subaccount that has active queue entries.
+   * Runs are skipped while a previous run is still in progress.
+   * @returns {Promise<Object>} { subaccounts, dialed } counters
+   */
+  static async processDueCalls() {
+    if (isProcessing) {
+      return { subaccounts: 0, dialed: 0, skipped: true };
+    }
+    isProcessing = true;
+
+    let dialed = 0;
+    let subaccounts = [];
+
+    try {
+      if (!legacyIndexImported) {
+        await SubaccountIndexService.importRedisSet(WORKER_NAME, LEGACY_SUBACCOUNT_INDEX_KEY);
+        legacyIndexImported = true;
+      }
+
+      subaccounts = await ScheduledCallService.getTrackedSubaccounts();
+
+      for (const { subaccountId, generation } of subaccounts) {
+        try {
+          dialed += await ScheduledCallService.processSubaccount(subaccountId, generation);
+        } catch (error) {
+          Logger.error('Failed to process scheduled calls', {
+            subaccountId,
+            error: error.message
+          });
+        }
+      }
+    } finally {
+      isProcessing = false;
+    }
+
+    if (dialed > 0) {
+      Logger.info('Scheduled call worker run finished', {
+        subaccounts: subaccounts.length,
+        dialed
+      });
+    }
+
+    return { subaccounts: subaccounts.length, dialed, skipped: false };
+  }
+
+  /**
+   * Expire stuck entries, then claim and dial the due entries of a subaccount.
+   * Up to scheduledCalls.dispatchConcurrency entries are dialed at the same time.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {number} [generation] - Index generation read by the worker; the subaccount
+   *   leaves the index when it has no active entries and was not tracked again since
+   * @returns {Promise<number>} Number of entries dialed
+   */
+  static async processSubaccount(subaccountId, generation = null) {
+    const collection = await ScheduledCallService.getCollection(subaccountId, 'system');
+    const now = new Date();
+
+    await ScheduledCallService.expireStuckEntries(subaccountId, collection, now);
+
+    const dueEntries = await collection.find({
+      subaccountId,
+      status: STATUSES.SCHEDULED,
+      nextAttemptAt: { $lte: now }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(config.scheduledCalls.batchSize)
+      .toArray();
+
+    let dialed = 0;
+    let nextIndex = 0;
+
+    const dialNext = async () => {
+      while (nextIndex < dueEntries.length) {
+        const entry = dueEntries[nextIndex++];
+
+        // Only one worker instance may dial an entry
+        const claim = await collection.updateOne(
+          { _id: entry._id, status: STATUSES.SCHEDULED },
+          { $set: { status: STATUSES.DIALING, dialingSince: new Date(), updatedAt: new Date() } }
+        );
+        if (claim.modifiedCount === 0) {
+          continue;
+        }
+
+        if (await ScheduledCallService.dispatch(subaccountId, collection, entry)) {
+          dialed++;
+        }
+      }
+    };
+
+    const concurrency = Math.max(1, Math.min(config.scheduledCalls.dispatchConcurrency, dueEntries.length));
+    await Promise.all(Array.from({ length: concurrency }, dialNext));
+
+    const activeCount = await collection.countDocuments({ subaccountId, status: { $in: ACTIVE_STATUSES } });
+    if (activeCount === 0 && generation !== null) {
+      await ScheduledCallService.untrackSubaccount(subaccountId, generation);
+    }
+
+    return dialed;
+  }
+
+  /**
+   * Fail entries whose dispatch was interrupted or whose call never reported a result
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} collection - scheduled_calls collection
+   * @param {Date} now - Current time
+   */
+  static async expireStuckEntries(subaccountId, collection, now) {
+    const { dialingTimeoutMs, resultTimeoutMs } = config.scheduledCalls;
+
+    const interrupted = await collection.updateMany(
+      { subaccountId, status: STATUSES.DIALING, dialingSince: { $lt: new Date(now.getTime() - dialingTimeoutMs) } },
+      { $set: { status: STATUSES.FAILED, lastError: 'dispatch_interrupted', nextAttemptAt: null, completedAt: now, updatedAt: now } }
+    );
+
+    const timedOut = await collection.updateMany(
+      { subaccountId, status: STATUSES.IN_PROGRESS, lastAttemptAt: { $lt: new Date(now.getTime() - resultTimeoutMs) } },
+      { $set: { status: STATUSES.FAILED, lastError: 'call_result_timeout', nextAttemptAt: null, completedAt: now, updatedAt: now } }
+    );
+
+    if (interrupted.modifiedCount > 0 || timedOut.modifiedCount > 0) {
+      Logger.warn('Expired stuck scheduled calls', {
+        subaccountId,
+        interrupted: interrupted.modifiedCount,
+        timedOut: timedOut.modifiedCount
+      });
+    }
+  }
+
+  /**
+   * Place the next attempt of a claimed entry.
+   * Suppression and calling hours are checked again because both may have changed
+   * since the call was scheduled.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} collection - scheduled_calls collection
+   * @param {Object} entry - Claimed queue entry
+   * @returns {Promise<boolean>} True if a call was placed
+   */
+  static async dispatch(subaccountId, collection, entry) {
+    const operationId = uuidv4();
+    const now = new Date();
+    const attempt = entry.attemptCount + 1;
+
+    const finish = (status, fields) => collection.updateOne(
+      { _id: entry._id, status: STATUSES.DIALING },
+      { $set: { status, nextAttemptAt: null, completedAt: now, updatedAt: now, ...fields } }
+    );
+
+    try {
+      const suppressed = await SuppressionService.findSuppressed(subaccountId, 'system', CHANNELS.PHONE, [entry.to_number]);
+      if (suppressed.has(entry.to_number)) {
+        await SuppressionService.logBlockedAttempt(subaccountId, CHANNELS.PHONE, [entry.to_number], {
+          userId: entry.createdBy,
+          agentId: entry.agent_id,
+          operationId
+        });
+        await finish(STATUSES.FAILED, { lastError: 'recipient_suppressed' });
+        await ScheduledCallService.updateOriginCall(subaccountId, { ...entry, status: STATUSES.FAILED });
+        if (entry.batchCallId) {
+          await BatchCallService.failTask(subaccountId, entry.batchCallId, entry.batchTaskId, 'recipient_suppressed');
+        }
+        return false;
+      }
+
+      // Retries are timed by the queue, so calls outside the window are postponed in both modes
+      const settings = await CallingHoursService.getSettings(subaccountId, 'system');
+      const callingHours = CallingHoursService.evaluate(settings, entry.to_number, {
+        at: now,
+        fallbackTimezone: entry.timezone || 'UTC'
+      });
+
+      if (!callingHours.allowed) {
+        if (!callingHours.nextAllowedAt) {
+          await finish(STATUSES.FAILED, { lastError: 'outside_calling_hours', callingHours });
+          await ScheduledCallService.updateOriginCall(subaccountId, { ...entry, status: STATUSES.FAILED });
+          if (entry.batchCallId) {
+            await BatchCallService.failTask(subaccountId, entry.batchCallId, entry.batchTaskId, 'outside_calling_hours');
+          }
+          return false;
+        }
+
+        await collection.updateOne(
+          { _id: entry._id, status: STATUSES.DIALING },
+          { $set: { status: STATUSES.SCHEDULED, nextAttemptAt: new Date(callingHours.nextAllowedAt), callingHours, updatedAt: now } }
+        );
+
+        Logger.info('Scheduled call postponed to the next allowed calling time', {
+          subaccountId,
+          scheduledCallId: entry.scheduledCallId,
+          nextAllowedAt: callingHours.nextAllowedAt,
+          reason: callingHours.reason
+        });
+        return false;
+      }
+
+      // Queued calls wait while a monthly spend limit is reached; it may be raised before the month ends.
+      // Every recheck would log an activity, so postponements are only logged here.
+      const exceededBudget = await BudgetService.checkBudget(subaccountId, entry.agent_id || entry.outbound_agent_id || null, {
+        action: 'scheduled_call',
+        userId: entry.createdBy,
+        operationId,
+        logBlocked: false
+      });
+      if (exceededBudget) {
+        const nextAttemptAt = new Date(Math.min(
+          now.getTime() + config.budgets.recheckMinutes * 60 * 1000,
+          exceededBudget.budget.resetsAt.getTime()
+        ));
+        await collection.updateOne(
+          { _id: entry._id, status: STATUSES.DIALING },
+          { $set: { status: STATUSES.SCHEDULED, nextAttemptAt, updatedAt: now } }
+        );
+
+        Logger.info('Scheduled call postponed, monthly spend limit reached', {
+          subaccountId,
+          scheduledCallId: entry.scheduledCallId,
+          scope: exceededBudget.budget.scope,
+          monthlyLimit: exceededBudget.budget.monthlyLimit,
+          nextAttemptAt
+        });
+        return false;
+      }
+
+      // Campaign tasks are claimed before the quota is counted; a task cancelled with its campaign is not dialed
+      if (entry.batchCallId && !(await BatchCallService.claimTask(subaccountId, entry.batchCallId, entry.batchTaskId))) {
+        await finish(STATUSES.CANCELLED, { cancelledAt: now, lastError: 'batch_call_cancelled' });
+
+        Logger.info('Scheduled call skipped, batch call task was cancelled', {
+          subaccountId,
+          scheduledCallId: entry.scheduledCallId,
+          batchCallId: entry.batchCallId,
+          batchTaskId: entry.batchTaskId
+        });
+        return false;
+      }
+
+      // Queued calls, campaign tasks included, count against the daily call quota of the subaccount's
+      // plan only here, after the claim
+      const quota = await RateLimitService.consumeQuota(subaccountId, 'calls');
+      if (!quota.allowed) {
+        const nextAttemptAt = new Date(now.getTime() + quota.resetMs);
+        if (entry.batchCallId) {
+          await BatchCallService.releaseTask(subaccountId, entry.batchCallId, entry.batchTaskId, 'call_quota_exceeded');
+        }
+        await collection.updateOne(
+          { _id: entry._id, status: STATUSES.DIALING },
+          { $set: { status: STATUSES.SCHEDULED, nextAttemptAt, updatedAt: now } }
+        );
+
+        Logger.info('Scheduled call postponed, daily call quota reached', {
+          subaccountId,
+          scheduledCallId: entry.scheduledCallId,
+          plan: quota.plan,
+          limit: quota.limit,
+          nextAttemptAt
+        });
+        return false;
+      }
+
+      const retellAccountData = await retellService.getRetellAccount(subaccountId);
+      if (!retellAccountData.isActive) {
+        throw new Error('Retell account is not active');
+      }
+      const retell = new Retell(retellAccountData.apiKey, retellAccountData);
+
+      const metadata = {
+        ...entry.metadata,
+        subaccountId,
+        scheduledCallId: entry.scheduledCallId,
+        attempt
+      };
+      const dynamicVariables = {
+        phone_number: entry.to_number,
+        agent_id: entry.agent_id || '',
+        subaccount_id: subaccountId,
+        scheduled_call_id: entry.scheduledCallId,
+        ...(entry.retell_llm_dynamic_variables || {})
+      };
+
+      const callConfig = {
+        from_number: entry.from_number,
+        to_number: entry.to_number,
+        metadata,
+        retell_llm_dynamic_variables: dynamicVariables
+      };
+      if (entry.agent_id) {
+        callConfig.agent_id = entry.agent_id;
+      }
+
+      const phoneCallResponse = await retell.createPhoneCall(callConfig);
+      const callId = phoneCallResponse.call_id;
+
+      const callsCollection = await ScheduledCallService.getCallsCollection(subaccountId, 'system');
+      await callsCollection.insertOne({
+        call_id: callId,
+        agent_id: phoneCallResponse.agent_id || entry.agent_id,
+        call_type: 'phone_call',
+        direction: 'outbound',
+        from_number: entry.from_number,
+        to_number: entry.to_number,
+        call_status: phoneCallResponse.call_status || 'registered',
+        start_timestamp: now.getTime(),
+        metadata,
+        retell_llm_dynamic_variables: { ...dynamicVariables, call_id: callId },
+        calling_hours: callingHours,
+        scheduled_call_id: entry.scheduledCallId,
+        scheduled_call_attempt: attempt,
+        ...(entry.batchCallId && { batch_call_id: entry.batchCallId }),
+        origin_call_id: entry.originCallId || null,
+        retry_of_call_id: entry.lastCallId || null,
+        subaccountId,
+        createdBy: entry.createdBy,
+        createdAt: now,
+        operationId,
+        retellAccountId: retellAccountData.id
+      });
+
+      const entryUpdate = {
+        status: STATUSES.IN_PROGRESS,
+        attemptCount: attempt,
+        lastCallId: callId,
+        lastAttemptAt: now,
+        nextAttemptAt: null,
+        lastError: null,
+        updatedAt: now
+      };
+      if (!entry.originCallId) {
+        entryUpdate.originCallId = callId;
+      }
+
+      await collection.updateOne(
+        { _id: entry._id },
+        {
+          $set: entryUpdate,
+          $unset: { dialingSince: '' },
+          $push: {
+            attempts: {
+              attempt,
+              call_id: callId,
+              dialedAt: now,
+              call_status: phoneCallResponse.call_status || 'registered',
+              disconnection_reason: null,
+              outcome: null,
+              endedAt: null
+            }
+          }
+        }
+      );
+
+      await ScheduledCallService.updateOriginCall(subaccountId, { ...entry, ...entryUpdate }, { retryCallId: attempt > 1 ? callId : null });
+
+      if (entry.batchCallId) {
+        await BatchCallService.linkTaskCall(subaccountId, entry.batchCallId, entry.batchTaskId, phoneCallResponse);
+      }
+
+      if (redisService.isConnected) {
+        try {
+          await redisService.invalidateCallLogs(subaccountId);
+        } catch (cacheError) {
+          Logger.warn('Failed to invalidate call logs cache', {
+            operationId,
+            error: cacheError.message
+          });
+        }
+      }
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.PHONE_CALL_CREATED,
+        category: ACTIVITY_CATEGORIES.CALL,
+        userId: entry.createdBy,
+        description: attempt > 1
+          ? `Scheduled call to ${entry.to_number} was retried (attempt ${attempt} of ${entry.retry.maxAttempts})`
+          : `Scheduled call to ${entry.to_number} was initiated`,
+        metadata: {
+          callId,
+          scheduledCallId: entry.scheduledCallId,
+          attempt,
+          from_number: entry.from_number,
+          to_number: entry.to_number,
+          agent_id: phoneCallResponse.agent_id || entry.agent_id
+        },
+        resourceId: callId,
+        resourceName: `Call to ${entry.to_number}`,
+        operationId,
+        agentId: phoneCallResponse.agent_id || entry.agent_id || null
+      });
+
+      Logger.info('Scheduled call dialed', {
+        operationId,
+        subaccountId,
+        scheduledCallId: entry.scheduledCallId,
+        callId,
+        attempt
+      });
+
+      return true;
+
+    } catch (error) {
+      // A failed dispatch counts as an attempt so a permanent error cannot loop forever
+      const attemptsLeft = attempt < entry.retry.maxAttempts;
+      const fields = {
+        attemptCount: attempt,
+        lastAttemptAt: now,
+        lastError: error.message,
+        updatedAt: now
+      };
+
+      await collection.updateOne(
+        { _id: entry._id, status: STATUSES.DIALING },
+        {
+          $set: attemptsLeft
+            ? { ...fields, status: STATUSES.SCHEDULED, nextAttemptAt: ScheduledCallService.calculateNextAttemptAt(entry.retry, attempt, now) }
+            : { ...fields, status: STATUSES.FAILED, nextAttemptAt: null, completedAt: now },
+          $unset: { dialingSince: '' },
+          $push: {
+            attempts: {
+              attempt,
+              call_id: null,
+              dialedAt: now,
+              call_status: null,
+              disconnection_reason: null,
+              outcome: 'dispatch_failed',
+              error: error.message,
+              endedAt: now
+            }
+          }
+        }
+      );
+
+      if (entry.batchCallId) {
+        try {
+          if (attemptsLeft) {
+            await BatchCallService.releaseTask(subaccountId, entry.batchCallId, entry.batchTaskId, error.message);
+          } else {
+            await BatchCallService.failTask(subaccountId, entry.batchCallId, entry.batchTaskId, error.message);
+          }
+        } catch (batchError) {
+          Logger.warn('Failed to update batch call task after a dial error', {
+            operationId,
+            subaccountId,
+            batchCallId: entry.batchCallId,
+            error: batchError.message
+          });
+        }
+      }
+
+      Logger.error('Failed to dial scheduled call', {
+        operationId,
+        subaccountId,
+        scheduledCallId: entry.scheduledCallId,
+        attempt,
+        willRetry: attemptsLeft,
+        error: error.message
+      });
+
+      return false;
+    }
+  }
+
+  /**
+   * Record the result of a queued call after a webhook update and schedule a retry
+   * when the call ended with a retryable disconnection reason.
+   * Calls that were not placed by the queue are ignored.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} call - Call document (after the webhook update)
+   * @returns {Promise<Object|null>} { scheduledCallId, attempt, status, outcome, nextAttemptAt } or null if not linked
+   */
+  static async trackCallUpdate(subaccountId, call) {
+    const scheduledCallId = call.scheduled_call_id || call.retell_llm_dynamic_variables?.scheduled_call_id;
+
+    if (!scheduledCallId || !ENDED_CALL_STATUSES.includes(call.call_status)) {
+      return null;
+    }
+
+    const collection = await ScheduledCallService.getCollection(subaccountId, 'webhook-service');
+    const entry = await collection.findOne({ subaccountId, scheduledCallId });
+
+    if (!entry) {
+      Logger.debug('Call references unknown scheduled call', {
+        subaccountId,
+        scheduledCallId,
+        callId: call.call_id
+      });
+      return null;
+    }
+
+    const attemptIndex = (entry.attempts || []).findIndex(attempt => attempt.call_id === call.call_id);
+    if (attemptIndex === -1) {
+      return null;
+    }
+
+    const now = new Date();
+    const attempt = entry.attempts[attemptIndex];
+    const outcome = BatchCallService.deriveTaskStatus(call);
+    const retryable = entry.retry.retryOn.includes(call.disconnection_reason);
+
+    // The attempt result is recorded once; later webhook events (e.g. call_analyzed) only refresh it
+    await collection.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          [`attempts.${attemptIndex}.call_status`]: call.call_status,
+          [`attempts.${attemptIndex}.disconnection_reason`]: call.disconnection_reason || null,
+          [`attempts.${attemptIndex}.outcome`]: outcome,
+          [`attempts.${attemptIndex}.endedAt`]: attempt.endedAt || now,
+          updatedAt: now
+        }
+      }
+    );
+
+    // Only the latest attempt of an active entry decides what happens next
+    if (entry.status !== STATUSES.IN_PROGRESS || entry.lastCallId !== call.call_id) {
+      return {
+        scheduledCallId,
+        attempt: attempt.attempt,
+        status: entry.status,
+        outcome: entry.outcome || outcome,
+        nextAttemptAt: entry.nextAttemptAt || null
+      };
+    }
+
+    let update;
+    if (retryable && entry.attemptCount < entry.retry.maxAttempts) {
+      update = {
+        status: STATUSES.SCHEDULED,
+        nextAttemptAt: ScheduledCallService.calculateNextAttemptAt(entry.retry, entry.attemptCount, now),
+        outcome
+      };
+    } else if (retryable) {
+      update = {
+        status: STATUSES.FAILED,
+        nextAttemptAt: null,
+        outcome,
+        lastError: 'max_attempts_reached',
+        completedAt: now
+      };
+    } else {
+      update = {
+        status: STATUSES.COMPLETED,
+        nextAttemptAt: null,
+        outcome,
+        completedAt: now
+      };
+    }
+
+    const result = await collection.updateOne(
+      { _id: entry._id, status: STATUSES.IN_PROGRESS, lastCallId: call.call_id },
+      { $set: { ...update, updatedAt: now } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    if (update.status === STATUSES.SCHEDULED) {
+      await ScheduledCallService.trackSubaccount(subaccountId);
+    }
+
+    const updatedEntry = { ...entry, ...update };
+    await ScheduledCallService.updateOriginCall(subaccountId, updatedEntry);
+
+    Logger.info('Scheduled call attempt finished', {
+      subaccountId,
+      scheduledCallId,
+      callId: call.call_id,
+      attempt: attempt.attempt,
+      disconnectionReason: call.disconnection_reason,
+      status: update.status,
+      nextAttemptAt: update.nextAttemptAt
+    });
+
+    return {
+      scheduledCallId,
+      attempt: attempt.attempt,
+      status: update.status,
+      outcome,
+      nextAttemptAt: update.nextAttemptAt
+    };
+  }
+
+  /**
+   * Write the retry state onto the first call of an entry so call logs show
+   * what happened after it
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} entry - Queue entry (with the latest changes applied)
+   * @param {Object} [options] - { retryCallId } call ID of a retry that was just placed
+   */
+  static async updateOriginCall(subaccountId, entry, { retryCallId = null } = {}) {
+    if (!entry.originCallId) {
+      return;
+    }
+
+    try {
+      const callsCollection = await ScheduledCallService.getCallsCollection(subaccountId, 'system');
+      const update = {
+        $set: {
+          scheduled_call_id: entry.scheduledCallId,
+          retry_status: {
+            scheduledCallId: entry.scheduledCallId,
+            status: entry.status,
+            attemptCount: entry.attemptCount,
+            maxAttempts: entry.retry.maxAttempts,
+            lastCallId: entry.lastCallId,
+            outcome: entry.outcome || null,
+            nextAttemptAt: entry.nextAttemptAt || null,
+            updatedAt: new Date()
+          }
+        }
+      };
+      if (retryCallId) {
+        update.$addToSet = { retry_call_ids: retryCallId };
+      }
+
+      await callsCollection.updateOne({ call_id: entry.originCallId }, update);
+    } catch (error) {
+      Logger.warn('Failed to link retry to originating call', {
+        subaccountId,
+        scheduledCallId: entry.scheduledCallId,
+        originCallId: entry.originCallId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add a subaccount to the worker's index
+   * @param {string} subaccountId - Subaccount ID
+   */
+  static async trackSubaccount(subaccountId) {
+    await SubaccountIndexService.track(WORKER_NAME, subaccountId);
+  }
+
+  /**
+   * Remove a subaccount without active entries from the worker's index
+   * @param {string} subaccountId - Subaccount ID
+   * @param {number} generation - Index generation read by the worker
+   */
+  static async untrackSubaccount(subaccountId, generation) {
+    try {
+      await SubaccountIndexService.untrack(WORKER_NAME, subaccountId, generation);
+    } catch (error) {
+      Logger.warn('Failed to untrack scheduled call subaccount', {
+        subaccountId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Subaccounts the worker has to visit
+   * @returns {Promise<Array>} [{ subaccountId, generation }]
+   */
+  static async getTrackedSubaccounts() {
+    return SubaccountIndexService.list(WORKER_NAME);
+  }
+
+  /**
+   * Format a stored entry for API responses
+   * @param {Object} entry - Stored entry
+   * @returns {Object} Formatted entry
+   */
+  static formatEntry(entry) {
+    return {
+      scheduledCallId: entry.scheduledCallId,
+      status: entry.status,
+      from_number: entry.from_number,
+      to_number: entry.to_number,
+      agent_id: entry.agent_id,
+      metadata: entry.metadata || {},
+      retell_llm_dynamic_variables: entry.retell_llm_dynamic_variables || {},
+      scheduledFor: entry.scheduledFor,
+      nextAttemptAt: entry.nextAttemptAt || null,
+      retry: entry.retry,
+      attemptCount: entry.attemptCount || 0,
+      attempts: entry.attempts || [],
+      originCallId: entry.originCallId || null,
+      lastCallId: entry.lastCallId || null,
+      outcome: entry.outcome || null,
+      lastError: entry.lastError || null,
+      callingHours: entry.callingHours || null,
+      source: entry.source,
+      batchCallId: entry.batchCallId || null,
+      createdBy: entry.createdBy,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      completedAt: entry.completedAt || null,
+      cancelledAt: entry.cancelledAt || null,
+      cancelledBy: entry.cancelledBy || null
+    };
+  }
+}
+
+module.exports = ScheduledCallService;
+module.exports.STATUSES = STATUSES;
+module.exports.DEFAULT_RETRY_POLICY = DEFAULT_RETRY_POLICY;
+module.exports.ENDED_CALL_STATUSES = ENDED_CALL_STATUSES;
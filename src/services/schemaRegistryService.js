@@ -0,0 +1,236 @@
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+
+const REGISTRY_COLLECTION = 'schema_registry';
+const VERSIONS_COLLECTION = 'schema_registry_versions';
+const REGISTRY_INDEXES = [
+  [{ subaccountId: 1, collectionName: 1 }, { unique: true }]
+];
+const VERSIONS_INDEXES = [
+  [{ subaccountId: 1, collectionName: 1, version: 1 }, { unique: true }]
+];
+
+/**
+ * Durable storage for collection schemas.
+ * The current schema of each collection lives in `schema_registry` and every
+ * saved version is kept in `schema_registry_versions` in the tenant database.
+ * Schemas are stored as plain definitions; SchemaValidationService converts them to Joi.
+ */
+class SchemaRegistryService {
+  /**
+   * Get the registry collections for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} { registry, versions }
+   */
+  static async getCollections(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const { db } = connectionInfo.connection;
+
+    const [registry, versions] = await Promise.all([
+      getIndexedCollection(db, REGISTRY_COLLECTION, REGISTRY_INDEXES),
+      getIndexedCollection(db, VERSIONS_COLLECTION, VERSIONS_INDEXES)
+    ]);
+
+    return { registry, versions };
+  }
+
+  /**
+   * List the current schema of every collection
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Array>} Registry entries sorted by collection name
+   */
+  static async listSchemas(subaccountId, userId) {
+    const { registry } = await SchemaRegistryService.getCollections(subaccountId, userId);
+    return registry.find({ subaccountId }).sort({ collectionName: 1 }).toArray();
+  }
+
+  /**
+   * Get the current schema of a collection
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} collectionName - Collection name
+   * @returns {Promise<Object|null>} Registry entry or null if not registered
+   */
+  static async getSchema(subaccountId, userId, collectionName) {
+    const { registry } = await SchemaRegistryService.getCollections(subaccountId, userId);
+    return registry.findOne({ subaccountId, collectionName });
+  }
+
+  /**
+   * Save a schema as a new version and make it the current one
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User saving the schema
+   * @param {string} collectionName - Collection name
+   * @param {Object} data - Schema data
+   * @param {Object} data.definition - Plain schema definition
+   * @param {Object} data.permissions - { read, write, delete }
+   * @param {string} [data.description] - Change description
+   * @returns {Promise<Object>} { entry, created }
+   */
+  static async saveSchema(subaccountId, userId, collectionName, { definition, permissions, description = null }) {
+    const { registry, versions } = await SchemaRegistryService.getCollections(subaccountId, userId);
+
+    const current = await registry.findOne({ subaccountId, collectionName });
+
+    // Version numbers keep counting after a delete so old versions are never overwritten
+    const latestVersion = await versions.findOne(
+      { subaccountId, collectionName },
+      { sort: { version: -1 } }
+    );
+    const version = latestVersion ? latestVersion.version + 1 : 1;
+    const now = new Date();
+
+    await versions.insertOne({
+      subaccountId,
+      collectionName,
+      version,
+      definition,
+      permissions,
+      description,
+      createdBy: userId,
+      createdAt: now
+    });
+
+    await registry.updateOne(
+      { subaccountId, collectionName },
+      {
+        $set: {
+          version,
+          definition,
+          permissions,
+          description,
+          updatedBy: userId,
+          updatedAt: now
+        },
+        $setOnInsert: {
+          subaccountId,
+          collectionName,
+          createdBy: userId,
+          createdAt: now
+        }
+      },
+      { upsert: true }
+    );
+
+    Logger.info('Schema version saved', {
+      subaccountId,
+      collectionName,
+      version,
+      userId
+    });
+
+    return {
+      entry: await registry.findOne({ subaccountId, collectionName }),
+      created: !current
+    };
+  }
+
+  /**
+   * Remove a collection from the registry. Version history is kept.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} collectionName - Collection name
+   * @returns {Promise<boolean>} True if a schema was removed
+   */
+  static async deleteSchema(subaccountId, userId, collectionName) {
+    const { registry } = await SchemaRegistryService.getCollections(subaccountId, userId);
+    const result = await registry.deleteOne({ subaccountId, collectionName });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * List the saved versions of a collection schema (newest first)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} collectionName - Collection name
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Limit number of results (default: 50)
+   * @param {number} options.skip - Skip number of results (default: 0)
+   * @returns {Promise<Object>} { versions, total }
+   */
+  static async listVersions(subaccountId, userId, collectionName, { limit = 50, skip = 0 } = {}) {
+    const { versions } = await SchemaRegistryService.getCollections(subaccountId, userId);
+    const query = { subaccountId, collectionName };
+
+    const [items, total] = await Promise.all([
+      versions.find(query).sort({ version: -1 }).skip(skip).limit(limit).toArray(),
+      versions.countDocuments(query)
+    ]);
+
+    return { versions: items, total };
+  }
+
+  /**
+   * Get a single saved version of a collection schema
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} collectionName - Collection name
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} Version or null if not found
+   */
+  static async getVersion(subaccountId, userId, collectionName, version) {
+    const { versions } = await SchemaRegistryService.getCollections(subaccountId, userId);
+    return versions.findOne({ subaccountId, collectionName, version });
+  }
+
+  /**
+   * Check which existing documents of a collection would fail a schema
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} collectionName - Collection name
+   * @param {Object} joiSchema - Joi schema to validate against
+   * @param {Object} options - Check options
+   * @param {number} options.sampleSize - Maximum number of documents to scan
+   * @param {number} options.maxFailures - Maximum number of failing documents to report
+   * @returns {Promise<Object>} { totalDocuments, scanned, passed, failed, failures, truncated }
+   */
+  static async checkMigration(subaccountId, userId, collectionName, joiSchema, { sampleSize = 1000, maxFailures = 50 } = {}) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const collection = connectionInfo.connection.db.collection(collectionName);
+
+    const totalDocuments = await collection.countDocuments({});
+    const cursor = collection.find({}).sort({ _id: 1 }).limit(sampleSize);
+
+    let scanned = 0;
+    let failed = 0;
+    const failures = [];
+
+    for await (const document of cursor) {
+      scanned++;
+
+      const { _id, ...fields } = document;
+      const { error } = joiSchema.validate(fields, {
+        abortEarly: false,
+        stripUnknown: true,
+        allowUnknown: false
+      });
+
+      if (error) {
+        failed++;
+        if (failures.length < maxFailures) {
+          failures.push({
+            _id,
+            errors: error.details.map(detail => ({
+              field: detail.path.join('.'),
+              message: detail.message
+            }))
+          });
+        }
+      }
+    }
+
+    return {
+      totalDocuments,
+      scanned,
+      passed: scanned - failed,
+      failed,
+      failures,
+      truncated: scanned < totalDocuments
+    };
+  }
+}
+
+module.exports = SchemaRegistryService;
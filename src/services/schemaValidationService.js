@@ -2,12 +2,15 @@ const Joi = require('joi');
 const config = require('../../config/config');
 const Logger = require('../utils/logger');
 const redisService = require('./redisService');
+const SchemaRegistryService = require('./schemaRegistryService');
 
 class SchemaValidationService {
   constructor() {
     this.schemas = new Map(); // collection -> schema
     this.validationCache = new Map(); // cache validation results
     this.cacheTimeout = 300000; // 5 minutes
+    this.loadedSubaccounts = new Map(); // subaccountId -> when its persisted schemas were loaded
+    this.pendingLoads = new Map(); // subaccountId -> registry load in progress
   }
 
   // Initialize the service
@@ -15,10 +18,11 @@ class SchemaValidationService {
     try {
       Logger.info('Initializing Schema Validation Service');
       
-      // Load schemas from cache if available
-      await this.loadSchemasFromCache();
-      
-      Logger.info('Schema Validation Service initialized successfully');
+      // Schemas are read from the tenant's schema registry when a subaccount is first
+      // validated and re-read once config.schemaRegistry.cacheTtlMs has passed
+      Logger.info('Schema Validation Service initialized successfully', {
+        cacheTtlMs: config.schemaRegistry.cacheTtlMs
+      });
       return true;
     } catch (error) {
       Logger.error('Failed to initialize Schema Validation Service', {
@@ -28,27 +32,60 @@ class SchemaValidationService {
     }
   }
 
-  // Load schemas from Redis cache
-  async loadSchemasFromCache() {
-    try {
-      const schemaKeys = await redisService.client.keys(`${config.redis.prefixes.schema}*`);
-      
-      for (const key of schemaKeys) {
-        const schemaData = await redisService.get(key);
-        if (schemaData) {
-          const collectionName = key.replace(config.redis.prefixes.schema, '');
-          this.schemas.set(collectionName, schemaData);
+  // Load persisted schemas of a single subaccount into memory, replacing what was cached.
+  // Concurrent callers share one registry read.
+  async loadSubaccountSchemas(subaccountId, userId = 'system') {
+    if (this.pendingLoads.has(subaccountId)) {
+      return this.pendingLoads.get(subaccountId);
+    }
+
+    const load = (async () => {
+      try {
+        const entries = await SchemaRegistryService.listSchemas(subaccountId, userId);
+        const registered = new Set(entries.map(entry => entry.collectionName));
+
+        // Drop schemas that were deleted from the registry, possibly by another instance
+        for (const [schemaKey, schemaData] of this.schemas.entries()) {
+          if (schemaData.subaccountId === subaccountId && schemaData.definition && !registered.has(schemaData.collectionName)) {
+            this.schemas.delete(schemaKey);
+          }
         }
+
+        for (const entry of entries) {
+          const cached = this.schemas.get(`${subaccountId}:${entry.collectionName}`);
+          if (cached && cached.definition && cached.version === entry.version) {
+            continue;
+          }
+          await this.registerSchema(subaccountId, entry.collectionName, entry.definition, entry.permissions, {
+            version: entry.version
+          });
+        }
+
+        this.loadedSubaccounts.set(subaccountId, Date.now());
+        return entries.length;
+      } catch (error) {
+        Logger.warn('Failed to load subaccount schemas from schema registry', {
+          subaccountId,
+          error: error.message
+        });
+        return 0;
+      } finally {
+        this.pendingLoads.delete(subaccountId);
       }
-      
-      Logger.debug('Loaded schemas from cache', { count: this.schemas.size });
-    } catch (error) {
-      Logger.warn('Failed to load schemas from cache', { error: error.message });
-    }
+    })();
+
+    this.pendingLoads.set(subaccountId, load);
+    return load;
+  }
+
+  // True when the cached schemas of a subaccount are missing or older than the cache TTL
+  isSubaccountStale(subaccountId) {
+    const loadedAt = this.loadedSubaccounts.get(subaccountId);
+    return !loadedAt || Date.now() - loadedAt > config.schemaRegistry.cacheTtlMs;
   }
 
   // Register schema for a collection
-  async registerSchema(subaccountId, collectionName, schema, permissions = {}) {
+  async registerSchema(subaccountId, collectionName, schema, permissions = {}, metadata = {}) {
     try {
       const schemaKey = `${subaccountId}:${collectionName}`;
       
@@ -59,6 +96,8 @@ class SchemaValidationService {
         subaccountId,
         collectionName,
         schema: validatedSchema,
+        definition: Joi.isSchema(schema) ? null : schema,
+        version: metadata.version || null,
         permissions: {
           read: permissions.read !== false,
           write: permissions.write !== false,
@@ -71,13 +110,17 @@ class SchemaValidationService {
       // Store in memory
       this.schemas.set(schemaKey, schemaData);
       
-      // Cache in Redis
-      const cacheKey = `${config.redis.prefixes.schema}${schemaKey}`;
-      await redisService.set(cacheKey, schemaData, 3600); // 1 hour cache
+      // Cache the plain definition in Redis (Joi schemas are not serializable)
+      if (schemaData.definition && redisService.isConnected) {
+        const cacheKey = `${config.redis.prefixes.schema}${schemaKey}`;
+        const { schema: joiSchema, ...cacheData } = schemaData;
+        await redisService.set(cacheKey, cacheData, 3600); // 1 hour cache
+      }
       
       Logger.info('Schema registered successfully', {
         subaccountId,
         collectionName,
+        version: schemaData.version,
         hasSchema: !!schema
       });
       
@@ -92,24 +135,17 @@ class SchemaValidationService {
     }
   }
 
-  // Get schema for a collection
+  // Get schema for a collection. The tenant's schema registry is the source of truth;
+  // memory only caches it for config.schemaRegistry.cacheTtlMs.
   async getSchema(subaccountId, collectionName) {
     try {
       const schemaKey = `${subaccountId}:${collectionName}`;
-      
-      // Check memory cache first
-      let schemaData = this.schemas.get(schemaKey);
-      
-      if (!schemaData) {
-        // Check Redis cache
-        const cacheKey = `${config.redis.prefixes.schema}${schemaKey}`;
-        schemaData = await redisService.get(cacheKey);
-        
-        if (schemaData) {
-          // Store in memory cache
-          this.schemas.set(schemaKey, schemaData);
-        }
+
+      if (this.isSubaccountStale(subaccountId)) {
+        await this.loadSubaccountSchemas(subaccountId);
       }
+
+      const schemaData = this.schemas.get(schemaKey) || null;
       
       return schemaData;
     } catch (error) {
@@ -310,6 +346,106 @@ class SchemaValidationService {
     }
   }
 
+  // Validate aggregation pipeline (stage limit, allowed stages, $match queries)
+  async validatePipeline(subaccountId, collectionName, pipeline) {
+    try {
+      const maxStages = config.queryLimits.maxAggregationStages;
+
+      if (pipeline.length > maxStages) {
+        return {
+          valid: false,
+          error: `Aggregation pipeline exceeds the maximum of ${maxStages} stages`,
+          code: 'TOO_MANY_STAGES'
+        };
+      }
+
+      // Stages that read or write other collections or run server-side JavaScript are never allowed,
+      // not even inside $facet, so a pipeline only sees the collection it was sent to
+      const allowedStages = [
+        '$match', '$project', '$group', '$sort', '$limit', '$skip', '$unwind',
+        '$count', '$addFields', '$set', '$unset', '$facet',
+        '$bucket', '$bucketAuto', '$sortByCount', '$replaceRoot', '$replaceWith', '$sample'
+      ];
+      const forbiddenOperators = [
+        '$where', '$function', '$accumulator', '$out', '$merge',
+        '$lookup', '$graphLookup', '$unionWith'
+      ];
+
+      const findForbiddenOperator = (value) => {
+        if (value === null || typeof value !== 'object') {
+          return null;
+        }
+        for (const [key, nested] of Object.entries(value)) {
+          if (forbiddenOperators.includes(key)) {
+            return key;
+          }
+          const found = findForbiddenOperator(nested);
+          if (found) {
+            return found;
+          }
+        }
+        return null;
+      };
+
+      const validatedPipeline = [];
+
+      for (let i = 0; i < pipeline.length; i++) {
+        const stage = pipeline[i];
+        const stageKeys = Object.keys(stage);
+
+        if (stageKeys.length !== 1 || !allowedStages.includes(stageKeys[0])) {
+          return {
+            valid: false,
+            error: `Stage ${i} must be a single allowed stage operator (${allowedStages.join(', ')})`,
+            code: 'INVALID_PIPELINE_STAGE'
+          };
+        }
+
+        const forbidden = findForbiddenOperator(stage);
+        if (forbidden) {
+          return {
+            valid: false,
+            error: `Operator '${forbidden}' is not allowed in aggregation pipelines`,
+            code: 'OPERATOR_NOT_ALLOWED'
+          };
+        }
+
+        if (stageKeys[0] === '$match') {
+          const matchResult = await this.validateQuery(subaccountId, collectionName, stage.$match, 'aggregate');
+          if (!matchResult.valid) {
+            return matchResult;
+          }
+          validatedPipeline.push({ $match: matchResult.query });
+        } else {
+          validatedPipeline.push(stage);
+        }
+      }
+
+      // Pipelines without $match still need the collection's read permission checked
+      if (!pipeline.some(stage => stage.$match)) {
+        const permissionResult = await this.validateQuery(subaccountId, collectionName, {}, 'aggregate');
+        if (!permissionResult.valid) {
+          return permissionResult;
+        }
+      }
+
+      return { valid: true, pipeline: validatedPipeline };
+
+    } catch (error) {
+      Logger.error('Pipeline validation failed', {
+        subaccountId,
+        collectionName,
+        error: error.message
+      });
+
+      return {
+        valid: false,
+        error: 'Pipeline validation error: ' + error.message,
+        code: 'PIPELINE_VALIDATION_ERROR'
+      };
+    }
+  }
+
   // Validate schema definition itself
   validateSchemaDefinition(schema) {
     try {
@@ -318,7 +454,7 @@ class SchemaValidationService {
       }
 
       // Convert to Joi schema if it's a plain object
-      if (!schema.isJoi) {
+      if (!Joi.isSchema(schema)) {
         return this.convertToJoiSchema(schema);
       }
 
@@ -583,8 +719,10 @@ class SchemaValidationService {
       this.schemas.delete(schemaKey);
       
       // Remove from Redis cache
-      const cacheKey = `${config.redis.prefixes.schema}${schemaKey}`;
-      await redisService.del(cacheKey);
+      if (redisService.isConnected) {
+        const cacheKey = `${config.redis.prefixes.schema}${schemaKey}`;
+        await redisService.del(cacheKey);
+      }
       
       Logger.info('Schema removed successfully', {
         subaccountId,
@@ -611,7 +749,8 @@ class SchemaValidationService {
       for (const [key, schemaData] of this.schemas.entries()) {
         if (schemaData.subaccountId === subaccountId) {
           schemas[schemaData.collectionName] = {
-            schema: schemaData.schema,
+            schema: schemaData.definition,
+            version: schemaData.version,
             permissions: schemaData.permissions,
             createdAt: schemaData.createdAt,
             updatedAt: schemaData.updatedAt
@@ -628,7 +767,8 @@ class SchemaValidationService {
           const schemaData = await redisService.get(key);
           if (schemaData) {
             schemas[schemaData.collectionName] = {
-              schema: schemaData.schema,
+              schema: schemaData.definition,
+              version: schemaData.version,
               permissions: schemaData.permissions,
               createdAt: schemaData.createdAt,
               updatedAt: schemaData.updatedAt
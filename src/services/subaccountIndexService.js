@@ -0,0 +1,124 @@
+const Logger = require('../utils/logger');
+const redisService = require('./redisService');
+const platformStore = require('./platformStore');
+
+const COLLECTION_NAME = 'worker_subaccounts';
+const INDEXES = [
+  [{ worker: 1, subaccountId: 1 }, { unique: true }]
+];
+
+// Used when the platform database is not configured (development and tests): worker -> Map(subaccountId -> generation)
+const memoryIndex = new Map();
+
+/**
+ * Which subaccounts a background worker has to visit.
+ * Tenant data is spread over one database per subaccount, so the scheduled call and
+ * webhook delivery workers keep an index of subaccounts with pending work in the
+ * platform database. Every track bumps a generation counter and a subaccount is only
+ * removed if its generation did not change since the worker read it, so work added
+ * while the worker decided the subaccount was idle is never dropped.
+ */
+class SubaccountIndexService {
+  /**
+   * Add a subaccount to a worker's index (call after the pending work was stored)
+   * @param {string} worker - Worker name
+   * @param {string} subaccountId - Subaccount ID
+   */
+  static async track(worker, subaccountId) {
+    const collection = await platformStore.getCollection(COLLECTION_NAME, INDEXES);
+
+    if (!collection) {
+      if (!memoryIndex.has(worker)) {
+        memoryIndex.set(worker, new Map());
+      }
+      const generations = memoryIndex.get(worker);
+      generations.set(subaccountId, (generations.get(subaccountId) || 0) + 1);
+      return;
+    }
+
+    const update = () => collection.updateOne(
+      { worker, subaccountId },
+      { $inc: { generation: 1 }, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    try {
+      await update();
+    } catch (error) {
+      // Two concurrent upserts of a new subaccount; the second one becomes an update
+      if (error.code !== 11000) {
+        throw error;
+      }
+      await update();
+    }
+  }
+
+  /**
+   * List the subaccounts in a worker's index
+   * @param {string} worker - Worker name
+   * @returns {Promise<Array>} [{ subaccountId, generation }]
+   */
+  static async list(worker) {
+    const collection = await platformStore.getCollection(COLLECTION_NAME, INDEXES);
+
+    if (!collection) {
+      return Array.from(memoryIndex.get(worker) || [], ([subaccountId, generation]) => ({ subaccountId, generation }));
+    }
+
+    const entries = await collection.find({ worker }).toArray();
+    return entries.map(({ subaccountId, generation }) => ({ subaccountId, generation }));
+  }
+
+  /**
+   * Remove an idle subaccount unless it was tracked again after it was listed
+   * @param {string} worker - Worker name
+   * @param {string} subaccountId - Subaccount ID
+   * @param {number} generation - Generation returned by list
+   * @returns {Promise<boolean>} True if removed
+   */
+  static async untrack(worker, subaccountId, generation) {
+    const collection = await platformStore.getCollection(COLLECTION_NAME, INDEXES);
+
+    if (!collection) {
+      const generations = memoryIndex.get(worker);
+      if (generations?.get(subaccountId) !== generation) {
+        return false;
+      }
+      generations.delete(subaccountId);
+      return true;
+    }
+
+    const result = await collection.deleteOne({ worker, subaccountId, generation });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Copy a Redis set used as the index by earlier versions into the worker's index
+   * @param {string} worker - Worker name
+   * @param {string} key - Redis set key
+   * @returns {Promise<number>} Number of imported subaccounts
+   */
+  static async importRedisSet(worker, key) {
+    if (!redisService.isConnected) {
+      return 0;
+    }
+
+    try {
+      const subaccountIds = await redisService.client.sMembers(key);
+      for (const subaccountId of subaccountIds) {
+        await SubaccountIndexService.track(worker, subaccountId);
+      }
+      // Imported entries now live in the index, so later starts skip the set
+      await redisService.client.del(key);
+      if (subaccountIds.length > 0) {
+        Logger.info('Imported worker index from Redis', { worker, count: subaccountIds.length });
+      }
+      return subaccountIds.length;
+    } catch (error) {
+      Logger.warn('Failed to import worker index from Redis', { worker, error: error.message });
+      return 0;
+    }
+  }
+}
+
+module.exports = SubaccountIndexService;
@@ -0,0 +1,514 @@
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+const redisService = require('./redisService');
+const { scoreCall, DEFAULT_SUCCESS_CRITERIA } = require('../utils/callHelper');
+
+const COLLECTION_NAME = 'success_criteria';
+const JOBS_COLLECTION = 'success_recompute_jobs';
+const INDEXES = [
+  [{ subaccountId: 1, agentId: 1 }, { unique: true }]
+];
+const JOBS_INDEXES = [
+  [{ jobId: 1 }, { unique: true }],
+  [{ subaccountId: 1, agentId: 1, createdAt: -1 }],
+  // Finished jobs are kept for 30 days
+  [{ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }]
+];
+
+// Calls read and updated per batch when recomputing
+const RECOMPUTE_BATCH_SIZE = 500;
+
+// A running job whose heartbeat is older than this was interrupted (e.g. by a restart)
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+const JOB_STATUSES = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SUPERSEDED: 'superseded'
+};
+
+// What started a recompute job
+const JOB_TRIGGERS = {
+  MANUAL: 'manual',
+  CRITERIA_UPDATED: 'criteria_updated',
+  CRITERIA_RESET: 'criteria_reset'
+};
+
+// Call statuses after which the call will not change anymore
+const ENDED_CALL_STATUSES = ['ended', 'error', 'not_connected'];
+
+/**
+ * Per-agent success criteria.
+ * Agents without stored criteria use DEFAULT_SUCCESS_CRITERIA (appointment booked), and
+ * their analytics keep counting booked meetings. Agents with stored criteria are
+ * scored from the `success_rate` field written by the call webhook; a criteria change
+ * re-scores the stored calls in a background job.
+ */
+class SuccessCriteriaService {
+  /**
+   * Get the success_criteria collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, COLLECTION_NAME, INDEXES);
+  }
+
+  /**
+   * Get the criteria of an agent
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} { agentId, mode, rules, passThreshold, version, isDefault, updatedBy, updatedAt }
+   */
+  static async getCriteria(subaccountId, userId, agentId) {
+    const collection = await SuccessCriteriaService.getCollection(subaccountId, userId);
+    const stored = await collection.findOne({ subaccountId, agentId });
+
+    if (!stored) {
+      return SuccessCriteriaService.defaultCriteria(agentId);
+    }
+
+    return {
+      agentId,
+      mode: stored.mode,
+      rules: stored.rules,
+      passThreshold: stored.passThreshold,
+      version: stored.version,
+      isDefault: false,
+      updatedBy: stored.updatedBy,
+      updatedAt: stored.updatedAt
+    };
+  }
+
+  /**
+   * Get the criteria of an agent for the call webhook. Falls back to the defaults
+   * when the criteria cannot be loaded so the call update is never blocked.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID (may be empty)
+   * @returns {Promise<Object>} Criteria
+   */
+  static async getCriteriaForScoring(subaccountId, agentId) {
+    if (!agentId) {
+      return SuccessCriteriaService.defaultCriteria(null);
+    }
+
+    try {
+      return await SuccessCriteriaService.getCriteria(subaccountId, 'webhook-service', agentId);
+    } catch (error) {
+      Logger.warn('Failed to load success criteria, using defaults', {
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+      return SuccessCriteriaService.defaultCriteria(agentId);
+    }
+  }
+
+  /**
+   * Build the default criteria of an agent
+   * @param {string} agentId - Agent ID
+   * @returns {Object} Criteria
+   */
+  static defaultCriteria(agentId) {
+    return {
+      agentId,
+      ...DEFAULT_SUCCESS_CRITERIA,
+      version: 0,
+      isDefault: true,
+      updatedBy: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Replace the criteria of an agent. Each save increments the version.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User saving the criteria
+   * @param {string} agentId - Agent ID
+   * @param {Object} criteria - { mode, rules, passThreshold }
+   * @returns {Promise<Object>} Saved criteria
+   */
+  static async saveCriteria(subaccountId, userId, agentId, { mode, rules, passThreshold }) {
+    const collection = await SuccessCriteriaService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    await collection.updateOne(
+      { subaccountId, agentId },
+      {
+        $set: {
+          mode,
+          rules,
+          passThreshold,
+          updatedBy: userId,
+          updatedAt: now
+        },
+        $inc: { version: 1 },
+        $setOnInsert: {
+          subaccountId,
+          agentId,
+          createdBy: userId,
+          createdAt: now
+        }
+      },
+      { upsert: true }
+    );
+
+    return SuccessCriteriaService.getCriteria(subaccountId, userId, agentId);
+  }
+
+  /**
+   * Remove the criteria of an agent so it falls back to the defaults
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<boolean>} True if criteria were removed
+   */
+  static async deleteCriteria(subaccountId, userId, agentId) {
+    const collection = await SuccessCriteriaService.getCollection(subaccountId, userId);
+    const result = await collection.deleteOne({ subaccountId, agentId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Whether a call has enough data to be scored
+   * @param {Object} call - Call document
+   * @returns {boolean}
+   */
+  static isScorable(call) {
+    return !!call.call_analysis || ENDED_CALL_STATUSES.includes(call.call_status);
+  }
+
+  /**
+   * Score a call with the given criteria
+   * @param {Object} call - Call document
+   * @param {Object} criteria - Criteria from getCriteria
+   * @returns {number} Score between 0 and 1
+   */
+  static scoreCall(call, criteria) {
+    return scoreCall(call, criteria);
+  }
+
+  /**
+   * MongoDB expression that is true for successful calls, for use in aggregations.
+   * Default criteria keep the appointment_booked check; custom criteria compare
+   * the stored success_rate with passThreshold.
+   * @param {Object} criteria - Criteria from getCriteria
+   * @returns {Object} Aggregation expression
+   */
+  static getSuccessfulCallExpression(criteria) {
+    if (criteria.isDefault) {
+      return { $eq: ['$call_analysis.custom_analysis_data.appointment_booked', true] };
+    }
+    // Calls not yet re-scored with custom criteria may hold a success_rate of an older scale
+    return {
+      $and: [
+        { $gt: [{ $ifNull: ['$success_criteria_version', 0] }, 0] },
+        { $gte: [{ $ifNull: ['$success_rate', 0] }, criteria.passThreshold] }
+      ]
+    };
+  }
+
+  /**
+   * Re-score the stored calls of an agent with its current criteria, in batches of
+   * RECOMPUTE_BATCH_SIZE calls read in _id order
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Recompute options
+   * @param {Date} [options.startDate] - Only calls started at or after this date
+   * @param {Date} [options.endDate] - Only calls started at or before this date
+   * @param {Function} [options.onBatch] - Called before each batch is written with the
+   *   { processed, updated } counts so far; returning false stops the recompute
+   * @returns {Promise<Object>} { criteria, processed, updated, unchanged, stopped }
+   */
+  static async recomputeAgentCalls(subaccountId, userId, agentId, { startDate, endDate, onBatch } = {}) {
+    const criteria = await SuccessCriteriaService.getCriteria(subaccountId, userId, agentId);
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    const callsCollection = connectionInfo.connection.db.collection('calls');
+
+    const query = {
+      $or: [
+        { agent_id: agentId },
+        { agentId: agentId }
+      ]
+    };
+    if (startDate || endDate) {
+      query.start_timestamp = {};
+      if (startDate) {
+        query.start_timestamp.$gte = startDate.getTime();
+      }
+      if (endDate) {
+        query.start_timestamp.$lte = endDate.getTime();
+      }
+    }
+
+    const projection = {
+      call_id: 1,
+      call_status: 1,
+      call_analysis: 1,
+      duration_ms: 1,
+      start_timestamp: 1,
+      end_timestamp: 1,
+      success_rate: 1,
+      success_criteria_version: 1
+    };
+
+    let processed = 0;
+    let updated = 0;
+    let lastCallId = null;
+    let stopped = false;
+
+    while (!stopped) {
+      const batchQuery = lastCallId ? { ...query, _id: { $gt: lastCallId } } : query;
+      const calls = await callsCollection.find(batchQuery, { projection })
+        .sort({ _id: 1 })
+        .limit(RECOMPUTE_BATCH_SIZE)
+        .toArray();
+
+      if (calls.length === 0) {
+        break;
+      }
+
+      const operations = [];
+      for (const call of calls) {
+        if (!SuccessCriteriaService.isScorable(call)) {
+          continue;
+        }
+
+        const successRate = SuccessCriteriaService.scoreCall(call, criteria);
+        if (successRate === call.success_rate && call.success_criteria_version === criteria.version) {
+          continue;
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { _id: call._id },
+            update: { $set: { success_rate: successRate, success_criteria_version: criteria.version } }
+          }
+        });
+      }
+
+      // Checked before writing so a stopped recompute does not overwrite newer scores
+      if (onBatch && (await onBatch({ processed, updated })) === false) {
+        stopped = true;
+        break;
+      }
+
+      if (operations.length > 0) {
+        const result = await callsCollection.bulkWrite(operations, { ordered: false });
+        updated += result.modifiedCount;
+      }
+
+      processed += calls.length;
+      lastCallId = calls[calls.length - 1]._id;
+
+      if (calls.length < RECOMPUTE_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    Logger.info(stopped ? 'Success rate recompute stopped' : 'Success rates recomputed', {
+      subaccountId,
+      agentId,
+      criteriaVersion: criteria.version,
+      processed,
+      updated
+    });
+
+    return {
+      criteria,
+      processed,
+      updated,
+      unchanged: processed - updated,
+      stopped
+    };
+  }
+
+  /**
+   * Get the success_recompute_jobs collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getJobsCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, JOBS_COLLECTION, JOBS_INDEXES);
+  }
+
+  /**
+   * Start re-scoring an agent's stored calls in the background.
+   * A criteria change supersedes a running job, because that job scores with the old
+   * criteria; a manual recompute returns the running job instead of starting another.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User starting the job
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Job options
+   * @param {string} [options.trigger] - One of JOB_TRIGGERS
+   * @param {Date} [options.startDate] - Only calls started at or after this date
+   * @param {Date} [options.endDate] - Only calls started at or before this date
+   * @returns {Promise<Object>} { job, alreadyRunning }
+   */
+  static async startRecompute(subaccountId, userId, agentId, { trigger = JOB_TRIGGERS.MANUAL, startDate = null, endDate = null } = {}) {
+    const collection = await SuccessCriteriaService.getJobsCollection(subaccountId, userId);
+    const now = new Date();
+
+    // Jobs that stopped sending heartbeats were interrupted
+    await collection.updateMany(
+      { subaccountId, agentId, status: JOB_STATUSES.RUNNING, heartbeatAt: { $lt: new Date(now.getTime() - STALE_JOB_MS) } },
+      { $set: { status: JOB_STATUSES.FAILED, error: 'interrupted', finishedAt: now } }
+    );
+
+    const running = await collection.findOne({ subaccountId, agentId, status: JOB_STATUSES.RUNNING });
+    if (running) {
+      if (trigger === JOB_TRIGGERS.MANUAL) {
+        return { job: SuccessCriteriaService.formatJob(running), alreadyRunning: true };
+      }
+      await collection.updateOne(
+        { jobId: running.jobId, status: JOB_STATUSES.RUNNING },
+        { $set: { status: JOB_STATUSES.SUPERSEDED, finishedAt: now } }
+      );
+    }
+
+    const job = {
+      jobId: uuidv4(),
+      subaccountId,
+      agentId,
+      trigger,
+      status: JOB_STATUSES.RUNNING,
+      startDate,
+      endDate,
+      criteriaVersion: null,
+      processed: 0,
+      updated: 0,
+      error: null,
+      requestedBy: userId,
+      createdAt: now,
+      heartbeatAt: now,
+      finishedAt: null
+    };
+    await collection.insertOne(job);
+
+    setImmediate(() => {
+      SuccessCriteriaService.runRecomputeJob(subaccountId, userId, job).catch(error => {
+        Logger.error('Success recompute job crashed', { subaccountId, jobId: job.jobId, error: error.message });
+      });
+    });
+
+    return { job: SuccessCriteriaService.formatJob(job), alreadyRunning: false };
+  }
+
+  /**
+   * Run a recompute job, recording its progress after every batch. The job stops
+   * when it is no longer running (superseded by a criteria change).
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User who started the job
+   * @param {Object} job - Job document
+   * @returns {Promise<Object>} Finished job
+   */
+  static async runRecomputeJob(subaccountId, userId, job) {
+    const collection = await SuccessCriteriaService.getJobsCollection(subaccountId, userId);
+    const { jobId, agentId } = job;
+
+    try {
+      const result = await SuccessCriteriaService.recomputeAgentCalls(subaccountId, userId, agentId, {
+        startDate: job.startDate,
+        endDate: job.endDate,
+        onBatch: async ({ processed, updated }) => {
+          const progress = await collection.updateOne(
+            { jobId, status: JOB_STATUSES.RUNNING },
+            { $set: { processed, updated, heartbeatAt: new Date() } }
+          );
+          return progress.matchedCount > 0;
+        }
+      });
+
+      if (result.updated > 0) {
+        await SuccessCriteriaService.invalidateCallLogs(subaccountId);
+      }
+
+      if (!result.stopped) {
+        await collection.updateOne(
+          { jobId, status: JOB_STATUSES.RUNNING },
+          {
+            $set: {
+              status: JOB_STATUSES.COMPLETED,
+              criteriaVersion: result.criteria.version,
+              processed: result.processed,
+              updated: result.updated,
+              finishedAt: new Date()
+            }
+          }
+        );
+      }
+    } catch (error) {
+      Logger.error('Success recompute job failed', { subaccountId, agentId, jobId, error: error.message });
+      await collection.updateOne(
+        { jobId, status: JOB_STATUSES.RUNNING },
+        { $set: { status: JOB_STATUSES.FAILED, error: error.message, finishedAt: new Date() } }
+      );
+    }
+
+    return SuccessCriteriaService.formatJob(await collection.findOne({ jobId }));
+  }
+
+  /**
+   * Get a recompute job of an agent
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} agentId - Agent ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job
+   */
+  static async getJob(subaccountId, userId, agentId, jobId) {
+    const collection = await SuccessCriteriaService.getJobsCollection(subaccountId, userId);
+    const job = await collection.findOne({ subaccountId, agentId, jobId });
+    return job ? SuccessCriteriaService.formatJob(job) : null;
+  }
+
+  // Call logs show success_rate
+  static async invalidateCallLogs(subaccountId) {
+    if (!redisService.isConnected) {
+      return;
+    }
+    try {
+      await redisService.invalidateCallLogs(subaccountId);
+    } catch (error) {
+      Logger.warn('Failed to invalidate call logs cache', { subaccountId, error: error.message });
+    }
+  }
+
+  /**
+   * Format a stored job for API responses
+   * @param {Object} job - Job document
+   * @returns {Object} Job
+   */
+  static formatJob(job) {
+    const stale = job.status === JOB_STATUSES.RUNNING && Date.now() - new Date(job.heartbeatAt).getTime() > STALE_JOB_MS;
+    return {
+      jobId: job.jobId,
+      agentId: job.agentId,
+      trigger: job.trigger,
+      status: stale ? JOB_STATUSES.FAILED : job.status,
+      startDate: job.startDate,
+      endDate: job.endDate,
+      criteriaVersion: job.criteriaVersion,
+      processed: job.processed,
+      updated: job.updated,
+      error: stale ? 'interrupted' : job.error,
+      requestedBy: job.requestedBy,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = SuccessCriteriaService;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.JOB_TRIGGERS = JOB_TRIGGERS;
+module.exports.RECOMPUTE_BATCH_SIZE = RECOMPUTE_BATCH_SIZE;
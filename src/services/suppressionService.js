@@ -0,0 +1,521 @@
+const { ObjectId } = require('mongodb');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+const ActivityService = require('./activityService');
+const { ACTIVITY_TYPES, ACTIVITY_CATEGORIES } = ActivityService;
+const { normalizeToE164 } = require('../utils/phoneHelper');
+
+const SUPPRESSION_COLLECTION = 'suppression_list';
+const SUPPRESSION_INDEXES = [
+  [{ subaccountId: 1, channel: 1, value: 1 }, { unique: true }]
+];
+
+const CHANNELS = {
+  PHONE: 'phone',
+  WHATSAPP: 'whatsapp',
+  INSTAGRAM: 'instagram'
+};
+
+const SOURCES = {
+  MANUAL: 'manual',
+  IMPORT: 'import',
+  OPT_OUT: 'opt_out'
+};
+
+// Messages that are an opt-out request on their own (SMS/WhatsApp convention)
+const OPT_OUT_KEYWORDS = new Set(['stop', 'stopall', 'stop all', 'unsubscribe', 'quit', 'optout', 'opt out', 'opt-out']);
+
+// Messages that withdraw a keyword opt-out
+const OPT_IN_KEYWORDS = new Set(['start', 'unstop', 'subscribe']);
+
+// Phrases recognized anywhere in a message or transcript. A bare "stop" is not
+// included because it is too common in normal conversation.
+const OPT_OUT_PHRASES = [
+  /\bunsubscribe\b/i,
+  /\bopt[\s-]?out\b/i,
+  /\bdo not (call|contact|message|text)\b/i,
+  /\bdon'?t (call|contact|message|text) me\b/i,
+  /\bstop (calling|messaging|texting|contacting)\b/i,
+  /\bremove (me|my number) from\b/i
+];
+
+/**
+ * Do-not-call / opt-out registry.
+ * Suppressed phone numbers, WhatsApp numbers and Instagram user IDs are stored per
+ * subaccount in `suppression_list`; outbound calls and messages are checked against it.
+ */
+class SuppressionService {
+  /**
+   * Get the suppression collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, SUPPRESSION_COLLECTION, SUPPRESSION_INDEXES);
+  }
+
+  /**
+   * Normalize a recipient so lookups match regardless of formatting.
+   * Phone and WhatsApp values become E.164; Instagram user IDs are trimmed.
+   * @param {string} channel - One of CHANNELS
+   * @param {string} value - Recipient as entered
+   * @param {string} [defaultCountryCode] - Country calling code for national numbers
+   * @returns {Object} { valid, value, reason }
+   */
+  static normalizeValue(channel, value, defaultCountryCode = null) {
+    if (channel === CHANNELS.INSTAGRAM) {
+      const id = value === undefined || value === null ? '' : String(value).trim();
+      return id
+        ? { valid: true, value: id, reason: null }
+        : { valid: false, value: null, reason: 'Instagram user ID is empty' };
+    }
+
+    let raw = value === undefined || value === null ? '' : String(value).trim();
+
+    if (channel === CHANNELS.WHATSAPP) {
+      // WhatsApp IDs (14155551234@c.us) are full international numbers without the +
+      raw = raw.replace(/@(c\.us|s\.whatsapp\.net)$/i, '');
+      if (/^\d+$/.test(raw)) {
+        raw = `+${raw}`;
+      }
+    }
+
+    const normalized = normalizeToE164(raw, defaultCountryCode);
+    return { valid: normalized.valid, value: normalized.number, reason: normalized.reason };
+  }
+
+  /**
+   * List suppression entries
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} options - Query options
+   * @param {string} [options.channel] - Filter by channel
+   * @param {string} [options.source] - Filter by source
+   * @param {string} [options.search] - Match part of the value
+   * @param {number} options.limit - Limit number of results (default: 50)
+   * @param {number} options.skip - Skip number of results (default: 0)
+   * @returns {Promise<Object>} { entries, total }
+   */
+  static async list(subaccountId, userId, { channel, source, search, limit = 50, skip = 0 } = {}) {
+    const collection = await SuppressionService.getCollection(subaccountId, userId);
+
+    const query = { subaccountId };
+    if (channel) {
+      query.channel = channel;
+    }
+    if (source) {
+      query.source = source;
+    }
+    if (search) {
+      query.value = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [entries, total] = await Promise.all([
+      collection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Add a recipient to the suppression list. Existing entries are left unchanged.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User adding the entry
+   * @param {Object} data - Entry data
+   * @param {string} data.channel - One of CHANNELS
+   * @param {string} data.value - Normalized recipient
+   * @param {string} [data.source] - One of SOURCES (default: manual)
+   * @param {string} [data.reason] - Free-text reason
+   * @param {Object} [data.context] - Where an opt-out was captured ({ type, id, keyword })
+   * @returns {Promise<Object>} { entry, created }
+   */
+  static async add(subaccountId, userId, { channel, value, source = SOURCES.MANUAL, reason = null, context = null }) {
+    const collection = await SuppressionService.getCollection(subaccountId, userId);
+
+    const result = await collection.updateOne(
+      { subaccountId, channel, value },
+      {
+        $setOnInsert: {
+          subaccountId,
+          channel,
+          value,
+          source,
+          reason,
+          context,
+          createdBy: userId,
+          createdAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    return {
+      entry: await collection.findOne({ subaccountId, channel, value }),
+      created: result.upsertedCount > 0
+    };
+  }
+
+  /**
+   * Add many recipients of one channel at once
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User importing the list
+   * @param {Object} data - Import data
+   * @param {string} data.channel - One of CHANNELS
+   * @param {Array<string>} data.values - Recipients as entered
+   * @param {string} [data.reason] - Free-text reason applied to every entry
+   * @param {string} [data.defaultCountryCode] - Country calling code for national numbers
+   * @returns {Promise<Object>} { added, alreadySuppressed, invalid }
+   */
+  static async bulkImport(subaccountId, userId, { channel, values, reason = null, defaultCountryCode = null }) {
+    const invalid = [];
+    const normalizedValues = new Set();
+
+    values.forEach(raw => {
+      const normalized = SuppressionService.normalizeValue(channel, raw, defaultCountryCode);
+      if (normalized.valid) {
+        normalizedValues.add(normalized.value);
+      } else {
+        invalid.push({ value: raw, reason: normalized.reason });
+      }
+    });
+
+    if (normalizedValues.size === 0) {
+      return { added: 0, alreadySuppressed: 0, invalid };
+    }
+
+    const collection = await SuppressionService.getCollection(subaccountId, userId);
+    const now = new Date();
+
+    const result = await collection.bulkWrite(
+      Array.from(normalizedValues).map(value => ({
+        updateOne: {
+          filter: { subaccountId, channel, value },
+          update: {
+            $setOnInsert: {
+              subaccountId,
+              channel,
+              value,
+              source: SOURCES.IMPORT,
+              reason,
+              context: null,
+              createdBy: userId,
+              createdAt: now
+            }
+          },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+
+    return {
+      added: result.upsertedCount,
+      alreadySuppressed: normalizedValues.size - result.upsertedCount,
+      invalid
+    };
+  }
+
+  /**
+   * Remove a suppression entry
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} suppressionId - Entry ID
+   * @returns {Promise<Object|null>} Removed entry or null if not found
+   */
+  static async remove(subaccountId, userId, suppressionId) {
+    const collection = await SuppressionService.getCollection(subaccountId, userId);
+    const filter = { _id: new ObjectId(suppressionId), subaccountId };
+
+    const entry = await collection.findOne(filter);
+    if (!entry) {
+      return null;
+    }
+
+    await collection.deleteOne(filter);
+    return entry;
+  }
+
+  /**
+   * Find which of the given recipients are suppressed
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} channel - One of CHANNELS
+   * @param {Array<string>} values - Recipients as sent to the provider
+   * @returns {Promise<Map>} Original value -> suppression entry, for suppressed recipients only
+   */
+  static async findSuppressed(subaccountId, userId, channel, values) {
+    const byNormalized = new Map();
+    values.forEach(raw => {
+      const normalized = SuppressionService.normalizeValue(channel, raw);
+      if (normalized.valid) {
+        const originals = byNormalized.get(normalized.value) || [];
+        originals.push(raw);
+        byNormalized.set(normalized.value, originals);
+      }
+    });
+
+    const suppressed = new Map();
+    if (byNormalized.size === 0) {
+      return suppressed;
+    }
+
+    const collection = await SuppressionService.getCollection(subaccountId, userId);
+    const entries = await collection
+      .find({ subaccountId, channel, value: { $in: Array.from(byNormalized.keys()) } })
+      .toArray();
+
+    entries.forEach(entry => {
+      byNormalized.get(entry.value).forEach(raw => suppressed.set(raw, entry));
+    });
+
+    return suppressed;
+  }
+
+  /**
+   * Throw if a recipient is suppressed, logging the blocked attempt
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} channel - One of CHANNELS
+   * @param {string} value - Recipient as sent to the provider
+   * @param {Object} context - Attempt context
+   * @param {string} [context.userId] - User making the attempt (default: system)
+   * @param {string} [context.agentId] - Agent used for the attempt
+   * @param {string} [context.operationId] - Operation ID for tracking
+   * @throws {Error} Error with code RECIPIENT_SUPPRESSED
+   */
+  static async assertNotSuppressed(subaccountId, channel, value, { userId = 'system', agentId = null, operationId = null } = {}) {
+    const suppressed = await SuppressionService.findSuppressed(subaccountId, userId, channel, [value]);
+    const entry = suppressed.get(value);
+
+    if (!entry) {
+      return;
+    }
+
+    await SuppressionService.logBlockedAttempt(subaccountId, channel, [value], { userId, agentId, operationId });
+
+    throw SuppressionService.createSuppressedError(channel, entry.value);
+  }
+
+  /**
+   * Log outbound attempts that were blocked by the suppression list
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} channel - One of CHANNELS
+   * @param {Array<string>} recipients - Blocked recipients
+   * @param {Object} context - { userId, agentId, operationId, batchCallName }
+   */
+  static async logBlockedAttempt(subaccountId, channel, recipients, { userId = 'system', agentId = null, operationId = null, batchCallName = null } = {}) {
+    Logger.warn('Outbound contact blocked by suppression list', {
+      operationId,
+      subaccountId,
+      channel,
+      recipientCount: recipients.length
+    });
+
+    await ActivityService.logActivity({
+      subaccountId,
+      activityType: ACTIVITY_TYPES.SUPPRESSED_RECIPIENT_BLOCKED,
+      category: ACTIVITY_CATEGORIES.COMPLIANCE,
+      userId,
+      description: recipients.length === 1
+        ? `Blocked ${channel} contact to suppressed recipient ${recipients[0]}`
+        : `Blocked ${channel} contact to ${recipients.length} suppressed recipients`,
+      metadata: {
+        channel,
+        recipients: recipients.slice(0, 100),
+        recipientCount: recipients.length,
+        ...(batchCallName && { batchCallName })
+      },
+      resourceId: recipients.length === 1 ? recipients[0] : null,
+      resourceName: recipients.length === 1 ? recipients[0] : null,
+      operationId,
+      agentId
+    });
+  }
+
+  /**
+   * Build the error thrown for a suppressed recipient
+   * @param {string} channel - One of CHANNELS
+   * @param {string} value - Suppressed recipient
+   * @returns {Error} Error with code RECIPIENT_SUPPRESSED
+   */
+  static createSuppressedError(channel, value) {
+    const error = new Error(`Recipient ${value} is on the ${channel} suppression list and cannot be contacted`);
+    error.code = 'RECIPIENT_SUPPRESSED';
+    error.channel = channel;
+    error.recipient = value;
+    return error;
+  }
+
+  /**
+   * Detect an opt-out request in a message or utterance
+   * @param {string} text - Message text
+   * @returns {string|null} Matched keyword or phrase, or null
+   */
+  static detectOptOut(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const bare = text.trim().toLowerCase().replace(/[^a-z\s-]/g, '').trim();
+    if (OPT_OUT_KEYWORDS.has(bare)) {
+      return bare;
+    }
+
+    for (const pattern of OPT_OUT_PHRASES) {
+      const match = text.match(pattern);
+      if (match) {
+        return match[0].toLowerCase();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect a request to withdraw a keyword opt-out (e.g. "START")
+   * @param {string} text - Message text
+   * @returns {boolean}
+   */
+  static detectOptIn(text) {
+    if (!text || typeof text !== 'string') {
+      return false;
+    }
+    return OPT_IN_KEYWORDS.has(text.trim().toLowerCase().replace(/[^a-z]/g, ''));
+  }
+
+  /**
+   * Detect an opt-out in what the user said during a call or chat.
+   * Accepts a Retell transcript string ("Agent: ...\nUser: ...") or a list of
+   * { role, content } messages.
+   * @param {string|Array} transcript - Transcript
+   * @returns {string|null} Matched phrase, or null
+   */
+  static detectOptOutInTranscript(transcript) {
+    let utterances = [];
+
+    if (Array.isArray(transcript)) {
+      utterances = transcript
+        .filter(entry => entry && entry.role === 'user' && typeof entry.content === 'string')
+        .map(entry => entry.content);
+    } else if (typeof transcript === 'string') {
+      utterances = transcript
+        .split('\n')
+        .filter(line => /^user:/i.test(line.trim()))
+        .map(line => line.trim().replace(/^user:\s*/i, ''));
+    }
+
+    for (const utterance of utterances) {
+      const match = SuppressionService.detectOptOut(utterance);
+      if (match) {
+        return match;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record an opt-out captured from a conversation
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} channel - One of CHANNELS
+   * @param {string} rawValue - Recipient as received from the provider
+   * @param {Object} context - Capture context
+   * @param {string} context.type - call, chat, whatsapp or instagram
+   * @param {string} [context.id] - Call, chat or message ID
+   * @param {string} context.keyword - Matched keyword or phrase
+   * @param {string} [context.agentId] - Agent handling the conversation
+   * @returns {Promise<Object|null>} { entry, created } or null if the recipient is not valid
+   */
+  static async recordOptOut(subaccountId, channel, rawValue, { type, id = null, keyword, agentId = null }) {
+    const normalized = SuppressionService.normalizeValue(channel, rawValue);
+    if (!normalized.valid) {
+      Logger.warn('Opt-out detected for an invalid recipient', {
+        subaccountId,
+        channel,
+        value: rawValue,
+        reason: normalized.reason
+      });
+      return null;
+    }
+
+    const result = await SuppressionService.add(subaccountId, 'system', {
+      channel,
+      value: normalized.value,
+      source: SOURCES.OPT_OUT,
+      reason: `Opt-out keyword "${keyword}"`,
+      context: { type, id, keyword }
+    });
+
+    if (result.created) {
+      Logger.info('Recipient opted out', {
+        subaccountId,
+        channel,
+        value: normalized.value,
+        type,
+        id
+      });
+
+      await ActivityService.logActivity({
+        subaccountId,
+        activityType: ACTIVITY_TYPES.RECIPIENT_OPTED_OUT,
+        category: ACTIVITY_CATEGORIES.COMPLIANCE,
+        userId: 'system',
+        description: `${normalized.value} opted out of ${channel} contact`,
+        metadata: { channel, type, id, keyword },
+        resourceId: normalized.value,
+        resourceName: normalized.value,
+        agentId
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Withdraw a keyword opt-out. Manual and imported entries are kept.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} channel - One of CHANNELS
+   * @param {string} rawValue - Recipient as received from the provider
+   * @param {Object} context - { type, id, agentId }
+   * @returns {Promise<boolean>} True if an opt-out was removed
+   */
+  static async recordOptIn(subaccountId, channel, rawValue, { type, id = null, agentId = null }) {
+    const normalized = SuppressionService.normalizeValue(channel, rawValue);
+    if (!normalized.valid) {
+      return false;
+    }
+
+    const collection = await SuppressionService.getCollection(subaccountId, 'system');
+    const result = await collection.deleteOne({
+      subaccountId,
+      channel,
+      value: normalized.value,
+      source: SOURCES.OPT_OUT
+    });
+
+    if (result.deletedCount === 0) {
+      return false;
+    }
+
+    await ActivityService.logActivity({
+      subaccountId,
+      activityType: ACTIVITY_TYPES.RECIPIENT_OPTED_IN,
+      category: ACTIVITY_CATEGORIES.COMPLIANCE,
+      userId: 'system',
+      description: `${normalized.value} opted back in to ${channel} contact`,
+      metadata: { channel, type, id },
+      resourceId: normalized.value,
+      resourceName: normalized.value,
+      agentId
+    });
+
+    return true;
+  }
+}
+
+module.exports = SuppressionService;
+module.exports.CHANNELS = CHANNELS;
+module.exports.SOURCES = SOURCES;
@@ -3,9 +3,11 @@ const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../../config/config');
 const Logger = require('../utils/logger');
+const { trackOutbound } = require('../utils/metrics');
 const redisService = require('./redisService');
 const connectionPoolManager = require('./connectionPoolManager');
 const encryptionService = require('./encryptionService');
+const UsageLedgerService = require('./usageLedgerService');
 
 class TwilioService {
   constructor() {
@@ -536,6 +538,15 @@ class TwilioService {
     }
   }
 
+  // Create a Twilio client whose API calls are counted in /metrics
+  createClient(accountSid, authToken) {
+    const httpClient = new twilio.RequestClient();
+    const request = httpClient.request.bind(httpClient);
+    httpClient.request = (opts) => trackOutbound('twilio', opts.method, () => request(opts));
+
+    return twilio(accountSid, authToken, { httpClient });
+  }
+
   // Get or create Twilio client instance
   async getTwilioClient(subaccountId) {
     try {
@@ -549,7 +560,7 @@ class TwilioService {
       const accountData = await this.getTwilioAccount(subaccountId);
 
       // Create Twilio client
-      const client = twilio(accountData.accountSid, accountData.authToken);
+      const client = this.createClient(accountData.accountSid, accountData.authToken);
 
       // Cache the client instance
       this.clients.set(subaccountId, client);
@@ -588,7 +599,7 @@ class TwilioService {
   // Verify Twilio credentials
   async verifyCredentials(accountSid, authToken) {
     try {
-      const client = twilio(accountSid, authToken);
+      const client = this.createClient(accountSid, authToken);
       
       // Try to fetch account details to verify credentials
       await client.api.accounts(accountSid).fetch();
@@ -2319,6 +2330,22 @@ class TwilioService {
         // Invalidate phone numbers cache
         await redisService.del(`twilio:phoneNumbers:${subaccountId}`);
 
+        // Bill the number's first month
+        try {
+          await UsageLedgerService.recordPhoneNumberRental(subaccountId, {
+            sid: purchasedNumber.sid,
+            phoneNumber: purchasedNumber.phoneNumber,
+            numberType,
+            countryCode
+          });
+        } catch (usageError) {
+          Logger.warn('Failed to record phone number rental usage', {
+            subaccountId,
+            numberSid: purchasedNumber.sid,
+            error: usageError.message
+          });
+        }
+
         Logger.info('Phone number purchase flow completed successfully', { 
           subaccountId, 
           phoneNumber,
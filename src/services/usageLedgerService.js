@@ -0,0 +1,627 @@
+const cron = require('node-cron');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const connectionPoolManager = require('./connectionPoolManager');
+const SubaccountIndexService = require('./subaccountIndexService');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+
+const LEDGER_COLLECTION = 'usage_ledger';
+const PRICING_COLLECTION = 'usage_pricing';
+const LEDGER_INDEXES = [
+  [{ subaccountId: 1, usageType: 1, sourceId: 1, sequence: 1 }, { unique: true }],
+  [{ subaccountId: 1, occurredAt: 1 }]
+];
+
+const USAGE_TYPES = {
+  CALL: 'call',
+  CHAT: 'chat',
+  PHONE_NUMBER_RENTAL: 'phone_number_rental'
+};
+
+// Quantity each usage type is billed by
+const BILLING_UNITS = {
+  [USAGE_TYPES.CALL]: { quantity: 'callMinutes', unit: 'minute', description: 'Voice call minutes' },
+  [USAGE_TYPES.CHAT]: { quantity: 'chatMessages', unit: 'message', description: 'Chat messages' },
+  [USAGE_TYPES.PHONE_NUMBER_RENTAL]: { quantity: 'phoneNumbers', unit: 'number-month', description: 'Phone number rentals' }
+};
+
+const QUANTITY_FIELDS = ['callSeconds', 'callMinutes', 'chatMessages', 'llmTokens', 'phoneNumbers'];
+const AMOUNT_FIELDS = ['baseCost', 'billedCost'];
+
+const ENTRY_TYPES = {
+  CHARGE: 'charge',
+  ADJUSTMENT: 'adjustment'
+};
+
+// Concurrent webhooks for the same call can race for the next sequence number
+const MAX_APPEND_ATTEMPTS = 3;
+
+// Subaccounts with purchased phone numbers, visited by the monthly rental worker
+const RENTAL_WORKER_NAME = 'phone_number_rentals';
+
+let rentalWorkerTask = null;
+let isAccruing = false;
+
+const round = (value, decimals = 6) => {
+  const factor = 10 ** decimals;
+  return Math.round((value || 0) * factor) / factor;
+};
+
+// Months (YYYY-MM) after `from` up to and including `to`
+const monthsBetween = (from, to) => {
+  const months = [];
+  const date = new Date(`${from}-01T00:00:00.000Z`);
+  for (;;) {
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    const month = date.toISOString().slice(0, 7);
+    if (month > to) {
+      return months;
+    }
+    months.push(month);
+  }
+};
+
+/**
+ * Append-only usage ledger per subaccount.
+ * Ended calls, ended chats and phone number months are recorded in `usage_ledger`
+ * with their provider cost and the price billed to the subaccount (from `usage_pricing`).
+ * Entries are never changed: when a call or chat is reported again with other totals,
+ * the difference is appended as an adjustment. Daily/monthly rollups, invoice summaries
+ * and CSV exports are aggregated from the ledger.
+ */
+class UsageLedgerService {
+  /**
+   * Get the ledger collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getLedgerCollection(subaccountId, userId = 'system') {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, LEDGER_COLLECTION, LEDGER_INDEXES);
+  }
+
+  /**
+   * Get the pricing collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getPricingCollection(subaccountId, userId = 'system') {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection(PRICING_COLLECTION);
+  }
+
+  /**
+   * Get the pricing of a subaccount, or the default markup when none is set
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} { currency, markupPercent, rates, isDefault, updatedAt, updatedBy }
+   */
+  static async getPricing(subaccountId, userId = 'system') {
+    const collection = await UsageLedgerService.getPricingCollection(subaccountId, userId);
+    const pricing = await collection.findOne({ subaccountId });
+
+    return {
+      currency: config.usage.currency,
+      markupPercent: pricing?.markupPercent ?? config.usage.defaultMarkupPercent,
+      rates: pricing?.rates || {},
+      isDefault: !pricing,
+      updatedAt: pricing?.updatedAt || null,
+      updatedBy: pricing?.updatedBy || null
+    };
+  }
+
+  /**
+   * Replace the pricing of a subaccount. Applies to usage recorded from now on.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} pricing - Pricing
+   * @param {number} pricing.markupPercent - Markup on the provider cost of all usage types
+   * @param {Object} [pricing.rates] - Per usage type { markupPercent, unitPrice }
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Updated pricing
+   */
+  static async updatePricing(subaccountId, { markupPercent, rates = {} }, userId) {
+    const collection = await UsageLedgerService.getPricingCollection(subaccountId, userId);
+
+    await collection.updateOne(
+      { subaccountId },
+      {
+        $set: { markupPercent, rates, updatedAt: new Date(), updatedBy: userId },
+        $setOnInsert: { subaccountId, createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    return UsageLedgerService.getPricing(subaccountId, userId);
+  }
+
+  /**
+   * Price usage with the subaccount's pricing.
+   * A unit price replaces the provider cost; otherwise the markup is added to it.
+   * @param {Object} pricing - Result of getPricing
+   * @param {string} usageType - One of USAGE_TYPES
+   * @param {Object} quantities - Usage quantities
+   * @param {number} baseCost - Provider cost
+   * @returns {Object} { billedCost, markupPercent, unitPrice }
+   */
+  static priceUsage(pricing, usageType, quantities, baseCost) {
+    const rate = pricing.rates[usageType] || {};
+
+    if (rate.unitPrice !== undefined && rate.unitPrice !== null) {
+      const quantity = quantities[BILLING_UNITS[usageType].quantity] || 0;
+      return { billedCost: round(quantity * rate.unitPrice), markupPercent: null, unitPrice: rate.unitPrice };
+    }
+
+    const markupPercent = rate.markupPercent ?? pricing.markupPercent;
+    return { billedCost: round(baseCost * (1 + markupPercent / 100)), markupPercent, unitPrice: null };
+  }
+
+  /**
+   * Append the usage of a call, chat or phone number to the ledger.
+   * The first report is a charge; later reports append the difference to what is
+   * already recorded for the source as an adjustment, or nothing when it is unchanged.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} usage - Usage to record
+   * @param {string} usage.usageType - One of USAGE_TYPES
+   * @param {string} usage.sourceId - call_id, chat_id or phone number SID and month
+   * @param {string} [usage.agentId] - Agent that handled the call or chat
+   * @param {Date} usage.occurredAt - When the usage happened (used for rollups)
+   * @param {Object} usage.quantities - Totals per QUANTITY_FIELDS
+   * @param {number} usage.baseCost - Total provider cost
+   * @param {Object} [usage.details] - Descriptive fields copied to the entry
+   * @returns {Promise<Object|null>} Appended entry, or null when nothing changed
+   */
+  static async recordUsage(subaccountId, { usageType, sourceId, agentId = null, occurredAt, quantities, baseCost, details = {} }) {
+    const collection = await UsageLedgerService.getLedgerCollection(subaccountId);
+    const pricing = await UsageLedgerService.getPricing(subaccountId);
+
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const previous = await collection.find({ subaccountId, usageType, sourceId }).toArray();
+
+      const delta = {};
+      QUANTITY_FIELDS.forEach(field => {
+        const recorded = previous.reduce((total, entry) => total + (entry.quantities[field] || 0), 0);
+        delta[field] = round((quantities[field] || 0) - recorded);
+      });
+      const recordedCost = previous.reduce((total, entry) => total + entry.baseCost, 0);
+      const baseCostDelta = round(baseCost - recordedCost);
+
+      if (baseCostDelta === 0 && QUANTITY_FIELDS.every(field => delta[field] === 0)) {
+        return null;
+      }
+
+      const { billedCost, markupPercent, unitPrice } = UsageLedgerService.priceUsage(pricing, usageType, delta, baseCostDelta);
+      const isoDate = occurredAt.toISOString();
+
+      const entry = {
+        subaccountId,
+        usageType,
+        sourceId,
+        sequence: previous.length,
+        entryType: previous.length === 0 ? ENTRY_TYPES.CHARGE : ENTRY_TYPES.ADJUSTMENT,
+        agentId,
+        occurredAt,
+        day: isoDate.slice(0, 10),
+        month: isoDate.slice(0, 7),
+        quantities: delta,
+        baseCost: baseCostDelta,
+        billedCost,
+        currency: pricing.currency,
+        markupPercent,
+        unitPrice,
+        details,
+        createdAt: new Date()
+      };
+
+      try {
+        await collection.insertOne(entry);
+        return entry;
+      } catch (error) {
+        if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+        Logger.debug('Usage ledger sequence taken, retrying', { subaccountId, usageType, sourceId, attempt });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the usage of a call once Retell has reported its cost
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} call - Call document or webhook payload
+   * @returns {Promise<Object|null>} Appended entry
+   */
+  static async recordCall(subaccountId, call) {
+    if (!call?.call_cost) {
+      return null;
+    }
+
+    const durationSeconds = call.call_cost.total_duration_seconds ??
+      (call.duration_ms !== undefined
+        ? call.duration_ms / 1000
+        : call.end_timestamp && call.start_timestamp ? (call.end_timestamp - call.start_timestamp) / 1000 : 0);
+
+    return UsageLedgerService.recordUsage(subaccountId, {
+      usageType: USAGE_TYPES.CALL,
+      sourceId: call.call_id,
+      agentId: call.agent_id || call.agentId || null,
+      occurredAt: new Date(call.start_timestamp || call.createdAt || Date.now()),
+      quantities: {
+        callSeconds: durationSeconds,
+        callMinutes: round(durationSeconds / 60),
+        llmTokens: UsageLedgerService.countTokens(call.llm_token_usage)
+      },
+      baseCost: (call.call_cost.combined_cost || 0) / 100, // Retell reports cents
+      details: {
+        callType: call.call_type || null,
+        direction: call.direction || null,
+        fromNumber: call.from_number || null,
+        toNumber: call.to_number || null
+      }
+    });
+  }
+
+  /**
+   * Record the usage of a chat once it has ended
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} chat - Chat document
+   * @returns {Promise<Object|null>} Appended entry
+   */
+  static async recordChat(subaccountId, chat) {
+    if (chat?.chat_status !== 'ended') {
+      return null;
+    }
+
+    let channel = 'api';
+    if (chat.metadata?.whatsapp_phone) {
+      channel = 'whatsapp';
+    } else if (chat.metadata?.instagram_user_id) {
+      channel = 'instagram';
+    }
+
+    return UsageLedgerService.recordUsage(subaccountId, {
+      usageType: USAGE_TYPES.CHAT,
+      sourceId: chat.chat_id,
+      agentId: chat.agent_id || null,
+      occurredAt: new Date(chat.start_timestamp || chat.createdAt || Date.now()),
+      quantities: {
+        chatMessages: chat.message_count ?? chat.messages?.length ?? 0,
+        llmTokens: UsageLedgerService.countTokens(chat.llm_token_usage)
+      },
+      baseCost: (chat.chat_cost?.combined_cost || 0) / 100, // Retell reports cents
+      details: { channel }
+    });
+  }
+
+  /**
+   * Record the first month of a purchased phone number. The following months are
+   * recorded by the rental worker for as long as the number stays in `phonenumbers`.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} number - Purchased number
+   * @param {string} number.sid - Twilio number SID
+   * @param {string} number.phoneNumber - E.164 number
+   * @param {string} [number.numberType] - local, mobile or tollFree
+   * @param {string} [number.countryCode] - ISO country code
+   * @returns {Promise<Object|null>} Appended entry
+   */
+  static async recordPhoneNumberRental(subaccountId, number) {
+    const entry = await UsageLedgerService.recordRentalMonth(subaccountId, number, new Date());
+    await SubaccountIndexService.track(RENTAL_WORKER_NAME, subaccountId);
+    return entry;
+  }
+
+  /**
+   * Record one month of a phone number. The sourceId `<sid>:<YYYY-MM>` makes it idempotent.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} number - { sid, phoneNumber, numberType, countryCode }
+   * @param {Date} occurredAt - Purchase time, or the start of a later month
+   * @returns {Promise<Object|null>} Appended entry, or null when the month is already recorded
+   */
+  static async recordRentalMonth(subaccountId, { sid, phoneNumber, numberType = null, countryCode = null }, occurredAt) {
+    return UsageLedgerService.recordUsage(subaccountId, {
+      usageType: USAGE_TYPES.PHONE_NUMBER_RENTAL,
+      sourceId: `${sid}:${occurredAt.toISOString().slice(0, 7)}`,
+      occurredAt,
+      quantities: { phoneNumbers: 1 },
+      baseCost: config.usage.phoneNumberMonthlyCost,
+      details: { phoneNumber, numberType, countryCode }
+    });
+  }
+
+  /**
+   * Start the cron worker that records the monthly rental of phone numbers
+   * @returns {boolean} True if the worker was started
+   */
+  static startRentalWorker() {
+    if (!config.usage.rentalWorkerEnabled) {
+      Logger.info('Phone number rental worker disabled');
+      return false;
+    }
+    if (rentalWorkerTask) {
+      return true;
+    }
+
+    rentalWorkerTask = cron.schedule(config.usage.rentalCronExpression, () => {
+      UsageLedgerService.accruePhoneNumberRentals().catch(error => {
+        Logger.error('Phone number rental worker run failed', { error: error.message });
+      });
+    });
+
+    Logger.info('Phone number rental worker started', {
+      cronExpression: config.usage.rentalCronExpression
+    });
+    return true;
+  }
+
+  /**
+   * Stop the cron worker
+   */
+  static stopRentalWorker() {
+    if (rentalWorkerTask) {
+      rentalWorkerTask.stop();
+      rentalWorkerTask = null;
+      Logger.info('Phone number rental worker stopped');
+    }
+  }
+
+  /**
+   * Record the current month of every purchased number that is still held, in every
+   * subaccount with purchased numbers. Runs are skipped while a previous run is in progress.
+   * @returns {Promise<Object>} { subaccounts, recorded } counters
+   */
+  static async accruePhoneNumberRentals() {
+    if (isAccruing) {
+      return { subaccounts: 0, recorded: 0, skipped: true };
+    }
+    isAccruing = true;
+
+    let recorded = 0;
+    let subaccounts = [];
+
+    try {
+      subaccounts = await SubaccountIndexService.list(RENTAL_WORKER_NAME);
+
+      for (const { subaccountId, generation } of subaccounts) {
+        try {
+          recorded += await UsageLedgerService.accrueSubaccountRentals(subaccountId, generation);
+        } catch (error) {
+          Logger.error('Failed to record phone number rentals', {
+            subaccountId,
+            error: error.message
+          });
+        }
+      }
+    } finally {
+      isAccruing = false;
+    }
+
+    if (recorded > 0) {
+      Logger.info('Phone number rental worker run finished', {
+        subaccounts: subaccounts.length,
+        recorded
+      });
+    }
+
+    return { subaccounts: subaccounts.length, recorded, skipped: false };
+  }
+
+  /**
+   * Record the months since the last recorded month of each purchased number the
+   * subaccount still has. Released numbers are removed from `phonenumbers` and stop accruing.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {number} [generation] - Index generation read by the worker; the subaccount
+   *   leaves the index when it has no purchased numbers left
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Months recorded
+   */
+  static async accrueSubaccountRentals(subaccountId, generation = null, now = new Date()) {
+    const collection = await UsageLedgerService.getLedgerCollection(subaccountId);
+    const charges = await collection.find({
+      subaccountId,
+      usageType: USAGE_TYPES.PHONE_NUMBER_RENTAL,
+      entryType: ENTRY_TYPES.CHARGE
+    }).toArray();
+
+    // Last recorded month of each number (sourceId is `<sid>:<YYYY-MM>`)
+    const lastRecorded = new Map();
+    charges.forEach(entry => {
+      const [sid, month] = entry.sourceId.split(':');
+      if (!lastRecorded.has(sid) || lastRecorded.get(sid).month < month) {
+        lastRecorded.set(sid, { month, details: entry.details || {} });
+      }
+    });
+
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, 'system');
+    const heldNumbers = lastRecorded.size > 0
+      ? await connectionInfo.connection.db.collection('phonenumbers')
+        .find({ subaccountId, sid: { $in: Array.from(lastRecorded.keys()) } })
+        .toArray()
+      : [];
+
+    const currentMonth = now.toISOString().slice(0, 7);
+    let recorded = 0;
+
+    for (const number of heldNumbers) {
+      const { month, details } = lastRecorded.get(number.sid);
+      for (const nextMonth of monthsBetween(month, currentMonth)) {
+        const entry = await UsageLedgerService.recordRentalMonth(subaccountId, {
+          sid: number.sid,
+          phoneNumber: number.phone_number || details.phoneNumber,
+          numberType: details.numberType,
+          countryCode: details.countryCode
+        }, new Date(`${nextMonth}-01T00:00:00.000Z`));
+        if (entry) {
+          recorded++;
+        }
+      }
+    }
+
+    if (heldNumbers.length === 0 && generation !== null) {
+      await SubaccountIndexService.untrack(RENTAL_WORKER_NAME, subaccountId, generation);
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Total LLM tokens from Retell's llm_token_usage ({ values, average, num_requests })
+   * @param {Object} usage - llm_token_usage
+   * @returns {number} Tokens
+   */
+  static countTokens(usage) {
+    if (Array.isArray(usage?.values)) {
+      return usage.values.reduce((total, tokens) => total + (tokens || 0), 0);
+    }
+    return Math.round((usage?.average || 0) * (usage?.num_requests || 0));
+  }
+
+  /**
+   * Ledger query for a period
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} filters - { start, end (exclusive), usageType, agentId }
+   * @returns {Object} MongoDB query
+   */
+  static buildQuery(subaccountId, { start, end, usageType, agentId }) {
+    const query = { subaccountId, occurredAt: { $gte: start, $lt: end } };
+    if (usageType) {
+      query.usageType = usageType;
+    }
+    if (agentId) {
+      query.agentId = agentId;
+    }
+    return query;
+  }
+
+  // $group fields summing the quantities and amounts of entries
+  static sumFields() {
+    const fields = { entries: { $sum: 1 }, events: { $sum: { $cond: [{ $eq: ['$entryType', ENTRY_TYPES.CHARGE] }, 1, 0] } } };
+    QUANTITY_FIELDS.forEach(field => {
+      fields[field] = { $sum: `$quantities.${field}` };
+    });
+    AMOUNT_FIELDS.forEach(field => {
+      fields[field] = { $sum: `$${field}` };
+    });
+    return fields;
+  }
+
+  // Round the sums of an aggregation group
+  static formatTotals(group) {
+    const totals = { events: group.events, entries: group.entries };
+    QUANTITY_FIELDS.forEach(field => {
+      totals[field] = round(group[field], 4);
+    });
+    totals.baseCost = round(group.baseCost, 4);
+    totals.billedCost = round(group.billedCost, 4);
+    return totals;
+  }
+
+  /**
+   * List ledger entries
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} filters - { start, end, usageType, agentId, limit, skip }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  static async listEntries(subaccountId, userId, { limit = 50, skip = 0, ...filters }) {
+    const collection = await UsageLedgerService.getLedgerCollection(subaccountId, userId);
+    const query = UsageLedgerService.buildQuery(subaccountId, filters);
+
+    const [entries, total] = await Promise.all([
+      collection.find(query).sort({ occurredAt: 1, sequence: 1 }).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Daily or monthly totals per usage type
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} filters - { granularity: 'day' | 'month', start, end, usageType, agentId }
+   * @returns {Promise<Array>} Rollups sorted by period
+   */
+  static async getRollups(subaccountId, userId, { granularity, ...filters }) {
+    const collection = await UsageLedgerService.getLedgerCollection(subaccountId, userId);
+
+    const groups = await collection.aggregate([
+      { $match: UsageLedgerService.buildQuery(subaccountId, filters) },
+      {
+        $group: {
+          _id: { period: `$${granularity}`, usageType: '$usageType' },
+          ...UsageLedgerService.sumFields()
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.usageType': 1 } }
+    ]).toArray();
+
+    return groups.map(group => ({
+      period: group._id.period,
+      usageType: group._id.usageType,
+      ...UsageLedgerService.formatTotals(group)
+    }));
+  }
+
+  /**
+   * Invoice-ready summary of a period: one line per usage type with the billed amount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} filters - { start, end, agentId }
+   * @returns {Promise<Object>} { currency, lines, totals, pricing }
+   */
+  static async getSummary(subaccountId, userId, filters) {
+    const collection = await UsageLedgerService.getLedgerCollection(subaccountId, userId);
+
+    const [groups, pricing] = await Promise.all([
+      collection.aggregate([
+        { $match: UsageLedgerService.buildQuery(subaccountId, filters) },
+        { $group: { _id: '$usageType', ...UsageLedgerService.sumFields() } }
+      ]).toArray(),
+      UsageLedgerService.getPricing(subaccountId, userId)
+    ]);
+
+    const lines = Object.values(USAGE_TYPES)
+      .map(usageType => {
+        const group = groups.find(row => row._id === usageType);
+        if (!group) {
+          return null;
+        }
+
+        const { quantity, unit, description } = BILLING_UNITS[usageType];
+        const totals = UsageLedgerService.formatTotals(group);
+        return {
+          usageType,
+          description,
+          unit,
+          quantity: totals[quantity],
+          events: totals.events,
+          llmTokens: totals.llmTokens,
+          providerCost: totals.baseCost,
+          amount: round(totals.billedCost, 2)
+        };
+      })
+      .filter(Boolean);
+
+    const providerCost = round(lines.reduce((total, line) => total + line.providerCost, 0), 4);
+    const amount = round(lines.reduce((total, line) => total + line.amount, 0), 2);
+
+    return {
+      currency: pricing.currency,
+      lines,
+      totals: {
+        providerCost,
+        amount,
+        margin: round(amount - providerCost, 2)
+      },
+      pricing
+    };
+  }
+}
+
+module.exports = UsageLedgerService;
+module.exports.USAGE_TYPES = USAGE_TYPES;
+module.exports.BILLING_UNITS = BILLING_UNITS;
+module.exports.QUANTITY_FIELDS = QUANTITY_FIELDS;
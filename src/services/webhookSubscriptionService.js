@@ -0,0 +1,920 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/config');
+const Logger = require('../utils/logger');
+const { signWebhookPayload } = require('../utils/webhookSignature');
+const { assertPublicUrl, publicLookup } = require('../utils/networkGuard');
+const connectionPoolManager = require('./connectionPoolManager');
+const { getIndexedCollection } = require('../utils/collectionIndexes');
+const encryptionService = require('./encryptionService');
+const SubaccountIndexService = require('./subaccountIndexService');
+const { ACTIVITY_TYPES } = require('./activityService');
+
+const SUBSCRIPTIONS_COLLECTION = 'webhook_subscriptions';
+const DELIVERIES_COLLECTION = 'webhook_deliveries';
+const SUBSCRIPTIONS_INDEXES = [
+  [{ subaccountId: 1, subscriptionId: 1 }, { unique: true }],
+  [{ subaccountId: 1, active: 1, events: 1 }]
+];
+const DELIVERIES_INDEXES = [
+  [{ subaccountId: 1, deliveryId: 1 }, { unique: true }],
+  [{ status: 1, nextAttemptAt: 1 }],
+  [{ subaccountId: 1, subscriptionId: 1, createdAt: -1 }],
+  [{ createdAt: 1 }, { expireAfterSeconds: config.webhookSubscriptions.retentionDays * 24 * 60 * 60 }]
+];
+const WORKER_NAME = 'webhook_deliveries';
+// Redis set that held the worker index before it moved to the platform database
+const LEGACY_SUBACCOUNT_INDEX_KEY = `${config.redis.prefixes.webhookDeliveries}subaccounts`;
+const SECRET_ENCRYPTION_TYPE = 'webhook_subscription';
+
+/**
+ * Events that are not activities. Their payload carries the whole call or chat.
+ */
+const LIFECYCLE_EVENTS = {
+  CALL_ENDED: 'call.ended',
+  CHAT_ENDED: 'chat.ended',
+  MEETING_BOOKED: 'meeting.booked'
+};
+
+// Subscribes to every event
+const ALL_EVENTS = '*';
+const TEST_EVENT = 'webhook.test';
+
+const EVENT_TYPES = [...Object.values(LIFECYCLE_EVENTS), ...Object.values(ACTIVITY_TYPES)];
+
+/**
+ * Delivery statuses
+ */
+const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  DELIVERING: 'delivering',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * What created a delivery. Only event deliveries are retried.
+ */
+const DELIVERY_TRIGGERS = {
+  EVENT: 'event',
+  TEST: 'test',
+  REDELIVERY: 'redelivery'
+};
+
+let workerTask = null;
+let isProcessing = false;
+let legacyIndexImported = false;
+
+/**
+ * Outbound webhook subscriptions.
+ * Subscriptions are stored per subaccount in `webhook_subscriptions`. Every matching event
+ * becomes a delivery in `webhook_deliveries`; it is sent right away and failed deliveries
+ * are retried with exponential backoff by a node-cron worker. Requests are signed with
+ * HMAC-SHA256 using the subscription secret.
+ */
+class WebhookSubscriptionService {
+  /**
+   * Get the webhook_subscriptions collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getSubscriptionsCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, SUBSCRIPTIONS_COLLECTION, SUBSCRIPTIONS_INDEXES);
+  }
+
+  /**
+   * Get the webhook_deliveries collection for a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Object>} MongoDB collection
+   */
+  static async getDeliveriesCollection(subaccountId, userId) {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return getIndexedCollection(connectionInfo.connection.db, DELIVERIES_COLLECTION, DELIVERIES_INDEXES);
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {string} Secret
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Count the subscriptions of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<number>} Number of subscriptions
+   */
+  static async countSubscriptions(subaccountId, userId) {
+    const collection = await WebhookSubscriptionService.getSubscriptionsCollection(subaccountId, userId);
+    return collection.countDocuments({ subaccountId });
+  }
+
+  /**
+   * Create a subscription
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User creating the subscription
+   * @param {Object} params - { url, events, description, secret, active }
+   * @returns {Promise<Object>} { subscription, secret } - the secret is only returned here
+   */
+  static async createSubscription(subaccountId, userId, { url, events, description = null, secret = null, active = true }) {
+    const collection = await WebhookSubscriptionService.getSubscriptionsCollection(subaccountId, userId);
+    const signingSecret = secret || WebhookSubscriptionService.generateSecret();
+    const now = new Date();
+
+    const subscription = {
+      subscriptionId: uuidv4(),
+      subaccountId,
+      url,
+      description,
+      events: [...new Set(events)],
+      active,
+      secret: encryptionService.encryptField(signingSecret, SECRET_ENCRYPTION_TYPE),
+      secretHint: signingSecret.slice(-4),
+      lastDeliveryAt: null,
+      lastDeliveryStatus: null,
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await collection.insertOne(subscription);
+
+    Logger.info('Webhook subscription created', {
+      subaccountId,
+      subscriptionId: subscription.subscriptionId,
+      events: subscription.events
+    });
+
+    return { subscription, secret: signingSecret };
+  }
+
+  /**
+   * List the subscriptions of a subaccount, newest first
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @returns {Promise<Array<Object>>} Subscriptions
+   */
+  static async listSubscriptions(subaccountId, userId) {
+    const collection = await WebhookSubscriptionService.getSubscriptionsCollection(subaccountId, userId);
+    return collection.find({ subaccountId }).sort({ createdAt: -1 }).toArray();
+  }
+
+  /**
+   * Get a subscription
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} Subscription
+   */
+  static async getSubscription(subaccountId, userId, subscriptionId) {
+    const collection = await WebhookSubscriptionService.getSubscriptionsCollection(subaccountId, userId);
+    return collection.findOne({ subaccountId, subscriptionId });
+  }
+
+  /**
+   * Update a subscription
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User updating the subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} changes - { url, events, description, active, secret }
+   * @returns {Promise<Object|null>} Updated subscription
+   */
+  static async updateSubscription(subaccountId, userId, subscriptionId, { url, events, description, active, secret }) {
+    const collection = await WebhookSubscriptionService.getSubscriptionsCollection(subaccountId, userId);
+
+    const $set = { updatedAt: new Date(), updatedBy: userId };
+    if (url !== undefined) {
+      $set.url = url;
+    }
+    if (events !== undefined) {
+      $set.events = [...new Set(events)];
+    }
+    if (description !== undefined) {
+      $set.description = description || null;
+    }
+    if (active !== undefined) {
+      $set.active = active;
+    }
+    if (secret !== undefined) {
+      $set.secret = encryptionService.encryptField(secret, SECRET_ENCRYPTION_TYPE);
+      $set.secretHint = secret.slice(-4);
+    }
+
+    const result = await collection.findOneAndUpdate(
+      { subaccountId, subscriptionId },
+      { $set },
+      { returnDocument: 'after' }
+    );
+
+    return result.value;
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User deleting the subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} Deleted subscription
+   */
+  static async deleteSubscription(subaccountId, userId, subscriptionId) {
+    const collection = await WebhookSubscriptionService.getSubscriptionsCollection(subaccountId, userId);
+    const result = await collection.findOneAndDelete({ subaccountId, subscriptionId });
+
+    if (result.value) {
+      const deliveries = await WebhookSubscriptionService.getDeliveriesCollection(subaccountId, userId);
+      await deliveries.deleteMany({ subaccountId, subscriptionId });
+    }
+
+    return result.value;
+  }
+
+  /**
+   * Queue an event for every active subscription that wants it and send it.
+   * Failures are logged, never thrown, so publishing cannot break the caller.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} eventType - Activity type or lifecycle event
+   * @param {Object} data - Event data
+   * @returns {Promise<Array<Object>>} Queued deliveries
+   */
+  static async publish(subaccountId, eventType, data) {
+    try {
+      const collection = await WebhookSubscriptionService.getSubscriptionsCollection(subaccountId, 'system');
+      const subscriptions = await collection.find({
+        subaccountId,
+        active: true,
+        events: { $in: [eventType, ALL_EVENTS] }
+      }).toArray();
+
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      const event = WebhookSubscriptionService.buildEvent(subaccountId, eventType, data);
+      const deliveries = subscriptions.map(subscription => WebhookSubscriptionService.buildDelivery(subscription, event));
+
+      const deliveriesCollection = await WebhookSubscriptionService.getDeliveriesCollection(subaccountId, 'system');
+      await deliveriesCollection.insertMany(deliveries);
+      try {
+        await WebhookSubscriptionService.trackSubaccount(subaccountId);
+      } catch (error) {
+        // The first attempt still goes out; retries wait until the subaccount is tracked again
+        Logger.error('Failed to track webhook delivery subaccount', {
+          subaccountId,
+          eventType,
+          error: error.message
+        });
+      }
+
+      // First attempt right away; the worker picks up whatever this misses
+      WebhookSubscriptionService.sendDeliveries(subaccountId, deliveriesCollection, deliveries).catch(error => {
+        Logger.warn('Failed to send webhook deliveries', {
+          subaccountId,
+          eventType,
+          error: error.message
+        });
+      });
+
+      return deliveries;
+    } catch (error) {
+      Logger.warn('Failed to publish webhook event', {
+        subaccountId,
+        eventType,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Publish a logged activity
+   * @param {Object} activity - Activity document
+   * @returns {Promise<Array<Object>>} Queued deliveries
+   */
+  static async publishActivity(activity) {
+    return WebhookSubscriptionService.publish(activity.subaccountId, activity.activityType, {
+      activityType: activity.activityType,
+      category: activity.category,
+      description: activity.description,
+      metadata: activity.metadata,
+      resourceId: activity.resourceId,
+      resourceName: activity.resourceName,
+      agentId: activity.agentId,
+      userId: activity.userId,
+      operationId: activity.operationId,
+      timestamp: activity.timestamp
+    });
+  }
+
+  /**
+   * Publish call.ended with the stored call
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} call - Call document
+   * @returns {Promise<Array<Object>>} Queued deliveries
+   */
+  static async publishCallEnded(subaccountId, call) {
+    const { _id, ...callData } = call;
+    return WebhookSubscriptionService.publish(subaccountId, LIFECYCLE_EVENTS.CALL_ENDED, { call: callData });
+  }
+
+  /**
+   * Publish chat.ended with the stored chat
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} chat - Chat document
+   * @returns {Promise<Array<Object>>} Queued deliveries
+   */
+  static async publishChatEnded(subaccountId, chat) {
+    const { _id, ...chatData } = chat;
+    return WebhookSubscriptionService.publish(subaccountId, LIFECYCLE_EVENTS.CHAT_ENDED, { chat: chatData });
+  }
+
+  /**
+   * Publish meeting.booked for a meeting booked during a call or chat
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} source - { call } or { chat } the meeting was booked in
+   * @returns {Promise<Array<Object>>} Queued deliveries
+   */
+  static async publishMeetingBooked(subaccountId, { call = null, chat = null }) {
+    let meeting = null;
+    try {
+      const connectionInfo = await connectionPoolManager.getConnection(subaccountId, 'system');
+      const found = await connectionInfo.connection.db.collection('meetings').findOne(
+        call ? { call_id: call.call_id } : { chat_id: chat.chat_id },
+        { sort: { createdAt: -1 } }
+      );
+      if (found) {
+        const { _id, ...meetingData } = found;
+        meeting = { id: _id, ...meetingData };
+      }
+    } catch (error) {
+      Logger.warn('Failed to load booked meeting for webhook', {
+        subaccountId,
+        callId: call?.call_id,
+        chatId: chat?.chat_id,
+        error: error.message
+      });
+    }
+
+    return WebhookSubscriptionService.publish(subaccountId, LIFECYCLE_EVENTS.MEETING_BOOKED, {
+      meeting,
+      callId: call?.call_id || null,
+      chatId: chat?.chat_id || null,
+      agentId: call?.agent_id || chat?.agent_id || null
+    });
+  }
+
+  /**
+   * Send a test event to a subscription (one attempt, not retried)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User sending the test
+   * @param {Object} subscription - Subscription
+   * @returns {Promise<Object>} Delivery with the result of the attempt
+   */
+  static async sendTest(subaccountId, userId, subscription) {
+    const event = WebhookSubscriptionService.buildEvent(subaccountId, TEST_EVENT, {
+      subscriptionId: subscription.subscriptionId,
+      message: 'This is a test delivery',
+      triggeredBy: userId
+    });
+
+    return WebhookSubscriptionService.sendNow(subaccountId, userId, subscription, event, {
+      trigger: DELIVERY_TRIGGERS.TEST
+    });
+  }
+
+  /**
+   * Send a logged delivery again (one attempt, not retried).
+   * The event keeps its ID so receivers can ignore events they already processed.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User redelivering
+   * @param {Object} subscription - Subscription
+   * @param {Object} delivery - Original delivery
+   * @returns {Promise<Object>} New delivery with the result of the attempt
+   */
+  static async redeliver(subaccountId, userId, subscription, delivery) {
+    return WebhookSubscriptionService.sendNow(subaccountId, userId, subscription, delivery.payload, {
+      trigger: DELIVERY_TRIGGERS.REDELIVERY,
+      redeliveryOf: delivery.deliveryId
+    });
+  }
+
+  /**
+   * Log a manual delivery and attempt it while the request waits
+   */
+  static async sendNow(subaccountId, userId, subscription, event, { trigger, redeliveryOf = null }) {
+    const collection = await WebhookSubscriptionService.getDeliveriesCollection(subaccountId, userId);
+    const delivery = WebhookSubscriptionService.buildDelivery(subscription, event, {
+      trigger,
+      redeliveryOf,
+      maxAttempts: 1,
+      createdBy: userId
+    });
+
+    await collection.insertOne(delivery);
+    await WebhookSubscriptionService.claimDelivery(collection, delivery);
+
+    return WebhookSubscriptionService.attemptDelivery(subaccountId, collection, delivery);
+  }
+
+  /**
+   * List the deliveries of a subscription, newest first (payloads are left out)
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - { status, eventType, limit, skip }
+   * @returns {Promise<Object>} { deliveries, total }
+   */
+  static async listDeliveries(subaccountId, userId, subscriptionId, { status, eventType, limit = 50, skip = 0 } = {}) {
+    const collection = await WebhookSubscriptionService.getDeliveriesCollection(subaccountId, userId);
+
+    const query = { subaccountId, subscriptionId };
+    if (status) {
+      query.status = status;
+    }
+    if (eventType) {
+      query.eventType = eventType;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      collection.find(query, { projection: { payload: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return { deliveries, total };
+  }
+
+  /**
+   * Get a delivery
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} userId - User ID making the request
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Delivery
+   */
+  static async getDelivery(subaccountId, userId, subscriptionId, deliveryId) {
+    const collection = await WebhookSubscriptionService.getDeliveriesCollection(subaccountId, userId);
+    return collection.findOne({ subaccountId, subscriptionId, deliveryId });
+  }
+
+  /**
+   * Build the event envelope sent to subscribers
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event data
+   * @returns {Object} Event
+   */
+  static buildEvent(subaccountId, eventType, data) {
+    return {
+      id: uuidv4(),
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      subaccountId,
+      data
+    };
+  }
+
+  /**
+   * Build a delivery log entry
+   * @param {Object} subscription - Subscription
+   * @param {Object} event - Event
+   * @param {Object} [options] - { trigger, redeliveryOf, maxAttempts, createdBy }
+   * @returns {Object} Delivery
+   */
+  static buildDelivery(subscription, event, {
+    trigger = DELIVERY_TRIGGERS.EVENT,
+    redeliveryOf = null,
+    maxAttempts = config.webhookSubscriptions.maxAttempts,
+    createdBy = 'system'
+  } = {}) {
+    const now = new Date();
+
+    return {
+      deliveryId: uuidv4(),
+      subaccountId: subscription.subaccountId,
+      subscriptionId: subscription.subscriptionId,
+      eventId: event.id,
+      eventType: event.type,
+      payload: event,
+      trigger,
+      redeliveryOf,
+      status: DELIVERY_STATUSES.PENDING,
+      attemptCount: 0,
+      maxAttempts,
+      attempts: [],
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      responseStatus: null,
+      lastError: null,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+  }
+
+  /**
+   * Calculate when a failed delivery is retried
+   * @param {number} attemptCount - Attempts made so far (1 after the first attempt)
+   * @param {Date} [from] - Base time (default: now)
+   * @returns {Date} Time of the next attempt
+   */
+  static calculateNextAttemptAt(attemptCount, from = new Date()) {
+    const { backoffSeconds, backoffMultiplier, maxBackoffSeconds } = config.webhookSubscriptions;
+    const delaySeconds = Math.min(
+      backoffSeconds * Math.pow(backoffMultiplier, Math.max(attemptCount - 1, 0)),
+      maxBackoffSeconds
+    );
+    return new Date(from.getTime() + delaySeconds * 1000);
+  }
+
+  /**
+   * Mark a pending delivery as being sent. Only one worker instance may send a delivery.
+   * @param {Object} collection - webhook_deliveries collection
+   * @param {Object} delivery - Delivery
+   * @returns {Promise<boolean>} True if this process claimed the delivery
+   */
+  static async claimDelivery(collection, delivery) {
+    const claim = await collection.updateOne(
+      { subaccountId: delivery.subaccountId, deliveryId: delivery.deliveryId, status: DELIVERY_STATUSES.PENDING },
+      { $set: { status: DELIVERY_STATUSES.DELIVERING, deliveringSince: new Date(), updatedAt: new Date() } }
+    );
+    return claim.modifiedCount > 0;
+  }
+
+  /**
+   * Claim and send deliveries one after the other
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} collection - webhook_deliveries collection
+   * @param {Array<Object>} deliveries - Pending deliveries
+   * @returns {Promise<number>} Number of deliveries sent
+   */
+  static async sendDeliveries(subaccountId, collection, deliveries) {
+    let sent = 0;
+
+    for (const delivery of deliveries) {
+      if (await WebhookSubscriptionService.claimDelivery(collection, delivery)) {
+        await WebhookSubscriptionService.attemptDelivery(subaccountId, collection, delivery);
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send a claimed delivery and record the outcome.
+   * Any 2xx response counts as delivered. Other responses and network errors are retried
+   * until the delivery's maxAttempts is reached.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {Object} collection - webhook_deliveries collection
+   * @param {Object} delivery - Claimed delivery
+   * @returns {Promise<Object>} Updated delivery
+   */
+  static async attemptDelivery(subaccountId, collection, delivery) {
+    const subscriptions = await WebhookSubscriptionService.getSubscriptionsCollection(subaccountId, 'system');
+    const subscription = await subscriptions.findOne({ subaccountId, subscriptionId: delivery.subscriptionId });
+    const attemptNumber = delivery.attemptCount + 1;
+    const attemptedAt = new Date();
+
+    const attempt = {
+      attempt: attemptNumber,
+      at: attemptedAt,
+      url: subscription?.url || null,
+      statusCode: null,
+      durationMs: 0,
+      error: null
+    };
+
+    // Test and manual deliveries are also sent to paused subscriptions
+    if (!subscription || (!subscription.active && delivery.trigger === DELIVERY_TRIGGERS.EVENT)) {
+      attempt.error = subscription ? 'subscription_inactive' : 'subscription_deleted';
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+      const secret = encryptionService.decryptField(
+        subscription.secret.encrypted,
+        subscription.secret.iv,
+        subscription.secret.authTag,
+        SECRET_ENCRYPTION_TYPE
+      );
+
+      try {
+        // The host is checked again at send time: its DNS may have changed since the subscription was saved
+        await assertPublicUrl(subscription.url, { requireHttps: config.webhookSubscriptions.requireHttps });
+
+        const response = await axios.post(subscription.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': config.webhookSubscriptions.userAgent,
+            'X-ScalAI-Event': delivery.eventType,
+            'X-ScalAI-Delivery': delivery.deliveryId,
+            'X-ScalAI-Timestamp': String(timestamp),
+            'X-ScalAI-Signature': signWebhookPayload(body, timestamp, secret)
+          },
+          timeout: config.webhookSubscriptions.requestTimeoutMs,
+          // Every address the host resolves to when connecting must be public
+          lookup: publicLookup,
+          maxRedirects: 0,
+          // The response body is not read; only the status is logged
+          responseType: 'stream',
+          validateStatus: () => true
+        });
+
+        response.data.destroy();
+        attempt.statusCode = response.status;
+        if (response.status < 200 || response.status >= 300) {
+          attempt.error = `HTTP ${response.status}`;
+        }
+      } catch (error) {
+        attempt.error = error.code || error.message;
+      }
+
+      attempt.durationMs = Date.now() - attemptedAt.getTime();
+    }
+
+    const succeeded = !attempt.error;
+    const canRetry = !succeeded && subscription?.active && attemptNumber < delivery.maxAttempts;
+
+    let status = DELIVERY_STATUSES.FAILED;
+    if (succeeded) {
+      status = DELIVERY_STATUSES.SUCCEEDED;
+    } else if (canRetry) {
+      status = DELIVERY_STATUSES.PENDING;
+    }
+
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { subaccountId, deliveryId: delivery.deliveryId, status: DELIVERY_STATUSES.DELIVERING },
+      {
+        $set: {
+          status,
+          attemptCount: attemptNumber,
+          lastAttemptAt: attemptedAt,
+          nextAttemptAt: canRetry ? WebhookSubscriptionService.calculateNextAttemptAt(attemptNumber, now) : null,
+          responseStatus: attempt.statusCode,
+          lastError: attempt.error,
+          completedAt: canRetry ? null : now,
+          updatedAt: now
+        },
+        $unset: { deliveringSince: '' },
+        $push: { attempts: attempt }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (subscription) {
+      await subscriptions.updateOne(
+        { subaccountId, subscriptionId: subscription.subscriptionId },
+        { $set: { lastDeliveryAt: attemptedAt, lastDeliveryStatus: status } }
+      );
+    }
+
+    const logContext = {
+      subaccountId,
+      subscriptionId: delivery.subscriptionId,
+      deliveryId: delivery.deliveryId,
+      eventType: delivery.eventType,
+      attempt: attemptNumber,
+      statusCode: attempt.statusCode
+    };
+    if (succeeded) {
+      Logger.info('Webhook delivered', logContext);
+    } else {
+      Logger.warn('Webhook delivery failed', { ...logContext, error: attempt.error, willRetry: canRetry });
+    }
+
+    return result.value;
+  }
+
+  /**
+   * Start the cron worker that retries due deliveries
+   * @returns {boolean} True if the worker was started
+   */
+  static startWorker() {
+    if (!config.webhookSubscriptions.workerEnabled) {
+      Logger.info('Webhook delivery worker disabled');
+      return false;
+    }
+    if (workerTask) {
+      return true;
+    }
+
+    workerTask = cron.schedule(config.webhookSubscriptions.cronExpression, () => {
+      WebhookSubscriptionService.processDueDeliveries().catch(error => {
+        Logger.error('Webhook delivery worker run failed', { error: error.message });
+      });
+    });
+
+    Logger.info('Webhook delivery worker started', {
+      cronExpression: config.webhookSubscriptions.cronExpression
+    });
+    return true;
+  }
+
+  /**
+   * Stop the cron worker
+   */
+  static stopWorker() {
+    if (workerTask) {
+      workerTask.stop();
+      workerTask = null;
+      Logger.info('Webhook delivery worker stopped');
+    }
+  }
+
+  /**
+   * Send due deliveries of every subaccount that has pending deliveries.
+   * Runs are skipped while a previous run is still in progress.
+   * @returns {Promise<Object>} { subaccounts, sent } counters
+   */
+  static async processDueDeliveries() {
+    if (isProcessing) {
+      return { subaccounts: 0, sent: 0, skipped: true };
+    }
+    isProcessing = true;
+
+    let sent = 0;
+    let subaccounts = [];
+
+    try {
+      if (!legacyIndexImported) {
+        await SubaccountIndexService.importRedisSet(WORKER_NAME, LEGACY_SUBACCOUNT_INDEX_KEY);
+        legacyIndexImported = true;
+      }
+
+      subaccounts = await WebhookSubscriptionService.getTrackedSubaccounts();
+
+      for (const { subaccountId, generation } of subaccounts) {
+        try {
+          sent += await WebhookSubscriptionService.processSubaccount(subaccountId, generation);
+        } catch (error) {
+          Logger.error('Failed to process webhook deliveries', {
+            subaccountId,
+            error: error.message
+          });
+        }
+      }
+    } finally {
+      isProcessing = false;
+    }
+
+    if (sent > 0) {
+      Logger.info('Webhook delivery worker run finished', {
+        subaccounts: subaccounts.length,
+        sent
+      });
+    }
+
+    return { subaccounts: subaccounts.length, sent, skipped: false };
+  }
+
+  /**
+   * Requeue interrupted deliveries, then send the due deliveries of a subaccount
+   * @param {string} subaccountId - Subaccount ID
+   * @param {number} [generation] - Index generation read by the worker; the subaccount
+   *   leaves the index when it has no open deliveries and was not tracked again since
+   * @returns {Promise<number>} Number of deliveries sent
+   */
+  static async processSubaccount(subaccountId, generation = null) {
+    const collection = await WebhookSubscriptionService.getDeliveriesCollection(subaccountId, 'system');
+    const now = new Date();
+
+    // The process sending these stopped before recording a result; send them again
+    const interrupted = await collection.updateMany(
+      {
+        subaccountId,
+        status: DELIVERY_STATUSES.DELIVERING,
+        deliveringSince: { $lt: new Date(now.getTime() - config.webhookSubscriptions.deliveringTimeoutMs) }
+      },
+      {
+        $set: { status: DELIVERY_STATUSES.PENDING, nextAttemptAt: now, lastError: 'delivery_interrupted', updatedAt: now },
+        $unset: { deliveringSince: '' }
+      }
+    );
+    if (interrupted.modifiedCount > 0) {
+      Logger.warn('Requeued interrupted webhook deliveries', {
+        subaccountId,
+        count: interrupted.modifiedCount
+      });
+    }
+
+    const dueDeliveries = await collection.find({
+      subaccountId,
+      status: DELIVERY_STATUSES.PENDING,
+      nextAttemptAt: { $lte: now }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(config.webhookSubscriptions.batchSize)
+      .toArray();
+
+    const sent = await WebhookSubscriptionService.sendDeliveries(subaccountId, collection, dueDeliveries);
+
+    const openCount = await collection.countDocuments({
+      subaccountId,
+      status: { $in: [DELIVERY_STATUSES.PENDING, DELIVERY_STATUSES.DELIVERING] }
+    });
+    if (openCount === 0 && generation !== null) {
+      await WebhookSubscriptionService.untrackSubaccount(subaccountId, generation);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Add a subaccount to the worker's index
+   * @param {string} subaccountId - Subaccount ID
+   */
+  static async trackSubaccount(subaccountId) {
+    await SubaccountIndexService.track(WORKER_NAME, subaccountId);
+  }
+
+  /**
+   * Remove a subaccount without open deliveries from the worker's index
+   * @param {string} subaccountId - Subaccount ID
+   * @param {number} generation - Index generation read by the worker
+   */
+  static async untrackSubaccount(subaccountId, generation) {
+    try {
+      await SubaccountIndexService.untrack(WORKER_NAME, subaccountId, generation);
+    } catch (error) {
+      Logger.warn('Failed to untrack webhook delivery subaccount', {
+        subaccountId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the subaccounts with open deliveries
+   * @returns {Promise<Array>} [{ subaccountId, generation }]
+   */
+  static async getTrackedSubaccounts() {
+    return SubaccountIndexService.list(WORKER_NAME);
+  }
+
+  /**
+   * Format a stored subscription for API responses (the secret is never returned)
+   * @param {Object} subscription - Stored subscription
+   * @returns {Object} Formatted subscription
+   */
+  static formatSubscription(subscription) {
+    return {
+      subscriptionId: subscription.subscriptionId,
+      url: subscription.url,
+      description: subscription.description || null,
+      events: subscription.events,
+      active: subscription.active,
+      secretHint: subscription.secretHint,
+      lastDeliveryAt: subscription.lastDeliveryAt || null,
+      lastDeliveryStatus: subscription.lastDeliveryStatus || null,
+      createdBy: subscription.createdBy,
+      createdAt: subscription.createdAt,
+      updatedAt: subscription.updatedAt
+    };
+  }
+
+  /**
+   * Format a stored delivery for API responses
+   * @param {Object} delivery - Stored delivery
+   * @returns {Object} Formatted delivery
+   */
+  static formatDelivery(delivery) {
+    return {
+      deliveryId: delivery.deliveryId,
+      subscriptionId: delivery.subscriptionId,
+      eventId: delivery.eventId,
+      eventType: delivery.eventType,
+      trigger: delivery.trigger,
+      status: delivery.status,
+      attemptCount: delivery.attemptCount,
+      maxAttempts: delivery.maxAttempts,
+      nextAttemptAt: delivery.nextAttemptAt || null,
+      lastAttemptAt: delivery.lastAttemptAt || null,
+      responseStatus: delivery.responseStatus ?? null,
+      lastError: delivery.lastError || null,
+      redeliveryOf: delivery.redeliveryOf || null,
+      // Response bodies stored by older versions are not returned
+      attempts: (delivery.attempts || []).map(({ responseBody, ...attempt }) => attempt),
+      ...(delivery.payload && { payload: delivery.payload }),
+      createdBy: delivery.createdBy,
+      createdAt: delivery.createdAt,
+      completedAt: delivery.completedAt || null
+    };
+  }
+}
+
+module.exports = WebhookSubscriptionService;
+module.exports.LIFECYCLE_EVENTS = LIFECYCLE_EVENTS;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.ALL_EVENTS = ALL_EVENTS;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
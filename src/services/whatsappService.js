@@ -1,7 +1,26 @@
 const WhatsAppConnector = require('../connectors/WhatsAppConnector');
+const WhatsAppCloudConnector = require('../connectors/WhatsAppCloudConnector');
 const Logger = require('../utils/logger');
+const config = require('../../config/config');
 const connectionPoolManager = require('./connectionPoolManager');
 const redisService = require('./redisService');
+const encryptionService = require('./encryptionService');
+const SuppressionService = require('./suppressionService');
+const { CHANNELS } = SuppressionService;
+const ContactService = require('./contactService');
+const ChatMediaService = require('./chatMediaService');
+const { DIRECTIONS } = ChatMediaService;
+const HandoffService = require('./handoffService');
+const { MODES: HANDOFF_MODES, SOURCES: HANDOFF_SOURCES } = HandoffService;
+const MetaWebhookService = require('./metaWebhookService');
+const { CHANNELS: META_CHANNELS } = MetaWebhookService;
+const { assertPublicUrl } = require('../utils/networkGuard');
+
+// Connector implementation used by a chat agent (stored as `provider` on whatsappconnections)
+const PROVIDERS = {
+  WEB: 'web', // whatsapp-web.js with QR login
+  CLOUD_API: 'cloud_api' // WhatsApp Business Cloud API
+};
 
 /**
  * WhatsApp Service
@@ -15,9 +34,11 @@ class WhatsAppService {
 
   /**
    * Get or create WhatsApp connector for a subaccount/agent
-   * If forceNew is true, it will clean up any existing connector and session files first
+   * If forceNew is true, it will clean up any existing connector and session files first.
+   * The connector class follows the agent's stored provider unless options.provider is given
+   * (options.cloudConfig then holds { phoneNumberId, accessToken, businessAccountId }).
    */
-  async getConnector(subaccountId, agentId, userId, forceNew = false) {
+  async getConnector(subaccountId, agentId, userId, forceNew = false, options = {}) {
     try {
       const sessionId = `${subaccountId}_${agentId}`;
 
@@ -71,11 +92,7 @@ class WhatsAppService {
       }
 
       // Create new connector
-      const connector = new WhatsAppConnector({
-        subaccountId,
-        agentId,
-        sessionId
-      });
+      const connector = await this.createConnector(subaccountId, agentId, userId, sessionId, options);
 
       // Store in active connectors
       this.activeConnectors.set(sessionId, connector);
@@ -98,6 +115,309 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Create the connector implementation selected for a chat agent
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} userId - User ID making the request
+   * @param {string} sessionId - Connector session ID
+   * @param {Object} options - { provider, cloudConfig } overriding the stored connection
+   * @returns {Promise<Object>} WhatsAppConnector or WhatsAppCloudConnector
+   */
+  async createConnector(subaccountId, agentId, userId, sessionId, options = {}) {
+    let provider = options.provider;
+    let cloudConfig = options.cloudConfig || null;
+
+    if (!provider) {
+      const connectionRecord = await this.getConnectionRecord(subaccountId, agentId, userId);
+      provider = connectionRecord?.provider || PROVIDERS.WEB;
+      if (provider === PROVIDERS.CLOUD_API) {
+        cloudConfig = this.readCloudConfig(connectionRecord);
+      }
+    }
+
+    if (provider === PROVIDERS.CLOUD_API) {
+      return new WhatsAppCloudConnector({
+        subaccountId,
+        agentId,
+        sessionId,
+        ...cloudConfig
+      });
+    }
+
+    return new WhatsAppConnector({
+      subaccountId,
+      agentId,
+      sessionId
+    });
+  }
+
+  /**
+   * Get the stored whatsappconnections record of an agent
+   * @returns {Promise<Object|null>} Connection record
+   */
+  async getConnectionRecord(subaccountId, agentId, userId = 'whatsapp-service') {
+    const connectionInfo = await connectionPoolManager.getConnection(subaccountId, userId);
+    return connectionInfo.connection.db.collection('whatsappconnections').findOne({ subaccountId, agentId });
+  }
+
+  /**
+   * Read the Cloud API credentials of a connection record (the access token is stored encrypted)
+   * @param {Object} connectionRecord - whatsappconnections record
+   * @returns {Object} { phoneNumberId, businessAccountId, accessToken, displayPhoneNumber }
+   */
+  readCloudConfig(connectionRecord) {
+    const cloudApi = connectionRecord?.cloudApi || {};
+    const token = cloudApi.accessToken;
+
+    return {
+      phoneNumberId: cloudApi.phoneNumberId || null,
+      businessAccountId: cloudApi.businessAccountId || null,
+      displayPhoneNumber: connectionRecord?.phoneNumber || null,
+      accessToken: token
+        ? encryptionService.decryptField(token.encrypted, token.iv, token.authTag, 'whatsapp_cloud')
+        : null
+    };
+  }
+
+  /**
+   * Connect a chat agent to the WhatsApp Business Cloud API
+   * Replaces any existing connector of the agent (including a whatsapp-web.js session).
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} userId - User ID making the request
+   * @param {Object} cloudConfig - { phoneNumberId, accessToken, businessAccountId }
+   * @returns {Promise<Object>} Connection status
+   */
+  async initializeCloudConnection(subaccountId, agentId, userId, cloudConfig) {
+    try {
+      Logger.info('Initializing WhatsApp Cloud API connection', {
+        subaccountId,
+        agentId,
+        userId,
+        phoneNumberId: cloudConfig.phoneNumberId
+      });
+
+      const sessionId = `${subaccountId}_${agentId}`;
+      const existingConnector = this.activeConnectors.get(sessionId);
+
+      const connector = new WhatsAppCloudConnector({
+        subaccountId,
+        agentId,
+        sessionId,
+        ...cloudConfig
+      });
+
+      // Verifies the phone number ID and token before anything is replaced
+      await connector.initialize();
+
+      if (existingConnector) {
+        try {
+          await existingConnector.disconnect();
+        } catch (error) {
+          Logger.warn('Error disconnecting existing connector', {
+            error: error.message,
+            sessionId
+          });
+        }
+        if (existingConnector.provider !== PROVIDERS.CLOUD_API) {
+          await this.cleanupSessionFiles(sessionId);
+        }
+      }
+
+      await connector.onMessage(async (message) => {
+        await this.handleIncomingMessage(subaccountId, agentId, message, connector);
+      });
+      this.activeConnectors.set(sessionId, connector);
+
+      const status = (await connector.getConnectionStatus()).data;
+
+      await this.storeConnectionInfo(subaccountId, agentId, userId, {
+        status: 'connected',
+        provider: PROVIDERS.CLOUD_API,
+        phoneNumber: status.phoneNumber,
+        pushname: status.pushname,
+        platform: status.platform,
+        qrGenerated: false,
+        connectedAt: new Date(),
+        cloudApi: {
+          phoneNumberId: cloudConfig.phoneNumberId,
+          businessAccountId: cloudConfig.businessAccountId || null,
+          accessToken: encryptionService.encryptField(cloudConfig.accessToken, 'whatsapp_cloud')
+        }
+      });
+      await this.registerPhoneNumberRoute(cloudConfig.phoneNumberId, subaccountId, agentId);
+
+      return connector.formatSuccess({
+        ...status,
+        message: 'WhatsApp Cloud API connected'
+      }, 'connect');
+    } catch (error) {
+      Logger.error('Error initializing WhatsApp Cloud API connection', {
+        error: error.message,
+        subaccountId,
+        agentId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active Cloud API connector of an agent, restoring it from the stored
+   * connection after a restart
+   * @returns {Promise<Object|null>} Connector, or null if the agent does not use the Cloud API
+   */
+  async ensureCloudConnector(subaccountId, agentId) {
+    const sessionId = `${subaccountId}_${agentId}`;
+    const activeConnector = this.activeConnectors.get(sessionId);
+
+    if (activeConnector?.provider === PROVIDERS.CLOUD_API && activeConnector.isConnected) {
+      return activeConnector;
+    }
+
+    const connectionRecord = await this.getConnectionRecord(subaccountId, agentId);
+    if (connectionRecord?.provider !== PROVIDERS.CLOUD_API || connectionRecord.status !== 'connected') {
+      return null;
+    }
+
+    const connector = new WhatsAppCloudConnector({
+      subaccountId,
+      agentId,
+      sessionId,
+      ...this.readCloudConfig(connectionRecord)
+    });
+
+    // The credentials were verified when the agent was connected
+    await connector.initialize({ verify: false });
+    await connector.onMessage(async (message) => {
+      await this.handleIncomingMessage(subaccountId, agentId, message, connector);
+    });
+    this.activeConnectors.set(sessionId, connector);
+
+    Logger.info('Restored WhatsApp Cloud API connector', {
+      sessionId,
+      subaccountId,
+      agentId
+    });
+
+    return connector;
+  }
+
+  /**
+   * Process a webhook delivery from Meta's app-level WhatsApp webhook.
+   * Each "messages" change is routed by its phone number ID.
+   * @param {Object} payload - Webhook body ({ object: 'whatsapp_business_account', entry: [...] })
+   * @returns {Promise<Object>} { routed, unrouted, failed }
+   */
+  async processCloudWebhook(payload) {
+    const result = { routed: 0, unrouted: 0, failed: 0 };
+    const entries = Array.isArray(payload?.entry) ? payload.entry : [];
+
+    for (const entry of entries) {
+      for (const change of entry?.changes || []) {
+        if (change.field !== 'messages') {
+          continue;
+        }
+
+        const phoneNumberId = change.value?.metadata?.phone_number_id || null;
+        const route = phoneNumberId ? await this.resolvePhoneNumberRoute(phoneNumberId) : null;
+
+        if (!route) {
+          Logger.warn('Received WhatsApp webhook for unknown phone number', {
+            phoneNumberId
+          });
+          result.unrouted++;
+          continue;
+        }
+
+        try {
+          const connector = await this.ensureCloudConnector(route.subaccountId, route.agentId);
+          if (!connector) {
+            Logger.warn('WhatsApp webhook routed to an agent without a Cloud API connection', {
+              phoneNumberId,
+              ...route
+            });
+            result.unrouted++;
+            continue;
+          }
+
+          await connector.processWebhookValue(change.value);
+          result.routed++;
+        } catch (error) {
+          Logger.error('Error processing WhatsApp webhook', {
+            error: error.message,
+            phoneNumberId,
+            ...route
+          });
+          result.failed++;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Map a Cloud API phone number ID to the subaccount/agent it is connected to
+   */
+  async registerPhoneNumberRoute(phoneNumberId, subaccountId, agentId) {
+    try {
+      await MetaWebhookService.registerRoute(META_CHANNELS.WHATSAPP, phoneNumberId, subaccountId, agentId);
+    } catch (error) {
+      Logger.error('Failed to store WhatsApp phone number route', {
+        phoneNumberId,
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a phone number route if it still points to the given subaccount/agent
+   */
+  async unregisterPhoneNumberRoute(phoneNumberId, subaccountId, agentId) {
+    try {
+      await MetaWebhookService.unregisterRoute(META_CHANNELS.WHATSAPP, phoneNumberId, subaccountId, agentId);
+    } catch (error) {
+      Logger.warn('Failed to remove WhatsApp phone number route', {
+        phoneNumberId,
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Find the subaccount/agent connected to a Cloud API phone number ID
+   * @returns {Promise<Object|null>} { subaccountId, agentId }
+   */
+  async resolvePhoneNumberRoute(phoneNumberId) {
+    try {
+      const route = await MetaWebhookService.resolveRoute(META_CHANNELS.WHATSAPP, phoneNumberId);
+      if (route) {
+        return route;
+      }
+    } catch (error) {
+      Logger.warn('Failed to read WhatsApp phone number route', {
+        phoneNumberId,
+        error: error.message
+      });
+    }
+
+    for (const connector of this.activeConnectors.values()) {
+      if (connector.provider === PROVIDERS.CLOUD_API && connector.phoneNumberId === phoneNumberId) {
+        return {
+          subaccountId: connector.config.subaccountId,
+          agentId: connector.config.agentId
+        };
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Initialize WhatsApp connection and generate QR code
    */
@@ -533,6 +853,12 @@ class WhatsAppService {
 
       let clientDisconnected = false;
 
+      // Cloud API webhooks for this number must no longer reach the agent
+      const connectionRecord = await connection.db.collection('whatsappconnections').findOne({ subaccountId, agentId });
+      if (connectionRecord?.cloudApi?.phoneNumberId) {
+        await this.unregisterPhoneNumberRoute(connectionRecord.cloudApi.phoneNumberId, subaccountId, agentId);
+      }
+
       // Disconnect the WhatsApp client if it exists
       if (this.activeConnectors.has(sessionId)) {
         const connector = this.activeConnectors.get(sessionId);
@@ -803,11 +1129,25 @@ class WhatsAppService {
 
   /**
    * Send WhatsApp message
+   * Recipients on the suppression list are rejected with code RECIPIENT_SUPPRESSED.
+   * options.userId and options.operationId are used for the blocked-attempt activity.
    */
   async sendMessage(subaccountId, agentId, to, message, options = {}) {
     try {
+      const { userId = 'system', operationId = null, ...sendOptions } = options;
       const sessionId = `${subaccountId}_${agentId}`;
 
+      await SuppressionService.assertNotSuppressed(subaccountId, CHANNELS.WHATSAPP, to, {
+        userId,
+        agentId,
+        operationId
+      });
+
+      // Cloud API connectors are stateless and can be restored after a restart
+      if (!this.activeConnectors.has(sessionId)) {
+        await this.ensureCloudConnector(subaccountId, agentId);
+      }
+
       if (!this.activeConnectors.has(sessionId)) {
         throw new Error('WhatsApp not connected. Please connect first.');
       }
@@ -818,7 +1158,7 @@ class WhatsAppService {
         throw new Error('WhatsApp is not connected');
       }
 
-      const result = await connector.sendMessage(to, message, options);
+      const result = await connector.sendMessage(to, message, sendOptions);
 
       return result;
     } catch (error) {
@@ -832,6 +1172,223 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Send an approved template message (WhatsApp Cloud API only)
+   * Templates may be sent outside the 24-hour session window.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} to - Recipient phone number
+   * @param {Object} template - { name, language, components }
+   * @param {Object} options - { userId, operationId } for the blocked-attempt activity
+   */
+  async sendTemplate(subaccountId, agentId, to, template, options = {}) {
+    try {
+      const { userId = 'system', operationId = null } = options;
+
+      await SuppressionService.assertNotSuppressed(subaccountId, CHANNELS.WHATSAPP, to, {
+        userId,
+        agentId,
+        operationId
+      });
+
+      const connector = await this.ensureCloudConnector(subaccountId, agentId);
+      if (!connector) {
+        const error = new Error('Template messages require a WhatsApp Cloud API connection');
+        error.code = 'TEMPLATES_NOT_SUPPORTED';
+        throw error;
+      }
+
+      return await connector.sendTemplate(to, template);
+    } catch (error) {
+      Logger.error('Error sending WhatsApp template', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        to
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a media message (image, voice note, document, ...)
+   * Uploaded files are stored in the chat media bucket; every send is recorded on the
+   * contact's ongoing chat session.
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} to - Recipient phone number
+   * @param {Object} media - { buffer, mimeType, filename } or { url, filename }
+   * @param {Object} options - { caption, kind, userId, operationId }
+   */
+  async sendMedia(subaccountId, agentId, to, media, options = {}) {
+    try {
+      const { userId = 'system', operationId = null, caption = null } = options;
+      const kind = options.kind || ChatMediaService.resolveKind(media);
+      const sessionId = `${subaccountId}_${agentId}`;
+
+      await SuppressionService.assertNotSuppressed(subaccountId, CHANNELS.WHATSAPP, to, {
+        userId,
+        agentId,
+        operationId
+      });
+
+      if (!this.activeConnectors.has(sessionId)) {
+        await this.ensureCloudConnector(subaccountId, agentId);
+      }
+
+      const connector = this.activeConnectors.get(sessionId);
+      if (!connector || !connector.isConnected) {
+        throw new Error('WhatsApp not connected. Please connect first.');
+      }
+
+      if (media.url) {
+        await assertPublicUrl(media.url);
+      }
+
+      const result = await connector.sendMedia(to, media, { caption, kind });
+      if (!result.success) {
+        const error = new Error(result.error);
+        error.code = result.code;
+        throw error;
+      }
+
+      const phoneNumber = WhatsAppCloudConnector.toWaId(to);
+      const entry = {
+        direction: DIRECTIONS.OUTBOUND,
+        kind,
+        caption,
+        filename: media.filename || null,
+        url: media.url || null,
+        messageId: result.data.messageId,
+        sentBy: userId
+      };
+
+      if (media.buffer) {
+        const record = await ChatMediaService.storeMedia(subaccountId, userId, { ...media, kind }, {
+          channel: CHANNELS.WHATSAPP,
+          agentId,
+          direction: DIRECTIONS.OUTBOUND,
+          contactId: phoneNumber,
+          messageId: result.data.messageId,
+          caption
+        });
+        Object.assign(entry, record);
+      }
+
+      await this.recordChatMedia(subaccountId, agentId, phoneNumber, entry);
+
+      return {
+        ...result,
+        data: {
+          ...result.data,
+          mediaId: entry.mediaId || null,
+          mediaUrl: entry.mediaId ? ChatMediaService.mediaUrl(subaccountId, entry.mediaId) : entry.url
+        }
+      };
+    } catch (error) {
+      Logger.error('Error sending WhatsApp media', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        to
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Download, store and (for voice notes) transcribe the media of an incoming message
+   * @returns {Promise<Object|null>} Media record, or null if it could not be stored
+   */
+  async ingestIncomingMedia(subaccountId, agentId, phoneNumber, message, connector) {
+    try {
+      const mediaConnector = connector || this.activeConnectors.get(`${subaccountId}_${agentId}`);
+      const media = mediaConnector ? await mediaConnector.downloadMedia(message) : null;
+
+      if (!media) {
+        Logger.warn('WhatsApp media could not be downloaded', {
+          subaccountId,
+          agentId,
+          messageId: message.id._serialized,
+          type: message.type
+        });
+        return null;
+      }
+
+      return await ChatMediaService.ingestIncoming(subaccountId, 'whatsapp-service', {
+        ...media,
+        kind: ChatMediaService.resolveKind({ type: message.type, ...media })
+      }, {
+        channel: CHANNELS.WHATSAPP,
+        agentId,
+        contactId: phoneNumber,
+        messageId: message.id._serialized,
+        caption: message.body || null
+      });
+    } catch (error) {
+      Logger.error('Error downloading WhatsApp media', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        messageId: message.id._serialized
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Send an attachment the chat agent linked in its reply and record it on the chat
+   */
+  async sendReplyAttachment(subaccountId, agentId, connector, to, attachment) {
+    try {
+      await assertPublicUrl(attachment.url);
+      const result = await connector.sendMedia(to, { url: attachment.url }, {
+        caption: attachment.caption,
+        kind: attachment.kind
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await this.recordChatMedia(subaccountId, agentId, to.replace('@c.us', ''), {
+        direction: DIRECTIONS.OUTBOUND,
+        kind: attachment.kind,
+        caption: attachment.caption,
+        url: attachment.url,
+        messageId: result.data.messageId,
+        sentBy: 'agent'
+      });
+    } catch (error) {
+      Logger.error('Failed to send chat agent attachment', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        url: attachment.url
+      });
+    }
+  }
+
+  /**
+   * Add a media entry to the contact's ongoing chat session
+   */
+  async recordChatMedia(subaccountId, agentId, phoneNumber, entry) {
+    try {
+      await ChatMediaService.attachToChat(subaccountId, 'whatsapp-service', {
+        agent_id: agentId,
+        'metadata.whatsapp_phone': phoneNumber,
+        chat_status: 'ongoing'
+      }, entry);
+    } catch (error) {
+      Logger.error('Failed to record chat media', {
+        error: error.message,
+        subaccountId,
+        agentId,
+        mediaId: entry.mediaId
+      });
+    }
+  }
+
   /**
    * Handle incoming WhatsApp message and forward to chat agent
    * @param {string} subaccountId - Subaccount ID
@@ -894,6 +1451,27 @@ class WhatsAppService {
         return;
       }
 
+      // Opt-out requests go to the suppression list instead of the chat agent
+      if (await this.handleOptOutKeywords(subaccountId, agentId, phoneNumber, message)) {
+        return;
+      }
+
+      await ContactService.recordWhatsAppContact(subaccountId, phoneNumber, contactInfo);
+
+      // Media is stored and described to the agent; the placeholder stays if that fails
+      let media = null;
+      if (message.hasMedia) {
+        media = await this.ingestIncomingMedia(subaccountId, agentId, phoneNumber, message, connector);
+        if (media) {
+          messageContent = ChatMediaService.buildAgentContent(media, message.body);
+        }
+      }
+
+      // Conversations handled by a person are not sent to the chat agent
+      if (await this.applyHandoff(subaccountId, agentId, phoneNumber, message, { messageContent, media, contactInfo, connector })) {
+        return;
+      }
+
       Logger.debug('Forwarding message to chat agent', {
         subaccountId,
         agentId,
@@ -911,6 +1489,19 @@ class WhatsAppService {
         contactInfo
       );
 
+      if (media) {
+        await this.recordChatMedia(subaccountId, agentId, phoneNumber, { ...media, sentBy: 'contact' });
+      }
+
+      // The agent called a handoff tool: its reply (or the acknowledgement) is the last bot message
+      if (agentResponse.handoff) {
+        await HandoffService.escalate(subaccountId, agentResponse.chatId, {
+          source: HANDOFF_SOURCES.AGENT_TOOL,
+          reason: agentResponse.handoff.reason || agentResponse.handoff.name
+        });
+        agentResponse.reply = agentResponse.reply || config.chatHandoff.acknowledgement;
+      }
+
       Logger.debug('Received response from chat agent', {
         subaccountId,
         agentId,
@@ -992,15 +1583,26 @@ class WhatsAppService {
           connectorConnected: connector.isConnected
         });
         
+        // Attachments the agent links as ![caption](url) are sent as media messages
+        const { text: replyText, attachments } = ChatMediaService.extractReplyAttachments(agentResponse.reply);
+
         // Use connector directly instead of sendMessage method
-        const sendResult = await connector.sendMessage(message.from, agentResponse.reply);
+        let sendResult = null;
+        if (replyText) {
+          sendResult = await connector.sendMessage(message.from, replyText);
+        }
+
+        for (const attachment of attachments) {
+          await this.sendReplyAttachment(subaccountId, agentId, connector, message.from, attachment);
+        }
         
         Logger.info('Chat agent response sent via WhatsApp', {
           subaccountId,
           agentId,
           to: message.from,
           replyLength: agentResponse.reply.length,
-          messageId: sendResult.data?.messageId
+          attachmentCount: attachments.length,
+          messageId: sendResult?.data?.messageId
         });
       } else {
         Logger.warn('No reply from chat agent or reply is empty', {
@@ -1057,6 +1659,144 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Keep the message for the team while a person handles the conversation, and
+   * escalate when the contact asks for one
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} message - WhatsApp message object
+   * @param {Object} context - { messageContent, media, contactInfo, connector }
+   * @returns {Promise<boolean>} True if the message must not be forwarded to the agent
+   */
+  async applyHandoff(subaccountId, agentId, phoneNumber, message, { messageContent, media, contactInfo, connector }) {
+    const chatDocument = await HandoffService.findOngoingChat(subaccountId, 'whatsapp-service', {
+      agent_id: agentId,
+      'metadata.whatsapp_phone': phoneNumber
+    });
+    const mode = HandoffService.getMode(chatDocument);
+
+    if (mode === HANDOFF_MODES.BOT && !HandoffService.detectHumanRequest(message.body)) {
+      return false;
+    }
+
+    const chatId = chatDocument
+      ? chatDocument.chat_id
+      : await this.getOrCreateChatSession(subaccountId, agentId, phoneNumber, contactInfo);
+
+    await HandoffService.recordMessage(subaccountId, 'whatsapp-service', chatId, {
+      direction: DIRECTIONS.INBOUND,
+      text: messageContent,
+      messageId: message.id._serialized,
+      mediaId: media?.mediaId,
+      sentBy: 'contact'
+    });
+
+    if (media) {
+      await this.recordChatMedia(subaccountId, agentId, phoneNumber, { ...media, sentBy: 'contact' });
+    }
+
+    if (mode !== HANDOFF_MODES.BOT) {
+      Logger.info('WhatsApp message kept for a human', {
+        subaccountId,
+        agentId,
+        chatId,
+        mode
+      });
+      return true;
+    }
+
+    await HandoffService.escalate(subaccountId, chatId, {
+      source: HANDOFF_SOURCES.USER_REQUEST,
+      reason: message.body
+    });
+
+    const replyConnector = connector || this.activeConnectors.get(`${subaccountId}_${agentId}`);
+    try {
+      const sendResult = await replyConnector.sendMessage(message.from, config.chatHandoff.acknowledgement);
+      await HandoffService.recordMessage(subaccountId, 'whatsapp-service', chatId, {
+        direction: DIRECTIONS.OUTBOUND,
+        text: config.chatHandoff.acknowledgement,
+        messageId: sendResult?.data?.messageId,
+        sentBy: 'system'
+      });
+    } catch (error) {
+      Logger.warn('Failed to send handoff acknowledgement', {
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Keep a message sent by a team member on the contact's conversation while
+   * it is handled by a person
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} to - Recipient phone number
+   * @param {Object} entry - { text, messageId, mediaId, sentBy }
+   */
+  async recordOperatorMessage(subaccountId, agentId, to, entry) {
+    try {
+      const chatDocument = await HandoffService.findOngoingChat(subaccountId, 'whatsapp-service', {
+        agent_id: agentId,
+        'metadata.whatsapp_phone': WhatsAppCloudConnector.toWaId(to)
+      });
+
+      if (chatDocument && HandoffService.getMode(chatDocument) !== HANDOFF_MODES.BOT) {
+        await HandoffService.recordMessage(subaccountId, 'whatsapp-service', chatDocument.chat_id, {
+          ...entry,
+          direction: DIRECTIONS.OUTBOUND
+        });
+      }
+    } catch (error) {
+      Logger.warn('Failed to record operator message', {
+        subaccountId,
+        agentId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Apply opt-out/opt-in keywords and skip contacts on the suppression list
+   * @param {string} subaccountId - Subaccount ID
+   * @param {string} agentId - Agent ID
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} message - WhatsApp message object
+   * @returns {Promise<boolean>} True if the message must not be forwarded to the agent
+   */
+  async handleOptOutKeywords(subaccountId, agentId, phoneNumber, message) {
+    const context = { type: 'whatsapp', id: message.id._serialized, agentId };
+
+    if (message.body) {
+      const keyword = SuppressionService.detectOptOut(message.body);
+      if (keyword) {
+        await SuppressionService.recordOptOut(subaccountId, CHANNELS.WHATSAPP, phoneNumber, { ...context, keyword });
+        return true;
+      }
+
+      if (SuppressionService.detectOptIn(message.body)) {
+        await SuppressionService.recordOptIn(subaccountId, CHANNELS.WHATSAPP, phoneNumber, context);
+      }
+    }
+
+    const suppressed = await SuppressionService.findSuppressed(subaccountId, 'system', CHANNELS.WHATSAPP, [phoneNumber]);
+    if (suppressed.has(phoneNumber)) {
+      Logger.info('Skipping WhatsApp message from suppressed contact', {
+        subaccountId,
+        agentId,
+        phoneNumber
+      });
+      return true;
+    }
+
+    return false;
+  }
+
   /**
    * Forward message to chat agent and get response
    */
@@ -1116,7 +1856,8 @@ class WhatsAppService {
       
       return {
         chatId,
-        reply: agentReply
+        reply: agentReply,
+        handoff: HandoffService.findHandoffToolCall(response)
       };
       
     } catch (error) {
@@ -1356,9 +2097,10 @@ class WhatsAppService {
         lastMessageAt: new Date()
       };
       
+      // Each completion answers one contact message, which stays unread in the inbox
       await chatsCollection.updateOne(
         { chat_id: chatId, subaccountId },
-        { $set: updateData }
+        { $set: updateData, $inc: { unread_count: 1 } }
       );
       
       Logger.debug('Updated chat session', { chatId, subaccountId });
@@ -1458,6 +2200,8 @@ class WhatsAppService {
         phoneNumber: data.phoneNumber || null,
         platform: data.platform || null,
         pushname: data.pushname || null,
+        provider: data.provider || PROVIDERS.WEB,
+        cloudApi: data.cloudApi || null,
         createdBy: userId,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -1610,4 +2354,5 @@ class WhatsAppService {
 
 // Export singleton instance
 module.exports = new WhatsAppService();
+module.exports.PROVIDERS = PROVIDERS;
 
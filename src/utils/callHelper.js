@@ -3,6 +3,36 @@
  * Provides functions to calculate call success metrics
  */
 
+/**
+ * How rule results are combined into a score
+ */
+const SUCCESS_CRITERIA_MODES = {
+  ALL: 'all',         // 1 if every rule passes, otherwise 0
+  ANY: 'any',         // 1 if at least one rule passes, otherwise 0
+  WEIGHTED: 'weighted' // weight of the passing rules / total weight (0-1)
+};
+
+/**
+ * Criteria used for agents without their own: a call succeeds when an appointment was booked
+ */
+const DEFAULT_SUCCESS_CRITERIA = {
+  mode: SUCCESS_CRITERIA_MODES.ANY,
+  rules: [{ type: 'appointment_booked', weight: 1 }],
+  passThreshold: 1
+};
+
+const FIELD_OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  exists: (actual) => actual !== undefined && actual !== null,
+  truthy: (actual) => !!actual && actual !== 'false'
+};
+
 /**
  * Calculate success rate for a call based on meeting booking status
  * Simple binary algorithm: 0 if no meeting booked, 1 if meeting booked
@@ -29,7 +59,180 @@ function calculateCallSuccessRate(callAnalysis) {
   return 0;
 }
 
+/**
+ * Read a dot-separated path from an object
+ * @param {Object} source - Object to read from
+ * @param {string} path - Path such as "custom_analysis_data.lead_score"
+ * @returns {*} Value or undefined
+ */
+function getPath(source, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+}
+
+/**
+ * Get the duration of a call in seconds
+ * @param {Object} call - Call document
+ * @returns {number|null} Duration or null if the call has not ended
+ */
+function getCallDurationSeconds(call) {
+  if (typeof call.duration_ms === 'number') {
+    return call.duration_ms / 1000;
+  }
+  if (call.end_timestamp && call.start_timestamp) {
+    return (call.end_timestamp - call.start_timestamp) / 1000;
+  }
+  return null;
+}
+
+/**
+ * Rule evaluators by rule type. Each returns true when the call passes the rule.
+ */
+const SUCCESS_RULE_EVALUATORS = {
+  // Legacy rule: an appointment was booked
+  appointment_booked: (call) => calculateCallSuccessRate(call.call_analysis) === 1,
+
+  // Any post-call analysis field, e.g. { field: "custom_analysis_data.lead_score", operator: "gte", value: 7 }
+  analysis_field: (call, rule) => {
+    const compare = FIELD_OPERATORS[rule.operator || 'eq'];
+    return !!compare && compare(getPath(call.call_analysis || {}, rule.field), rule.value);
+  },
+
+  // Call duration in seconds, e.g. { minSeconds: 60 }
+  duration: (call, rule) => {
+    const seconds = getCallDurationSeconds(call);
+    if (seconds === null) {
+      return false;
+    }
+    return (rule.minSeconds === undefined || seconds >= rule.minSeconds) &&
+      (rule.maxSeconds === undefined || seconds <= rule.maxSeconds);
+  },
+
+  // User sentiment from the post-call analysis, e.g. { values: ["Positive"] }
+  sentiment: (call, rule) => {
+    const sentiment = call.call_analysis?.user_sentiment;
+    return !!sentiment && (rule.values || []).map(value => value.toLowerCase()).includes(sentiment.toLowerCase());
+  }
+};
+
+/**
+ * Register an additional rule type
+ * @param {string} type - Rule type used in success criteria
+ * @param {Function} evaluator - (call, rule) => boolean
+ */
+function registerSuccessRule(type, evaluator) {
+  SUCCESS_RULE_EVALUATORS[type] = evaluator;
+}
+
+/**
+ * Get the registered rule types
+ * @returns {Array<string>} Rule types
+ */
+function getSuccessRuleTypes() {
+  return Object.keys(SUCCESS_RULE_EVALUATORS);
+}
+
+/**
+ * Score a call against success criteria
+ * @param {Object} call - Call document (call_analysis, timestamps, duration_ms)
+ * @param {Object} [criteria] - { mode, rules: [{ type, weight, ... }] } (default: appointment booked)
+ * @returns {number} Score between 0 and 1
+ */
+function scoreCall(call, criteria = DEFAULT_SUCCESS_CRITERIA) {
+  const rules = criteria?.rules?.length ? criteria.rules : DEFAULT_SUCCESS_CRITERIA.rules;
+  const results = rules.map(rule => {
+    const evaluate = SUCCESS_RULE_EVALUATORS[rule.type];
+    return { weight: rule.weight ?? 1, passed: evaluate ? evaluate(call || {}, rule) : false };
+  });
+
+  switch (criteria?.mode) {
+    case SUCCESS_CRITERIA_MODES.ALL:
+      return results.every(result => result.passed) ? 1 : 0;
+    case SUCCESS_CRITERIA_MODES.WEIGHTED: {
+      const totalWeight = results.reduce((sum, result) => sum + result.weight, 0);
+      const passedWeight = results.reduce((sum, result) => sum + (result.passed ? result.weight : 0), 0);
+      return totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 10000) / 10000 : 0;
+    }
+    default:
+      return results.some(result => result.passed) ? 1 : 0;
+  }
+}
+
+/**
+ * Score used for a call in the agent list averages.
+ * Calls scored with custom criteria (success_criteria_version > 0) use success_rate;
+ * every other call keeps the success_score the averages have always used, because
+ * older success_rate values were written on a different scale.
+ * @param {Object} call - Call document
+ * @returns {number} Score
+ */
+function getAverageableSuccessScore(call) {
+  if (call?.success_criteria_version > 0) {
+    return call.success_rate ?? 0;
+  }
+  return call?.success_score || 0;
+}
+
+/**
+ * Check a post-call analysis filter.
+ * A filter maps custom_analysis_data field names to a value (equals) or to operators:
+ * { "appointment_booked": true, "lead_score": { "gte": 7, "lte": 9 }, "interest": { "in": ["high", "medium"] } }
+ * @param {*} filter - Filter to check
+ * @returns {string|null} Error message, or null when the filter is valid
+ */
+function validateAnalysisFilter(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return 'custom_analysis_data filter must be an object';
+  }
+
+  for (const [field, condition] of Object.entries(filter)) {
+    if (!/^[A-Za-z0-9_]+$/.test(field)) {
+      return `Invalid post-call analysis field "${field}"`;
+    }
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      const operators = Object.keys(condition);
+      if (operators.length === 0) {
+        return `Filter for "${field}" has no operator`;
+      }
+      const unknown = operators.find(operator => !FIELD_OPERATORS[operator]);
+      if (unknown) {
+        return `Unknown operator "${unknown}" for "${field}". Use one of: ${Object.keys(FIELD_OPERATORS).join(', ')}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the custom_analysis_data of a call against a post-call analysis filter
+ * (see validateAnalysisFilter). Every field condition must pass.
+ * @param {Object} customAnalysisData - call_analysis.custom_analysis_data
+ * @param {Object} filter - Post-call analysis filter
+ * @returns {boolean} True when the call matches
+ */
+function matchesAnalysisFilter(customAnalysisData, filter) {
+  const data = customAnalysisData || {};
+
+  return Object.entries(filter || {}).every(([field, condition]) => {
+    const actual = data[field];
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([operator, expected]) => FIELD_OPERATORS[operator](actual, expected));
+    }
+    return Array.isArray(condition) ? condition.includes(actual) : actual === condition;
+  });
+}
+
 module.exports = {
-  calculateCallSuccessRate
+  calculateCallSuccessRate,
+  scoreCall,
+  getAverageableSuccessScore,
+  validateAnalysisFilter,
+  matchesAnalysisFilter,
+  registerSuccessRule,
+  getSuccessRuleTypes,
+  getCallDurationSeconds,
+  SUCCESS_CRITERIA_MODES,
+  DEFAULT_SUCCESS_CRITERIA,
+  FIELD_OPERATORS
 };
 
@@ -0,0 +1,44 @@
+/**
+ * Collection Index Utility
+ * Services declare the indexes of the collections they use next to their queries.
+ * The indexes are created the first time a collection is used on a database
+ * connection, instead of sending createIndex on every request.
+ */
+
+// Database -> (collection name + index spec -> promise of the createIndex call)
+const createdIndexes = new WeakMap();
+
+/**
+ * Get a collection, creating its indexes once per database connection.
+ * A failed createIndex is retried the next time the collection is requested.
+ * @param {Object} db - MongoDB database (connection.db)
+ * @param {string} name - Collection name
+ * @param {Array<Array>} [indexes] - [keys, options] pairs
+ * @returns {Promise<Object>} MongoDB collection
+ */
+async function getIndexedCollection(db, name, indexes = []) {
+  const collection = db.collection(name);
+
+  let created = createdIndexes.get(db);
+  if (!created) {
+    created = new Map();
+    createdIndexes.set(db, created);
+  }
+
+  await Promise.all(indexes.map(([keys, options = {}]) => {
+    const key = `${name}:${JSON.stringify(keys)}:${JSON.stringify(options)}`;
+
+    if (!created.has(key)) {
+      const creating = collection.createIndex(keys, options);
+      creating.catch(() => created.delete(key));
+      created.set(key, creating);
+    }
+    return created.get(key);
+  }));
+
+  return collection;
+}
+
+module.exports = {
+  getIndexedCollection
+};
@@ -0,0 +1,159 @@
+/**
+ * CSV Parser Utility
+ * Minimal RFC 4180 parser for uploaded lead lists (quoted fields, escaped quotes,
+ * CRLF/LF line endings, comma/semicolon/tab delimiters) and writer for CSV exports
+ */
+
+const SUPPORTED_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the header line
+ * @param {string} text - CSV content
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+
+  for (const delimiter of SUPPORTED_DELIMITERS) {
+    const count = headerLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Split CSV content into records of raw field values
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Records
+ */
+function parseRecords(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Parse CSV content with a header row
+ * @param {string} text - CSV content
+ * @param {Object} options - Parser options
+ * @param {string} [options.delimiter] - Field delimiter (detected when omitted)
+ * @returns {Object} { headers, rows } where rows are { rowNumber, values }
+ */
+function parseCsv(text, options = {}) {
+  // Strip UTF-8 BOM added by spreadsheet exports
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(content);
+  const records = parseRecords(content, delimiter);
+
+  if (records.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = records[0].map(header => header.trim());
+  const rows = [];
+
+  records.slice(1).forEach((record, index) => {
+    // Skip blank lines
+    if (record.every(value => value.trim() === '')) {
+      return;
+    }
+
+    const values = {};
+    headers.forEach((header, column) => {
+      values[header] = (record[column] || '').trim();
+    });
+
+    rows.push({
+      rowNumber: index + 2, // 1-based, counting the header row
+      values
+    });
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Quote a value for a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} Field
+ */
+function formatField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV content with a header row
+ * @param {Array<string>} headers - Column names, also the keys read from each row
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} CSV content with CRLF line endings
+ */
+function stringifyCsv(headers, rows) {
+  const lines = [headers.map(formatField).join(',')];
+
+  rows.forEach(row => {
+    lines.push(headers.map(header => formatField(row[header])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  detectDelimiter,
+  stringifyCsv
+};
@@ -0,0 +1,297 @@
+const METRIC_PREFIX = 'scalai_';
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Hosts of outbound APIs whose plain axios calls are counted as outbound calls
+const OUTBOUND_HOSTS = [
+  { suffix: 'retellai.com', service: 'retell' },
+  { suffix: 'twilio.com', service: 'twilio' },
+  { suffix: 'openai.com', service: 'openai' }
+];
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+/**
+ * Base for metrics with labelled series
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // serialized labels -> { labels, ... }
+  }
+
+  getSeries(labels, create) {
+    const picked = {};
+    this.labelNames.forEach(name => {
+      picked[name] = labels[name] !== undefined ? labels[name] : '';
+    });
+
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, create(picked));
+    }
+    return this.series.get(key);
+  }
+
+  // Drop all series, e.g. before re-reading values from their source on each scrape
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    this.series.forEach(series => lines.push(...this.renderSeries(series)));
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  // Mirror a counter that is kept elsewhere (e.g. cache hit counts)
+  set(labels = {}, value) {
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, picked => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+/**
+ * In-process metrics registry rendered in the Prometheus text exposition format (0.0.4).
+ * Event metrics (requests, rejections, outbound calls) are recorded where they happen;
+ * state that is already tracked elsewhere (pools, caches, connectors) is read into
+ * gauges on each scrape by MetricsService.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      return this.metrics.get(metric.name);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(`${METRIC_PREFIX}${name}`, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(`${METRIC_PREFIX}${name}`, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(`${METRIC_PREFIX}${name}`, help, labelNames, buckets));
+  }
+
+  render() {
+    return `${Array.from(this.metrics.values()).map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+const httpRequestDuration = registry.histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by route',
+  ['method', 'route', 'status_code']
+);
+
+const rateLimitRejections = registry.counter(
+  'rate_limit_rejections_total',
+  'Requests rejected with 429 by a rate limiter',
+  ['limiter']
+);
+
+const outboundRequests = registry.counter(
+  'outbound_requests_total',
+  'Calls to external APIs by status class (2xx, 4xx, 5xx, or error when no response was received)',
+  ['service', 'method', 'status']
+);
+
+const outboundRequestDuration = registry.histogram(
+  'outbound_request_duration_seconds',
+  'Latency of calls to external APIs',
+  ['service']
+);
+
+/**
+ * Record one outbound call
+ * @param {string} service - External service (retell, twilio, openai)
+ * @param {string} method - HTTP method
+ * @param {number|null} statusCode - Response status, or null when no response was received
+ * @param {number} durationSeconds - Call duration
+ */
+const recordOutboundRequest = (service, method, statusCode, durationSeconds) => {
+  const status = statusCode ? `${String(statusCode).charAt(0)}xx` : 'error';
+  outboundRequests.inc({ service, method: String(method || 'GET').toUpperCase(), status });
+  outboundRequestDuration.observe({ service }, durationSeconds);
+};
+
+/**
+ * Time an outbound call. The status is read from the result (statusCode or status)
+ * or from the error's response.
+ * @param {string} service - External service
+ * @param {string} method - HTTP method
+ * @param {Function} call - Performs the call
+ * @returns {Promise<*>} Result of the call
+ */
+const trackOutbound = async (service, method, call) => {
+  const startedAt = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+  try {
+    const result = await call();
+    recordOutboundRequest(service, method, result?.statusCode || result?.status || null, elapsed());
+    return result;
+  } catch (error) {
+    recordOutboundRequest(service, method, error.response?.status || error.status || null, elapsed());
+    throw error;
+  }
+};
+
+/**
+ * Wrap a fetch implementation so SDK clients (Retell, OpenAI) count their calls
+ * @param {string} service - External service
+ * @param {Function} fetchImpl - fetch to wrap (defaults to the global fetch)
+ * @returns {Function} fetch
+ */
+const instrumentFetch = (service, fetchImpl = globalThis.fetch) => (url, init = {}) =>
+  trackOutbound(service, init.method, () => fetchImpl(url, init));
+
+/**
+ * Count plain axios calls to the outbound API hosts (e.g. Retell REST calls made
+ * without the SDK). Calls to other hosts are not recorded.
+ * @param {Object} axiosInstance - axios or an axios instance
+ */
+const instrumentAxios = (axiosInstance) => {
+  const serviceFor = (config) => {
+    try {
+      const { hostname } = new URL(config.url, config.baseURL);
+      return OUTBOUND_HOSTS.find(({ suffix }) => hostname === suffix || hostname.endsWith(`.${suffix}`))?.service;
+    } catch (error) {
+      return undefined;
+    }
+  };
+
+  const record = (config, statusCode) => {
+    if (config?.metricsStartedAt && config.metricsService) {
+      const durationSeconds = Number(process.hrtime.bigint() - config.metricsStartedAt) / 1e9;
+      recordOutboundRequest(config.metricsService, config.method, statusCode, durationSeconds);
+    }
+  };
+
+  axiosInstance.interceptors.request.use((config) => {
+    const service = serviceFor(config);
+    if (service) {
+      config.metricsService = service;
+      config.metricsStartedAt = process.hrtime.bigint();
+    }
+    return config;
+  });
+
+  axiosInstance.interceptors.response.use(
+    (response) => {
+      record(response.config, response.status);
+      return response;
+    },
+    (error) => {
+      record(error.config, error.response?.status || null);
+      return Promise.reject(error);
+    }
+  );
+};
+
+module.exports = {
+  registry,
+  httpRequestDuration,
+  rateLimitRejections,
+  outboundRequests,
+  outboundRequestDuration,
+  recordOutboundRequest,
+  trackOutbound,
+  instrumentFetch,
+  instrumentAxios
+};
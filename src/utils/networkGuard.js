@@ -0,0 +1,206 @@
+/**
+ * Network Guard Utility
+ * Keeps server-side requests to user-supplied URLs (chat media, webhook subscriptions)
+ * on the public internet. Hosts are resolved before the request and every address is
+ * checked again when the connection is made, so DNS rebinding and redirects to
+ * internal addresses are refused as well.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// Private, loopback, link-local, carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const notAllowed = (message) => {
+  const error = new Error(message);
+  error.code = 'URL_NOT_ALLOWED';
+  return error;
+};
+
+/**
+ * Check whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for private, loopback, link-local and reserved addresses
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address || '');
+
+  if (family === 0) {
+    return false;
+  }
+
+  return !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup replacement for outgoing requests (http.Agent / axios `lookup` option)
+ * Fails with URL_NOT_ALLOWED when the host resolves to a non-public address.
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(notAllowed(`${hostname} resolves to a non-public address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a URL is http(s) and that its host only resolves to public addresses
+ * @param {string} url - URL to check
+ * @param {Object} options - { requireHttps }
+ * @returns {Promise<URL>} Parsed URL
+ * @throws {Error} With code URL_NOT_ALLOWED
+ */
+async function assertPublicUrl(url, { requireHttps = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw notAllowed('URL is not valid');
+  }
+
+  if (parsed.protocol !== 'https:' && (requireHttps || parsed.protocol !== 'http:')) {
+    throw notAllowed(requireHttps ? 'URL must use https' : 'URL must use http or https');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw notAllowed('URL must not contain credentials');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    if (!isPublicAddress(hostname)) {
+      throw notAllowed(`${hostname} is not a public address`);
+    }
+    return parsed;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw notAllowed(`${hostname} could not be resolved`);
+  }
+
+  if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+    throw notAllowed(`${hostname} resolves to a non-public address`);
+  }
+
+  return parsed;
+}
+
+/**
+ * axios options that keep a request, and the redirects it follows, on public addresses.
+ * Hosts given as IP literals skip DNS, so redirect targets are checked in beforeRedirect.
+ * @param {Object} options - { maxRedirects }
+ * @returns {Object} axios request config
+ */
+function publicRequestOptions({ maxRedirects = 3 } = {}) {
+  return {
+    lookup: publicLookup,
+    maxRedirects,
+    beforeRedirect: (redirectOptions) => {
+      const hostname = (redirectOptions.hostname || '').replace(/^\[|\]$/g, '');
+      if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+        throw notAllowed(`Redirect to ${hostname} is not allowed`);
+      }
+      if (!['http:', 'https:'].includes(redirectOptions.protocol)) {
+        throw notAllowed('Redirect must use http or https');
+      }
+    }
+  };
+}
+
+/**
+ * Download a public URL, stopping as soon as the response exceeds maxBytes
+ * @param {string} url - URL to download
+ * @param {Object} options - { maxBytes, timeout }
+ * @returns {Promise<Object>} { buffer, contentType }
+ * @throws {Error} With code URL_NOT_ALLOWED or RESPONSE_TOO_LARGE
+ */
+async function fetchPublicUrl(url, { maxBytes, timeout = 30000 } = {}) {
+  await assertPublicUrl(url);
+
+  const tooLarge = () => {
+    const error = new Error(`Response is larger than ${maxBytes} bytes`);
+    error.code = 'RESPONSE_TOO_LARGE';
+    return error;
+  };
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      ...publicRequestOptions(),
+      responseType: 'stream',
+      timeout
+    });
+  } catch (error) {
+    // Errors raised by the lookup and redirect checks are wrapped by axios
+    if (error.cause?.code === 'URL_NOT_ALLOWED') {
+      throw error.cause;
+    }
+    throw error;
+  }
+
+  const stream = response.data;
+  const declaredLength = Number(response.headers['content-length']);
+  if (declaredLength > maxBytes) {
+    stream.destroy();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let received = 0;
+  await new Promise((resolve, reject) => {
+    stream.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        stream.destroy();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+
+  return {
+    buffer: Buffer.concat(chunks),
+    contentType: response.headers['content-type'] || null
+  };
+}
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  assertPublicUrl,
+  publicRequestOptions,
+  fetchPublicUrl
+};
@@ -1,11 +1,14 @@
 const OpenAI = require('openai');
+const { toFile } = require('openai');
 const Logger = require('./logger');
+const { instrumentFetch } = require('./metrics');
 const config = require('../../config/config');
 
 class OpenAIHelper {
   constructor() {
     this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY || config.openai?.apiKey
+      apiKey: process.env.OPENAI_API_KEY || config.openai?.apiKey,
+      fetch: instrumentFetch('openai')
     });
   }
 
@@ -127,6 +130,25 @@ Only return the title, nothing else.`;
       return text.substring(0, 50).trim() || 'Text Content';
     }
   }
+
+  /**
+   * Transcribe a voice note or other audio file
+   * @param {Buffer} buffer - Audio data
+   * @param {string} filename - File name (the extension tells the API the format)
+   * @param {string} mimeType - Audio MIME type
+   * @returns {Promise<string>} Transcript text
+   */
+  async transcribeAudio(buffer, filename, mimeType) {
+    const file = await toFile(buffer, filename, { type: mimeType });
+
+    const response = await this.client.audio.transcriptions.create({
+      file,
+      model: config.chatMedia.transcriptionModel
+    });
+
+    Logger.info('Transcribed audio', { filename, size: buffer.length, transcriptLength: response.text?.length || 0 });
+    return (response.text || '').trim();
+  }
 }
 
 // Singleton instance
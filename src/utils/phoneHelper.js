@@ -0,0 +1,71 @@
+/**
+ * Phone Helper Utility
+ * Provides functions to normalize phone numbers to E.164
+ */
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Normalize a phone number to E.164
+ * Numbers without a leading + (or 00) are prefixed with the default country calling code;
+ * a national trunk prefix (leading 0) is dropped first.
+ * @param {string} rawNumber - Phone number as entered
+ * @param {string} [defaultCountryCode] - Country calling code without + (e.g. '1', '44')
+ * @returns {Object} { valid, number, reason }
+ */
+function normalizeToE164(rawNumber, defaultCountryCode = null) {
+  if (rawNumber === undefined || rawNumber === null || String(rawNumber).trim() === '') {
+    return { valid: false, number: null, reason: 'Phone number is empty' };
+  }
+
+  let value = String(rawNumber).trim();
+
+  // Drop extensions (e.g. "+1 415 777 4444 ext. 12")
+  value = value.replace(/\s*(ext\.?|x|#)\s*\d+$/i, '');
+
+  const hasPlus = value.startsWith('+');
+  let digits = value.replace(/\D/g, '');
+
+  if (!digits) {
+    return { valid: false, number: null, reason: 'Phone number contains no digits' };
+  }
+
+  let number;
+
+  if (hasPlus) {
+    number = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    number = `+${digits.slice(2)}`;
+  } else if (defaultCountryCode) {
+    const countryCode = String(defaultCountryCode).replace(/\D/g, '');
+    if (digits.startsWith('0')) {
+      digits = digits.replace(/^0+/, '');
+    } else if (digits.startsWith(countryCode) && `+${digits}`.length >= 12) {
+      // Already includes the country code, just missing the +
+      digits = digits.slice(countryCode.length);
+    }
+    number = `+${countryCode}${digits}`;
+  } else {
+    return { valid: false, number: null, reason: 'Phone number has no country code and no default country code was given' };
+  }
+
+  if (!E164_PATTERN.test(number)) {
+    return { valid: false, number: null, reason: 'Phone number is not a valid E.164 number' };
+  }
+
+  return { valid: true, number, reason: null };
+}
+
+/**
+ * Check whether a value is already a valid E.164 number
+ * @param {string} number - Phone number
+ * @returns {boolean}
+ */
+function isE164(number) {
+  return typeof number === 'string' && E164_PATTERN.test(number);
+}
+
+module.exports = {
+  normalizeToE164,
+  isE164
+};
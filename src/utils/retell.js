@@ -1,5 +1,7 @@
 const Logger = require('./logger');
 const RetellSDK = require('retell-sdk').Retell;
+const { fetch: retellFetch } = require('retell-sdk/_shims/index');
+const { instrumentFetch } = require('./metrics');
 
 class Retell {
   constructor(apiKey, accountInfo) {
@@ -12,7 +14,8 @@ class Retell {
     
     // Initialize Retell SDK client
     this.client = new RetellSDK({
-      apiKey: this.apiKey
+      apiKey: this.apiKey,
+      fetch: instrumentFetch('retell', retellFetch)
     });
     
     Logger.debug('Retell instance created', {
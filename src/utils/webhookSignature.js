@@ -0,0 +1,56 @@
+/**
+ * Webhook Signature Utility
+ * Verifies the X-Hub-Signature-256 header that Meta (Instagram, WhatsApp Cloud API)
+ * sends with every webhook delivery, and signs the webhooks this server sends to subscribers
+ */
+
+const crypto = require('crypto');
+
+const META_SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Verify a Meta webhook signature
+ * The signature is an HMAC-SHA256 of the raw request body keyed with the app secret,
+ * so it must be computed over the exact bytes that were received, not re-serialized JSON.
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header ("sha256=<hex>")
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifyMetaSignature(rawBody, signatureHeader, appSecret) {
+  if (!appSecret || !signatureHeader || rawBody === undefined || rawBody === null) {
+    return false;
+  }
+
+  if (!signatureHeader.startsWith(META_SIGNATURE_PREFIX)) {
+    return false;
+  }
+
+  const received = Buffer.from(signatureHeader.slice(META_SIGNATURE_PREFIX.length), 'hex');
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+
+  // timingSafeEqual throws on length mismatch (e.g. malformed hex)
+  if (received.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Sign an outbound webhook delivery
+ * The timestamp is part of the signed content so receivers can reject replayed deliveries.
+ * @param {string} body - Serialized request body
+ * @param {number} timestamp - Unix time in seconds, sent in the X-ScalAI-Timestamp header
+ * @param {string} secret - Subscription secret
+ * @returns {string} Value of the X-ScalAI-Signature header ("sha256=<hex>")
+ */
+function signWebhookPayload(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+module.exports = {
+  verifyMetaSignature,
+  signWebhookPayload
+};
@@ -31,8 +31,8 @@ const validateGetActivitiesQuery = [
   
   query('category')
     .optional()
-    .isIn(['agent', 'chat_agent', 'call', 'chat', 'connector'])
-    .withMessage('category must be one of: agent, chat_agent, call, chat, connector'),
+    .isIn(['agent', 'chat_agent', 'call', 'chat', 'connector', 'compliance', 'contact', 'webhook', 'billing'])
+    .withMessage('category must be one of: agent, chat_agent, call, chat, connector, compliance, contact, webhook, billing'),
   
   query('activityType')
     .optional()
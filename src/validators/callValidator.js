@@ -105,6 +105,229 @@ const createBatchCallBodySchema = Joi.object({
     })
 });
 
+const importBatchCallBodySchema = Joi.object({
+  from_number: Joi.string()
+    .pattern(/^\+[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      'any.required': 'From phone number is required',
+      'string.empty': 'From phone number cannot be empty',
+      'string.pattern.base': 'From phone number must be in E.164 format (e.g., +14157774444)'
+    }),
+  name: Joi.string()
+    .optional()
+    .messages({
+      'string.base': 'Name must be a string'
+    }),
+  trigger_timestamp: Joi.number()
+    .optional()
+    .messages({
+      'number.base': 'Trigger timestamp must be a number (milliseconds)'
+    }),
+  mapping: Joi.alternatives()
+    .try(Joi.string(), Joi.object())
+    .optional()
+    .messages({
+      'alternatives.match': 'Mapping must be a JSON object'
+    }),
+  defaultCountryCode: Joi.string()
+    .pattern(/^\+?[1-9]\d{0,3}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Default country code must be a calling code (e.g., 1 or 44)'
+    }),
+  defaultAgentId: Joi.string()
+    .optional()
+    .messages({
+      'string.base': 'Default agent ID must be a string'
+    }),
+  dryRun: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'dryRun must be a boolean'
+    })
+});
+
+const batchCallStatuses = ['scheduled', 'in_progress', 'completed', 'cancelled'];
+const batchTaskStatuses = ['queued', 'ringing', 'answered', 'voicemail', 'failed', 'booked', 'cancelled'];
+
+const listBatchCallsQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...batchCallStatuses)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${batchCallStatuses.join(', ')}`
+    }),
+  limit: Joi.number().integer().min(1).max(200).optional(),
+  skip: Joi.number().integer().min(0).optional()
+});
+
+const getBatchCallQuerySchema = Joi.object({
+  taskStatus: Joi.string()
+    .valid(...batchTaskStatuses)
+    .optional()
+    .messages({
+      'any.only': `Task status must be one of: ${batchTaskStatuses.join(', ')}`
+    })
+});
+
+const batchIdSchema = Joi.string()
+  .pattern(/^[A-Za-z0-9_-]{1,100}$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid batch call ID format',
+    'any.required': 'Batch call ID is required'
+  });
+
+const timeOfDaySchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/)
+  .messages({
+    'string.pattern.base': 'Time must be in HH:mm format (00:00-24:00)'
+  });
+
+const callingWindowSchema = Joi.object({
+  days: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Window must include at least one day (0 = Sunday, 6 = Saturday)'
+    }),
+  start: timeOfDaySchema.required(),
+  end: timeOfDaySchema.required()
+}).custom((value, helpers) => {
+  if (value.end <= value.start) {
+    return helpers.message('Window end must be after start (windows cannot cross midnight)');
+  }
+  return value;
+});
+
+const updateCallingHoursBodySchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  mode: Joi.string()
+    .valid('reject', 'defer')
+    .optional()
+    .messages({
+      'any.only': 'Mode must be one of: reject, defer'
+    }),
+  windows: Joi.array().items(callingWindowSchema).min(1).max(21).optional(),
+  blackoutDates: Joi.array()
+    .items(Joi.object({
+      date: Joi.string()
+        .pattern(/^\d{4}-\d{2}-\d{2}$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Blackout date must be in YYYY-MM-DD format'
+        }),
+      reason: Joi.string().max(200).allow('').optional()
+    }))
+    .max(366)
+    .optional(),
+  unknownTimezone: Joi.string()
+    .valid('subaccount', 'reject')
+    .optional()
+    .messages({
+      'any.only': 'unknownTimezone must be one of: subaccount, reject'
+    })
+});
+
+const checkCallingHoursBodySchema = Joi.object({
+  numbers: Joi.array()
+    .items(Joi.string().pattern(/^\+[1-9]\d{1,14}$/).messages({
+      'string.pattern.base': 'Numbers must be in E.164 format (e.g., +14157774444)'
+    }))
+    .min(1)
+    .max(100)
+    .required(),
+  at: Joi.date().iso().optional()
+});
+
+const retryableDisconnectionReasons = ['dial_no_answer', 'dial_busy', 'dial_failed', 'voicemail_reached', 'user_declined', 'registered_call_timeout'];
+const scheduledCallStatuses = ['scheduled', 'dialing', 'in_progress', 'completed', 'failed', 'cancelled'];
+
+const createScheduledCallBodySchema = Joi.object({
+  from_number: Joi.string()
+    .pattern(/^\+[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      'any.required': 'From phone number is required',
+      'string.empty': 'From phone number cannot be empty',
+      'string.pattern.base': 'From phone number must be in E.164 format (e.g., +14157774444)'
+    }),
+  to_number: Joi.string()
+    .pattern(/^\+[1-9]\d{1,14}$/)
+    .required()
+    .messages({
+      'any.required': 'To phone number is required',
+      'string.empty': 'To phone number cannot be empty',
+      'string.pattern.base': 'To phone number must be in E.164 format (e.g., +14157774444)'
+    }),
+  agent_id: Joi.string()
+    .optional()
+    .messages({
+      'string.base': 'Agent ID must be a string'
+    }),
+  metadata: Joi.object()
+    .optional()
+    .messages({
+      'object.base': 'Metadata must be an object'
+    }),
+  dynamic_variables: Joi.object()
+    .optional()
+    .messages({
+      'object.base': 'Dynamic variables must be an object'
+    }),
+  retell_llm_dynamic_variables: Joi.object()
+    .optional()
+    .messages({
+      'object.base': 'Retell LLM dynamic variables must be an object'
+    }),
+  scheduledFor: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'scheduledFor must be an ISO 8601 date'
+    }),
+  retry: Joi.object({
+    maxAttempts: Joi.number().integer().min(1).max(10).optional(),
+    backoffMinutes: Joi.number().integer().min(1).max(1440).optional(),
+    backoffMultiplier: Joi.number().min(1).max(10).optional(),
+    retryOn: Joi.array()
+      .items(Joi.string().valid(...retryableDisconnectionReasons))
+      .unique()
+      .optional()
+      .messages({
+        'any.only': `retryOn values must be one of: ${retryableDisconnectionReasons.join(', ')}`
+      })
+  }).optional()
+});
+
+const listScheduledCallsQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...scheduledCallStatuses)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${scheduledCallStatuses.join(', ')}`
+    }),
+  to_number: Joi.string()
+    .pattern(/^\+[1-9]\d{1,14}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'To phone number must be in E.164 format (e.g., +14157774444)'
+    }),
+  limit: Joi.number().integer().min(1).max(200).optional(),
+  skip: Joi.number().integer().min(0).optional()
+});
+
+const scheduledCallIdSchema = Joi.string()
+  .guid({ version: 'uuidv4' })
+  .required()
+  .messages({
+    'string.guid': 'Invalid scheduled call ID format',
+    'any.required': 'Scheduled call ID is required'
+  });
+
 // Middleware validators
 const validateCreateWebCallBody = (req, res, next) => {
   const { error } = createWebCallBodySchema.validate(req.body, { 
@@ -175,8 +398,201 @@ const validateCreateBatchCallBody = (req, res, next) => {
   next();
 };
 
+const validateImportBatchCallBody = (req, res, next) => {
+  const { error } = importBatchCallBodySchema.validate(req.body, { 
+    abortEarly: false
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateUpdateCallingHoursBody = (req, res, next) => {
+  const { error } = updateCallingHoursBodySchema.validate(req.body, { 
+    abortEarly: false
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateCheckCallingHoursBody = (req, res, next) => {
+  const { error } = checkCallingHoursBodySchema.validate(req.body, { 
+    abortEarly: false
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateListBatchCallsQuery = (req, res, next) => {
+  const { error } = listBatchCallsQuerySchema.validate(req.query, { 
+    abortEarly: false
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateGetBatchCallQuery = (req, res, next) => {
+  const { error } = getBatchCallQuerySchema.validate(req.query, { 
+    abortEarly: false
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateBatchId = (req, res, next) => {
+  const { error } = batchIdSchema.validate(req.params.batchId);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid batchId',
+      code: 'INVALID_PARAMETER',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const validateCreateScheduledCallBody = (req, res, next) => {
+  const { error } = createScheduledCallBodySchema.validate(req.body, { 
+    abortEarly: false
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateListScheduledCallsQuery = (req, res, next) => {
+  const { error } = listScheduledCallsQuerySchema.validate(req.query, { 
+    abortEarly: false
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateScheduledCallId = (req, res, next) => {
+  const { error } = scheduledCallIdSchema.validate(req.params.scheduledCallId);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid scheduledCallId',
+      code: 'INVALID_PARAMETER',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateCreateWebCallBody,
   validateCreatePhoneCallBody,
-  validateCreateBatchCallBody
+  validateCreateBatchCallBody,
+  validateImportBatchCallBody,
+  validateListBatchCallsQuery,
+  validateGetBatchCallQuery,
+  validateBatchId,
+  validateUpdateCallingHoursBody,
+  validateCheckCallingHoursBody,
+  validateCreateScheduledCallBody,
+  validateListScheduledCallsQuery,
+  validateScheduledCallId
 }; 
\ No newline at end of file
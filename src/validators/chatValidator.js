@@ -40,6 +40,84 @@ const sendMessageBodySchema = Joi.object({
     })
 });
 
+const handoffModeBodySchema = Joi.object({
+  mode: Joi.string()
+    .valid('bot', 'human', 'paused')
+    .required()
+    .messages({
+      'any.required': 'Mode is required',
+      'any.only': 'Mode must be one of: bot, human, paused'
+    }),
+  reason: Joi.string()
+    .max(500)
+    .allow('', null)
+    .optional(),
+  force: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'force must be a boolean'
+    })
+});
+
+const handoffClaimBodySchema = Joi.object({
+  force: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'force must be a boolean'
+    })
+});
+
+const handoffInboxQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('awaiting', 'claimed', 'paused', 'all')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of: awaiting, claimed, paused, all'
+    }),
+  mine: Joi.boolean().optional(),
+  agentId: Joi.string().optional(),
+  channel: Joi.string()
+    .valid('whatsapp', 'instagram')
+    .optional()
+    .messages({
+      'any.only': 'Channel must be one of: whatsapp, instagram'
+    }),
+  limit: Joi.number().integer().min(1).max(200).optional(),
+  skip: Joi.number().integer().min(0).optional()
+});
+
+const inboxQuerySchema = Joi.object({
+  channel: Joi.string()
+    .valid('web', 'whatsapp', 'instagram')
+    .optional()
+    .messages({
+      'any.only': 'Channel must be one of: web, whatsapp, instagram'
+    }),
+  agentId: Joi.string().optional(),
+  status: Joi.string()
+    .valid('ongoing', 'ended')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of: ongoing, ended'
+    }),
+  mode: Joi.string()
+    .valid('bot', 'human', 'paused')
+    .optional()
+    .messages({
+      'any.only': 'Mode must be one of: bot, human, paused'
+    }),
+  contact: Joi.string().max(100).optional(),
+  unread: Joi.boolean().optional(),
+  search: Joi.string().max(200).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  cursor: Joi.string().max(500).optional()
+});
+
+const inboxMessagesQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).optional(),
+  before: Joi.date().iso().optional()
+});
+
 const chatIdParamSchema = Joi.string()
   .required()
   .messages({
@@ -94,6 +172,56 @@ const validateSendMessageBody = (req, res, next) => {
   next();
 };
 
+const validateHandoffBody = (schema) => (req, res, next) => {
+  const { error } = schema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateHandoffModeBody = validateHandoffBody(handoffModeBodySchema);
+const validateHandoffClaimBody = validateHandoffBody(handoffClaimBodySchema);
+
+const validateQuery = (schema) => (req, res, next) => {
+  const { error } = schema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors
+    });
+  }
+
+  next();
+};
+
+const validateHandoffInboxQuery = validateQuery(handoffInboxQuerySchema);
+const validateInboxQuery = validateQuery(inboxQuerySchema);
+const validateInboxMessagesQuery = validateQuery(inboxMessagesQuerySchema);
+
 const validateChatId = (req, res, next) => {
   const { error } = chatIdParamSchema.validate(req.params.chatId);
 
@@ -112,5 +240,10 @@ const validateChatId = (req, res, next) => {
 module.exports = {
   validateCreateChatBody,
   validateSendMessageBody,
+  validateHandoffModeBody,
+  validateHandoffClaimBody,
+  validateHandoffInboxQuery,
+  validateInboxQuery,
+  validateInboxMessagesQuery,
   validateChatId
 }; 
\ No newline at end of file
@@ -1,5 +1,7 @@
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const config = require('../../config/config');
+const { getSuccessRuleTypes, SUCCESS_CRITERIA_MODES, FIELD_OPERATORS } = require('../utils/callHelper');
 
 // Validation schemas
 const subaccountIdSchema = Joi.string()
@@ -14,9 +16,11 @@ const collectionNameSchema = Joi.string()
   .min(1)
   .max(100)
   .pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+  .invalid(...config.security.internalCollections)
   .required()
   .messages({
     'string.pattern.base': 'Collection name must start with a letter and contain only letters, numbers, and underscores',
+    'any.invalid': 'Collection {#value} is managed by the server and cannot be accessed through the collection routes',
     'any.required': 'Collection name is required'
   });
 
@@ -43,13 +47,16 @@ const updateBodySchema = Joi.object({
   update: Joi.object().required(),
   options: Joi.object({
     upsert: Joi.boolean().optional(),
+    multi: Joi.boolean().optional(),
     returnDocument: Joi.string().valid('before', 'after').optional()
   }).optional().default({})
 });
 
 const deleteBodySchema = Joi.object({
   filter: Joi.object().required(),
-  options: Joi.object().optional().default({})
+  options: Joi.object({
+    multi: Joi.boolean().optional()
+  }).optional().default({})
 });
 
 const aggregateBodySchema = Joi.object({
@@ -80,6 +87,11 @@ const createAgentBodySchema = Joi.object({
       'string.min': 'Description must be at least 1 character long',
       'string.max': 'Description must not exceed 1000 characters',
       'any.required': 'Description is required'
+    }),
+  templateId: Joi.string()
+    .optional()
+    .messages({
+      'string.empty': 'Template ID cannot be empty'
     })
 });
 
@@ -142,15 +154,81 @@ const updateAgentVoiceBodySchema = Joi.object({
     })
 });
 
+// Languages supported by Retell voice agents
+const voiceLanguages = [
+  'en-US', 'en-IN', 'en-GB', 'en-AU', 'en-NZ', 'de-DE', 'es-ES', 'es-419', 'hi-IN', 'fr-FR', 'fr-CA',
+  'ja-JP', 'pt-PT', 'pt-BR', 'zh-CN', 'ru-RU', 'it-IT', 'ko-KR', 'nl-NL', 'nl-BE', 'pl-PL', 'tr-TR',
+  'th-TH', 'vi-VN', 'ro-RO', 'bg-BG', 'ca-ES', 'da-DK', 'fi-FI', 'el-GR', 'hu-HU', 'id-ID', 'no-NO',
+  'sk-SK', 'sv-SE', 'multi'
+];
+
+const ambientSounds = [
+  'coffee-shop', 'convention-hall', 'summer-outdoor', 'mountain-outdoor', 'static-noise', 'call-center'
+];
+
+const updateAgentVoiceSettingsBodySchema = Joi.object({
+  language: Joi.string()
+    .valid(...voiceLanguages)
+    .messages({
+      'any.only': 'Unsupported language'
+    }),
+  voiceSpeed: Joi.number().min(0.5).max(2),
+  voiceTemperature: Joi.number().min(0).max(2),
+  volume: Joi.number().min(0).max(2),
+  responsiveness: Joi.number().min(0).max(1),
+  interruptionSensitivity: Joi.number().min(0).max(1),
+  enableBackchannel: Joi.boolean(),
+  backchannelFrequency: Joi.number().min(0).max(1),
+  backchannelWords: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20),
+  ambientSound: Joi.string()
+    .valid(...ambientSounds)
+    .allow(null)
+    .messages({
+      'any.only': `Ambient sound must be one of: ${ambientSounds.join(', ')} or null`
+    }),
+  ambientSoundVolume: Joi.number().min(0).max(2),
+  boostedKeywords: Joi.array().items(Joi.string().trim().min(1).max(100)).max(100),
+  pronunciationDictionary: Joi.array()
+    .items(Joi.object({
+      word: Joi.string().min(1).max(100).required(),
+      alphabet: Joi.string().valid('ipa', 'cmu').required(),
+      phoneme: Joi.string().min(1).max(200).required()
+    }))
+    .max(200),
+  enableVoicemailDetection: Joi.boolean(),
+  voicemailMessage: Joi.string().max(1000).allow(''),
+  maxCallDurationMs: Joi.number()
+    .integer()
+    .min(60000)
+    .max(7200000)
+    .messages({
+      'number.min': 'Max call duration must be at least 60000 ms (1 minute)',
+      'number.max': 'Max call duration must not exceed 7200000 ms (2 hours)'
+    }),
+  endCallAfterSilenceMs: Joi.number()
+    .integer()
+    .min(10000)
+    .max(7200000)
+    .messages({
+      'number.min': 'Silence timeout must be at least 10000 ms (10 seconds)',
+      'number.max': 'Silence timeout must not exceed 7200000 ms (2 hours)'
+    })
+}).min(1).messages({
+  'object.min': 'At least one setting must be provided'
+});
+
+// LLM models supported by Retell
+const llmModels = [
+  'gpt-5', 'gpt-5-mini', 'gpt-5-nano',
+  'gpt-4o', 'gpt-4o-mini',
+  'gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano',
+  'claude-3.7-sonnet', 'claude-3.5-haiku',
+  'gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-2.5-flash', 'gemini-2.5-flash-lite'
+];
+
 const updateAgentLLMBodySchema = Joi.object({
   model: Joi.string()
-    .valid(
-      'gpt-5', 'gpt-5-mini', 'gpt-5-nano',
-      'gpt-4o', 'gpt-4o-mini',
-      'gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano',
-      'claude-3.7-sonnet', 'claude-3.5-haiku',
-      'gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-2.5-flash', 'gemini-2.5-flash-lite'
-    )
+    .valid(...llmModels)
     .required()
     .messages({
       'string.empty': 'Model is required',
@@ -159,6 +237,580 @@ const updateAgentLLMBodySchema = Joi.object({
     })
 });
 
+const templateIdSchema = Joi.string()
+  .required()
+  .messages({
+    'string.empty': 'Template ID is required',
+    'any.required': 'Template ID is required'
+  });
+
+const postCallAnalysisFieldSchema = Joi.object({
+  type: Joi.string().valid('string', 'boolean', 'number', 'enum').required(),
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().max(1000).allow('').optional(),
+  examples: Joi.array().items(Joi.string()).optional(),
+  choices: Joi.array().items(Joi.string()).optional()
+});
+
+const agentTemplateFields = {
+  name: Joi.string()
+    .min(1)
+    .max(200)
+    .messages({
+      'string.empty': 'Name is required',
+      'string.max': 'Name must not exceed 200 characters'
+    }),
+  description: Joi.string().max(1000).allow('').optional(),
+  model: Joi.string()
+    .valid(...llmModels)
+    .optional()
+    .messages({
+      'any.only': 'Invalid model selected'
+    }),
+  modelTemperature: Joi.number().min(0).max(1).optional(),
+  beginMessage: Joi.string().max(2000).allow('').optional(),
+  generalPrompt: Joi.string().max(10000).allow('').optional(),
+  startSpeaker: Joi.string().valid('agent', 'user').optional(),
+  startingState: Joi.string().optional(),
+  tools: Joi.array()
+    .items(Joi.object({
+      type: Joi.string().required(),
+      name: Joi.string().required(),
+      description: Joi.string().allow('').optional()
+    }).unknown(true))
+    .optional(),
+  states: Joi.array()
+    .items(Joi.object({
+      name: Joi.string().required(),
+      state_prompt: Joi.string().allow('').optional()
+    }).unknown(true))
+    .min(1)
+    .optional(),
+  defaultDynamicVariables: Joi.object()
+    .pattern(Joi.string(), Joi.string().allow(''))
+    .optional(),
+  voiceSettings: updateAgentVoiceSettingsBodySchema.keys({
+    voiceId: Joi.string().min(1).max(200)
+  }).optional(),
+  postCallAnalysisData: Joi.array().items(postCallAnalysisFieldSchema).optional(),
+  postCallAnalysisModel: Joi.string().optional()
+};
+
+// Custom states replace the built-in ones, so the built-in starting state would not exist
+const checkTemplateStartingState = (value, helpers) => {
+  if (value.states && !value.startingState) {
+    return helpers.message('startingState is required when states are provided');
+  }
+  if (value.states && value.startingState && !value.states.some(state => state.name === value.startingState)) {
+    return helpers.message('startingState must match the name of one of the states');
+  }
+  return value;
+};
+
+const createAgentTemplateBodySchema = Joi.object({
+  ...agentTemplateFields,
+  name: agentTemplateFields.name.required().messages({
+    'any.required': 'Name is required'
+  })
+}).custom(checkTemplateStartingState);
+
+const updateAgentTemplateBodySchema = Joi.object(agentTemplateFields)
+  .min(1)
+  .custom(checkTemplateStartingState)
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+const revisionSchema = Joi.number()
+  .integer()
+  .min(1)
+  .required()
+  .messages({
+    'number.base': 'Revision must be a number',
+    'number.min': 'Revision must be at least 1',
+    'any.required': 'Revision is required'
+  });
+
+const listRevisionsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).optional(),
+  skip: Joi.number().integer().min(0).optional()
+});
+
+const revisionDiffQuerySchema = Joi.object({
+  from: revisionSchema,
+  to: revisionSchema
+});
+
+const schemaPermissionsSchema = Joi.object({
+  read: Joi.boolean().optional(),
+  write: Joi.boolean().optional(),
+  delete: Joi.boolean().optional()
+});
+
+const schemaDefinitionSchema = Joi.object()
+  .min(1)
+  .messages({
+    'object.base': 'Schema must be an object of field definitions',
+    'object.min': 'Schema must define at least one field'
+  });
+
+const schemaVersionSchema = Joi.number()
+  .integer()
+  .min(1)
+  .required()
+  .messages({
+    'number.base': 'Version must be a number',
+    'number.min': 'Version must be at least 1',
+    'any.required': 'Version is required'
+  });
+
+const saveSchemaBodySchema = Joi.object({
+  schema: schemaDefinitionSchema.required().messages({
+    'any.required': 'Schema is required'
+  }),
+  permissions: schemaPermissionsSchema.optional(),
+  description: Joi.string().max(500).allow('').optional()
+});
+
+const migrationCheckBodySchema = Joi.object({
+  schema: schemaDefinitionSchema.optional(),
+  version: Joi.number().integer().min(1).optional(),
+  sampleSize: Joi.number().integer().min(1).max(10000).optional(),
+  maxFailures: Joi.number().integer().min(1).max(500).optional()
+}).oxor('schema', 'version');
+
+const suppressionChannelSchema = Joi.string()
+  .valid('phone', 'whatsapp', 'instagram')
+  .messages({
+    'any.only': 'Channel must be one of: phone, whatsapp, instagram',
+    'any.required': 'Channel is required'
+  });
+
+const suppressionIdSchema = Joi.string()
+  .hex()
+  .length(24)
+  .required()
+  .messages({
+    'string.hex': 'Suppression ID must be a valid ObjectId',
+    'string.length': 'Suppression ID must be a valid ObjectId',
+    'any.required': 'Suppression ID is required'
+  });
+
+const defaultCountryCodeSchema = Joi.string()
+  .pattern(/^\d{1,4}$/)
+  .messages({
+    'string.pattern.base': 'defaultCountryCode must be a country calling code without + (e.g. 1, 44)'
+  });
+
+const listSuppressionsQuerySchema = Joi.object({
+  channel: suppressionChannelSchema.optional(),
+  source: Joi.string().valid('manual', 'import', 'opt_out').optional(),
+  search: Joi.string().max(100).optional(),
+  limit: Joi.number().integer().min(1).max(200).optional(),
+  skip: Joi.number().integer().min(0).optional()
+});
+
+const checkSuppressionQuerySchema = Joi.object({
+  channel: suppressionChannelSchema.required(),
+  value: Joi.string().max(100).required()
+});
+
+const addSuppressionBodySchema = Joi.object({
+  channel: suppressionChannelSchema.required(),
+  value: Joi.string().trim().max(100).required().messages({
+    'any.required': 'Value is required'
+  }),
+  reason: Joi.string().max(500).allow('').optional(),
+  defaultCountryCode: defaultCountryCodeSchema.optional()
+});
+
+const importSuppressionsBodySchema = Joi.object({
+  channel: suppressionChannelSchema.required(),
+  values: Joi.array().items(Joi.string().max(100)).min(1).max(10000).required().messages({
+    'array.min': 'At least one value is required',
+    'array.max': 'At most 10000 values can be imported at once',
+    'any.required': 'Values are required'
+  }),
+  reason: Joi.string().max(500).allow('').optional(),
+  defaultCountryCode: defaultCountryCodeSchema.optional()
+});
+
+const contactIdSchema = Joi.string()
+  .hex()
+  .length(24)
+  .required()
+  .messages({
+    'string.hex': 'Contact ID must be a valid ObjectId',
+    'string.length': 'Contact ID must be a valid ObjectId',
+    'any.required': 'Contact ID is required'
+  });
+
+const contactIdentitySchema = Joi.object({
+  type: Joi.string().valid('phone', 'email', 'instagram').required().messages({
+    'any.only': 'Identity type must be one of: phone, email, instagram',
+    'any.required': 'Identity type is required'
+  }),
+  value: Joi.string().trim().max(200).required().messages({
+    'any.required': 'Identity value is required'
+  })
+});
+
+const contactTagsSchema = Joi.array().items(Joi.string().trim().min(1).max(50)).max(50);
+
+// Values are scalars; null removes a field on update
+const contactCustomFieldsSchema = Joi.object()
+  .pattern(
+    /^[A-Za-z][A-Za-z0-9_]{0,49}$/,
+    Joi.alternatives().try(Joi.string().max(1000).allow(''), Joi.number(), Joi.boolean(), Joi.date().iso(), Joi.valid(null))
+  )
+  .max(100)
+  .messages({
+    'object.unknown': 'Custom field names must start with a letter and contain only letters, numbers and underscores',
+    'object.max': 'A contact can have at most 100 custom fields'
+  });
+
+const listContactsQuerySchema = Joi.object({
+  search: Joi.string().max(100).optional(),
+  tag: Joi.string().max(50).optional(),
+  channel: Joi.string().valid('phone', 'whatsapp', 'instagram', 'web').optional(),
+  limit: Joi.number().integer().min(1).max(200).optional(),
+  skip: Joi.number().integer().min(0).optional()
+});
+
+const lookupContactQuerySchema = Joi.object({
+  type: Joi.string().valid('phone', 'email', 'instagram').required(),
+  value: Joi.string().max(200).required(),
+  defaultCountryCode: defaultCountryCodeSchema.optional()
+});
+
+const createContactBodySchema = Joi.object({
+  name: Joi.string().trim().max(200).allow('', null).optional(),
+  identities: Joi.array().items(contactIdentitySchema).max(20).optional(),
+  tags: contactTagsSchema.optional(),
+  customFields: contactCustomFieldsSchema.optional(),
+  defaultCountryCode: defaultCountryCodeSchema.optional()
+});
+
+const updateContactBodySchema = Joi.object({
+  name: Joi.string().trim().max(200).allow('', null).optional(),
+  addIdentities: Joi.array().items(contactIdentitySchema).max(20).optional(),
+  removeIdentities: Joi.array().items(contactIdentitySchema).max(20).optional(),
+  tags: contactTagsSchema.optional(),
+  customFields: contactCustomFieldsSchema.optional(),
+  defaultCountryCode: defaultCountryCodeSchema.optional()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided'
+});
+
+const mergeContactsBodySchema = Joi.object({
+  contactIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).required().messages({
+    'array.min': 'At least one contact ID is required',
+    'any.required': 'Contact IDs are required',
+    'string.hex': 'Contact IDs must be valid ObjectIds',
+    'string.length': 'Contact IDs must be valid ObjectIds'
+  })
+});
+
+const contactTimelineQuerySchema = Joi.object({
+  types: Joi.string().pattern(/^(call|chat|meeting)(,(call|chat|meeting))*$/).optional().messages({
+    'string.pattern.base': 'types must be a comma-separated list of: call, chat, meeting'
+  }),
+  limit: Joi.number().integer().min(1).max(200).optional()
+});
+
+const webhookSubscriptionIdSchema = Joi.string()
+  .guid({ version: 'uuidv4' })
+  .required()
+  .messages({
+    'string.guid': 'Invalid webhook subscription ID format',
+    'any.required': 'Webhook subscription ID is required'
+  });
+
+const webhookDeliveryIdSchema = Joi.string()
+  .guid({ version: 'uuidv4' })
+  .required()
+  .messages({
+    'string.guid': 'Invalid webhook delivery ID format',
+    'any.required': 'Webhook delivery ID is required'
+  });
+
+// Event names are checked against the known events by the controller
+const webhookEventsSchema = Joi.array()
+  .items(Joi.string().pattern(/^(\*|[a-z_]+(\.[a-z_]+)?)$/).messages({
+    'string.pattern.base': 'Events must be event types such as call.ended or contact_created, or * for all events'
+  }))
+  .min(1)
+  .max(100);
+
+const webhookSubscriptionFields = {
+  url: Joi.string().uri({ scheme: config.webhookSubscriptions.requireHttps ? ['https'] : ['https', 'http'] }).max(2000).messages({
+    'string.uri': config.webhookSubscriptions.requireHttps ? 'URL must be a valid https URL' : 'URL must be a valid http or https URL',
+    'string.uriCustomScheme': config.webhookSubscriptions.requireHttps ? 'URL must be a valid https URL' : 'URL must be a valid http or https URL'
+  }),
+  events: webhookEventsSchema,
+  description: Joi.string().trim().max(500).allow('', null),
+  secret: Joi.string().min(16).max(200).messages({
+    'string.min': 'Secret must be at least 16 characters'
+  }),
+  active: Joi.boolean()
+};
+
+const createWebhookSubscriptionBodySchema = Joi.object({
+  ...webhookSubscriptionFields,
+  url: webhookSubscriptionFields.url.required().messages({
+    'any.required': 'URL is required'
+  }),
+  events: webhookSubscriptionFields.events.required().messages({
+    'any.required': 'Events are required',
+    'array.min': 'At least one event is required'
+  })
+});
+
+const updateWebhookSubscriptionBodySchema = Joi.object(webhookSubscriptionFields).min(1).messages({
+  'object.min': 'At least one field must be provided'
+});
+
+const listWebhookDeliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivering', 'succeeded', 'failed').optional(),
+  eventType: Joi.string().max(100).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  skip: Joi.number().integer().min(0).optional()
+});
+
+const postCallFieldNameSchema = Joi.string()
+  .min(1)
+  .max(100)
+  .required()
+  .messages({
+    'string.empty': 'Field name is required',
+    'any.required': 'Field name is required'
+  });
+
+const postCallFieldTypes = ['string', 'boolean', 'number', 'enum'];
+
+const postCallFieldFields = {
+  type: Joi.string()
+    .valid(...postCallFieldTypes)
+    .messages({
+      'any.only': `Type must be one of: ${postCallFieldTypes.join(', ')}`
+    }),
+  name: Joi.string()
+    .pattern(/^[A-Za-z][A-Za-z0-9_]*$/)
+    .max(64)
+    .messages({
+      'string.pattern.base': 'Name must start with a letter and contain only letters, digits and underscores',
+      'string.max': 'Name must not exceed 64 characters'
+    }),
+  description: Joi.string().max(1000).allow('').optional(),
+  examples: Joi.array().items(Joi.string().max(200)).max(10).optional(),
+  choices: Joi.array()
+    .items(Joi.string().min(1).max(100))
+    .min(1)
+    .max(50)
+    .unique()
+    .optional()
+};
+
+const addPostCallFieldBodySchema = Joi.object({
+  ...postCallFieldFields,
+  type: postCallFieldFields.type.required().messages({
+    'any.required': 'Type is required'
+  }),
+  name: postCallFieldFields.name.required().messages({
+    'any.required': 'Name is required'
+  }),
+  choices: postCallFieldFields.choices
+    .when('type', { is: 'enum', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Choices are required for enum fields',
+      'any.unknown': 'Choices are only allowed for enum fields'
+    })
+});
+
+const updatePostCallFieldBodySchema = Joi.object(postCallFieldFields).min(1).messages({
+  'object.min': 'At least one field must be provided'
+});
+
+const updatePostCallAnalysisBodySchema = Joi.object({
+  model: Joi.string()
+    .valid(...llmModels)
+    .required()
+    .messages({
+      'any.required': 'Model is required',
+      'any.only': 'Invalid model selected'
+    })
+});
+
+const successRuleSchema = Joi.object({
+  type: Joi.string()
+    .valid(...getSuccessRuleTypes())
+    .required()
+    .messages({
+      'any.only': `Rule type must be one of: ${getSuccessRuleTypes().join(', ')}`,
+      'any.required': 'Rule type is required'
+    }),
+  weight: Joi.number().min(0).max(100).optional(),
+  field: Joi.string()
+    .pattern(/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/)
+    .when('type', { is: 'analysis_field', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'string.pattern.base': 'Field must be a call_analysis path such as custom_analysis_data.lead_score',
+      'any.required': 'Field is required for analysis_field rules'
+    }),
+  operator: Joi.string()
+    .valid(...Object.keys(FIELD_OPERATORS))
+    .when('type', { is: 'analysis_field', then: Joi.optional(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.only': `Operator must be one of: ${Object.keys(FIELD_OPERATORS).join(', ')}`
+    }),
+  value: Joi.any()
+    .when('type', { is: 'analysis_field', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  minSeconds: Joi.number().min(0)
+    .when('type', { is: 'duration', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  maxSeconds: Joi.number().min(0)
+    .when('type', { is: 'duration', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  values: Joi.array()
+    .items(Joi.string().max(50))
+    .min(1)
+    .when('type', { is: 'sentiment', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Values are required for sentiment rules'
+    })
+}).custom((rule, helpers) => {
+  if (rule.type === 'duration' && rule.minSeconds === undefined && rule.maxSeconds === undefined) {
+    return helpers.message('Duration rules need minSeconds and/or maxSeconds');
+  }
+  if (rule.minSeconds !== undefined && rule.maxSeconds !== undefined && rule.maxSeconds < rule.minSeconds) {
+    return helpers.message('maxSeconds must be greater than or equal to minSeconds');
+  }
+  return rule;
+});
+
+const updateSuccessCriteriaBodySchema = Joi.object({
+  mode: Joi.string()
+    .valid(...Object.values(SUCCESS_CRITERIA_MODES))
+    .required()
+    .messages({
+      'any.only': `Mode must be one of: ${Object.values(SUCCESS_CRITERIA_MODES).join(', ')}`,
+      'any.required': 'Mode is required'
+    }),
+  rules: Joi.array().items(successRuleSchema).min(1).max(20).required().messages({
+    'array.min': 'At least one rule is required',
+    'any.required': 'Rules are required'
+  }),
+  passThreshold: Joi.number().greater(0).max(1).optional().messages({
+    'number.greater': 'passThreshold must be greater than 0'
+  })
+});
+
+const recomputeSuccessRatesBodySchema = Joi.object({
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+});
+
+const recomputeJobIdSchema = Joi.string()
+  .guid({ version: 'uuidv4' })
+  .required()
+  .messages({
+    'string.guid': 'Invalid recompute job ID format',
+    'any.required': 'Recompute job ID is required'
+  });
+
+// Rate limit plan assignment (admin)
+const rateLimitQuotaSchema = Joi.number().integer().min(1).max(10000000);
+
+const updateRateLimitPlanBodySchema = Joi.object({
+  plan: Joi.string()
+    .valid(...Object.keys(config.rateLimiting.plans.definitions))
+    .required()
+    .messages({
+      'any.only': `plan must be one of: ${Object.keys(config.rateLimiting.plans.definitions).join(', ')}`,
+      'any.required': 'plan is required'
+    }),
+  overrides: Joi.object({
+    requestsPerMinute: rateLimitQuotaSchema,
+    callsPerDay: rateLimitQuotaSchema,
+    chatsPerDay: rateLimitQuotaSchema,
+    routeLimitMultiplier: Joi.number().min(0.1).max(100)
+  }).optional()
+});
+
+// Usage ledger and pricing
+const usageTypeSchema = Joi.string().valid('call', 'chat', 'phone_number_rental').messages({
+  'any.only': 'usageType must be one of: call, chat, phone_number_rental'
+});
+
+// A calendar month (YYYY-MM) or a startDate/endDate pair; the current month when omitted
+const usagePeriodQueryFields = {
+  month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).optional().messages({
+    'string.pattern.base': 'month must be in YYYY-MM format'
+  }),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+  usageType: usageTypeSchema.optional(),
+  agentId: Joi.string().max(100).optional()
+};
+
+const usagePeriodQuerySchema = (fields = {}) => Joi.object({ ...usagePeriodQueryFields, ...fields })
+  .and('startDate', 'endDate')
+  .without('month', ['startDate', 'endDate'])
+  .messages({
+    'object.and': 'startDate and endDate must be sent together',
+    'object.without': 'Send either month or startDate and endDate'
+  });
+
+const usageSummaryQuerySchema = usagePeriodQuerySchema();
+
+const usageRollupsQuerySchema = usagePeriodQuerySchema({
+  granularity: Joi.string().valid('day', 'month').optional()
+});
+
+const listUsageEntriesQuerySchema = usagePeriodQuerySchema({
+  limit: Joi.number().integer().min(1).max(500).optional(),
+  skip: Joi.number().integer().min(0).optional()
+});
+
+const exportUsageQuerySchema = usagePeriodQuerySchema({
+  report: Joi.string().valid('summary', 'daily', 'monthly', 'ledger').required().messages({
+    'any.only': 'report must be one of: summary, daily, monthly, ledger',
+    'any.required': 'report is required'
+  })
+});
+
+const markupPercentSchema = Joi.number().min(0).max(1000);
+
+const usageRateSchema = Joi.object({
+  markupPercent: markupPercentSchema,
+  unitPrice: Joi.number().min(0).max(1000)
+}).oxor('markupPercent', 'unitPrice').messages({
+  'object.oxor': 'A rate has either markupPercent or unitPrice'
+});
+
+const updateUsagePricingBodySchema = Joi.object({
+  markupPercent: markupPercentSchema.required().messages({
+    'any.required': 'markupPercent is required'
+  }),
+  rates: Joi.object({
+    call: usageRateSchema,
+    chat: usageRateSchema,
+    phone_number_rental: usageRateSchema
+  }).optional()
+});
+
+
+// Monthly spend limits
+const updateBudgetBodySchema = Joi.object({
+  monthlyLimit: Joi.number().greater(0).max(10000000).required().messages({
+    'number.greater': 'monthlyLimit must be greater than 0',
+    'any.required': 'monthlyLimit is required'
+  }),
+  alertThresholds: Joi.array().items(Joi.number().integer().min(1).max(100)).max(10).optional().messages({
+    'number.min': 'Alert thresholds are percentages between 1 and 100',
+    'number.max': 'Alert thresholds are percentages between 1 and 100'
+  }),
+  enforce: Joi.boolean().optional()
+});
+
 // Validation middleware factory
 const validate = (schema) => {
   return (req, res, next) => {
@@ -182,6 +834,29 @@ const validate = (schema) => {
   };
 };
 
+// Query validation middleware factory
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error } = schema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors
+      });
+    }
+
+    next();
+  };
+};
+
 // Parameter validation middleware
 const validateParam = (paramName, schema) => {
   return (req, res, next) => {
@@ -235,5 +910,47 @@ module.exports = {
   validateUpdateAgentDetailsBody: validate(updateAgentDetailsBodySchema),
   validateActivateChatAgentBody: validate(activateChatAgentBodySchema),
   validateUpdateAgentVoiceBody: validate(updateAgentVoiceBodySchema),
-  validateUpdateAgentLLMBody: validate(updateAgentLLMBodySchema)
+  validateUpdateAgentLLMBody: validate(updateAgentLLMBodySchema),
+  validateUpdateAgentVoiceSettingsBody: validate(updateAgentVoiceSettingsBodySchema),
+  validateTemplateId: validateParam('templateId', templateIdSchema),
+  validateCreateAgentTemplateBody: validate(createAgentTemplateBodySchema),
+  validateUpdateAgentTemplateBody: validate(updateAgentTemplateBodySchema),
+  validateRevision: validateParam('revision', revisionSchema),
+  validateListRevisionsQuery: validateQuery(listRevisionsQuerySchema),
+  validateRevisionDiffQuery: validateQuery(revisionDiffQuerySchema),
+  validateSchemaVersion: validateParam('version', schemaVersionSchema),
+  validateSaveSchemaBody: validate(saveSchemaBodySchema),
+  validateMigrationCheckBody: validate(migrationCheckBodySchema),
+  validateListSchemaVersionsQuery: validateQuery(listRevisionsQuerySchema),
+  validateSuppressionId: validateParam('suppressionId', suppressionIdSchema),
+  validateListSuppressionsQuery: validateQuery(listSuppressionsQuerySchema),
+  validateCheckSuppressionQuery: validateQuery(checkSuppressionQuerySchema),
+  validateAddSuppressionBody: validate(addSuppressionBodySchema),
+  validateImportSuppressionsBody: validate(importSuppressionsBodySchema),
+  validateContactId: validateParam('contactId', contactIdSchema),
+  validateListContactsQuery: validateQuery(listContactsQuerySchema),
+  validateLookupContactQuery: validateQuery(lookupContactQuerySchema),
+  validateCreateContactBody: validate(createContactBodySchema),
+  validateUpdateContactBody: validate(updateContactBodySchema),
+  validateMergeContactsBody: validate(mergeContactsBodySchema),
+  validateContactTimelineQuery: validateQuery(contactTimelineQuerySchema),
+  validateWebhookSubscriptionId: validateParam('subscriptionId', webhookSubscriptionIdSchema),
+  validateWebhookDeliveryId: validateParam('deliveryId', webhookDeliveryIdSchema),
+  validateCreateWebhookSubscriptionBody: validate(createWebhookSubscriptionBodySchema),
+  validateUpdateWebhookSubscriptionBody: validate(updateWebhookSubscriptionBodySchema),
+  validateListWebhookDeliveriesQuery: validateQuery(listWebhookDeliveriesQuerySchema),
+  validatePostCallFieldName: validateParam('fieldName', postCallFieldNameSchema),
+  validateAddPostCallFieldBody: validate(addPostCallFieldBodySchema),
+  validateUpdatePostCallFieldBody: validate(updatePostCallFieldBodySchema),
+  validateUpdatePostCallAnalysisBody: validate(updatePostCallAnalysisBodySchema),
+  validateUpdateSuccessCriteriaBody: validate(updateSuccessCriteriaBodySchema),
+  validateRecomputeSuccessRatesBody: validate(recomputeSuccessRatesBodySchema),
+  validateRecomputeJobId: validateParam('jobId', recomputeJobIdSchema),
+  validateUpdateRateLimitPlanBody: validate(updateRateLimitPlanBodySchema),
+  validateUsageSummaryQuery: validateQuery(usageSummaryQuerySchema),
+  validateUsageRollupsQuery: validateQuery(usageRollupsQuerySchema),
+  validateListUsageEntriesQuery: validateQuery(listUsageEntriesQuerySchema),
+  validateExportUsageQuery: validateQuery(exportUsageQuerySchema),
+  validateUpdateUsagePricingBody: validate(updateUsagePricingBodySchema),
+  validateUpdateBudgetBody: validate(updateBudgetBodySchema)
 }; 
\ No newline at end of file
@@ -0,0 +1,269 @@
+/**
+ * Minimal in-memory stand-in for a MongoDB collection.
+ * Supports the operators the services under test use; unique indexes raise E11000.
+ */
+
+const getPath = (document, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const matchesCondition = (value, condition) => {
+  if (condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date) &&
+      Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$in': return operand.some(item => (Array.isArray(value) ? value.some(v => isEqual(v, item)) : isEqual(value ?? null, item)));
+        case '$nin': return !operand.some(item => isEqual(value, item));
+        case '$ne': return Array.isArray(value) ? !value.some(v => isEqual(v, operand)) : !isEqual(value ?? null, operand);
+        case '$exists': return (value !== undefined) === operand;
+        case '$lt': return value != null && value < operand;
+        case '$lte': return value != null && value <= operand;
+        case '$gt': return value != null && value > operand;
+        case '$gte': return value != null && value >= operand;
+        case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, operand));
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  if (Array.isArray(value) && !Array.isArray(condition)) {
+    return value.some(item => isEqual(item, condition));
+  }
+  return isEqual(value ?? null, condition ?? null);
+};
+
+const matches = (document, query = {}) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(document, sub));
+  if (key === '$and') return condition.every(sub => matches(document, sub));
+  return matchesCondition(getPath(document, key), condition);
+});
+
+const setPath = (document, path, value) => {
+  const keys = path.split('.');
+  let target = document;
+  keys.slice(0, -1).forEach(key => {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+// Resolve `array.$.field` (first element matched by the query's $elemMatch) and
+// `array.$[name].field` (every element matched by the array filter) to concrete paths
+const resolvePaths = (document, path, { query = {}, arrayFilters = [] } = {}) => {
+  const positional = path.match(/^(.*?)\.\$(?:\[(\w+)\])?(?=\.|$)/);
+  if (!positional) return [path];
+
+  const [token, arrayPath, filterName] = positional;
+  const items = getPath(document, arrayPath) || [];
+  let indexes;
+  if (filterName) {
+    const filter = arrayFilters.find(candidate => Object.keys(candidate).some(key => key.startsWith(`${filterName}.`))) || {};
+    const itemQuery = Object.fromEntries(Object.entries(filter).map(([key, condition]) => [key.slice(filterName.length + 1), condition]));
+    indexes = items.map((item, index) => (matches(item, itemQuery) ? index : -1)).filter(index => index !== -1);
+  } else {
+    const elementQuery = query[arrayPath]?.$elemMatch || {};
+    indexes = [items.findIndex(item => matches(item, elementQuery))].filter(index => index !== -1);
+  }
+
+  return indexes.flatMap(index => resolvePaths(document, `${arrayPath}.${index}${path.slice(token.length)}`, { query, arrayFilters }));
+};
+
+const applyUpdate = (document, update, isInsert, context) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).flatMap(([field, value]) => resolvePaths(document, field, context).map(path => [path, value])).forEach(([path, value]) => {
+      switch (operator) {
+        case '$set': setPath(document, path, value); break;
+        case '$setOnInsert': if (isInsert) setPath(document, path, value); break;
+        case '$inc': setPath(document, path, (getPath(document, path) || 0) + value); break;
+        case '$unset': setPath(document, path, undefined); break;
+        case '$addToSet': {
+          const current = getPath(document, path) || [];
+          const items = value && value.$each ? value.$each : [value];
+          items.forEach(item => { if (!current.some(existing => isEqual(existing, item))) current.push(item); });
+          setPath(document, path, current);
+          break;
+        }
+        case '$push': setPath(document, path, [...(getPath(document, path) || []), value]); break;
+        case '$pull': setPath(document, path, (getPath(document, path) || []).filter(item => !matchesCondition(item, value))); break;
+        default: throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+};
+
+const sortDocuments = (documents, sort = {}) => [...documents].sort((a, b) => {
+  for (const [key, direction] of Object.entries(sort)) {
+    const left = getPath(a, key);
+    const right = getPath(b, key);
+    if (left === right) continue;
+    if (left == null) return -direction;
+    if (right == null) return direction;
+    return left < right ? -direction : direction;
+  }
+  return 0;
+});
+
+// Yield so concurrent callers interleave the way they would against a real server
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+class FakeCursor {
+  constructor(documents) {
+    this.documents = documents;
+  }
+
+  sort(sort) { this.documents = sortDocuments(this.documents, sort); return this; }
+  skip(count) { this.documents = this.documents.slice(count); return this; }
+  limit(count) { if (count) this.documents = this.documents.slice(0, count); return this; }
+  project() { return this; }
+  async toArray() { await tick(); return this.documents.map(document => structuredClone(document)); }
+}
+
+class FakeCollection {
+  constructor(documents = []) {
+    this.documents = documents.map(document => structuredClone(document));
+    this.uniqueIndexes = [];
+    this.indexes = [];
+    this.nextId = 1;
+  }
+
+  async createIndex(keys, options = {}) {
+    this.indexes.push({ keys, options });
+    if (options.unique) this.uniqueIndexes.push(Object.keys(keys));
+    return Object.keys(keys).join('_');
+  }
+
+  checkUnique(candidate, ignore) {
+    this.uniqueIndexes.forEach(fields => {
+      const clash = this.documents.some(document => document !== ignore &&
+        fields.every(field => isEqual(getPath(document, field) ?? null, getPath(candidate, field) ?? null)));
+      if (clash) {
+        const error = new Error(`E11000 duplicate key error (${fields.join(', ')})`);
+        error.code = 11000;
+        throw error;
+      }
+    });
+  }
+
+  find(query = {}) {
+    return new FakeCursor(this.documents.filter(document => matches(document, query)));
+  }
+
+  async findOne(query = {}, options = {}) {
+    await tick();
+    const [document] = sortDocuments(this.documents.filter(document => matches(document, query)), options.sort);
+    return document ? structuredClone(document) : null;
+  }
+
+  async insertOne(document) {
+    await tick();
+    const stored = { _id: document._id || `id_${this.nextId++}`, ...structuredClone(document) };
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    document._id = stored._id;
+    return { insertedId: stored._id };
+  }
+
+  async insertMany(documents) {
+    for (const document of documents) {
+      await this.insertOne(document);
+    }
+    return { insertedCount: documents.length };
+  }
+
+  upsertDocument(query, update) {
+    const created = {};
+    Object.entries(query).forEach(([key, value]) => {
+      if (!key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof Date)) setPath(created, key, value);
+    });
+    applyUpdate(created, update, true);
+    created._id = created._id || `id_${this.nextId++}`;
+    this.checkUnique(created);
+    this.documents.push(created);
+    return created;
+  }
+
+  async updateOne(query, update, options = {}) {
+    await tick();
+    const document = this.documents.find(candidate => matches(candidate, query));
+    if (!document) {
+      if (options.upsert) {
+        const created = this.upsertDocument(query, update);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+      }
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    }
+    const before = JSON.stringify(document);
+    const updated = structuredClone(document);
+    applyUpdate(updated, update, false, { query, arrayFilters: options.arrayFilters });
+    this.checkUnique(updated, document);
+    Object.assign(document, updated);
+    return { matchedCount: 1, modifiedCount: before === JSON.stringify(document) ? 0 : 1, upsertedCount: 0 };
+  }
+
+  async updateMany(query, update, options = {}) {
+    await tick();
+    const documents = this.documents.filter(candidate => matches(candidate, query));
+    documents.forEach(document => applyUpdate(document, update, false, { query, arrayFilters: options.arrayFilters }));
+    return { matchedCount: documents.length, modifiedCount: documents.length };
+  }
+
+  async findOneAndUpdate(query, update, options = {}) {
+    await tick();
+    let document = this.documents.find(candidate => matches(candidate, query));
+    if (!document) {
+      if (!options.upsert) return { value: null };
+      document = this.upsertDocument(query, update);
+      return { value: structuredClone(document) };
+    }
+    const before = structuredClone(document);
+    applyUpdate(document, update, false, { query, arrayFilters: options.arrayFilters });
+    return { value: structuredClone(options.returnDocument === 'after' ? document : before) };
+  }
+
+  async bulkWrite(operations) {
+    let modifiedCount = 0;
+    for (const { updateOne } of operations) {
+      const result = await this.updateOne(updateOne.filter, updateOne.update, updateOne);
+      modifiedCount += result.modifiedCount;
+    }
+    return { modifiedCount };
+  }
+
+  async deleteOne(query) {
+    await tick();
+    const index = this.documents.findIndex(document => matches(document, query));
+    if (index === -1) return { deletedCount: 0 };
+    this.documents.splice(index, 1);
+    return { deletedCount: 1 };
+  }
+
+  async deleteMany(query) {
+    await tick();
+    const before = this.documents.length;
+    this.documents = this.documents.filter(document => !matches(document, query));
+    return { deletedCount: before - this.documents.length };
+  }
+
+  async countDocuments(query = {}) {
+    await tick();
+    return this.documents.filter(document => matches(document, query)).length;
+  }
+}
+
+/**
+ * Fake tenant database: collection(name) returns the same FakeCollection per name
+ */
+class FakeDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new FakeCollection());
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = { FakeCollection, FakeDb, matches };
@@ -0,0 +1,28 @@
+/**
+ * Run an Express middleware against a fake request.
+ * @param {Function} middleware - (req, res, next) middleware
+ * @param {Object} req - Request fields (body, query, params, ...)
+ * @returns {{ next: boolean, status: number|null, body: Object|null, req: Object }}
+ */
+function runMiddleware(middleware, req = {}) {
+  const result = { next: false, status: null, body: null };
+  const request = { body: {}, query: {}, params: {}, headers: {}, ...req };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    }
+  };
+
+  middleware(request, res, () => {
+    result.next = true;
+  });
+
+  return { ...result, req: request };
+}
+
+module.exports = runMiddleware;
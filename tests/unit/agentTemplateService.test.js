@@ -0,0 +1,71 @@
+const AgentTemplateService = require('../../src/services/agentTemplateService');
+const { validateCreateAgentTemplateBody } = require('../../src/validators/databaseValidator');
+const runMiddleware = require('../helpers/runMiddleware');
+
+describe('AgentTemplateService.buildAgentConfig', () => {
+  it('maps template voice settings to Retell fields', () => {
+    const template = AgentTemplateService.withDefaults({
+      voiceSettings: { voiceId: '11labs-Myra', responsiveness: 0.5 }
+    });
+
+    const agentConfig = AgentTemplateService.buildAgentConfig(template, { name: 'Front desk', llmId: 'llm_1' });
+
+    expect(agentConfig.voice_id).toBe('11labs-Myra');
+    expect(agentConfig.responsiveness).toBe(0.5);
+    expect(agentConfig.language).toBe('en-US');
+    expect(agentConfig.voice_model).toBe('eleven_turbo_v2');
+  });
+
+  it('does not let voice settings override the response engine or agent name', () => {
+    const template = AgentTemplateService.withDefaults({
+      voiceSettings: {
+        voiceId: '11labs-Myra',
+        response_engine: { type: 'retell-llm', llm_id: 'llm_other' },
+        agent_name: 'Injected',
+        webhook_url: 'https://attacker.example'
+      }
+    });
+
+    const agentConfig = AgentTemplateService.buildAgentConfig(template, { name: 'Front desk', llmId: 'llm_1' });
+
+    expect(agentConfig.response_engine.llm_id).toBe('llm_1');
+    expect(agentConfig.agent_name).toBe('Front desk');
+    expect(agentConfig.webhook_url).toBeUndefined();
+  });
+});
+
+describe('agent template validation', () => {
+  it('rejects Retell fields in voiceSettings', () => {
+    const result = runMiddleware(validateCreateAgentTemplateBody, { body: {
+      name: 'Front desk',
+      voiceSettings: { response_engine: { llm_id: 'llm_other' } }
+    } });
+    expect(result.status).toBe(400);
+  });
+
+  it('applies the voice-settings limits', () => {
+    const result = runMiddleware(validateCreateAgentTemplateBody, { body: {
+      name: 'Front desk',
+      voiceSettings: { voiceSpeed: 5 }
+    } });
+    expect(result.status).toBe(400);
+  });
+
+  it('requires startingState when states are provided', () => {
+    const result = runMiddleware(validateCreateAgentTemplateBody, { body: {
+      name: 'Front desk',
+      states: [{ name: 'intake', state_prompt: 'Ask for the name' }]
+    } });
+    expect(result.status).toBe(400);
+    expect(result.body.errors[0].message).toBe('startingState is required when states are provided');
+  });
+
+  it('accepts custom states with a matching startingState', () => {
+    const result = runMiddleware(validateCreateAgentTemplateBody, { body: {
+      name: 'Front desk',
+      startingState: 'intake',
+      states: [{ name: 'intake', state_prompt: 'Ask for the name' }]
+    } });
+    expect(result.next).toBe(true);
+  });
+});
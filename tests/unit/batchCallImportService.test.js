@@ -0,0 +1,87 @@
+const BatchCallImportService = require('../../src/services/batchCallImportService');
+const { MAX_IMPORT_ROWS } = BatchCallImportService;
+
+describe('BatchCallImportService.buildTasks', () => {
+  const csvText = [
+    'Phone,First Name,Agent',
+    '(415) 777-4444,Ann,agent_a',
+    '+1 415 777 4444,Ann again,agent_a',
+    '123,Bob,',
+    '212-555-0100,Cy,',
+    '310 555 0199,Di,'
+  ].join('\n');
+
+  it('normalizes, de-duplicates and excludes numbers and reports every dropped row', () => {
+    const { tasks, report, mappingErrors } = BatchCallImportService.buildTasks({
+      csvText,
+      exclusionText: 'number\n+1 212 555 0100\n',
+      defaultCountryCode: '1',
+      defaultAgentId: 'agent_default'
+    });
+
+    expect(mappingErrors).toEqual([]);
+    expect(tasks).toEqual([
+      { row: 2, to_number: '+14157774444', agent_id: 'agent_a', retell_llm_dynamic_variables: { first_name: 'Ann' } },
+      { row: 6, to_number: '+13105550199', agent_id: 'agent_default', retell_llm_dynamic_variables: { first_name: 'Di' } }
+    ]);
+    expect(report).toMatchObject({
+      totalRows: 5,
+      validRows: 2,
+      mapping: { to_number: 'Phone', agent_id: 'Agent', dynamic_variables: { first_name: 'First Name' } },
+      duplicates: [{ row: 3, to_number: '+14157774444', firstRow: 2 }],
+      invalidNumbers: [{ row: 4, value: '123', reason: 'Phone number is not a valid E.164 number' }],
+      excluded: [{ row: 5, to_number: '+12125550100' }]
+    });
+  });
+
+  it('uses an explicit mapping and reports columns that do not exist', () => {
+    const { tasks } = BatchCallImportService.buildTasks({
+      csvText: 'Mobile,Company,Notes\n+14157774444,Acme,skip me',
+      mapping: { to_number: 'Mobile', dynamic_variables: { company: 'Company' } }
+    });
+    expect(tasks[0].retell_llm_dynamic_variables).toEqual({ company: 'Acme' });
+
+    const { mappingErrors } = BatchCallImportService.buildTasks({
+      csvText: 'Mobile,Company\n+14157774444,Acme',
+      mapping: { to_number: 'Cell', dynamic_variables: { company: 'Employer' } }
+    });
+    expect(mappingErrors).toEqual(["Column 'Cell' not found in CSV", "Column 'Employer' not found in CSV"]);
+  });
+
+  it('requires a phone column', () => {
+    const { tasks, mappingErrors } = BatchCallImportService.buildTasks({ csvText: 'Name\nAnn' });
+
+    expect(tasks).toEqual([]);
+    expect(mappingErrors).toEqual(['No phone number column found. Map one with mapping.to_number']);
+  });
+
+  it('rejects files over the row limit', () => {
+    const rows = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, index) => `+1415${String(index).padStart(7, '0')}`);
+    const { tasks, mappingErrors } = BatchCallImportService.buildTasks({ csvText: ['phone', ...rows].join('\n') });
+
+    expect(tasks).toEqual([]);
+    expect(mappingErrors).toEqual([`CSV has ${MAX_IMPORT_ROWS + 1} rows; the maximum is ${MAX_IMPORT_ROWS}`]);
+  });
+
+  it('moves unknown agents and suppressed numbers into the report', () => {
+    const { tasks, report } = BatchCallImportService.buildTasks({
+      csvText: 'phone,agent\n+14157774444,agent_a\n+14157775555,agent_x\n+14157776666,agent_a'
+    });
+
+    const known = BatchCallImportService.rejectUnknownAgents(tasks, report, new Set(['agent_a']));
+    const remaining = BatchCallImportService.rejectSuppressed(known, report, new Map([['+14157776666', { source: 'opt_out' }]]));
+
+    expect(remaining.map(task => task.to_number)).toEqual(['+14157774444']);
+    expect(report.rowErrors).toEqual([{ row: 3, field: 'agent_id', message: 'Agent agent_x not found' }]);
+    expect(report.suppressed).toEqual([{ row: 4, to_number: '+14157776666', source: 'opt_out' }]);
+    expect(report.validRows).toBe(1);
+    expect(report.preview).toEqual(remaining);
+  });
+});
+
+describe('BatchCallImportService.toVariableName', () => {
+  it('turns headers into snake_case variable names', () => {
+    expect(BatchCallImportService.toVariableName(' First Name ')).toBe('first_name');
+    expect(BatchCallImportService.toVariableName('Company (Legal)')).toBe('company_legal');
+  });
+});
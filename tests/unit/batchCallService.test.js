@@ -0,0 +1,155 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const BatchCallService = require('../../src/services/batchCallService');
+const { TASK_STATUSES, CAMPAIGN_STATUSES } = BatchCallService;
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('BatchCallService', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+  });
+
+  const createCampaign = async (numbers = ['+14155550001', '+14155550002', '+14155550003']) => {
+    const tasks = BatchCallService.assignTaskIds(numbers.map(to_number => ({ to_number })));
+    const campaign = BatchCallService.buildCampaignDocument({
+      batchCallId: 'batch_1',
+      name: 'Leads',
+      from_number: '+14155550100',
+      tasks,
+      subaccountId: 'sub_1',
+      userId: 'user_1',
+      operationId: 'op_1',
+      retellAccountId: 'acc_1'
+    });
+    await db.collection('batch_calls').insertOne(campaign);
+    return tasks.map(task => task.taskId);
+  };
+
+  const stored = () => db.collection('batch_calls').findOne({ batch_call_id: 'batch_1' });
+
+  const callFor = (taskId, fields) => ({
+    call_id: `call_${taskId}`,
+    batch_call_id: 'batch_1',
+    retell_llm_dynamic_variables: { batch_task_id: taskId },
+    ...fields
+  });
+
+  it('never cancels a task that was claimed for dialing', async () => {
+    const [first, second, third] = await createCampaign();
+
+    expect(await BatchCallService.claimTask('sub_1', 'batch_1', first)).toBe(true);
+    const result = await BatchCallService.cancelCampaign('sub_1', 'user_1', 'batch_1');
+
+    expect(result.cancelledCount).toBe(2);
+    expect(result.campaign.progress).toMatchObject({ queued: 0, ringing: 1, cancelled: 2, finished: 2 });
+
+    const campaign = await stored();
+    expect(campaign.status).toBe(CAMPAIGN_STATUSES.CANCELLED);
+    expect(campaign.tasks.map(task => task.status)).toEqual([TASK_STATUSES.RINGING, TASK_STATUSES.CANCELLED, TASK_STATUSES.CANCELLED]);
+    expect(await BatchCallService.claimTask('sub_1', 'batch_1', second)).toBe(false);
+    expect(await BatchCallService.claimTask('sub_1', 'batch_1', third)).toBe(false);
+  });
+
+  it('keeps cancelled tasks cancelled when a late call event arrives', async () => {
+    const [first] = await createCampaign(['+14155550001']);
+    await BatchCallService.cancelCampaign('sub_1', 'user_1', 'batch_1');
+
+    await BatchCallService.trackCallUpdate('sub_1', callFor(first, { to_number: '+14155550001', call_status: 'ongoing' }));
+
+    const campaign = await stored();
+    expect(campaign.tasks[0].status).toBe(TASK_STATUSES.CANCELLED);
+    expect(campaign.progress).toMatchObject({ cancelled: 1, answered: 0, finished: 1 });
+  });
+
+  it('does not move a task back to an earlier status', async () => {
+    const [first] = await createCampaign(['+14155550001', '+14155550002']);
+    await BatchCallService.claimTask('sub_1', 'batch_1', first);
+
+    await BatchCallService.trackCallUpdate('sub_1', callFor(first, { call_status: 'ended', disconnection_reason: 'user_hangup' }));
+    await BatchCallService.trackCallUpdate('sub_1', callFor(first, { call_status: 'registered' }));
+
+    const campaign = await stored();
+    expect(campaign.tasks[0].status).toBe(TASK_STATUSES.ANSWERED);
+    expect(campaign.progress).toMatchObject({ answered: 1, ringing: 0, queued: 1, finished: 1 });
+  });
+
+  it('keeps the counters consistent under concurrent webhook events', async () => {
+    const taskIds = await createCampaign(['+14155550001', '+14155550002', '+14155550003', '+14155550004']);
+    await Promise.all(taskIds.map(taskId => BatchCallService.claimTask('sub_1', 'batch_1', taskId)));
+
+    await Promise.all(taskIds.map((taskId, index) => BatchCallService.trackCallUpdate('sub_1', callFor(taskId, {
+      call_status: 'ended',
+      disconnection_reason: index % 2 === 0 ? 'voicemail_reached' : 'dial_no_answer'
+    }))));
+
+    const campaign = await stored();
+    expect(campaign.progress).toEqual(expect.objectContaining({
+      total: 4,
+      finished: 4,
+      queued: 0,
+      ringing: 0,
+      voicemail: 2,
+      failed: 2
+    }));
+    expect(campaign.progress).toEqual(expect.objectContaining(BatchCallService.countTasks(campaign.tasks)));
+    expect(campaign.status).toBe(CAMPAIGN_STATUSES.COMPLETED);
+  });
+
+  it('counts a task that failed without a call as finished', async () => {
+    const [first] = await createCampaign(['+14155550001']);
+
+    expect(await BatchCallService.failTask('sub_1', 'batch_1', first, 'recipient_suppressed')).toBe(true);
+
+    const campaign = await stored();
+    expect(campaign.tasks[0]).toMatchObject({ status: TASK_STATUSES.FAILED, error: 'recipient_suppressed' });
+    expect(campaign.status).toBe(CAMPAIGN_STATUSES.COMPLETED);
+  });
+
+  it('puts a task back in the queue after a dial error that will be retried', async () => {
+    const [first] = await createCampaign(['+14155550001']);
+    await BatchCallService.claimTask('sub_1', 'batch_1', first);
+
+    expect(await BatchCallService.releaseTask('sub_1', 'batch_1', first, 'concurrency_limit_reached')).toBe(true);
+
+    const campaign = await stored();
+    expect(campaign.tasks[0].status).toBe(TASK_STATUSES.QUEUED);
+    expect(campaign.progress).toMatchObject({ queued: 1, ringing: 0 });
+  });
+
+  it('refuses to cancel campaigns submitted to Retell as one batch', async () => {
+    await db.collection('batch_calls').insertOne({
+      batch_call_id: 'batch_1',
+      subaccountId: 'sub_1',
+      status: CAMPAIGN_STATUSES.IN_PROGRESS,
+      tasks: [{ to_number: '+14155550001' }]
+    });
+
+    const result = await BatchCallService.cancelCampaign('sub_1', 'user_1', 'batch_1');
+
+    expect(result.notCancellable).toBe(true);
+    expect((await stored()).status).toBe(CAMPAIGN_STATUSES.IN_PROGRESS);
+  });
+
+  it('migrates legacy campaigns before applying a call event', async () => {
+    await db.collection('batch_calls').insertOne({
+      batch_call_id: 'batch_1',
+      subaccountId: 'sub_1',
+      status: CAMPAIGN_STATUSES.IN_PROGRESS,
+      tasks: [{ to_number: '+14155550001' }, { to_number: '+14155550002' }]
+    });
+
+    const result = await BatchCallService.trackCallUpdate('sub_1', {
+      call_id: 'call_1',
+      batch_call_id: 'batch_1',
+      to_number: '+14155550002',
+      call_status: 'ongoing'
+    });
+
+    expect(result).toMatchObject({ taskId: 'legacy-1', status: TASK_STATUSES.ANSWERED });
+    expect((await stored()).progress).toMatchObject({ total: 2, queued: 1, answered: 1 });
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const config = require('../../config/config');
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const ActivityService = require('../../src/services/activityService');
+const BudgetService = require('../../src/services/budgetService');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('BudgetService', () => {
+  let db;
+  let costs;
+  let aggregateCosts;
+  let logActivity;
+
+  beforeEach(() => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+    costs = { calls: 0, chats: 0, total: 0, costedCalls: 0 };
+    // The fake collections cannot aggregate, so the monthly sums are set by each test
+    aggregateCosts = jest.spyOn(BudgetService, 'aggregateCosts').mockImplementation(async () => ({ ...costs }));
+    logActivity = jest.spyOn(ActivityService, 'logActivity').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const spend = (calls, costedCalls = 0) => {
+    costs = { calls, chats: 0, total: calls, costedCalls };
+  };
+
+  describe('checkAlerts', () => {
+    it('reports the highest threshold crossed and each threshold once per month', async () => {
+      await BudgetService.setBudget('sub_alerts', null, { monthlyLimit: 100 }, 'admin_1');
+
+      spend(85);
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+      expect(await BudgetService.checkAlerts('sub_alerts', null)).toEqual([
+        { scope: 'subaccount', agentId: null, threshold: 80, spend: 85 }
+      ]);
+      expect(await BudgetService.checkAlerts('sub_alerts', null)).toEqual([]);
+
+      spend(100);
+      Date.now.mockReturnValue(Date.now() + 61 * 1000);
+      expect(await BudgetService.checkAlerts('sub_alerts', null)).toEqual([
+        { scope: 'subaccount', agentId: null, threshold: 100, spend: 100 }
+      ]);
+
+      expect(logActivity).toHaveBeenCalledTimes(2);
+      expect(logActivity.mock.calls[0][0]).toMatchObject({ activityType: 'budget_threshold_reached', metadata: { threshold: 80 } });
+    });
+
+    it('alerts again after the budget is replaced', async () => {
+      spend(60);
+      await BudgetService.setBudget('sub_reset', null, { monthlyLimit: 100 }, 'admin_1');
+      expect(await BudgetService.checkAlerts('sub_reset', null)).toHaveLength(1);
+
+      await BudgetService.setBudget('sub_reset', null, { monthlyLimit: 100, alertThresholds: [25] }, 'admin_1');
+
+      expect(await BudgetService.checkAlerts('sub_reset', null)).toEqual([
+        expect.objectContaining({ threshold: 25 })
+      ]);
+    });
+  });
+
+  describe('checkBudget', () => {
+    it('blocks once an enforced limit is reached', async () => {
+      spend(99.99);
+      await BudgetService.setBudget('sub_block', null, { monthlyLimit: 100 }, 'admin_1');
+      expect(await BudgetService.checkBudget('sub_block', null, { action: 'phone_call' })).toBeNull();
+
+      spend(100);
+      await BudgetService.setBudget('sub_block', null, { monthlyLimit: 100 }, 'admin_1');
+      const blocked = await BudgetService.checkBudget('sub_block', null, { action: 'phone_call' });
+
+      expect(blocked).toMatchObject({ exceeded: true, budget: { exceeded: true, remaining: 0, currency: config.usage.currency } });
+      expect(logActivity).toHaveBeenCalledWith(expect.objectContaining({ activityType: 'budget_exceeded' }));
+    });
+
+    it('blocks an estimated cost that does not fit in what is left', async () => {
+      spend(90);
+      await BudgetService.setBudget('sub_batch', null, { monthlyLimit: 100 }, 'admin_1');
+
+      expect(await BudgetService.checkBudget('sub_batch', null, { action: 'batch_call', estimatedCost: 10 })).toBeNull();
+      const blocked = await BudgetService.checkBudget('sub_batch', null, { action: 'batch_call', estimatedCost: 12.5 });
+
+      expect(blocked).toMatchObject({ exceeded: false, budget: { remaining: 10 } });
+      expect(blocked.message).toContain('less than the estimated cost of 12.5');
+    });
+
+    it('ignores budgets that only alert', async () => {
+      spend(150);
+      await BudgetService.setBudget('sub_soft', null, { monthlyLimit: 100, enforce: false }, 'admin_1');
+
+      expect(await BudgetService.checkBudget('sub_soft', null, { action: 'chat', estimatedCost: 5 })).toBeNull();
+    });
+
+    it('reuses the spend of the month until the cache expires', async () => {
+      spend(10);
+      await BudgetService.setBudget('sub_cache', null, { monthlyLimit: 100 }, 'admin_1');
+      aggregateCosts.mockClear();
+
+      await BudgetService.checkBudget('sub_cache', null, { action: 'phone_call' });
+      await BudgetService.checkAlerts('sub_cache', null);
+      expect(aggregateCosts).not.toHaveBeenCalled();
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (config.budgets.spendCacheSeconds + 1) * 1000);
+      await BudgetService.checkBudget('sub_cache', null, { action: 'phone_call' });
+      expect(aggregateCosts).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('estimateCallCost', () => {
+    it('averages the costed calls of the month', async () => {
+      spend(12, 8);
+      expect(await BudgetService.estimateCallCost('sub_estimate')).toBe(1.5);
+    });
+
+    it('falls back to the default before any call has a cost', async () => {
+      expect(await BudgetService.estimateCallCost('sub_no_calls')).toBe(config.budgets.defaultCallCostEstimate);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const ActivityService = require('../../src/services/activityService');
+const ScheduledCallService = require('../../src/services/scheduledCallService');
+const CallController = require('../../src/controllers/callController');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('CallController.queueBatchCall', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+    jest.spyOn(ActivityService, 'logActivity').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const queue = () => CallController.queueBatchCall({
+    connection: { db },
+    from_number: '+14155550100',
+    name: 'Leads',
+    tasks: [
+      { to_number: '+12125550100', calling_hours: { decision: 'allowed' }, scheduledFor: new Date('2026-01-05T15:00:00Z') },
+      { to_number: '+14157774444', calling_hours: { decision: 'deferred' }, scheduledFor: new Date('2026-01-05T17:00:00Z') }
+    ],
+    timezone: 'America/New_York',
+    subaccountId: 'sub_1',
+    userId: 'user_1',
+    operationId: 'op_1',
+    retellAccountId: 'acc_1'
+  });
+
+  it('stores one campaign and queues every task at its own time', async () => {
+    const campaign = await queue();
+
+    const entries = await db.collection('scheduled_calls').find({ batchCallId: campaign.batch_call_id }).sort({ scheduledFor: 1 }).toArray();
+    expect(entries.map(entry => [entry.to_number, entry.scheduledFor.toISOString(), entry.source])).toEqual([
+      ['+12125550100', '2026-01-05T15:00:00.000Z', 'batch_call'],
+      ['+14157774444', '2026-01-05T17:00:00.000Z', 'batch_call']
+    ]);
+    expect(entries.map(entry => entry.batchTaskId)).toEqual(campaign.tasks.map(task => task.taskId));
+    expect(entries[0].retell_llm_dynamic_variables).toEqual({ batch_call_id: campaign.batch_call_id, batch_task_id: campaign.tasks[0].taskId });
+    expect(entries[0].retry.retryOn).toEqual([]);
+    expect(await db.collection('batch_calls').countDocuments({})).toBe(1);
+  });
+
+  it('cancels the campaign when its tasks cannot be queued', async () => {
+    jest.spyOn(ScheduledCallService, 'scheduleMany').mockRejectedValue(new Error('insert failed'));
+
+    await expect(queue()).rejects.toThrow('insert failed');
+
+    const campaign = await db.collection('batch_calls').findOne({});
+    expect(campaign.status).toBe('cancelled');
+    expect(campaign.tasks.map(task => task.status)).toEqual(['cancelled', 'cancelled']);
+  });
+});
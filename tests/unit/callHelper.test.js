@@ -0,0 +1,56 @@
+const { validateAnalysisFilter, matchesAnalysisFilter } = require('../../src/utils/callHelper');
+
+describe('validateAnalysisFilter', () => {
+  it('accepts values, value lists and known operators', () => {
+    expect(validateAnalysisFilter({
+      appointment_booked: true,
+      interest: ['high', 'medium'],
+      lead_score: { gte: 7, lte: 9 },
+      follow_up: { exists: true }
+    })).toBeNull();
+  });
+
+  it.each([
+    [null, 'custom_analysis_data filter must be an object'],
+    [['lead_score'], 'custom_analysis_data filter must be an object'],
+    ['lead_score', 'custom_analysis_data filter must be an object'],
+    [{ 'lead.score': 7 }, 'Invalid post-call analysis field "lead.score"'],
+    [{ $where: 'sleep(1000)' }, 'Invalid post-call analysis field "$where"'],
+    [{ lead_score: {} }, 'Filter for "lead_score" has no operator'],
+    [{ lead_score: { $gt: 7 } }, 'Unknown operator "$gt" for "lead_score". Use one of: eq, ne, gt, gte, lt, lte, in, exists, truthy']
+  ])('rejects %p', (filter, message) => {
+    expect(validateAnalysisFilter(filter)).toBe(message);
+  });
+});
+
+describe('matchesAnalysisFilter', () => {
+  const data = { appointment_booked: true, lead_score: 8, interest: 'high', notes: '', callback: 'false' };
+
+  it.each([
+    [{ appointment_booked: true }, true],
+    [{ appointment_booked: false }, false],
+    [{ interest: ['high', 'medium'] }, true],
+    [{ interest: ['low'] }, false],
+    [{ lead_score: { gte: 7, lte: 9 } }, true],
+    [{ lead_score: { gt: 8 } }, false],
+    [{ lead_score: { in: [7, 8] } }, true],
+    [{ interest: { ne: 'low' } }, true],
+    [{ notes: { exists: true } }, true],
+    [{ missing: { exists: true } }, false],
+    [{ notes: { truthy: true } }, false],
+    [{ callback: { truthy: true } }, false],
+    [{ appointment_booked: true, lead_score: { lt: 5 } }, false],
+    [{}, true]
+  ])('%p matches: %p', (filter, expected) => {
+    expect(matchesAnalysisFilter(data, filter)).toBe(expected);
+  });
+
+  it('only compares numbers with range operators', () => {
+    expect(matchesAnalysisFilter({ lead_score: '8' }, { lead_score: { gte: 7 } })).toBe(false);
+  });
+
+  it('treats calls without analysis data as having no fields', () => {
+    expect(matchesAnalysisFilter(undefined, { appointment_booked: true })).toBe(false);
+    expect(matchesAnalysisFilter(null, { appointment_booked: { ne: true } })).toBe(true);
+  });
+});
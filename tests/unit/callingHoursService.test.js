@@ -0,0 +1,102 @@
+const CallingHoursService = require('../../src/services/callingHoursService');
+const { MODES, DECISIONS, DEFAULT_SETTINGS } = CallingHoursService;
+
+const settings = (overrides = {}) => ({
+  ...DEFAULT_SETTINGS,
+  enabled: true,
+  windows: [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }],
+  ...overrides
+});
+
+// 2026-01-05 is a Monday
+const at = iso => new Date(iso);
+
+describe('CallingHoursService.resolveTimezones', () => {
+  it('uses the area code for +1 numbers', () => {
+    expect(CallingHoursService.resolveTimezones('+14157774444')).toMatchObject({
+      callingCode: '1',
+      countryCode: 'US',
+      areaCode: '415',
+      timezones: ['America/Los_Angeles'],
+      source: 'area_code'
+    });
+    expect(CallingHoursService.resolveTimezones('+18505550100').timezones).toEqual(['America/Chicago', 'America/New_York']);
+  });
+
+  it('uses every timezone of the country for other numbers', () => {
+    expect(CallingHoursService.resolveTimezones('+442079460958')).toMatchObject({
+      callingCode: '44',
+      countryCode: 'GB',
+      timezones: ['Europe/London'],
+      source: 'country'
+    });
+    expect(CallingHoursService.resolveTimezones('+61291234567').timezones.length).toBeGreaterThan(1);
+  });
+
+  it('resolves nothing for numbers that are not E.164', () => {
+    expect(CallingHoursService.resolveTimezones('4157774444')).toMatchObject({ callingCode: null, timezones: [] });
+  });
+});
+
+describe('CallingHoursService.evaluate', () => {
+  it('does not enforce anything when disabled', () => {
+    const decision = CallingHoursService.evaluate({ ...DEFAULT_SETTINGS }, '+14157774444', { at: at('2026-01-05T03:00:00Z') });
+    expect(decision).toMatchObject({ allowed: true, decision: DECISIONS.NOT_ENFORCED });
+  });
+
+  it('checks the window in the callee\'s local time', () => {
+    // 17:30 UTC is 09:30 in Los Angeles and 12:30 in New York
+    expect(CallingHoursService.evaluate(settings(), '+14157774444', { at: at('2026-01-05T17:30:00Z') }).allowed).toBe(true);
+    // 14:30 UTC is 06:30 in Los Angeles
+    const decision = CallingHoursService.evaluate(settings(), '+14157774444', { at: at('2026-01-05T14:30:00Z') });
+    expect(decision).toMatchObject({
+      allowed: false,
+      decision: DECISIONS.REJECTED,
+      reason: 'outside_calling_window',
+      nextAllowedAt: at('2026-01-05T17:00:00Z')
+    });
+  });
+
+  it('requires every timezone of a split area code to be inside the window', () => {
+    // 14:30 UTC is 09:30 in New York but 08:30 in Chicago
+    const decision = CallingHoursService.evaluate(settings({ mode: MODES.DEFER }), '+18505550100', { at: at('2026-01-05T14:30:00Z') });
+    expect(decision).toMatchObject({ allowed: false, decision: DECISIONS.DEFERRED, nextAllowedAt: at('2026-01-05T15:00:00Z') });
+  });
+
+  it('skips weekends and blackout dates when looking for the next allowed time', () => {
+    const decision = CallingHoursService.evaluate(
+      settings({ mode: MODES.DEFER, blackoutDates: [{ date: '2026-01-12' }] }),
+      '+442079460958',
+      { at: at('2026-01-09T17:30:00Z') } // Friday after the window
+    );
+    expect(decision).toMatchObject({ decision: DECISIONS.DEFERRED, nextAllowedAt: at('2026-01-13T09:00:00Z') });
+
+    const blackout = CallingHoursService.evaluate(settings({ blackoutDates: [{ date: '2026-01-05' }] }), '+442079460958', { at: at('2026-01-05T12:00:00Z') });
+    expect(blackout).toMatchObject({ allowed: false, reason: 'blackout_date' });
+  });
+
+  it('falls back to the subaccount timezone for numbers without a known timezone', () => {
+    const decision = CallingHoursService.evaluate(settings(), '+999123456789', {
+      at: at('2026-01-05T12:00:00Z'),
+      fallbackTimezone: 'Asia/Tokyo' // 21:00 local
+    });
+    expect(decision).toMatchObject({ allowed: false, timezones: ['Asia/Tokyo'], timezoneSource: 'subaccount' });
+
+    const rejected = CallingHoursService.evaluate(settings({ unknownTimezone: 'reject' }), '+999123456789', { at: at('2026-01-05T12:00:00Z') });
+    expect(rejected).toMatchObject({ allowed: false, decision: DECISIONS.REJECTED, reason: 'unknown_timezone' });
+  });
+});
+
+describe('CallingHoursService.evaluateTasks', () => {
+  it('splits tasks into allowed, deferred and rejected', () => {
+    const result = CallingHoursService.evaluateTasks(
+      settings({ mode: MODES.DEFER, unknownTimezone: 'reject' }),
+      [{ to_number: '+12125550100' }, { to_number: '+14157774444' }, { to_number: '+999123456789' }],
+      { at: at('2026-01-05T15:30:00Z') } // 10:30 in New York, 07:30 in Los Angeles
+    );
+
+    expect(result.allowed.map(({ task }) => task.to_number)).toEqual(['+12125550100']);
+    expect(result.deferred.map(({ task }) => task.to_number)).toEqual(['+14157774444']);
+    expect(result.rejected.map(({ task }) => task.to_number)).toEqual(['+999123456789']);
+  });
+});
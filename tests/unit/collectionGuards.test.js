@@ -0,0 +1,55 @@
+const schemaValidationService = require('../../src/services/schemaValidationService');
+const { validateCollectionName } = require('../../src/validators/databaseValidator');
+const runMiddleware = require('../helpers/runMiddleware');
+
+describe('validateCollectionName', () => {
+  it.each(['orders', 'customer_notes'])('accepts tenant collection %s', (collection) => {
+    expect(runMiddleware(validateCollectionName, { params: { collection } }).next).toBe(true);
+  });
+
+  it.each(['agents', 'llms', 'calls', 'usage_ledger', 'budgets', 'webhook_subscriptions', 'scheduled_calls', 'schema_registry', 'success_recompute_jobs'])(
+    'rejects internal collection %s',
+    (collection) => {
+      const result = runMiddleware(validateCollectionName, { params: { collection } });
+      expect(result.next).toBe(false);
+      expect(result.status).toBe(400);
+      expect(result.body.details).toMatch(/managed by the server/);
+    }
+  );
+
+  it('rejects names outside the allowed pattern', () => {
+    expect(runMiddleware(validateCollectionName, { params: { collection: 'system.users' } }).status).toBe(400);
+  });
+});
+
+describe('schemaValidationService.validatePipeline', () => {
+  beforeEach(() => {
+    jest.spyOn(schemaValidationService, 'getSchema').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const validate = (pipeline) => schemaValidationService.validatePipeline('sub_1', 'orders', pipeline);
+
+  it('accepts a pipeline on the collection itself', async () => {
+    const result = await validate([{ $match: { status: 'open' } }, { $group: { _id: '$status', total: { $sum: 1 } } }]);
+    expect(result.valid).toBe(true);
+  });
+
+  it('rejects $lookup', async () => {
+    const result = await validate([{ $lookup: { from: 'agents', localField: 'a', foreignField: 'b', as: 'c' } }]);
+    expect(result.valid).toBe(false);
+  });
+
+  it.each([
+    [{ $lookup: { from: 'llms', pipeline: [], as: 'llms' } }],
+    [{ $unionWith: 'calls' }],
+    [{ $graphLookup: { from: 'agents', startWith: '$a', connectFromField: 'a', connectToField: 'b', as: 'c' } }]
+  ])('rejects %j inside $facet', async (stage) => {
+    const result = await validate([{ $facet: { leak: [stage] } }]);
+    expect(result.valid).toBe(false);
+    expect(result.code).toBe('OPERATOR_NOT_ALLOWED');
+  });
+});
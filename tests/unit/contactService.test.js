@@ -0,0 +1,59 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const { ObjectId } = require('mongodb');
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const ContactService = require('../../src/services/contactService');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('ContactService.merge', () => {
+  let db;
+  let contacts;
+  // The fake collection stores IDs as hex strings; they match ObjectId queries by value
+  const targetId = new ObjectId().toHexString();
+  const sourceId = new ObjectId().toHexString();
+
+  beforeEach(async () => {
+    db = new FakeDb();
+    contacts = db.collection('contacts');
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+
+    await contacts.insertMany([
+      { _id: targetId, subaccountId: 'sub_1', name: 'Ada', identityKeys: ['phone:+14155550100'], channels: ['phone'], tags: ['vip'] },
+      { _id: sourceId, subaccountId: 'sub_1', name: null, identityKeys: ['email:ada@example.com'], channels: ['web'], tags: ['lead'] }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves the identities to the target and deletes the sources', async () => {
+    const merged = await ContactService.merge('sub_1', 'user_1', targetId, [sourceId]);
+
+    expect(merged).toMatchObject({
+      identityKeys: ['phone:+14155550100', 'email:ada@example.com'],
+      channels: ['phone', 'web'],
+      tags: ['vip', 'lead'],
+      mergedContactIds: [sourceId]
+    });
+    expect(await contacts.countDocuments({})).toBe(1);
+  });
+
+  it('keeps the sources when the target cannot be updated', async () => {
+    jest.spyOn(contacts, 'updateOne').mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(ContactService.merge('sub_1', 'user_1', targetId, [sourceId])).rejects.toThrow('connection reset');
+
+    const source = await contacts.findOne({ _id: sourceId });
+    expect(source).toMatchObject({ tags: ['lead'], identityKeys: [] });
+  });
+
+  it('creates the contact indexes once per connection', async () => {
+    const createIndex = jest.spyOn(contacts, 'createIndex');
+
+    await ContactService.getCollection('sub_1', 'user_1');
+    await ContactService.getCollection('sub_1', 'user_1');
+
+    expect(createIndex).toHaveBeenCalledTimes(2);
+  });
+});
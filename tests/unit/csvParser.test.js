@@ -0,0 +1,49 @@
+const { parseCsv, detectDelimiter, stringifyCsv } = require('../../src/utils/csvParser');
+
+describe('parseCsv', () => {
+  it('parses quoted fields with delimiters, escaped quotes and line breaks', () => {
+    const { headers, rows } = parseCsv('Phone,Note\r\n+14157774444,"Said ""call me"", later"\r\n+14157775555,"line one\nline two"\r\n');
+
+    expect(headers).toEqual(['Phone', 'Note']);
+    expect(rows).toEqual([
+      { rowNumber: 2, values: { Phone: '+14157774444', Note: 'Said "call me", later' } },
+      { rowNumber: 3, values: { Phone: '+14157775555', Note: 'line one\nline two' } }
+    ]);
+  });
+
+  it('strips the BOM, trims values and skips blank lines', () => {
+    const { headers, rows } = parseCsv('\uFEFF Phone , Name \n\n +14157774444 , Ann \n,\n');
+
+    expect(headers).toEqual(['Phone', 'Name']);
+    expect(rows).toEqual([{ rowNumber: 3, values: { Phone: '+14157774444', Name: 'Ann' } }]);
+  });
+
+  it('fills missing trailing columns with empty values', () => {
+    const { rows } = parseCsv('Phone,Name,Company\n+14157774444,Ann');
+
+    expect(rows[0].values).toEqual({ Phone: '+14157774444', Name: 'Ann', Company: '' });
+  });
+
+  it('detects semicolon and tab delimiters from the header', () => {
+    expect(detectDelimiter('Phone;Name;Company\n+1;"a,b";c')).toBe(';');
+    expect(detectDelimiter('Phone\tName\n+1\tAnn')).toBe('\t');
+    expect(detectDelimiter('Phone')).toBe(',');
+
+    expect(parseCsv('Phone;Name\n+14157774444;Doe, Ann').rows[0].values).toEqual({ Phone: '+14157774444', Name: 'Doe, Ann' });
+  });
+
+  it('returns no rows for empty input', () => {
+    expect(parseCsv('')).toEqual({ headers: [], rows: [] });
+    expect(parseCsv(null)).toEqual({ headers: [], rows: [] });
+  });
+});
+
+describe('stringifyCsv', () => {
+  it('quotes fields that need it and round-trips through the parser', () => {
+    const rows = [{ name: 'Doe, "Ann"', note: 'a\nb', createdAt: new Date('2026-01-02T03:04:05.000Z'), empty: null }];
+    const csv = stringifyCsv(['name', 'note', 'createdAt', 'empty'], rows);
+
+    expect(csv).toBe('name,note,createdAt,empty\r\n"Doe, ""Ann""","a\nb",2026-01-02T03:04:05.000Z,\r\n');
+    expect(parseCsv(csv).rows[0].values).toEqual({ name: 'Doe, "Ann"', note: 'a\nb', createdAt: '2026-01-02T03:04:05.000Z', empty: '' });
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const ActivityService = require('../../src/services/activityService');
+const HandoffService = require('../../src/services/handoffService');
+const { MODES } = HandoffService;
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('HandoffService.detectHumanRequest', () => {
+  it('detects requests for a person', () => {
+    [
+      'Can I talk to a human please?',
+      'I want a real person',
+      'could I have a representative',
+      "I don't like this bot. Let me speak to someone",
+      'No, speak with a live agent'
+    ].forEach(text => expect(HandoffService.detectHumanRequest(text)).toBe(true));
+  });
+
+  it('ignores negated requests', () => {
+    [
+      "I don't want to talk to a human",
+      'I don’t need to speak to someone, thanks',
+      'No need to talk to a person',
+      'You are not a real person, right?',
+      'I never asked to chat with an agent'
+    ].forEach(text => expect(HandoffService.detectHumanRequest(text)).toBe(false));
+  });
+});
+
+describe('HandoffService claims', () => {
+  let chats;
+
+  beforeEach(async () => {
+    const db = new FakeDb();
+    chats = db.collection('chats');
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+    jest.spyOn(ActivityService, 'logActivity').mockResolvedValue(null);
+
+    await chats.insertOne({
+      chat_id: 'chat_1',
+      subaccountId: 'sub_1',
+      agent_id: 'agent_1',
+      chat_status: 'ongoing',
+      metadata: { channel: 'whatsapp', whatsapp_phone: '14155550100' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only one of two concurrent claims win', async () => {
+    const results = await Promise.allSettled([
+      HandoffService.claim('sub_1', 'user_a', 'chat_1'),
+      HandoffService.claim('sub_1', 'user_b', 'chat_1')
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('HANDOFF_ALREADY_CLAIMED');
+    const { handoff } = await chats.findOne({ chat_id: 'chat_1' });
+    expect(handoff.assignedTo).toBe(results[0].status === 'fulfilled' ? 'user_a' : 'user_b');
+  });
+
+  it('does not overwrite a claim made after a forced takeover read the chat', async () => {
+    await HandoffService.claim('sub_1', 'user_a', 'chat_1');
+    const chatDocument = await chats.findOne({ chat_id: 'chat_1' });
+    await chats.updateOne({ chat_id: 'chat_1' }, { $set: { 'handoff.assignedTo': 'user_c' } });
+
+    await expect(HandoffService.saveHandoff('sub_1', 'user_b', chatDocument, { mode: MODES.HUMAN, assignedTo: 'user_b' }, { force: true }))
+      .rejects.toMatchObject({ code: 'HANDOFF_ALREADY_CLAIMED', handoff: { assignedTo: 'user_c' } });
+  });
+
+  it('only releases or pauses a claimed conversation for its assignee or with force', async () => {
+    await HandoffService.claim('sub_1', 'user_a', 'chat_1');
+
+    await expect(HandoffService.release('sub_1', 'user_b', 'chat_1')).rejects.toMatchObject({ code: 'HANDOFF_ALREADY_CLAIMED' });
+    await expect(HandoffService.setMode('sub_1', 'user_b', 'chat_1', MODES.PAUSED)).rejects.toMatchObject({ code: 'HANDOFF_ALREADY_CLAIMED' });
+
+    expect(await HandoffService.setMode('sub_1', 'user_b', 'chat_1', MODES.PAUSED, { force: true })).toMatchObject({ mode: MODES.PAUSED, assignedTo: null });
+    expect(await HandoffService.release('sub_1', 'user_a', 'chat_1')).toMatchObject({ mode: MODES.BOT });
+  });
+});
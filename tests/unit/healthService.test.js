@@ -0,0 +1,65 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn(), pingPools: jest.fn() }));
+
+const axios = require('axios');
+const config = require('../../config/config');
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const redisService = require('../../src/services/redisService');
+const platformStore = require('../../src/services/platformStore');
+const HealthService = require('../../src/services/healthService');
+const { STATUSES } = HealthService;
+
+describe('HealthService.getReadiness', () => {
+  const originalUri = config.platformDatabase.mongoUri;
+  let get;
+
+  beforeEach(() => {
+    config.platformDatabase.mongoUri = 'mongodb://platform.example.com/platform';
+    connectionPoolManager.pingPools.mockResolvedValue([{ subaccountId: 'sub_1', ok: true }]);
+    get = jest.spyOn(axios, 'get').mockResolvedValue({ status: 200 });
+    jest.spyOn(platformStore, 'ping').mockResolvedValue(true);
+    jest.spyOn(redisService, 'ping').mockResolvedValue(true);
+    jest.replaceProperty(redisService, 'isConnected', true);
+  });
+
+  afterEach(() => {
+    config.platformDatabase.mongoUri = originalUri;
+    jest.restoreAllMocks();
+  });
+
+  it('is up when every dependency answers', async () => {
+    const readiness = await HealthService.getReadiness();
+
+    expect(readiness.status).toBe(STATUSES.UP);
+    expect(Object.keys(readiness.checks)).toEqual(['tenantDatabases', 'platformDatabase', 'authServer', 'tenantManager', 'redis']);
+  });
+
+  it('is only degraded when shared services are down', async () => {
+    get.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    platformStore.ping.mockRejectedValue(new Error('Platform database not connected'));
+
+    const readiness = await HealthService.getReadiness();
+
+    expect(readiness.status).toBe(STATUSES.DEGRADED);
+    ['platformDatabase', 'authServer', 'tenantManager'].forEach(name => {
+      expect(readiness.checks[name]).toMatchObject({ status: STATUSES.DOWN, critical: false });
+    });
+  });
+
+  it('is down when every tenant connection fails', async () => {
+    connectionPoolManager.pingPools.mockResolvedValue([{ subaccountId: 'sub_1', ok: false, error: 'timeout' }]);
+
+    const readiness = await HealthService.getReadiness();
+
+    expect(readiness.status).toBe(STATUSES.DOWN);
+    expect(readiness.checks.tenantDatabases).toMatchObject({ status: STATUSES.DOWN, critical: true });
+  });
+
+  it('does not ping a platform database that is not configured', async () => {
+    config.platformDatabase.mongoUri = '';
+
+    const readiness = await HealthService.getReadiness();
+
+    expect(platformStore.ping).not.toHaveBeenCalled();
+    expect(readiness.checks.platformDatabase).toMatchObject({ status: STATUSES.UP, message: 'Not configured, platform state is kept in memory' });
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const InboxService = require('../../src/services/inboxService');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('InboxService cursor', () => {
+  let chats;
+
+  beforeEach(async () => {
+    chats = new FakeDb().collection('chats');
+    // inbox_activity_at as computed by the listConversations pipeline
+    await chats.insertMany([
+      { chat_id: 'chat_a', inbox_activity_at: new Date('2026-10-19T10:00:00Z') },
+      { chat_id: 'chat_b', inbox_activity_at: new Date('2026-10-19T09:00:00Z') },
+      { chat_id: 'chat_c', inbox_activity_at: new Date('2026-10-19T09:00:00Z') },
+      { chat_id: 'chat_d', inbox_activity_at: null },
+      { chat_id: 'chat_e' }
+    ]);
+  });
+
+  const after = async conversation => {
+    const position = InboxService.decodeCursor(InboxService.encodeCursor(conversation));
+    const rows = await chats.find(InboxService.buildCursorQuery(position)).toArray();
+    return rows.map(row => row.chat_id).sort();
+  };
+
+  it('continues after a dated conversation, including the ones without a timestamp', async () => {
+    expect(await after({ id: 'chat_c', lastActivityAt: '2026-10-19T09:00:00.000Z' })).toEqual(['chat_b', 'chat_d', 'chat_e']);
+  });
+
+  it('pages through conversations without a timestamp by chat ID', async () => {
+    expect(await after({ id: 'chat_e', lastActivityAt: null })).toEqual(['chat_d']);
+    expect(await after({ id: 'chat_d', lastActivityAt: null })).toEqual([]);
+  });
+});
+
+describe('InboxService search index', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates the search index once per connection', async () => {
+    const db = new FakeDb();
+    const createIndex = jest.spyOn(db.collection('chats'), 'createIndex');
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+
+    await InboxService.getCollection('sub_1', 'user_1');
+    await InboxService.getCollection('sub_1', 'user_1');
+    expect(createIndex).toHaveBeenCalledTimes(1);
+    expect(createIndex.mock.calls[0][1]).toMatchObject({ name: 'inbox_search' });
+
+    // A new connection (pool recreated) creates it again
+    const otherDb = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db: otherDb } });
+    const otherCreateIndex = jest.spyOn(otherDb.collection('chats'), 'createIndex');
+    await InboxService.getCollection('sub_1', 'user_1');
+    expect(otherCreateIndex).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries the index after a failure and still returns the collection', async () => {
+    const db = new FakeDb();
+    const createIndex = jest.spyOn(db.collection('chats'), 'createIndex')
+      .mockRejectedValueOnce(new Error('Index already exists with different options'));
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+
+    expect(await InboxService.getCollection('sub_1', 'user_1')).toBe(db.collection('chats'));
+    await InboxService.getCollection('sub_1', 'user_1');
+    expect(createIndex).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const LlmRevisionService = require('../../src/services/llmRevisionService');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('LlmRevisionService.recordRevision', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+  });
+
+  const record = (changes, previousConfig = { beginMessage: 'Hi', generalPrompt: 'Be nice', model: 'gpt-4o' }) =>
+    LlmRevisionService.recordRevision({
+      subaccountId: 'sub_1',
+      userId: 'user_1',
+      agentId: 'agent_1',
+      agentType: 'voice',
+      llmId: 'llm_1',
+      previousConfig,
+      changes,
+      operationId: 'op_1'
+    });
+
+  it('stores a baseline before the first change', async () => {
+    const revision = await record({ model: 'gpt-4.1' });
+
+    expect(revision.revision).toBe(2);
+    const stored = await db.collection('llm_revisions').find({}).sort({ revision: 1 }).toArray();
+    expect(stored.map(entry => entry.source)).toEqual(['baseline', 'update']);
+    expect(stored[0].config.model).toBe('gpt-4o');
+  });
+
+  it('records nothing when no tracked field changed', async () => {
+    expect(await record({ model: 'gpt-4o' })).toBeNull();
+    expect(await db.collection('llm_revisions').countDocuments({})).toBe(0);
+  });
+
+  it('keeps every concurrent update by retrying on a taken revision number', async () => {
+    const results = await Promise.all([
+      record({ model: 'gpt-4.1' }),
+      record({ generalPrompt: 'Be brief' }),
+      record({ beginMessage: 'Hello' })
+    ]);
+
+    const stored = await db.collection('llm_revisions').find({}).sort({ revision: 1 }).toArray();
+    expect(results.every(Boolean)).toBe(true);
+    expect(stored.map(entry => entry.revision)).toEqual([1, 2, 3, 4]);
+    expect(stored.filter(entry => entry.source === 'baseline')).toHaveLength(1);
+  });
+
+  it('rethrows errors other than duplicate keys', async () => {
+    const collection = db.collection('llm_revisions');
+    collection.insertOne = jest.fn().mockRejectedValue(new Error('not primary'));
+
+    await expect(record({ model: 'gpt-4.1' })).rejects.toThrow('not primary');
+    expect(collection.insertOne).toHaveBeenCalledTimes(1);
+  });
+});
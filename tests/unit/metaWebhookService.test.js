@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const platformStore = require('../../src/services/platformStore');
+const MetaWebhookService = require('../../src/services/metaWebhookService');
+const { CHANNELS } = MetaWebhookService;
+const instagramService = require('../../src/services/instagramService');
+const InstagramController = require('../../src/controllers/instagramController');
+const { verifyMetaSignature } = require('../../src/utils/webhookSignature');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+const APP_SECRET = 'meta-app-secret';
+const sign = (body, secret = APP_SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('verifyMetaSignature', () => {
+  const body = Buffer.from(JSON.stringify({ object: 'instagram', entry: [{ id: 'ig_1' }] }));
+
+  it('accepts the HMAC of the raw body', () => {
+    expect(verifyMetaSignature(body, sign(body), APP_SECRET)).toBe(true);
+  });
+
+  it('rejects a changed body, another secret and malformed headers', () => {
+    const changed = Buffer.from(body.toString().replace('ig_1', 'ig_2'));
+
+    expect(verifyMetaSignature(changed, sign(body), APP_SECRET)).toBe(false);
+    expect(verifyMetaSignature(body, sign(body, 'other-secret'), APP_SECRET)).toBe(false);
+    expect(verifyMetaSignature(body, sign(body).slice('sha256='.length), APP_SECRET)).toBe(false);
+    expect(verifyMetaSignature(body, 'sha256=abc', APP_SECRET)).toBe(false);
+    expect(verifyMetaSignature(body, undefined, APP_SECRET)).toBe(false);
+    expect(verifyMetaSignature(body, sign(body), '')).toBe(false);
+  });
+});
+
+describe('MetaWebhookService', () => {
+  let platformDb;
+
+  beforeEach(() => {
+    platformDb = new FakeDb();
+    jest.spyOn(platformStore, 'getCollection').mockImplementation(async (name, indexes = []) => {
+      const collection = platformDb.collection(name);
+      for (const [keys, options] of indexes) {
+        await collection.createIndex(keys, options);
+      }
+      return collection;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores routes in the platform database and lets the latest connection win', async () => {
+    await MetaWebhookService.registerRoute(CHANNELS.INSTAGRAM, 'ig_1', 'sub_1', 'agent_1');
+    await MetaWebhookService.registerRoute(CHANNELS.INSTAGRAM, 'ig_1', 'sub_2', 'agent_2');
+
+    expect(await MetaWebhookService.resolveRoute(CHANNELS.INSTAGRAM, 'ig_1')).toEqual({ subaccountId: 'sub_2', agentId: 'agent_2' });
+    expect(await MetaWebhookService.resolveRoute(CHANNELS.WHATSAPP, 'ig_1')).toBeNull();
+    expect(await platformDb.collection('meta_webhook_routes').countDocuments({})).toBe(1);
+  });
+
+  it('only removes a route that still points to the disconnecting agent', async () => {
+    await MetaWebhookService.registerRoute(CHANNELS.WHATSAPP, 'pn_1', 'sub_2', 'agent_2');
+
+    await MetaWebhookService.unregisterRoute(CHANNELS.WHATSAPP, 'pn_1', 'sub_1', 'agent_1');
+    expect(await MetaWebhookService.resolveRoute(CHANNELS.WHATSAPP, 'pn_1')).toEqual({ subaccountId: 'sub_2', agentId: 'agent_2' });
+
+    await MetaWebhookService.unregisterRoute(CHANNELS.WHATSAPP, 'pn_1', 'sub_2', 'agent_2');
+    expect(await MetaWebhookService.resolveRoute(CHANNELS.WHATSAPP, 'pn_1')).toBeNull();
+  });
+
+  it('claims each message once, also when deliveries arrive concurrently', async () => {
+    const claims = await Promise.all([
+      MetaWebhookService.claimEvent(CHANNELS.WHATSAPP, 'msg:wamid.1'),
+      MetaWebhookService.claimEvent(CHANNELS.WHATSAPP, 'msg:wamid.1')
+    ]);
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    expect(await MetaWebhookService.claimEvent(CHANNELS.WHATSAPP, 'msg:wamid.1')).toBe(false);
+    expect(await MetaWebhookService.claimEvent(CHANNELS.INSTAGRAM, 'msg:wamid.1')).toBe(true);
+  });
+
+  it('claims events in memory when the platform database is not connected', async () => {
+    platformStore.getCollection.mockResolvedValue(null);
+
+    expect(await MetaWebhookService.claimEvent(CHANNELS.INSTAGRAM, 'msg:mid.memory')).toBe(true);
+    expect(await MetaWebhookService.claimEvent(CHANNELS.INSTAGRAM, 'msg:mid.memory')).toBe(false);
+  });
+});
+
+describe('InstagramController.receiveMetaWebhook', () => {
+  const originalSecret = config.meta.appSecret;
+  let processMetaWebhook;
+
+  beforeEach(() => {
+    config.meta.appSecret = APP_SECRET;
+    processMetaWebhook = jest.spyOn(instagramService, 'processMetaWebhook').mockResolvedValue({ routed: 1, unrouted: 0, failed: 0 });
+  });
+
+  afterEach(() => {
+    config.meta.appSecret = originalSecret;
+    jest.restoreAllMocks();
+  });
+
+  const deliver = async (payload, signature) => {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    const req = {
+      body: payload,
+      rawBody,
+      ip: '127.0.0.1',
+      get: header => (header === 'X-Hub-Signature-256' ? (signature ?? sign(rawBody)) : undefined)
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    await InstagramController.receiveMetaWebhook(req, res);
+    return res;
+  };
+
+  it('rejects deliveries with a wrong signature', async () => {
+    const res = await deliver({ object: 'instagram', entry: [] }, 'sha256=00');
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(processMetaWebhook).not.toHaveBeenCalled();
+  });
+
+  it('acknowledges a signed delivery before processing it', async () => {
+    const payload = { object: 'instagram', entry: [{ id: 'ig_1', messaging: [] }] };
+    const res = await deliver(payload);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(processMetaWebhook).not.toHaveBeenCalled();
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(processMetaWebhook).toHaveBeenCalledWith(payload);
+  });
+});
@@ -0,0 +1,49 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../config/config');
+const MetricsService = require('../../src/services/metricsService');
+const metricsRoutes = require('../../src/routes/metricsRoutes');
+
+describe('GET /metrics', () => {
+  const original = { ...config.metrics };
+  const app = express();
+  app.use('/metrics', metricsRoutes);
+
+  beforeEach(() => {
+    jest.spyOn(MetricsService, 'render').mockReturnValue('scalai_redis_connected 1\n');
+  });
+
+  afterEach(() => {
+    Object.assign(config.metrics, original);
+    jest.restoreAllMocks();
+  });
+
+  it('needs the token when one is set', async () => {
+    config.metrics.token = 'scrape-token';
+
+    expect((await request(app).get('/metrics')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong-token')).status).toBe(401);
+
+    const response = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-token');
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('scalai_redis_connected 1\n');
+  });
+
+  it('refuses scrapes in production until a token is set', async () => {
+    config.metrics.token = undefined;
+    config.metrics.requireToken = true;
+
+    const response = await request(app).get('/metrics').set('Authorization', 'Bearer ');
+
+    expect(response.status).toBe(503);
+    expect(response.body.code).toBe('METRICS_TOKEN_NOT_CONFIGURED');
+    expect(MetricsService.render).not.toHaveBeenCalled();
+  });
+
+  it('is public outside production when no token is set', async () => {
+    config.metrics.token = undefined;
+    config.metrics.requireToken = false;
+
+    expect((await request(app).get('/metrics')).status).toBe(200);
+  });
+});
@@ -0,0 +1,41 @@
+const { normalizeToE164, isE164 } = require('../../src/utils/phoneHelper');
+
+describe('normalizeToE164', () => {
+  it.each([
+    ['+1 (415) 777-4444', null, '+14157774444'],
+    ['0044 20 7946 0958', null, '+442079460958'],
+    ['(415) 777-4444', '1', '+14157774444'],
+    ['1-415-777-4444', '1', '+14157774444'],
+    ['020 7946 0958', '44', '+442079460958'],
+    ['447700900123', '+44', '+447700900123'],
+    ['+1 415 777 4444 ext. 12', null, '+14157774444'],
+    ['+1 415 777 4444 x12', null, '+14157774444']
+  ])('normalizes %s (default country %s) to %s', (rawNumber, defaultCountryCode, expected) => {
+    expect(normalizeToE164(rawNumber, defaultCountryCode)).toEqual({ valid: true, number: expected, reason: null });
+  });
+
+  it.each([
+    ['', null, 'Phone number is empty'],
+    [null, null, 'Phone number is empty'],
+    ['call me', '1', 'Phone number contains no digits'],
+    ['4157774444', null, 'Phone number has no country code and no default country code was given'],
+    ['+123', null, 'Phone number is not a valid E.164 number'],
+    ['+0123456789', null, 'Phone number is not a valid E.164 number'],
+    ['+1234567890123456', null, 'Phone number is not a valid E.164 number']
+  ])('rejects %p (default country %s)', (rawNumber, defaultCountryCode, reason) => {
+    expect(normalizeToE164(rawNumber, defaultCountryCode)).toEqual({ valid: false, number: null, reason });
+  });
+
+  it('accepts numbers spreadsheets stored as numbers', () => {
+    expect(normalizeToE164(4157774444, '1').number).toBe('+14157774444');
+  });
+});
+
+describe('isE164', () => {
+  it('only accepts normalized numbers', () => {
+    expect(isE164('+14157774444')).toBe(true);
+    expect(isE164('14157774444')).toBe(false);
+    expect(isE164('+1 415 777 4444')).toBe(false);
+    expect(isE164(14157774444)).toBe(false);
+  });
+});
@@ -0,0 +1,153 @@
+const redisService = require('../../src/services/redisService');
+const platformStore = require('../../src/services/platformStore');
+const RateLimitService = require('../../src/services/rateLimitService');
+const { subaccountLimiter } = require('../../src/middleware/rateLimiter');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+const MINUTE = 60 * 1000;
+
+describe('RateLimitService sliding window', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000 * MINUTE;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const hitTimes = async (key, times, limit = 10) => {
+    const results = [];
+    for (let i = 0; i < times; i++) {
+      results.push(await RateLimitService.hit(key, limit, MINUTE));
+    }
+    return results;
+  };
+
+  it('rejects hits over the limit until the window ends', async () => {
+    const results = await hitTimes('test:full', 11);
+
+    expect(results.slice(0, 10).every(result => result.allowed)).toBe(true);
+    expect(results[9]).toMatchObject({ used: 10, remaining: 0 });
+    expect(results[10]).toMatchObject({ allowed: false, used: 10, resetMs: MINUTE });
+  });
+
+  it('counts the previous window by the share of it still inside the sliding window', async () => {
+    await hitTimes('test:slide', 10);
+    now += 1.5 * MINUTE; // half of the previous window is still counted
+
+    const results = await hitTimes('test:slide', 6);
+
+    expect(results[0]).toMatchObject({ allowed: true, used: 6 });
+    expect(results[4]).toMatchObject({ allowed: true, used: 10 });
+    // 1 hit too many; the previous window's 10 hits lose one every 6 seconds
+    expect(results[5]).toMatchObject({ allowed: false, used: 10, resetMs: 6000 });
+
+    now += 6000;
+    expect((await RateLimitService.hit('test:slide', 10, MINUTE)).allowed).toBe(true);
+  });
+
+  it('rejects a cost that does not fit as a whole and does not count it', async () => {
+    await hitTimes('test:cost', 7);
+
+    expect(await RateLimitService.hit('test:cost', 10, MINUTE, 4)).toMatchObject({ allowed: false, used: 7, remaining: 3 });
+    expect(await RateLimitService.hit('test:cost', 10, MINUTE, 3)).toMatchObject({ allowed: true, used: 10 });
+    expect(await RateLimitService.peek('test:cost', MINUTE)).toBe(10);
+  });
+
+  it('forgets windows older than the previous one', async () => {
+    await hitTimes('test:old', 10);
+    now += 2 * MINUTE;
+
+    expect(await RateLimitService.peek('test:old', MINUTE)).toBe(0);
+  });
+});
+
+describe('RateLimitService plans', () => {
+  let platformDb;
+
+  beforeEach(() => {
+    platformDb = new FakeDb();
+    jest.spyOn(platformStore, 'getCollection').mockImplementation(async (name, indexes = []) => {
+      const collection = platformDb.collection(name);
+      for (const [keys, options] of indexes) {
+        await collection.createIndex(keys, options);
+      }
+      return collection;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores assigned plans in the platform database', async () => {
+    await RateLimitService.setPlan('sub_plan', 'enterprise', { callsPerDay: 20000 }, 'admin_1');
+
+    const stored = await platformDb.collection('rate_limit_plans').findOne({ subaccountId: 'sub_plan' });
+    expect(stored).toMatchObject({ plan: 'enterprise', overrides: { callsPerDay: 20000 }, updatedBy: 'admin_1' });
+    expect(await RateLimitService.getPlan('sub_plan')).toMatchObject({
+      plan: 'enterprise',
+      limits: { requestsPerMinute: 5000, callsPerDay: 20000, routeLimitMultiplier: 5 },
+      isDefault: false
+    });
+  });
+
+  it('moves plans assigned in Redis by earlier versions', async () => {
+    jest.replaceProperty(redisService, 'isConnected', true);
+    jest.spyOn(redisService, 'get').mockResolvedValue({ plan: 'starter', overrides: {}, updatedAt: '2026-01-01T00:00:00.000Z', updatedBy: 'admin_1' });
+    const del = jest.spyOn(redisService, 'del').mockResolvedValue(true);
+
+    expect(await RateLimitService.getPlan('sub_legacy')).toMatchObject({ plan: 'starter', isDefault: false });
+    expect(await platformDb.collection('rate_limit_plans').findOne({ subaccountId: 'sub_legacy' })).toMatchObject({ plan: 'starter' });
+    expect(del).toHaveBeenCalledWith('db_rate:plan:sub_legacy');
+  });
+
+  it('keeps plans in memory without a platform database', async () => {
+    platformStore.getCollection.mockResolvedValue(null);
+
+    await RateLimitService.setPlan('sub_memory', 'starter', {}, 'admin_1');
+
+    expect((await RateLimitService.getPlan('sub_memory')).plan).toBe('starter');
+  });
+
+  it('scales route limits by the plan', async () => {
+    await RateLimitService.setPlan('sub_route', 'standard', { routeLimitMultiplier: 2 }, 'admin_1');
+    const limiter = subaccountLimiter(1, MINUTE);
+    const request = () => {
+      const res = { set: jest.fn(), getHeader: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      return limiter({ params: { subaccountId: 'sub_route' }, user: { id: 'user_1' } }, res, next).then(() => ({ res, next }));
+    };
+
+    expect((await request()).next).toHaveBeenCalled();
+    expect((await request()).next).toHaveBeenCalled();
+    const { res, next } = await request();
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+});
+
+describe('RateLimitService.resetCounters', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('deletes the counters of the subaccount with SCAN', async () => {
+    const client = {
+      scan: jest.fn()
+        .mockResolvedValueOnce({ cursor: 17, keys: ['db_rate:sub:sub_reset:calls:1', 'db_rate:sub:sub_reset:chats:1'] })
+        .mockResolvedValueOnce({ cursor: 0, keys: ['db_rate:sub:sub_reset:user:u1:1'] }),
+      del: jest.fn(async keys => keys.length),
+      keys: jest.fn()
+    };
+    jest.replaceProperty(redisService, 'isConnected', true);
+    jest.replaceProperty(redisService, 'client', client);
+
+    expect(await RateLimitService.resetCounters('sub_reset')).toBe(3);
+    expect(client.scan).toHaveBeenNthCalledWith(2, 17, expect.objectContaining({ MATCH: 'db_rate:sub:sub_reset:*' }));
+    expect(client.keys).not.toHaveBeenCalled();
+  });
+});
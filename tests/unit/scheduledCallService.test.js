@@ -0,0 +1,147 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const config = require('../../config/config');
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const Logger = require('../../src/utils/logger');
+const Retell = require('../../src/utils/retell');
+const retellService = require('../../src/services/retellService');
+const SuppressionService = require('../../src/services/suppressionService');
+const CallingHoursService = require('../../src/services/callingHoursService');
+const BudgetService = require('../../src/services/budgetService');
+const RateLimitService = require('../../src/services/rateLimitService');
+const ActivityService = require('../../src/services/activityService');
+const BatchCallService = require('../../src/services/batchCallService');
+const ScheduledCallService = require('../../src/services/scheduledCallService');
+const { STATUSES } = ScheduledCallService;
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('ScheduledCallService batch call dispatch', () => {
+  let db;
+  let createPhoneCall;
+
+  beforeEach(() => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+
+    jest.spyOn(SuppressionService, 'findSuppressed').mockResolvedValue(new Map());
+    jest.spyOn(CallingHoursService, 'getSettings').mockResolvedValue({});
+    jest.spyOn(CallingHoursService, 'evaluate').mockReturnValue({ allowed: true });
+    jest.spyOn(BudgetService, 'checkBudget').mockResolvedValue(null);
+    jest.spyOn(RateLimitService, 'consumeQuota').mockResolvedValue({ allowed: true });
+    jest.spyOn(retellService, 'getRetellAccount').mockResolvedValue({ isActive: true, apiKey: 'key', id: 'acc_1' });
+    jest.spyOn(ActivityService, 'logActivity').mockResolvedValue(null);
+    createPhoneCall = jest.spyOn(Retell.prototype, 'createPhoneCall')
+      .mockImplementation(async config => ({ call_id: `call_${config.to_number}`, call_status: 'registered' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const queueCampaign = async numbers => {
+    const tasks = BatchCallService.assignTaskIds(numbers.map(to_number => ({ to_number })));
+    await db.collection('batch_calls').insertOne(BatchCallService.buildCampaignDocument({
+      batchCallId: 'batch_1',
+      from_number: '+14155550100',
+      tasks,
+      subaccountId: 'sub_1',
+      userId: 'user_1',
+      operationId: 'op_1',
+      retellAccountId: 'acc_1'
+    }));
+    await ScheduledCallService.scheduleMany('sub_1', 'user_1', tasks.map(task => ({
+      from_number: '+14155550100',
+      to_number: task.to_number,
+      retell_llm_dynamic_variables: { batch_call_id: 'batch_1', batch_task_id: task.taskId },
+      scheduledFor: new Date(Date.now() - 1000),
+      retry: { retryOn: [] },
+      source: 'batch_call',
+      batchCallId: 'batch_1',
+      batchTaskId: task.taskId
+    })));
+  };
+
+  it('dials queued tasks and links the call to the task', async () => {
+    await queueCampaign(['+14155550001']);
+
+    expect(await ScheduledCallService.processSubaccount('sub_1')).toBe(1);
+
+    const call = await db.collection('calls').findOne({ call_id: 'call_+14155550001' });
+    expect(call.batch_call_id).toBe('batch_1');
+    const campaign = await db.collection('batch_calls').findOne({ batch_call_id: 'batch_1' });
+    expect(campaign.tasks[0]).toMatchObject({ status: 'ringing', call_id: 'call_+14155550001', call_status: 'registered' });
+  });
+
+  it('checks the budget of the outbound agent when a call names no agent', async () => {
+    await ScheduledCallService.schedule('sub_1', 'user_1', {
+      from_number: '+14155550100',
+      to_number: '+14155550001',
+      outbound_agent_id: 'agent_outbound',
+      scheduledFor: new Date(Date.now() - 1000)
+    });
+    BudgetService.checkBudget.mockResolvedValue({ budget: { scope: 'agent', monthlyLimit: 10, resetsAt: new Date(Date.now() + 60000) } });
+
+    expect(await ScheduledCallService.processSubaccount('sub_1')).toBe(0);
+
+    expect(BudgetService.checkBudget).toHaveBeenCalledWith('sub_1', 'agent_outbound', expect.objectContaining({ action: 'scheduled_call' }));
+    expect(createPhoneCall).not.toHaveBeenCalled();
+  });
+
+  it('dials up to dispatchConcurrency tasks at the same time', async () => {
+    jest.replaceProperty(config.scheduledCalls, 'dispatchConcurrency', 2);
+    await queueCampaign(['+14155550001', '+14155550002', '+14155550003', '+14155550004', '+14155550005']);
+    let inFlight = 0;
+    let maxInFlight = 0;
+    createPhoneCall.mockImplementation(async callConfig => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { call_id: `call_${callConfig.to_number}`, call_status: 'registered' };
+    });
+
+    expect(await ScheduledCallService.processSubaccount('sub_1')).toBe(5);
+
+    expect(maxInFlight).toBe(2);
+    const campaign = await db.collection('batch_calls').findOne({ batch_call_id: 'batch_1' });
+    expect(campaign.tasks.every(task => task.status === 'ringing' && task.call_id)).toBe(true);
+  });
+
+  it('does not dial tasks of a cancelled campaign', async () => {
+    await queueCampaign(['+14155550001', '+14155550002']);
+    await BatchCallService.cancelCampaign('sub_1', 'user_1', 'batch_1');
+
+    expect(await ScheduledCallService.processSubaccount('sub_1')).toBe(0);
+
+    expect(createPhoneCall).not.toHaveBeenCalled();
+    expect(RateLimitService.consumeQuota).not.toHaveBeenCalled();
+    const entries = await db.collection('scheduled_calls').find({ batchCallId: 'batch_1' }).toArray();
+    expect(entries.map(entry => entry.status)).toEqual([STATUSES.CANCELLED, STATUSES.CANCELLED]);
+  });
+
+  it('puts the task back in the queue when the daily call quota is used up', async () => {
+    await queueCampaign(['+14155550001']);
+    RateLimitService.consumeQuota.mockResolvedValue({ allowed: false, resetMs: 60000, plan: 'starter', limit: 500 });
+
+    expect(await ScheduledCallService.processSubaccount('sub_1')).toBe(0);
+
+    expect(RateLimitService.consumeQuota).toHaveBeenCalledWith('sub_1', 'calls');
+    expect(createPhoneCall).not.toHaveBeenCalled();
+    const entry = await db.collection('scheduled_calls').findOne({ batchCallId: 'batch_1' });
+    expect(entry).toMatchObject({ status: STATUSES.SCHEDULED, attemptCount: 0 });
+    const campaign = await db.collection('batch_calls').findOne({ batch_call_id: 'batch_1' });
+    expect(campaign.tasks[0]).toMatchObject({ status: 'queued', error: 'call_quota_exceeded' });
+  });
+
+  it('releases the task for a retry after a dial error', async () => {
+    await queueCampaign(['+14155550001']);
+    createPhoneCall.mockRejectedValueOnce(new Error('concurrency limit reached'));
+    jest.spyOn(Logger, 'error').mockImplementation(() => {});
+
+    expect(await ScheduledCallService.processSubaccount('sub_1')).toBe(0);
+
+    const entry = await db.collection('scheduled_calls').findOne({ batchCallId: 'batch_1' });
+    expect(entry.status).toBe(STATUSES.SCHEDULED);
+    const campaign = await db.collection('batch_calls').findOne({ batch_call_id: 'batch_1' });
+    expect(campaign.tasks[0]).toMatchObject({ status: 'queued', error: 'concurrency limit reached' });
+  });
+});
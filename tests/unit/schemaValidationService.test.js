@@ -0,0 +1,73 @@
+jest.mock('../../src/services/schemaRegistryService', () => ({ listSchemas: jest.fn() }));
+
+const config = require('../../config/config');
+const SchemaRegistryService = require('../../src/services/schemaRegistryService');
+const schemaValidationService = require('../../src/services/schemaValidationService');
+
+describe('schemaValidationService registry cache', () => {
+  let now;
+
+  const entry = (collectionName, version, required = ['name']) => ({
+    collectionName,
+    version,
+    definition: {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required
+    },
+    permissions: { read: true, write: true, delete: false }
+  });
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    schemaValidationService.schemas.clear();
+    schemaValidationService.loadedSubaccounts.clear();
+    SchemaRegistryService.listSchemas.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('loads a subaccount from the registry once within the TTL', async () => {
+    SchemaRegistryService.listSchemas.mockResolvedValue([entry('orders', 1)]);
+
+    expect((await schemaValidationService.getSchema('sub_1', 'orders')).version).toBe(1);
+    expect(await schemaValidationService.getSchema('sub_1', 'customers')).toBeNull();
+    expect(SchemaRegistryService.listSchemas).toHaveBeenCalledTimes(1);
+  });
+
+  it('shares one registry read between concurrent lookups', async () => {
+    SchemaRegistryService.listSchemas.mockResolvedValue([entry('orders', 1)]);
+
+    await Promise.all([
+      schemaValidationService.getSchema('sub_1', 'orders'),
+      schemaValidationService.getSchema('sub_1', 'orders'),
+      schemaValidationService.getSchema('sub_1', 'customers')
+    ]);
+
+    expect(SchemaRegistryService.listSchemas).toHaveBeenCalledTimes(1);
+  });
+
+  it('picks up schemas changed or deleted by another instance after the TTL', async () => {
+    SchemaRegistryService.listSchemas.mockResolvedValue([entry('orders', 1), entry('customers', 1)]);
+    await schemaValidationService.getSchema('sub_1', 'orders');
+
+    SchemaRegistryService.listSchemas.mockResolvedValue([entry('orders', 2, [])]);
+    now += config.schemaRegistry.cacheTtlMs + 1;
+
+    expect((await schemaValidationService.getSchema('sub_1', 'orders')).version).toBe(2);
+    expect(await schemaValidationService.getSchema('sub_1', 'customers')).toBeNull();
+  });
+
+  it('keeps the cached schemas when the registry cannot be read', async () => {
+    SchemaRegistryService.listSchemas.mockResolvedValue([entry('orders', 1)]);
+    await schemaValidationService.getSchema('sub_1', 'orders');
+
+    SchemaRegistryService.listSchemas.mockRejectedValue(new Error('connection refused'));
+    now += config.schemaRegistry.cacheTtlMs + 1;
+
+    expect((await schemaValidationService.getSchema('sub_1', 'orders')).version).toBe(1);
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const platformStore = require('../../src/services/platformStore');
+const SubaccountIndexService = require('../../src/services/subaccountIndexService');
+const ScheduledCallService = require('../../src/services/scheduledCallService');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('SubaccountIndexService', () => {
+  let platformDb;
+
+  beforeEach(() => {
+    platformDb = new FakeDb();
+    jest.spyOn(platformStore, 'getCollection').mockImplementation(async name => platformDb.collection(name));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores one entry per worker and subaccount in the platform database', async () => {
+    await SubaccountIndexService.track('scheduled_calls', 'sub_1');
+    await SubaccountIndexService.track('scheduled_calls', 'sub_1');
+    await SubaccountIndexService.track('webhook_deliveries', 'sub_1');
+
+    expect(await SubaccountIndexService.list('scheduled_calls')).toEqual([{ subaccountId: 'sub_1', generation: 2 }]);
+    expect(await SubaccountIndexService.list('webhook_deliveries')).toEqual([{ subaccountId: 'sub_1', generation: 1 }]);
+  });
+
+  it('keeps a subaccount that was tracked again after the worker listed it', async () => {
+    await SubaccountIndexService.track('scheduled_calls', 'sub_1');
+    const [{ generation }] = await SubaccountIndexService.list('scheduled_calls');
+
+    // New work is scheduled while the worker decides the subaccount is idle
+    await SubaccountIndexService.track('scheduled_calls', 'sub_1');
+
+    expect(await SubaccountIndexService.untrack('scheduled_calls', 'sub_1', generation)).toBe(false);
+    expect(await SubaccountIndexService.list('scheduled_calls')).toHaveLength(1);
+  });
+
+  it('removes an idle subaccount', async () => {
+    await SubaccountIndexService.track('scheduled_calls', 'sub_1');
+    const [{ generation }] = await SubaccountIndexService.list('scheduled_calls');
+
+    expect(await SubaccountIndexService.untrack('scheduled_calls', 'sub_1', generation)).toBe(true);
+    expect(await SubaccountIndexService.list('scheduled_calls')).toEqual([]);
+  });
+
+  it('falls back to memory when the platform database is not connected', async () => {
+    platformStore.getCollection.mockResolvedValue(null);
+
+    await SubaccountIndexService.track('memory_worker', 'sub_1');
+    const [{ generation }] = await SubaccountIndexService.list('memory_worker');
+    await SubaccountIndexService.track('memory_worker', 'sub_1');
+
+    expect(await SubaccountIndexService.untrack('memory_worker', 'sub_1', generation)).toBe(false);
+    expect(await SubaccountIndexService.untrack('memory_worker', 'sub_1', generation + 1)).toBe(true);
+    expect(await SubaccountIndexService.list('memory_worker')).toEqual([]);
+  });
+
+  it('removes scheduled calls that could not be added to the worker index', async () => {
+    const tenantDb = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db: tenantDb } });
+    jest.spyOn(SubaccountIndexService, 'track').mockRejectedValue(new Error('platform database unavailable'));
+
+    await expect(ScheduledCallService.schedule('sub_1', 'user_1', {
+      from_number: '+14155550100',
+      to_number: '+14155550001',
+      scheduledFor: new Date(Date.now() + 60000)
+    })).rejects.toThrow('platform database unavailable');
+
+    expect(await tenantDb.collection('scheduled_calls').find({}).toArray()).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const SuccessCriteriaService = require('../../src/services/successCriteriaService');
+const { JOB_STATUSES, JOB_TRIGGERS, RECOMPUTE_BATCH_SIZE } = SuccessCriteriaService;
+const { scoreCall, getAverageableSuccessScore } = require('../../src/utils/callHelper');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+// The background run scheduled by startRecompute is stubbed in the tests below; jobs are run with this instead
+const runRecomputeJob = SuccessCriteriaService.runRecomputeJob;
+
+const bookedCall = { call_status: 'ended', call_analysis: { custom_analysis_data: { appointment_booked: true }, user_sentiment: 'Negative' }, duration_ms: 30000 };
+const positiveCall = { call_status: 'ended', call_analysis: { custom_analysis_data: { lead_score: 8 }, user_sentiment: 'Positive' }, duration_ms: 120000 };
+
+const weightedCriteria = {
+  mode: 'weighted',
+  passThreshold: 0.5,
+  rules: [
+    { type: 'appointment_booked', weight: 3 },
+    { type: 'analysis_field', field: 'custom_analysis_data.lead_score', operator: 'gte', value: 7, weight: 2 },
+    { type: 'duration', minSeconds: 60 },
+    { type: 'sentiment', values: ['positive'] }
+  ]
+};
+
+describe('success scoring', () => {
+  it('scores the default criteria from appointment_booked', () => {
+    expect(scoreCall(bookedCall)).toBe(1);
+    expect(scoreCall(positiveCall)).toBe(0);
+  });
+
+  it('scores weighted criteria as the share of passing weight', () => {
+    expect(scoreCall(bookedCall, weightedCriteria)).toBe(0.4286);
+    expect(scoreCall(positiveCall, weightedCriteria)).toBe(0.5714);
+  });
+
+  it('requires every rule in all mode and one rule in any mode', () => {
+    const rules = weightedCriteria.rules.slice(2);
+
+    expect(scoreCall(positiveCall, { mode: 'all', rules })).toBe(1);
+    expect(scoreCall(bookedCall, { mode: 'all', rules })).toBe(0);
+    expect(scoreCall(bookedCall, { mode: 'any', rules: weightedCriteria.rules })).toBe(1);
+  });
+
+  it('keeps success_score in averages for calls not scored with custom criteria', () => {
+    // success_rate written before custom criteria existed, on a 0-100 scale
+    expect(getAverageableSuccessScore({ success_rate: 100, success_score: 1 })).toBe(1);
+    expect(getAverageableSuccessScore({ success_rate: 1, success_criteria_version: 0 })).toBe(0);
+    expect(getAverageableSuccessScore({ success_rate: 0.75, success_score: 0, success_criteria_version: 2 })).toBe(0.75);
+  });
+
+  it('only counts calls scored with custom criteria as successful in aggregations', () => {
+    const expression = SuccessCriteriaService.getSuccessfulCallExpression({ isDefault: false, passThreshold: 0.5 });
+
+    expect(expression.$and[0]).toEqual({ $gt: [{ $ifNull: ['$success_criteria_version', 0] }, 0] });
+  });
+});
+
+describe('SuccessCriteriaService recompute', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+    await SuccessCriteriaService.saveCriteria('sub_1', 'user_1', 'agent_1', weightedCriteria);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const insertCalls = async count => {
+    const calls = Array.from({ length: count }, (_, index) => ({
+      call_id: `call_${index}`,
+      agent_id: 'agent_1',
+      ...(index % 2 === 0 ? bookedCall : positiveCall),
+      success_rate: 100
+    }));
+    await db.collection('calls').insertMany(calls);
+  };
+
+  const jobs = () => db.collection('success_recompute_jobs');
+
+  it('re-scores calls in batches', async () => {
+    await insertCalls(RECOMPUTE_BATCH_SIZE + 1);
+    const onBatch = jest.fn().mockResolvedValue(true);
+
+    const result = await SuccessCriteriaService.recomputeAgentCalls('sub_1', 'user_1', 'agent_1', { onBatch });
+
+    expect(onBatch).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ processed: RECOMPUTE_BATCH_SIZE + 1, updated: RECOMPUTE_BATCH_SIZE + 1, stopped: false });
+    const call = await db.collection('calls').findOne({ call_id: 'call_1' });
+    expect(call).toMatchObject({ success_rate: 0.5714, success_criteria_version: 1 });
+  });
+
+  it('stops when the batch callback returns false', async () => {
+    await insertCalls(RECOMPUTE_BATCH_SIZE + 1);
+
+    const result = await SuccessCriteriaService.recomputeAgentCalls('sub_1', 'user_1', 'agent_1', { onBatch: async () => false });
+
+    expect(result).toMatchObject({ processed: 0, updated: 0, stopped: true });
+    expect(await db.collection('calls').countDocuments({ success_criteria_version: 1 })).toBe(0);
+  });
+
+  it('runs a recompute as a job and records its progress', async () => {
+    jest.spyOn(SuccessCriteriaService, 'runRecomputeJob').mockResolvedValue(null);
+    await insertCalls(3);
+
+    const { job } = await SuccessCriteriaService.startRecompute('sub_1', 'user_1', 'agent_1');
+    expect(job.status).toBe(JOB_STATUSES.RUNNING);
+
+    const finished = await runRecomputeJob('sub_1', 'user_1', await jobs().findOne({ jobId: job.jobId }));
+
+    expect(finished).toMatchObject({ status: JOB_STATUSES.COMPLETED, processed: 3, updated: 3, criteriaVersion: 1 });
+  });
+
+  it('returns the running job instead of starting a second manual recompute', async () => {
+    jest.spyOn(SuccessCriteriaService, 'runRecomputeJob').mockResolvedValue(null);
+
+    const first = await SuccessCriteriaService.startRecompute('sub_1', 'user_1', 'agent_1');
+    const second = await SuccessCriteriaService.startRecompute('sub_1', 'user_1', 'agent_1');
+
+    expect(second).toMatchObject({ alreadyRunning: true, job: { jobId: first.job.jobId } });
+  });
+
+  it('supersedes a running job when the criteria change', async () => {
+    jest.spyOn(SuccessCriteriaService, 'runRecomputeJob').mockResolvedValue(null);
+    await insertCalls(3);
+
+    const { job: first } = await SuccessCriteriaService.startRecompute('sub_1', 'user_1', 'agent_1');
+    const { job: second } = await SuccessCriteriaService.startRecompute('sub_1', 'user_1', 'agent_1', {
+      trigger: JOB_TRIGGERS.CRITERIA_UPDATED
+    });
+
+    expect(second.jobId).not.toBe(first.jobId);
+    const superseded = await runRecomputeJob('sub_1', 'user_1', await jobs().findOne({ jobId: first.jobId }));
+
+    // The old job stops before writing its first batch
+    expect(superseded).toMatchObject({ status: JOB_STATUSES.SUPERSEDED, processed: 0 });
+    expect(await db.collection('calls').countDocuments({ success_criteria_version: 1 })).toBe(0);
+  });
+
+  it('marks a job without heartbeat as interrupted', async () => {
+    jest.spyOn(SuccessCriteriaService, 'runRecomputeJob').mockResolvedValue(null);
+
+    const { job: first } = await SuccessCriteriaService.startRecompute('sub_1', 'user_1', 'agent_1');
+    await jobs().updateOne({ jobId: first.jobId }, { $set: { heartbeatAt: new Date(Date.now() - 10 * 60 * 1000) } });
+    const second = await SuccessCriteriaService.startRecompute('sub_1', 'user_1', 'agent_1');
+
+    expect(second.alreadyRunning).toBe(false);
+    expect(await SuccessCriteriaService.getJob('sub_1', 'user_1', 'agent_1', first.jobId))
+      .toMatchObject({ status: JOB_STATUSES.FAILED, error: 'interrupted' });
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const SubaccountIndexService = require('../../src/services/subaccountIndexService');
+const UsageLedgerService = require('../../src/services/usageLedgerService');
+const { USAGE_TYPES } = UsageLedgerService;
+const UsageController = require('../../src/controllers/usageController');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+describe('UsageLedgerService', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const ledger = () => db.collection('usage_ledger').find({}).sort({ sequence: 1 }).toArray();
+
+  describe('recordCall', () => {
+    const call = (combinedCostCents, seconds) => ({
+      call_id: 'call_1',
+      agent_id: 'agent_1',
+      start_timestamp: Date.parse('2026-10-01T10:00:00Z'),
+      call_cost: { combined_cost: combinedCostCents, total_duration_seconds: seconds }
+    });
+
+    it('appends the difference of a changed report as an adjustment and ignores repeats', async () => {
+      await UsageLedgerService.updatePricing('sub_1', { markupPercent: 50 }, 'admin_1');
+
+      await UsageLedgerService.recordCall('sub_1', call(100, 60));
+      await UsageLedgerService.recordCall('sub_1', call(100, 60));
+      await UsageLedgerService.recordCall('sub_1', call(160, 90));
+
+      const entries = await ledger();
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({ entryType: 'charge', baseCost: 1, billedCost: 1.5, month: '2026-10', quantities: { callMinutes: 1 } });
+      expect(entries[1]).toMatchObject({ entryType: 'adjustment', sequence: 1, baseCost: 0.6, billedCost: 0.9, quantities: { callSeconds: 30 } });
+    });
+  });
+
+  describe('priceUsage', () => {
+    const pricing = { markupPercent: 20, rates: { [USAGE_TYPES.CHAT]: { unitPrice: 0.01 }, [USAGE_TYPES.CALL]: { markupPercent: 100 } } };
+
+    it('uses the unit price of a usage type, then its markup, then the subaccount markup', () => {
+      expect(UsageLedgerService.priceUsage(pricing, USAGE_TYPES.CHAT, { chatMessages: 42 }, 5))
+        .toEqual({ billedCost: 0.42, markupPercent: null, unitPrice: 0.01 });
+      expect(UsageLedgerService.priceUsage(pricing, USAGE_TYPES.CALL, { callMinutes: 3 }, 0.3))
+        .toEqual({ billedCost: 0.6, markupPercent: 100, unitPrice: null });
+      expect(UsageLedgerService.priceUsage(pricing, USAGE_TYPES.PHONE_NUMBER_RENTAL, { phoneNumbers: 1 }, 1.15))
+        .toEqual({ billedCost: 1.38, markupPercent: 20, unitPrice: null });
+    });
+  });
+
+  describe('phone number rentals', () => {
+    const number = { sid: 'PN1', phoneNumber: '+14155550100', numberType: 'local', countryCode: 'US' };
+
+    beforeEach(async () => {
+      await db.collection('phonenumbers').insertOne({ subaccountId: 'sub_1', sid: 'PN1', phone_number: '+14155550100' });
+      await UsageLedgerService.recordRentalMonth('sub_1', number, new Date('2026-08-15T12:00:00Z'));
+    });
+
+    it('records every month since the last recorded one, once', async () => {
+      const now = new Date('2026-10-19T09:00:00Z');
+
+      expect(await UsageLedgerService.accrueSubaccountRentals('sub_1', null, now)).toBe(2);
+      expect(await UsageLedgerService.accrueSubaccountRentals('sub_1', null, now)).toBe(0);
+
+      const entries = await ledger();
+      expect(entries.map(entry => entry.sourceId).sort()).toEqual(['PN1:2026-08', 'PN1:2026-09', 'PN1:2026-10']);
+      expect(entries.find(entry => entry.sourceId === 'PN1:2026-09')).toMatchObject({
+        entryType: 'charge',
+        occurredAt: new Date('2026-09-01T00:00:00Z'),
+        quantities: { phoneNumbers: 1 },
+        details: { phoneNumber: '+14155550100', numberType: 'local', countryCode: 'US' }
+      });
+    });
+
+    it('stops with numbers that were deleted and untracks the subaccount', async () => {
+      await db.collection('phonenumbers').deleteOne({ sid: 'PN1' });
+      const untrack = jest.spyOn(SubaccountIndexService, 'untrack').mockResolvedValue(true);
+
+      expect(await UsageLedgerService.accrueSubaccountRentals('sub_1', 3, new Date('2026-10-19T09:00:00Z'))).toBe(0);
+      expect(await ledger()).toHaveLength(1);
+      expect(untrack).toHaveBeenCalledWith('phone_number_rentals', 'sub_1', 3);
+    });
+
+    it('tracks the subaccount when a number is purchased', async () => {
+      const track = jest.spyOn(SubaccountIndexService, 'track').mockResolvedValue();
+
+      await UsageLedgerService.recordPhoneNumberRental('sub_1', { ...number, sid: 'PN2' });
+
+      expect(track).toHaveBeenCalledWith('phone_number_rentals', 'sub_1');
+    });
+  });
+});
+
+describe('UsageController.updatePricing', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const update = async (user, permission) => {
+    const req = {
+      params: { subaccountId: 'sub_1' },
+      body: { markupPercent: 25 },
+      user,
+      permission
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    await UsageController.updatePricing(req, res);
+    return res;
+  };
+
+  it('lets platform admins change pricing', async () => {
+    const res = await update({ id: 'admin_1', role: 'admin' }, { effectiveRole: 'viewer' });
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect((await UsageLedgerService.getPricing('sub_1')).markupPercent).toBe(25);
+  });
+
+  it('refuses subaccount admins without a platform admin role', async () => {
+    const res = await update({ id: 'user_1', role: 'user' }, { effectiveRole: 'admin' });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect((await UsageLedgerService.getPricing('sub_1')).isDefault).toBe(true);
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('../../src/middleware/authMiddleware', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 'user_1', role: 'user' };
+    next();
+  },
+  requestLogger: (req, res, next) => next()
+}));
+jest.mock('../../src/middleware/rbacClient', () => ({
+  requireResourcePermission: () => (req, res, next) => next()
+}));
+jest.mock('../../src/middleware/rateLimiter', () => ({
+  userLimiter: (req, res, next) => next(),
+  subaccountLimiter: () => (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const UsageController = require('../../src/controllers/usageController');
+
+// Routes keep the handler they were defined with
+jest.spyOn(UsageController, 'getSummary').mockImplementation((req, res) => res.json({ success: true, query: req.query }));
+const usageRoutes = require('../../src/routes/usageRoutes');
+
+describe('GET /api/usage/:subaccountId', () => {
+  const subaccountId = '507f1f77bcf86cd799439011';
+  const app = express();
+  app.use('/api/usage', usageRoutes);
+
+  it('returns the summary without an agent', async () => {
+    const response = await request(app).get(`/api/usage/${subaccountId}`).query({ month: '2026-10' });
+
+    expect(response.status).toBe(200);
+    expect(UsageController.getSummary).toHaveBeenCalled();
+  });
+
+  it('filters by an optional agentId query parameter', async () => {
+    const response = await request(app).get(`/api/usage/${subaccountId}`).query({ agentId: 'agent_1' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.query).toEqual({ agentId: 'agent_1' });
+  });
+
+  it('rejects an invalid agentId', async () => {
+    const response = await request(app).get(`/api/usage/${subaccountId}`).query({ agentId: 'a'.repeat(101) });
+
+    expect(response.status).toBe(400);
+  });
+});
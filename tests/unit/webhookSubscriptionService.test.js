@@ -0,0 +1,112 @@
+jest.mock('../../src/services/connectionPoolManager', () => ({ getConnection: jest.fn() }));
+
+const crypto = require('crypto');
+const dns = require('dns');
+const { Readable } = require('stream');
+const axios = require('axios');
+const config = require('../../config/config');
+const connectionPoolManager = require('../../src/services/connectionPoolManager');
+const WebhookSubscriptionService = require('../../src/services/webhookSubscriptionService');
+const { DELIVERY_STATUSES } = WebhookSubscriptionService;
+const WebhookSubscriptionController = require('../../src/controllers/webhookSubscriptionController');
+const { signWebhookPayload } = require('../../src/utils/webhookSignature');
+const { publicLookup } = require('../../src/utils/networkGuard');
+const { FakeDb } = require('../helpers/fakeCollection');
+
+const SECRET = 'whsec_test';
+
+describe('signWebhookPayload', () => {
+  it('signs the timestamp and the raw body', () => {
+    const body = JSON.stringify({ type: 'call.ended' });
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+    expect(signWebhookPayload(body, 1700000000, SECRET)).toBe(`sha256=${expected}`);
+    expect(signWebhookPayload(body, 1700000001, SECRET)).not.toBe(`sha256=${expected}`);
+    expect(signWebhookPayload(body, 1700000000, 'other-secret')).not.toBe(`sha256=${expected}`);
+  });
+});
+
+describe('WebhookSubscriptionService delivery', () => {
+  let db;
+  let post;
+  let lookup;
+
+  beforeEach(() => {
+    db = new FakeDb();
+    connectionPoolManager.getConnection.mockResolvedValue({ connection: { db } });
+    lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    post = jest.spyOn(axios, 'post').mockImplementation(async () => ({ status: 200, data: Readable.from([]) }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = async (url) => {
+    const { subscription } = await WebhookSubscriptionService.createSubscription('sub_1', 'user_1', {
+      url,
+      events: ['call.ended'],
+      secret: SECRET
+    });
+    return WebhookSubscriptionService.sendTest('sub_1', 'user_1', subscription);
+  };
+
+  it('signs each attempt and only checks connections against public addresses', async () => {
+    const delivery = await send('https://hooks.example.com/scalai');
+
+    expect(delivery.status).toBe(DELIVERY_STATUSES.SUCCEEDED);
+    const [url, body, options] = post.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/scalai');
+    expect(options.headers['X-ScalAI-Signature']).toBe(signWebhookPayload(body, options.headers['X-ScalAI-Timestamp'], SECRET));
+    expect(options.lookup).toBe(publicLookup);
+    expect(options.maxRedirects).toBe(0);
+  });
+
+  it('does not send to a host that resolves to a private address', async () => {
+    lookup.mockResolvedValue([{ address: '10.0.0.7', family: 4 }]);
+
+    const delivery = await send('https://hooks.example.com/scalai');
+
+    expect(post).not.toHaveBeenCalled();
+    expect(delivery.status).toBe(DELIVERY_STATUSES.FAILED);
+    expect(delivery.lastError).toBe('URL_NOT_ALLOWED');
+  });
+
+  it('does not keep response bodies', async () => {
+    post.mockResolvedValue({ status: 503, data: Readable.from(['Service Unavailable']) });
+
+    const delivery = await send('https://hooks.example.com/scalai');
+    const formatted = WebhookSubscriptionService.formatDelivery({
+      ...delivery,
+      attempts: [...delivery.attempts, { attempt: 0, statusCode: 500, responseBody: 'stored by an older version' }]
+    });
+
+    expect(delivery.lastError).toBe('HTTP 503');
+    expect(formatted.attempts).toHaveLength(2);
+    formatted.attempts.forEach(attempt => expect(attempt).not.toHaveProperty('responseBody'));
+  });
+});
+
+describe('WebhookSubscriptionController.checkUrl', () => {
+  const originalRequireHttps = config.webhookSubscriptions.requireHttps;
+
+  beforeEach(() => {
+    jest.spyOn(dns.promises, 'lookup').mockImplementation(async hostname => [
+      { address: hostname === 'internal.example.com' ? '127.0.0.1' : '93.184.216.34', family: 4 }
+    ]);
+  });
+
+  afterEach(() => {
+    config.webhookSubscriptions.requireHttps = originalRequireHttps;
+    jest.restoreAllMocks();
+  });
+
+  it('rejects private hosts and, when required, plain http', async () => {
+    config.webhookSubscriptions.requireHttps = true;
+
+    expect(await WebhookSubscriptionController.checkUrl('https://hooks.example.com/scalai')).toBeNull();
+    expect(await WebhookSubscriptionController.checkUrl('http://hooks.example.com/scalai')).toMatchObject({ code: 'WEBHOOK_URL_NOT_ALLOWED' });
+    expect(await WebhookSubscriptionController.checkUrl('https://169.254.169.254/latest')).toMatchObject({ code: 'WEBHOOK_URL_NOT_ALLOWED' });
+    expect(await WebhookSubscriptionController.checkUrl('https://internal.example.com/hook')).toMatchObject({ code: 'WEBHOOK_URL_NOT_ALLOWED' });
+  });
+});